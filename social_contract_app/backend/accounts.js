@@ -0,0 +1,255 @@
+const bcrypt = require("bcryptjs");
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const mailer = require("./mailer");
+const { hashToken, randomToken, revokeAllSessions } = require("./auth");
+const { isValidTimezone } = require("./timezones");
+const { TOPIC_CATEGORIES } = require("./templates");
+
+// Profile editing, password change/reset and account deletion. Reset mail
+// goes through mailer.js, so point SMTP_URL at a local sink to read it.
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+const APP_URL = process.env.APP_URL || "http://localhost:4000";
+const MAX_NAME_LENGTH = 80;
+const MAX_BIO_LENGTH = 500;
+const DELETED_NAME = "Deleted user";
+// Profile fields other people see unless the user hides them. The name is
+// always shown.
+const DEFAULT_VISIBILITY = { avatarUrl: true, bio: true, topics: true, reliability: true, endorsements: true };
+
+const statements = {
+  getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+  findByEmail: db.prepare("SELECT * FROM users WHERE email = ? AND deletedAt IS NULL"),
+  updateProfile: db.prepare(
+    `UPDATE users SET name = @name, avatarUrl = @avatarUrl, timezone = @timezone, bio = @bio,
+       topics = @topics, profileVisibility = @profileVisibility
+     WHERE id = @id`
+  ),
+  setPassword: db.prepare("UPDATE users SET passwordHash = ? WHERE id = ?"),
+  insertReset: db.prepare(
+    `INSERT INTO password_resets (id, userId, tokenHash, createdAt, expiresAt)
+     VALUES (@id, @userId, @tokenHash, @createdAt, @expiresAt)`
+  ),
+  findReset: db.prepare("SELECT * FROM password_resets WHERE tokenHash = ?"),
+  useReset: db.prepare("UPDATE password_resets SET usedAt = ? WHERE id = ? AND usedAt IS NULL"),
+  expireOpenResets: db.prepare("UPDATE password_resets SET usedAt = ? WHERE userId = ? AND usedAt IS NULL"),
+  anonymizeUser: db.prepare(
+    `UPDATE users SET name = @name, email = NULL, passwordHash = NULL, avatarUrl = NULL, bio = NULL,
+       topics = NULL, profileVisibility = NULL, timezone = NULL, matchPreferences = NULL, notificationSettings = NULL, calendarTokenHash = NULL,
+       deletedAt = @deletedAt
+     WHERE id = @id`
+  ),
+  deleteNotifications: db.prepare("DELETE FROM notifications WHERE userId = ?"),
+  clearEndorsementNotes: db.prepare("UPDATE endorsements SET note = NULL WHERE fromUserId = ?"),
+  clearImportNames: db.prepare("UPDATE activity_imports SET fileName = NULL WHERE userId = ?"),
+  revokeAccessTokens: db.prepare("UPDATE personal_access_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL"),
+  disableWebhooks: db.prepare("UPDATE webhook_subscriptions SET disabledAt = ? WHERE userId = ? AND disabledAt IS NULL"),
+};
+
+function parseJson(text, fallback) {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function topicsOf(user) {
+  return parseJson(user.topics, []);
+}
+
+function visibilityOf(user) {
+  return { ...DEFAULT_VISIBILITY, ...parseJson(user.profileVisibility, {}) };
+}
+
+function publicProfile(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    avatarUrl: user.avatarUrl || null,
+    bio: user.bio || null,
+    timezone: user.timezone || null,
+    topics: topicsOf(user),
+    visibility: visibilityOf(user),
+    createdAt: user.createdAt,
+    deleted: Boolean(user.deletedAt),
+  };
+}
+
+function getProfile(userId) {
+  return publicProfile(statements.getUser.get(userId));
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function checkPassword(user, password) {
+  return Boolean(user && user.passwordHash && typeof password === "string" && bcrypt.compareSync(password, user.passwordHash));
+}
+
+/* -------------------- Profile -------------------- */
+
+// Apply a partial profile update. Null clears avatarUrl, timezone and bio;
+// `visibility` switches individual public fields on or off.
+// Returns { profile } or { error }.
+function updateProfile(userId, input) {
+  const user = statements.getUser.get(userId);
+  if (!user) return { error: "User not found" };
+  if (!input || typeof input !== "object") return { error: "profile object required" };
+  const next = {
+    id: user.id,
+    name: user.name,
+    avatarUrl: user.avatarUrl,
+    timezone: user.timezone,
+    bio: user.bio,
+    topics: user.topics,
+    profileVisibility: user.profileVisibility,
+  };
+
+  if (input.name !== undefined) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+    next.name = name;
+  }
+  if (input.avatarUrl !== undefined) {
+    if (input.avatarUrl === null || input.avatarUrl === "") {
+      next.avatarUrl = null;
+    } else {
+      let url;
+      try {
+        url = new URL(input.avatarUrl);
+      } catch (e) {
+        return { error: "avatarUrl must be a valid url" };
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") return { error: "avatarUrl must be http(s)" };
+      next.avatarUrl = url.toString();
+    }
+  }
+  if (input.timezone !== undefined) {
+    if (input.timezone !== null && !isValidTimezone(input.timezone)) return { error: "Unknown timezone" };
+    next.timezone = input.timezone;
+  }
+  if (input.bio !== undefined) {
+    if (input.bio !== null && typeof input.bio !== "string") return { error: "bio must be a string" };
+    const bio = input.bio ? input.bio.trim() : null;
+    if (bio && bio.length > MAX_BIO_LENGTH) return { error: `bio must be at most ${MAX_BIO_LENGTH} characters` };
+    next.bio = bio || null;
+  }
+  if (input.topics !== undefined) {
+    const topics = input.topics === null ? [] : input.topics;
+    if (!Array.isArray(topics) || topics.some((topic) => !TOPIC_CATEGORIES.includes(topic))) {
+      return { error: `topics must be a list of ${TOPIC_CATEGORIES.join(", ")}` };
+    }
+    next.topics = topics.length ? JSON.stringify([...new Set(topics)]) : null;
+  }
+  if (input.visibility !== undefined) {
+    if (!input.visibility || typeof input.visibility !== "object") return { error: "visibility must be an object" };
+    const visibility = visibilityOf(user);
+    Object.keys(DEFAULT_VISIBILITY).forEach((field) => {
+      if (input.visibility[field] !== undefined) visibility[field] = Boolean(input.visibility[field]);
+    });
+    next.profileVisibility = JSON.stringify(visibility);
+  }
+
+  statements.updateProfile.run(next);
+  return { profile: getProfile(userId) };
+}
+
+/* -------------------- Passwords -------------------- */
+
+// Change a password with the current one. Every existing session is logged
+// out; the caller issues a fresh one. Returns { user } or { error, status }.
+function changePassword(userId, currentPassword, newPassword) {
+  const user = statements.getUser.get(userId);
+  if (!checkPassword(user, currentPassword)) return { error: "Current password is incorrect", status: 401 };
+  const invalid = validatePassword(newPassword);
+  if (invalid) return { error: invalid, status: 400 };
+  statements.setPassword.run(bcrypt.hashSync(newPassword, 10), userId);
+  revokeAllSessions(userId);
+  return { user: statements.getUser.get(userId) };
+}
+
+// Mail a single-use reset link. Unknown addresses are silently ignored so
+// the endpoint can't be used to probe for accounts.
+async function requestPasswordReset(email) {
+  const user = typeof email === "string" && statements.findByEmail.get(email.trim().toLowerCase());
+  if (!user) return;
+  const token = randomToken();
+  const now = new Date();
+  statements.insertReset.run({
+    id: nanoid(),
+    userId: user.id,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60000).toISOString(),
+  });
+  await mailer.sendMail({
+    to: user.email,
+    subject: "Reset your Social Contract password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Use this link to choose a new password (valid for ${RESET_TOKEN_TTL_MINUTES} minutes):\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      `Or send the token to POST /api/auth/password-reset/confirm:\n${token}\n\n` +
+      "If you didn't ask for this, you can ignore this email.",
+  });
+}
+
+// Consume a reset token and set the new password. Returns { user } or { error }.
+const resetPassword = db.transaction((token, newPassword) => {
+  const reset = typeof token === "string" && statements.findReset.get(hashToken(token));
+  if (!reset || reset.usedAt || reset.expiresAt <= new Date().toISOString()) {
+    return { error: "Reset link is invalid or has expired" };
+  }
+  const invalid = validatePassword(newPassword);
+  if (invalid) return { error: invalid };
+  const user = statements.getUser.get(reset.userId);
+  if (!user || user.deletedAt) return { error: "Reset link is invalid or has expired" };
+  const now = new Date().toISOString();
+  statements.useReset.run(now, reset.id);
+  statements.expireOpenResets.run(now, user.id);
+  statements.setPassword.run(bcrypt.hashSync(newPassword, 10), user.id);
+  revokeAllSessions(user.id);
+  return { user: statements.getUser.get(user.id) };
+});
+
+/* -------------------- Deletion -------------------- */
+
+// Strip personal data from the account and keep a tombstone row so
+// contracts, check-ins and messages stay consistent; the user's messages
+// then show up as sent by "Deleted user".
+const deleteAccount = db.transaction((userId) => {
+  const now = new Date().toISOString();
+  revokeAllSessions(userId);
+  statements.revokeAccessTokens.run(now, userId);
+  statements.disableWebhooks.run(now, userId);
+  statements.expireOpenResets.run(now, userId);
+  statements.deleteNotifications.run(userId);
+  statements.clearEndorsementNotes.run(userId);
+  statements.clearImportNames.run(userId);
+  statements.anonymizeUser.run({ id: userId, name: DELETED_NAME, deletedAt: now });
+});
+
+module.exports = {
+  DEFAULT_VISIBILITY,
+  topicsOf,
+  visibilityOf,
+  publicProfile,
+  getProfile,
+  checkPassword,
+  validatePassword,
+  updateProfile,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  deleteAccount,
+};
@@ -0,0 +1,481 @@
+const crypto = require("crypto");
+const path = require("path");
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const proofs = require("./proofs");
+const { contractEndDate } = require("./progress");
+const { isTerminal } = require("./lifecycle");
+const { isDateKey, resolveCheckinDay } = require("./checkins");
+const { localDateKey } = require("./timezones");
+
+// Check-ins from activity files (`POST /api/me/imports`): a GPX track or a
+// CSV export from a fitness, sleep or reading tracker.
+//
+// Each activity gets a type (run, ride, sleep, reading, ...), which decides
+// the contract topic it counts toward, and a day in the user's timezone. It
+// is then checked in on every running contract of that topic that covers
+// the day, or only on `contractId` when one is given. The usual day rules
+// apply (see checkins.js), so days past the grace window are reported as
+// skipped. Distance, duration and pages go on the check-in as metric
+// evidence, and the check-in is marked `source: "import"`.
+//
+// CSV columns come from a preset, detected from the header row when not
+// given, and each can be overridden. A file that was imported before is
+// ignored as a whole; an activity that already led to check-ins is skipped
+// when it turns up again in another file.
+
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+const FORMATS = ["gpx", "csv"];
+const HISTORY_LIMIT = 50;
+
+// Activity types and the topic they count toward. Tracker labels are matched
+// against the patterns in this order.
+const ACTIVITY_KINDS = {
+  run: { topic: "fitness", pattern: /run|jog/ },
+  ride: { topic: "fitness", pattern: /ride|cycl|bik/ },
+  walk: { topic: "fitness", pattern: /walk|hik/ },
+  swim: { topic: "fitness", pattern: /swim/ },
+  sleep: { topic: "sleep", pattern: /sleep|nap/ },
+  reading: { topic: "study", pattern: /read|book/ },
+  workout: { topic: "fitness", pattern: /workout|strength|weight|gym|yoga|rowing|training|cardio|elliptical/ },
+};
+
+// Column names as the trackers export them. A preset is picked when the
+// file has its date column, its type column (if any) and one metric column.
+const CSV_PRESETS = {
+  strava: {
+    date: "Activity Date",
+    kind: "Activity Type",
+    distance: "Distance",
+    distanceUnit: "km",
+    duration: "Elapsed Time",
+    durationUnit: "s",
+    defaultKind: "workout",
+  },
+  garmin: {
+    date: "Date",
+    kind: "Activity Type",
+    distance: "Distance",
+    distanceUnit: "km",
+    duration: "Time",
+    durationUnit: "s",
+    defaultKind: "workout",
+  },
+  fitbit_sleep: { date: "Start Time", duration: "Minutes Asleep", durationUnit: "min", defaultKind: "sleep" },
+  reading_log: { date: "Date", pages: "Pages", duration: "Minutes", durationUnit: "min", defaultKind: "reading" },
+};
+const DISTANCE_UNITS = { km: 1, mi: 1.609344, m: 0.001 };
+const DURATION_UNITS = { s: 1 / 60, min: 1, h: 60 };
+
+const statements = {
+  getUser: db.prepare("SELECT id, timezone FROM users WHERE id = ?"),
+  findImport: db.prepare("SELECT * FROM activity_imports WHERE userId = ? AND fileHash = ?"),
+  insertImport: db.prepare(
+    `INSERT INTO activity_imports (id, userId, fileHash, fileName, format, summary, createdAt)
+     VALUES (@id, @userId, @fileHash, @fileName, @format, @summary, @createdAt)`
+  ),
+  listImports: db.prepare("SELECT * FROM activity_imports WHERE userId = ? ORDER BY createdAt DESC LIMIT ?"),
+  findActivity: db.prepare("SELECT 1 FROM imported_activities WHERE userId = ? AND fingerprint = ?"),
+  insertActivity: db.prepare(
+    `INSERT INTO imported_activities (id, importId, userId, fingerprint, kind, dateKey, createdAt)
+     VALUES (@id, @importId, @userId, @fingerprint, @kind, @dateKey, @createdAt)`
+  ),
+  // Contracts the user is still in and that have started.
+  runningContracts: db.prepare(
+    `SELECT c.* FROM contracts c
+     JOIN contract_members m ON m.contractId = c.id AND m.userId = ? AND m.leftAt IS NULL
+     WHERE c.startDate IS NOT NULL AND c.archivedAt IS NULL
+     ORDER BY c.createdAt ASC`
+  ),
+  // Same upsert as a manual check-in; flipping the answer also takes over the source.
+  insertCheckin: db.prepare(
+    `INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt, late, source, recordedAt)
+     VALUES (@id, @contractId, @userId, @dateKey, 1, @createdAt, @late, 'import', @createdAt)
+     ON CONFLICT(contractId, userId, dateKey) DO UPDATE SET
+       editedAt = CASE WHEN checkins.done != excluded.done THEN excluded.createdAt ELSE checkins.editedAt END,
+       late = CASE WHEN checkins.done != excluded.done THEN excluded.late ELSE checkins.late END,
+       source = CASE WHEN checkins.done != excluded.done THEN excluded.source ELSE checkins.source END,
+       recordedAt = excluded.recordedAt,
+       done = excluded.done`
+  ),
+  findCheckin: db.prepare("SELECT * FROM checkins WHERE contractId = ? AND userId = ? AND dateKey = ?"),
+};
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function kindOf(label) {
+  const text = String(label || "").toLowerCase();
+  if (!text) return null;
+  return Object.keys(ACTIVITY_KINDS).find((kind) => kind === text || ACTIVITY_KINDS[kind].pattern.test(text)) || null;
+}
+
+// Timestamps with a zone (GPX, ISO exports) are moved into the user's
+// timezone; wall-clock ones are taken as already local. Returns
+// { dateKey, start } or null.
+function activityTime(text, timezone) {
+  const value = String(text || "").trim();
+  const wallClock = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (wallClock) return isDateKey(wallClock[1]) ? { dateKey: wallClock[1], start: value } : null;
+  if (/:\d{2}(?:\.\d+)?\s*(?:Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    return { dateKey: localDateKey(timezone, new Date(time)), start: new Date(time).toISOString() };
+  }
+  // Anything else Date can read ("Jan 5, 2024, 6:30:00 AM", "01/05/2024"), still wall-clock.
+  const time = Date.parse(`${value} UTC`);
+  if (!value || Number.isNaN(time)) return null;
+  return { dateKey: new Date(time).toISOString().slice(0, 10), start: value };
+}
+
+// "5.2", "1,234.5", "5,2 km" -> number, or null.
+function parseNumber(text) {
+  const cleaned = String(text ?? "").trim().replace(/,(?=\d{3}(?!\d))/g, "").replace(",", ".");
+  const match = cleaned.match(/^-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+// "1:02:03" and "45:10" are read as clock durations; plain numbers use `unit`.
+function parseMinutes(text, unit) {
+  const clock = String(text ?? "").trim().match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    const [h, m, s] = clock[3] === undefined ? [0, clock[1], clock[2]] : [clock[1], clock[2], clock[3]];
+    return round(Number(h) * 60 + Number(m) + Number(s) / 60, 1);
+  }
+  const value = parseNumber(text);
+  return value === null ? null : round(value * DURATION_UNITS[unit || "min"], 1);
+}
+
+function fingerprint(parts) {
+  return crypto.createHash("sha256").update(parts.join("|")).digest("hex");
+}
+
+/* -------------------- GPX -------------------- */
+
+function decodeXml(text) {
+  return text
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "i"));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+function attribute(attrs, name) {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+function distanceKm(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const h =
+    Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lon - a.lon) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// One activity per <trk>: distance summed over its segments, duration from
+// the first to the last timestamp.
+function parseGpx(text, { kind, timezone }) {
+  if (!/<gpx[\s>]/i.test(text)) return { error: "Not a GPX file" };
+  const tracks = [...text.matchAll(/<trk[\s>][\s\S]*?<\/trk>/gi)].map((match) => match[0]);
+  if (!tracks.length) return { error: "The GPX file has no tracks" };
+  const fileTime = tagText(tagText(text, "metadata") || "", "time");
+  const activities = [];
+  const errors = [];
+  tracks.forEach((track, index) => {
+    let distance = 0;
+    const times = [];
+    [...track.matchAll(/<trkseg[\s>][\s\S]*?<\/trkseg>/gi)].forEach(([segment]) => {
+      let previous = null;
+      [...segment.matchAll(/<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/gi)].forEach(([, attrs, body]) => {
+        const point = { lat: Number(attribute(attrs, "lat")), lon: Number(attribute(attrs, "lon")) };
+        if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon)) return;
+        const time = Date.parse(tagText(body || "", "time"));
+        if (!Number.isNaN(time)) times.push(time);
+        if (previous) distance += distanceKm(previous, point);
+        previous = point;
+      });
+    });
+    const startTime = times.length ? Math.min(...times) : Date.parse(fileTime);
+    if (Number.isNaN(startTime)) {
+      errors.push({ row: index + 1, error: "Track has no timestamps" });
+      return;
+    }
+    const start = new Date(startTime).toISOString();
+    const activity = {
+      row: index + 1,
+      kind: kind || kindOf(tagText(track, "type")) || "workout",
+      dateKey: localDateKey(timezone, new Date(startTime)),
+      start,
+      distanceKm: distance > 0 ? round(distance, 2) : null,
+      durationMin: times.length > 1 ? round((Math.max(...times) - startTime) / 60000, 1) : null,
+      pages: null,
+    };
+    activities.push({ ...activity, fingerprint: fingerprint([activity.kind, start, activity.distanceKm]) });
+  });
+  return { activities, errors };
+}
+
+/* -------------------- CSV -------------------- */
+
+// Quoted fields may hold the delimiter, doubled quotes and line breaks.
+function parseCsv(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += char;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Preset columns overridden by the caller's `...Column` / unit options.
+// Returns the mapping (reported back with the import), the column indexes in
+// the header row (-1 when missing) and the preset's default activity type.
+function csvMapping(headers, options) {
+  const has = (name) => Boolean(name) && headers.includes(name.toLowerCase());
+  const presetName =
+    options.preset ||
+    Object.keys(CSV_PRESETS).find((name) => {
+      const preset = CSV_PRESETS[name];
+      const hasMetric = [preset.distance, preset.duration, preset.pages].some(has);
+      return has(preset.date) && (!preset.kind || has(preset.kind)) && hasMetric;
+    });
+  const preset = CSV_PRESETS[presetName] || {};
+  const mapping = {
+    preset: presetName || null,
+    date: options.dateColumn || preset.date,
+    kind: options.kindColumn || preset.kind,
+    distance: options.distanceColumn || preset.distance,
+    duration: options.durationColumn || preset.duration,
+    pages: options.pagesColumn || preset.pages,
+    distanceUnit: options.distanceUnit || preset.distanceUnit || "km",
+    durationUnit: options.durationUnit || preset.durationUnit || "min",
+  };
+  const index = (name) => (name ? headers.indexOf(name.toLowerCase()) : -1);
+  return {
+    mapping,
+    defaultKind: preset.defaultKind || null,
+    columns: {
+      date: index(mapping.date),
+      kind: index(mapping.kind),
+      distance: index(mapping.distance),
+      duration: index(mapping.duration),
+      pages: index(mapping.pages),
+    },
+  };
+}
+
+function parseCsvActivities(text, options) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header || !rows.length) return { error: "The CSV file has no rows" };
+  const { mapping, columns, defaultKind } = csvMapping(header.map((name) => name.trim().toLowerCase()), options);
+  if (columns.date < 0 || [columns.distance, columns.duration, columns.pages].every((i) => i < 0)) {
+    return {
+      error: "Couldn't tell which columns to read; pass a preset or dateColumn with distanceColumn, durationColumn or pagesColumn",
+    };
+  }
+  const activities = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const row = index + 2; // 1-based, after the header
+    const cell = (i) => (i >= 0 ? (cells[i] || "").trim() : "");
+    const time = activityTime(cell(columns.date), options.timezone);
+    if (!time) {
+      errors.push({ row, error: `Unreadable date "${cell(columns.date)}"` });
+      return;
+    }
+    const kind = options.kind || kindOf(cell(columns.kind)) || defaultKind;
+    if (!kind) {
+      errors.push({ row, error: "Unknown activity type; pass kind" });
+      return;
+    }
+    const distance = parseNumber(cell(columns.distance));
+    const pages = parseNumber(cell(columns.pages));
+    const activity = {
+      row,
+      kind,
+      dateKey: time.dateKey,
+      start: time.start,
+      distanceKm: distance === null ? null : round(distance * DISTANCE_UNITS[mapping.distanceUnit], 2),
+      durationMin: parseMinutes(cell(columns.duration), mapping.durationUnit),
+      pages: pages === null ? null : Math.round(pages),
+    };
+    if (activity.distanceKm === null && activity.durationMin === null && activity.pages === null) {
+      errors.push({ row, error: "No distance, duration or pages" });
+      return;
+    }
+    activities.push({
+      ...activity,
+      fingerprint: fingerprint([kind, time.start, activity.distanceKm, activity.durationMin, activity.pages]),
+    });
+  });
+  return { activities, errors, mapping };
+}
+
+/* -------------------- Import -------------------- */
+
+function detectFormat(format, fileName, text) {
+  if (format) return format;
+  const extension = path.extname(fileName || "").slice(1).toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+  return /^\s*(<\?xml[^>]*>\s*)?<gpx[\s>]/i.test(text) ? "gpx" : "csv";
+}
+
+function metricEvidence(activity, fileName) {
+  const note = `Imported ${activity.kind} from ${fileName || "an activity file"}`;
+  return [
+    ["distance", activity.distanceKm, "km"],
+    ["duration", activity.durationMin, "min"],
+    ["pages", activity.pages, "pages"],
+  ]
+    .filter(([, value]) => value !== null)
+    .map(([metricName, metricValue, metricUnit]) => ({ kind: "metric", metricName, metricValue, metricUnit, note }));
+}
+
+function publicImport(row) {
+  const { fileHash, summary, ...rest } = row;
+  return { ...rest, ...JSON.parse(summary) };
+}
+
+function coversDay(contract, dateKey) {
+  const endDate = contractEndDate(contract);
+  return dateKey >= contract.startDate && (!endDate || dateKey <= endDate);
+}
+
+// Check one activity in on the matching contracts. Returns the activity's
+// outcome and the check-ins it touched.
+function applyActivity(activity, contracts, { userId, timezone, fileName, contractId }) {
+  const topic = ACTIVITY_KINDS[activity.kind].topic;
+  const matches = contracts.filter(
+    (contract) => (contractId ? contract.id === contractId : contract.topicCategory === topic) && coversDay(contract, activity.dateKey)
+  );
+  const outcome = { contractIds: [], skipped: [] };
+  const touched = [];
+  matches.forEach((contract) => {
+    const day = resolveCheckinDay(contract, timezone, activity.dateKey);
+    if (day.error) return outcome.skipped.push({ contractId: contract.id, error: day.error });
+    statements.insertCheckin.run({
+      id: nanoid(),
+      contractId: contract.id,
+      userId,
+      dateKey: day.dateKey,
+      createdAt: new Date().toISOString(),
+      late: day.late ? 1 : 0,
+    });
+    const checkin = statements.findCheckin.get(contract.id, userId, day.dateKey);
+    metricEvidence(activity, fileName).forEach((evidence) => proofs.addEvidence(checkin, userId, evidence));
+    outcome.contractIds.push(contract.id);
+    touched.push({ contract, checkinId: checkin.id });
+  });
+  let status = "unmatched";
+  if (outcome.contractIds.length) status = "imported";
+  else if (outcome.skipped.length) status = "skipped";
+  return { status, ...outcome, touched };
+}
+
+// Returns { import, duplicate, activities, errors, checkins } or
+// { error, status }. `checkins` lists { contract, checkinId } for every
+// check-in created or updated, so the caller can notify the other members.
+const importActivities = db.transaction((userId, buffer, options = {}) => {
+  const user = statements.getUser.get(userId);
+  if (!user) return { error: "User not found", status: 404 };
+  if (!Buffer.isBuffer(buffer) || !buffer.length) return { error: "File body required", status: 400 };
+  const fileName = options.fileName ? path.basename(String(options.fileName)).slice(0, 200) : null;
+  const fileHash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const previous = statements.findImport.get(userId, fileHash);
+  if (previous) return { import: publicImport(previous), duplicate: true, activities: [], errors: [], checkins: [] };
+
+  const contracts = statements.runningContracts.all(userId).filter((contract) => !isTerminal(contract.status));
+  if (options.contractId && !contracts.some((contract) => contract.id === options.contractId)) {
+    return { error: "contractId must be a running contract you're a member of", status: 400 };
+  }
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const format = detectFormat(options.format, fileName, text);
+  const parseOptions = { ...options, timezone: user.timezone };
+  const parsed = format === "gpx" ? parseGpx(text, parseOptions) : parseCsvActivities(text, parseOptions);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  const createdAt = new Date().toISOString();
+  const importId = nanoid();
+  const seen = new Set();
+  const fingerprints = [];
+  const touched = [];
+  const activities = parsed.activities.map(({ fingerprint: key, ...activity }) => {
+    if (seen.has(key) || statements.findActivity.get(userId, key)) return { ...activity, status: "duplicate", contractIds: [], skipped: [] };
+    seen.add(key);
+    const { touched: checkins, ...outcome } = applyActivity(activity, contracts, {
+      userId,
+      timezone: user.timezone,
+      fileName,
+      contractId: options.contractId,
+    });
+    if (checkins.length) fingerprints.push({ fingerprint: key, kind: activity.kind, dateKey: activity.dateKey });
+    touched.push(...checkins);
+    return { ...activity, ...outcome };
+  });
+
+  const count = (status) => activities.filter((activity) => activity.status === status).length;
+  const summary = {
+    activities: activities.length,
+    imported: count("imported"),
+    duplicates: count("duplicate"),
+    skipped: count("skipped"),
+    unmatched: count("unmatched"),
+    errors: parsed.errors.length,
+    checkins: touched.length,
+    mapping: parsed.mapping || null,
+  };
+  const row = { id: importId, userId, fileHash, fileName, format, summary: JSON.stringify(summary), createdAt };
+  statements.insertImport.run(row);
+  fingerprints.forEach((entry) => statements.insertActivity.run({ id: nanoid(), importId, userId, createdAt, ...entry }));
+  return { import: publicImport(row), duplicate: false, activities, errors: parsed.errors, checkins: touched };
+});
+
+function listImports(userId) {
+  return statements.listImports.all(userId, HISTORY_LIMIT).map(publicImport);
+}
+
+module.exports = {
+  IMPORT_MAX_BYTES,
+  FORMATS,
+  ACTIVITY_KINDS,
+  CSV_PRESETS,
+  DISTANCE_UNITS,
+  DURATION_UNITS,
+  activityTime,
+  parseCsv,
+  parseGpx,
+  importActivities,
+  listImports,
+};
@@ -0,0 +1,233 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const members = require("./members");
+const { parseStakesInput } = require("./stakes");
+const { recordEvent } = require("./events");
+const { contractEndDate, todayKey } = require("./progress");
+
+// Contract amendments. While a contract has only its owner, edits apply
+// straight away. Once someone has joined, an edit becomes a proposal that
+// every other member must accept; one rejection closes it. Accepted terms
+// apply from the day of acceptance (or the start date, if later), and the
+// previous values are kept so progress can use the terms in force per day.
+
+const RUNNING_STATUSES = new Set(["open", "matched", "active"]);
+const STAKE_FIELDS = ["stakeAmount", "stakeUnit", "forfeitRule", "beneficiary", "beneficiaryLabel"];
+const AMENDABLE_FIELDS = ["title", "description", "frequencyPerWeek", "durationDays", "stakesLevel", "proofBasis", ...STAKE_FIELDS];
+const PROOF_BASES = new Set(["honor", "prove"]);
+const MAX_DURATION_DAYS = 365;
+
+const statements = {
+  insert: db.prepare(
+    `INSERT INTO contract_amendments (id, contractId, proposedBy, changes, previous, note, status, createdAt)
+     VALUES (@id, @contractId, @proposedBy, @changes, @previous, @note, 'pending', @createdAt)`
+  ),
+  get: db.prepare("SELECT * FROM contract_amendments WHERE id = ? AND contractId = ?"),
+  pendingFor: db.prepare("SELECT * FROM contract_amendments WHERE contractId = ? AND status = 'pending'"),
+  list: db.prepare("SELECT * FROM contract_amendments WHERE contractId = ? ORDER BY createdAt DESC"),
+  listAccepted: db.prepare(
+    "SELECT * FROM contract_amendments WHERE contractId = ? AND status = 'accepted' ORDER BY effectiveDate ASC, resolvedAt ASC"
+  ),
+  resolve: db.prepare(
+    `UPDATE contract_amendments SET status = @status, resolvedAt = @resolvedAt, effectiveDate = @effectiveDate
+     WHERE id = @id AND status = 'pending'`
+  ),
+  upsertResponse: db.prepare(
+    `INSERT INTO amendment_responses (amendmentId, userId, response, respondedAt)
+     VALUES (@amendmentId, @userId, @response, @respondedAt)
+     ON CONFLICT(amendmentId, userId) DO UPDATE SET response = excluded.response, respondedAt = excluded.respondedAt`
+  ),
+  listResponses: db.prepare("SELECT userId, response, respondedAt FROM amendment_responses WHERE amendmentId = ?"),
+  getContract: db.prepare("SELECT * FROM contracts WHERE id = ?"),
+};
+
+function positiveInteger(value, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : null;
+}
+
+// Validate requested changes against the contract. Returns { changes } with
+// only the fields that actually differ, or { error }.
+function parseChanges(contract, input) {
+  if (!input || typeof input !== "object") return { error: "changes object required" };
+  const next = {};
+  if (input.title !== undefined) {
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title) return { error: "title can't be empty" };
+    next.title = title;
+  }
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== "string") return { error: "description must be a string" };
+    next.description = (input.description || "").trim();
+  }
+  if (input.frequencyPerWeek !== undefined) {
+    next.frequencyPerWeek = positiveInteger(input.frequencyPerWeek, 7);
+    if (next.frequencyPerWeek === null) return { error: "frequencyPerWeek must be a whole number from 1 to 7" };
+  }
+  if (input.durationDays !== undefined) {
+    next.durationDays = positiveInteger(input.durationDays, MAX_DURATION_DAYS);
+    if (next.durationDays === null) return { error: `durationDays must be a whole number from 1 to ${MAX_DURATION_DAYS}` };
+    const newEnd = contract.startDate && contractEndDate({ ...contract, durationDays: next.durationDays });
+    if (newEnd && newEnd < todayKey()) return { error: "durationDays would end the contract in the past" };
+  }
+  if (input.stakesLevel !== undefined) {
+    if (typeof input.stakesLevel !== "string" || !input.stakesLevel.trim()) return { error: "stakesLevel can't be empty" };
+    next.stakesLevel = input.stakesLevel.trim();
+  }
+  if (input.proofBasis !== undefined) {
+    if (!PROOF_BASES.has(input.proofBasis)) return { error: "proofBasis must be honor or prove" };
+    next.proofBasis = input.proofBasis;
+  }
+  if (input.stakes !== undefined) {
+    const parsed = parseStakesInput(input.stakes);
+    if (parsed.error) return { error: parsed.error };
+    Object.assign(next, parsed.stakes);
+  }
+  const changes = {};
+  Object.keys(next).forEach((field) => {
+    if (next[field] !== contract[field]) changes[field] = next[field];
+  });
+  if (!Object.keys(changes).length) return { error: "No changes" };
+  return { changes };
+}
+
+function pick(contract, fields) {
+  const out = {};
+  fields.forEach((field) => {
+    out[field] = contract[field] ?? null;
+  });
+  return out;
+}
+
+// Write the new terms to the contract and log them.
+function applyChanges(contract, changes, actorId, amendmentId = null) {
+  const fields = Object.keys(changes).filter((field) => AMENDABLE_FIELDS.includes(field));
+  const sets = fields.map((field) => `${field} = @${field}`).join(", ");
+  db.prepare(`UPDATE contracts SET ${sets} WHERE id = @id`).run({ ...changes, id: contract.id });
+  recordEvent(contract.id, "terms_changed", {
+    actorId,
+    data: { amendmentId, before: pick(contract, fields), after: pick(changes, fields) },
+  });
+  return statements.getContract.get(contract.id);
+}
+
+function toPublic(amendment) {
+  if (!amendment) return amendment;
+  return {
+    ...amendment,
+    changes: JSON.parse(amendment.changes),
+    previous: JSON.parse(amendment.previous),
+    responses: statements.listResponses.all(amendment.id),
+  };
+}
+
+function getAmendment(contractId, id) {
+  return toPublic(statements.get.get(id, contractId));
+}
+
+function listAmendments(contractId) {
+  return statements.list.all(contractId).map(toPublic);
+}
+
+// Edit a contract. Returns { contract } when applied directly,
+// { amendment } when it needs approval, or { error, status }.
+function proposeAmendment(contract, userId, input) {
+  if (!RUNNING_STATUSES.has(contract.status)) return { error: `Contract is ${contract.status}`, status: 400 };
+  const parsed = parseChanges(contract, input);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+  const note = typeof input.note === "string" ? input.note.trim().slice(0, 500) || null : null;
+
+  if (members.memberIds(contract.id).every((id) => id === userId)) {
+    return { contract: db.transaction(() => applyChanges(contract, parsed.changes, userId))() };
+  }
+  if (statements.pendingFor.get(contract.id)) {
+    return { error: "Another amendment is already waiting for a response", status: 409 };
+  }
+  const row = {
+    id: nanoid(),
+    contractId: contract.id,
+    proposedBy: userId,
+    changes: JSON.stringify(parsed.changes),
+    previous: JSON.stringify(pick(contract, Object.keys(parsed.changes))),
+    note,
+    createdAt: new Date().toISOString(),
+  };
+  db.transaction(() => {
+    statements.insert.run(row);
+    recordEvent(contract.id, "amendment_proposed", { actorId: userId, data: { amendmentId: row.id, changes: parsed.changes, note } });
+  })();
+  return { amendment: getAmendment(contract.id, row.id) };
+}
+
+function resolve(contract, amendment, status, actorId) {
+  const now = new Date().toISOString();
+  const today = todayKey();
+  const effectiveDate = status === "accepted" ? (contract.startDate > today ? contract.startDate : today) : null;
+  if (!statements.resolve.run({ id: amendment.id, status, resolvedAt: now, effectiveDate }).changes) return null;
+  recordEvent(contract.id, `amendment_${status}`, { actorId, data: { amendmentId: amendment.id } });
+  // Refetch: another amendment may have been applied since this one was proposed.
+  if (status === "accepted") applyChanges(statements.getContract.get(contract.id), amendment.changes, actorId, amendment.id);
+  return getAmendment(contract.id, amendment.id);
+}
+
+// Accept or reject as one of the other members. Returns
+// { amendment, contract } or { error, status }.
+const respondToAmendment = db.transaction((contract, amendment, userId, accept) => {
+  if (amendment.status !== "pending") return { error: `Amendment is already ${amendment.status}`, status: 400 };
+  if (amendment.proposedBy === userId) return { error: "You can't respond to your own amendment", status: 403 };
+  statements.upsertResponse.run({
+    amendmentId: amendment.id,
+    userId,
+    response: accept ? "accepted" : "rejected",
+    respondedAt: new Date().toISOString(),
+  });
+  let updated = getAmendment(contract.id, amendment.id);
+  if (!accept) {
+    updated = resolve(contract, amendment, "rejected", userId);
+  } else {
+    const accepted = new Set(updated.responses.filter((r) => r.response === "accepted").map((r) => r.userId));
+    const waitingOn = members.memberIds(contract.id).filter((id) => id !== amendment.proposedBy && !accepted.has(id));
+    if (!waitingOn.length) updated = resolve(contract, amendment, "accepted", userId);
+  }
+  return { amendment: updated, contract: statements.getContract.get(contract.id) };
+});
+
+function withdrawAmendment(contract, amendment, userId) {
+  if (amendment.proposedBy !== userId) return { error: "Only the proposer can withdraw an amendment", status: 403 };
+  if (amendment.status !== "pending") return { error: `Amendment is already ${amendment.status}`, status: 400 };
+  return { amendment: db.transaction(() => resolve(contract, amendment, "withdrawn", userId))() };
+}
+
+// Term history for progress: one segment per accepted amendment that
+// touched frequency or proof basis, plus the original terms from startDate.
+function termsTimeline(contract) {
+  const fields = ["frequencyPerWeek", "proofBasis"];
+  const accepted = statements.listAccepted.all(contract.id).map(toPublic);
+  const terms = pick(contract, fields);
+  const segments = [];
+  [...accepted].reverse().forEach((amendment) => {
+    if (!fields.some((field) => field in amendment.changes)) return;
+    segments.unshift({ from: amendment.effectiveDate, ...terms });
+    fields.forEach((field) => {
+      if (field in amendment.previous) terms[field] = amendment.previous[field];
+    });
+  });
+  if (!segments.length) return null;
+  segments.unshift({ from: contract.startDate, ...terms });
+  return segments;
+}
+
+function getContract(id) {
+  return statements.getContract.get(id);
+}
+
+module.exports = {
+  getContract,
+  parseChanges,
+  proposeAmendment,
+  respondToAmendment,
+  withdrawAmendment,
+  getAmendment,
+  listAmendments,
+  termsTimeline,
+};
@@ -0,0 +1,178 @@
+const db = require("./db");
+const { recordEvent } = require("./events");
+
+// Personal data archive: everything a user can take to another instance.
+// The export holds the user's profile and settings, every contract they have
+// been a member of, and their own check-ins (with evidence metadata, not
+// uploaded files), messages, saved templates and stake ledger entries.
+// Other people's check-ins and messages are left out.
+//
+// Importing recreates the user without a password (they set one through the
+// reset flow) and their contracts as archived history. Other participants
+// don't come along, so only rows that belong to the importing user are kept.
+// Ledger entries are exported for the record but not imported.
+
+const FORMAT = "social-contract-archive";
+const VERSION = 1;
+
+const USER_FIELDS = [
+  "id", "name", "email", "timezone", "avatarUrl", "bio", "topics", "profileVisibility", "createdAt", "matchPreferences",
+  "notificationSettings",
+];
+const CONTRACT_FIELDS = [
+  "id", "ownerId", "partnerId", "title", "topicCategory", "description", "frequencyPerWeek", "durationDays",
+  "stakesLevel", "proofBasis", "status", "startDate", "createdAt", "inviteCode", "endedAt", "archivedAt",
+  "stakeAmount", "stakeUnit", "forfeitRule", "beneficiary", "beneficiaryLabel", "capacity", "graceHours",
+  "templateId", "clonedFromId",
+];
+const CHECKIN_FIELDS = ["id", "contractId", "userId", "dateKey", "done", "createdAt", "late", "editedAt", "verificationStatus", "verifiedAt", "disputeReason", "source", "recordedAt"];
+const EVIDENCE_FIELDS = ["id", "checkinId", "contractId", "userId", "kind", "url", "fileName", "mimeType", "sizeBytes", "metricName", "metricValue", "metricUnit", "note", "createdAt"];
+const MESSAGE_FIELDS = ["id", "contractId", "senderId", "text", "createdAt", "editedAt", "deletedAt"];
+const TEMPLATE_FIELDS = [
+  "id", "ownerId", "title", "topicCategory", "description", "frequencyPerWeek", "durationDays", "stakesLevel",
+  "proofBasis", "proofIdeas", "stakeAmount", "stakeUnit", "forfeitRule", "beneficiary", "beneficiaryLabel",
+  "capacity", "graceHours", "createdAt",
+];
+
+const statements = {
+  getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+  findUserByEmail: db.prepare("SELECT id FROM users WHERE email = ?"),
+  listContracts: db.prepare(
+    `SELECT c.*, m.role as memberRole, m.joinedAt as memberJoinedAt, m.leftAt as memberLeftAt
+     FROM contracts c
+     JOIN contract_members m ON m.contractId = c.id AND m.userId = ?
+     ORDER BY c.createdAt ASC`
+  ),
+  listCheckins: db.prepare(
+    `SELECT k.*, c.title as contractTitle
+     FROM checkins k
+     JOIN contracts c ON c.id = k.contractId
+     WHERE k.userId = ?
+     ORDER BY k.dateKey ASC, c.title ASC`
+  ),
+  listEvidence: db.prepare("SELECT * FROM checkin_evidence WHERE userId = ? ORDER BY createdAt ASC"),
+  listMessages: db.prepare("SELECT * FROM messages WHERE senderId = ? ORDER BY createdAt ASC"),
+  listTemplates: db.prepare("SELECT * FROM contract_templates WHERE ownerId = ? ORDER BY createdAt ASC"),
+  listLedger: db.prepare("SELECT * FROM stake_ledger WHERE debtorId = ? OR creditorId = ? ORDER BY createdAt ASC"),
+  userExists: db.prepare("SELECT 1 FROM users WHERE id = ?"),
+  contractExists: db.prepare("SELECT 1 FROM contracts WHERE id = ?"),
+  checkinExists: db.prepare("SELECT 1 FROM checkins WHERE id = ?"),
+  insertMember: db.prepare(
+    `INSERT OR IGNORE INTO contract_members (contractId, userId, role, joinedAt, leftAt)
+     VALUES (@contractId, @userId, @role, @joinedAt, @leftAt)`
+  ),
+};
+
+function pick(row, fields) {
+  const out = {};
+  fields.forEach((field) => {
+    out[field] = row[field] === undefined ? null : row[field];
+  });
+  return out;
+}
+
+function buildUserArchive(userId) {
+  const user = statements.getUser.get(userId);
+  if (!user) return null;
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    user: pick(user, USER_FIELDS),
+    contracts: statements.listContracts.all(userId).map((row) => ({
+      ...pick(row, CONTRACT_FIELDS),
+      membership: { role: row.memberRole, joinedAt: row.memberJoinedAt, leftAt: row.memberLeftAt },
+    })),
+    checkins: statements.listCheckins.all(userId).map((row) => pick(row, CHECKIN_FIELDS)),
+    evidence: statements.listEvidence.all(userId).map((row) => pick(row, EVIDENCE_FIELDS)),
+    messages: statements.listMessages.all(userId).map((row) => pick(row, MESSAGE_FIELDS)),
+    templates: statements.listTemplates.all(userId).map((row) => pick(row, TEMPLATE_FIELDS)),
+    ledger: statements.listLedger.all(userId, userId),
+  };
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The user's check-ins as CSV, one row per contract and day.
+function checkinsCsv(userId) {
+  const columns = ["contractId", "contractTitle", "dateKey", "done", "late", "editedAt", "verificationStatus", "createdAt"];
+  const rows = statements.listCheckins.all(userId).map((row) =>
+    columns.map((column) => csvCell(column === "done" || column === "late" ? (row[column] ? "yes" : "no") : row[column])).join(",")
+  );
+  return `${[columns.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+function insertRow(table, row) {
+  const columns = Object.keys(row);
+  db.prepare(
+    `INSERT OR IGNORE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((c) => `@${c}`).join(", ")})`
+  ).run(row);
+}
+
+// Returns { user, counts } or { error }. Rows whose id already exists are
+// skipped, so importing the same archive twice is harmless once the user exists.
+const importUserArchive = db.transaction((archive) => {
+  if (!archive || archive.format !== FORMAT) return { error: "Not a Social Contract archive" };
+  if (archive.version !== VERSION) return { error: `Unsupported archive version ${archive.version}` };
+  const user = pick(archive.user || {}, USER_FIELDS);
+  if (!user.id || !user.name || !user.createdAt) return { error: "Archive has no user" };
+  if (statements.userExists.get(user.id)) return { error: `User ${user.id} already exists` };
+  if (user.email && statements.findUserByEmail.get(user.email)) return { error: `Email ${user.email} is already registered` };
+  insertRow("users", { ...user, passwordHash: null, tokenVersion: 0 });
+
+  const counts = { contracts: 0, checkins: 0, evidence: 0, messages: 0, templates: 0 };
+  const importedAt = new Date().toISOString();
+  const contractIds = new Set();
+  (archive.contracts || []).forEach((entry) => {
+    if (statements.contractExists.get(entry.id)) return;
+    const contract = pick(entry, CONTRACT_FIELDS);
+    // Keep references to people that exist here; the rest fall back to the importer.
+    if (!statements.userExists.get(contract.ownerId)) contract.ownerId = user.id;
+    if (contract.partnerId && !statements.userExists.get(contract.partnerId)) contract.partnerId = null;
+    contract.inviteCode = null;
+    contract.archivedAt = contract.archivedAt || importedAt;
+    insertRow("contracts", contract);
+    statements.insertMember.run({
+      contractId: contract.id,
+      userId: user.id,
+      role: entry.membership?.role || (contract.ownerId === user.id ? "owner" : "member"),
+      joinedAt: entry.membership?.joinedAt || contract.createdAt,
+      leftAt: entry.membership?.leftAt || null,
+    });
+    recordEvent(contract.id, "imported", { actorId: user.id, data: { exportedAt: archive.exportedAt || null } });
+    contractIds.add(contract.id);
+    counts.contracts += 1;
+  });
+
+  const ours = (row, userField) => contractIds.has(row.contractId) && row[userField] === user.id;
+  (archive.checkins || []).filter((row) => ours(row, "userId")).forEach((row) => {
+    insertRow("checkins", { ...pick(row, CHECKIN_FIELDS), source: row.source || "manual" });
+    counts.checkins += 1;
+  });
+  // Uploaded files stay on the old server; links and metrics come along.
+  (archive.evidence || [])
+    .filter((row) => ours(row, "userId") && row.kind !== "file" && statements.checkinExists.get(row.checkinId))
+    .forEach((row) => {
+      insertRow("checkin_evidence", pick(row, EVIDENCE_FIELDS));
+      counts.evidence += 1;
+    });
+  (archive.messages || []).filter((row) => ours(row, "senderId")).forEach((row) => {
+    insertRow("messages", pick(row, MESSAGE_FIELDS));
+    counts.messages += 1;
+  });
+  (archive.templates || []).forEach((row) => {
+    insertRow("contract_templates", { ...pick(row, TEMPLATE_FIELDS), ownerId: user.id });
+    counts.templates += 1;
+  });
+  return { user: { id: user.id, email: user.email }, counts };
+});
+
+module.exports = {
+  buildUserArchive,
+  checkinsCsv,
+  importUserArchive,
+};
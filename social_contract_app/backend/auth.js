@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const { TOKEN_SCOPES, scopeForRoute } = require("./policy");
+
+// JWT access tokens plus rotating refresh tokens stored (hashed)
+// server-side. Each login starts a token family; refreshing revokes the
+// presented token and issues the next one in the family. Presenting an
+// already-rotated token revokes the whole family, since it means the token
+// leaked. Bumping users.tokenVersion invalidates every outstanding access token.
+//
+// Personal access tokens are long-lived credentials for scripts and
+// integrations. They carry scopes, only work on the routes those scopes cover
+// (policy.TOKEN_SCOPES) and are revoked one by one; logging out doesn't
+// touch them. Like refresh tokens they are stored hashed and shown once.
+
+const DEFAULT_SECRET = "dev-secret-change-me";
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_SECRET;
+// The bundled client doesn't refresh yet, so access tokens keep their old
+// 7-day lifetime unless ACCESS_TOKEN_TTL asks for less (e.g. "15m").
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "7d";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const ACCESS_TOKEN_PREFIX = "scpat_";
+const MAX_ACCESS_TOKENS = 20;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const statements = {
+  getUser: db.prepare("SELECT id, name, email, role, tokenVersion, deletedAt, suspendedAt FROM users WHERE id = ?"),
+  bumpTokenVersion: db.prepare("UPDATE users SET tokenVersion = tokenVersion + 1 WHERE id = ?"),
+  insertRefresh: db.prepare(
+    `INSERT INTO refresh_tokens (id, userId, familyId, tokenHash, userAgent, createdAt, expiresAt)
+     VALUES (@id, @userId, @familyId, @tokenHash, @userAgent, @createdAt, @expiresAt)`
+  ),
+  findRefresh: db.prepare("SELECT * FROM refresh_tokens WHERE tokenHash = ?"),
+  rotateRefresh: db.prepare(
+    "UPDATE refresh_tokens SET revokedAt = ?, replacedBy = ? WHERE id = ? AND revokedAt IS NULL"
+  ),
+  revokeRefresh: db.prepare("UPDATE refresh_tokens SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL"),
+  revokeFamily: db.prepare("UPDATE refresh_tokens SET revokedAt = ? WHERE familyId = ? AND revokedAt IS NULL"),
+  revokeAllForUser: db.prepare("UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL"),
+  insertAccessToken: db.prepare(
+    `INSERT INTO personal_access_tokens (id, userId, name, tokenHash, prefix, scopes, createdAt, expiresAt)
+     VALUES (@id, @userId, @name, @tokenHash, @prefix, @scopes, @createdAt, @expiresAt)`
+  ),
+  listAccessTokens: db.prepare("SELECT * FROM personal_access_tokens WHERE userId = ? ORDER BY createdAt DESC"),
+  countActiveAccessTokens: db.prepare(
+    "SELECT COUNT(*) as count FROM personal_access_tokens WHERE userId = ? AND revokedAt IS NULL AND (expiresAt IS NULL OR expiresAt > ?)"
+  ),
+  findAccessToken: db.prepare("SELECT * FROM personal_access_tokens WHERE tokenHash = ?"),
+  revokeAccessToken: db.prepare("UPDATE personal_access_tokens SET revokedAt = ? WHERE id = ? AND userId = ? AND revokedAt IS NULL"),
+  touchAccessToken: db.prepare(
+    "UPDATE personal_access_tokens SET lastUsedAt = @now WHERE id = @id AND (lastUsedAt IS NULL OR lastUsedAt < @before)"
+  ),
+};
+
+// Refuse to run a production server with the built-in secret.
+function assertSecureSecret() {
+  if (process.env.NODE_ENV === "production" && JWT_SECRET === DEFAULT_SECRET) {
+    throw new Error("JWT_SECRET must be set to a non-default value when NODE_ENV=production.");
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: user.id, ver: user.tokenVersion || 0 }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Returns { user } for a valid access token, or { error, status }: 401 if
+// it's missing, invalid, revoked or belongs to a deleted account, 403 if the
+// account is suspended. `options.ignoreExpiration` accepts expired tokens
+// (for sockets, which only need a current token to connect).
+function authenticate(token, options = {}) {
+  if (!token) return { error: "Unauthorized", status: 401 };
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { ignoreExpiration: Boolean(options.ignoreExpiration) });
+  } catch (e) {
+    return { error: "Invalid token", status: 401 };
+  }
+  const user = statements.getUser.get(payload.sub);
+  if (!user || user.deletedAt || (payload.ver || 0) !== user.tokenVersion) return { error: "Invalid token", status: 401 };
+  if (user.suspendedAt) return { error: "Account suspended", status: 403 };
+  return { user: { id: user.id, name: user.name, email: user.email, role: user.role } };
+}
+
+// The user a token belongs to, or null.
+function verifyToken(token, options) {
+  return authenticate(token, options).user || null;
+}
+
+function insertRefreshToken(userId, familyId, userAgent) {
+  const refreshToken = randomToken();
+  const now = new Date();
+  const row = {
+    id: nanoid(),
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: userAgent || null,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 86400000).toISOString(),
+  };
+  statements.insertRefresh.run(row);
+  return { row, refreshToken };
+}
+
+// Start a new session (one refresh token family) for a user row.
+function issueSession(user, { userAgent } = {}) {
+  const { refreshToken } = insertRefreshToken(user.id, nanoid(), userAgent);
+  return { token: signToken(user), refreshToken };
+}
+
+// Swap a refresh token for a new access/refresh pair. Returns
+// { token, refreshToken, userId } or { error }.
+const rotateRefreshToken = db.transaction((presented, { userAgent } = {}) => {
+  const current = typeof presented === "string" && statements.findRefresh.get(hashToken(presented));
+  if (!current) return { error: "Invalid refresh token" };
+  const now = new Date().toISOString();
+  if (current.revokedAt) {
+    if (current.replacedBy) statements.revokeFamily.run(now, current.familyId);
+    return { error: "Refresh token has been revoked" };
+  }
+  if (current.expiresAt <= now) {
+    statements.revokeRefresh.run(now, current.id);
+    return { error: "Refresh token has expired" };
+  }
+  const user = statements.getUser.get(current.userId);
+  if (!user || user.deletedAt) return { error: "Invalid refresh token" };
+  if (user.suspendedAt) return { error: "Account suspended" };
+  const { row, refreshToken } = insertRefreshToken(user.id, current.familyId, userAgent);
+  statements.rotateRefresh.run(now, row.id, current.id);
+  return { token: signToken(user), refreshToken, userId: user.id };
+});
+
+// Log out one session. Unknown tokens are ignored so logout is idempotent.
+function revokeSession(presented) {
+  const current = typeof presented === "string" && statements.findRefresh.get(hashToken(presented));
+  if (current) statements.revokeFamily.run(new Date().toISOString(), current.familyId);
+  return Boolean(current);
+}
+
+// Log out everywhere: revoke all refresh tokens and outstanding access tokens.
+function revokeAllSessions(userId) {
+  statements.revokeAllForUser.run(new Date().toISOString(), userId);
+  statements.bumpTokenVersion.run(userId);
+}
+
+/* -------------------- Personal access tokens -------------------- */
+
+function isAccessToken(token) {
+  return typeof token === "string" && token.startsWith(ACCESS_TOKEN_PREFIX);
+}
+
+function publicAccessToken(row) {
+  const { tokenHash, userId, ...rest } = row;
+  return { ...rest, scopes: JSON.parse(row.scopes) };
+}
+
+// Returns { accessToken, token } (the secret, shown once) or { error, status }.
+function createAccessToken(userId, { name, scopes, expiresInDays }) {
+  const now = new Date();
+  if (statements.countActiveAccessTokens.get(userId, now.toISOString()).count >= MAX_ACCESS_TOKENS) {
+    return { error: `You can have at most ${MAX_ACCESS_TOKENS} active tokens; revoke one first`, status: 409 };
+  }
+  const unknown = scopes.filter((scope) => !TOKEN_SCOPES[scope]);
+  if (unknown.length) return { error: `Unknown scope ${unknown[0]}`, status: 400 };
+  const token = `${ACCESS_TOKEN_PREFIX}${randomToken()}`;
+  const row = {
+    id: nanoid(),
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 4),
+    scopes: JSON.stringify([...new Set(scopes)]),
+    createdAt: now.toISOString(),
+    expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 86400000).toISOString() : null,
+  };
+  statements.insertAccessToken.run(row);
+  return { accessToken: publicAccessToken({ ...row, lastUsedAt: null, revokedAt: null }), token };
+}
+
+function listAccessTokens(userId) {
+  return statements.listAccessTokens.all(userId).map(publicAccessToken);
+}
+
+function revokeAccessToken(userId, id) {
+  return statements.revokeAccessToken.run(new Date().toISOString(), id, userId).changes > 0;
+}
+
+// Like authenticate(), for a personal access token on the route `method`
+// `routePath`. Returns { user, accessToken: { id, scopes } } or { error, status }.
+function authenticateAccessToken(token, method, routePath) {
+  const row = statements.findAccessToken.get(hashToken(token));
+  const now = new Date();
+  if (!row || row.revokedAt || (row.expiresAt && row.expiresAt <= now.toISOString())) {
+    return { error: "Invalid token", status: 401 };
+  }
+  const user = statements.getUser.get(row.userId);
+  if (!user || user.deletedAt) return { error: "Invalid token", status: 401 };
+  if (user.suspendedAt) return { error: "Account suspended", status: 403 };
+  const scopes = JSON.parse(row.scopes);
+  const needed = routePath ? scopeForRoute(method, routePath) : null;
+  if (!needed) return { error: "Personal access tokens can't be used here", status: 403 };
+  if (!scopes.includes(needed)) return { error: `Token is missing the ${needed} scope`, status: 403 };
+  statements.touchAccessToken.run({
+    id: row.id,
+    now: now.toISOString(),
+    before: new Date(now.getTime() - LAST_USED_RESOLUTION_MS).toISOString(),
+  });
+  return { user: { id: user.id, name: user.name, email: user.email, role: user.role }, accessToken: { id: row.id, scopes } };
+}
+
+/* -------------------- Middleware -------------------- */
+
+// Login tokens work on every route; personal access tokens only on routes
+// their scopes cover, which is why this runs as route middleware (req.route).
+function authenticateRequest(req) {
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+  if (isAccessToken(token)) return authenticateAccessToken(token, req.method, req.route?.path);
+  return authenticate(token);
+}
+
+function requireAuth(req, res, next) {
+  const result = authenticateRequest(req);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  req.user = result.user;
+  if (result.accessToken) req.accessToken = result.accessToken;
+  next();
+}
+
+// Use after requireAuth on moderator-only routes.
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== "admin") return res.status(403).json({ error: "Admins only" });
+  next();
+}
+
+// For public routes that show more to signed-in callers: sets req.user when
+// a valid token is present and carries on either way.
+function optionalAuth(req, res, next) {
+  const result = authenticateRequest(req);
+  if (result.user) req.user = result.user;
+  next();
+}
+
+module.exports = {
+  assertSecureSecret,
+  hashToken,
+  randomToken,
+  signToken,
+  verifyToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  requireAuth,
+  requireAdmin,
+  optionalAuth,
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Whole-database backups with SQLite's online backup API, which copies a
+// consistent snapshot even while the server is writing. Uploaded evidence
+// files live in UPLOAD_DIR and are not part of the database.
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, "backups");
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}Z$/, "Z");
+}
+
+function defaultBackupPath(date = new Date()) {
+  return path.join(BACKUP_DIR, `data-${timestamp(date)}.sqlite`);
+}
+
+// Copy the open database `db` to `destination`. Never overwrites.
+async function backupDatabase(db, destination = defaultBackupPath()) {
+  if (fs.existsSync(destination)) throw new Error(`${destination} already exists`);
+  fs.mkdirSync(path.dirname(destination), { recursive: true });
+  await db.backup(destination);
+  return destination;
+}
+
+// Check that `file` is an intact database from this app before restoring it.
+function verifyBackup(file) {
+  if (!fs.existsSync(file)) throw new Error(`${file} not found`);
+  const source = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const integrity = source.pragma("integrity_check", { simple: true });
+    if (integrity !== "ok") throw new Error(`${file} failed the integrity check: ${integrity}`);
+    const hasMigrations = source
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+      .get();
+    if (!hasMigrations) throw new Error(`${file} is not a Social Contract database`);
+  } finally {
+    source.close();
+  }
+}
+
+// Replace the database at `target` with the backup at `source`. The current
+// file is backed up next to it first. Stop the server before restoring.
+async function restoreDatabase(source, target) {
+  verifyBackup(source);
+  let previous = null;
+  if (fs.existsSync(target)) {
+    previous = `${target}.before-restore-${timestamp()}`;
+    const current = new Database(target, { fileMustExist: true });
+    try {
+      await current.backup(previous);
+    } finally {
+      current.close();
+    }
+  }
+  const backup = new Database(source, { readonly: true, fileMustExist: true });
+  try {
+    await backup.backup(target);
+  } finally {
+    backup.close();
+  }
+  return { previous };
+}
+
+module.exports = {
+  defaultBackupPath,
+  backupDatabase,
+  verifyBackup,
+  restoreDatabase,
+};
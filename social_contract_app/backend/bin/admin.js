@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+const db = require("../db");
+
+// Manage moderator accounts. Usage:
+//   node bin/admin.js grant <email>
+//   node bin/admin.js revoke <email>
+//   node bin/admin.js list
+
+const [command, email] = process.argv.slice(2);
+
+function setRole(role) {
+  if (!email) throw new Error(`${command} needs an email`);
+  const result = db.prepare("UPDATE users SET role = ? WHERE email = ? AND deletedAt IS NULL").run(role, email.trim().toLowerCase());
+  if (!result.changes) throw new Error(`No user with email ${email}`);
+  console.log(`${email} is now ${role === "admin" ? "an admin" : "a regular user"}.`);
+}
+
+try {
+  require("../migrator").assertSchemaCurrent(db);
+  if (command === "grant") {
+    setRole("admin");
+  } else if (command === "revoke") {
+    setRole("user");
+  } else if (command === "list") {
+    const admins = db.prepare("SELECT email, name FROM users WHERE role = 'admin' ORDER BY email").all();
+    if (!admins.length) console.log("No admins.");
+    admins.forEach((a) => console.log(`${a.email}\t${a.name}`));
+  } else {
+    throw new Error(`Unknown command "${command}". Use grant, revoke or list.`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const db = require("../db");
+const { backupDatabase, restoreDatabase } = require("../backup");
+
+// Admin data tools. Usage:
+//   node bin/data.js backup [file]                 online backup (default backups/data-<time>.sqlite)
+//   node bin/data.js restore <file> --yes          replace the database with a backup (server stopped)
+//   node bin/data.js export-user <id|email> [file] write a user's archive (stdout without a file)
+//   node bin/data.js import-user <file>            load a user's archive into this database
+
+const [command, ...args] = process.argv.slice(2);
+
+// Modules that prepare statements need the current schema.
+function loadArchive() {
+  require("../migrator").assertSchemaCurrent(db);
+  return require("../archive");
+}
+
+async function run() {
+  if (command === "backup") {
+    const file = await backupDatabase(db, args[0]);
+    console.log(`Backed up to ${file}`);
+  } else if (command === "restore") {
+    if (!args[0]) throw new Error("restore needs a backup file");
+    if (!args.includes("--yes")) throw new Error("restore replaces the whole database; pass --yes to confirm");
+    const target = db.name;
+    db.close();
+    const { previous } = await restoreDatabase(args[0], target);
+    if (previous) console.log(`Previous database saved as ${previous}`);
+    console.log(`Restored ${args[0]} into ${target}. Run \`npm run migrate\` if it is from an older version.`);
+  } else if (command === "export-user") {
+    if (!args[0]) throw new Error("export-user needs a user id or email");
+    const row = db.prepare("SELECT id FROM users WHERE id = ? OR email = ?").get(args[0], args[0]);
+    const archive = row && loadArchive().buildUserArchive(row.id);
+    if (!archive) throw new Error(`No user ${args[0]}`);
+    const json = JSON.stringify(archive, null, 2);
+    if (args[1]) {
+      fs.writeFileSync(args[1], json);
+      console.log(`Wrote ${args[1]}`);
+    } else {
+      process.stdout.write(`${json}\n`);
+    }
+  } else if (command === "import-user") {
+    if (!args[0]) throw new Error("import-user needs an archive file");
+    const result = loadArchive().importUserArchive(JSON.parse(fs.readFileSync(args[0], "utf8")));
+    if (result.error) throw new Error(result.error);
+    const summary = Object.entries(result.counts).map(([name, count]) => `${count} ${name}`).join(", ");
+    console.log(`Imported ${result.user.email || result.user.id}: ${summary}. They can sign in after a password reset.`);
+  } else {
+    throw new Error(`Unknown command "${command}". Use backup, restore, export-user or import-user.`);
+  }
+}
+
+run()
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (db.open) db.close();
+  });
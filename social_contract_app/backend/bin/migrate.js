@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+const db = require("../db");
+const migrator = require("../migrator");
+
+// Usage:
+//   node bin/migrate.js [up] [--to N]
+//   node bin/migrate.js rollback [--steps N]
+//   node bin/migrate.js status
+
+const argv = process.argv.slice(2);
+const command = argv[0] && !argv[0].startsWith("--") ? argv.shift() : "up";
+const args = argv;
+
+function option(name, fallback) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`--${name} expects a whole number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+function label(m) {
+  return `${String(m.version).padStart(3, "0")}_${m.name}`;
+}
+
+try {
+  if (command === "up") {
+    const ran = migrator.migrate(db, { to: option("to", Infinity) });
+    if (!ran.length) console.log("Schema is up to date.");
+    ran.forEach((m) => console.log(`Applied ${label(m)}`));
+  } else if (command === "rollback") {
+    const undone = migrator.rollback(db, { steps: option("steps", 1) });
+    if (!undone.length) console.log("Nothing to roll back.");
+    undone.forEach((m) => console.log(`Rolled back ${label(m)}`));
+  } else if (command === "status") {
+    migrator.status(db).forEach((m) => console.log(`${m.applied ? "[x]" : "[ ]"} ${label(m)}`));
+  } else {
+    console.error(`Unknown command "${command}". Use up, rollback or status.`);
+    process.exit(1);
+  }
+} catch (err) {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+} finally {
+  db.close();
+}
@@ -0,0 +1,163 @@
+const db = require("./db");
+const members = require("./members");
+const { hashToken, randomToken } = require("./auth");
+const { termsTimeline } = require("./amendments");
+const { buildWeeks, addDays, todayKey } = require("./progress");
+const { getSettings } = require("./notifications");
+const { localDateKey, parseClock } = require("./timezones");
+
+// iCalendar (RFC 5545) export of contract check-in schedules. Each 7-day
+// block gets as many all-day events as its progress target, spread evenly
+// across the block; past events are marked with the user's check-in for
+// that day. Users can also subscribe to one feed covering all their running
+// contracts through a secret URL that they can rotate or revoke.
+
+const APP_URL = process.env.APP_URL || "http://localhost:4000";
+const FEED_STATUSES = new Set(["open", "matched", "active"]);
+
+const statements = {
+  getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+  findByFeedToken: db.prepare("SELECT * FROM users WHERE calendarTokenHash = ? AND deletedAt IS NULL"),
+  setFeedToken: db.prepare("UPDATE users SET calendarTokenHash = ? WHERE id = ?"),
+  getContract: db.prepare("SELECT * FROM contracts WHERE id = ?"),
+  listCheckins: db.prepare("SELECT dateKey, done FROM checkins WHERE contractId = ? AND userId = ?"),
+};
+
+// Escape TEXT values and fold lines longer than 75 octets.
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function foldLine(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character.
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end -= 1;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+function icsDate(key) {
+  return key.replace(/-/g, "");
+}
+
+function icsTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Check-in days for a contract: `target` days per block, evenly spaced.
+function scheduleDays(contract) {
+  if (!contract.startDate) return [];
+  const days = [];
+  buildWeeks(contract, termsTimeline(contract)).forEach((week) => {
+    const length = Math.round((Date.parse(week.end) - Date.parse(week.start)) / 86400000) + 1;
+    for (let i = 0; i < week.target; i += 1) {
+      days.push({ dateKey: addDays(week.start, Math.floor((i * length) / week.target)), week });
+    }
+  });
+  return days;
+}
+
+function statusLine(checkin, isPast) {
+  if (checkin && checkin.done) return { mark: "✓ ", text: "Checked in" };
+  if (checkin) return { mark: "✗ ", text: "Marked as missed" };
+  return isPast ? { mark: "✗ ", text: "No check-in" } : null;
+}
+
+function contractEvents(contract, user) {
+  const checkins = new Map(statements.listCheckins.all(contract.id, user.id).map((c) => [c.dateKey, c]));
+  const today = user.timezone ? localDateKey(user.timezone) : todayKey();
+  const reminder = parseClock(getSettings(user.id).reminderTime);
+  const stamp = icsTimestamp();
+  const lines = [];
+  scheduleDays(contract).forEach(({ dateKey, week }) => {
+    const status = statusLine(checkins.get(dateKey), dateKey < today);
+    const description = [
+      `Week ${week.index + 1}: ${week.target} check-ins between ${week.start} and ${week.end}.`,
+      status && status.text,
+      contract.description,
+    ].filter(Boolean);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${contract.id}-${dateKey}@social-contract`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(dateKey)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(dateKey, 1))}`,
+      `SUMMARY:${escapeText(`${status ? status.mark : ""}${contract.title}`)}`,
+      `DESCRIPTION:${escapeText(description.join("\n"))}`,
+      "TRANSP:TRANSPARENT"
+    );
+    if (reminder !== null && dateKey >= today && !checkins.has(dateKey)) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(`Check in: ${contract.title}`)}`,
+        `TRIGGER:PT${Math.floor(reminder / 60)}H${reminder % 60}M`,
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VEVENT");
+  });
+  return lines;
+}
+
+function toCalendar(name, contracts, user) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Social Contract//Check-ins//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...contracts.flatMap((contract) => contractEvents(contract, user)),
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+function contractCalendar(contract, userId) {
+  return toCalendar(contract.title, [contract], statements.getUser.get(userId));
+}
+
+// All of a user's running contracts.
+function feedCalendar(user) {
+  const contracts = members
+    .contractIdsForUser(user.id)
+    .map((id) => statements.getContract.get(id))
+    .filter((c) => c && !c.archivedAt && FEED_STATUSES.has(c.status));
+  return toCalendar("Social Contract check-ins", contracts, user);
+}
+
+// A new feed URL; any previous one stops working.
+function rotateFeedToken(userId) {
+  const token = randomToken();
+  statements.setFeedToken.run(hashToken(token), userId);
+  return { url: `${APP_URL}/api/calendar/${token}.ics` };
+}
+
+function revokeFeedToken(userId) {
+  statements.setFeedToken.run(null, userId);
+}
+
+function findFeedUser(token) {
+  return typeof token === "string" && token ? statements.findByFeedToken.get(hashToken(token)) : null;
+}
+
+module.exports = {
+  scheduleDays,
+  contractCalendar,
+  feedCalendar,
+  rotateFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+};
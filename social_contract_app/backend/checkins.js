@@ -0,0 +1,66 @@
+const { addDays, diffDays, contractEndDate } = require("./progress");
+const { localParts, localDateKey } = require("./timezones");
+
+// Which day a check-in is for. Days are the user's local calendar days
+// (users.timezone, UTC when unset). A past day may still be logged until
+// `graceHours` after it ended locally, e.g. 10 means "yesterday until 10am";
+// such check-ins are marked late. Future days are never accepted.
+
+const DEFAULT_GRACE_HOURS = 10;
+const MAX_GRACE_HOURS = 48;
+
+function parseGraceHours(value) {
+  if (value === undefined || value === null || value === "") return { graceHours: DEFAULT_GRACE_HOURS };
+  const graceHours = Number(value);
+  if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+    return { error: `graceHours must be a whole number from 0 to ${MAX_GRACE_HOURS}` };
+  }
+  return { graceHours };
+}
+
+function isDateKey(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+    addDays(value, 0) === value
+  );
+}
+
+// Returns { dateKey, late } or { error }.
+function resolveCheckinDay(contract, timezone, requested, now = new Date()) {
+  const local = localParts(timezone, now);
+  const dateKey = requested || local.dateKey;
+  if (!isDateKey(dateKey)) return { error: "dateKey must be a YYYY-MM-DD date" };
+  if (dateKey > local.dateKey) return { error: "Can't check in for a future date" };
+  if (contract.startDate && dateKey < contract.startDate) return { error: "Date is before the contract started" };
+  const endDate = contractEndDate(contract);
+  if (endDate && dateKey > endDate) return { error: "Date is after the contract ended" };
+  if (dateKey === local.dateKey) return { dateKey, late: false };
+
+  const graceHours = contract.graceHours ?? DEFAULT_GRACE_HOURS;
+  const hoursSinceDayEnded = diffDays(addDays(dateKey, 1), local.dateKey) * 24 + local.hour + local.minute / 60;
+  if (hoursSinceDayEnded >= graceHours) {
+    return { error: `Too late to log ${dateKey}; this contract allows ${graceHours}h after the day ends` };
+  }
+  return { dateKey, late: true };
+}
+
+// The day the sweep should treat as today when closing weeks and contracts.
+// A day is over for a member once its grace window has passed in their
+// timezone, and it's only over for the contract once it's over for everyone,
+// so this is the earliest of the members' local dates `graceHours` ago.
+function closingDay(contract, timezones, now = new Date()) {
+  const graceHours = contract.graceHours ?? DEFAULT_GRACE_HOURS;
+  const then = new Date(now.getTime() - graceHours * 3600 * 1000);
+  const days = (timezones.length ? timezones : [null]).map((timezone) => localDateKey(timezone, then));
+  return days.sort()[0];
+}
+
+module.exports = {
+  DEFAULT_GRACE_HOURS,
+  closingDay,
+  isDateKey,
+  parseGraceHours,
+  resolveCheckinDay,
+};
@@ -0,0 +1,68 @@
+// One error format for the whole API:
+//
+//   { "error": "Human readable message", "code": "NOT_FOUND", "details": [...] }
+//
+// `error` stays the first thing to show a user. `code` is stable for clients
+// to branch on; routes that don't pick one get the default for the status.
+// `details` is only present for validation failures: one
+// { field, code, message } per problem.
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+function codeFor(status) {
+  return STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+}
+
+function sendError(res, status, message, { code, details } = {}) {
+  const body = { error: message, code: code || codeFor(status) };
+  if (details) body.details = details;
+  return res.status(status).json(body);
+}
+
+function sendValidationError(res, details) {
+  return sendError(res, 400, details[0].message, { code: "VALIDATION_FAILED", details });
+}
+
+// Fill in `code` on error bodies sent with res.status(...).json({ error }).
+function errorFormat(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === "string" && !body.code) {
+      return json({ ...body, code: codeFor(res.statusCode) });
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Unknown API routes get a JSON 404 instead of Express's HTML page.
+function apiNotFound(req, res) {
+  sendError(res, 404, "Not found");
+}
+
+// Final Express error handler: malformed JSON, oversized bodies and
+// anything thrown by a route. Express needs all four arguments.
+function errorHandler(err, req, res, next) {
+  if (err.type === "entity.parse.failed") return sendError(res, 400, "Request body is not valid JSON", { code: "INVALID_JSON" });
+  if (err.type === "entity.too.large") return sendError(res, 413, "Request body is too large");
+  console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  sendError(res, 500, "Something went wrong");
+}
+
+module.exports = {
+  codeFor,
+  sendError,
+  sendValidationError,
+  errorFormat,
+  apiNotFound,
+  errorHandler,
+};
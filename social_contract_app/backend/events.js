@@ -0,0 +1,51 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+
+// Append-only audit log per contract. The table has triggers that reject
+// UPDATE and DELETE, so rows here are only ever added.
+//
+// Types: created, member_joined, member_left, status_changed,
+//        amendment_proposed, amendment_accepted, amendment_rejected,
+//        amendment_withdrawn, terms_changed, cloned, listed, unlisted,
+//        imported, endorsed
+
+const statements = {
+  insert: db.prepare(
+    `INSERT INTO contract_events (id, contractId, actorId, type, data, createdAt)
+     VALUES (@id, @contractId, @actorId, @type, @data, @createdAt)`
+  ),
+  list: db.prepare(
+    `SELECT e.*, u.name as actorName
+     FROM contract_events e
+     LEFT JOIN users u ON e.actorId = u.id
+     WHERE e.contractId = ?
+     ORDER BY e.createdAt ASC, e.rowid ASC`
+  ),
+};
+
+function toPublic(row) {
+  return { ...row, data: row.data ? JSON.parse(row.data) : null };
+}
+
+// `actorId` is null for changes made by background sweeps.
+function recordEvent(contractId, type, { actorId = null, data = null } = {}) {
+  const row = {
+    id: nanoid(),
+    contractId,
+    actorId,
+    type,
+    data: data ? JSON.stringify(data) : null,
+    createdAt: new Date().toISOString(),
+  };
+  statements.insert.run(row);
+  return toPublic(row);
+}
+
+function listEvents(contractId) {
+  return statements.list.all(contractId).map(toPublic);
+}
+
+module.exports = {
+  recordEvent,
+  listEvents,
+};
@@ -0,0 +1,162 @@
+const db = require("./db");
+const { scoreCandidate } = require("./matchmaking");
+
+// The public explore feed: contracts with a free spot that their owner hasn't
+// unlisted or a moderator hidden. Supports filters, three sort orders and
+// cursor pagination. Signed-in callers don't see contracts with anyone they
+// have blocked or who has blocked them.
+//
+//   newest  - most recently posted first (default)
+//   soonest - earliest start date first
+//   fit     - closest to the caller's latest contract and timezone, scored
+//             like random matchmaking (needs a signed-in caller)
+//
+// Cursors are opaque strings naming the last row of the previous page.
+// schemas.exploreQuery checks the query string; this module only decodes
+// the cursor.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ["newest", "soonest", "fit"];
+
+// Same rule as policy.isListed, in SQL.
+const LISTED = `
+  c.archivedAt IS NULL AND c.unlistedAt IS NULL AND c.hiddenAt IS NULL
+  AND (c.status = 'open' OR (c.capacity > 2 AND c.status IN ('matched', 'active')))
+  AND (SELECT COUNT(*) FROM contract_members m WHERE m.contractId = c.id AND m.leftAt IS NULL) < c.capacity`;
+
+const FILTERS = `
+  AND (@category IS NULL OR c.topicCategory = @category)
+  AND (@minFrequency IS NULL OR c.frequencyPerWeek >= @minFrequency)
+  AND (@maxFrequency IS NULL OR c.frequencyPerWeek <= @maxFrequency)
+  AND (@minDuration IS NULL OR c.durationDays >= @minDuration)
+  AND (@maxDuration IS NULL OR c.durationDays <= @maxDuration)
+  AND (@stakesLevel IS NULL OR c.stakesLevel = @stakesLevel)
+  AND (@proofBasis IS NULL OR c.proofBasis = @proofBasis)
+  AND (@templateId IS NULL OR c.templateId = @templateId)
+  AND (@viewerId IS NULL OR NOT EXISTS (
+    SELECT 1 FROM user_blocks b
+    JOIN contract_members bm ON bm.contractId = c.id AND bm.leftAt IS NULL
+    WHERE (b.blockerId = @viewerId AND b.blockedId = bm.userId) OR (b.blockedId = @viewerId AND b.blockerId = bm.userId)
+  ))
+  AND (@keywords IS NULL OR NOT EXISTS (
+    SELECT 1 FROM json_each(@keywords) k
+    WHERE c.title NOT LIKE k.value ESCAPE '\\' AND COALESCE(c.description, '') NOT LIKE k.value ESCAPE '\\'
+  ))`;
+
+const SELECT = `
+  SELECT c.*, u.name as ownerName, u.timezone as ownerTimezone,
+    (SELECT COUNT(*) FROM contract_members m WHERE m.contractId = c.id AND m.leftAt IS NULL) as memberCount
+  FROM contracts c
+  LEFT JOIN users u ON c.ownerId = u.id
+  WHERE ${LISTED} ${FILTERS}`;
+
+const statements = {
+  count: db.prepare(`SELECT COUNT(*) as count FROM contracts c WHERE ${LISTED} ${FILTERS}`),
+  newest: db.prepare(
+    `${SELECT} AND (@cursorKey IS NULL OR (c.createdAt, c.id) < (@cursorKey, @cursorId))
+     ORDER BY c.createdAt DESC, c.id DESC LIMIT @limit`
+  ),
+  soonest: db.prepare(
+    `${SELECT} AND (@cursorKey IS NULL OR (c.startDate, c.id) > (@cursorKey, @cursorId))
+     ORDER BY c.startDate ASC, c.id ASC LIMIT @limit`
+  ),
+  all: db.prepare(SELECT),
+  latestContract: db.prepare(
+    `SELECT c.frequencyPerWeek, c.durationDays, c.stakesLevel, c.proofBasis, u.timezone
+     FROM contracts c
+     JOIN contract_members m ON m.contractId = c.id AND m.userId = @userId
+     JOIN users u ON u.id = @userId
+     ORDER BY c.createdAt DESC LIMIT 1`
+  ),
+  viewerTimezone: db.prepare("SELECT timezone FROM users WHERE id = ?"),
+};
+
+function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [key, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if ((typeof key === "string" || typeof key === "number") && typeof id === "string") return { key, id };
+  } catch (e) {
+    // fall through
+  }
+  return null;
+}
+
+// Words become LIKE patterns; every word must appear in the title or description.
+function keywordPatterns(q) {
+  const words = String(q || "").trim().split(/\s+/).filter(Boolean).slice(0, 10);
+  if (!words.length) return null;
+  return JSON.stringify(words.map((w) => `%${w.replace(/[\\%_]/g, (ch) => `\\${ch}`)}%`));
+}
+
+// Listing params from a query that passed schemas.exploreQuery. Returns
+// { params } or { details } in the validation error format when the cursor
+// can't be read.
+function parseExploreQuery(query) {
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) return { details: [{ field: "cursor", code: "format", message: "cursor is invalid" }] };
+  const filters = ["category", "stakesLevel", "proofBasis", "minFrequency", "maxFrequency", "minDuration", "maxDuration", "templateId"];
+  const params = Object.fromEntries(filters.map((name) => [name, query[name] ?? null]));
+  return {
+    params: {
+      ...params,
+      sort: query.sort || "newest",
+      cursor,
+      limit: Math.min(Math.max(query.limit || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+      keywords: keywordPatterns(query.q),
+    },
+  };
+}
+
+function filterValues(params, viewerId) {
+  const { category, minFrequency, maxFrequency, minDuration, maxDuration, stakesLevel, proofBasis, templateId, keywords } = params;
+  return { category, minFrequency, maxFrequency, minDuration, maxDuration, stakesLevel, proofBasis, templateId, keywords, viewerId };
+}
+
+// Every matching contract scored against the viewer, best first. Scores
+// aren't stored, so this ranks the whole filtered set in memory.
+function rankByFit(params, viewerId) {
+  const reference =
+    statements.latestContract.get({ userId: viewerId }) ||
+    { frequencyPerWeek: 3, durationDays: 28, stakesLevel: "social", proofBasis: "honor", ...statements.viewerTimezone.get(viewerId) };
+  const ranked = statements.all
+    .all(filterValues(params, viewerId))
+    .map((row) => ({ ...row, fitScore: scoreCandidate(reference, { ...row, timezone: row.ownerTimezone }) }))
+    .sort((a, b) => b.fitScore - a.fitScore || (a.id < b.id ? -1 : 1));
+  if (!params.cursor) return ranked;
+  const { key, id } = params.cursor;
+  return ranked.filter((row) => row.fitScore < key || (row.fitScore === key && row.id > id));
+}
+
+// One page of the feed: { contracts, total, nextCursor }.
+function listExplore(params, viewerId = null) {
+  if (params.sort === "fit" && !viewerId) return { error: "Sign in to sort by fit", status: 401 };
+  const filters = filterValues(params, viewerId);
+  const total = statements.count.get(filters).count;
+  let rows;
+  if (params.sort === "fit") {
+    rows = rankByFit(params, viewerId).slice(0, params.limit + 1);
+  } else {
+    rows = statements[params.sort].all({
+      ...filters,
+      cursorKey: params.cursor ? params.cursor.key : null,
+      cursorId: params.cursor ? params.cursor.id : null,
+      limit: params.limit + 1,
+    });
+  }
+  const hasMore = rows.length > params.limit;
+  const contracts = rows.slice(0, params.limit);
+  const last = contracts[contracts.length - 1];
+  const sortKey = { newest: "createdAt", soonest: "startDate", fit: "fitScore" }[params.sort];
+  return { contracts, total, nextCursor: hasMore ? encodeCursor(last[sortKey], last.id) : null };
+}
+
+module.exports = {
+  SORTS,
+  parseExploreQuery,
+  listExplore,
+};
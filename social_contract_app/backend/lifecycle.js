@@ -0,0 +1,196 @@
+const db = require("./db");
+const { computeContractProgress, contractEndDate, addDays, todayKey } = require("./progress");
+const { hasStakes, recordForfeits } = require("./stakes");
+const members = require("./members");
+const { recordEvent } = require("./events");
+const { termsTimeline } = require("./amendments");
+const { closingDay } = require("./checkins");
+
+// Contract lifecycle. Every status change goes through transitionContract so
+// the allowed moves live in one place.
+//
+//   open -> matched -> active -> completed | failed
+//   open -> expired            (nobody joined in time)
+//   open | matched | active -> abandoned (cancelled by a participant)
+const TRANSITIONS = {
+  open: ["matched", "expired", "abandoned"],
+  matched: ["active", "completed", "failed", "abandoned"],
+  active: ["completed", "failed", "abandoned"],
+  completed: [],
+  failed: [],
+  abandoned: [],
+  expired: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+const TERMINAL_STATUSES = new Set(STATUSES.filter((s) => TRANSITIONS[s].length === 0));
+
+// Columns a transition may set alongside the status.
+const TRANSITION_FIELDS = ["partnerId", "startDate", "endedAt", "archivedAt"];
+
+const OPEN_CONTRACT_TTL_DAYS = Number(process.env.OPEN_CONTRACT_TTL_DAYS) || 14;
+const SWEEP_INTERVAL_MS = Number(process.env.LIFECYCLE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+function getContract(id) {
+  return db.prepare("SELECT * FROM contracts WHERE id = ?").get(id);
+}
+
+// Move a contract to `to`, optionally setting some of TRANSITION_FIELDS.
+// Returns the updated row, or null if the move isn't allowed or the contract
+// changed status underneath us. `actorId` is null for sweeps.
+function transitionContract(contract, to, fields = {}, { actorId = null } = {}) {
+  if (!contract || !canTransition(contract.status, to)) return null;
+  const sets = ["status = @to"];
+  const params = { id: contract.id, from: contract.status, to };
+  TRANSITION_FIELDS.forEach((field) => {
+    if (fields[field] !== undefined) {
+      sets.push(`${field} = @${field}`);
+      params[field] = fields[field];
+    }
+  });
+  if (isTerminal(to) && fields.endedAt === undefined) {
+    sets.push("endedAt = @endedAt");
+    params.endedAt = new Date().toISOString();
+  }
+  const result = db
+    .prepare(`UPDATE contracts SET ${sets.join(", ")} WHERE id = @id AND status = @from`)
+    .run(params);
+  if (result.changes === 0) return null;
+  recordEvent(contract.id, "status_changed", { actorId, data: { from: contract.status, to } });
+  return getContract(contract.id);
+}
+
+// Pair a partner with an open contract. The clock starts on the day both
+// sides are in, not when the contract was first posted.
+function matchContract(contract, partnerId) {
+  if (!contract || contract.partnerId) return null;
+  const today = todayKey();
+  const startDate = contract.startDate && contract.startDate > today ? contract.startDate : today;
+  return db.transaction(() => {
+    const updated = transitionContract(contract, "matched", { partnerId, startDate }, { actorId: partnerId });
+    if (updated) {
+      members.addMember(contract.id, partnerId);
+      recordEvent(contract.id, "member_joined", { actorId: partnerId });
+    }
+    return updated;
+  })();
+}
+
+// Join via explore or an invite code. The first joiner matches the contract;
+// group contracts keep taking members until they reach capacity.
+// Returns { contract } or { error }.
+function joinContract(contract, userId) {
+  if (members.isMember(contract.id, userId)) {
+    return { error: contract.ownerId === userId ? "Cannot join your own contract" : "Already a member" };
+  }
+  if (isTerminal(contract.status)) return { error: `Contract is ${contract.status}` };
+  if (members.memberCount(contract.id) >= (contract.capacity || 2)) {
+    return { error: members.isGroup(contract) ? "Contract is full" : "Already matched" };
+  }
+  if (contract.status === "open") {
+    const updated = matchContract(contract, userId);
+    return updated ? { contract: updated } : { error: "Already matched" };
+  }
+  members.addMember(contract.id, userId);
+  recordEvent(contract.id, "member_joined", { actorId: userId });
+  return { contract: getContract(contract.id) };
+}
+
+// Cancel keeps the rows for history; the contract is only hidden from lists.
+function archiveContract(contract, actorId = null) {
+  const now = new Date().toISOString();
+  return transitionContract(contract, "abandoned", { endedAt: now, archivedAt: now }, { actorId });
+}
+
+function getProgress(contract, today) {
+  const checkins = db.prepare("SELECT * FROM checkins WHERE contractId = ?").all(contract.id);
+  return computeContractProgress(contract, checkins, {
+    today,
+    participantIds: members.memberIds(contract.id),
+    joinDates: members.joinDates(contract),
+    terms: termsTimeline(contract),
+  });
+}
+
+function memberTimezones(contractId) {
+  return db
+    .prepare(
+      `SELECT u.timezone FROM contract_members m JOIN users u ON u.id = m.userId
+       WHERE m.contractId = ? AND m.leftAt IS NULL`
+    )
+    .all(contractId)
+    .map((row) => row.timezone);
+}
+
+// One pass over contracts that need a time-based move. Returns the list of
+// changes so callers can notify participants. Weeks and contracts close once
+// every member's grace window for their last day has passed (closingDay);
+// `options.today` overrides that for every contract.
+function runLifecycleSweep(options = {}) {
+  const now = options.now || new Date();
+  const today = options.today || now.toISOString().slice(0, 10);
+  const changes = [];
+  const record = (before, after) => {
+    if (after) changes.push({ contract: after, from: before.status, to: after.status });
+  };
+
+  const expireBefore = `${addDays(today, -OPEN_CONTRACT_TTL_DAYS)}T00:00:00.000Z`;
+  db.prepare("SELECT * FROM contracts WHERE status = 'open' AND createdAt < ?")
+    .all(expireBefore)
+    .forEach((contract) => record(contract, transitionContract(contract, "expired")));
+
+  db.prepare("SELECT * FROM contracts WHERE status = 'matched' AND startDate <= ?")
+    .all(today)
+    .forEach((contract) => record(contract, transitionContract(contract, "active")));
+
+  // Settle stakes for weeks that closed, then close contracts past their end.
+  db.prepare("SELECT * FROM contracts WHERE status IN ('matched', 'active')")
+    .all()
+    .forEach((contract) => {
+      const closing = options.today || closingDay(contract, memberTimezones(contract.id), now);
+      const ended = contractEndDate(contract) && contractEndDate(contract) < closing;
+      if (!ended && !hasStakes(contract)) return;
+      const progress = getProgress(contract, closing);
+      recordForfeits(contract, progress);
+      if (ended && progress.outcome !== "in_progress") {
+        record(contract, transitionContract(contract, progress.outcome));
+      }
+    });
+
+  return changes;
+}
+
+function startLifecycleScheduler(onChange) {
+  const tick = () => {
+    try {
+      const changes = runLifecycleSweep();
+      if (onChange) changes.forEach(onChange);
+    } catch (err) {
+      console.error("Lifecycle sweep failed:", err);
+    }
+  };
+  tick();
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  STATUSES,
+  canTransition,
+  isTerminal,
+  transitionContract,
+  matchContract,
+  joinContract,
+  archiveContract,
+  runLifecycleSweep,
+  startLifecycleScheduler,
+};
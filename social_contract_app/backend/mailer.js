@@ -0,0 +1,47 @@
+const nodemailer = require("nodemailer");
+
+// Outgoing mail. Configure with SMTP_URL (e.g. smtp://localhost:1025 for a
+// local sink) or SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS. Without either,
+// mail is written to the console so dev setups still see reset links; in
+// production that would put reset tokens in the logs, so sending fails
+// instead. setTransport() swaps in any nodemailer-compatible transport.
+
+const MAIL_FROM = process.env.MAIL_FROM || "Social Contract <no-reply@localhost>";
+
+function createDefaultTransport() {
+  if (process.env.SMTP_URL) return nodemailer.createTransport(process.env.SMTP_URL);
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return null;
+}
+
+let transport = createDefaultTransport();
+
+function setTransport(next) {
+  transport = next;
+}
+
+function isConfigured() {
+  return Boolean(transport);
+}
+
+async function sendMail({ to, subject, text }) {
+  if (!transport) {
+    if (process.env.NODE_ENV === "production") throw new Error("Mail is not configured; set SMTP_URL or SMTP_HOST");
+    console.log(`[mail] to=${to} subject=${subject}\n${text}`);
+    return { logged: true };
+  }
+  return transport.sendMail({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  setTransport,
+  isConfigured,
+  sendMail,
+};
@@ -0,0 +1,339 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const { matchContract } = require("./lifecycle");
+const { timezoneOffsetMinutes } = require("./timezones");
+const { isBlockedEither } = require("./moderation");
+
+// Random matchmaking. Contracts wait in a queue per topic; candidates are
+// scored on how close their commitments are, and a pairing is offered to both
+// owners instead of being forced. Entries that have waited longer than the
+// wait window accept a looser score.
+
+const STRICT_SCORE = 70;
+const LOOSE_SCORE = 40;
+const WAIT_WINDOW_MS = (Number(process.env.MATCH_WAIT_MINUTES) || 60) * 60 * 1000;
+const OFFER_TTL_MS = (Number(process.env.MATCH_OFFER_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const RECENT_PARTNER_DAYS = Number(process.env.MATCH_RECENT_PARTNER_DAYS) || 30;
+const SWEEP_INTERVAL_MS = Number(process.env.MATCH_SWEEP_INTERVAL_MS) || 5 * 60 * 1000;
+
+const DEFAULT_PREFERENCES = {
+  sameStakes: false,
+  sameProofBasis: false,
+  maxFrequencyDiff: null,
+  maxTimezoneDiffHours: null,
+};
+
+const STAKES_ORDER = ["none", "social", "reward", "money"];
+
+const statements = {
+  enqueue: db.prepare(
+    `INSERT INTO match_queue (id, contractId, userId, topicCategory, preferences, status, enqueuedAt)
+     VALUES (@id, @contractId, @userId, @topicCategory, @preferences, 'waiting', @enqueuedAt)
+     ON CONFLICT(contractId) DO UPDATE SET status='waiting', preferences=excluded.preferences`
+  ),
+  setEntryStatus: db.prepare("UPDATE match_queue SET status = ? WHERE contractId = ?"),
+  listWaiting: db.prepare(
+    `SELECT q.*, c.frequencyPerWeek, c.durationDays, c.stakesLevel, c.proofBasis, c.ownerId, u.timezone
+     FROM match_queue q
+     JOIN contracts c ON q.contractId = c.id
+     LEFT JOIN users u ON q.userId = u.id
+     WHERE q.status = 'waiting' AND c.status = 'open' AND c.partnerId IS NULL
+     ORDER BY q.enqueuedAt ASC`
+  ),
+  dropStale: db.prepare(
+    `UPDATE match_queue SET status = 'cancelled'
+     WHERE status IN ('waiting', 'offered')
+       AND contractId IN (SELECT id FROM contracts WHERE status != 'open' OR partnerId IS NOT NULL)`
+  ),
+  recentPartners: db.prepare(
+    `SELECT CASE WHEN ownerId = @userId THEN partnerId ELSE ownerId END AS partnerId
+     FROM contracts
+     WHERE (ownerId = @userId OR partnerId = @userId) AND partnerId IS NOT NULL AND startDate >= @since`
+  ),
+  rejectedPairs: db.prepare(
+    `SELECT contractAId, contractBId FROM match_offers
+     WHERE status IN ('declined', 'expired') AND (contractAId = @contractId OR contractBId = @contractId)`
+  ),
+  insertOffer: db.prepare(
+    `INSERT INTO match_offers
+     (id, contractAId, contractBId, userAId, userBId, score, status, userAResponse, userBResponse, createdAt, expiresAt)
+     VALUES (@id, @contractAId, @contractBId, @userAId, @userBId, @score, 'pending', NULL, NULL, @createdAt, @expiresAt)`
+  ),
+  getOffer: db.prepare("SELECT * FROM match_offers WHERE id = ?"),
+  listOffersForUser: db.prepare(
+    `SELECT * FROM match_offers WHERE (userAId = ? OR userBId = ?) AND status = 'pending' ORDER BY createdAt DESC`
+  ),
+  respond: db.prepare(
+    `UPDATE match_offers SET
+       userAResponse = CASE WHEN userAId = @userId THEN @response ELSE userAResponse END,
+       userBResponse = CASE WHEN userBId = @userId THEN @response ELSE userBResponse END
+     WHERE id = @id AND status = 'pending'`
+  ),
+  setOfferStatus: db.prepare("UPDATE match_offers SET status = @status, respondedAt = @respondedAt WHERE id = @id"),
+  listExpiredOffers: db.prepare("SELECT * FROM match_offers WHERE status = 'pending' AND expiresAt < ?"),
+  insertMessage: db.prepare(
+    "INSERT INTO messages (id, contractId, senderId, text, createdAt) VALUES (@id, @contractId, @senderId, @text, @createdAt)"
+  ),
+  getUserPreferences: db.prepare("SELECT matchPreferences FROM users WHERE id = ?"),
+  setUserPreferences: db.prepare("UPDATE users SET matchPreferences = ? WHERE id = ?"),
+};
+
+// Merge and validate preferences. Unknown keys are dropped.
+function normalizePreferences(input, base = DEFAULT_PREFERENCES) {
+  const prefs = { ...base };
+  if (!input || typeof input !== "object") return prefs;
+  if (input.sameStakes !== undefined) prefs.sameStakes = Boolean(input.sameStakes);
+  if (input.sameProofBasis !== undefined) prefs.sameProofBasis = Boolean(input.sameProofBasis);
+  ["maxFrequencyDiff", "maxTimezoneDiffHours"].forEach((key) => {
+    if (input[key] === undefined) return;
+    const value = Number(input[key]);
+    prefs[key] = input[key] === null || !Number.isFinite(value) || value < 0 ? null : value;
+  });
+  return prefs;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return text ? JSON.parse(text) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function getUserPreferences(userId) {
+  const row = statements.getUserPreferences.get(userId);
+  return normalizePreferences(parseJson(row?.matchPreferences, null));
+}
+
+function setUserPreferences(userId, input) {
+  const prefs = normalizePreferences(input, getUserPreferences(userId));
+  statements.setUserPreferences.run(JSON.stringify(prefs), userId);
+  return prefs;
+}
+
+function timezoneDiffHours(a, b) {
+  const offsetA = timezoneOffsetMinutes(a);
+  const offsetB = timezoneOffsetMinutes(b);
+  if (offsetA === null || offsetB === null) return null;
+  return Math.abs(offsetA - offsetB) / 60;
+}
+
+// 0-100; higher means the two commitments look alike.
+function scoreCandidate(a, b) {
+  const freqDiff = Math.abs(a.frequencyPerWeek - b.frequencyPerWeek);
+  const frequency = Math.max(0, 1 - freqDiff / 6);
+  const longer = Math.max(a.durationDays, b.durationDays) || 1;
+  const duration = Math.min(a.durationDays, b.durationDays) / longer;
+  const stakesA = STAKES_ORDER.indexOf(a.stakesLevel);
+  const stakesB = STAKES_ORDER.indexOf(b.stakesLevel);
+  let stakes = a.stakesLevel === b.stakesLevel ? 1 : 0;
+  if (!stakes && stakesA >= 0 && stakesB >= 0) stakes = Math.max(0, 1 - Math.abs(stakesA - stakesB) / 3);
+  const proof = a.proofBasis === b.proofBasis ? 1 : 0;
+  const tzDiff = timezoneDiffHours(a.timezone, b.timezone);
+  const timezone = tzDiff === null ? 0.5 : Math.max(0, 1 - tzDiff / 12);
+  return Math.round(frequency * 30 + duration * 25 + stakes * 15 + proof * 15 + timezone * 15);
+}
+
+// Hard filters from one side's preferences.
+function allowedBy(prefs, self, other) {
+  if (prefs.sameStakes && self.stakesLevel !== other.stakesLevel) return false;
+  if (prefs.sameProofBasis && self.proofBasis !== other.proofBasis) return false;
+  if (prefs.maxFrequencyDiff !== null && Math.abs(self.frequencyPerWeek - other.frequencyPerWeek) > prefs.maxFrequencyDiff) {
+    return false;
+  }
+  if (prefs.maxTimezoneDiffHours !== null) {
+    const diff = timezoneDiffHours(self.timezone, other.timezone);
+    if (diff !== null && diff > prefs.maxTimezoneDiffHours) return false;
+  }
+  return true;
+}
+
+function requiredScore(entry, now) {
+  return now - Date.parse(entry.enqueuedAt) >= WAIT_WINDOW_MS ? LOOSE_SCORE : STRICT_SCORE;
+}
+
+function excludedPartners(entry) {
+  const since = new Date(Date.now() - RECENT_PARTNER_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const users = new Set(statements.recentPartners.all({ userId: entry.userId, since }).map((r) => r.partnerId));
+  const contracts = new Set();
+  statements.rejectedPairs.all({ contractId: entry.contractId }).forEach((r) => {
+    contracts.add(r.contractAId === entry.contractId ? r.contractBId : r.contractAId);
+  });
+  return { users, contracts };
+}
+
+function findBestCandidate(entry, waiting, now) {
+  const prefs = normalizePreferences(parseJson(entry.preferences, null));
+  const excluded = excludedPartners(entry);
+  let best = null;
+  waiting.forEach((other) => {
+    if (other.contractId === entry.contractId || other.userId === entry.userId) return;
+    if (other.topicCategory !== entry.topicCategory) return;
+    if (excluded.users.has(other.userId) || excluded.contracts.has(other.contractId)) return;
+    if (isBlockedEither(entry.userId, other.userId)) return;
+    const otherPrefs = normalizePreferences(parseJson(other.preferences, null));
+    if (!allowedBy(prefs, entry, other) || !allowedBy(otherPrefs, other, entry)) return;
+    const score = scoreCandidate(entry, other);
+    if (score < requiredScore(entry, now) || score < requiredScore(other, now)) return;
+    if (!best || score > best.score) best = { other, score };
+  });
+  return best;
+}
+
+function createOffer(entry, candidate) {
+  const now = new Date();
+  const offer = {
+    id: nanoid(),
+    contractAId: entry.contractId,
+    contractBId: candidate.other.contractId,
+    userAId: entry.userId,
+    userBId: candidate.other.userId,
+    score: candidate.score,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + OFFER_TTL_MS).toISOString(),
+  };
+  db.transaction(() => {
+    statements.insertOffer.run(offer);
+    statements.setEntryStatus.run("offered", entry.contractId);
+    statements.setEntryStatus.run("offered", candidate.other.contractId);
+  })();
+  return statements.getOffer.get(offer.id);
+}
+
+// Pair up whatever in the queue can be paired. Returns the new offers.
+function runMatchmaking() {
+  const now = Date.now();
+  statements.dropStale.run();
+  const offers = [];
+  const waiting = statements.listWaiting.all();
+  const taken = new Set();
+  waiting.forEach((entry) => {
+    if (taken.has(entry.contractId)) return;
+    const candidate = findBestCandidate(entry, waiting.filter((w) => !taken.has(w.contractId)), now);
+    if (!candidate) return;
+    taken.add(entry.contractId);
+    taken.add(candidate.other.contractId);
+    offers.push(createOffer(entry, candidate));
+  });
+  return offers;
+}
+
+// Put an open contract in the queue and try to pair it straight away.
+// Returns the offer involving this contract, if one was made.
+function enqueueContract(contract, preferencesOverride) {
+  const prefs = normalizePreferences(preferencesOverride, getUserPreferences(contract.ownerId));
+  statements.enqueue.run({
+    id: nanoid(),
+    contractId: contract.id,
+    userId: contract.ownerId,
+    topicCategory: contract.topicCategory,
+    preferences: JSON.stringify(prefs),
+    enqueuedAt: new Date().toISOString(),
+  });
+  const offers = runMatchmaking();
+  return offers.find((o) => o.contractAId === contract.id || o.contractBId === contract.id) || null;
+}
+
+function getOffer(id) {
+  return statements.getOffer.get(id);
+}
+
+function listOffersForUser(userId) {
+  return statements.listOffersForUser.all(userId, userId);
+}
+
+function isOfferParty(offer, userId) {
+  return offer.userAId === userId || offer.userBId === userId;
+}
+
+function closeOffer(offer, status, queueStatus) {
+  statements.setOfferStatus.run({ id: offer.id, status, respondedAt: new Date().toISOString() });
+  statements.setEntryStatus.run(queueStatus, offer.contractAId);
+  statements.setEntryStatus.run(queueStatus, offer.contractBId);
+}
+
+function insertWelcome(contractId, senderId, createdAt) {
+  statements.insertMessage.run({
+    id: nanoid(),
+    contractId,
+    senderId,
+    text: "You've been matched! Say hi to your partner.",
+    createdAt,
+  });
+}
+
+// Both owners said yes: each contract gets the other owner as partner.
+function completeOffer(offer) {
+  const contractA = db.prepare("SELECT * FROM contracts WHERE id = ?").get(offer.contractAId);
+  const contractB = db.prepare("SELECT * FROM contracts WHERE id = ?").get(offer.contractBId);
+  let matched = null;
+  db.transaction(() => {
+    const a = matchContract(contractA, offer.userBId);
+    const b = a && matchContract(contractB, offer.userAId);
+    if (!a || !b) throw new Error("Contracts are no longer open");
+    const createdAt = new Date().toISOString();
+    insertWelcome(a.id, a.ownerId, createdAt);
+    insertWelcome(b.id, b.ownerId, createdAt);
+    closeOffer(offer, "accepted", "matched");
+    matched = { contractA: a, contractB: b };
+  })();
+  return matched;
+}
+
+// Record one side's answer. Returns { offer, matched } or { error }.
+function respondToOffer(offer, userId, accept) {
+  if (offer.status !== "pending") return { error: `Offer is ${offer.status}` };
+  if (!accept) {
+    statements.respond.run({ id: offer.id, userId, response: "declined" });
+    closeOffer(offer, "declined", "waiting");
+    return { offer: getOffer(offer.id), matched: null };
+  }
+  statements.respond.run({ id: offer.id, userId, response: "accepted" });
+  const updated = getOffer(offer.id);
+  if (updated.userAResponse !== "accepted" || updated.userBResponse !== "accepted") {
+    return { offer: updated, matched: null };
+  }
+  try {
+    const matched = completeOffer(updated);
+    return { offer: getOffer(offer.id), matched };
+  } catch (err) {
+    closeOffer(updated, "expired", "cancelled");
+    statements.dropStale.run();
+    return { error: err.message };
+  }
+}
+
+function expireOffers() {
+  statements.listExpiredOffers.all(new Date().toISOString()).forEach((offer) => {
+    closeOffer(offer, "expired", "waiting");
+  });
+}
+
+function startMatchmakingScheduler(onOffer) {
+  const tick = () => {
+    try {
+      expireOffers();
+      const offers = runMatchmaking();
+      if (onOffer) offers.forEach(onOffer);
+    } catch (err) {
+      console.error("Matchmaking sweep failed:", err);
+    }
+  };
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  normalizePreferences,
+  getUserPreferences,
+  setUserPreferences,
+  scoreCandidate,
+  enqueueContract,
+  runMatchmaking,
+  getOffer,
+  listOffersForUser,
+  isOfferParty,
+  respondToOffer,
+  startMatchmakingScheduler,
+};
@@ -0,0 +1,112 @@
+const db = require("./db");
+
+// Contract membership. Every participant, including the owner, has a row in
+// contract_members; `contracts.partnerId` is kept for two-person contracts
+// and older clients but membership is the source of truth.
+
+const MIN_CAPACITY = 2;
+const MAX_CAPACITY = 8;
+
+const statements = {
+  insertMember: db.prepare(
+    `INSERT INTO contract_members (contractId, userId, role, joinedAt, leftAt)
+     VALUES (@contractId, @userId, @role, @joinedAt, NULL)
+     ON CONFLICT(contractId, userId) DO UPDATE SET leftAt = NULL, joinedAt = excluded.joinedAt`
+  ),
+  listMembers: db.prepare(
+    `SELECT m.userId, m.role, m.joinedAt, u.name
+     FROM contract_members m
+     LEFT JOIN users u ON m.userId = u.id
+     WHERE m.contractId = ? AND m.leftAt IS NULL
+     ORDER BY m.joinedAt ASC`
+  ),
+  getMember: db.prepare(
+    "SELECT * FROM contract_members WHERE contractId = ? AND userId = ? AND leftAt IS NULL"
+  ),
+  countMembers: db.prepare(
+    "SELECT COUNT(*) as count FROM contract_members WHERE contractId = ? AND leftAt IS NULL"
+  ),
+  listContractIdsForUser: db.prepare(
+    "SELECT contractId FROM contract_members WHERE userId = ? AND leftAt IS NULL"
+  ),
+  joinDates: db.prepare("SELECT userId, joinedAt FROM contract_members WHERE contractId = ?"),
+  leave: db.prepare(
+    "UPDATE contract_members SET leftAt = ? WHERE contractId = ? AND userId = ? AND leftAt IS NULL"
+  ),
+};
+
+// Validate a requested capacity; two-person contracts are the default.
+function parseCapacity(value) {
+  if (value === undefined || value === null || value === "") return { capacity: MIN_CAPACITY };
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < MIN_CAPACITY || capacity > MAX_CAPACITY) {
+    return { error: `capacity must be a whole number from ${MIN_CAPACITY} to ${MAX_CAPACITY}` };
+  }
+  return { capacity };
+}
+
+function isGroup(contract) {
+  return Number(contract?.capacity) > MIN_CAPACITY;
+}
+
+function listMembers(contractId) {
+  return statements.listMembers.all(contractId);
+}
+
+function memberIds(contractId) {
+  return listMembers(contractId).map((m) => m.userId);
+}
+
+function contractIdsForUser(userId) {
+  return statements.listContractIdsForUser.all(userId).map((r) => r.contractId);
+}
+
+function getMember(contractId, userId) {
+  return statements.getMember.get(contractId, userId);
+}
+
+function isMember(contractId, userId) {
+  return Boolean(userId && getMember(contractId, userId));
+}
+
+function memberCount(contractId) {
+  return statements.countMembers.get(contractId).count;
+}
+
+function addMember(contractId, userId, role = "member") {
+  statements.insertMember.run({ contractId, userId, role, joinedAt: new Date().toISOString() });
+}
+
+function removeMember(contractId, userId) {
+  return statements.leave.run(new Date().toISOString(), contractId, userId).changes > 0;
+}
+
+// The day each member joined a group contract, by user id (including
+// members who left since). People can join a running group, and their
+// progress starts that day; in a pair both sides start with the contract.
+function joinDates(contract) {
+  if (!isGroup(contract)) return {};
+  return Object.fromEntries(statements.joinDates.all(contract.id).map((m) => [m.userId, m.joinedAt.slice(0, 10)]));
+}
+
+function withMembers(contract) {
+  if (!contract) return contract;
+  const members = listMembers(contract.id);
+  return { ...contract, members, memberCount: members.length };
+}
+
+module.exports = {
+  MAX_CAPACITY,
+  parseCapacity,
+  isGroup,
+  listMembers,
+  memberIds,
+  contractIdsForUser,
+  getMember,
+  isMember,
+  memberCount,
+  addMember,
+  removeMember,
+  joinDates,
+  withMembers,
+};
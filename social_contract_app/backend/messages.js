@@ -0,0 +1,180 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+
+// Contract chat storage, per-message read receipts, edits, soft deletes and
+// full-text search (messages_fts, kept in sync by triggers).
+
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const SELECT_MESSAGE = `SELECT m.*, u.name as senderName FROM messages m LEFT JOIN users u ON m.senderId = u.id`;
+
+const statements = {
+  insertMessage: db.prepare(
+    "INSERT INTO messages (id, contractId, senderId, text, createdAt) VALUES (@id, @contractId, @senderId, @text, @createdAt)"
+  ),
+  getMessage: db.prepare(`${SELECT_MESSAGE} WHERE m.id = ?`),
+  byIds: db.prepare(`${SELECT_MESSAGE} WHERE m.id IN (SELECT value FROM json_each(?)) ORDER BY m.createdAt ASC, m.id ASC`),
+  // Pages are keyed on (createdAt, id) so messages with the same timestamp
+  // are neither skipped nor repeated.
+  latest: db.prepare(
+    `${SELECT_MESSAGE} WHERE m.contractId = @contractId
+     ORDER BY m.createdAt DESC, m.id DESC LIMIT @limit`
+  ),
+  before: db.prepare(
+    `${SELECT_MESSAGE} WHERE m.contractId = @contractId AND (m.createdAt, m.id) < (@createdAt, @id)
+     ORDER BY m.createdAt DESC, m.id DESC LIMIT @limit`
+  ),
+  after: db.prepare(
+    `${SELECT_MESSAGE} WHERE m.contractId = @contractId AND (m.createdAt, m.id) > (@createdAt, @id)
+     ORDER BY m.createdAt ASC, m.id ASC LIMIT @limit`
+  ),
+  search: db.prepare(
+    `${SELECT_MESSAGE}
+     JOIN messages_fts f ON f.rowid = m.rowid
+     WHERE messages_fts MATCH @query AND m.contractId = @contractId AND m.deletedAt IS NULL
+     ORDER BY f.rank, m.createdAt DESC LIMIT @limit`
+  ),
+  listReads: db.prepare(
+    `SELECT messageId, userId, readAt FROM message_reads
+     WHERE messageId IN (SELECT value FROM json_each(?))`
+  ),
+  markRead: db.prepare(
+    `INSERT OR IGNORE INTO message_reads (messageId, userId, readAt)
+     SELECT id, @userId, @readAt FROM messages
+     WHERE contractId = @contractId AND senderId != @userId AND createdAt <= @upTo`
+  ),
+  edit: db.prepare("UPDATE messages SET text = @text, editedAt = @editedAt WHERE id = @id AND deletedAt IS NULL"),
+  softDelete: db.prepare("UPDATE messages SET text = '', deletedAt = @deletedAt WHERE id = @id AND deletedAt IS NULL"),
+};
+
+// Returns the trimmed text or { error }.
+function validateText(text) {
+  if (typeof text !== "string" || !text.trim()) return { error: "text required" };
+  const trimmed = text.trim();
+  if (trimmed.length > MAX_MESSAGE_LENGTH) return { error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` };
+  return { text: trimmed };
+}
+
+function pageSize(limit) {
+  return Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+function createMessage({ contractId, senderId, text }) {
+  const msg = {
+    id: nanoid(),
+    contractId,
+    senderId,
+    text: text.trim(),
+    createdAt: new Date().toISOString(),
+  };
+  statements.insertMessage.run(msg);
+  return { ...statements.getMessage.get(msg.id), readBy: [] };
+}
+
+function getMessage(id) {
+  return statements.getMessage.get(id);
+}
+
+function withReadBy(messages) {
+  const reads = {};
+  statements.listReads.all(JSON.stringify(messages.map((m) => m.id))).forEach((r) => {
+    (reads[r.messageId] = reads[r.messageId] || []).push({ userId: r.userId, readAt: r.readAt });
+  });
+  return messages.map((m) => ({ ...m, readBy: reads[m.id] || [] }));
+}
+
+// The given messages that still exist, oldest first, with read receipts.
+function messagesByIds(ids) {
+  return withReadBy(statements.byIds.all(JSON.stringify(ids)));
+}
+
+// One page of chat in chronological order: the newest `limit` messages, or
+// the ones just before/after the message ids given as cursors. Returns
+// { messages, hasMore } or { error } for a cursor from another contract.
+function listMessages(contractId, { before, after, limit } = {}) {
+  const size = pageSize(limit);
+  const cursorId = before || after;
+  let rows;
+  if (cursorId) {
+    const cursor = getMessage(cursorId);
+    if (!cursor || cursor.contractId !== contractId) return { error: "Unknown cursor message" };
+    const params = { contractId, createdAt: cursor.createdAt, id: cursor.id, limit: size + 1 };
+    rows = before ? statements.before.all(params) : statements.after.all(params);
+  } else {
+    rows = statements.latest.all({ contractId, limit: size + 1 });
+  }
+  const hasMore = rows.length > size;
+  rows = rows.slice(0, size);
+  if (!after) rows.reverse();
+  return { messages: withReadBy(rows), hasMore };
+}
+
+// Quote every word so user input can't use FTS5 query syntax; the last word
+// matches as a prefix so results show up while typing.
+function toFtsQuery(query) {
+  const words = String(query || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 10)
+    .map((word) => `"${word.replace(/"/g, '""')}"`);
+  if (!words.length) return null;
+  words[words.length - 1] += "*";
+  return words.join(" ");
+}
+
+function searchMessages(contractId, query, { limit } = {}) {
+  const ftsQuery = toFtsQuery(query);
+  if (!ftsQuery) return { error: "q required" };
+  return { messages: withReadBy(statements.search.all({ contractId, query: ftsQuery, limit: pageSize(limit) })) };
+}
+
+// Only the sender may edit or delete, and deleted messages stay deleted.
+// Both return { message } or { error, status }.
+function checkOwnMessage(contractId, messageId, userId) {
+  const message = getMessage(messageId);
+  if (!message || message.contractId !== contractId) return { error: "Message not found", status: 404 };
+  if (message.senderId !== userId) return { error: "You can only change your own messages", status: 403 };
+  if (message.deletedAt) return { error: "Message was deleted", status: 400 };
+  return { message };
+}
+
+function editMessage(contractId, messageId, userId, text) {
+  const checked = checkOwnMessage(contractId, messageId, userId);
+  if (checked.error) return checked;
+  const valid = validateText(text);
+  if (valid.error) return { error: valid.error, status: 400 };
+  statements.edit.run({ id: messageId, text: valid.text, editedAt: new Date().toISOString() });
+  return { message: withReadBy([getMessage(messageId)])[0] };
+}
+
+function deleteMessage(contractId, messageId, userId) {
+  const checked = checkOwnMessage(contractId, messageId, userId);
+  if (checked.error) return checked;
+  statements.softDelete.run({ id: messageId, deletedAt: new Date().toISOString() });
+  return { message: withReadBy([getMessage(messageId)])[0] };
+}
+
+// Mark everything up to and including `messageId` as read by `userId`.
+// Returns the receipt to broadcast, or null if the message isn't in this contract.
+function markRead(contractId, userId, messageId) {
+  const upTo = getMessage(messageId);
+  if (!upTo || upTo.contractId !== contractId) return null;
+  const readAt = new Date().toISOString();
+  statements.markRead.run({ contractId, userId, readAt, upTo: upTo.createdAt });
+  return { contractId, userId, messageId, readAt };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  validateText,
+  createMessage,
+  getMessage,
+  messagesByIds,
+  listMessages,
+  searchMessages,
+  editMessage,
+  deleteMessage,
+  markRead,
+};
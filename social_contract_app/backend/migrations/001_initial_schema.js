@@ -0,0 +1,72 @@
+const { addColumn } = require("../migrator");
+
+// Users, contracts, messages and check-ins as the app first shipped them.
+// Databases created before migrations existed may lack passwordHash or
+// proofBasis, so those are backfilled here.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      email TEXT,
+      passwordHash TEXT,
+      createdAt TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS contracts (
+      id TEXT PRIMARY KEY,
+      ownerId TEXT NOT NULL,
+      partnerId TEXT,
+      title TEXT NOT NULL,
+      topicCategory TEXT NOT NULL,
+      description TEXT,
+      frequencyPerWeek INTEGER NOT NULL,
+      durationDays INTEGER NOT NULL,
+      stakesLevel TEXT NOT NULL,
+      proofBasis TEXT NOT NULL DEFAULT 'honor',
+      status TEXT NOT NULL,
+      startDate TEXT,
+      createdAt TEXT NOT NULL,
+      inviteCode TEXT,
+      FOREIGN KEY(ownerId) REFERENCES users(id),
+      FOREIGN KEY(partnerId) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS messages (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      senderId TEXT NOT NULL,
+      text TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(senderId) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS checkins (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      dateKey TEXT NOT NULL,
+      done INTEGER NOT NULL,
+      createdAt TEXT NOT NULL,
+      UNIQUE(contractId, userId, dateKey),
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+  `);
+  addColumn(db, "users", "passwordHash", "TEXT");
+  addColumn(db, "contracts", "proofBasis", "TEXT DEFAULT 'honor'");
+  db.exec("UPDATE contracts SET proofBasis = 'honor' WHERE proofBasis IS NULL OR proofBasis = ''");
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS checkins;
+    DROP TABLE IF EXISTS messages;
+    DROP TABLE IF EXISTS contracts;
+    DROP TABLE IF EXISTS users;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Timestamps for contracts that finished or were archived.
+
+function up(db) {
+  addColumn(db, "contracts", "endedAt", "TEXT");
+  addColumn(db, "contracts", "archivedAt", "TEXT");
+}
+
+function down(db) {
+  dropColumn(db, "contracts", "archivedAt");
+  dropColumn(db, "contracts", "endedAt");
+}
+
+module.exports = { up, down };
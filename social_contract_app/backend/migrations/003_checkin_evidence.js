@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Partner verification on check-ins and the evidence attached to them.
+
+const CHECKIN_COLUMNS = {
+  verificationStatus: "TEXT NOT NULL DEFAULT 'none'",
+  verifiedBy: "TEXT",
+  verifiedAt: "TEXT",
+  disputeReason: "TEXT",
+};
+
+function up(db) {
+  Object.entries(CHECKIN_COLUMNS).forEach(([name, type]) => addColumn(db, "checkins", name, type));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS checkin_evidence (
+      id TEXT PRIMARY KEY,
+      checkinId TEXT NOT NULL,
+      contractId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      url TEXT,
+      filePath TEXT,
+      fileName TEXT,
+      mimeType TEXT,
+      sizeBytes INTEGER,
+      metricName TEXT,
+      metricValue REAL,
+      metricUnit TEXT,
+      note TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY(checkinId) REFERENCES checkins(id),
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS checkin_evidence");
+  Object.keys(CHECKIN_COLUMNS).forEach((name) => dropColumn(db, "checkins", name));
+}
+
+module.exports = { up, down };
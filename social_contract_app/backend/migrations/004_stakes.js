@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Structured stakes on contracts and the ledger of forfeits.
+
+const CONTRACT_COLUMNS = {
+  stakeAmount: "REAL",
+  stakeUnit: "TEXT",
+  forfeitRule: "TEXT",
+  beneficiary: "TEXT",
+  beneficiaryLabel: "TEXT",
+};
+
+function up(db) {
+  Object.entries(CONTRACT_COLUMNS).forEach(([name, type]) => addColumn(db, "contracts", name, type));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS stake_ledger (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      debtorId TEXT NOT NULL,
+      creditorType TEXT NOT NULL,
+      creditorId TEXT,
+      creditorLabel TEXT,
+      amount REAL NOT NULL,
+      unit TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      periodKey TEXT NOT NULL,
+      status TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      settledAt TEXT,
+      settledBy TEXT,
+      UNIQUE(contractId, debtorId, periodKey),
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(debtorId) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS stake_ledger");
+  Object.keys(CONTRACT_COLUMNS).forEach((name) => dropColumn(db, "contracts", name));
+}
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Matchmaking queue, match offers and the user fields they score on.
+
+function up(db) {
+  addColumn(db, "users", "timezone", "TEXT");
+  addColumn(db, "users", "matchPreferences", "TEXT");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS match_queue (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL UNIQUE,
+      userId TEXT NOT NULL,
+      topicCategory TEXT NOT NULL,
+      preferences TEXT,
+      status TEXT NOT NULL,
+      enqueuedAt TEXT NOT NULL,
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS match_offers (
+      id TEXT PRIMARY KEY,
+      contractAId TEXT NOT NULL,
+      contractBId TEXT NOT NULL,
+      userAId TEXT NOT NULL,
+      userBId TEXT NOT NULL,
+      score INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      userAResponse TEXT,
+      userBResponse TEXT,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      respondedAt TEXT,
+      FOREIGN KEY(contractAId) REFERENCES contracts(id),
+      FOREIGN KEY(contractBId) REFERENCES contracts(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS match_offers;
+    DROP TABLE IF EXISTS match_queue;
+  `);
+  dropColumn(db, "users", "matchPreferences");
+  dropColumn(db, "users", "timezone");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Group contracts: membership rows replace the owner/partner pair as the
+// source of truth. Existing pairs are copied over.
+
+function up(db) {
+  addColumn(db, "contracts", "capacity", "INTEGER NOT NULL DEFAULT 2");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contract_members (
+      contractId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      role TEXT NOT NULL,
+      joinedAt TEXT NOT NULL,
+      leftAt TEXT,
+      PRIMARY KEY(contractId, userId),
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+
+    INSERT OR IGNORE INTO contract_members (contractId, userId, role, joinedAt)
+    SELECT id, ownerId, 'owner', createdAt FROM contracts;
+    INSERT OR IGNORE INTO contract_members (contractId, userId, role, joinedAt)
+    SELECT id, partnerId, 'member', createdAt FROM contracts WHERE partnerId IS NOT NULL;
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS contract_members");
+  dropColumn(db, "contracts", "capacity");
+}
+
+module.exports = { up, down };
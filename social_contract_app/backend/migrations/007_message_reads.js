@@ -0,0 +1,20 @@
+// Per-user read receipts for chat messages.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_reads (
+      messageId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      readAt TEXT NOT NULL,
+      PRIMARY KEY(messageId, userId),
+      FOREIGN KEY(messageId) REFERENCES messages(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS message_reads");
+}
+
+module.exports = { up, down };
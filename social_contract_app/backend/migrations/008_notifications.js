@@ -0,0 +1,30 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Notification inbox and per-user delivery settings.
+
+function up(db) {
+  addColumn(db, "users", "notificationSettings", "TEXT");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      title TEXT NOT NULL,
+      body TEXT,
+      contractId TEXT,
+      data TEXT,
+      dedupeKey TEXT UNIQUE,
+      createdAt TEXT NOT NULL,
+      readAt TEXT,
+      deliveredVia TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS notifications");
+  dropColumn(db, "users", "notificationSettings");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Indexes for the lookups every request makes: contracts by participant,
+// a contract's chat in order and a contract's check-ins by day.
+
+function up(db) {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_contracts_owner ON contracts(ownerId);
+    CREATE INDEX IF NOT EXISTS idx_contracts_partner ON contracts(partnerId);
+    CREATE INDEX IF NOT EXISTS idx_messages_contract_created ON messages(contractId, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_checkins_contract_date ON checkins(contractId, dateKey);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_checkins_contract_date;
+    DROP INDEX IF EXISTS idx_messages_contract_created;
+    DROP INDEX IF EXISTS idx_contracts_partner;
+    DROP INDEX IF EXISTS idx_contracts_owner;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Account management: profile fields, server-side refresh tokens and
+// single-use password reset tokens. tokenVersion is bumped to invalidate
+// every access token a user holds; deletedAt marks anonymized accounts.
+
+const USER_COLUMNS = {
+  avatarUrl: "TEXT",
+  bio: "TEXT",
+  tokenVersion: "INTEGER NOT NULL DEFAULT 0",
+  deletedAt: "TEXT",
+};
+
+function up(db) {
+  Object.entries(USER_COLUMNS).forEach(([name, type]) => addColumn(db, "users", name, type));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      familyId TEXT NOT NULL,
+      tokenHash TEXT NOT NULL UNIQUE,
+      userAgent TEXT,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      revokedAt TEXT,
+      replacedBy TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(userId);
+
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      tokenHash TEXT NOT NULL UNIQUE,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT NOT NULL,
+      usedAt TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS password_resets;
+    DROP INDEX IF EXISTS idx_refresh_tokens_user;
+    DROP TABLE IF EXISTS refresh_tokens;
+  `);
+  Object.keys(USER_COLUMNS).forEach((name) => dropColumn(db, "users", name));
+}
+
+module.exports = { up, down };
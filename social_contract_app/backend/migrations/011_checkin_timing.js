@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Per-contract grace window for logging a past day, and markers on
+// check-ins that were logged late or changed after the fact.
+
+function up(db) {
+  addColumn(db, "contracts", "graceHours", "INTEGER NOT NULL DEFAULT 10");
+  addColumn(db, "checkins", "late", "INTEGER NOT NULL DEFAULT 0");
+  addColumn(db, "checkins", "editedAt", "TEXT");
+}
+
+function down(db) {
+  dropColumn(db, "checkins", "editedAt");
+  dropColumn(db, "checkins", "late");
+  dropColumn(db, "contracts", "graceHours");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,70 @@
+// Partner-approved contract amendments and the append-only contract_events
+// audit log. Existing contracts get a backfilled "created" event.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contract_amendments (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      proposedBy TEXT NOT NULL,
+      changes TEXT NOT NULL,
+      previous TEXT NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL,
+      effectiveDate TEXT,
+      createdAt TEXT NOT NULL,
+      resolvedAt TEXT,
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(proposedBy) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_contract_amendments_contract ON contract_amendments(contractId, createdAt);
+
+    CREATE TABLE IF NOT EXISTS amendment_responses (
+      amendmentId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      response TEXT NOT NULL,
+      respondedAt TEXT NOT NULL,
+      PRIMARY KEY(amendmentId, userId),
+      FOREIGN KEY(amendmentId) REFERENCES contract_amendments(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS contract_events (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      actorId TEXT,
+      type TEXT NOT NULL,
+      data TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY(contractId) REFERENCES contracts(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_contract_events_contract ON contract_events(contractId, createdAt);
+
+    CREATE TRIGGER IF NOT EXISTS contract_events_no_update BEFORE UPDATE ON contract_events
+    BEGIN
+      SELECT RAISE(ABORT, 'contract_events is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS contract_events_no_delete BEFORE DELETE ON contract_events
+    BEGIN
+      SELECT RAISE(ABORT, 'contract_events is append-only');
+    END;
+
+    INSERT INTO contract_events (id, contractId, actorId, type, data, createdAt)
+    SELECT lower(hex(randomblob(12))), id, ownerId, 'created', NULL, createdAt FROM contracts
+    WHERE id NOT IN (SELECT contractId FROM contract_events WHERE type = 'created');
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS contract_events_no_delete;
+    DROP TRIGGER IF EXISTS contract_events_no_update;
+    DROP INDEX IF EXISTS idx_contract_events_contract;
+    DROP TABLE IF EXISTS contract_events;
+    DROP TABLE IF EXISTS amendment_responses;
+    DROP INDEX IF EXISTS idx_contract_amendments_contract;
+    DROP TABLE IF EXISTS contract_amendments;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Edit/soft-delete markers on messages and an FTS5 index over message text,
+// kept in sync by triggers. Soft-deleted messages have their text blanked,
+// which drops them from the index.
+
+function up(db) {
+  addColumn(db, "messages", "editedAt", "TEXT");
+  addColumn(db, "messages", "deletedAt", "TEXT");
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(text, content='messages', content_rowid='rowid');
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+    END;
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.rowid, old.text);
+      INSERT INTO messages_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+
+    INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS messages_fts_update;
+    DROP TRIGGER IF EXISTS messages_fts_delete;
+    DROP TRIGGER IF EXISTS messages_fts_insert;
+    DROP TABLE IF EXISTS messages_fts;
+  `);
+  dropColumn(db, "messages", "deletedAt");
+  dropColumn(db, "messages", "editedAt");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// User-saved contract templates, and which template (built-in or saved) or
+// earlier contract a contract was created from. Built-in templates live in
+// templates.js, not in the database.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS contract_templates (
+      id TEXT PRIMARY KEY,
+      ownerId TEXT NOT NULL,
+      title TEXT NOT NULL,
+      topicCategory TEXT NOT NULL,
+      description TEXT,
+      frequencyPerWeek INTEGER NOT NULL,
+      durationDays INTEGER NOT NULL,
+      stakesLevel TEXT NOT NULL,
+      proofBasis TEXT NOT NULL,
+      proofIdeas TEXT NOT NULL,
+      stakeAmount REAL,
+      stakeUnit TEXT,
+      forfeitRule TEXT,
+      beneficiary TEXT,
+      beneficiaryLabel TEXT,
+      capacity INTEGER NOT NULL,
+      graceHours INTEGER NOT NULL,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY(ownerId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_contract_templates_owner ON contract_templates(ownerId, topicCategory);
+  `);
+  addColumn(db, "contracts", "templateId", "TEXT");
+  addColumn(db, "contracts", "clonedFromId", "TEXT");
+  db.exec("CREATE INDEX IF NOT EXISTS idx_contracts_template ON contracts(templateId)");
+}
+
+function down(db) {
+  db.exec("DROP INDEX IF EXISTS idx_contracts_template");
+  dropColumn(db, "contracts", "clonedFromId");
+  dropColumn(db, "contracts", "templateId");
+  db.exec(`
+    DROP INDEX IF EXISTS idx_contract_templates_owner;
+    DROP TABLE IF EXISTS contract_templates;
+  `);
+}
+
+module.exports = { up, down };
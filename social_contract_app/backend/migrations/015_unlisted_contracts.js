@@ -0,0 +1,13 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Owners can take a contract off the explore feed without deleting it.
+
+function up(db) {
+  addColumn(db, "contracts", "unlistedAt", "TEXT");
+}
+
+function down(db) {
+  dropColumn(db, "contracts", "unlistedAt");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Secret token (hashed) for each user's calendar subscription feed.
+
+function up(db) {
+  addColumn(db, "users", "calendarTokenHash", "TEXT");
+  db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendarTokenHash)");
+}
+
+function down(db) {
+  db.exec("DROP INDEX IF EXISTS idx_users_calendar_token");
+  dropColumn(db, "users", "calendarTokenHash");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,78 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Blocking, reports, account roles and restrictions, moderator-hidden
+// contracts and an append-only log of moderator actions.
+
+function up(db) {
+  addColumn(db, "users", "role", "TEXT NOT NULL DEFAULT 'user'");
+  addColumn(db, "users", "mutedUntil", "TEXT");
+  addColumn(db, "users", "suspendedAt", "TEXT");
+  addColumn(db, "contracts", "hiddenAt", "TEXT");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      blockerId TEXT NOT NULL,
+      blockedId TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY(blockerId, blockedId),
+      FOREIGN KEY(blockerId) REFERENCES users(id),
+      FOREIGN KEY(blockedId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blockedId);
+
+    CREATE TABLE IF NOT EXISTS reports (
+      id TEXT PRIMARY KEY,
+      reporterId TEXT NOT NULL,
+      targetType TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      details TEXT,
+      snapshot TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      createdAt TEXT NOT NULL,
+      resolvedAt TEXT,
+      resolvedBy TEXT,
+      resolution TEXT,
+      FOREIGN KEY(reporterId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(targetType, targetId);
+
+    CREATE TABLE IF NOT EXISTS moderation_actions (
+      id TEXT PRIMARY KEY,
+      moderatorId TEXT NOT NULL,
+      action TEXT NOT NULL,
+      targetType TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      reportId TEXT,
+      note TEXT,
+      createdAt TEXT NOT NULL,
+      FOREIGN KEY(moderatorId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_moderation_actions_created ON moderation_actions(createdAt);
+
+    CREATE TRIGGER IF NOT EXISTS moderation_actions_no_update BEFORE UPDATE ON moderation_actions
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_actions is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS moderation_actions_no_delete BEFORE DELETE ON moderation_actions
+    BEGIN
+      SELECT RAISE(ABORT, 'moderation_actions is append-only');
+    END;
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS moderation_actions_no_delete;
+    DROP TRIGGER IF EXISTS moderation_actions_no_update;
+    DROP TABLE IF EXISTS moderation_actions;
+    DROP TABLE IF EXISTS reports;
+    DROP TABLE IF EXISTS user_blocks;
+  `);
+  dropColumn(db, "contracts", "hiddenAt");
+  dropColumn(db, "users", "suspendedAt");
+  dropColumn(db, "users", "mutedUntil");
+  dropColumn(db, "users", "role");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// Fixed-window counters for the SQLite rate-limit store (RATE_LIMIT_STORE=sqlite),
+// so limits hold across restarts and are shared by processes on one database.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      resetAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_rate_limits_reset ON rate_limits(resetAt);
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS rate_limits");
+}
+
+module.exports = { up, down };
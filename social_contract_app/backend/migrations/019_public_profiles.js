@@ -0,0 +1,33 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Public profiles: topics of interest, which profile fields other people may
+// see (JSON, see accounts.js), and endorsements members leave each other
+// once a contract has ended.
+
+function up(db) {
+  addColumn(db, "users", "topics", "TEXT");
+  addColumn(db, "users", "profileVisibility", "TEXT");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS endorsements (
+      id TEXT PRIMARY KEY,
+      contractId TEXT NOT NULL,
+      fromUserId TEXT NOT NULL,
+      toUserId TEXT NOT NULL,
+      note TEXT,
+      createdAt TEXT NOT NULL,
+      UNIQUE(contractId, fromUserId, toUserId),
+      FOREIGN KEY(contractId) REFERENCES contracts(id),
+      FOREIGN KEY(fromUserId) REFERENCES users(id),
+      FOREIGN KEY(toUserId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_endorsements_to ON endorsements(toUserId, createdAt);
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS endorsements");
+  dropColumn(db, "users", "profileVisibility");
+  dropColumn(db, "users", "topics");
+}
+
+module.exports = { up, down };
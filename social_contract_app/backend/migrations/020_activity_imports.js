@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Check-ins created from imported activity files (GPX tracks, tracker CSV
+// exports). `checkins.source` tells them apart from ones logged by hand;
+// imported files and activities are remembered so the same file or activity
+// isn't counted twice.
+
+function up(db) {
+  addColumn(db, "checkins", "source", "TEXT NOT NULL DEFAULT 'manual'");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS activity_imports (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      fileHash TEXT NOT NULL,
+      fileName TEXT,
+      format TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      UNIQUE(userId, fileHash),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+    CREATE TABLE IF NOT EXISTS imported_activities (
+      id TEXT PRIMARY KEY,
+      importId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      dateKey TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      UNIQUE(userId, fingerprint),
+      FOREIGN KEY(importId) REFERENCES activity_imports(id),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_activity_imports_user ON activity_imports(userId, createdAt);
+  `);
+}
+
+function down(db) {
+  db.exec("DROP TABLE IF EXISTS imported_activities; DROP TABLE IF EXISTS activity_imports;");
+  dropColumn(db, "checkins", "source");
+}
+
+module.exports = { up, down };
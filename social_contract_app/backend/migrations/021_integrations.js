@@ -0,0 +1,66 @@
+// Integrations: personal access tokens (stored hashed, like refresh tokens),
+// webhook subscriptions per user or per contract, and the log of webhook
+// deliveries with their retry state.
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      name TEXT NOT NULL,
+      tokenHash TEXT NOT NULL UNIQUE,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      expiresAt TEXT,
+      lastUsedAt TEXT,
+      revokedAt TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON personal_access_tokens(userId);
+
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id TEXT PRIMARY KEY,
+      userId TEXT NOT NULL,
+      contractId TEXT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      disabledAt TEXT,
+      FOREIGN KEY(userId) REFERENCES users(id),
+      FOREIGN KEY(contractId) REFERENCES contracts(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions(userId);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      subscriptionId TEXT NOT NULL,
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt TEXT,
+      lastAttemptAt TEXT,
+      responseStatus INTEGER,
+      error TEXT,
+      replayOf TEXT,
+      createdAt TEXT NOT NULL,
+      deliveredAt TEXT,
+      FOREIGN KEY(subscriptionId) REFERENCES webhook_subscriptions(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscriptionId, createdAt);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_subscriptions;
+    DROP TABLE IF EXISTS personal_access_tokens;
+  `);
+}
+
+module.exports = { up, down };
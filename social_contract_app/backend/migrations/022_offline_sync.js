@@ -0,0 +1,75 @@
+const { addColumn, dropColumn } = require("../migrator");
+
+// Offline-first clients: `checkins.recordedAt` is when the user made the
+// latest change on their device, idempotency_keys remembers the answers to
+// retried writes, and sync_changes is a change log (filled by the triggers
+// below) that GET /api/sync reads from a cursor.
+
+// One row per tracked table. Evidence changes are logged as changes to their
+// check-in, so deleting evidence updates the check-in rather than deleting it.
+const TRACKED = [
+  { entity: "contract", table: "contracts", id: "id", contractId: "id", userId: null },
+  { entity: "member", table: "contract_members", id: "userId", contractId: "contractId", userId: "userId" },
+  { entity: "checkin", table: "checkins", id: "id", contractId: "contractId", userId: "userId" },
+  { entity: "checkin", table: "checkin_evidence", id: "checkinId", contractId: "contractId", userId: "userId", updateOnly: true },
+  { entity: "message", table: "messages", id: "id", contractId: "contractId", userId: "senderId" },
+];
+
+const TRIGGER_EVENTS = ["insert", "update", "delete"];
+
+function triggerSql(tracked, event) {
+  const row = event === "delete" ? "old" : "new";
+  const op = event === "delete" && !tracked.updateOnly ? "delete" : "upsert";
+  const userId = tracked.userId ? `${row}.${tracked.userId}` : "NULL";
+  return `
+    CREATE TRIGGER IF NOT EXISTS sync_${tracked.table}_${event} AFTER ${event.toUpperCase()} ON ${tracked.table} BEGIN
+      INSERT INTO sync_changes (entity, entityId, contractId, userId, op)
+      VALUES ('${tracked.entity}', ${row}.${tracked.id}, ${row}.${tracked.contractId}, ${userId}, '${op}');
+    END;`;
+}
+
+function up(db) {
+  addColumn(db, "checkins", "recordedAt", "TEXT");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      userId TEXT NOT NULL,
+      key TEXT NOT NULL,
+      requestHash TEXT NOT NULL,
+      status INTEGER NOT NULL,
+      response TEXT NOT NULL,
+      createdAt TEXT NOT NULL,
+      PRIMARY KEY(userId, key),
+      FOREIGN KEY(userId) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(createdAt);
+
+    CREATE TABLE IF NOT EXISTS sync_changes (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity TEXT NOT NULL,
+      entityId TEXT NOT NULL,
+      contractId TEXT NOT NULL,
+      userId TEXT,
+      op TEXT NOT NULL,
+      changedAt TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_sync_changes_changed ON sync_changes(changedAt);
+  `);
+  TRACKED.forEach((tracked) => {
+    TRIGGER_EVENTS.forEach((event) => db.exec(triggerSql(tracked, event)));
+  });
+}
+
+function down(db) {
+  TRACKED.forEach((tracked) => {
+    TRIGGER_EVENTS.forEach((event) => db.exec(`DROP TRIGGER IF EXISTS sync_${tracked.table}_${event};`));
+  });
+  db.exec(`
+    DROP INDEX IF EXISTS idx_sync_changes_changed;
+    DROP TABLE IF EXISTS sync_changes;
+    DROP INDEX IF EXISTS idx_idempotency_keys_created;
+    DROP TABLE IF EXISTS idempotency_keys;
+  `);
+  dropColumn(db, "checkins", "recordedAt");
+}
+
+module.exports = { up, down };
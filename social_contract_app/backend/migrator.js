@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports up(db) and down(db). Applied versions are
+// recorded in schema_migrations; every migration runs in its own transaction.
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) return null;
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: Number(match[1]), name: match[2], ...migration };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function appliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Set(db.prepare("SELECT version FROM schema_migrations").all().map((r) => r.version));
+}
+
+function status(db, migrations = loadMigrations()) {
+  const applied = appliedVersions(db);
+  return migrations.map((m) => ({ version: m.version, name: m.name, applied: applied.has(m.version) }));
+}
+
+function pending(db, migrations = loadMigrations()) {
+  return status(db, migrations).filter((m) => !m.applied);
+}
+
+// Apply pending migrations in order, up to and including `to` if given.
+function migrate(db, { to = Infinity } = {}, migrations = loadMigrations()) {
+  const applied = appliedVersions(db);
+  const ran = [];
+  migrations
+    .filter((m) => !applied.has(m.version) && m.version <= to)
+    .forEach((m) => {
+      db.transaction(() => {
+        m.up(db);
+        db.prepare("INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)").run(
+          m.version,
+          m.name,
+          new Date().toISOString()
+        );
+      })();
+      ran.push(m);
+    });
+  return ran;
+}
+
+// Undo the most recent `steps` applied migrations.
+function rollback(db, { steps = 1 } = {}, migrations = loadMigrations()) {
+  const applied = appliedVersions(db);
+  const undone = [];
+  migrations
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps)
+    .forEach((m) => {
+      db.transaction(() => {
+        m.down(db);
+        db.prepare("DELETE FROM schema_migrations WHERE version = ?").run(m.version);
+      })();
+      undone.push(m);
+    });
+  return undone;
+}
+
+// Refuse to start against an out-of-date schema.
+function assertSchemaCurrent(db) {
+  const missing = pending(db);
+  if (missing.length) {
+    const list = missing.map((m) => `${String(m.version).padStart(3, "0")}_${m.name}`).join(", ");
+    throw new Error(`Database schema is out of date (pending: ${list}). Run \`npm run migrate\` first.`);
+  }
+}
+
+/* -------------------- Helpers for migration files -------------------- */
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+}
+
+// Older data.sqlite files may already have columns the pre-migration code
+// added on the fly, so adding is tolerant.
+function addColumn(db, table, column, type) {
+  if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+}
+
+function dropColumn(db, table, column) {
+  if (hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  pending,
+  migrate,
+  rollback,
+  assertSchemaCurrent,
+  hasColumn,
+  addColumn,
+  dropColumn,
+};
@@ -0,0 +1,249 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const { revokeAllSessions } = require("./auth");
+
+// Safety tools. Users block each other and report messages, contracts or
+// users; admins (users.role = 'admin') work through the report queue, hide
+// contracts, mute accounts from chat for a while or suspend them outright.
+// Every admin action is written to moderation_actions, which is append-only.
+//
+// Blocks work both ways: neither side is matched with, shown to or can join
+// a contract with the other.
+
+const REPORT_TARGETS = new Set(["message", "contract", "user"]);
+const REPORT_REASONS = new Set(["spam", "harassment", "inappropriate", "scam", "other"]);
+const REPORT_RESOLUTIONS = new Set(["actioned", "dismissed"]);
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_MUTE_HOURS = 24 * 30;
+
+const statements = {
+  block: db.prepare("INSERT OR IGNORE INTO user_blocks (blockerId, blockedId, createdAt) VALUES (?, ?, ?)"),
+  unblock: db.prepare("DELETE FROM user_blocks WHERE blockerId = ? AND blockedId = ?"),
+  listBlocks: db.prepare(
+    `SELECT b.blockedId as userId, u.name, b.createdAt
+     FROM user_blocks b LEFT JOIN users u ON u.id = b.blockedId
+     WHERE b.blockerId = ? ORDER BY b.createdAt DESC`
+  ),
+  blockedEither: db.prepare(
+    `SELECT 1 FROM user_blocks
+     WHERE (blockerId = @a AND blockedId = @b) OR (blockerId = @b AND blockedId = @a)`
+  ),
+  blockedWithMember: db.prepare(
+    `SELECT 1 FROM user_blocks b
+     JOIN contract_members m ON m.contractId = @contractId AND m.leftAt IS NULL
+     WHERE (b.blockerId = @userId AND b.blockedId = m.userId) OR (b.blockedId = @userId AND b.blockerId = m.userId)`
+  ),
+  getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+  getContract: db.prepare("SELECT * FROM contracts WHERE id = ?"),
+  getMessage: db.prepare("SELECT * FROM messages WHERE id = ?"),
+  insertReport: db.prepare(
+    `INSERT INTO reports (id, reporterId, targetType, targetId, reason, details, snapshot, status, createdAt)
+     VALUES (@id, @reporterId, @targetType, @targetId, @reason, @details, @snapshot, 'open', @createdAt)`
+  ),
+  findOpenReport: db.prepare(
+    "SELECT * FROM reports WHERE reporterId = ? AND targetType = ? AND targetId = ? AND status = 'open'"
+  ),
+  getReport: db.prepare("SELECT * FROM reports WHERE id = ?"),
+  listReports: db.prepare(
+    `SELECT r.*, u.name as reporterName,
+       (SELECT COUNT(*) FROM reports o WHERE o.targetType = r.targetType AND o.targetId = r.targetId AND o.status = 'open') as openReportsOnTarget
+     FROM reports r LEFT JOIN users u ON u.id = r.reporterId
+     WHERE r.status = ? ORDER BY r.createdAt ASC LIMIT 200`
+  ),
+  resolveReport: db.prepare(
+    `UPDATE reports SET status = @status, resolution = @resolution, resolvedAt = @resolvedAt, resolvedBy = @resolvedBy
+     WHERE id = @id AND status = 'open'`
+  ),
+  setHidden: db.prepare("UPDATE contracts SET hiddenAt = ? WHERE id = ?"),
+  setMutedUntil: db.prepare("UPDATE users SET mutedUntil = ? WHERE id = ?"),
+  setSuspended: db.prepare("UPDATE users SET suspendedAt = ? WHERE id = ?"),
+  insertAction: db.prepare(
+    `INSERT INTO moderation_actions (id, moderatorId, action, targetType, targetId, reportId, note, createdAt)
+     VALUES (@id, @moderatorId, @action, @targetType, @targetId, @reportId, @note, @createdAt)`
+  ),
+  listActions: db.prepare(
+    `SELECT a.*, u.name as moderatorName
+     FROM moderation_actions a LEFT JOIN users u ON u.id = a.moderatorId
+     ORDER BY a.createdAt DESC, a.rowid DESC LIMIT 500`
+  ),
+};
+
+/* -------------------- Blocking -------------------- */
+
+function blockUser(blockerId, blockedId) {
+  if (blockerId === blockedId) return { error: "You can't block yourself" };
+  const target = statements.getUser.get(blockedId);
+  if (!target || target.deletedAt) return { error: "User not found", status: 404 };
+  statements.block.run(blockerId, blockedId, new Date().toISOString());
+  return { ok: true };
+}
+
+function unblockUser(blockerId, blockedId) {
+  statements.unblock.run(blockerId, blockedId);
+}
+
+function listBlocks(userId) {
+  return statements.listBlocks.all(userId);
+}
+
+function isBlockedEither(a, b) {
+  return Boolean(a && b && statements.blockedEither.get({ a, b }));
+}
+
+// True if `userId` and any current member of the contract have blocked each other.
+function blockedFromContract(contractId, userId) {
+  return Boolean(statements.blockedWithMember.get({ contractId, userId }));
+}
+
+/* -------------------- Restrictions -------------------- */
+
+// Error message for a muted user, or null if they may post.
+function muteError(userId) {
+  const user = statements.getUser.get(userId);
+  if (!user || !user.mutedUntil || user.mutedUntil <= new Date().toISOString()) return null;
+  return `You are muted until ${user.mutedUntil}`;
+}
+
+/* -------------------- Reports -------------------- */
+
+// What the report is about, as it looked when reported; messages can be
+// edited or deleted afterwards. `canSee(contract)` guards contract access.
+function reportTarget(targetType, targetId, canSee) {
+  if (targetType === "message") {
+    const message = statements.getMessage.get(targetId);
+    if (!message || !canSee(statements.getContract.get(message.contractId), "chat")) return null;
+    return { contractId: message.contractId, senderId: message.senderId, text: message.text, createdAt: message.createdAt };
+  }
+  if (targetType === "contract") {
+    const contract = statements.getContract.get(targetId);
+    if (!contract || !canSee(contract, "view")) return null;
+    return { ownerId: contract.ownerId, title: contract.title, description: contract.description };
+  }
+  const user = statements.getUser.get(targetId);
+  if (!user || user.deletedAt) return null;
+  return { name: user.name, bio: user.bio || null };
+}
+
+// Returns { report } or { error, status }. Reporting the same thing twice
+// while the first report is open returns the existing report.
+function createReport(reporterId, input, canSee) {
+  const { targetType, targetId, reason } = input || {};
+  if (!REPORT_TARGETS.has(targetType)) return { error: "targetType must be message, contract or user", status: 400 };
+  if (typeof targetId !== "string" || !targetId) return { error: "targetId required", status: 400 };
+  if (!REPORT_REASONS.has(reason)) return { error: `reason must be one of ${[...REPORT_REASONS].join(", ")}`, status: 400 };
+  if (targetType === "user" && targetId === reporterId) return { error: "You can't report yourself", status: 400 };
+  const snapshot = reportTarget(targetType, targetId, canSee);
+  if (!snapshot) return { error: "Report target not found", status: 404 };
+  const existing = statements.findOpenReport.get(reporterId, targetType, targetId);
+  if (existing) return { report: toPublicReport(existing) };
+  const report = {
+    id: nanoid(),
+    reporterId,
+    targetType,
+    targetId,
+    reason,
+    details: typeof input.details === "string" ? input.details.trim().slice(0, MAX_DETAILS_LENGTH) : null,
+    snapshot: JSON.stringify(snapshot),
+    createdAt: new Date().toISOString(),
+  };
+  statements.insertReport.run(report);
+  return { report: toPublicReport(statements.getReport.get(report.id)) };
+}
+
+function toPublicReport(row) {
+  return row && { ...row, snapshot: row.snapshot ? JSON.parse(row.snapshot) : null };
+}
+
+function listReports(status = "open") {
+  return statements.listReports.all(status).map(toPublicReport);
+}
+
+/* -------------------- Admin actions -------------------- */
+
+function recordAction(moderatorId, action, targetType, targetId, { reportId = null, note = null } = {}) {
+  statements.insertAction.run({
+    id: nanoid(),
+    moderatorId,
+    action,
+    targetType,
+    targetId,
+    reportId,
+    note: typeof note === "string" ? note.trim().slice(0, MAX_DETAILS_LENGTH) || null : null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function listActions() {
+  return statements.listActions.all();
+}
+
+const resolveReport = db.transaction((moderatorId, reportId, { resolution, note } = {}) => {
+  if (!REPORT_RESOLUTIONS.has(resolution)) return { error: "resolution must be actioned or dismissed", status: 400 };
+  const report = statements.getReport.get(reportId);
+  if (!report) return { error: "Report not found", status: 404 };
+  if (report.status !== "open") return { error: "Report is already resolved", status: 409 };
+  statements.resolveReport.run({
+    id: reportId,
+    status: "resolved",
+    resolution,
+    resolvedAt: new Date().toISOString(),
+    resolvedBy: moderatorId,
+  });
+  recordAction(moderatorId, `report_${resolution}`, "report", reportId, { reportId, note });
+  return { report: toPublicReport(statements.getReport.get(reportId)) };
+});
+
+const setContractHidden = db.transaction((moderatorId, contractId, hidden, options) => {
+  const contract = statements.getContract.get(contractId);
+  if (!contract) return { error: "Contract not found", status: 404 };
+  statements.setHidden.run(hidden ? new Date().toISOString() : null, contractId);
+  recordAction(moderatorId, hidden ? "hide_contract" : "unhide_contract", "contract", contractId, options);
+  return { contract: statements.getContract.get(contractId) };
+});
+
+function moderatableUser(moderatorId, userId) {
+  const user = statements.getUser.get(userId);
+  if (!user || user.deletedAt) return { error: "User not found", status: 404 };
+  if (user.id === moderatorId) return { error: "You can't moderate yourself", status: 400 };
+  return { user };
+}
+
+// `hours` null or 0 lifts the mute.
+const muteUser = db.transaction((moderatorId, userId, hours, options) => {
+  const target = moderatableUser(moderatorId, userId);
+  if (target.error) return target;
+  const duration = Number(hours || 0);
+  if (!Number.isFinite(duration) || duration < 0 || duration > MAX_MUTE_HOURS) {
+    return { error: `hours must be between 0 and ${MAX_MUTE_HOURS}`, status: 400 };
+  }
+  const mutedUntil = duration ? new Date(Date.now() + duration * 3600000).toISOString() : null;
+  statements.setMutedUntil.run(mutedUntil, userId);
+  recordAction(moderatorId, mutedUntil ? "mute_user" : "unmute_user", "user", userId, options);
+  return { mutedUntil };
+});
+
+// Suspending also ends every session the user has.
+const suspendUser = db.transaction((moderatorId, userId, suspended, options) => {
+  const target = moderatableUser(moderatorId, userId);
+  if (target.error) return target;
+  statements.setSuspended.run(suspended ? new Date().toISOString() : null, userId);
+  if (suspended) revokeAllSessions(userId);
+  recordAction(moderatorId, suspended ? "suspend_user" : "unsuspend_user", "user", userId, options);
+  return { suspended };
+});
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  listBlocks,
+  isBlockedEither,
+  blockedFromContract,
+  muteError,
+  createReport,
+  listReports,
+  listActions,
+  resolveReport,
+  setContractHidden,
+  muteUser,
+  suspendUser,
+};
@@ -0,0 +1,313 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const mailer = require("./mailer");
+const realtime = require("./realtime");
+const webhooks = require("./webhooks");
+const members = require("./members");
+const { termsTimeline } = require("./amendments");
+const { computeContractProgress, contractEndDate, addDays, diffDays } = require("./progress");
+const { localParts, inWindow, parseClock } = require("./timezones");
+
+// Per-user notification inbox plus delivery channels. Every notification is
+// stored; channels are pushed in addition. Channels are pluggable through
+// registerChannel(name, send) and enabled per user in their settings. The
+// webhook channel goes out as a signed notification.created event to the
+// user's own webhook subscriptions (webhooks.js).
+
+const TYPES = [
+  "match_found",
+  "invite_accepted",
+  "partner_checked_in",
+  "new_message",
+  "checkin_reminder",
+  "missed_day",
+  "missed_week",
+  "ending_soon",
+  "amendment_proposed",
+  "amendment_resolved",
+  "endorsement_received",
+];
+
+const DEFAULT_SETTINGS = {
+  channels: { inApp: true, email: false, webhook: false },
+  quietHours: { start: null, end: null },
+  reminderTime: "19:00",
+  mutedTypes: [],
+};
+
+const ENDING_SOON_DAYS = 2;
+const SWEEP_INTERVAL_MS = Number(process.env.REMINDER_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+const statements = {
+  insert: db.prepare(
+    `INSERT OR IGNORE INTO notifications (id, userId, type, title, body, contractId, data, dedupeKey, createdAt)
+     VALUES (@id, @userId, @type, @title, @body, @contractId, @data, @dedupeKey, @createdAt)`
+  ),
+  setDelivered: db.prepare("UPDATE notifications SET deliveredVia = ? WHERE id = ?"),
+  list: db.prepare(
+    `SELECT * FROM notifications WHERE userId = @userId AND (@unreadOnly = 0 OR readAt IS NULL)
+     ORDER BY createdAt DESC LIMIT @limit`
+  ),
+  countUnread: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE userId = ? AND readAt IS NULL"),
+  markRead: db.prepare("UPDATE notifications SET readAt = ? WHERE id = ? AND userId = ? AND readAt IS NULL"),
+  markAllRead: db.prepare("UPDATE notifications SET readAt = ? WHERE userId = ? AND readAt IS NULL"),
+  getUser: db.prepare("SELECT id, name, email, timezone, notificationSettings FROM users WHERE id = ?"),
+  setSettings: db.prepare("UPDATE users SET notificationSettings = ? WHERE id = ?"),
+  reminderContracts: db.prepare("SELECT * FROM contracts WHERE status IN ('matched', 'active')"),
+  listCheckins: db.prepare("SELECT * FROM checkins WHERE contractId = ?"),
+};
+
+/* -------------------- Settings -------------------- */
+
+function parseSettings(text) {
+  let stored = {};
+  try {
+    stored = text ? JSON.parse(text) : {};
+  } catch (e) {
+    stored = {};
+  }
+  // Older settings may carry a webhookUrl, which was POSTed to unsigned. It
+  // isn't used any more: the webhook channel goes to the user's webhook
+  // subscriptions instead.
+  const { webhookUrl, ...rest } = stored;
+  return {
+    ...DEFAULT_SETTINGS,
+    ...rest,
+    channels: { ...DEFAULT_SETTINGS.channels, ...(stored.channels || {}) },
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...(stored.quietHours || {}) },
+  };
+}
+
+function getSettings(userId) {
+  return parseSettings(statements.getUser.get(userId)?.notificationSettings);
+}
+
+// Merge a partial update into the stored settings. Returns { settings } or { error }.
+function updateSettings(userId, input) {
+  if (!input || typeof input !== "object") return { error: "settings object required" };
+  const settings = getSettings(userId);
+  if (input.channels && typeof input.channels === "object") {
+    Object.keys(input.channels).forEach((name) => {
+      if (channels.has(name)) settings.channels[name] = Boolean(input.channels[name]);
+    });
+  }
+  if (input.quietHours !== undefined) {
+    const { start = null, end = null } = input.quietHours || {};
+    if ((start !== null && parseClock(start) === null) || (end !== null && parseClock(end) === null)) {
+      return { error: "quietHours must use HH:MM" };
+    }
+    settings.quietHours = { start, end };
+  }
+  if (input.reminderTime !== undefined) {
+    if (input.reminderTime !== null && parseClock(input.reminderTime) === null) {
+      return { error: "reminderTime must use HH:MM" };
+    }
+    settings.reminderTime = input.reminderTime;
+  }
+  if (Array.isArray(input.mutedTypes)) {
+    settings.mutedTypes = input.mutedTypes.filter((t) => TYPES.includes(t));
+  }
+  statements.setSettings.run(JSON.stringify(settings), userId);
+  return { settings };
+}
+
+function inQuietHours(user, settings, now = new Date()) {
+  return inWindow(user.timezone, settings.quietHours.start, settings.quietHours.end, now);
+}
+
+/* -------------------- Channels -------------------- */
+
+const channels = new Map();
+
+// `send(user, notification, settings)` may return a promise; failures are logged.
+function registerChannel(name, send, { respectsQuietHours = true } = {}) {
+  channels.set(name, { send, respectsQuietHours });
+}
+
+registerChannel(
+  "inApp",
+  (user, notification) => {
+    realtime.emitToUser(user.id, "notification", notification);
+  },
+  { respectsQuietHours: false }
+);
+
+registerChannel("email", (user, notification) => {
+  if (!user.email) return null;
+  return mailer.sendMail({ to: user.email, subject: notification.title, text: notification.body || notification.title });
+});
+
+registerChannel("webhook", (user, notification) => {
+  webhooks.dispatchToUser(user.id, "notification.created", notification.contractId, notification);
+});
+
+async function deliver(user, notification, settings) {
+  const quiet = inQuietHours(user, settings);
+  const delivered = [];
+  for (const [name, channel] of channels) {
+    if (!settings.channels[name]) continue;
+    if (quiet && channel.respectsQuietHours) continue;
+    try {
+      await channel.send(user, notification, settings);
+      delivered.push(name);
+    } catch (err) {
+      console.error(`Notification channel ${name} failed:`, err.message);
+    }
+  }
+  statements.setDelivered.run(delivered.join(","), notification.id);
+  return delivered;
+}
+
+/* -------------------- Inbox -------------------- */
+
+function toPublic(row) {
+  let data = null;
+  try {
+    data = row.data ? JSON.parse(row.data) : null;
+  } catch (e) {
+    data = null;
+  }
+  return { ...row, data };
+}
+
+// Store a notification and push it out. A dedupeKey makes repeat calls for
+// the same event a no-op. Returns the stored notification or null.
+function notify(userId, type, { title, body = null, contractId = null, data = null, dedupeKey = null }) {
+  const user = statements.getUser.get(userId);
+  if (!user) return null;
+  const settings = parseSettings(user.notificationSettings);
+  if (settings.mutedTypes.includes(type)) return null;
+  const row = {
+    id: nanoid(),
+    userId,
+    type,
+    title,
+    body,
+    contractId,
+    data: data ? JSON.stringify(data) : null,
+    dedupeKey,
+    createdAt: new Date().toISOString(),
+  };
+  if (!statements.insert.run(row).changes) return null;
+  const notification = toPublic({ ...row, readAt: null, deliveredVia: null });
+  deliver(user, notification, settings).catch((err) => console.error("Notification delivery failed:", err));
+  return notification;
+}
+
+function notifyMany(userIds, type, payload) {
+  return userIds.map((userId) =>
+    notify(userId, type, { ...payload, dedupeKey: payload.dedupeKey ? `${payload.dedupeKey}:${userId}` : null })
+  );
+}
+
+function listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  const capped = Math.min(Math.max(Number(limit) || 50, 1), 200);
+  return {
+    unread: statements.countUnread.get(userId).count,
+    notifications: statements.list.all({ userId, unreadOnly: unreadOnly ? 1 : 0, limit: capped }).map(toPublic),
+  };
+}
+
+function markRead(userId, id) {
+  return statements.markRead.run(new Date().toISOString(), id, userId).changes > 0;
+}
+
+function markAllRead(userId) {
+  return statements.markAllRead.run(new Date().toISOString(), userId).changes;
+}
+
+/* -------------------- Reminders -------------------- */
+
+// Look at every running contract from each member's local clock and queue
+// reminders, missed-day and ending-soon notices. Dedupe keys keep each one
+// to once per day (or once per contract for ending soon).
+function runReminderSweep(now = new Date()) {
+  statements.reminderContracts.all().forEach((contract) => {
+    const participantIds = members.memberIds(contract.id);
+    const checkins = statements.listCheckins.all(contract.id);
+    const endDate = contractEndDate(contract);
+    const terms = termsTimeline(contract);
+    const joinDates = members.joinDates(contract);
+    participantIds.forEach((userId) => {
+      const user = statements.getUser.get(userId);
+      if (!user) return;
+      const settings = parseSettings(user.notificationSettings);
+      if (inQuietHours(user, settings, now)) return;
+      const local = localParts(user.timezone, now);
+      const today = local.dateKey;
+      if (today < contract.startDate || today > endDate) return;
+      const done = new Set(checkins.filter((c) => c.userId === userId && c.done).map((c) => c.dateKey));
+      const progress = computeContractProgress(contract, checkins, { today, participantIds: [userId], joinDates, terms });
+      const mine = progress.participants[0];
+      const thisWeek = mine.weeks.find((w) => today >= w.start && today <= w.end);
+
+      const reminderAt = parseClock(settings.reminderTime);
+      if (reminderAt !== null && local.hour * 60 + local.minute >= reminderAt && !done.has(today)) {
+        if (thisWeek && thisWeek.status === "pending") {
+          notify(userId, "checkin_reminder", {
+            title: `Don't forget to check in: ${contract.title}`,
+            body: `${thisWeek.count}/${thisWeek.target} check-ins this week.`,
+            contractId: contract.id,
+            dedupeKey: `reminder:${contract.id}:${userId}:${today}`,
+          });
+        }
+      }
+
+      const yesterday = addDays(today, -1);
+      if (contract.frequencyPerWeek >= 7 && yesterday >= contract.startDate && !done.has(yesterday)) {
+        notify(userId, "missed_day", {
+          title: `You missed yesterday on ${contract.title}`,
+          body: "Log today to get your streak going again.",
+          contractId: contract.id,
+          dedupeKey: `missed:${contract.id}:${userId}:${yesterday}`,
+        });
+      }
+      const lastWeek = mine.weeks.find((w) => w.end === yesterday);
+      if (lastWeek && lastWeek.status === "missed") {
+        notify(userId, "missed_week", {
+          title: `Weekly target missed on ${contract.title}`,
+          body: `${lastWeek.count}/${lastWeek.target} check-ins last week.`,
+          contractId: contract.id,
+          dedupeKey: `missed-week:${contract.id}:${userId}:${lastWeek.index}`,
+        });
+      }
+
+      const daysLeft = diffDays(today, endDate);
+      if (daysLeft >= 0 && daysLeft <= ENDING_SOON_DAYS) {
+        notify(userId, "ending_soon", {
+          title: `${contract.title} ends ${daysLeft === 0 ? "today" : `in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`}`,
+          body: `You're at ${mine.percentComplete}% of your check-ins.`,
+          contractId: contract.id,
+          dedupeKey: `ending:${contract.id}:${userId}`,
+        });
+      }
+    });
+  });
+}
+
+function startReminderScheduler() {
+  const tick = () => {
+    try {
+      runReminderSweep();
+    } catch (err) {
+      console.error("Reminder sweep failed:", err);
+    }
+  };
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  TYPES,
+  registerChannel,
+  getSettings,
+  updateSettings,
+  notify,
+  notifyMany,
+  listNotifications,
+  markRead,
+  markAllRead,
+  runReminderSweep,
+  startReminderScheduler,
+};
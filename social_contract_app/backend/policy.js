@@ -0,0 +1,150 @@
+const db = require("./db");
+const members = require("./members");
+
+// Central access policy for contracts and user records. Every route asks
+// here instead of checking membership itself.
+//
+// Roles on a contract:
+//   owner   - created it
+//   partner - the other person in a two-person contract
+//   member  - a non-owner in a group contract
+//   viewer  - anyone else, while the contract is listed on explore
+// Anyone else gets no role: the contract is reported as not found.
+//
+// A missing or invisible contract is a 404; a visible contract the caller
+// may not act on is a 403.
+
+const PERMISSIONS = {
+  view: ["owner", "partner", "member", "viewer"],
+  activity: ["owner", "partner", "member"], // check-ins, evidence, progress, ledger
+  chat: ["owner", "partner", "member"],
+  checkin: ["owner", "partner", "member"],
+  verify: ["owner", "partner", "member"],
+  approve: ["owner", "partner", "member"], // respond to someone else's amendment
+  edit: ["owner"],
+  cancel: ["owner", "partner"],
+  leave: ["member"],
+  clone: ["owner", "partner", "member"], // start a new contract from a finished one
+  endorse: ["owner", "partner", "member"], // once the contract has ended
+};
+
+// Routes a personal access token may call, by scope (method and route path
+// as declared in server.js). Anything not listed - account settings, the
+// tokens themselves, moderation - needs a login.
+const TOKEN_SCOPES = {
+  "contracts:read": [
+    "GET /api/contracts",
+    "GET /api/contracts/:id",
+    "GET /api/users/:id/contracts",
+    "GET /api/contracts/:id/checkins",
+    "GET /api/contracts/:id/progress",
+    "GET /api/contracts/:id/events",
+    "GET /api/contracts/:id/amendments",
+    "GET /api/contracts/:id/endorsements",
+    "GET /api/contracts/:id/calendar.ics",
+    "GET /api/me/stats",
+  ],
+  "contracts:write": [
+    "POST /api/contracts",
+    "PATCH /api/contracts/:id",
+    "PUT /api/contracts/:id/listing",
+    "POST /api/contracts/:id/amendments/:amendmentId/accept",
+    "POST /api/contracts/:id/amendments/:amendmentId/reject",
+    "POST /api/contracts/:id/amendments/:amendmentId/withdraw",
+  ],
+  "checkins:write": [
+    "POST /api/contracts/:id/checkins",
+    "POST /api/contracts/:id/checkins/:checkinId/evidence",
+    "POST /api/contracts/:id/checkins/:checkinId/evidence/file",
+    "GET /api/me/imports",
+    "POST /api/me/imports",
+  ],
+  "messages:read": ["GET /api/contracts/:id/messages", "GET /api/contracts/:id/messages/search"],
+  "messages:write": ["POST /api/contracts/:id/messages", "POST /api/contracts/:id/messages/read"],
+  "notifications:read": ["GET /api/notifications"],
+  "webhooks:write": [
+    "GET /api/webhooks",
+    "POST /api/webhooks",
+    "DELETE /api/webhooks/:id",
+    "GET /api/webhooks/:id/deliveries",
+    "POST /api/webhooks/:id/deliveries/:deliveryId/replay",
+  ],
+};
+
+const NOT_FOUND = { status: 404, error: "Contract not found" };
+const FORBIDDEN = { status: 403, error: "Not allowed" };
+
+const statements = {
+  getContract: db.prepare("SELECT * FROM contracts WHERE id = ?"),
+};
+
+// Mirrors the explore listing: not archived, unlisted or hidden by a
+// moderator, a free spot, and either still open or a group that keeps
+// taking members.
+function isListed(contract) {
+  if (contract.archivedAt || contract.unlistedAt || contract.hiddenAt) return false;
+  const joinable = contract.status === "open" || (members.isGroup(contract) && ["matched", "active"].includes(contract.status));
+  return joinable && members.memberCount(contract.id) < contract.capacity;
+}
+
+function roleFor(contract, userId) {
+  if (!contract) return null;
+  if (userId && members.isMember(contract.id, userId)) {
+    if (contract.ownerId === userId) return "owner";
+    return members.isGroup(contract) ? "member" : "partner";
+  }
+  return isListed(contract) ? "viewer" : null;
+}
+
+function can(role, action) {
+  return Boolean(role && PERMISSIONS[action]?.includes(role));
+}
+
+// Returns null when allowed, otherwise { status, error } for the response.
+function authorize(contract, userId, action) {
+  const role = roleFor(contract, userId);
+  if (!can(role, "view")) return NOT_FOUND;
+  if (!can(role, action)) return FORBIDDEN;
+  return null;
+}
+
+function canAccessContract(contractId, userId, action) {
+  return !authorize(statements.getContract.get(contractId), userId, action);
+}
+
+// Route middleware: loads req.params.id into req.contract (and the caller's
+// role into req.contractRole) or ends the request with 404/403.
+function contractAccess(action) {
+  return (req, res, next) => {
+    const contract = statements.getContract.get(req.params.id);
+    const denied = authorize(contract, req.user?.id, action);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    req.contract = contract;
+    req.contractRole = roleFor(contract, req.user?.id);
+    next();
+  };
+}
+
+// The scope a personal access token needs for a route, or null when tokens
+// can't call it.
+function scopeForRoute(method, routePath) {
+  const route = `${method === "HEAD" ? "GET" : method} ${routePath}`;
+  return Object.keys(TOKEN_SCOPES).find((scope) => TOKEN_SCOPES[scope].includes(route)) || null;
+}
+
+// Email, settings and contract lists are only visible to the account itself.
+function canViewPrivateProfile(viewerId, userId) {
+  return Boolean(viewerId) && viewerId === userId;
+}
+
+module.exports = {
+  PERMISSIONS,
+  TOKEN_SCOPES,
+  roleFor,
+  can,
+  authorize,
+  canAccessContract,
+  contractAccess,
+  canViewPrivateProfile,
+  scopeForRoute,
+};
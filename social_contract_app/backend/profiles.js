@@ -0,0 +1,173 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const { computeContractProgress } = require("./progress");
+const { termsTimeline } = require("./amendments");
+const { joinDates } = require("./members");
+const { isBlockedEither } = require("./moderation");
+const { topicsOf, visibilityOf, DEFAULT_VISIBILITY } = require("./accounts");
+const { recordEvent } = require("./events");
+
+// Public profiles, the reliability record and partner endorsements.
+//
+// Reliability is computed from every contract the user has been a member of:
+//   completed / failed - contracts that ran to the end, by the user's own
+//                        outcome (a partner failing doesn't count against them)
+//   abandoned          - contracts the user cancelled, or left before the end
+//   checkinRate        - average share of required check-ins done on the
+//                        completed and failed ones (null until there is one)
+//   endorsements       - endorsements received
+// Contracts someone else cancelled and ones that expired unmatched don't count.
+//
+// Other people only see the fields the user left public (accounts.js keeps
+// the settings); the user always sees everything.
+
+const ENDED_STATUSES = new Set(["completed", "failed", "abandoned"]);
+const MAX_NOTE_LENGTH = 500;
+const RECENT_ENDORSEMENTS = 20;
+
+const statements = {
+  getUser: db.prepare("SELECT * FROM users WHERE id = ?"),
+  memberships: db.prepare(
+    `SELECT c.*, m.leftAt as memberLeftAt
+     FROM contract_members m
+     JOIN contracts c ON c.id = m.contractId
+     WHERE m.userId = ?`
+  ),
+  abandonedBy: db.prepare(
+    `SELECT DISTINCT contractId FROM contract_events
+     WHERE actorId = ? AND type = 'status_changed' AND json_extract(data, '$.to') = 'abandoned'`
+  ),
+  userCheckins: db.prepare("SELECT * FROM checkins WHERE contractId = ? AND userId = ?"),
+  countEndorsements: db.prepare("SELECT COUNT(*) as count FROM endorsements WHERE toUserId = ?"),
+  receivedEndorsements: db.prepare(
+    `SELECT e.id, e.fromUserId, u.name as fromName, e.note, e.createdAt
+     FROM endorsements e
+     LEFT JOIN users u ON u.id = e.fromUserId
+     WHERE e.toUserId = ?
+     ORDER BY e.createdAt DESC
+     LIMIT ?`
+  ),
+  contractEndorsements: db.prepare(
+    `SELECT e.*, f.name as fromName, t.name as toName
+     FROM endorsements e
+     LEFT JOIN users f ON f.id = e.fromUserId
+     LEFT JOIN users t ON t.id = e.toUserId
+     WHERE e.contractId = ?
+     ORDER BY e.createdAt ASC`
+  ),
+  wasMember: db.prepare("SELECT 1 FROM contract_members WHERE contractId = ? AND userId = ?"),
+  findEndorsement: db.prepare("SELECT id FROM endorsements WHERE contractId = ? AND fromUserId = ? AND toUserId = ?"),
+  insertEndorsement: db.prepare(
+    `INSERT INTO endorsements (id, contractId, fromUserId, toUserId, note, createdAt)
+     VALUES (@id, @contractId, @fromUserId, @toUserId, @note, @createdAt)`
+  ),
+};
+
+// The user's own outcome on a contract that ran to the end.
+function ownOutcome(contract, userId) {
+  const progress = computeContractProgress(contract, statements.userCheckins.all(contract.id, userId), {
+    participantIds: [userId],
+    joinDates: joinDates(contract),
+    terms: termsTimeline(contract),
+  });
+  const [own] = progress.participants;
+  const outcome = own && own.outcome !== "in_progress" ? own.outcome : contract.status;
+  return { outcome, percentComplete: own ? own.percentComplete : 0 };
+}
+
+function reliabilityFor(userId) {
+  const abandonedBy = new Set(statements.abandonedBy.all(userId).map((row) => row.contractId));
+  const record = { completed: 0, failed: 0, abandoned: 0, checkinRate: null, endorsements: 0 };
+  const rates = [];
+  statements.memberships.all(userId).forEach((contract) => {
+    if (contract.memberLeftAt && (!contract.endedAt || contract.memberLeftAt < contract.endedAt)) {
+      record.abandoned += 1;
+      return;
+    }
+    if (contract.status === "abandoned") {
+      if (abandonedBy.has(contract.id)) record.abandoned += 1;
+      return;
+    }
+    if (contract.status !== "completed" && contract.status !== "failed") return;
+    const { outcome, percentComplete } = ownOutcome(contract, userId);
+    record[outcome] += 1;
+    rates.push(percentComplete);
+  });
+  if (rates.length) record.checkinRate = Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length);
+  record.endorsements = statements.countEndorsements.get(userId).count;
+  return record;
+}
+
+// Reliability for each user id that has it public, for lists like explore
+// and match offers. Missing or hidden ones map to null.
+function reliabilitySummaries(userIds) {
+  const summaries = new Map();
+  new Set(userIds).forEach((userId) => {
+    const user = statements.getUser.get(userId);
+    summaries.set(userId, user && visibilityOf(user).reliability ? reliabilityFor(userId) : null);
+  });
+  return summaries;
+}
+
+function listReceivedEndorsements(userId, limit = RECENT_ENDORSEMENTS) {
+  return statements.receivedEndorsements.all(userId, limit);
+}
+
+// The profile as `viewerId` may see it, or null when the user doesn't exist
+// or one of the two has blocked the other. Hidden fields are null.
+function getPublicProfile(userId, viewerId) {
+  const user = statements.getUser.get(userId);
+  if (!user) return null;
+  const self = viewerId === userId;
+  if (!self && viewerId && isBlockedEither(viewerId, userId)) return null;
+  const shown = self ? DEFAULT_VISIBILITY : visibilityOf(user);
+  const profile = {
+    id: user.id,
+    name: user.name,
+    avatarUrl: shown.avatarUrl ? user.avatarUrl || null : null,
+    bio: shown.bio ? user.bio || null : null,
+    topics: shown.topics ? topicsOf(user) : null,
+    reliability: shown.reliability ? reliabilityFor(user.id) : null,
+    endorsements: shown.endorsements ? listReceivedEndorsements(user.id) : null,
+    memberSince: user.createdAt,
+    deleted: Boolean(user.deletedAt),
+  };
+  if (self) return { ...profile, email: user.email, visibility: visibilityOf(user) };
+  return profile;
+}
+
+// Members endorse each other once a contract has ended, one endorsement per
+// person per contract. Returns { endorsement } or { error, status }.
+function endorse(contract, fromUserId, toUserId, note) {
+  if (!ENDED_STATUSES.has(contract.status)) {
+    return { error: "You can endorse partners once the contract has ended", status: 400 };
+  }
+  if (toUserId === fromUserId) return { error: "You can't endorse yourself", status: 400 };
+  if (!statements.wasMember.get(contract.id, toUserId)) return { error: "Member not found", status: 404 };
+  if (statements.findEndorsement.get(contract.id, fromUserId, toUserId)) {
+    return { error: "You already endorsed them on this contract", status: 409 };
+  }
+  const endorsement = {
+    id: nanoid(),
+    contractId: contract.id,
+    fromUserId,
+    toUserId,
+    note: typeof note === "string" ? note.trim().slice(0, MAX_NOTE_LENGTH) || null : null,
+    createdAt: new Date().toISOString(),
+  };
+  statements.insertEndorsement.run(endorsement);
+  recordEvent(contract.id, "endorsed", { actorId: fromUserId, data: { userId: toUserId } });
+  return { endorsement };
+}
+
+function listContractEndorsements(contractId) {
+  return statements.contractEndorsements.all(contractId);
+}
+
+module.exports = {
+  reliabilityFor,
+  reliabilitySummaries,
+  getPublicProfile,
+  endorse,
+  listContractEndorsements,
+};
@@ -0,0 +1,221 @@
+// Contract progress: weekly targets, streaks and the end state per participant.
+// Pure functions only; callers load the contract and its check-ins.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days the partner has to review a check-in on a "prove" day.
+const REVIEW_DAYS = 3;
+
+function parseDateKey(key) {
+  return Date.parse(`${key}T00:00:00Z`);
+}
+
+function toDateKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+  return toDateKey(parseDateKey(key) + days * DAY_MS);
+}
+
+function diffDays(fromKey, toKey) {
+  return Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function contractEndDate(contract) {
+  if (!contract.startDate) return null;
+  return addDays(contract.startDate, Math.max(Number(contract.durationDays) || 0, 1) - 1);
+}
+
+// The terms (frequencyPerWeek, proofBasis) in force on `key`. `terms` is a
+// list of { from, frequencyPerWeek, proofBasis } sorted by `from`, as built
+// from accepted amendments; without it the contract's own terms apply.
+function termsOn(contract, terms, key) {
+  let current = contract;
+  (terms || []).forEach((segment) => {
+    if (segment.from <= key) current = segment;
+  });
+  return current;
+}
+
+// Split the contract window into 7-day blocks starting at startDate.
+// Each day contributes frequency/7 of a check-in under the terms in force
+// that day, rounded up per block. So a short final block gets a prorated
+// target (a 10-day contract at 3x/week asks for 3 + 2 rather than 3 + 3),
+// and a week that straddles an amendment blends the old and new frequency.
+// `from` is the first day that counts for the participant (a group member
+// who joined late): earlier weeks are left out and the week they joined in
+// is prorated the same way. Weeks keep their index in the contract.
+function buildWeeks(contract, terms, from = contract.startDate) {
+  const totalDays = Math.max(Number(contract.durationDays) || 0, 1);
+  const firstDay = Math.max(diffDays(contract.startDate, from), 0);
+  const weeks = [];
+  for (let offset = 0; offset < totalDays; offset += 7) {
+    const first = Math.max(offset, firstDay);
+    const last = Math.min(offset + 7, totalDays) - 1;
+    if (first > last) continue;
+    let perDaySum = 0;
+    for (let day = first; day <= last; day += 1) {
+      const key = addDays(contract.startDate, day);
+      perDaySum += Math.max(Number(termsOn(contract, terms, key).frequencyPerWeek) || 0, 0);
+    }
+    weeks.push({
+      index: offset / 7,
+      start: addDays(contract.startDate, first),
+      end: addDays(contract.startDate, last),
+      target: Math.min(Math.ceil(perDaySum / 7), last - first + 1),
+    });
+  }
+  return weeks;
+}
+
+function isDone(checkin) {
+  return checkin.done === 1 || checkin.done === true;
+}
+
+function isProveDay(contract, checkin, terms) {
+  return termsOn(contract, terms, checkin.dateKey).proofBasis === "prove";
+}
+
+function reviewClosed(checkin, today) {
+  return diffDays(checkin.dateKey, today) > REVIEW_DAYS;
+}
+
+// On "prove" contracts a check-in counts only once the partner approved it;
+// pending, disputed and bare ones don't. The proof basis is the one in force
+// on the check-in's day.
+function countsTowardProgress(contract, checkin, terms) {
+  if (!isDone(checkin)) return false;
+  if (!isProveDay(contract, checkin, terms)) return true;
+  return checkin.verificationStatus === "approved";
+}
+
+// A done check-in the partner can still approve: one that isn't reviewed
+// within REVIEW_DAYS doesn't hold its week open any longer.
+function awaitingReview(contract, checkin, terms, today = todayKey()) {
+  if (!isDone(checkin) || !isProveDay(contract, checkin, terms)) return false;
+  if (checkin.verificationStatus === "approved" || checkin.verificationStatus === "disputed") return false;
+  return !reviewClosed(checkin, today);
+}
+
+function computeStreaks(doneKeys, startDate, lastKey) {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  const sorted = [...doneKeys].filter((key) => key >= startDate && key <= lastKey).sort();
+  sorted.forEach((key) => {
+    run = prev && diffDays(prev, key) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = key;
+  });
+
+  // The current streak stays alive until the end of today, so count back
+  // from yesterday when today hasn't been logged yet.
+  let current = 0;
+  let cursor = doneKeys.has(lastKey) ? lastKey : addDays(lastKey, -1);
+  while (cursor >= startDate && doneKeys.has(cursor)) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+  return { currentStreak: current, longestStreak: longest };
+}
+
+// A week that's over but short of its target stays "in_review" while any of
+// its check-ins can still be approved, so it isn't charged as missed yet.
+function computeParticipantProgress(weeks, userId, doneKeys, reviewKeys, { startDate, endDate, today, ended }) {
+  let checkinsDone = 0;
+  let checkinsRequired = 0;
+  const inWeek = (keys, week) => [...keys].filter((key) => key >= week.start && key <= week.end).length;
+  const weekResults = weeks.map((week) => {
+    const count = inWeek(doneKeys, week);
+    let status = "pending";
+    if (count >= week.target) status = "met";
+    else if (today > week.end) status = inWeek(reviewKeys, week) ? "in_review" : "missed";
+    checkinsDone += Math.min(count, week.target);
+    checkinsRequired += week.target;
+    return { ...week, count, status };
+  });
+
+  const weeksMet = weekResults.filter((w) => w.status === "met").length;
+  const weeksMissed = weekResults.filter((w) => w.status === "missed").length;
+  const inReview = weekResults.some((w) => w.status === "in_review");
+  const lastKey = today < endDate ? today : endDate;
+  const streaks = computeStreaks(doneKeys, startDate, lastKey);
+
+  let outcome = "in_progress";
+  if (ended && !inReview) outcome = weeksMissed === 0 ? "completed" : "failed";
+
+  return {
+    userId,
+    startDate,
+    weeks: weekResults,
+    weeksMet,
+    weeksMissed,
+    ...streaks,
+    checkinsDone,
+    checkinsRequired,
+    percentComplete: checkinsRequired ? Math.round((checkinsDone / checkinsRequired) * 100) : 0,
+    outcome,
+  };
+}
+
+// Compute progress for every participant of a contract.
+// `checkins` are rows from the checkins table; see countsTowardProgress.
+// `options.participantIds` lists group members; it defaults to owner/partner.
+// `options.terms` is the amendment history (see termsOn).
+// `options.joinDates` maps group members to the day they joined
+// (members.joinDates); each one's weeks start there.
+function computeContractProgress(contract, checkins, options = {}) {
+  const today = options.today || todayKey();
+  const participants = options.participantIds || [contract.ownerId, contract.partnerId].filter(Boolean);
+  if (!contract.startDate) {
+    return { contractId: contract.id, startDate: null, endDate: null, outcome: "in_progress", participants: [] };
+  }
+
+  const startDate = contract.startDate;
+  const endDate = contractEndDate(contract);
+  const ended = today > endDate;
+  const totalDays = diffDays(startDate, endDate) + 1;
+  const daysElapsed = Math.min(Math.max(diffDays(startDate, today) + 1, 0), totalDays);
+
+  const results = participants.map((userId) => {
+    const joined = options.joinDates?.[userId];
+    const from = joined && joined > startDate ? joined : startDate;
+    const weeks = buildWeeks(contract, options.terms, from);
+    const own = (checkins || []).filter((c) => c.userId === userId && c.dateKey >= from && c.dateKey <= endDate);
+    const doneKeys = new Set(own.filter((c) => countsTowardProgress(contract, c, options.terms)).map((c) => c.dateKey));
+    const reviewKeys = new Set(own.filter((c) => awaitingReview(contract, c, options.terms, today)).map((c) => c.dateKey));
+    return computeParticipantProgress(weeks, userId, doneKeys, reviewKeys, { startDate: from, endDate, today, ended });
+  });
+
+  // Still in progress while anyone's last weeks await review.
+  let outcome = "in_progress";
+  if (ended && results.length && results.every((r) => r.outcome !== "in_progress")) {
+    outcome = results.every((r) => r.outcome === "completed") ? "completed" : "failed";
+  }
+
+  return {
+    contractId: contract.id,
+    startDate,
+    endDate,
+    totalDays,
+    daysElapsed,
+    outcome,
+    participants: results,
+  };
+}
+
+module.exports = {
+  REVIEW_DAYS,
+  computeContractProgress,
+  countsTowardProgress,
+  buildWeeks,
+  termsOn,
+  contractEndDate,
+  addDays,
+  diffDays,
+  todayKey,
+};
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const { nanoid } = require("nanoid");
+const db = require("./db");
+
+// Evidence attached to check-ins on "prove" contracts, and the partner's
+// approve/dispute decision on each check-in.
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const EVIDENCE_KINDS = new Set(["file", "url", "metric"]);
+// Raster images recognised by their first bytes. Only these are shown inline;
+// anything else (SVG, HTML, PDFs...) is stored as application/octet-stream
+// and downloaded, since files are served from the app's own origin.
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+];
+const INLINE_TYPES = new Set(IMAGE_SIGNATURES.map((signature) => signature.mimeType));
+
+const statements = {
+  insertEvidence: db.prepare(
+    `INSERT INTO checkin_evidence
+    (id, checkinId, contractId, userId, kind, url, filePath, fileName, mimeType, sizeBytes, metricName, metricValue, metricUnit, note, createdAt)
+    VALUES (@id, @checkinId, @contractId, @userId, @kind, @url, @filePath, @fileName, @mimeType, @sizeBytes, @metricName, @metricValue, @metricUnit, @note, @createdAt)`
+  ),
+  getEvidence: db.prepare("SELECT * FROM checkin_evidence WHERE id = ?"),
+  listEvidenceForContract: db.prepare(
+    "SELECT * FROM checkin_evidence WHERE contractId = ? ORDER BY createdAt ASC"
+  ),
+  getCheckin: db.prepare("SELECT * FROM checkins WHERE id = ? AND contractId = ?"),
+  setVerification: db.prepare(
+    `UPDATE checkins SET verificationStatus=@verificationStatus, verifiedBy=@verifiedBy,
+     verifiedAt=@verifiedAt, disputeReason=@disputeReason WHERE id=@id`
+  ),
+};
+
+function getCheckin(contractId, checkinId) {
+  return statements.getCheckin.get(checkinId, contractId);
+}
+
+function getEvidence(id) {
+  return statements.getEvidence.get(id);
+}
+
+// Strip server-side paths before sending evidence to clients.
+function publicEvidence(row) {
+  const { filePath, ...rest } = row;
+  return { ...rest, fileUrl: row.kind === "file" ? `/api/evidence/${row.id}/file` : null };
+}
+
+function withEvidence(checkins, contractId) {
+  const byCheckin = {};
+  statements.listEvidenceForContract.all(contractId).forEach((row) => {
+    (byCheckin[row.checkinId] = byCheckin[row.checkinId] || []).push(publicEvidence(row));
+  });
+  return checkins.map((c) => ({ ...c, evidence: byCheckin[c.id] || [] }));
+}
+
+// Validate a url/metric evidence payload. Returns { error } or { evidence }.
+function parseEvidenceInput(input) {
+  if (!input || typeof input !== "object") return { error: "evidence required" };
+  const kind = typeof input.kind === "string" ? input.kind.toLowerCase().trim() : "";
+  if (!EVIDENCE_KINDS.has(kind) || kind === "file") {
+    return { error: "evidence kind must be url or metric (upload files separately)" };
+  }
+  const note = typeof input.note === "string" ? input.note.trim().slice(0, 500) : null;
+  if (kind === "url") {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch (e) {
+      return { error: "A valid url is required" };
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return { error: "Only http(s) urls are allowed" };
+    }
+    return { evidence: { kind, url: url.toString(), note } };
+  }
+  const metricName = typeof input.metricName === "string" ? input.metricName.trim() : "";
+  const metricValue = Number(input.value);
+  if (!metricName || !Number.isFinite(metricValue)) {
+    return { error: "metricName and a numeric value are required" };
+  }
+  const metricUnit = typeof input.unit === "string" ? input.unit.trim() : null;
+  return { evidence: { kind, metricName, metricValue, metricUnit, note } };
+}
+
+// New evidence puts the check-in back in front of the partner.
+function markPending(checkin) {
+  statements.setVerification.run({
+    id: checkin.id,
+    verificationStatus: "pending",
+    verifiedBy: null,
+    verifiedAt: null,
+    disputeReason: null,
+  });
+}
+
+function addEvidence(checkin, userId, evidence) {
+  const row = {
+    id: nanoid(),
+    checkinId: checkin.id,
+    contractId: checkin.contractId,
+    userId,
+    kind: evidence.kind,
+    url: evidence.url || null,
+    filePath: evidence.filePath || null,
+    fileName: evidence.fileName || null,
+    mimeType: evidence.mimeType || null,
+    sizeBytes: evidence.sizeBytes || null,
+    metricName: evidence.metricName || null,
+    metricValue: evidence.metricValue ?? null,
+    metricUnit: evidence.metricUnit || null,
+    note: evidence.note || null,
+    createdAt: new Date().toISOString(),
+  };
+  db.transaction(() => {
+    statements.insertEvidence.run(row);
+    markPending(checkin);
+  })();
+  return publicEvidence(row);
+}
+
+function sanitizeFileName(name) {
+  const base = path.basename(String(name || "upload"));
+  return base.replace(/[^a-zA-Z0-9._-]/g, "_").slice(0, 100) || "upload";
+}
+
+// The image type `buffer` really is, or null.
+function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, i) => byte === null || buffer[i] === byte)
+  );
+  return signature ? signature.mimeType : null;
+}
+
+// Store an uploaded file under UPLOAD_DIR/<contractId>/ and attach it. The
+// type is detected from the contents; the client's Content-Type is ignored.
+function addFileEvidence(checkin, userId, { buffer, fileName, note }) {
+  const safeName = sanitizeFileName(fileName);
+  const dir = path.join(UPLOAD_DIR, checkin.contractId);
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${nanoid()}${path.extname(safeName)}`);
+  fs.writeFileSync(filePath, buffer);
+  return addEvidence(checkin, userId, {
+    kind: "file",
+    filePath,
+    fileName: safeName,
+    mimeType: detectImageType(buffer) || "application/octet-stream",
+    sizeBytes: buffer.length,
+    note: typeof note === "string" ? note.trim().slice(0, 500) : null,
+  });
+}
+
+function verifyCheckin(checkin, verifierId, decision, reason) {
+  const disputed = decision === "disputed";
+  statements.setVerification.run({
+    id: checkin.id,
+    verificationStatus: disputed ? "disputed" : "approved",
+    verifiedBy: verifierId,
+    verifiedAt: new Date().toISOString(),
+    disputeReason: disputed ? (typeof reason === "string" ? reason.trim().slice(0, 500) : null) : null,
+  });
+  return statements.getCheckin.get(checkin.id, checkin.contractId);
+}
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  INLINE_TYPES,
+  getCheckin,
+  getEvidence,
+  withEvidence,
+  parseEvidenceInput,
+  addEvidence,
+  addFileEvidence,
+  verifyCheckin,
+};
@@ -37,7 +37,7 @@
 `+i[l].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=l&&0<=o);break}}}finally{Gi=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?Fn(e):""}function qf(e){switch(e.tag){case 5:return Fn(e.type);case 16:return Fn("Lazy");case 13:return Fn("Suspense");case 19:return Fn("SuspenseList");case 0:case 2:case 15:return e=Zi(e.type,!1),e;case 11:return e=Zi(e.type.render,!1),e;case 1:return e=Zi(e.type,!0),e;default:return""}}function Ts(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case bt:return"Fragment";case Zt:return"Portal";case Es:return"Profiler";case Ll:return"StrictMode";case Cs:return"Suspense";case js:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case ta:return(e.displayName||"Context")+".Consumer";case ea:return(e._context.displayName||"Context")+".Provider";case Rl:var t=e.render;return e=e.displayName,e||(e=t.displayName||t.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Ol:return t=e.displayName||null,t!==null?t:Ts(e.type)||"Memo";case pt:t=e._payload,e=e._init;try{return Ts(e(t))}catch{}}return null}function Yf(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=t.render,e=e.displayName||e.name||"",t.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return Ts(t);case 8:return t===Ll?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof t=="function")return t.displayName||t.name||null;if(typeof t=="string")return t}return null}function Pt(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function ra(e){var t=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function Xf(e){var t=ra(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&typeof n<"u"&&typeof n.get=="function"&&typeof n.set=="function"){var i=n.get,s=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return i.call(this)},set:function(l){r=""+l,s.call(this,l)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(l){r=""+l},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}function jr(e){e._valueTracker||(e._valueTracker=Xf(e))}function ia(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=ra(e)?e.checked?"true":"false":e.value),e=r,e!==n?(t.setValue(e),!0):!1}function li(e){if(e=e||(typeof document<"u"?document:void 0),typeof e>"u")return null;try{return e.activeElement||e.body}catch{return e.body}}function Ps(e,t){var n=t.checked;return q({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:n??e._wrapperState.initialChecked})}function Po(e,t){var n=t.defaultValue==null?"":t.defaultValue,r=t.checked!=null?t.checked:t.defaultChecked;n=Pt(t.value!=null?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:t.type==="checkbox"||t.type==="radio"?t.checked!=null:t.value!=null}}function sa(e,t){t=t.checked,t!=null&&Pl(e,"checked",t,!1)}function Ls(e,t){sa(e,t);var n=Pt(t.value),r=t.type;if(n!=null)r==="number"?(n===0&&e.value===""||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if(r==="submit"||r==="reset"){e.removeAttribute("value");return}t.hasOwnProperty("value")?Rs(e,t.type,n):t.hasOwnProperty("defaultValue")&&Rs(e,t.type,Pt(t.defaultValue)),t.checked==null&&t.defaultChecked!=null&&(e.defaultChecked=!!t.defaultChecked)}function Lo(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!(r!=="submit"&&r!=="reset"||t.value!==void 0&&t.value!==null))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}n=e.name,n!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,n!==""&&(e.name=n)}function Rs(e,t,n){(t!=="number"||li(e.ownerDocument)!==e)&&(n==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var Un=Array.isArray;function fn(e,t,n,r){if(e=e.options,t){t={};for(var i=0;i<n.length;i++)t["$"+n[i]]=!0;for(n=0;n<e.length;n++)i=t.hasOwnProperty("$"+e[n].value),e[n].selected!==i&&(e[n].selected=i),i&&r&&(e[n].defaultSelected=!0)}else{for(n=""+Pt(n),t=null,i=0;i<e.length;i++){if(e[i].value===n){e[i].selected=!0,r&&(e[i].defaultSelected=!0);return}t!==null||e[i].disabled||(t=e[i])}t!==null&&(t.selected=!0)}}function Os(e,t){if(t.dangerouslySetInnerHTML!=null)throw Error(g(91));return q({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function Ro(e,t){var n=t.value;if(n==null){if(n=t.children,t=t.defaultValue,n!=null){if(t!=null)throw Error(g(92));if(Un(n)){if(1<n.length)throw Error(g(93));n=n[0]}t=n}t==null&&(t=""),n=t}e._wrapperState={initialValue:Pt(n)}}function la(e,t){var n=Pt(t.value),r=Pt(t.defaultValue);n!=null&&(n=""+n,n!==e.value&&(e.value=n),t.defaultValue==null&&e.defaultValue!==n&&(e.defaultValue=n)),r!=null&&(e.defaultValue=""+r)}function Oo(e){var t=e.textContent;t===e._wrapperState.initialValue&&t!==""&&t!==null&&(e.value=t)}function oa(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function zs(e,t){return e==null||e==="http://www.w3.org/1999/xhtml"?oa(t):e==="http://www.w3.org/2000/svg"&&t==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var Tr,ua=function(e){return typeof MSApp<"u"&&MSApp.execUnsafeLocalFunction?function(t,n,r,i){MSApp.execUnsafeLocalFunction(function(){return e(t,n,r,i)})}:e}(function(e,t){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=t;else{for(Tr=Tr||document.createElement("div"),Tr.innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=Tr.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}});function er(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&n.nodeType===3){n.nodeValue=t;return}}e.textContent=t}var Hn={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},Jf=["Webkit","ms","Moz","O"];Object.keys(Hn).forEach(function(e){Jf.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),Hn[t]=Hn[e]})});function aa(e,t,n){return t==null||typeof t=="boolean"||t===""?"":n||typeof t!="number"||t===0||Hn.hasOwnProperty(e)&&Hn[e]?(""+t).trim():t+"px"}function ca(e,t){e=e.style;for(var n in t)if(t.hasOwnProperty(n)){var r=n.indexOf("--")===0,i=aa(n,t[n],r);n==="float"&&(n="cssFloat"),r?e.setProperty(n,i):e[n]=i}}var Gf=q({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function Ds(e,t){if(t){if(Gf[e]&&(t.children!=null||t.dangerouslySetInnerHTML!=null))throw Error(g(137,e));if(t.dangerouslySetInnerHTML!=null){if(t.children!=null)throw Error(g(60));if(typeof t.dangerouslySetInnerHTML!="object"||!("__html"in t.dangerouslySetInnerHTML))throw Error(g(61))}if(t.style!=null&&typeof t.style!="object")throw Error(g(62))}}function As(e,t){if(e.indexOf("-")===-1)return typeof t.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Is=null;function zl(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var Ms=null,dn=null,hn=null;function zo(e){if(e=wr(e)){if(typeof Ms!="function")throw Error(g(280));var t=e.stateNode;t&&(t=Ii(t),Ms(e.stateNode,e.type,t))}}function fa(e){dn?hn?hn.push(e):hn=[e]:dn=e}function da(){if(dn){var e=dn,t=hn;if(hn=dn=null,zo(e),t)for(e=0;e<t.length;e++)zo(t[e])}}function ha(e,t){return e(t)}function pa(){}var bi=!1;function ma(e,t,n){if(bi)return e(t,n);bi=!0;try{return ha(e,t,n)}finally{bi=!1,(dn!==null||hn!==null)&&(pa(),da())}}function tr(e,t){var n=e.stateNode;if(n===null)return null;var r=Ii(n);if(r===null)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(e=e.type,r=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!r;break e;default:e=!1}if(e)return null;if(n&&typeof n!="function")throw Error(g(231,t,typeof n));return n}var Bs=!1;if(ot)try{var Rn={};Object.defineProperty(Rn,"passive",{get:function(){Bs=!0}}),window.addEventListener("test",Rn,Rn),window.removeEventListener("test",Rn,Rn)}catch{Bs=!1}function Zf(e,t,n,r,i,s,l,o,u){var c=Array.prototype.slice.call(arguments,3);try{t.apply(n,c)}catch(m){this.onError(m)}}var Qn=!1,oi=null,ui=!1,Fs=null,bf={onError:function(e){Qn=!0,oi=e}};function ed(e,t,n,r,i,s,l,o,u){Qn=!1,oi=null,Zf.apply(bf,arguments)}function td(e,t,n,r,i,s,l,o,u){if(ed.apply(this,arguments),Qn){if(Qn){var c=oi;Qn=!1,oi=null}else throw Error(g(198));ui||(ui=!0,Fs=c)}}function qt(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do t=e,t.flags&4098&&(n=t.return),e=t.return;while(e)}return t.tag===3?n:null}function ya(e){if(e.tag===13){var t=e.memoizedState;if(t===null&&(e=e.alternate,e!==null&&(t=e.memoizedState)),t!==null)return t.dehydrated}return null}function Do(e){if(qt(e)!==e)throw Error(g(188))}function nd(e){var t=e.alternate;if(!t){if(t=qt(e),t===null)throw Error(g(188));return t!==e?null:e}for(var n=e,r=t;;){var i=n.return;if(i===null)break;var s=i.alternate;if(s===null){if(r=i.return,r!==null){n=r;continue}break}if(i.child===s.child){for(s=i.child;s;){if(s===n)return Do(i),e;if(s===r)return Do(i),t;s=s.sibling}throw Error(g(188))}if(n.return!==r.return)n=i,r=s;else{for(var l=!1,o=i.child;o;){if(o===n){l=!0,n=i,r=s;break}if(o===r){l=!0,r=i,n=s;break}o=o.sibling}if(!l){for(o=s.child;o;){if(o===n){l=!0,n=s,r=i;break}if(o===r){l=!0,r=s,n=i;break}o=o.sibling}if(!l)throw Error(g(189))}}if(n.alternate!==r)throw Error(g(190))}if(n.tag!==3)throw Error(g(188));return n.stateNode.current===n?e:t}function va(e){return e=nd(e),e!==null?ga(e):null}function ga(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var t=ga(e);if(t!==null)return t;e=e.sibling}return null}var wa=Te.unstable_scheduleCallback,Ao=Te.unstable_cancelCallback,rd=Te.unstable_shouldYield,id=Te.unstable_requestPaint,J=Te.unstable_now,sd=Te.unstable_getCurrentPriorityLevel,Dl=Te.unstable_ImmediatePriority,ka=Te.unstable_UserBlockingPriority,ai=Te.unstable_NormalPriority,ld=Te.unstable_LowPriority,Sa=Te.unstable_IdlePriority,Oi=null,Ge=null;function od(e){if(Ge&&typeof Ge.onCommitFiberRoot=="function")try{Ge.onCommitFiberRoot(Oi,e,void 0,(e.current.flags&128)===128)}catch{}}var He=Math.clz32?Math.clz32:cd,ud=Math.log,ad=Math.LN2;function cd(e){return e>>>=0,e===0?32:31-(ud(e)/ad|0)|0}var Pr=64,Lr=4194304;function Vn(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function ci(e,t){var n=e.pendingLanes;if(n===0)return 0;var r=0,i=e.suspendedLanes,s=e.pingedLanes,l=n&268435455;if(l!==0){var o=l&~i;o!==0?r=Vn(o):(s&=l,s!==0&&(r=Vn(s)))}else l=n&~i,l!==0?r=Vn(l):s!==0&&(r=Vn(s));if(r===0)return 0;if(t!==0&&t!==r&&!(t&i)&&(i=r&-r,s=t&-t,i>=s||i===16&&(s&4194240)!==0))return t;if(r&4&&(r|=n&16),t=e.entangledLanes,t!==0)for(e=e.entanglements,t&=r;0<t;)n=31-He(t),i=1<<n,r|=e[n],t&=~i;return r}function fd(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function dd(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,i=e.expirationTimes,s=e.pendingLanes;0<s;){var l=31-He(s),o=1<<l,u=i[l];u===-1?(!(o&n)||o&r)&&(i[l]=fd(o,t)):u<=t&&(e.expiredLanes|=o),s&=~o}}function Us(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function xa(){var e=Pr;return Pr<<=1,!(Pr&4194240)&&(Pr=64),e}function es(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function vr(e,t,n){e.pendingLanes|=t,t!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,t=31-He(t),e[t]=n}function hd(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var i=31-He(n),s=1<<i;t[i]=0,r[i]=-1,e[i]=-1,n&=~s}}function Al(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-He(n),i=1<<r;i&t|e[r]&t&&(e[r]|=t),n&=~i}}var M=0;function _a(e){return e&=-e,1<e?4<e?e&268435455?16:536870912:4:1}var Na,Il,Ea,Ca,ja,Vs=!1,Rr=[],kt=null,St=null,xt=null,nr=new Map,rr=new Map,yt=[],pd="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function Io(e,t){switch(e){case"focusin":case"focusout":kt=null;break;case"dragenter":case"dragleave":St=null;break;case"mouseover":case"mouseout":xt=null;break;case"pointerover":case"pointerout":nr.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":rr.delete(t.pointerId)}}function On(e,t,n,r,i,s){return e===null||e.nativeEvent!==s?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:s,targetContainers:[i]},t!==null&&(t=wr(t),t!==null&&Il(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,i!==null&&t.indexOf(i)===-1&&t.push(i),e)}function md(e,t,n,r,i){switch(t){case"focusin":return kt=On(kt,e,t,n,r,i),!0;case"dragenter":return St=On(St,e,t,n,r,i),!0;case"mouseover":return xt=On(xt,e,t,n,r,i),!0;case"pointerover":var s=i.pointerId;return nr.set(s,On(nr.get(s)||null,e,t,n,r,i)),!0;case"gotpointercapture":return s=i.pointerId,rr.set(s,On(rr.get(s)||null,e,t,n,r,i)),!0}return!1}function Ta(e){var t=It(e.target);if(t!==null){var n=qt(t);if(n!==null){if(t=n.tag,t===13){if(t=ya(n),t!==null){e.blockedOn=t,ja(e.priority,function(){Ea(n)});return}}else if(t===3&&n.stateNode.current.memoizedState.isDehydrated){e.blockedOn=n.tag===3?n.stateNode.containerInfo:null;return}}}e.blockedOn=null}function Kr(e){if(e.blockedOn!==null)return!1;for(var t=e.targetContainers;0<t.length;){var n=$s(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(n===null){n=e.nativeEvent;var r=new n.constructor(n.type,n);Is=r,n.target.dispatchEvent(r),Is=null}else return t=wr(n),t!==null&&Il(t),e.blockedOn=n,!1;t.shift()}return!0}function Mo(e,t,n){Kr(e)&&n.delete(t)}function yd(){Vs=!1,kt!==null&&Kr(kt)&&(kt=null),St!==null&&Kr(St)&&(St=null),xt!==null&&Kr(xt)&&(xt=null),nr.forEach(Mo),rr.forEach(Mo)}function zn(e,t){e.blockedOn===t&&(e.blockedOn=null,Vs||(Vs=!0,Te.unstable_scheduleCallback(Te.unstable_NormalPriority,yd)))}function ir(e){function t(i){return zn(i,e)}if(0<Rr.length){zn(Rr[0],e);for(var n=1;n<Rr.length;n++){var r=Rr[n];r.blockedOn===e&&(r.blockedOn=null)}}for(kt!==null&&zn(kt,e),St!==null&&zn(St,e),xt!==null&&zn(xt,e),nr.forEach(t),rr.forEach(t),n=0;n<yt.length;n++)r=yt[n],r.blockedOn===e&&(r.blockedOn=null);for(;0<yt.length&&(n=yt[0],n.blockedOn===null);)Ta(n),n.blockedOn===null&&yt.shift()}var pn=ft.ReactCurrentBatchConfig,fi=!0;function vd(e,t,n,r){var i=M,s=pn.transition;pn.transition=null;try{M=1,Ml(e,t,n,r)}finally{M=i,pn.transition=s}}function gd(e,t,n,r){var i=M,s=pn.transition;pn.transition=null;try{M=4,Ml(e,t,n,r)}finally{M=i,pn.transition=s}}function Ml(e,t,n,r){if(fi){var i=$s(e,t,n,r);if(i===null)cs(e,t,r,di,n),Io(e,r);else if(md(i,e,t,n,r))r.stopPropagation();else if(Io(e,r),t&4&&-1<pd.indexOf(e)){for(;i!==null;){var s=wr(i);if(s!==null&&Na(s),s=$s(e,t,n,r),s===null&&cs(e,t,r,di,n),s===i)break;i=s}i!==null&&r.stopPropagation()}else cs(e,t,r,null,n)}}var di=null;function $s(e,t,n,r){if(di=null,e=zl(r),e=It(e),e!==null)if(t=qt(e),t===null)e=null;else if(n=t.tag,n===13){if(e=ya(t),e!==null)return e;e=null}else if(n===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return di=e,null}function Pa(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(sd()){case Dl:return 1;case ka:return 4;case ai:case ld:return 16;case Sa:return 536870912;default:return 16}default:return 16}}var gt=null,Bl=null,qr=null;function La(){if(qr)return qr;var e,t=Bl,n=t.length,r,i="value"in gt?gt.value:gt.textContent,s=i.length;for(e=0;e<n&&t[e]===i[e];e++);var l=n-e;for(r=1;r<=l&&t[n-r]===i[s-r];r++);return qr=i.slice(e,1<r?1-r:void 0)}function Yr(e){var t=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&t===13&&(e=13)):e=t,e===10&&(e=13),32<=e||e===13?e:0}function Or(){return!0}function Bo(){return!1}function Le(e){function t(n,r,i,s,l){this._reactName=n,this._targetInst=i,this.type=r,this.nativeEvent=s,this.target=l,this.currentTarget=null;for(var o in e)e.hasOwnProperty(o)&&(n=e[o],this[o]=n?n(s):s[o]);return this.isDefaultPrevented=(s.defaultPrevented!=null?s.defaultPrevented:s.returnValue===!1)?Or:Bo,this.isPropagationStopped=Bo,this}return q(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var n=this.nativeEvent;n&&(n.preventDefault?n.preventDefault():typeof n.returnValue!="unknown"&&(n.returnValue=!1),this.isDefaultPrevented=Or)},stopPropagation:function(){var n=this.nativeEvent;n&&(n.stopPropagation?n.stopPropagation():typeof n.cancelBubble!="unknown"&&(n.cancelBubble=!0),this.isPropagationStopped=Or)},persist:function(){},isPersistent:Or}),t}var En={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Fl=Le(En),gr=q({},En,{view:0,detail:0}),wd=Le(gr),ts,ns,Dn,zi=q({},gr,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Ul,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Dn&&(Dn&&e.type==="mousemove"?(ts=e.screenX-Dn.screenX,ns=e.screenY-Dn.screenY):ns=ts=0,Dn=e),ts)},movementY:function(e){return"movementY"in e?e.movementY:ns}}),Fo=Le(zi),kd=q({},zi,{dataTransfer:0}),Sd=Le(kd),xd=q({},gr,{relatedTarget:0}),rs=Le(xd),_d=q({},En,{animationName:0,elapsedTime:0,pseudoElement:0}),Nd=Le(_d),Ed=q({},En,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),Cd=Le(Ed),jd=q({},En,{data:0}),Uo=Le(jd),Td={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},Pd={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Ld={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function Rd(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):(e=Ld[e])?!!t[e]:!1}function Ul(){return Rd}var Od=q({},gr,{key:function(e){if(e.key){var t=Td[e.key]||e.key;if(t!=="Unidentified")return t}return e.type==="keypress"?(e=Yr(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?Pd[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Ul,charCode:function(e){return e.type==="keypress"?Yr(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?Yr(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),zd=Le(Od),Dd=q({},zi,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),Vo=Le(Dd),Ad=q({},gr,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Ul}),Id=Le(Ad),Md=q({},En,{propertyName:0,elapsedTime:0,pseudoElement:0}),Bd=Le(Md),Fd=q({},zi,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),Ud=Le(Fd),Vd=[9,13,27,32],Vl=ot&&"CompositionEvent"in window,Kn=null;ot&&"documentMode"in document&&(Kn=document.documentMode);var $d=ot&&"TextEvent"in window&&!Kn,Ra=ot&&(!Vl||Kn&&8<Kn&&11>=Kn),$o=" ",Wo=!1;function Oa(e,t){switch(e){case"keyup":return Vd.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function za(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var en=!1;function Wd(e,t){switch(e){case"compositionend":return za(t);case"keypress":return t.which!==32?null:(Wo=!0,$o);case"textInput":return e=t.data,e===$o&&Wo?null:e;default:return null}}function Hd(e,t){if(en)return e==="compositionend"||!Vl&&Oa(e,t)?(e=La(),qr=Bl=gt=null,en=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Ra&&t.locale!=="ko"?null:t.data;default:return null}}var Qd={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Ho(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t==="input"?!!Qd[e.type]:t==="textarea"}function Da(e,t,n,r){fa(r),t=hi(t,"onChange"),0<t.length&&(n=new Fl("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var qn=null,sr=null;function Kd(e){Qa(e,0)}function Di(e){var t=rn(e);if(ia(t))return e}function qd(e,t){if(e==="change")return t}var Aa=!1;if(ot){var is;if(ot){var ss="oninput"in document;if(!ss){var Qo=document.createElement("div");Qo.setAttribute("oninput","return;"),ss=typeof Qo.oninput=="function"}is=ss}else is=!1;Aa=is&&(!document.documentMode||9<document.documentMode)}function Ko(){qn&&(qn.detachEvent("onpropertychange",Ia),sr=qn=null)}function Ia(e){if(e.propertyName==="value"&&Di(sr)){var t=[];Da(t,sr,e,zl(e)),ma(Kd,t)}}function Yd(e,t,n){e==="focusin"?(Ko(),qn=t,sr=n,qn.attachEvent("onpropertychange",Ia)):e==="focusout"&&Ko()}function Xd(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return Di(sr)}function Jd(e,t){if(e==="click")return Di(t)}function Gd(e,t){if(e==="input"||e==="change")return Di(t)}function Zd(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Ke=typeof Object.is=="function"?Object.is:Zd;function lr(e,t){if(Ke(e,t))return!0;if(typeof e!="object"||e===null||typeof t!="object"||t===null)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var i=n[r];if(!Ns.call(t,i)||!Ke(e[i],t[i]))return!1}return!0}function qo(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Yo(e,t){var n=qo(e);e=0;for(var r;n;){if(n.nodeType===3){if(r=e+n.textContent.length,e<=t&&r>=t)return{node:n,offset:t-e};e=r}e:{for(;n;){if(n.nextSibling){n=n.nextSibling;break e}n=n.parentNode}n=void 0}n=qo(n)}}function Ma(e,t){return e&&t?e===t?!0:e&&e.nodeType===3?!1:t&&t.nodeType===3?Ma(e,t.parentNode):"contains"in e?e.contains(t):e.compareDocumentPosition?!!(e.compareDocumentPosition(t)&16):!1:!1}function Ba(){for(var e=window,t=li();t instanceof e.HTMLIFrameElement;){try{var n=typeof t.contentWindow.location.href=="string"}catch{n=!1}if(n)e=t.contentWindow;else break;t=li(e.document)}return t}function $l(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&(t==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||t==="textarea"||e.contentEditable==="true")}function bd(e){var t=Ba(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&Ma(n.ownerDocument.documentElement,n)){if(r!==null&&$l(n)){if(t=r.start,e=r.end,e===void 0&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if(e=(t=n.ownerDocument||document)&&t.defaultView||window,e.getSelection){e=e.getSelection();var i=n.textContent.length,s=Math.min(r.start,i);r=r.end===void 0?s:Math.min(r.end,i),!e.extend&&s>r&&(i=r,r=s,s=i),i=Yo(n,s);var l=Yo(n,r);i&&l&&(e.rangeCount!==1||e.anchorNode!==i.node||e.anchorOffset!==i.offset||e.focusNode!==l.node||e.focusOffset!==l.offset)&&(t=t.createRange(),t.setStart(i.node,i.offset),e.removeAllRanges(),s>r?(e.addRange(t),e.extend(l.node,l.offset)):(t.setEnd(l.node,l.offset),e.addRange(t)))}}for(t=[],e=n;e=e.parentNode;)e.nodeType===1&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof n.focus=="function"&&n.focus(),n=0;n<t.length;n++)e=t[n],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var eh=ot&&"documentMode"in document&&11>=document.documentMode,tn=null,Ws=null,Yn=null,Hs=!1;function Xo(e,t,n){var r=n.window===n?n.document:n.nodeType===9?n:n.ownerDocument;Hs||tn==null||tn!==li(r)||(r=tn,"selectionStart"in r&&$l(r)?r={start:r.selectionStart,end:r.selectionEnd}:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection(),r={anchorNode:r.anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset}),Yn&&lr(Yn,r)||(Yn=r,r=hi(Ws,"onSelect"),0<r.length&&(t=new Fl("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=tn)))}function zr(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var nn={animationend:zr("Animation","AnimationEnd"),animationiteration:zr("Animation","AnimationIteration"),animationstart:zr("Animation","AnimationStart"),transitionend:zr("Transition","TransitionEnd")},ls={},Fa={};ot&&(Fa=document.createElement("div").style,"AnimationEvent"in window||(delete nn.animationend.animation,delete nn.animationiteration.animation,delete nn.animationstart.animation),"TransitionEvent"in window||delete nn.transitionend.transition);function Ai(e){if(ls[e])return ls[e];if(!nn[e])return e;var t=nn[e],n;for(n in t)if(t.hasOwnProperty(n)&&n in Fa)return ls[e]=t[n];return e}var Ua=Ai("animationend"),Va=Ai("animationiteration"),$a=Ai("animationstart"),Wa=Ai("transitionend"),Ha=new Map,Jo="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Rt(e,t){Ha.set(e,t),Kt(t,[e])}for(var os=0;os<Jo.length;os++){var us=Jo[os],th=us.toLowerCase(),nh=us[0].toUpperCase()+us.slice(1);Rt(th,"on"+nh)}Rt(Ua,"onAnimationEnd");Rt(Va,"onAnimationIteration");Rt($a,"onAnimationStart");Rt("dblclick","onDoubleClick");Rt("focusin","onFocus");Rt("focusout","onBlur");Rt(Wa,"onTransitionEnd");vn("onMouseEnter",["mouseout","mouseover"]);vn("onMouseLeave",["mouseout","mouseover"]);vn("onPointerEnter",["pointerout","pointerover"]);vn("onPointerLeave",["pointerout","pointerover"]);Kt("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));Kt("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));Kt("onBeforeInput",["compositionend","keypress","textInput","paste"]);Kt("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));Kt("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));Kt("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var $n="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),rh=new Set("cancel close invalid load scroll toggle".split(" ").concat($n));function Go(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,td(r,t,void 0,e),e.currentTarget=null}function Qa(e,t){t=(t&4)!==0;for(var n=0;n<e.length;n++){var r=e[n],i=r.event;r=r.listeners;e:{var s=void 0;if(t)for(var l=r.length-1;0<=l;l--){var o=r[l],u=o.instance,c=o.currentTarget;if(o=o.listener,u!==s&&i.isPropagationStopped())break e;Go(i,o,c),s=u}else for(l=0;l<r.length;l++){if(o=r[l],u=o.instance,c=o.currentTarget,o=o.listener,u!==s&&i.isPropagationStopped())break e;Go(i,o,c),s=u}}}if(ui)throw e=Fs,ui=!1,Fs=null,e}function U(e,t){var n=t[Xs];n===void 0&&(n=t[Xs]=new Set);var r=e+"__bubble";n.has(r)||(Ka(t,e,2,!1),n.add(r))}function as(e,t,n){var r=0;t&&(r|=4),Ka(n,e,r,t)}var Dr="_reactListening"+Math.random().toString(36).slice(2);function or(e){if(!e[Dr]){e[Dr]=!0,bu.forEach(function(n){n!=="selectionchange"&&(rh.has(n)||as(n,!1,e),as(n,!0,e))});var t=e.nodeType===9?e:e.ownerDocument;t===null||t[Dr]||(t[Dr]=!0,as("selectionchange",!1,t))}}function Ka(e,t,n,r){switch(Pa(t)){case 1:var i=vd;break;case 4:i=gd;break;default:i=Ml}n=i.bind(null,t,n,e),i=void 0,!Bs||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(i=!0),r?i!==void 0?e.addEventListener(t,n,{capture:!0,passive:i}):e.addEventListener(t,n,!0):i!==void 0?e.addEventListener(t,n,{passive:i}):e.addEventListener(t,n,!1)}function cs(e,t,n,r,i){var s=r;if(!(t&1)&&!(t&2)&&r!==null)e:for(;;){if(r===null)return;var l=r.tag;if(l===3||l===4){var o=r.stateNode.containerInfo;if(o===i||o.nodeType===8&&o.parentNode===i)break;if(l===4)for(l=r.return;l!==null;){var u=l.tag;if((u===3||u===4)&&(u=l.stateNode.containerInfo,u===i||u.nodeType===8&&u.parentNode===i))return;l=l.return}for(;o!==null;){if(l=It(o),l===null)return;if(u=l.tag,u===5||u===6){r=s=l;continue e}o=o.parentNode}}r=r.return}ma(function(){var c=s,m=zl(n),y=[];e:{var p=Ha.get(e);if(p!==void 0){var w=Fl,k=e;switch(e){case"keypress":if(Yr(n)===0)break e;case"keydown":case"keyup":w=zd;break;case"focusin":k="focus",w=rs;break;case"focusout":k="blur",w=rs;break;case"beforeblur":case"afterblur":w=rs;break;case"click":if(n.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":w=Fo;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":w=Sd;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":w=Id;break;case Ua:case Va:case $a:w=Nd;break;case Wa:w=Bd;break;case"scroll":w=wd;break;case"wheel":w=Ud;break;case"copy":case"cut":case"paste":w=Cd;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":w=Vo}var S=(t&4)!==0,B=!S&&e==="scroll",h=S?p!==null?p+"Capture":null:p;S=[];for(var f=c,d;f!==null;){d=f;var v=d.stateNode;if(d.tag===5&&v!==null&&(d=v,h!==null&&(v=tr(f,h),v!=null&&S.push(ur(f,v,d)))),B)break;f=f.return}0<S.length&&(p=new w(p,k,null,n,m),y.push({event:p,listeners:S}))}}if(!(t&7)){e:{if(p=e==="mouseover"||e==="pointerover",w=e==="mouseout"||e==="pointerout",p&&n!==Is&&(k=n.relatedTarget||n.fromElement)&&(It(k)||k[ut]))break e;if((w||p)&&(p=m.window===m?m:(p=m.ownerDocument)?p.defaultView||p.parentWindow:window,w?(k=n.relatedTarget||n.toElement,w=c,k=k?It(k):null,k!==null&&(B=qt(k),k!==B||k.tag!==5&&k.tag!==6)&&(k=null)):(w=null,k=c),w!==k)){if(S=Fo,v="onMouseLeave",h="onMouseEnter",f="mouse",(e==="pointerout"||e==="pointerover")&&(S=Vo,v="onPointerLeave",h="onPointerEnter",f="pointer"),B=w==null?p:rn(w),d=k==null?p:rn(k),p=new S(v,f+"leave",w,n,m),p.target=B,p.relatedTarget=d,v=null,It(m)===c&&(S=new S(h,f+"enter",k,n,m),S.target=d,S.relatedTarget=B,v=S),B=v,w&&k)t:{for(S=w,h=k,f=0,d=S;d;d=Jt(d))f++;for(d=0,v=h;v;v=Jt(v))d++;for(;0<f-d;)S=Jt(S),f--;for(;0<d-f;)h=Jt(h),d--;for(;f--;){if(S===h||h!==null&&S===h.alternate)break t;S=Jt(S),h=Jt(h)}S=null}else S=null;w!==null&&Zo(y,p,w,S,!1),k!==null&&B!==null&&Zo(y,B,k,S,!0)}}e:{if(p=c?rn(c):window,w=p.nodeName&&p.nodeName.toLowerCase(),w==="select"||w==="input"&&p.type==="file")var x=qd;else if(Ho(p))if(Aa)x=Gd;else{x=Xd;var E=Yd}else(w=p.nodeName)&&w.toLowerCase()==="input"&&(p.type==="checkbox"||p.type==="radio")&&(x=Jd);if(x&&(x=x(e,c))){Da(y,x,n,m);break e}E&&E(e,p,c),e==="focusout"&&(E=p._wrapperState)&&E.controlled&&p.type==="number"&&Rs(p,"number",p.value)}switch(E=c?rn(c):window,e){case"focusin":(Ho(E)||E.contentEditable==="true")&&(tn=E,Ws=c,Yn=null);break;case"focusout":Yn=Ws=tn=null;break;case"mousedown":Hs=!0;break;case"contextmenu":case"mouseup":case"dragend":Hs=!1,Xo(y,n,m);break;case"selectionchange":if(eh)break;case"keydown":case"keyup":Xo(y,n,m)}var C;if(Vl)e:{switch(e){case"compositionstart":var j="onCompositionStart";break e;case"compositionend":j="onCompositionEnd";break e;case"compositionupdate":j="onCompositionUpdate";break e}j=void 0}else en?Oa(e,n)&&(j="onCompositionEnd"):e==="keydown"&&n.keyCode===229&&(j="onCompositionStart");j&&(Ra&&n.locale!=="ko"&&(en||j!=="onCompositionStart"?j==="onCompositionEnd"&&en&&(C=La()):(gt=m,Bl="value"in gt?gt.value:gt.textContent,en=!0)),E=hi(c,j),0<E.length&&(j=new Uo(j,e,null,n,m),y.push({event:j,listeners:E}),C?j.data=C:(C=za(n),C!==null&&(j.data=C)))),(C=$d?Wd(e,n):Hd(e,n))&&(c=hi(c,"onBeforeInput"),0<c.length&&(m=new Uo("onBeforeInput","beforeinput",null,n,m),y.push({event:m,listeners:c}),m.data=C))}Qa(y,t)})}function ur(e,t,n){return{instance:e,listener:t,currentTarget:n}}function hi(e,t){for(var n=t+"Capture",r=[];e!==null;){var i=e,s=i.stateNode;i.tag===5&&s!==null&&(i=s,s=tr(e,n),s!=null&&r.unshift(ur(e,s,i)),s=tr(e,t),s!=null&&r.push(ur(e,s,i))),e=e.return}return r}function Jt(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function Zo(e,t,n,r,i){for(var s=t._reactName,l=[];n!==null&&n!==r;){var o=n,u=o.alternate,c=o.stateNode;if(u!==null&&u===r)break;o.tag===5&&c!==null&&(o=c,i?(u=tr(n,s),u!=null&&l.unshift(ur(n,u,o))):i||(u=tr(n,s),u!=null&&l.push(ur(n,u,o)))),n=n.return}l.length!==0&&e.push({event:t,listeners:l})}var ih=/\r\n?/g,sh=/\u0000|\uFFFD/g;function bo(e){return(typeof e=="string"?e:""+e).replace(ih,`
 `).replace(sh,"")}function Ar(e,t,n){if(t=bo(t),bo(e)!==t&&n)throw Error(g(425))}function pi(){}var Qs=null,Ks=null;function qs(e,t){return e==="textarea"||e==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var Ys=typeof setTimeout=="function"?setTimeout:void 0,lh=typeof clearTimeout=="function"?clearTimeout:void 0,eu=typeof Promise=="function"?Promise:void 0,oh=typeof queueMicrotask=="function"?queueMicrotask:typeof eu<"u"?function(e){return eu.resolve(null).then(e).catch(uh)}:Ys;function uh(e){setTimeout(function(){throw e})}function fs(e,t){var n=t,r=0;do{var i=n.nextSibling;if(e.removeChild(n),i&&i.nodeType===8)if(n=i.data,n==="/$"){if(r===0){e.removeChild(i),ir(t);return}r--}else n!=="$"&&n!=="$?"&&n!=="$!"||r++;n=i}while(n);ir(t)}function _t(e){for(;e!=null;e=e.nextSibling){var t=e.nodeType;if(t===1||t===3)break;if(t===8){if(t=e.data,t==="$"||t==="$!"||t==="$?")break;if(t==="/$")return null}}return e}function tu(e){e=e.previousSibling;for(var t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="$"||n==="$!"||n==="$?"){if(t===0)return e;t--}else n==="/$"&&t++}e=e.previousSibling}return null}var Cn=Math.random().toString(36).slice(2),Je="__reactFiber$"+Cn,ar="__reactProps$"+Cn,ut="__reactContainer$"+Cn,Xs="__reactEvents$"+Cn,ah="__reactListeners$"+Cn,ch="__reactHandles$"+Cn;function It(e){var t=e[Je];if(t)return t;for(var n=e.parentNode;n;){if(t=n[ut]||n[Je]){if(n=t.alternate,t.child!==null||n!==null&&n.child!==null)for(e=tu(e);e!==null;){if(n=e[Je])return n;e=tu(e)}return t}e=n,n=e.parentNode}return null}function wr(e){return e=e[Je]||e[ut],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function rn(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(g(33))}function Ii(e){return e[ar]||null}var Js=[],sn=-1;function Ot(e){return{current:e}}function V(e){0>sn||(e.current=Js[sn],Js[sn]=null,sn--)}function F(e,t){sn++,Js[sn]=e.current,e.current=t}var Lt={},ce=Ot(Lt),we=Ot(!1),Vt=Lt;function gn(e,t){var n=e.type.contextTypes;if(!n)return Lt;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var i={},s;for(s in n)i[s]=t[s];return r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=i),i}function ke(e){return e=e.childContextTypes,e!=null}function mi(){V(we),V(ce)}function nu(e,t,n){if(ce.current!==Lt)throw Error(g(168));F(ce,t),F(we,n)}function qa(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,typeof r.getChildContext!="function")return n;r=r.getChildContext();for(var i in r)if(!(i in t))throw Error(g(108,Yf(e)||"Unknown",i));return q({},n,r)}function yi(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||Lt,Vt=ce.current,F(ce,e),F(we,we.current),!0}function ru(e,t,n){var r=e.stateNode;if(!r)throw Error(g(169));n?(e=qa(e,t,Vt),r.__reactInternalMemoizedMergedChildContext=e,V(we),V(ce),F(ce,e)):V(we),F(we,n)}var rt=null,Mi=!1,ds=!1;function Ya(e){rt===null?rt=[e]:rt.push(e)}function fh(e){Mi=!0,Ya(e)}function zt(){if(!ds&&rt!==null){ds=!0;var e=0,t=M;try{var n=rt;for(M=1;e<n.length;e++){var r=n[e];do r=r(!0);while(r!==null)}rt=null,Mi=!1}catch(i){throw rt!==null&&(rt=rt.slice(e+1)),wa(Dl,zt),i}finally{M=t,ds=!1}}return null}var ln=[],on=0,vi=null,gi=0,Oe=[],ze=0,$t=null,it=1,st="";function Dt(e,t){ln[on++]=gi,ln[on++]=vi,vi=e,gi=t}function Xa(e,t,n){Oe[ze++]=it,Oe[ze++]=st,Oe[ze++]=$t,$t=e;var r=it;e=st;var i=32-He(r)-1;r&=~(1<<i),n+=1;var s=32-He(t)+i;if(30<s){var l=i-i%5;s=(r&(1<<l)-1).toString(32),r>>=l,i-=l,it=1<<32-He(t)+i|n<<i|r,st=s+e}else it=1<<s|n<<i|r,st=e}function Wl(e){e.return!==null&&(Dt(e,1),Xa(e,1,0))}function Hl(e){for(;e===vi;)vi=ln[--on],ln[on]=null,gi=ln[--on],ln[on]=null;for(;e===$t;)$t=Oe[--ze],Oe[ze]=null,st=Oe[--ze],Oe[ze]=null,it=Oe[--ze],Oe[ze]=null}var je=null,Ce=null,W=!1,We=null;function Ja(e,t){var n=Ae(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,t=e.deletions,t===null?(e.deletions=[n],e.flags|=16):t.push(n)}function iu(e,t){switch(e.tag){case 5:var n=e.type;return t=t.nodeType!==1||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t,t!==null?(e.stateNode=t,je=e,Ce=_t(t.firstChild),!0):!1;case 6:return t=e.pendingProps===""||t.nodeType!==3?null:t,t!==null?(e.stateNode=t,je=e,Ce=null,!0):!1;case 13:return t=t.nodeType!==8?null:t,t!==null?(n=$t!==null?{id:it,overflow:st}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},n=Ae(18,null,null,0),n.stateNode=t,n.return=e,e.child=n,je=e,Ce=null,!0):!1;default:return!1}}function Gs(e){return(e.mode&1)!==0&&(e.flags&128)===0}function Zs(e){if(W){var t=Ce;if(t){var n=t;if(!iu(e,t)){if(Gs(e))throw Error(g(418));t=_t(n.nextSibling);var r=je;t&&iu(e,t)?Ja(r,n):(e.flags=e.flags&-4097|2,W=!1,je=e)}}else{if(Gs(e))throw Error(g(418));e.flags=e.flags&-4097|2,W=!1,je=e}}}function su(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;je=e}function Ir(e){if(e!==je)return!1;if(!W)return su(e),W=!0,!1;var t;if((t=e.tag!==3)&&!(t=e.tag!==5)&&(t=e.type,t=t!=="head"&&t!=="body"&&!qs(e.type,e.memoizedProps)),t&&(t=Ce)){if(Gs(e))throw Ga(),Error(g(418));for(;t;)Ja(e,t),t=_t(t.nextSibling)}if(su(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(g(317));e:{for(e=e.nextSibling,t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="/$"){if(t===0){Ce=_t(e.nextSibling);break e}t--}else n!=="$"&&n!=="$!"&&n!=="$?"||t++}e=e.nextSibling}Ce=null}}else Ce=je?_t(e.stateNode.nextSibling):null;return!0}function Ga(){for(var e=Ce;e;)e=_t(e.nextSibling)}function wn(){Ce=je=null,W=!1}function Ql(e){We===null?We=[e]:We.push(e)}var dh=ft.ReactCurrentBatchConfig;function An(e,t,n){if(e=n.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(n._owner){if(n=n._owner,n){if(n.tag!==1)throw Error(g(309));var r=n.stateNode}if(!r)throw Error(g(147,e));var i=r,s=""+e;return t!==null&&t.ref!==null&&typeof t.ref=="function"&&t.ref._stringRef===s?t.ref:(t=function(l){var o=i.refs;l===null?delete o[s]:o[s]=l},t._stringRef=s,t)}if(typeof e!="string")throw Error(g(284));if(!n._owner)throw Error(g(290,e))}return e}function Mr(e,t){throw e=Object.prototype.toString.call(t),Error(g(31,e==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function lu(e){var t=e._init;return t(e._payload)}function Za(e){function t(h,f){if(e){var d=h.deletions;d===null?(h.deletions=[f],h.flags|=16):d.push(f)}}function n(h,f){if(!e)return null;for(;f!==null;)t(h,f),f=f.sibling;return null}function r(h,f){for(h=new Map;f!==null;)f.key!==null?h.set(f.key,f):h.set(f.index,f),f=f.sibling;return h}function i(h,f){return h=jt(h,f),h.index=0,h.sibling=null,h}function s(h,f,d){return h.index=d,e?(d=h.alternate,d!==null?(d=d.index,d<f?(h.flags|=2,f):d):(h.flags|=2,f)):(h.flags|=1048576,f)}function l(h){return e&&h.alternate===null&&(h.flags|=2),h}function o(h,f,d,v){return f===null||f.tag!==6?(f=ws(d,h.mode,v),f.return=h,f):(f=i(f,d),f.return=h,f)}function u(h,f,d,v){var x=d.type;return x===bt?m(h,f,d.props.children,v,d.key):f!==null&&(f.elementType===x||typeof x=="object"&&x!==null&&x.$$typeof===pt&&lu(x)===f.type)?(v=i(f,d.props),v.ref=An(h,f,d),v.return=h,v):(v=ti(d.type,d.key,d.props,null,h.mode,v),v.ref=An(h,f,d),v.return=h,v)}function c(h,f,d,v){return f===null||f.tag!==4||f.stateNode.containerInfo!==d.containerInfo||f.stateNode.implementation!==d.implementation?(f=ks(d,h.mode,v),f.return=h,f):(f=i(f,d.children||[]),f.return=h,f)}function m(h,f,d,v,x){return f===null||f.tag!==7?(f=Ut(d,h.mode,v,x),f.return=h,f):(f=i(f,d),f.return=h,f)}function y(h,f,d){if(typeof f=="string"&&f!==""||typeof f=="number")return f=ws(""+f,h.mode,d),f.return=h,f;if(typeof f=="object"&&f!==null){switch(f.$$typeof){case Cr:return d=ti(f.type,f.key,f.props,null,h.mode,d),d.ref=An(h,null,f),d.return=h,d;case Zt:return f=ks(f,h.mode,d),f.return=h,f;case pt:var v=f._init;return y(h,v(f._payload),d)}if(Un(f)||Ln(f))return f=Ut(f,h.mode,d,null),f.return=h,f;Mr(h,f)}return null}function p(h,f,d,v){var x=f!==null?f.key:null;if(typeof d=="string"&&d!==""||typeof d=="number")return x!==null?null:o(h,f,""+d,v);if(typeof d=="object"&&d!==null){switch(d.$$typeof){case Cr:return d.key===x?u(h,f,d,v):null;case Zt:return d.key===x?c(h,f,d,v):null;case pt:return x=d._init,p(h,f,x(d._payload),v)}if(Un(d)||Ln(d))return x!==null?null:m(h,f,d,v,null);Mr(h,d)}return null}function w(h,f,d,v,x){if(typeof v=="string"&&v!==""||typeof v=="number")return h=h.get(d)||null,o(f,h,""+v,x);if(typeof v=="object"&&v!==null){switch(v.$$typeof){case Cr:return h=h.get(v.key===null?d:v.key)||null,u(f,h,v,x);case Zt:return h=h.get(v.key===null?d:v.key)||null,c(f,h,v,x);case pt:var E=v._init;return w(h,f,d,E(v._payload),x)}if(Un(v)||Ln(v))return h=h.get(d)||null,m(f,h,v,x,null);Mr(f,v)}return null}function k(h,f,d,v){for(var x=null,E=null,C=f,j=f=0,$=null;C!==null&&j<d.length;j++){C.index>j?($=C,C=null):$=C.sibling;var O=p(h,C,d[j],v);if(O===null){C===null&&(C=$);break}e&&C&&O.alternate===null&&t(h,C),f=s(O,f,j),E===null?x=O:E.sibling=O,E=O,C=$}if(j===d.length)return n(h,C),W&&Dt(h,j),x;if(C===null){for(;j<d.length;j++)C=y(h,d[j],v),C!==null&&(f=s(C,f,j),E===null?x=C:E.sibling=C,E=C);return W&&Dt(h,j),x}for(C=r(h,C);j<d.length;j++)$=w(C,h,j,d[j],v),$!==null&&(e&&$.alternate!==null&&C.delete($.key===null?j:$.key),f=s($,f,j),E===null?x=$:E.sibling=$,E=$);return e&&C.forEach(function(me){return t(h,me)}),W&&Dt(h,j),x}function S(h,f,d,v){var x=Ln(d);if(typeof x!="function")throw Error(g(150));if(d=x.call(d),d==null)throw Error(g(151));for(var E=x=null,C=f,j=f=0,$=null,O=d.next();C!==null&&!O.done;j++,O=d.next()){C.index>j?($=C,C=null):$=C.sibling;var me=p(h,C,O.value,v);if(me===null){C===null&&(C=$);break}e&&C&&me.alternate===null&&t(h,C),f=s(me,f,j),E===null?x=me:E.sibling=me,E=me,C=$}if(O.done)return n(h,C),W&&Dt(h,j),x;if(C===null){for(;!O.done;j++,O=d.next())O=y(h,O.value,v),O!==null&&(f=s(O,f,j),E===null?x=O:E.sibling=O,E=O);return W&&Dt(h,j),x}for(C=r(h,C);!O.done;j++,O=d.next())O=w(C,h,j,O.value,v),O!==null&&(e&&O.alternate!==null&&C.delete(O.key===null?j:O.key),f=s(O,f,j),E===null?x=O:E.sibling=O,E=O);return e&&C.forEach(function(xe){return t(h,xe)}),W&&Dt(h,j),x}function B(h,f,d,v){if(typeof d=="object"&&d!==null&&d.type===bt&&d.key===null&&(d=d.props.children),typeof d=="object"&&d!==null){switch(d.$$typeof){case Cr:e:{for(var x=d.key,E=f;E!==null;){if(E.key===x){if(x=d.type,x===bt){if(E.tag===7){n(h,E.sibling),f=i(E,d.props.children),f.return=h,h=f;break e}}else if(E.elementType===x||typeof x=="object"&&x!==null&&x.$$typeof===pt&&lu(x)===E.type){n(h,E.sibling),f=i(E,d.props),f.ref=An(h,E,d),f.return=h,h=f;break e}n(h,E);break}else t(h,E);E=E.sibling}d.type===bt?(f=Ut(d.props.children,h.mode,v,d.key),f.return=h,h=f):(v=ti(d.type,d.key,d.props,null,h.mode,v),v.ref=An(h,f,d),v.return=h,h=v)}return l(h);case Zt:e:{for(E=d.key;f!==null;){if(f.key===E)if(f.tag===4&&f.stateNode.containerInfo===d.containerInfo&&f.stateNode.implementation===d.implementation){n(h,f.sibling),f=i(f,d.children||[]),f.return=h,h=f;break e}else{n(h,f);break}else t(h,f);f=f.sibling}f=ks(d,h.mode,v),f.return=h,h=f}return l(h);case pt:return E=d._init,B(h,f,E(d._payload),v)}if(Un(d))return k(h,f,d,v);if(Ln(d))return S(h,f,d,v);Mr(h,d)}return typeof d=="string"&&d!==""||typeof d=="number"?(d=""+d,f!==null&&f.tag===6?(n(h,f.sibling),f=i(f,d),f.return=h,h=f):(n(h,f),f=ws(d,h.mode,v),f.return=h,h=f),l(h)):n(h,f)}return B}var kn=Za(!0),ba=Za(!1),wi=Ot(null),ki=null,un=null,Kl=null;function ql(){Kl=un=ki=null}function Yl(e){var t=wi.current;V(wi),e._currentValue=t}function bs(e,t,n){for(;e!==null;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,r!==null&&(r.childLanes|=t)):r!==null&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function mn(e,t){ki=e,Kl=un=null,e=e.dependencies,e!==null&&e.firstContext!==null&&(e.lanes&t&&(ge=!0),e.firstContext=null)}function Me(e){var t=e._currentValue;if(Kl!==e)if(e={context:e,memoizedValue:t,next:null},un===null){if(ki===null)throw Error(g(308));un=e,ki.dependencies={lanes:0,firstContext:e}}else un=un.next=e;return t}var Mt=null;function Xl(e){Mt===null?Mt=[e]:Mt.push(e)}function ec(e,t,n,r){var i=t.interleaved;return i===null?(n.next=n,Xl(t)):(n.next=i.next,i.next=n),t.interleaved=n,at(e,r)}function at(e,t){e.lanes|=t;var n=e.alternate;for(n!==null&&(n.lanes|=t),n=e,e=e.return;e!==null;)e.childLanes|=t,n=e.alternate,n!==null&&(n.childLanes|=t),n=e,e=e.return;return n.tag===3?n.stateNode:null}var mt=!1;function Jl(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function tc(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function lt(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function Nt(e,t,n){var r=e.updateQueue;if(r===null)return null;if(r=r.shared,I&2){var i=r.pending;return i===null?t.next=t:(t.next=i.next,i.next=t),r.pending=t,at(e,n)}return i=r.interleaved,i===null?(t.next=t,Xl(r)):(t.next=i.next,i.next=t),r.interleaved=t,at(e,n)}function Xr(e,t,n){if(t=t.updateQueue,t!==null&&(t=t.shared,(n&4194240)!==0)){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Al(e,n)}}function ou(e,t){var n=e.updateQueue,r=e.alternate;if(r!==null&&(r=r.updateQueue,n===r)){var i=null,s=null;if(n=n.firstBaseUpdate,n!==null){do{var l={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};s===null?i=s=l:s=s.next=l,n=n.next}while(n!==null);s===null?i=s=t:s=s.next=t}else i=s=t;n={baseState:r.baseState,firstBaseUpdate:i,lastBaseUpdate:s,shared:r.shared,effects:r.effects},e.updateQueue=n;return}e=n.lastBaseUpdate,e===null?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function Si(e,t,n,r){var i=e.updateQueue;mt=!1;var s=i.firstBaseUpdate,l=i.lastBaseUpdate,o=i.shared.pending;if(o!==null){i.shared.pending=null;var u=o,c=u.next;u.next=null,l===null?s=c:l.next=c,l=u;var m=e.alternate;m!==null&&(m=m.updateQueue,o=m.lastBaseUpdate,o!==l&&(o===null?m.firstBaseUpdate=c:o.next=c,m.lastBaseUpdate=u))}if(s!==null){var y=i.baseState;l=0,m=c=u=null,o=s;do{var p=o.lane,w=o.eventTime;if((r&p)===p){m!==null&&(m=m.next={eventTime:w,lane:0,tag:o.tag,payload:o.payload,callback:o.callback,next:null});e:{var k=e,S=o;switch(p=t,w=n,S.tag){case 1:if(k=S.payload,typeof k=="function"){y=k.call(w,y,p);break e}y=k;break e;case 3:k.flags=k.flags&-65537|128;case 0:if(k=S.payload,p=typeof k=="function"?k.call(w,y,p):k,p==null)break e;y=q({},y,p);break e;case 2:mt=!0}}o.callback!==null&&o.lane!==0&&(e.flags|=64,p=i.effects,p===null?i.effects=[o]:p.push(o))}else w={eventTime:w,lane:p,tag:o.tag,payload:o.payload,callback:o.callback,next:null},m===null?(c=m=w,u=y):m=m.next=w,l|=p;if(o=o.next,o===null){if(o=i.shared.pending,o===null)break;p=o,o=p.next,p.next=null,i.lastBaseUpdate=p,i.shared.pending=null}}while(!0);if(m===null&&(u=y),i.baseState=u,i.firstBaseUpdate=c,i.lastBaseUpdate=m,t=i.shared.interleaved,t!==null){i=t;do l|=i.lane,i=i.next;while(i!==t)}else s===null&&(i.shared.lanes=0);Ht|=l,e.lanes=l,e.memoizedState=y}}function uu(e,t,n){if(e=t.effects,t.effects=null,e!==null)for(t=0;t<e.length;t++){var r=e[t],i=r.callback;if(i!==null){if(r.callback=null,r=n,typeof i!="function")throw Error(g(191,i));i.call(r)}}}var kr={},Ze=Ot(kr),cr=Ot(kr),fr=Ot(kr);function Bt(e){if(e===kr)throw Error(g(174));return e}function Gl(e,t){switch(F(fr,t),F(cr,e),F(Ze,kr),e=t.nodeType,e){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:zs(null,"");break;default:e=e===8?t.parentNode:t,t=e.namespaceURI||null,e=e.tagName,t=zs(t,e)}V(Ze),F(Ze,t)}function Sn(){V(Ze),V(cr),V(fr)}function nc(e){Bt(fr.current);var t=Bt(Ze.current),n=zs(t,e.type);t!==n&&(F(cr,e),F(Ze,n))}function Zl(e){cr.current===e&&(V(Ze),V(cr))}var Q=Ot(0);function xi(e){for(var t=e;t!==null;){if(t.tag===13){var n=t.memoizedState;if(n!==null&&(n=n.dehydrated,n===null||n.data==="$?"||n.data==="$!"))return t}else if(t.tag===19&&t.memoizedProps.revealOrder!==void 0){if(t.flags&128)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var hs=[];function bl(){for(var e=0;e<hs.length;e++)hs[e]._workInProgressVersionPrimary=null;hs.length=0}var Jr=ft.ReactCurrentDispatcher,ps=ft.ReactCurrentBatchConfig,Wt=0,K=null,b=null,ne=null,_i=!1,Xn=!1,dr=0,hh=0;function oe(){throw Error(g(321))}function eo(e,t){if(t===null)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Ke(e[n],t[n]))return!1;return!0}function to(e,t,n,r,i,s){if(Wt=s,K=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,Jr.current=e===null||e.memoizedState===null?vh:gh,e=n(r,i),Xn){s=0;do{if(Xn=!1,dr=0,25<=s)throw Error(g(301));s+=1,ne=b=null,t.updateQueue=null,Jr.current=wh,e=n(r,i)}while(Xn)}if(Jr.current=Ni,t=b!==null&&b.next!==null,Wt=0,ne=b=K=null,_i=!1,t)throw Error(g(300));return e}function no(){var e=dr!==0;return dr=0,e}function Xe(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return ne===null?K.memoizedState=ne=e:ne=ne.next=e,ne}function Be(){if(b===null){var e=K.alternate;e=e!==null?e.memoizedState:null}else e=b.next;var t=ne===null?K.memoizedState:ne.next;if(t!==null)ne=t,b=e;else{if(e===null)throw Error(g(310));b=e,e={memoizedState:b.memoizedState,baseState:b.baseState,baseQueue:b.baseQueue,queue:b.queue,next:null},ne===null?K.memoizedState=ne=e:ne=ne.next=e}return ne}function hr(e,t){return typeof t=="function"?t(e):t}function ms(e){var t=Be(),n=t.queue;if(n===null)throw Error(g(311));n.lastRenderedReducer=e;var r=b,i=r.baseQueue,s=n.pending;if(s!==null){if(i!==null){var l=i.next;i.next=s.next,s.next=l}r.baseQueue=i=s,n.pending=null}if(i!==null){s=i.next,r=r.baseState;var o=l=null,u=null,c=s;do{var m=c.lane;if((Wt&m)===m)u!==null&&(u=u.next={lane:0,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),r=c.hasEagerState?c.eagerState:e(r,c.action);else{var y={lane:m,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null};u===null?(o=u=y,l=r):u=u.next=y,K.lanes|=m,Ht|=m}c=c.next}while(c!==null&&c!==s);u===null?l=r:u.next=o,Ke(r,t.memoizedState)||(ge=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=u,n.lastRenderedState=r}if(e=n.interleaved,e!==null){i=e;do s=i.lane,K.lanes|=s,Ht|=s,i=i.next;while(i!==e)}else i===null&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function ys(e){var t=Be(),n=t.queue;if(n===null)throw Error(g(311));n.lastRenderedReducer=e;var r=n.dispatch,i=n.pending,s=t.memoizedState;if(i!==null){n.pending=null;var l=i=i.next;do s=e(s,l.action),l=l.next;while(l!==i);Ke(s,t.memoizedState)||(ge=!0),t.memoizedState=s,t.baseQueue===null&&(t.baseState=s),n.lastRenderedState=s}return[s,r]}function rc(){}function ic(e,t){var n=K,r=Be(),i=t(),s=!Ke(r.memoizedState,i);if(s&&(r.memoizedState=i,ge=!0),r=r.queue,ro(oc.bind(null,n,r,e),[e]),r.getSnapshot!==t||s||ne!==null&&ne.memoizedState.tag&1){if(n.flags|=2048,pr(9,lc.bind(null,n,r,i,t),void 0,null),re===null)throw Error(g(349));Wt&30||sc(n,t,i)}return i}function sc(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},t=K.updateQueue,t===null?(t={lastEffect:null,stores:null},K.updateQueue=t,t.stores=[e]):(n=t.stores,n===null?t.stores=[e]:n.push(e))}function lc(e,t,n,r){t.value=n,t.getSnapshot=r,uc(t)&&ac(e)}function oc(e,t,n){return n(function(){uc(t)&&ac(e)})}function uc(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Ke(e,n)}catch{return!0}}function ac(e){var t=at(e,1);t!==null&&Qe(t,e,1,-1)}function au(e){var t=Xe();return typeof e=="function"&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:hr,lastRenderedState:e},t.queue=e,e=e.dispatch=yh.bind(null,K,e),[t.memoizedState,e]}function pr(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},t=K.updateQueue,t===null?(t={lastEffect:null,stores:null},K.updateQueue=t,t.lastEffect=e.next=e):(n=t.lastEffect,n===null?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e)),e}function cc(){return Be().memoizedState}function Gr(e,t,n,r){var i=Xe();K.flags|=e,i.memoizedState=pr(1|t,n,void 0,r===void 0?null:r)}function Bi(e,t,n,r){var i=Be();r=r===void 0?null:r;var s=void 0;if(b!==null){var l=b.memoizedState;if(s=l.destroy,r!==null&&eo(r,l.deps)){i.memoizedState=pr(t,n,s,r);return}}K.flags|=e,i.memoizedState=pr(1|t,n,s,r)}function cu(e,t){return Gr(8390656,8,e,t)}function ro(e,t){return Bi(2048,8,e,t)}function fc(e,t){return Bi(4,2,e,t)}function dc(e,t){return Bi(4,4,e,t)}function hc(e,t){if(typeof t=="function")return e=e(),t(e),function(){t(null)};if(t!=null)return e=e(),t.current=e,function(){t.current=null}}function pc(e,t,n){return n=n!=null?n.concat([e]):null,Bi(4,4,hc.bind(null,t,e),n)}function io(){}function mc(e,t){var n=Be();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&eo(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function yc(e,t){var n=Be();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&eo(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function vc(e,t,n){return Wt&21?(Ke(n,t)||(n=xa(),K.lanes|=n,Ht|=n,e.baseState=!0),t):(e.baseState&&(e.baseState=!1,ge=!0),e.memoizedState=n)}function ph(e,t){var n=M;M=n!==0&&4>n?n:4,e(!0);var r=ps.transition;ps.transition={};try{e(!1),t()}finally{M=n,ps.transition=r}}function gc(){return Be().memoizedState}function mh(e,t,n){var r=Ct(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},wc(e))kc(t,n);else if(n=ec(e,t,n,r),n!==null){var i=de();Qe(n,e,r,i),Sc(n,t,r)}}function yh(e,t,n){var r=Ct(e),i={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(wc(e))kc(t,i);else{var s=e.alternate;if(e.lanes===0&&(s===null||s.lanes===0)&&(s=t.lastRenderedReducer,s!==null))try{var l=t.lastRenderedState,o=s(l,n);if(i.hasEagerState=!0,i.eagerState=o,Ke(o,l)){var u=t.interleaved;u===null?(i.next=i,Xl(t)):(i.next=u.next,u.next=i),t.interleaved=i;return}}catch{}finally{}n=ec(e,t,i,r),n!==null&&(i=de(),Qe(n,e,r,i),Sc(n,t,r))}}function wc(e){var t=e.alternate;return e===K||t!==null&&t===K}function kc(e,t){Xn=_i=!0;var n=e.pending;n===null?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function Sc(e,t,n){if(n&4194240){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Al(e,n)}}var Ni={readContext:Me,useCallback:oe,useContext:oe,useEffect:oe,useImperativeHandle:oe,useInsertionEffect:oe,useLayoutEffect:oe,useMemo:oe,useReducer:oe,useRef:oe,useState:oe,useDebugValue:oe,useDeferredValue:oe,useTransition:oe,useMutableSource:oe,useSyncExternalStore:oe,useId:oe,unstable_isNewReconciler:!1},vh={readContext:Me,useCallback:function(e,t){return Xe().memoizedState=[e,t===void 0?null:t],e},useContext:Me,useEffect:cu,useImperativeHandle:function(e,t,n){return n=n!=null?n.concat([e]):null,Gr(4194308,4,hc.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Gr(4194308,4,e,t)},useInsertionEffect:function(e,t){return Gr(4,2,e,t)},useMemo:function(e,t){var n=Xe();return t=t===void 0?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=Xe();return t=n!==void 0?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=mh.bind(null,K,e),[r.memoizedState,e]},useRef:function(e){var t=Xe();return e={current:e},t.memoizedState=e},useState:au,useDebugValue:io,useDeferredValue:function(e){return Xe().memoizedState=e},useTransition:function(){var e=au(!1),t=e[0];return e=ph.bind(null,e[1]),Xe().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=K,i=Xe();if(W){if(n===void 0)throw Error(g(407));n=n()}else{if(n=t(),re===null)throw Error(g(349));Wt&30||sc(r,t,n)}i.memoizedState=n;var s={value:n,getSnapshot:t};return i.queue=s,cu(oc.bind(null,r,s,e),[e]),r.flags|=2048,pr(9,lc.bind(null,r,s,n,t),void 0,null),n},useId:function(){var e=Xe(),t=re.identifierPrefix;if(W){var n=st,r=it;n=(r&~(1<<32-He(r)-1)).toString(32)+n,t=":"+t+"R"+n,n=dr++,0<n&&(t+="H"+n.toString(32)),t+=":"}else n=hh++,t=":"+t+"r"+n.toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},gh={readContext:Me,useCallback:mc,useContext:Me,useEffect:ro,useImperativeHandle:pc,useInsertionEffect:fc,useLayoutEffect:dc,useMemo:yc,useReducer:ms,useRef:cc,useState:function(){return ms(hr)},useDebugValue:io,useDeferredValue:function(e){var t=Be();return vc(t,b.memoizedState,e)},useTransition:function(){var e=ms(hr)[0],t=Be().memoizedState;return[e,t]},useMutableSource:rc,useSyncExternalStore:ic,useId:gc,unstable_isNewReconciler:!1},wh={readContext:Me,useCallback:mc,useContext:Me,useEffect:ro,useImperativeHandle:pc,useInsertionEffect:fc,useLayoutEffect:dc,useMemo:yc,useReducer:ys,useRef:cc,useState:function(){return ys(hr)},useDebugValue:io,useDeferredValue:function(e){var t=Be();return b===null?t.memoizedState=e:vc(t,b.memoizedState,e)},useTransition:function(){var e=ys(hr)[0],t=Be().memoizedState;return[e,t]},useMutableSource:rc,useSyncExternalStore:ic,useId:gc,unstable_isNewReconciler:!1};function Ue(e,t){if(e&&e.defaultProps){t=q({},t),e=e.defaultProps;for(var n in e)t[n]===void 0&&(t[n]=e[n]);return t}return t}function el(e,t,n,r){t=e.memoizedState,n=n(r,t),n=n==null?t:q({},t,n),e.memoizedState=n,e.lanes===0&&(e.updateQueue.baseState=n)}var Fi={isMounted:function(e){return(e=e._reactInternals)?qt(e)===e:!1},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=de(),i=Ct(e),s=lt(r,i);s.payload=t,n!=null&&(s.callback=n),t=Nt(e,s,i),t!==null&&(Qe(t,e,i,r),Xr(t,e,i))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=de(),i=Ct(e),s=lt(r,i);s.tag=1,s.payload=t,n!=null&&(s.callback=n),t=Nt(e,s,i),t!==null&&(Qe(t,e,i,r),Xr(t,e,i))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=de(),r=Ct(e),i=lt(n,r);i.tag=2,t!=null&&(i.callback=t),t=Nt(e,i,r),t!==null&&(Qe(t,e,r,n),Xr(t,e,r))}};function fu(e,t,n,r,i,s,l){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(r,s,l):t.prototype&&t.prototype.isPureReactComponent?!lr(n,r)||!lr(i,s):!0}function xc(e,t,n){var r=!1,i=Lt,s=t.contextType;return typeof s=="object"&&s!==null?s=Me(s):(i=ke(t)?Vt:ce.current,r=t.contextTypes,s=(r=r!=null)?gn(e,i):Lt),t=new t(n,s),e.memoizedState=t.state!==null&&t.state!==void 0?t.state:null,t.updater=Fi,e.stateNode=t,t._reactInternals=e,r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=i,e.__reactInternalMemoizedMaskedChildContext=s),t}function du(e,t,n,r){e=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(n,r),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&Fi.enqueueReplaceState(t,t.state,null)}function tl(e,t,n,r){var i=e.stateNode;i.props=n,i.state=e.memoizedState,i.refs={},Jl(e);var s=t.contextType;typeof s=="object"&&s!==null?i.context=Me(s):(s=ke(t)?Vt:ce.current,i.context=gn(e,s)),i.state=e.memoizedState,s=t.getDerivedStateFromProps,typeof s=="function"&&(el(e,t,s,n),i.state=e.memoizedState),typeof t.getDerivedStateFromProps=="function"||typeof i.getSnapshotBeforeUpdate=="function"||typeof i.UNSAFE_componentWillMount!="function"&&typeof i.componentWillMount!="function"||(t=i.state,typeof i.componentWillMount=="function"&&i.componentWillMount(),typeof i.UNSAFE_componentWillMount=="function"&&i.UNSAFE_componentWillMount(),t!==i.state&&Fi.enqueueReplaceState(i,i.state,null),Si(e,n,i,r),i.state=e.memoizedState),typeof i.componentDidMount=="function"&&(e.flags|=4194308)}function xn(e,t){try{var n="",r=t;do n+=qf(r),r=r.return;while(r);var i=n}catch(s){i=`
 Error generating stack: `+s.message+`
-`+s.stack}return{value:e,source:t,stack:i,digest:null}}function vs(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function nl(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var kh=typeof WeakMap=="function"?WeakMap:Map;function _c(e,t,n){n=lt(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){Ci||(Ci=!0,dl=r),nl(e,t)},n}function Nc(e,t,n){n=lt(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var i=t.value;n.payload=function(){return r(i)},n.callback=function(){nl(e,t)}}var s=e.stateNode;return s!==null&&typeof s.componentDidCatch=="function"&&(n.callback=function(){nl(e,t),typeof r!="function"&&(Et===null?Et=new Set([this]):Et.add(this));var l=t.stack;this.componentDidCatch(t.value,{componentStack:l!==null?l:""})}),n}function hu(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new kh;var i=new Set;r.set(t,i)}else i=r.get(t),i===void 0&&(i=new Set,r.set(t,i));i.has(n)||(i.add(n),e=Dh.bind(null,e,t,n),t.then(e,e))}function pu(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function mu(e,t,n,r,i){return e.mode&1?(e.flags|=65536,e.lanes=i,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=lt(-1,1),t.tag=2,Nt(n,t,1))),n.lanes|=1),e)}var Sh=ft.ReactCurrentOwner,ge=!1;function fe(e,t,n,r){t.child=e===null?ba(t,null,n,r):kn(t,e.child,n,r)}function yu(e,t,n,r,i){n=n.render;var s=t.ref;return mn(t,i),r=to(e,t,n,r,s,i),n=no(),e!==null&&!ge?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~i,ct(e,t,i)):(W&&n&&Wl(t),t.flags|=1,fe(e,t,r,i),t.child)}function vu(e,t,n,r,i){if(e===null){var s=n.type;return typeof s=="function"&&!ho(s)&&s.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=s,Ec(e,t,s,r,i)):(e=ti(n.type,null,r,t,t.mode,i),e.ref=t.ref,e.return=t,t.child=e)}if(s=e.child,!(e.lanes&i)){var l=s.memoizedProps;if(n=n.compare,n=n!==null?n:lr,n(l,r)&&e.ref===t.ref)return ct(e,t,i)}return t.flags|=1,e=jt(s,r),e.ref=t.ref,e.return=t,t.child=e}function Ec(e,t,n,r,i){if(e!==null){var s=e.memoizedProps;if(lr(s,r)&&e.ref===t.ref)if(ge=!1,t.pendingProps=r=s,(e.lanes&i)!==0)e.flags&131072&&(ge=!0);else return t.lanes=e.lanes,ct(e,t,i)}return rl(e,t,n,r,i)}function Cc(e,t,n){var r=t.pendingProps,i=r.children,s=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},F(cn,Ee),Ee|=n;else{if(!(n&1073741824))return e=s!==null?s.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,F(cn,Ee),Ee|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=s!==null?s.baseLanes:n,F(cn,Ee),Ee|=r}else s!==null?(r=s.baseLanes|n,t.memoizedState=null):r=n,F(cn,Ee),Ee|=r;return fe(e,t,i,n),t.child}function jc(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function rl(e,t,n,r,i){var s=ke(n)?Vt:ce.current;return s=gn(t,s),mn(t,i),n=to(e,t,n,r,s,i),r=no(),e!==null&&!ge?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~i,ct(e,t,i)):(W&&r&&Wl(t),t.flags|=1,fe(e,t,n,i),t.child)}function gu(e,t,n,r,i){if(ke(n)){var s=!0;yi(t)}else s=!1;if(mn(t,i),t.stateNode===null)Zr(e,t),xc(t,n,r),tl(t,n,r,i),r=!0;else if(e===null){var l=t.stateNode,o=t.memoizedProps;l.props=o;var u=l.context,c=n.contextType;typeof c=="object"&&c!==null?c=Me(c):(c=ke(n)?Vt:ce.current,c=gn(t,c));var m=n.getDerivedStateFromProps,y=typeof m=="function"||typeof l.getSnapshotBeforeUpdate=="function";y||typeof l.UNSAFE_componentWillReceiveProps!="function"&&typeof l.componentWillReceiveProps!="function"||(o!==r||u!==c)&&du(t,l,r,c),mt=!1;var p=t.memoizedState;l.state=p,Si(t,r,l,i),u=t.memoizedState,o!==r||p!==u||we.current||mt?(typeof m=="function"&&(el(t,n,m,r),u=t.memoizedState),(o=mt||fu(t,n,o,r,p,u,c))?(y||typeof l.UNSAFE_componentWillMount!="function"&&typeof l.componentWillMount!="function"||(typeof l.componentWillMount=="function"&&l.componentWillMount(),typeof l.UNSAFE_componentWillMount=="function"&&l.UNSAFE_componentWillMount()),typeof l.componentDidMount=="function"&&(t.flags|=4194308)):(typeof l.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=c,r=o):(typeof l.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,tc(e,t),o=t.memoizedProps,c=t.type===t.elementType?o:Ue(t.type,o),l.props=c,y=t.pendingProps,p=l.context,u=n.contextType,typeof u=="object"&&u!==null?u=Me(u):(u=ke(n)?Vt:ce.current,u=gn(t,u));var w=n.getDerivedStateFromProps;(m=typeof w=="function"||typeof l.getSnapshotBeforeUpdate=="function")||typeof l.UNSAFE_componentWillReceiveProps!="function"&&typeof l.componentWillReceiveProps!="function"||(o!==y||p!==u)&&du(t,l,r,u),mt=!1,p=t.memoizedState,l.state=p,Si(t,r,l,i);var k=t.memoizedState;o!==y||p!==k||we.current||mt?(typeof w=="function"&&(el(t,n,w,r),k=t.memoizedState),(c=mt||fu(t,n,c,r,p,k,u)||!1)?(m||typeof l.UNSAFE_componentWillUpdate!="function"&&typeof l.componentWillUpdate!="function"||(typeof l.componentWillUpdate=="function"&&l.componentWillUpdate(r,k,u),typeof l.UNSAFE_componentWillUpdate=="function"&&l.UNSAFE_componentWillUpdate(r,k,u)),typeof l.componentDidUpdate=="function"&&(t.flags|=4),typeof l.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof l.componentDidUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=4),typeof l.getSnapshotBeforeUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=k),l.props=r,l.state=k,l.context=u,r=c):(typeof l.componentDidUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=4),typeof l.getSnapshotBeforeUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=1024),r=!1)}return il(e,t,n,r,s,i)}function il(e,t,n,r,i,s){jc(e,t);var l=(t.flags&128)!==0;if(!r&&!l)return i&&ru(t,n,!1),ct(e,t,s);r=t.stateNode,Sh.current=t;var o=l&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&l?(t.child=kn(t,e.child,null,s),t.child=kn(t,null,o,s)):fe(e,t,o,s),t.memoizedState=r.state,i&&ru(t,n,!0),t.child}function Tc(e){var t=e.stateNode;t.pendingContext?nu(e,t.pendingContext,t.pendingContext!==t.context):t.context&&nu(e,t.context,!1),Gl(e,t.containerInfo)}function wu(e,t,n,r,i){return wn(),Ql(i),t.flags|=256,fe(e,t,n,r),t.child}var sl={dehydrated:null,treeContext:null,retryLane:0};function ll(e){return{baseLanes:e,cachePool:null,transitions:null}}function Pc(e,t,n){var r=t.pendingProps,i=Q.current,s=!1,l=(t.flags&128)!==0,o;if((o=l)||(o=e!==null&&e.memoizedState===null?!1:(i&2)!==0),o?(s=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(i|=1),F(Q,i&1),e===null)return Zs(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(l=r.children,e=r.fallback,s?(r=t.mode,s=t.child,l={mode:"hidden",children:l},!(r&1)&&s!==null?(s.childLanes=0,s.pendingProps=l):s=$i(l,r,0,null),e=Ut(e,r,n,null),s.return=t,e.return=t,s.sibling=e,t.child=s,t.child.memoizedState=ll(n),t.memoizedState=sl,e):so(t,l));if(i=e.memoizedState,i!==null&&(o=i.dehydrated,o!==null))return xh(e,t,l,r,o,i,n);if(s){s=r.fallback,l=t.mode,i=e.child,o=i.sibling;var u={mode:"hidden",children:r.children};return!(l&1)&&t.child!==i?(r=t.child,r.childLanes=0,r.pendingProps=u,t.deletions=null):(r=jt(i,u),r.subtreeFlags=i.subtreeFlags&14680064),o!==null?s=jt(o,s):(s=Ut(s,l,n,null),s.flags|=2),s.return=t,r.return=t,r.sibling=s,t.child=r,r=s,s=t.child,l=e.child.memoizedState,l=l===null?ll(n):{baseLanes:l.baseLanes|n,cachePool:null,transitions:l.transitions},s.memoizedState=l,s.childLanes=e.childLanes&~n,t.memoizedState=sl,r}return s=e.child,e=s.sibling,r=jt(s,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function so(e,t){return t=$i({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function Br(e,t,n,r){return r!==null&&Ql(r),kn(t,e.child,null,n),e=so(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function xh(e,t,n,r,i,s,l){if(n)return t.flags&256?(t.flags&=-257,r=vs(Error(g(422))),Br(e,t,l,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(s=r.fallback,i=t.mode,r=$i({mode:"visible",children:r.children},i,0,null),s=Ut(s,i,l,null),s.flags|=2,r.return=t,s.return=t,r.sibling=s,t.child=r,t.mode&1&&kn(t,e.child,null,l),t.child.memoizedState=ll(l),t.memoizedState=sl,s);if(!(t.mode&1))return Br(e,t,l,null);if(i.data==="$!"){if(r=i.nextSibling&&i.nextSibling.dataset,r)var o=r.dgst;return r=o,s=Error(g(419)),r=vs(s,r,void 0),Br(e,t,l,r)}if(o=(l&e.childLanes)!==0,ge||o){if(r=re,r!==null){switch(l&-l){case 4:i=2;break;case 16:i=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:i=32;break;case 536870912:i=268435456;break;default:i=0}i=i&(r.suspendedLanes|l)?0:i,i!==0&&i!==s.retryLane&&(s.retryLane=i,at(e,i),Qe(r,e,i,-1))}return fo(),r=vs(Error(g(421))),Br(e,t,l,r)}return i.data==="$?"?(t.flags|=128,t.child=e.child,t=Ah.bind(null,e),i._reactRetry=t,null):(e=s.treeContext,Ce=_t(i.nextSibling),je=t,W=!0,We=null,e!==null&&(Oe[ze++]=it,Oe[ze++]=st,Oe[ze++]=$t,it=e.id,st=e.overflow,$t=t),t=so(t,r.children),t.flags|=4096,t)}function ku(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),bs(e.return,t,n)}function gs(e,t,n,r,i){var s=e.memoizedState;s===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:i}:(s.isBackwards=t,s.rendering=null,s.renderingStartTime=0,s.last=r,s.tail=n,s.tailMode=i)}function Lc(e,t,n){var r=t.pendingProps,i=r.revealOrder,s=r.tail;if(fe(e,t,r.children,n),r=Q.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&ku(e,n,t);else if(e.tag===19)ku(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(F(Q,r),!(t.mode&1))t.memoizedState=null;else switch(i){case"forwards":for(n=t.child,i=null;n!==null;)e=n.alternate,e!==null&&xi(e)===null&&(i=n),n=n.sibling;n=i,n===null?(i=t.child,t.child=null):(i=n.sibling,n.sibling=null),gs(t,!1,i,n,s);break;case"backwards":for(n=null,i=t.child,t.child=null;i!==null;){if(e=i.alternate,e!==null&&xi(e)===null){t.child=i;break}e=i.sibling,i.sibling=n,n=i,i=e}gs(t,!0,n,null,s);break;case"together":gs(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Zr(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function ct(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),Ht|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(g(153));if(t.child!==null){for(e=t.child,n=jt(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=jt(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function _h(e,t,n){switch(t.tag){case 3:Tc(t),wn();break;case 5:nc(t);break;case 1:ke(t.type)&&yi(t);break;case 4:Gl(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,i=t.memoizedProps.value;F(wi,r._currentValue),r._currentValue=i;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(F(Q,Q.current&1),t.flags|=128,null):n&t.child.childLanes?Pc(e,t,n):(F(Q,Q.current&1),e=ct(e,t,n),e!==null?e.sibling:null);F(Q,Q.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return Lc(e,t,n);t.flags|=128}if(i=t.memoizedState,i!==null&&(i.rendering=null,i.tail=null,i.lastEffect=null),F(Q,Q.current),r)break;return null;case 22:case 23:return t.lanes=0,Cc(e,t,n)}return ct(e,t,n)}var Rc,ol,Oc,zc;Rc=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};ol=function(){};Oc=function(e,t,n,r){var i=e.memoizedProps;if(i!==r){e=t.stateNode,Bt(Ze.current);var s=null;switch(n){case"input":i=Ps(e,i),r=Ps(e,r),s=[];break;case"select":i=q({},i,{value:void 0}),r=q({},r,{value:void 0}),s=[];break;case"textarea":i=Os(e,i),r=Os(e,r),s=[];break;default:typeof i.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=pi)}Ds(n,r);var l;n=null;for(c in i)if(!r.hasOwnProperty(c)&&i.hasOwnProperty(c)&&i[c]!=null)if(c==="style"){var o=i[c];for(l in o)o.hasOwnProperty(l)&&(n||(n={}),n[l]="")}else c!=="dangerouslySetInnerHTML"&&c!=="children"&&c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&c!=="autoFocus"&&(bn.hasOwnProperty(c)?s||(s=[]):(s=s||[]).push(c,null));for(c in r){var u=r[c];if(o=i!=null?i[c]:void 0,r.hasOwnProperty(c)&&u!==o&&(u!=null||o!=null))if(c==="style")if(o){for(l in o)!o.hasOwnProperty(l)||u&&u.hasOwnProperty(l)||(n||(n={}),n[l]="");for(l in u)u.hasOwnProperty(l)&&o[l]!==u[l]&&(n||(n={}),n[l]=u[l])}else n||(s||(s=[]),s.push(c,n)),n=u;else c==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,o=o?o.__html:void 0,u!=null&&o!==u&&(s=s||[]).push(c,u)):c==="children"?typeof u!="string"&&typeof u!="number"||(s=s||[]).push(c,""+u):c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&(bn.hasOwnProperty(c)?(u!=null&&c==="onScroll"&&U("scroll",e),s||o===u||(s=[])):(s=s||[]).push(c,u))}n&&(s=s||[]).push("style",n);var c=s;(t.updateQueue=c)&&(t.flags|=4)}};zc=function(e,t,n,r){n!==r&&(t.flags|=4)};function In(e,t){if(!W)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function ue(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var i=e.child;i!==null;)n|=i.lanes|i.childLanes,r|=i.subtreeFlags&14680064,r|=i.flags&14680064,i.return=e,i=i.sibling;else for(i=e.child;i!==null;)n|=i.lanes|i.childLanes,r|=i.subtreeFlags,r|=i.flags,i.return=e,i=i.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function Nh(e,t,n){var r=t.pendingProps;switch(Hl(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return ue(t),null;case 1:return ke(t.type)&&mi(),ue(t),null;case 3:return r=t.stateNode,Sn(),V(we),V(ce),bl(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(Ir(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,We!==null&&(ml(We),We=null))),ol(e,t),ue(t),null;case 5:Zl(t);var i=Bt(fr.current);if(n=t.type,e!==null&&t.stateNode!=null)Oc(e,t,n,r,i),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(g(166));return ue(t),null}if(e=Bt(Ze.current),Ir(t)){r=t.stateNode,n=t.type;var s=t.memoizedProps;switch(r[Je]=t,r[ar]=s,e=(t.mode&1)!==0,n){case"dialog":U("cancel",r),U("close",r);break;case"iframe":case"object":case"embed":U("load",r);break;case"video":case"audio":for(i=0;i<$n.length;i++)U($n[i],r);break;case"source":U("error",r);break;case"img":case"image":case"link":U("error",r),U("load",r);break;case"details":U("toggle",r);break;case"input":Po(r,s),U("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},U("invalid",r);break;case"textarea":Ro(r,s),U("invalid",r)}Ds(n,s),i=null;for(var l in s)if(s.hasOwnProperty(l)){var o=s[l];l==="children"?typeof o=="string"?r.textContent!==o&&(s.suppressHydrationWarning!==!0&&Ar(r.textContent,o,e),i=["children",o]):typeof o=="number"&&r.textContent!==""+o&&(s.suppressHydrationWarning!==!0&&Ar(r.textContent,o,e),i=["children",""+o]):bn.hasOwnProperty(l)&&o!=null&&l==="onScroll"&&U("scroll",r)}switch(n){case"input":jr(r),Lo(r,s,!0);break;case"textarea":jr(r),Oo(r);break;case"select":case"option":break;default:typeof s.onClick=="function"&&(r.onclick=pi)}r=i,t.updateQueue=r,r!==null&&(t.flags|=4)}else{l=i.nodeType===9?i:i.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=oa(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=l.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=l.createElement(n,{is:r.is}):(e=l.createElement(n),n==="select"&&(l=e,r.multiple?l.multiple=!0:r.size&&(l.size=r.size))):e=l.createElementNS(e,n),e[Je]=t,e[ar]=r,Rc(e,t,!1,!1),t.stateNode=e;e:{switch(l=As(n,r),n){case"dialog":U("cancel",e),U("close",e),i=r;break;case"iframe":case"object":case"embed":U("load",e),i=r;break;case"video":case"audio":for(i=0;i<$n.length;i++)U($n[i],e);i=r;break;case"source":U("error",e),i=r;break;case"img":case"image":case"link":U("error",e),U("load",e),i=r;break;case"details":U("toggle",e),i=r;break;case"input":Po(e,r),i=Ps(e,r),U("invalid",e);break;case"option":i=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},i=q({},r,{value:void 0}),U("invalid",e);break;case"textarea":Ro(e,r),i=Os(e,r),U("invalid",e);break;default:i=r}Ds(n,i),o=i;for(s in o)if(o.hasOwnProperty(s)){var u=o[s];s==="style"?ca(e,u):s==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,u!=null&&ua(e,u)):s==="children"?typeof u=="string"?(n!=="textarea"||u!=="")&&er(e,u):typeof u=="number"&&er(e,""+u):s!=="suppressContentEditableWarning"&&s!=="suppressHydrationWarning"&&s!=="autoFocus"&&(bn.hasOwnProperty(s)?u!=null&&s==="onScroll"&&U("scroll",e):u!=null&&Pl(e,s,u,l))}switch(n){case"input":jr(e),Lo(e,r,!1);break;case"textarea":jr(e),Oo(e);break;case"option":r.value!=null&&e.setAttribute("value",""+Pt(r.value));break;case"select":e.multiple=!!r.multiple,s=r.value,s!=null?fn(e,!!r.multiple,s,!1):r.defaultValue!=null&&fn(e,!!r.multiple,r.defaultValue,!0);break;default:typeof i.onClick=="function"&&(e.onclick=pi)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return ue(t),null;case 6:if(e&&t.stateNode!=null)zc(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(g(166));if(n=Bt(fr.current),Bt(Ze.current),Ir(t)){if(r=t.stateNode,n=t.memoizedProps,r[Je]=t,(s=r.nodeValue!==n)&&(e=je,e!==null))switch(e.tag){case 3:Ar(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&Ar(r.nodeValue,n,(e.mode&1)!==0)}s&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[Je]=t,t.stateNode=r}return ue(t),null;case 13:if(V(Q),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(W&&Ce!==null&&t.mode&1&&!(t.flags&128))Ga(),wn(),t.flags|=98560,s=!1;else if(s=Ir(t),r!==null&&r.dehydrated!==null){if(e===null){if(!s)throw Error(g(318));if(s=t.memoizedState,s=s!==null?s.dehydrated:null,!s)throw Error(g(317));s[Je]=t}else wn(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;ue(t),s=!1}else We!==null&&(ml(We),We=null),s=!0;if(!s)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||Q.current&1?ee===0&&(ee=3):fo())),t.updateQueue!==null&&(t.flags|=4),ue(t),null);case 4:return Sn(),ol(e,t),e===null&&or(t.stateNode.containerInfo),ue(t),null;case 10:return Yl(t.type._context),ue(t),null;case 17:return ke(t.type)&&mi(),ue(t),null;case 19:if(V(Q),s=t.memoizedState,s===null)return ue(t),null;if(r=(t.flags&128)!==0,l=s.rendering,l===null)if(r)In(s,!1);else{if(ee!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(l=xi(e),l!==null){for(t.flags|=128,In(s,!1),r=l.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)s=n,e=r,s.flags&=14680066,l=s.alternate,l===null?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=l.childLanes,s.lanes=l.lanes,s.child=l.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=l.memoizedProps,s.memoizedState=l.memoizedState,s.updateQueue=l.updateQueue,s.type=l.type,e=l.dependencies,s.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return F(Q,Q.current&1|2),t.child}e=e.sibling}s.tail!==null&&J()>_n&&(t.flags|=128,r=!0,In(s,!1),t.lanes=4194304)}else{if(!r)if(e=xi(l),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),In(s,!0),s.tail===null&&s.tailMode==="hidden"&&!l.alternate&&!W)return ue(t),null}else 2*J()-s.renderingStartTime>_n&&n!==1073741824&&(t.flags|=128,r=!0,In(s,!1),t.lanes=4194304);s.isBackwards?(l.sibling=t.child,t.child=l):(n=s.last,n!==null?n.sibling=l:t.child=l,s.last=l)}return s.tail!==null?(t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=J(),t.sibling=null,n=Q.current,F(Q,r?n&1|2:n&1),t):(ue(t),null);case 22:case 23:return co(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?Ee&1073741824&&(ue(t),t.subtreeFlags&6&&(t.flags|=8192)):ue(t),null;case 24:return null;case 25:return null}throw Error(g(156,t.tag))}function Eh(e,t){switch(Hl(t),t.tag){case 1:return ke(t.type)&&mi(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return Sn(),V(we),V(ce),bl(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return Zl(t),null;case 13:if(V(Q),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(g(340));wn()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return V(Q),null;case 4:return Sn(),null;case 10:return Yl(t.type._context),null;case 22:case 23:return co(),null;case 24:return null;default:return null}}var Fr=!1,ae=!1,Ch=typeof WeakSet=="function"?WeakSet:Set,N=null;function an(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){Y(e,t,r)}else n.current=null}function ul(e,t,n){try{n()}catch(r){Y(e,t,r)}}var Su=!1;function jh(e,t){if(Qs=fi,e=Ba(),$l(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var i=r.anchorOffset,s=r.focusNode;r=r.focusOffset;try{n.nodeType,s.nodeType}catch{n=null;break e}var l=0,o=-1,u=-1,c=0,m=0,y=e,p=null;t:for(;;){for(var w;y!==n||i!==0&&y.nodeType!==3||(o=l+i),y!==s||r!==0&&y.nodeType!==3||(u=l+r),y.nodeType===3&&(l+=y.nodeValue.length),(w=y.firstChild)!==null;)p=y,y=w;for(;;){if(y===e)break t;if(p===n&&++c===i&&(o=l),p===s&&++m===r&&(u=l),(w=y.nextSibling)!==null)break;y=p,p=y.parentNode}y=w}n=o===-1||u===-1?null:{start:o,end:u}}else n=null}n=n||{start:0,end:0}}else n=null;for(Ks={focusedElem:e,selectionRange:n},fi=!1,N=t;N!==null;)if(t=N,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,N=e;else for(;N!==null;){t=N;try{var k=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(k!==null){var S=k.memoizedProps,B=k.memoizedState,h=t.stateNode,f=h.getSnapshotBeforeUpdate(t.elementType===t.type?S:Ue(t.type,S),B);h.__reactInternalSnapshotBeforeUpdate=f}break;case 3:var d=t.stateNode.containerInfo;d.nodeType===1?d.textContent="":d.nodeType===9&&d.documentElement&&d.removeChild(d.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(g(163))}}catch(v){Y(t,t.return,v)}if(e=t.sibling,e!==null){e.return=t.return,N=e;break}N=t.return}return k=Su,Su=!1,k}function Jn(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var i=r=r.next;do{if((i.tag&e)===e){var s=i.destroy;i.destroy=void 0,s!==void 0&&ul(t,n,s)}i=i.next}while(i!==r)}}function Ui(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function al(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function Dc(e){var t=e.alternate;t!==null&&(e.alternate=null,Dc(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[Je],delete t[ar],delete t[Xs],delete t[ah],delete t[ch])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Ac(e){return e.tag===5||e.tag===3||e.tag===4}function xu(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Ac(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function cl(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=pi));else if(r!==4&&(e=e.child,e!==null))for(cl(e,t,n),e=e.sibling;e!==null;)cl(e,t,n),e=e.sibling}function fl(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(fl(e,t,n),e=e.sibling;e!==null;)fl(e,t,n),e=e.sibling}var ie=null,Ve=!1;function dt(e,t,n){for(n=n.child;n!==null;)Ic(e,t,n),n=n.sibling}function Ic(e,t,n){if(Ge&&typeof Ge.onCommitFiberUnmount=="function")try{Ge.onCommitFiberUnmount(Oi,n)}catch{}switch(n.tag){case 5:ae||an(n,t);case 6:var r=ie,i=Ve;ie=null,dt(e,t,n),ie=r,Ve=i,ie!==null&&(Ve?(e=ie,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):ie.removeChild(n.stateNode));break;case 18:ie!==null&&(Ve?(e=ie,n=n.stateNode,e.nodeType===8?fs(e.parentNode,n):e.nodeType===1&&fs(e,n),ir(e)):fs(ie,n.stateNode));break;case 4:r=ie,i=Ve,ie=n.stateNode.containerInfo,Ve=!0,dt(e,t,n),ie=r,Ve=i;break;case 0:case 11:case 14:case 15:if(!ae&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){i=r=r.next;do{var s=i,l=s.destroy;s=s.tag,l!==void 0&&(s&2||s&4)&&ul(n,t,l),i=i.next}while(i!==r)}dt(e,t,n);break;case 1:if(!ae&&(an(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(o){Y(n,t,o)}dt(e,t,n);break;case 21:dt(e,t,n);break;case 22:n.mode&1?(ae=(r=ae)||n.memoizedState!==null,dt(e,t,n),ae=r):dt(e,t,n);break;default:dt(e,t,n)}}function _u(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new Ch),t.forEach(function(r){var i=Ih.bind(null,e,r);n.has(r)||(n.add(r),r.then(i,i))})}}function Fe(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var i=n[r];try{var s=e,l=t,o=l;e:for(;o!==null;){switch(o.tag){case 5:ie=o.stateNode,Ve=!1;break e;case 3:ie=o.stateNode.containerInfo,Ve=!0;break e;case 4:ie=o.stateNode.containerInfo,Ve=!0;break e}o=o.return}if(ie===null)throw Error(g(160));Ic(s,l,i),ie=null,Ve=!1;var u=i.alternate;u!==null&&(u.return=null),i.return=null}catch(c){Y(i,t,c)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)Mc(t,e),t=t.sibling}function Mc(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(Fe(t,e),Ye(e),r&4){try{Jn(3,e,e.return),Ui(3,e)}catch(S){Y(e,e.return,S)}try{Jn(5,e,e.return)}catch(S){Y(e,e.return,S)}}break;case 1:Fe(t,e),Ye(e),r&512&&n!==null&&an(n,n.return);break;case 5:if(Fe(t,e),Ye(e),r&512&&n!==null&&an(n,n.return),e.flags&32){var i=e.stateNode;try{er(i,"")}catch(S){Y(e,e.return,S)}}if(r&4&&(i=e.stateNode,i!=null)){var s=e.memoizedProps,l=n!==null?n.memoizedProps:s,o=e.type,u=e.updateQueue;if(e.updateQueue=null,u!==null)try{o==="input"&&s.type==="radio"&&s.name!=null&&sa(i,s),As(o,l);var c=As(o,s);for(l=0;l<u.length;l+=2){var m=u[l],y=u[l+1];m==="style"?ca(i,y):m==="dangerouslySetInnerHTML"?ua(i,y):m==="children"?er(i,y):Pl(i,m,y,c)}switch(o){case"input":Ls(i,s);break;case"textarea":la(i,s);break;case"select":var p=i._wrapperState.wasMultiple;i._wrapperState.wasMultiple=!!s.multiple;var w=s.value;w!=null?fn(i,!!s.multiple,w,!1):p!==!!s.multiple&&(s.defaultValue!=null?fn(i,!!s.multiple,s.defaultValue,!0):fn(i,!!s.multiple,s.multiple?[]:"",!1))}i[ar]=s}catch(S){Y(e,e.return,S)}}break;case 6:if(Fe(t,e),Ye(e),r&4){if(e.stateNode===null)throw Error(g(162));i=e.stateNode,s=e.memoizedProps;try{i.nodeValue=s}catch(S){Y(e,e.return,S)}}break;case 3:if(Fe(t,e),Ye(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{ir(t.containerInfo)}catch(S){Y(e,e.return,S)}break;case 4:Fe(t,e),Ye(e);break;case 13:Fe(t,e),Ye(e),i=e.child,i.flags&8192&&(s=i.memoizedState!==null,i.stateNode.isHidden=s,!s||i.alternate!==null&&i.alternate.memoizedState!==null||(uo=J())),r&4&&_u(e);break;case 22:if(m=n!==null&&n.memoizedState!==null,e.mode&1?(ae=(c=ae)||m,Fe(t,e),ae=c):Fe(t,e),Ye(e),r&8192){if(c=e.memoizedState!==null,(e.stateNode.isHidden=c)&&!m&&e.mode&1)for(N=e,m=e.child;m!==null;){for(y=N=m;N!==null;){switch(p=N,w=p.child,p.tag){case 0:case 11:case 14:case 15:Jn(4,p,p.return);break;case 1:an(p,p.return);var k=p.stateNode;if(typeof k.componentWillUnmount=="function"){r=p,n=p.return;try{t=r,k.props=t.memoizedProps,k.state=t.memoizedState,k.componentWillUnmount()}catch(S){Y(r,n,S)}}break;case 5:an(p,p.return);break;case 22:if(p.memoizedState!==null){Eu(y);continue}}w!==null?(w.return=p,N=w):Eu(y)}m=m.sibling}e:for(m=null,y=e;;){if(y.tag===5){if(m===null){m=y;try{i=y.stateNode,c?(s=i.style,typeof s.setProperty=="function"?s.setProperty("display","none","important"):s.display="none"):(o=y.stateNode,u=y.memoizedProps.style,l=u!=null&&u.hasOwnProperty("display")?u.display:null,o.style.display=aa("display",l))}catch(S){Y(e,e.return,S)}}}else if(y.tag===6){if(m===null)try{y.stateNode.nodeValue=c?"":y.memoizedProps}catch(S){Y(e,e.return,S)}}else if((y.tag!==22&&y.tag!==23||y.memoizedState===null||y===e)&&y.child!==null){y.child.return=y,y=y.child;continue}if(y===e)break e;for(;y.sibling===null;){if(y.return===null||y.return===e)break e;m===y&&(m=null),y=y.return}m===y&&(m=null),y.sibling.return=y.return,y=y.sibling}}break;case 19:Fe(t,e),Ye(e),r&4&&_u(e);break;case 21:break;default:Fe(t,e),Ye(e)}}function Ye(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(Ac(n)){var r=n;break e}n=n.return}throw Error(g(160))}switch(r.tag){case 5:var i=r.stateNode;r.flags&32&&(er(i,""),r.flags&=-33);var s=xu(e);fl(e,s,i);break;case 3:case 4:var l=r.stateNode.containerInfo,o=xu(e);cl(e,o,l);break;default:throw Error(g(161))}}catch(u){Y(e,e.return,u)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function Th(e,t,n){N=e,Bc(e)}function Bc(e,t,n){for(var r=(e.mode&1)!==0;N!==null;){var i=N,s=i.child;if(i.tag===22&&r){var l=i.memoizedState!==null||Fr;if(!l){var o=i.alternate,u=o!==null&&o.memoizedState!==null||ae;o=Fr;var c=ae;if(Fr=l,(ae=u)&&!c)for(N=i;N!==null;)l=N,u=l.child,l.tag===22&&l.memoizedState!==null?Cu(i):u!==null?(u.return=l,N=u):Cu(i);for(;s!==null;)N=s,Bc(s),s=s.sibling;N=i,Fr=o,ae=c}Nu(e)}else i.subtreeFlags&8772&&s!==null?(s.return=i,N=s):Nu(e)}}function Nu(e){for(;N!==null;){var t=N;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:ae||Ui(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!ae)if(n===null)r.componentDidMount();else{var i=t.elementType===t.type?n.memoizedProps:Ue(t.type,n.memoizedProps);r.componentDidUpdate(i,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var s=t.updateQueue;s!==null&&uu(t,s,r);break;case 3:var l=t.updateQueue;if(l!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}uu(t,l,n)}break;case 5:var o=t.stateNode;if(n===null&&t.flags&4){n=o;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&n.focus();break;case"img":u.src&&(n.src=u.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var c=t.alternate;if(c!==null){var m=c.memoizedState;if(m!==null){var y=m.dehydrated;y!==null&&ir(y)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(g(163))}ae||t.flags&512&&al(t)}catch(p){Y(t,t.return,p)}}if(t===e){N=null;break}if(n=t.sibling,n!==null){n.return=t.return,N=n;break}N=t.return}}function Eu(e){for(;N!==null;){var t=N;if(t===e){N=null;break}var n=t.sibling;if(n!==null){n.return=t.return,N=n;break}N=t.return}}function Cu(e){for(;N!==null;){var t=N;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{Ui(4,t)}catch(u){Y(t,n,u)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var i=t.return;try{r.componentDidMount()}catch(u){Y(t,i,u)}}var s=t.return;try{al(t)}catch(u){Y(t,s,u)}break;case 5:var l=t.return;try{al(t)}catch(u){Y(t,l,u)}}}catch(u){Y(t,t.return,u)}if(t===e){N=null;break}var o=t.sibling;if(o!==null){o.return=t.return,N=o;break}N=t.return}}var Ph=Math.ceil,Ei=ft.ReactCurrentDispatcher,lo=ft.ReactCurrentOwner,Ie=ft.ReactCurrentBatchConfig,I=0,re=null,G=null,se=0,Ee=0,cn=Ot(0),ee=0,mr=null,Ht=0,Vi=0,oo=0,Gn=null,ve=null,uo=0,_n=1/0,nt=null,Ci=!1,dl=null,Et=null,Ur=!1,wt=null,ji=0,Zn=0,hl=null,br=-1,ei=0;function de(){return I&6?J():br!==-1?br:br=J()}function Ct(e){return e.mode&1?I&2&&se!==0?se&-se:dh.transition!==null?(ei===0&&(ei=xa()),ei):(e=M,e!==0||(e=window.event,e=e===void 0?16:Pa(e.type)),e):1}function Qe(e,t,n,r){if(50<Zn)throw Zn=0,hl=null,Error(g(185));vr(e,n,r),(!(I&2)||e!==re)&&(e===re&&(!(I&2)&&(Vi|=n),ee===4&&vt(e,se)),Se(e,r),n===1&&I===0&&!(t.mode&1)&&(_n=J()+500,Mi&&zt()))}function Se(e,t){var n=e.callbackNode;dd(e,t);var r=ci(e,e===re?se:0);if(r===0)n!==null&&Ao(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Ao(n),t===1)e.tag===0?fh(ju.bind(null,e)):Ya(ju.bind(null,e)),oh(function(){!(I&6)&&zt()}),n=null;else{switch(_a(r)){case 1:n=Dl;break;case 4:n=ka;break;case 16:n=ai;break;case 536870912:n=Sa;break;default:n=ai}n=Kc(n,Fc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function Fc(e,t){if(br=-1,ei=0,I&6)throw Error(g(327));var n=e.callbackNode;if(yn()&&e.callbackNode!==n)return null;var r=ci(e,e===re?se:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=Ti(e,r);else{t=r;var i=I;I|=2;var s=Vc();(re!==e||se!==t)&&(nt=null,_n=J()+500,Ft(e,t));do try{Oh();break}catch(o){Uc(e,o)}while(!0);ql(),Ei.current=s,I=i,G!==null?t=0:(re=null,se=0,t=ee)}if(t!==0){if(t===2&&(i=Us(e),i!==0&&(r=i,t=pl(e,i))),t===1)throw n=mr,Ft(e,0),vt(e,r),Se(e,J()),n;if(t===6)vt(e,r);else{if(i=e.current.alternate,!(r&30)&&!Lh(i)&&(t=Ti(e,r),t===2&&(s=Us(e),s!==0&&(r=s,t=pl(e,s))),t===1))throw n=mr,Ft(e,0),vt(e,r),Se(e,J()),n;switch(e.finishedWork=i,e.finishedLanes=r,t){case 0:case 1:throw Error(g(345));case 2:At(e,ve,nt);break;case 3:if(vt(e,r),(r&130023424)===r&&(t=uo+500-J(),10<t)){if(ci(e,0)!==0)break;if(i=e.suspendedLanes,(i&r)!==r){de(),e.pingedLanes|=e.suspendedLanes&i;break}e.timeoutHandle=Ys(At.bind(null,e,ve,nt),t);break}At(e,ve,nt);break;case 4:if(vt(e,r),(r&4194240)===r)break;for(t=e.eventTimes,i=-1;0<r;){var l=31-He(r);s=1<<l,l=t[l],l>i&&(i=l),r&=~s}if(r=i,r=J()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Ph(r/1960))-r,10<r){e.timeoutHandle=Ys(At.bind(null,e,ve,nt),r);break}At(e,ve,nt);break;case 5:At(e,ve,nt);break;default:throw Error(g(329))}}}return Se(e,J()),e.callbackNode===n?Fc.bind(null,e):null}function pl(e,t){var n=Gn;return e.current.memoizedState.isDehydrated&&(Ft(e,t).flags|=256),e=Ti(e,t),e!==2&&(t=ve,ve=n,t!==null&&ml(t)),e}function ml(e){ve===null?ve=e:ve.push.apply(ve,e)}function Lh(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var i=n[r],s=i.getSnapshot;i=i.value;try{if(!Ke(s(),i))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function vt(e,t){for(t&=~oo,t&=~Vi,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-He(t),r=1<<n;e[n]=-1,t&=~r}}function ju(e){if(I&6)throw Error(g(327));yn();var t=ci(e,0);if(!(t&1))return Se(e,J()),null;var n=Ti(e,t);if(e.tag!==0&&n===2){var r=Us(e);r!==0&&(t=r,n=pl(e,r))}if(n===1)throw n=mr,Ft(e,0),vt(e,t),Se(e,J()),n;if(n===6)throw Error(g(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,At(e,ve,nt),Se(e,J()),null}function ao(e,t){var n=I;I|=1;try{return e(t)}finally{I=n,I===0&&(_n=J()+500,Mi&&zt())}}function Qt(e){wt!==null&&wt.tag===0&&!(I&6)&&yn();var t=I;I|=1;var n=Ie.transition,r=M;try{if(Ie.transition=null,M=1,e)return e()}finally{M=r,Ie.transition=n,I=t,!(I&6)&&zt()}}function co(){Ee=cn.current,V(cn)}function Ft(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,lh(n)),G!==null)for(n=G.return;n!==null;){var r=n;switch(Hl(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&mi();break;case 3:Sn(),V(we),V(ce),bl();break;case 5:Zl(r);break;case 4:Sn();break;case 13:V(Q);break;case 19:V(Q);break;case 10:Yl(r.type._context);break;case 22:case 23:co()}n=n.return}if(re=e,G=e=jt(e.current,null),se=Ee=t,ee=0,mr=null,oo=Vi=Ht=0,ve=Gn=null,Mt!==null){for(t=0;t<Mt.length;t++)if(n=Mt[t],r=n.interleaved,r!==null){n.interleaved=null;var i=r.next,s=n.pending;if(s!==null){var l=s.next;s.next=i,r.next=l}n.pending=r}Mt=null}return e}function Uc(e,t){do{var n=G;try{if(ql(),Jr.current=Ni,_i){for(var r=K.memoizedState;r!==null;){var i=r.queue;i!==null&&(i.pending=null),r=r.next}_i=!1}if(Wt=0,ne=b=K=null,Xn=!1,dr=0,lo.current=null,n===null||n.return===null){ee=1,mr=t,G=null;break}e:{var s=e,l=n.return,o=n,u=t;if(t=se,o.flags|=32768,u!==null&&typeof u=="object"&&typeof u.then=="function"){var c=u,m=o,y=m.tag;if(!(m.mode&1)&&(y===0||y===11||y===15)){var p=m.alternate;p?(m.updateQueue=p.updateQueue,m.memoizedState=p.memoizedState,m.lanes=p.lanes):(m.updateQueue=null,m.memoizedState=null)}var w=pu(l);if(w!==null){w.flags&=-257,mu(w,l,o,s,t),w.mode&1&&hu(s,c,t),t=w,u=c;var k=t.updateQueue;if(k===null){var S=new Set;S.add(u),t.updateQueue=S}else k.add(u);break e}else{if(!(t&1)){hu(s,c,t),fo();break e}u=Error(g(426))}}else if(W&&o.mode&1){var B=pu(l);if(B!==null){!(B.flags&65536)&&(B.flags|=256),mu(B,l,o,s,t),Ql(xn(u,o));break e}}s=u=xn(u,o),ee!==4&&(ee=2),Gn===null?Gn=[s]:Gn.push(s),s=l;do{switch(s.tag){case 3:s.flags|=65536,t&=-t,s.lanes|=t;var h=_c(s,u,t);ou(s,h);break e;case 1:o=u;var f=s.type,d=s.stateNode;if(!(s.flags&128)&&(typeof f.getDerivedStateFromError=="function"||d!==null&&typeof d.componentDidCatch=="function"&&(Et===null||!Et.has(d)))){s.flags|=65536,t&=-t,s.lanes|=t;var v=Nc(s,o,t);ou(s,v);break e}}s=s.return}while(s!==null)}Wc(n)}catch(x){t=x,G===n&&n!==null&&(G=n=n.return);continue}break}while(!0)}function Vc(){var e=Ei.current;return Ei.current=Ni,e===null?Ni:e}function fo(){(ee===0||ee===3||ee===2)&&(ee=4),re===null||!(Ht&268435455)&&!(Vi&268435455)||vt(re,se)}function Ti(e,t){var n=I;I|=2;var r=Vc();(re!==e||se!==t)&&(nt=null,Ft(e,t));do try{Rh();break}catch(i){Uc(e,i)}while(!0);if(ql(),I=n,Ei.current=r,G!==null)throw Error(g(261));return re=null,se=0,ee}function Rh(){for(;G!==null;)$c(G)}function Oh(){for(;G!==null&&!rd();)$c(G)}function $c(e){var t=Qc(e.alternate,e,Ee);e.memoizedProps=e.pendingProps,t===null?Wc(e):G=t,lo.current=null}function Wc(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=Eh(n,t),n!==null){n.flags&=32767,G=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{ee=6,G=null;return}}else if(n=Nh(n,t,Ee),n!==null){G=n;return}if(t=t.sibling,t!==null){G=t;return}G=t=e}while(t!==null);ee===0&&(ee=5)}function At(e,t,n){var r=M,i=Ie.transition;try{Ie.transition=null,M=1,zh(e,t,n,r)}finally{Ie.transition=i,M=r}return null}function zh(e,t,n,r){do yn();while(wt!==null);if(I&6)throw Error(g(327));n=e.finishedWork;var i=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(g(177));e.callbackNode=null,e.callbackPriority=0;var s=n.lanes|n.childLanes;if(hd(e,s),e===re&&(G=re=null,se=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||Ur||(Ur=!0,Kc(ai,function(){return yn(),null})),s=(n.flags&15990)!==0,n.subtreeFlags&15990||s){s=Ie.transition,Ie.transition=null;var l=M;M=1;var o=I;I|=4,lo.current=null,jh(e,n),Mc(n,e),bd(Ks),fi=!!Qs,Ks=Qs=null,e.current=n,Th(n),id(),I=o,M=l,Ie.transition=s}else e.current=n;if(Ur&&(Ur=!1,wt=e,ji=i),s=e.pendingLanes,s===0&&(Et=null),od(n.stateNode),Se(e,J()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)i=t[n],r(i.value,{componentStack:i.stack,digest:i.digest});if(Ci)throw Ci=!1,e=dl,dl=null,e;return ji&1&&e.tag!==0&&yn(),s=e.pendingLanes,s&1?e===hl?Zn++:(Zn=0,hl=e):Zn=0,zt(),null}function yn(){if(wt!==null){var e=_a(ji),t=Ie.transition,n=M;try{if(Ie.transition=null,M=16>e?16:e,wt===null)var r=!1;else{if(e=wt,wt=null,ji=0,I&6)throw Error(g(331));var i=I;for(I|=4,N=e.current;N!==null;){var s=N,l=s.child;if(N.flags&16){var o=s.deletions;if(o!==null){for(var u=0;u<o.length;u++){var c=o[u];for(N=c;N!==null;){var m=N;switch(m.tag){case 0:case 11:case 15:Jn(8,m,s)}var y=m.child;if(y!==null)y.return=m,N=y;else for(;N!==null;){m=N;var p=m.sibling,w=m.return;if(Dc(m),m===c){N=null;break}if(p!==null){p.return=w,N=p;break}N=w}}}var k=s.alternate;if(k!==null){var S=k.child;if(S!==null){k.child=null;do{var B=S.sibling;S.sibling=null,S=B}while(S!==null)}}N=s}}if(s.subtreeFlags&2064&&l!==null)l.return=s,N=l;else e:for(;N!==null;){if(s=N,s.flags&2048)switch(s.tag){case 0:case 11:case 15:Jn(9,s,s.return)}var h=s.sibling;if(h!==null){h.return=s.return,N=h;break e}N=s.return}}var f=e.current;for(N=f;N!==null;){l=N;var d=l.child;if(l.subtreeFlags&2064&&d!==null)d.return=l,N=d;else e:for(l=f;N!==null;){if(o=N,o.flags&2048)try{switch(o.tag){case 0:case 11:case 15:Ui(9,o)}}catch(x){Y(o,o.return,x)}if(o===l){N=null;break e}var v=o.sibling;if(v!==null){v.return=o.return,N=v;break e}N=o.return}}if(I=i,zt(),Ge&&typeof Ge.onPostCommitFiberRoot=="function")try{Ge.onPostCommitFiberRoot(Oi,e)}catch{}r=!0}return r}finally{M=n,Ie.transition=t}}return!1}function Tu(e,t,n){t=xn(n,t),t=_c(e,t,1),e=Nt(e,t,1),t=de(),e!==null&&(vr(e,1,t),Se(e,t))}function Y(e,t,n){if(e.tag===3)Tu(e,e,n);else for(;t!==null;){if(t.tag===3){Tu(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(Et===null||!Et.has(r))){e=xn(n,e),e=Nc(t,e,1),t=Nt(t,e,1),e=de(),t!==null&&(vr(t,1,e),Se(t,e));break}}t=t.return}}function Dh(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=de(),e.pingedLanes|=e.suspendedLanes&n,re===e&&(se&n)===n&&(ee===4||ee===3&&(se&130023424)===se&&500>J()-uo?Ft(e,0):oo|=n),Se(e,t)}function Hc(e,t){t===0&&(e.mode&1?(t=Lr,Lr<<=1,!(Lr&130023424)&&(Lr=4194304)):t=1);var n=de();e=at(e,t),e!==null&&(vr(e,t,n),Se(e,n))}function Ah(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),Hc(e,n)}function Ih(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,i=e.memoizedState;i!==null&&(n=i.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(g(314))}r!==null&&r.delete(t),Hc(e,n)}var Qc;Qc=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||we.current)ge=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return ge=!1,_h(e,t,n);ge=!!(e.flags&131072)}else ge=!1,W&&t.flags&1048576&&Xa(t,gi,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Zr(e,t),e=t.pendingProps;var i=gn(t,ce.current);mn(t,n),i=to(null,t,r,e,i,n);var s=no();return t.flags|=1,typeof i=="object"&&i!==null&&typeof i.render=="function"&&i.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,ke(r)?(s=!0,yi(t)):s=!1,t.memoizedState=i.state!==null&&i.state!==void 0?i.state:null,Jl(t),i.updater=Fi,t.stateNode=i,i._reactInternals=t,tl(t,r,e,n),t=il(null,t,r,!0,s,n)):(t.tag=0,W&&s&&Wl(t),fe(null,t,i,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Zr(e,t),e=t.pendingProps,i=r._init,r=i(r._payload),t.type=r,i=t.tag=Bh(r),e=Ue(r,e),i){case 0:t=rl(null,t,r,e,n);break e;case 1:t=gu(null,t,r,e,n);break e;case 11:t=yu(null,t,r,e,n);break e;case 14:t=vu(null,t,r,Ue(r.type,e),n);break e}throw Error(g(306,r,""))}return t;case 0:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),rl(e,t,r,i,n);case 1:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),gu(e,t,r,i,n);case 3:e:{if(Tc(t),e===null)throw Error(g(387));r=t.pendingProps,s=t.memoizedState,i=s.element,tc(e,t),Si(t,r,null,n);var l=t.memoizedState;if(r=l.element,s.isDehydrated)if(s={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=s,t.memoizedState=s,t.flags&256){i=xn(Error(g(423)),t),t=wu(e,t,r,n,i);break e}else if(r!==i){i=xn(Error(g(424)),t),t=wu(e,t,r,n,i);break e}else for(Ce=_t(t.stateNode.containerInfo.firstChild),je=t,W=!0,We=null,n=ba(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(wn(),r===i){t=ct(e,t,n);break e}fe(e,t,r,n)}t=t.child}return t;case 5:return nc(t),e===null&&Zs(t),r=t.type,i=t.pendingProps,s=e!==null?e.memoizedProps:null,l=i.children,qs(r,i)?l=null:s!==null&&qs(r,s)&&(t.flags|=32),jc(e,t),fe(e,t,l,n),t.child;case 6:return e===null&&Zs(t),null;case 13:return Pc(e,t,n);case 4:return Gl(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=kn(t,null,r,n):fe(e,t,r,n),t.child;case 11:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),yu(e,t,r,i,n);case 7:return fe(e,t,t.pendingProps,n),t.child;case 8:return fe(e,t,t.pendingProps.children,n),t.child;case 12:return fe(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,i=t.pendingProps,s=t.memoizedProps,l=i.value,F(wi,r._currentValue),r._currentValue=l,s!==null)if(Ke(s.value,l)){if(s.children===i.children&&!we.current){t=ct(e,t,n);break e}}else for(s=t.child,s!==null&&(s.return=t);s!==null;){var o=s.dependencies;if(o!==null){l=s.child;for(var u=o.firstContext;u!==null;){if(u.context===r){if(s.tag===1){u=lt(-1,n&-n),u.tag=2;var c=s.updateQueue;if(c!==null){c=c.shared;var m=c.pending;m===null?u.next=u:(u.next=m.next,m.next=u),c.pending=u}}s.lanes|=n,u=s.alternate,u!==null&&(u.lanes|=n),bs(s.return,n,t),o.lanes|=n;break}u=u.next}}else if(s.tag===10)l=s.type===t.type?null:s.child;else if(s.tag===18){if(l=s.return,l===null)throw Error(g(341));l.lanes|=n,o=l.alternate,o!==null&&(o.lanes|=n),bs(l,n,t),l=s.sibling}else l=s.child;if(l!==null)l.return=s;else for(l=s;l!==null;){if(l===t){l=null;break}if(s=l.sibling,s!==null){s.return=l.return,l=s;break}l=l.return}s=l}fe(e,t,i.children,n),t=t.child}return t;case 9:return i=t.type,r=t.pendingProps.children,mn(t,n),i=Me(i),r=r(i),t.flags|=1,fe(e,t,r,n),t.child;case 14:return r=t.type,i=Ue(r,t.pendingProps),i=Ue(r.type,i),vu(e,t,r,i,n);case 15:return Ec(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),Zr(e,t),t.tag=1,ke(r)?(e=!0,yi(t)):e=!1,mn(t,n),xc(t,r,i),tl(t,r,i,n),il(null,t,r,!0,e,n);case 19:return Lc(e,t,n);case 22:return Cc(e,t,n)}throw Error(g(156,t.tag))};function Kc(e,t){return wa(e,t)}function Mh(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ae(e,t,n,r){return new Mh(e,t,n,r)}function ho(e){return e=e.prototype,!(!e||!e.isReactComponent)}function Bh(e){if(typeof e=="function")return ho(e)?1:0;if(e!=null){if(e=e.$$typeof,e===Rl)return 11;if(e===Ol)return 14}return 2}function jt(e,t){var n=e.alternate;return n===null?(n=Ae(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function ti(e,t,n,r,i,s){var l=2;if(r=e,typeof e=="function")ho(e)&&(l=1);else if(typeof e=="string")l=5;else e:switch(e){case bt:return Ut(n.children,i,s,t);case Ll:l=8,i|=8;break;case Es:return e=Ae(12,n,t,i|2),e.elementType=Es,e.lanes=s,e;case Cs:return e=Ae(13,n,t,i),e.elementType=Cs,e.lanes=s,e;case js:return e=Ae(19,n,t,i),e.elementType=js,e.lanes=s,e;case na:return $i(n,i,s,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case ea:l=10;break e;case ta:l=9;break e;case Rl:l=11;break e;case Ol:l=14;break e;case pt:l=16,r=null;break e}throw Error(g(130,e==null?e:typeof e,""))}return t=Ae(l,n,t,i),t.elementType=e,t.type=r,t.lanes=s,t}function Ut(e,t,n,r){return e=Ae(7,e,r,t),e.lanes=n,e}function $i(e,t,n,r){return e=Ae(22,e,r,t),e.elementType=na,e.lanes=n,e.stateNode={isHidden:!1},e}function ws(e,t,n){return e=Ae(6,e,null,t),e.lanes=n,e}function ks(e,t,n){return t=Ae(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Fh(e,t,n,r,i){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=es(0),this.expirationTimes=es(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=es(0),this.identifierPrefix=r,this.onRecoverableError=i,this.mutableSourceEagerHydrationData=null}function po(e,t,n,r,i,s,l,o,u){return e=new Fh(e,t,n,o,u),t===1?(t=1,s===!0&&(t|=8)):t=0,s=Ae(3,null,null,t),e.current=s,s.stateNode=e,s.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Jl(s),e}function Uh(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:Zt,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function qc(e){if(!e)return Lt;e=e._reactInternals;e:{if(qt(e)!==e||e.tag!==1)throw Error(g(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(ke(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(g(171))}if(e.tag===1){var n=e.type;if(ke(n))return qa(e,n,t)}return t}function Yc(e,t,n,r,i,s,l,o,u){return e=po(n,r,!0,e,i,s,l,o,u),e.context=qc(null),n=e.current,r=de(),i=Ct(n),s=lt(r,i),s.callback=t??null,Nt(n,s,i),e.current.lanes=i,vr(e,i,r),Se(e,r),e}function Wi(e,t,n,r){var i=t.current,s=de(),l=Ct(i);return n=qc(n),t.context===null?t.context=n:t.pendingContext=n,t=lt(s,l),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=Nt(i,t,l),e!==null&&(Qe(e,i,l,s),Xr(e,i,l)),l}function Pi(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function Pu(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function mo(e,t){Pu(e,t),(e=e.alternate)&&Pu(e,t)}function Vh(){return null}var Xc=typeof reportError=="function"?reportError:function(e){console.error(e)};function yo(e){this._internalRoot=e}Hi.prototype.render=yo.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(g(409));Wi(e,t,null,null)};Hi.prototype.unmount=yo.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;Qt(function(){Wi(null,e,null,null)}),t[ut]=null}};function Hi(e){this._internalRoot=e}Hi.prototype.unstable_scheduleHydration=function(e){if(e){var t=Ca();e={blockedOn:null,target:e,priority:t};for(var n=0;n<yt.length&&t!==0&&t<yt[n].priority;n++);yt.splice(n,0,e),n===0&&Ta(e)}};function vo(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function Qi(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function Lu(){}function $h(e,t,n,r,i){if(i){if(typeof r=="function"){var s=r;r=function(){var c=Pi(l);s.call(c)}}var l=Yc(t,r,e,0,null,!1,!1,"",Lu);return e._reactRootContainer=l,e[ut]=l.current,or(e.nodeType===8?e.parentNode:e),Qt(),l}for(;i=e.lastChild;)e.removeChild(i);if(typeof r=="function"){var o=r;r=function(){var c=Pi(u);o.call(c)}}var u=po(e,0,!1,null,null,!1,!1,"",Lu);return e._reactRootContainer=u,e[ut]=u.current,or(e.nodeType===8?e.parentNode:e),Qt(function(){Wi(t,u,n,r)}),u}function Ki(e,t,n,r,i){var s=n._reactRootContainer;if(s){var l=s;if(typeof i=="function"){var o=i;i=function(){var u=Pi(l);o.call(u)}}Wi(t,l,e,i)}else l=$h(n,t,e,i,r);return Pi(l)}Na=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=Vn(t.pendingLanes);n!==0&&(Al(t,n|1),Se(t,J()),!(I&6)&&(_n=J()+500,zt()))}break;case 13:Qt(function(){var r=at(e,1);if(r!==null){var i=de();Qe(r,e,1,i)}}),mo(e,1)}};Il=function(e){if(e.tag===13){var t=at(e,134217728);if(t!==null){var n=de();Qe(t,e,134217728,n)}mo(e,134217728)}};Ea=function(e){if(e.tag===13){var t=Ct(e),n=at(e,t);if(n!==null){var r=de();Qe(n,e,t,r)}mo(e,t)}};Ca=function(){return M};ja=function(e,t){var n=M;try{return M=e,t()}finally{M=n}};Ms=function(e,t,n){switch(t){case"input":if(Ls(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var i=Ii(r);if(!i)throw Error(g(90));ia(r),Ls(r,i)}}}break;case"textarea":la(e,n);break;case"select":t=n.value,t!=null&&fn(e,!!n.multiple,t,!1)}};ha=ao;pa=Qt;var Wh={usingClientEntryPoint:!1,Events:[wr,rn,Ii,fa,da,ao]},Mn={findFiberByHostInstance:It,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},Hh={bundleType:Mn.bundleType,version:Mn.version,rendererPackageName:Mn.rendererPackageName,rendererConfig:Mn.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:ft.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=va(e),e===null?null:e.stateNode},findFiberByHostInstance:Mn.findFiberByHostInstance||Vh,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var Vr=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Vr.isDisabled&&Vr.supportsFiber)try{Oi=Vr.inject(Hh),Ge=Vr}catch{}}Pe.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Wh;Pe.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!vo(t))throw Error(g(200));return Uh(e,t,null,n)};Pe.createRoot=function(e,t){if(!vo(e))throw Error(g(299));var n=!1,r="",i=Xc;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(i=t.onRecoverableError)),t=po(e,1,!1,null,null,n,!1,r,i),e[ut]=t.current,or(e.nodeType===8?e.parentNode:e),new yo(t)};Pe.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(g(188)):(e=Object.keys(e).join(","),Error(g(268,e)));return e=va(t),e=e===null?null:e.stateNode,e};Pe.flushSync=function(e){return Qt(e)};Pe.hydrate=function(e,t,n){if(!Qi(t))throw Error(g(200));return Ki(null,e,t,!0,n)};Pe.hydrateRoot=function(e,t,n){if(!vo(e))throw Error(g(405));var r=n!=null&&n.hydratedSources||null,i=!1,s="",l=Xc;if(n!=null&&(n.unstable_strictMode===!0&&(i=!0),n.identifierPrefix!==void 0&&(s=n.identifierPrefix),n.onRecoverableError!==void 0&&(l=n.onRecoverableError)),t=Yc(t,null,e,1,n??null,i,!1,s,l),e[ut]=t.current,or(e),r)for(e=0;e<r.length;e++)n=r[e],i=n._getVersion,i=i(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,i]:t.mutableSourceEagerHydrationData.push(n,i);return new Hi(t)};Pe.render=function(e,t,n){if(!Qi(t))throw Error(g(200));return Ki(null,e,t,!1,n)};Pe.unmountComponentAtNode=function(e){if(!Qi(e))throw Error(g(40));return e._reactRootContainer?(Qt(function(){Ki(null,null,e,!1,function(){e._reactRootContainer=null,e[ut]=null})}),!0):!1};Pe.unstable_batchedUpdates=ao;Pe.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Qi(n))throw Error(g(200));if(e==null||e._reactInternals===void 0)throw Error(g(38));return Ki(e,t,n,!1,r)};Pe.version="18.3.1-next-f1338f8080-20240426";function Jc(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(Jc)}catch(e){console.error(e)}}Jc(),Ju.exports=Pe;var Qh=Ju.exports,Gc,Ru=Qh;Gc=Ru.createRoot,Ru.hydrateRoot;const et=Object.create(null);et.open="0";et.close="1";et.ping="2";et.pong="3";et.message="4";et.upgrade="5";et.noop="6";const ni=Object.create(null);Object.keys(et).forEach(e=>{ni[et[e]]=e});const yl={type:"error",data:"parser error"},Zc=typeof Blob=="function"||typeof Blob<"u"&&Object.prototype.toString.call(Blob)==="[object BlobConstructor]",bc=typeof ArrayBuffer=="function",ef=e=>typeof ArrayBuffer.isView=="function"?ArrayBuffer.isView(e):e&&e.buffer instanceof ArrayBuffer,go=({type:e,data:t},n,r)=>Zc&&t instanceof Blob?n?r(t):Ou(t,r):bc&&(t instanceof ArrayBuffer||ef(t))?n?r(t):Ou(new Blob([t]),r):r(et[e]+(t||"")),Ou=(e,t)=>{const n=new FileReader;return n.onload=function(){const r=n.result.split(",")[1];t("b"+(r||""))},n.readAsDataURL(e)};function zu(e){return e instanceof Uint8Array?e:e instanceof ArrayBuffer?new Uint8Array(e):new Uint8Array(e.buffer,e.byteOffset,e.byteLength)}let Ss;function Kh(e,t){if(Zc&&e.data instanceof Blob)return e.data.arrayBuffer().then(zu).then(t);if(bc&&(e.data instanceof ArrayBuffer||ef(e.data)))return t(zu(e.data));go(e,!1,n=>{Ss||(Ss=new TextEncoder),t(Ss.encode(n))})}const Du="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",Wn=typeof Uint8Array>"u"?[]:new Uint8Array(256);for(let e=0;e<Du.length;e++)Wn[Du.charCodeAt(e)]=e;const qh=e=>{let t=e.length*.75,n=e.length,r,i=0,s,l,o,u;e[e.length-1]==="="&&(t--,e[e.length-2]==="="&&t--);const c=new ArrayBuffer(t),m=new Uint8Array(c);for(r=0;r<n;r+=4)s=Wn[e.charCodeAt(r)],l=Wn[e.charCodeAt(r+1)],o=Wn[e.charCodeAt(r+2)],u=Wn[e.charCodeAt(r+3)],m[i++]=s<<2|l>>4,m[i++]=(l&15)<<4|o>>2,m[i++]=(o&3)<<6|u&63;return c},Yh=typeof ArrayBuffer=="function",wo=(e,t)=>{if(typeof e!="string")return{type:"message",data:tf(e,t)};const n=e.charAt(0);return n==="b"?{type:"message",data:Xh(e.substring(1),t)}:ni[n]?e.length>1?{type:ni[n],data:e.substring(1)}:{type:ni[n]}:yl},Xh=(e,t)=>{if(Yh){const n=qh(e);return tf(n,t)}else return{base64:!0,data:e}},tf=(e,t)=>{switch(t){case"blob":return e instanceof Blob?e:new Blob([e]);case"arraybuffer":default:return e instanceof ArrayBuffer?e:e.buffer}},nf="",Jh=(e,t)=>{const n=e.length,r=new Array(n);let i=0;e.forEach((s,l)=>{go(s,!1,o=>{r[l]=o,++i===n&&t(r.join(nf))})})},Gh=(e,t)=>{const n=e.split(nf),r=[];for(let i=0;i<n.length;i++){const s=wo(n[i],t);if(r.push(s),s.type==="error")break}return r};function Zh(){return new TransformStream({transform(e,t){Kh(e,n=>{const r=n.length;let i;if(r<126)i=new Uint8Array(1),new DataView(i.buffer).setUint8(0,r);else if(r<65536){i=new Uint8Array(3);const s=new DataView(i.buffer);s.setUint8(0,126),s.setUint16(1,r)}else{i=new Uint8Array(9);const s=new DataView(i.buffer);s.setUint8(0,127),s.setBigUint64(1,BigInt(r))}e.data&&typeof e.data!="string"&&(i[0]|=128),t.enqueue(i),t.enqueue(n)})}})}let xs;function $r(e){return e.reduce((t,n)=>t+n.length,0)}function Wr(e,t){if(e[0].length===t)return e.shift();const n=new Uint8Array(t);let r=0;for(let i=0;i<t;i++)n[i]=e[0][r++],r===e[0].length&&(e.shift(),r=0);return e.length&&r<e[0].length&&(e[0]=e[0].slice(r)),n}function bh(e,t){xs||(xs=new TextDecoder);const n=[];let r=0,i=-1,s=!1;return new TransformStream({transform(l,o){for(n.push(l);;){if(r===0){if($r(n)<1)break;const u=Wr(n,1);s=(u[0]&128)===128,i=u[0]&127,i<126?r=3:i===126?r=1:r=2}else if(r===1){if($r(n)<2)break;const u=Wr(n,2);i=new DataView(u.buffer,u.byteOffset,u.length).getUint16(0),r=3}else if(r===2){if($r(n)<8)break;const u=Wr(n,8),c=new DataView(u.buffer,u.byteOffset,u.length),m=c.getUint32(0);if(m>Math.pow(2,21)-1){o.enqueue(yl);break}i=m*Math.pow(2,32)+c.getUint32(4),r=3}else{if($r(n)<i)break;const u=Wr(n,i);o.enqueue(wo(s?u:xs.decode(u),t)),r=0}if(i===0||i>e){o.enqueue(yl);break}}}})}const rf=4;function Z(e){if(e)return ep(e)}function ep(e){for(var t in Z.prototype)e[t]=Z.prototype[t];return e}Z.prototype.on=Z.prototype.addEventListener=function(e,t){return this._callbacks=this._callbacks||{},(this._callbacks["$"+e]=this._callbacks["$"+e]||[]).push(t),this};Z.prototype.once=function(e,t){function n(){this.off(e,n),t.apply(this,arguments)}return n.fn=t,this.on(e,n),this};Z.prototype.off=Z.prototype.removeListener=Z.prototype.removeAllListeners=Z.prototype.removeEventListener=function(e,t){if(this._callbacks=this._callbacks||{},arguments.length==0)return this._callbacks={},this;var n=this._callbacks["$"+e];if(!n)return this;if(arguments.length==1)return delete this._callbacks["$"+e],this;for(var r,i=0;i<n.length;i++)if(r=n[i],r===t||r.fn===t){n.splice(i,1);break}return n.length===0&&delete this._callbacks["$"+e],this};Z.prototype.emit=function(e){this._callbacks=this._callbacks||{};for(var t=new Array(arguments.length-1),n=this._callbacks["$"+e],r=1;r<arguments.length;r++)t[r-1]=arguments[r];if(n){n=n.slice(0);for(var r=0,i=n.length;r<i;++r)n[r].apply(this,t)}return this};Z.prototype.emitReserved=Z.prototype.emit;Z.prototype.listeners=function(e){return this._callbacks=this._callbacks||{},this._callbacks["$"+e]||[]};Z.prototype.hasListeners=function(e){return!!this.listeners(e).length};const qi=typeof Promise=="function"&&typeof Promise.resolve=="function"?t=>Promise.resolve().then(t):(t,n)=>n(t,0),De=typeof self<"u"?self:typeof window<"u"?window:Function("return this")(),tp="arraybuffer";function sf(e,...t){return t.reduce((n,r)=>(e.hasOwnProperty(r)&&(n[r]=e[r]),n),{})}const np=De.setTimeout,rp=De.clearTimeout;function Yi(e,t){t.useNativeTimers?(e.setTimeoutFn=np.bind(De),e.clearTimeoutFn=rp.bind(De)):(e.setTimeoutFn=De.setTimeout.bind(De),e.clearTimeoutFn=De.clearTimeout.bind(De))}const ip=1.33;function sp(e){return typeof e=="string"?lp(e):Math.ceil((e.byteLength||e.size)*ip)}function lp(e){let t=0,n=0;for(let r=0,i=e.length;r<i;r++)t=e.charCodeAt(r),t<128?n+=1:t<2048?n+=2:t<55296||t>=57344?n+=3:(r++,n+=4);return n}function lf(){return Date.now().toString(36).substring(3)+Math.random().toString(36).substring(2,5)}function op(e){let t="";for(let n in e)e.hasOwnProperty(n)&&(t.length&&(t+="&"),t+=encodeURIComponent(n)+"="+encodeURIComponent(e[n]));return t}function up(e){let t={},n=e.split("&");for(let r=0,i=n.length;r<i;r++){let s=n[r].split("=");t[decodeURIComponent(s[0])]=decodeURIComponent(s[1])}return t}class ap extends Error{constructor(t,n,r){super(t),this.description=n,this.context=r,this.type="TransportError"}}class ko extends Z{constructor(t){super(),this.writable=!1,Yi(this,t),this.opts=t,this.query=t.query,this.socket=t.socket,this.supportsBinary=!t.forceBase64}onError(t,n,r){return super.emitReserved("error",new ap(t,n,r)),this}open(){return this.readyState="opening",this.doOpen(),this}close(){return(this.readyState==="opening"||this.readyState==="open")&&(this.doClose(),this.onClose()),this}send(t){this.readyState==="open"&&this.write(t)}onOpen(){this.readyState="open",this.writable=!0,super.emitReserved("open")}onData(t){const n=wo(t,this.socket.binaryType);this.onPacket(n)}onPacket(t){super.emitReserved("packet",t)}onClose(t){this.readyState="closed",super.emitReserved("close",t)}pause(t){}createUri(t,n={}){return t+"://"+this._hostname()+this._port()+this.opts.path+this._query(n)}_hostname(){const t=this.opts.hostname;return t.indexOf(":")===-1?t:"["+t+"]"}_port(){return this.opts.port&&(this.opts.secure&&+(this.opts.port!==443)||!this.opts.secure&&Number(this.opts.port)!==80)?":"+this.opts.port:""}_query(t){const n=op(t);return n.length?"?"+n:""}}class cp extends ko{constructor(){super(...arguments),this._polling=!1}get name(){return"polling"}doOpen(){this._poll()}pause(t){this.readyState="pausing";const n=()=>{this.readyState="paused",t()};if(this._polling||!this.writable){let r=0;this._polling&&(r++,this.once("pollComplete",function(){--r||n()})),this.writable||(r++,this.once("drain",function(){--r||n()}))}else n()}_poll(){this._polling=!0,this.doPoll(),this.emitReserved("poll")}onData(t){const n=r=>{if(this.readyState==="opening"&&r.type==="open"&&this.onOpen(),r.type==="close")return this.onClose({description:"transport closed by the server"}),!1;this.onPacket(r)};Gh(t,this.socket.binaryType).forEach(n),this.readyState!=="closed"&&(this._polling=!1,this.emitReserved("pollComplete"),this.readyState==="open"&&this._poll())}doClose(){const t=()=>{this.write([{type:"close"}])};this.readyState==="open"?t():this.once("open",t)}write(t){this.writable=!1,Jh(t,n=>{this.doWrite(n,()=>{this.writable=!0,this.emitReserved("drain")})})}uri(){const t=this.opts.secure?"https":"http",n=this.query||{};return this.opts.timestampRequests!==!1&&(n[this.opts.timestampParam]=lf()),!this.supportsBinary&&!n.sid&&(n.b64=1),this.createUri(t,n)}}let of=!1;try{of=typeof XMLHttpRequest<"u"&&"withCredentials"in new XMLHttpRequest}catch{}const fp=of;function dp(){}class hp extends cp{constructor(t){if(super(t),typeof location<"u"){const n=location.protocol==="https:";let r=location.port;r||(r=n?"443":"80"),this.xd=typeof location<"u"&&t.hostname!==location.hostname||r!==t.port}}doWrite(t,n){const r=this.request({method:"POST",data:t});r.on("success",n),r.on("error",(i,s)=>{this.onError("xhr post error",i,s)})}doPoll(){const t=this.request();t.on("data",this.onData.bind(this)),t.on("error",(n,r)=>{this.onError("xhr poll error",n,r)}),this.pollXhr=t}}class be extends Z{constructor(t,n,r){super(),this.createRequest=t,Yi(this,r),this._opts=r,this._method=r.method||"GET",this._uri=n,this._data=r.data!==void 0?r.data:null,this._create()}_create(){var t;const n=sf(this._opts,"agent","pfx","key","passphrase","cert","ca","ciphers","rejectUnauthorized","autoUnref");n.xdomain=!!this._opts.xd;const r=this._xhr=this.createRequest(n);try{r.open(this._method,this._uri,!0);try{if(this._opts.extraHeaders){r.setDisableHeaderCheck&&r.setDisableHeaderCheck(!0);for(let i in this._opts.extraHeaders)this._opts.extraHeaders.hasOwnProperty(i)&&r.setRequestHeader(i,this._opts.extraHeaders[i])}}catch{}if(this._method==="POST")try{r.setRequestHeader("Content-type","text/plain;charset=UTF-8")}catch{}try{r.setRequestHeader("Accept","*/*")}catch{}(t=this._opts.cookieJar)===null||t===void 0||t.addCookies(r),"withCredentials"in r&&(r.withCredentials=this._opts.withCredentials),this._opts.requestTimeout&&(r.timeout=this._opts.requestTimeout),r.onreadystatechange=()=>{var i;r.readyState===3&&((i=this._opts.cookieJar)===null||i===void 0||i.parseCookies(r.getResponseHeader("set-cookie"))),r.readyState===4&&(r.status===200||r.status===1223?this._onLoad():this.setTimeoutFn(()=>{this._onError(typeof r.status=="number"?r.status:0)},0))},r.send(this._data)}catch(i){this.setTimeoutFn(()=>{this._onError(i)},0);return}typeof document<"u"&&(this._index=be.requestsCount++,be.requests[this._index]=this)}_onError(t){this.emitReserved("error",t,this._xhr),this._cleanup(!0)}_cleanup(t){if(!(typeof this._xhr>"u"||this._xhr===null)){if(this._xhr.onreadystatechange=dp,t)try{this._xhr.abort()}catch{}typeof document<"u"&&delete be.requests[this._index],this._xhr=null}}_onLoad(){const t=this._xhr.responseText;t!==null&&(this.emitReserved("data",t),this.emitReserved("success"),this._cleanup())}abort(){this._cleanup()}}be.requestsCount=0;be.requests={};if(typeof document<"u"){if(typeof attachEvent=="function")attachEvent("onunload",Au);else if(typeof addEventListener=="function"){const e="onpagehide"in De?"pagehide":"unload";addEventListener(e,Au,!1)}}function Au(){for(let e in be.requests)be.requests.hasOwnProperty(e)&&be.requests[e].abort()}const pp=function(){const e=uf({xdomain:!1});return e&&e.responseType!==null}();class mp extends hp{constructor(t){super(t);const n=t&&t.forceBase64;this.supportsBinary=pp&&!n}request(t={}){return Object.assign(t,{xd:this.xd},this.opts),new be(uf,this.uri(),t)}}function uf(e){const t=e.xdomain;try{if(typeof XMLHttpRequest<"u"&&(!t||fp))return new XMLHttpRequest}catch{}if(!t)try{return new De[["Active"].concat("Object").join("X")]("Microsoft.XMLHTTP")}catch{}}const af=typeof navigator<"u"&&typeof navigator.product=="string"&&navigator.product.toLowerCase()==="reactnative";class yp extends ko{get name(){return"websocket"}doOpen(){const t=this.uri(),n=this.opts.protocols,r=af?{}:sf(this.opts,"agent","perMessageDeflate","pfx","key","passphrase","cert","ca","ciphers","rejectUnauthorized","localAddress","protocolVersion","origin","maxPayload","family","checkServerIdentity");this.opts.extraHeaders&&(r.headers=this.opts.extraHeaders);try{this.ws=this.createSocket(t,n,r)}catch(i){return this.emitReserved("error",i)}this.ws.binaryType=this.socket.binaryType,this.addEventListeners()}addEventListeners(){this.ws.onopen=()=>{this.opts.autoUnref&&this.ws._socket.unref(),this.onOpen()},this.ws.onclose=t=>this.onClose({description:"websocket connection closed",context:t}),this.ws.onmessage=t=>this.onData(t.data),this.ws.onerror=t=>this.onError("websocket error",t)}write(t){this.writable=!1;for(let n=0;n<t.length;n++){const r=t[n],i=n===t.length-1;go(r,this.supportsBinary,s=>{try{this.doWrite(r,s)}catch{}i&&qi(()=>{this.writable=!0,this.emitReserved("drain")},this.setTimeoutFn)})}}doClose(){typeof this.ws<"u"&&(this.ws.onerror=()=>{},this.ws.close(),this.ws=null)}uri(){const t=this.opts.secure?"wss":"ws",n=this.query||{};return this.opts.timestampRequests&&(n[this.opts.timestampParam]=lf()),this.supportsBinary||(n.b64=1),this.createUri(t,n)}}const _s=De.WebSocket||De.MozWebSocket;class vp extends yp{createSocket(t,n,r){return af?new _s(t,n,r):n?new _s(t,n):new _s(t)}doWrite(t,n){this.ws.send(n)}}class gp extends ko{get name(){return"webtransport"}doOpen(){try{this._transport=new WebTransport(this.createUri("https"),this.opts.transportOptions[this.name])}catch(t){return this.emitReserved("error",t)}this._transport.closed.then(()=>{this.onClose()}).catch(t=>{this.onError("webtransport error",t)}),this._transport.ready.then(()=>{this._transport.createBidirectionalStream().then(t=>{const n=bh(Number.MAX_SAFE_INTEGER,this.socket.binaryType),r=t.readable.pipeThrough(n).getReader(),i=Zh();i.readable.pipeTo(t.writable),this._writer=i.writable.getWriter();const s=()=>{r.read().then(({done:o,value:u})=>{o||(this.onPacket(u),s())}).catch(o=>{})};s();const l={type:"open"};this.query.sid&&(l.data=`{"sid":"${this.query.sid}"}`),this._writer.write(l).then(()=>this.onOpen())})})}write(t){this.writable=!1;for(let n=0;n<t.length;n++){const r=t[n],i=n===t.length-1;this._writer.write(r).then(()=>{i&&qi(()=>{this.writable=!0,this.emitReserved("drain")},this.setTimeoutFn)})}}doClose(){var t;(t=this._transport)===null||t===void 0||t.close()}}const wp={websocket:vp,webtransport:gp,polling:mp},kp=/^(?:(?![^:@\/?#]+:[^:@\/]*@)(http|https|ws|wss):\/\/)?((?:(([^:@\/?#]*)(?::([^:@\/?#]*))?)?@)?((?:[a-f0-9]{0,4}:){2,7}[a-f0-9]{0,4}|[^:\/?#]*)(?::(\d*))?)(((\/(?:[^?#](?![^?#\/]*\.[^?#\/.]+(?:[?#]|$)))*\/?)?([^?#\/]*))(?:\?([^#]*))?(?:#(.*))?)/,Sp=["source","protocol","authority","userInfo","user","password","host","port","relative","path","directory","file","query","anchor"];function vl(e){if(e.length>8e3)throw"URI too long";const t=e,n=e.indexOf("["),r=e.indexOf("]");n!=-1&&r!=-1&&(e=e.substring(0,n)+e.substring(n,r).replace(/:/g,";")+e.substring(r,e.length));let i=kp.exec(e||""),s={},l=14;for(;l--;)s[Sp[l]]=i[l]||"";return n!=-1&&r!=-1&&(s.source=t,s.host=s.host.substring(1,s.host.length-1).replace(/;/g,":"),s.authority=s.authority.replace("[","").replace("]","").replace(/;/g,":"),s.ipv6uri=!0),s.pathNames=xp(s,s.path),s.queryKey=_p(s,s.query),s}function xp(e,t){const n=/\/{2,9}/g,r=t.replace(n,"/").split("/");return(t.slice(0,1)=="/"||t.length===0)&&r.splice(0,1),t.slice(-1)=="/"&&r.splice(r.length-1,1),r}function _p(e,t){const n={};return t.replace(/(?:^|&)([^&=]*)=?([^&]*)/g,function(r,i,s){i&&(n[i]=s)}),n}const gl=typeof addEventListener=="function"&&typeof removeEventListener=="function",ri=[];gl&&addEventListener("offline",()=>{ri.forEach(e=>e())},!1);class Tt extends Z{constructor(t,n){if(super(),this.binaryType=tp,this.writeBuffer=[],this._prevBufferLen=0,this._pingInterval=-1,this._pingTimeout=-1,this._maxPayload=-1,this._pingTimeoutTime=1/0,t&&typeof t=="object"&&(n=t,t=null),t){const r=vl(t);n.hostname=r.host,n.secure=r.protocol==="https"||r.protocol==="wss",n.port=r.port,r.query&&(n.query=r.query)}else n.host&&(n.hostname=vl(n.host).host);Yi(this,n),this.secure=n.secure!=null?n.secure:typeof location<"u"&&location.protocol==="https:",n.hostname&&!n.port&&(n.port=this.secure?"443":"80"),this.hostname=n.hostname||(typeof location<"u"?location.hostname:"localhost"),this.port=n.port||(typeof location<"u"&&location.port?location.port:this.secure?"443":"80"),this.transports=[],this._transportsByName={},n.transports.forEach(r=>{const i=r.prototype.name;this.transports.push(i),this._transportsByName[i]=r}),this.opts=Object.assign({path:"/engine.io",agent:!1,withCredentials:!1,upgrade:!0,timestampParam:"t",rememberUpgrade:!1,addTrailingSlash:!0,rejectUnauthorized:!0,perMessageDeflate:{threshold:1024},transportOptions:{},closeOnBeforeunload:!1},n),this.opts.path=this.opts.path.replace(/\/$/,"")+(this.opts.addTrailingSlash?"/":""),typeof this.opts.query=="string"&&(this.opts.query=up(this.opts.query)),gl&&(this.opts.closeOnBeforeunload&&(this._beforeunloadEventListener=()=>{this.transport&&(this.transport.removeAllListeners(),this.transport.close())},addEventListener("beforeunload",this._beforeunloadEventListener,!1)),this.hostname!=="localhost"&&(this._offlineEventListener=()=>{this._onClose("transport close",{description:"network connection lost"})},ri.push(this._offlineEventListener))),this.opts.withCredentials&&(this._cookieJar=void 0),this._open()}createTransport(t){const n=Object.assign({},this.opts.query);n.EIO=rf,n.transport=t,this.id&&(n.sid=this.id);const r=Object.assign({},this.opts,{query:n,socket:this,hostname:this.hostname,secure:this.secure,port:this.port},this.opts.transportOptions[t]);return new this._transportsByName[t](r)}_open(){if(this.transports.length===0){this.setTimeoutFn(()=>{this.emitReserved("error","No transports available")},0);return}const t=this.opts.rememberUpgrade&&Tt.priorWebsocketSuccess&&this.transports.indexOf("websocket")!==-1?"websocket":this.transports[0];this.readyState="opening";const n=this.createTransport(t);n.open(),this.setTransport(n)}setTransport(t){this.transport&&this.transport.removeAllListeners(),this.transport=t,t.on("drain",this._onDrain.bind(this)).on("packet",this._onPacket.bind(this)).on("error",this._onError.bind(this)).on("close",n=>this._onClose("transport close",n))}onOpen(){this.readyState="open",Tt.priorWebsocketSuccess=this.transport.name==="websocket",this.emitReserved("open"),this.flush()}_onPacket(t){if(this.readyState==="opening"||this.readyState==="open"||this.readyState==="closing")switch(this.emitReserved("packet",t),this.emitReserved("heartbeat"),t.type){case"open":this.onHandshake(JSON.parse(t.data));break;case"ping":this._sendPacket("pong"),this.emitReserved("ping"),this.emitReserved("pong"),this._resetPingTimeout();break;case"error":const n=new Error("server error");n.code=t.data,this._onError(n);break;case"message":this.emitReserved("data",t.data),this.emitReserved("message",t.data);break}}onHandshake(t){this.emitReserved("handshake",t),this.id=t.sid,this.transport.query.sid=t.sid,this._pingInterval=t.pingInterval,this._pingTimeout=t.pingTimeout,this._maxPayload=t.maxPayload,this.onOpen(),this.readyState!=="closed"&&this._resetPingTimeout()}_resetPingTimeout(){this.clearTimeoutFn(this._pingTimeoutTimer);const t=this._pingInterval+this._pingTimeout;this._pingTimeoutTime=Date.now()+t,this._pingTimeoutTimer=this.setTimeoutFn(()=>{this._onClose("ping timeout")},t),this.opts.autoUnref&&this._pingTimeoutTimer.unref()}_onDrain(){this.writeBuffer.splice(0,this._prevBufferLen),this._prevBufferLen=0,this.writeBuffer.length===0?this.emitReserved("drain"):this.flush()}flush(){if(this.readyState!=="closed"&&this.transport.writable&&!this.upgrading&&this.writeBuffer.length){const t=this._getWritablePackets();this.transport.send(t),this._prevBufferLen=t.length,this.emitReserved("flush")}}_getWritablePackets(){if(!(this._maxPayload&&this.transport.name==="polling"&&this.writeBuffer.length>1))return this.writeBuffer;let n=1;for(let r=0;r<this.writeBuffer.length;r++){const i=this.writeBuffer[r].data;if(i&&(n+=sp(i)),r>0&&n>this._maxPayload)return this.writeBuffer.slice(0,r);n+=2}return this.writeBuffer}_hasPingExpired(){if(!this._pingTimeoutTime)return!0;const t=Date.now()>this._pingTimeoutTime;return t&&(this._pingTimeoutTime=0,qi(()=>{this._onClose("ping timeout")},this.setTimeoutFn)),t}write(t,n,r){return this._sendPacket("message",t,n,r),this}send(t,n,r){return this._sendPacket("message",t,n,r),this}_sendPacket(t,n,r,i){if(typeof n=="function"&&(i=n,n=void 0),typeof r=="function"&&(i=r,r=null),this.readyState==="closing"||this.readyState==="closed")return;r=r||{},r.compress=r.compress!==!1;const s={type:t,data:n,options:r};this.emitReserved("packetCreate",s),this.writeBuffer.push(s),i&&this.once("flush",i),this.flush()}close(){const t=()=>{this._onClose("forced close"),this.transport.close()},n=()=>{this.off("upgrade",n),this.off("upgradeError",n),t()},r=()=>{this.once("upgrade",n),this.once("upgradeError",n)};return(this.readyState==="opening"||this.readyState==="open")&&(this.readyState="closing",this.writeBuffer.length?this.once("drain",()=>{this.upgrading?r():t()}):this.upgrading?r():t()),this}_onError(t){if(Tt.priorWebsocketSuccess=!1,this.opts.tryAllTransports&&this.transports.length>1&&this.readyState==="opening")return this.transports.shift(),this._open();this.emitReserved("error",t),this._onClose("transport error",t)}_onClose(t,n){if(this.readyState==="opening"||this.readyState==="open"||this.readyState==="closing"){if(this.clearTimeoutFn(this._pingTimeoutTimer),this.transport.removeAllListeners("close"),this.transport.close(),this.transport.removeAllListeners(),gl&&(this._beforeunloadEventListener&&removeEventListener("beforeunload",this._beforeunloadEventListener,!1),this._offlineEventListener)){const r=ri.indexOf(this._offlineEventListener);r!==-1&&ri.splice(r,1)}this.readyState="closed",this.id=null,this.emitReserved("close",t,n),this.writeBuffer=[],this._prevBufferLen=0}}}Tt.protocol=rf;class Np extends Tt{constructor(){super(...arguments),this._upgrades=[]}onOpen(){if(super.onOpen(),this.readyState==="open"&&this.opts.upgrade)for(let t=0;t<this._upgrades.length;t++)this._probe(this._upgrades[t])}_probe(t){let n=this.createTransport(t),r=!1;Tt.priorWebsocketSuccess=!1;const i=()=>{r||(n.send([{type:"ping",data:"probe"}]),n.once("packet",y=>{if(!r)if(y.type==="pong"&&y.data==="probe"){if(this.upgrading=!0,this.emitReserved("upgrading",n),!n)return;Tt.priorWebsocketSuccess=n.name==="websocket",this.transport.pause(()=>{r||this.readyState!=="closed"&&(m(),this.setTransport(n),n.send([{type:"upgrade"}]),this.emitReserved("upgrade",n),n=null,this.upgrading=!1,this.flush())})}else{const p=new Error("probe error");p.transport=n.name,this.emitReserved("upgradeError",p)}}))};function s(){r||(r=!0,m(),n.close(),n=null)}const l=y=>{const p=new Error("probe error: "+y);p.transport=n.name,s(),this.emitReserved("upgradeError",p)};function o(){l("transport closed")}function u(){l("socket closed")}function c(y){n&&y.name!==n.name&&s()}const m=()=>{n.removeListener("open",i),n.removeListener("error",l),n.removeListener("close",o),this.off("close",u),this.off("upgrading",c)};n.once("open",i),n.once("error",l),n.once("close",o),this.once("close",u),this.once("upgrading",c),this._upgrades.indexOf("webtransport")!==-1&&t!=="webtransport"?this.setTimeoutFn(()=>{r||n.open()},200):n.open()}onHandshake(t){this._upgrades=this._filterUpgrades(t.upgrades),super.onHandshake(t)}_filterUpgrades(t){const n=[];for(let r=0;r<t.length;r++)~this.transports.indexOf(t[r])&&n.push(t[r]);return n}}let Ep=class extends Np{constructor(t,n={}){const r=typeof t=="object"?t:n;(!r.transports||r.transports&&typeof r.transports[0]=="string")&&(r.transports=(r.transports||["polling","websocket","webtransport"]).map(i=>wp[i]).filter(i=>!!i)),super(t,r)}};function Cp(e,t="",n){let r=e;n=n||typeof location<"u"&&location,e==null&&(e=n.protocol+"//"+n.host),typeof e=="string"&&(e.charAt(0)==="/"&&(e.charAt(1)==="/"?e=n.protocol+e:e=n.host+e),/^(https?|wss?):\/\//.test(e)||(typeof n<"u"?e=n.protocol+"//"+e:e="https://"+e),r=vl(e)),r.port||(/^(http|ws)$/.test(r.protocol)?r.port="80":/^(http|ws)s$/.test(r.protocol)&&(r.port="443")),r.path=r.path||"/";const s=r.host.indexOf(":")!==-1?"["+r.host+"]":r.host;return r.id=r.protocol+"://"+s+":"+r.port+t,r.href=r.protocol+"://"+s+(n&&n.port===r.port?"":":"+r.port),r}const jp=typeof ArrayBuffer=="function",Tp=e=>typeof ArrayBuffer.isView=="function"?ArrayBuffer.isView(e):e.buffer instanceof ArrayBuffer,cf=Object.prototype.toString,Pp=typeof Blob=="function"||typeof Blob<"u"&&cf.call(Blob)==="[object BlobConstructor]",Lp=typeof File=="function"||typeof File<"u"&&cf.call(File)==="[object FileConstructor]";function So(e){return jp&&(e instanceof ArrayBuffer||Tp(e))||Pp&&e instanceof Blob||Lp&&e instanceof File}function ii(e,t){if(!e||typeof e!="object")return!1;if(Array.isArray(e)){for(let n=0,r=e.length;n<r;n++)if(ii(e[n]))return!0;return!1}if(So(e))return!0;if(e.toJSON&&typeof e.toJSON=="function"&&arguments.length===1)return ii(e.toJSON(),!0);for(const n in e)if(Object.prototype.hasOwnProperty.call(e,n)&&ii(e[n]))return!0;return!1}function Rp(e){const t=[],n=e.data,r=e;return r.data=wl(n,t),r.attachments=t.length,{packet:r,buffers:t}}function wl(e,t){if(!e)return e;if(So(e)){const n={_placeholder:!0,num:t.length};return t.push(e),n}else if(Array.isArray(e)){const n=new Array(e.length);for(let r=0;r<e.length;r++)n[r]=wl(e[r],t);return n}else if(typeof e=="object"&&!(e instanceof Date)){const n={};for(const r in e)Object.prototype.hasOwnProperty.call(e,r)&&(n[r]=wl(e[r],t));return n}return e}function Op(e,t){return e.data=kl(e.data,t),delete e.attachments,e}function kl(e,t){if(!e)return e;if(e&&e._placeholder===!0){if(typeof e.num=="number"&&e.num>=0&&e.num<t.length)return t[e.num];throw new Error("illegal attachments")}else if(Array.isArray(e))for(let n=0;n<e.length;n++)e[n]=kl(e[n],t);else if(typeof e=="object")for(const n in e)Object.prototype.hasOwnProperty.call(e,n)&&(e[n]=kl(e[n],t));return e}const zp=["connect","connect_error","disconnect","disconnecting","newListener","removeListener"],Dp=5;var D;(function(e){e[e.CONNECT=0]="CONNECT",e[e.DISCONNECT=1]="DISCONNECT",e[e.EVENT=2]="EVENT",e[e.ACK=3]="ACK",e[e.CONNECT_ERROR=4]="CONNECT_ERROR",e[e.BINARY_EVENT=5]="BINARY_EVENT",e[e.BINARY_ACK=6]="BINARY_ACK"})(D||(D={}));class Ap{constructor(t){this.replacer=t}encode(t){return(t.type===D.EVENT||t.type===D.ACK)&&ii(t)?this.encodeAsBinary({type:t.type===D.EVENT?D.BINARY_EVENT:D.BINARY_ACK,nsp:t.nsp,data:t.data,id:t.id}):[this.encodeAsString(t)]}encodeAsString(t){let n=""+t.type;return(t.type===D.BINARY_EVENT||t.type===D.BINARY_ACK)&&(n+=t.attachments+"-"),t.nsp&&t.nsp!=="/"&&(n+=t.nsp+","),t.id!=null&&(n+=t.id),t.data!=null&&(n+=JSON.stringify(t.data,this.replacer)),n}encodeAsBinary(t){const n=Rp(t),r=this.encodeAsString(n.packet),i=n.buffers;return i.unshift(r),i}}function Iu(e){return Object.prototype.toString.call(e)==="[object Object]"}class xo extends Z{constructor(t){super(),this.reviver=t}add(t){let n;if(typeof t=="string"){if(this.reconstructor)throw new Error("got plaintext data when reconstructing a packet");n=this.decodeString(t);const r=n.type===D.BINARY_EVENT;r||n.type===D.BINARY_ACK?(n.type=r?D.EVENT:D.ACK,this.reconstructor=new Ip(n),n.attachments===0&&super.emitReserved("decoded",n)):super.emitReserved("decoded",n)}else if(So(t)||t.base64)if(this.reconstructor)n=this.reconstructor.takeBinaryData(t),n&&(this.reconstructor=null,super.emitReserved("decoded",n));else throw new Error("got binary data when not reconstructing a packet");else throw new Error("Unknown type: "+t)}decodeString(t){let n=0;const r={type:Number(t.charAt(0))};if(D[r.type]===void 0)throw new Error("unknown packet type "+r.type);if(r.type===D.BINARY_EVENT||r.type===D.BINARY_ACK){const s=n+1;for(;t.charAt(++n)!=="-"&&n!=t.length;);const l=t.substring(s,n);if(l!=Number(l)||t.charAt(n)!=="-")throw new Error("Illegal attachments");r.attachments=Number(l)}if(t.charAt(n+1)==="/"){const s=n+1;for(;++n&&!(t.charAt(n)===","||n===t.length););r.nsp=t.substring(s,n)}else r.nsp="/";const i=t.charAt(n+1);if(i!==""&&Number(i)==i){const s=n+1;for(;++n;){const l=t.charAt(n);if(l==null||Number(l)!=l){--n;break}if(n===t.length)break}r.id=Number(t.substring(s,n+1))}if(t.charAt(++n)){const s=this.tryParse(t.substr(n));if(xo.isPayloadValid(r.type,s))r.data=s;else throw new Error("invalid payload")}return r}tryParse(t){try{return JSON.parse(t,this.reviver)}catch{return!1}}static isPayloadValid(t,n){switch(t){case D.CONNECT:return Iu(n);case D.DISCONNECT:return n===void 0;case D.CONNECT_ERROR:return typeof n=="string"||Iu(n);case D.EVENT:case D.BINARY_EVENT:return Array.isArray(n)&&(typeof n[0]=="number"||typeof n[0]=="string"&&zp.indexOf(n[0])===-1);case D.ACK:case D.BINARY_ACK:return Array.isArray(n)}}destroy(){this.reconstructor&&(this.reconstructor.finishedReconstruction(),this.reconstructor=null)}}class Ip{constructor(t){this.packet=t,this.buffers=[],this.reconPack=t}takeBinaryData(t){if(this.buffers.push(t),this.buffers.length===this.reconPack.attachments){const n=Op(this.reconPack,this.buffers);return this.finishedReconstruction(),n}return null}finishedReconstruction(){this.reconPack=null,this.buffers=[]}}const Mp=Object.freeze(Object.defineProperty({__proto__:null,Decoder:xo,Encoder:Ap,get PacketType(){return D},protocol:Dp},Symbol.toStringTag,{value:"Module"}));function $e(e,t,n){return e.on(t,n),function(){e.off(t,n)}}const Bp=Object.freeze({connect:1,connect_error:1,disconnect:1,disconnecting:1,newListener:1,removeListener:1});class ff extends Z{constructor(t,n,r){super(),this.connected=!1,this.recovered=!1,this.receiveBuffer=[],this.sendBuffer=[],this._queue=[],this._queueSeq=0,this.ids=0,this.acks={},this.flags={},this.io=t,this.nsp=n,r&&r.auth&&(this.auth=r.auth),this._opts=Object.assign({},r),this.io._autoConnect&&this.open()}get disconnected(){return!this.connected}subEvents(){if(this.subs)return;const t=this.io;this.subs=[$e(t,"open",this.onopen.bind(this)),$e(t,"packet",this.onpacket.bind(this)),$e(t,"error",this.onerror.bind(this)),$e(t,"close",this.onclose.bind(this))]}get active(){return!!this.subs}connect(){return this.connected?this:(this.subEvents(),this.io._reconnecting||this.io.open(),this.io._readyState==="open"&&this.onopen(),this)}open(){return this.connect()}send(...t){return t.unshift("message"),this.emit.apply(this,t),this}emit(t,...n){var r,i,s;if(Bp.hasOwnProperty(t))throw new Error('"'+t.toString()+'" is a reserved event name');if(n.unshift(t),this._opts.retries&&!this.flags.fromQueue&&!this.flags.volatile)return this._addToQueue(n),this;const l={type:D.EVENT,data:n};if(l.options={},l.options.compress=this.flags.compress!==!1,typeof n[n.length-1]=="function"){const m=this.ids++,y=n.pop();this._registerAckCallback(m,y),l.id=m}const o=(i=(r=this.io.engine)===null||r===void 0?void 0:r.transport)===null||i===void 0?void 0:i.writable,u=this.connected&&!(!((s=this.io.engine)===null||s===void 0)&&s._hasPingExpired());return this.flags.volatile&&!o||(u?(this.notifyOutgoingListeners(l),this.packet(l)):this.sendBuffer.push(l)),this.flags={},this}_registerAckCallback(t,n){var r;const i=(r=this.flags.timeout)!==null&&r!==void 0?r:this._opts.ackTimeout;if(i===void 0){this.acks[t]=n;return}const s=this.io.setTimeoutFn(()=>{delete this.acks[t];for(let o=0;o<this.sendBuffer.length;o++)this.sendBuffer[o].id===t&&this.sendBuffer.splice(o,1);n.call(this,new Error("operation has timed out"))},i),l=(...o)=>{this.io.clearTimeoutFn(s),n.apply(this,o)};l.withError=!0,this.acks[t]=l}emitWithAck(t,...n){return new Promise((r,i)=>{const s=(l,o)=>l?i(l):r(o);s.withError=!0,n.push(s),this.emit(t,...n)})}_addToQueue(t){let n;typeof t[t.length-1]=="function"&&(n=t.pop());const r={id:this._queueSeq++,tryCount:0,pending:!1,args:t,flags:Object.assign({fromQueue:!0},this.flags)};t.push((i,...s)=>r!==this._queue[0]?void 0:(i!==null?r.tryCount>this._opts.retries&&(this._queue.shift(),n&&n(i)):(this._queue.shift(),n&&n(null,...s)),r.pending=!1,this._drainQueue())),this._queue.push(r),this._drainQueue()}_drainQueue(t=!1){if(!this.connected||this._queue.length===0)return;const n=this._queue[0];n.pending&&!t||(n.pending=!0,n.tryCount++,this.flags=n.flags,this.emit.apply(this,n.args))}packet(t){t.nsp=this.nsp,this.io._packet(t)}onopen(){typeof this.auth=="function"?this.auth(t=>{this._sendConnectPacket(t)}):this._sendConnectPacket(this.auth)}_sendConnectPacket(t){this.packet({type:D.CONNECT,data:this._pid?Object.assign({pid:this._pid,offset:this._lastOffset},t):t})}onerror(t){this.connected||this.emitReserved("connect_error",t)}onclose(t,n){this.connected=!1,delete this.id,this.emitReserved("disconnect",t,n),this._clearAcks()}_clearAcks(){Object.keys(this.acks).forEach(t=>{if(!this.sendBuffer.some(r=>String(r.id)===t)){const r=this.acks[t];delete this.acks[t],r.withError&&r.call(this,new Error("socket has been disconnected"))}})}onpacket(t){if(t.nsp===this.nsp)switch(t.type){case D.CONNECT:t.data&&t.data.sid?this.onconnect(t.data.sid,t.data.pid):this.emitReserved("connect_error",new Error("It seems you are trying to reach a Socket.IO server in v2.x with a v3.x client, but they are not compatible (more information here: https://socket.io/docs/v3/migrating-from-2-x-to-3-0/)"));break;case D.EVENT:case D.BINARY_EVENT:this.onevent(t);break;case D.ACK:case D.BINARY_ACK:this.onack(t);break;case D.DISCONNECT:this.ondisconnect();break;case D.CONNECT_ERROR:this.destroy();const r=new Error(t.data.message);r.data=t.data.data,this.emitReserved("connect_error",r);break}}onevent(t){const n=t.data||[];t.id!=null&&n.push(this.ack(t.id)),this.connected?this.emitEvent(n):this.receiveBuffer.push(Object.freeze(n))}emitEvent(t){if(this._anyListeners&&this._anyListeners.length){const n=this._anyListeners.slice();for(const r of n)r.apply(this,t)}super.emit.apply(this,t),this._pid&&t.length&&typeof t[t.length-1]=="string"&&(this._lastOffset=t[t.length-1])}ack(t){const n=this;let r=!1;return function(...i){r||(r=!0,n.packet({type:D.ACK,id:t,data:i}))}}onack(t){const n=this.acks[t.id];typeof n=="function"&&(delete this.acks[t.id],n.withError&&t.data.unshift(null),n.apply(this,t.data))}onconnect(t,n){this.id=t,this.recovered=n&&this._pid===n,this._pid=n,this.connected=!0,this.emitBuffered(),this.emitReserved("connect"),this._drainQueue(!0)}emitBuffered(){this.receiveBuffer.forEach(t=>this.emitEvent(t)),this.receiveBuffer=[],this.sendBuffer.forEach(t=>{this.notifyOutgoingListeners(t),this.packet(t)}),this.sendBuffer=[]}ondisconnect(){this.destroy(),this.onclose("io server disconnect")}destroy(){this.subs&&(this.subs.forEach(t=>t()),this.subs=void 0),this.io._destroy(this)}disconnect(){return this.connected&&this.packet({type:D.DISCONNECT}),this.destroy(),this.connected&&this.onclose("io client disconnect"),this}close(){return this.disconnect()}compress(t){return this.flags.compress=t,this}get volatile(){return this.flags.volatile=!0,this}timeout(t){return this.flags.timeout=t,this}onAny(t){return this._anyListeners=this._anyListeners||[],this._anyListeners.push(t),this}prependAny(t){return this._anyListeners=this._anyListeners||[],this._anyListeners.unshift(t),this}offAny(t){if(!this._anyListeners)return this;if(t){const n=this._anyListeners;for(let r=0;r<n.length;r++)if(t===n[r])return n.splice(r,1),this}else this._anyListeners=[];return this}listenersAny(){return this._anyListeners||[]}onAnyOutgoing(t){return this._anyOutgoingListeners=this._anyOutgoingListeners||[],this._anyOutgoingListeners.push(t),this}prependAnyOutgoing(t){return this._anyOutgoingListeners=this._anyOutgoingListeners||[],this._anyOutgoingListeners.unshift(t),this}offAnyOutgoing(t){if(!this._anyOutgoingListeners)return this;if(t){const n=this._anyOutgoingListeners;for(let r=0;r<n.length;r++)if(t===n[r])return n.splice(r,1),this}else this._anyOutgoingListeners=[];return this}listenersAnyOutgoing(){return this._anyOutgoingListeners||[]}notifyOutgoingListeners(t){if(this._anyOutgoingListeners&&this._anyOutgoingListeners.length){const n=this._anyOutgoingListeners.slice();for(const r of n)r.apply(this,t.data)}}}function jn(e){e=e||{},this.ms=e.min||100,this.max=e.max||1e4,this.factor=e.factor||2,this.jitter=e.jitter>0&&e.jitter<=1?e.jitter:0,this.attempts=0}jn.prototype.duration=function(){var e=this.ms*Math.pow(this.factor,this.attempts++);if(this.jitter){var t=Math.random(),n=Math.floor(t*this.jitter*e);e=Math.floor(t*10)&1?e+n:e-n}return Math.min(e,this.max)|0};jn.prototype.reset=function(){this.attempts=0};jn.prototype.setMin=function(e){this.ms=e};jn.prototype.setMax=function(e){this.max=e};jn.prototype.setJitter=function(e){this.jitter=e};class Sl extends Z{constructor(t,n){var r;super(),this.nsps={},this.subs=[],t&&typeof t=="object"&&(n=t,t=void 0),n=n||{},n.path=n.path||"/socket.io",this.opts=n,Yi(this,n),this.reconnection(n.reconnection!==!1),this.reconnectionAttempts(n.reconnectionAttempts||1/0),this.reconnectionDelay(n.reconnectionDelay||1e3),this.reconnectionDelayMax(n.reconnectionDelayMax||5e3),this.randomizationFactor((r=n.randomizationFactor)!==null&&r!==void 0?r:.5),this.backoff=new jn({min:this.reconnectionDelay(),max:this.reconnectionDelayMax(),jitter:this.randomizationFactor()}),this.timeout(n.timeout==null?2e4:n.timeout),this._readyState="closed",this.uri=t;const i=n.parser||Mp;this.encoder=new i.Encoder,this.decoder=new i.Decoder,this._autoConnect=n.autoConnect!==!1,this._autoConnect&&this.open()}reconnection(t){return arguments.length?(this._reconnection=!!t,t||(this.skipReconnect=!0),this):this._reconnection}reconnectionAttempts(t){return t===void 0?this._reconnectionAttempts:(this._reconnectionAttempts=t,this)}reconnectionDelay(t){var n;return t===void 0?this._reconnectionDelay:(this._reconnectionDelay=t,(n=this.backoff)===null||n===void 0||n.setMin(t),this)}randomizationFactor(t){var n;return t===void 0?this._randomizationFactor:(this._randomizationFactor=t,(n=this.backoff)===null||n===void 0||n.setJitter(t),this)}reconnectionDelayMax(t){var n;return t===void 0?this._reconnectionDelayMax:(this._reconnectionDelayMax=t,(n=this.backoff)===null||n===void 0||n.setMax(t),this)}timeout(t){return arguments.length?(this._timeout=t,this):this._timeout}maybeReconnectOnOpen(){!this._reconnecting&&this._reconnection&&this.backoff.attempts===0&&this.reconnect()}open(t){if(~this._readyState.indexOf("open"))return this;this.engine=new Ep(this.uri,this.opts);const n=this.engine,r=this;this._readyState="opening",this.skipReconnect=!1;const i=$e(n,"open",function(){r.onopen(),t&&t()}),s=o=>{this.cleanup(),this._readyState="closed",this.emitReserved("error",o),t?t(o):this.maybeReconnectOnOpen()},l=$e(n,"error",s);if(this._timeout!==!1){const o=this._timeout,u=this.setTimeoutFn(()=>{i(),s(new Error("timeout")),n.close()},o);this.opts.autoUnref&&u.unref(),this.subs.push(()=>{this.clearTimeoutFn(u)})}return this.subs.push(i),this.subs.push(l),this}connect(t){return this.open(t)}onopen(){this.cleanup(),this._readyState="open",this.emitReserved("open");const t=this.engine;this.subs.push($e(t,"ping",this.onping.bind(this)),$e(t,"data",this.ondata.bind(this)),$e(t,"error",this.onerror.bind(this)),$e(t,"close",this.onclose.bind(this)),$e(this.decoder,"decoded",this.ondecoded.bind(this)))}onping(){this.emitReserved("ping")}ondata(t){try{this.decoder.add(t)}catch(n){this.onclose("parse error",n)}}ondecoded(t){qi(()=>{this.emitReserved("packet",t)},this.setTimeoutFn)}onerror(t){this.emitReserved("error",t)}socket(t,n){let r=this.nsps[t];return r?this._autoConnect&&!r.active&&r.connect():(r=new ff(this,t,n),this.nsps[t]=r),r}_destroy(t){const n=Object.keys(this.nsps);for(const r of n)if(this.nsps[r].active)return;this._close()}_packet(t){const n=this.encoder.encode(t);for(let r=0;r<n.length;r++)this.engine.write(n[r],t.options)}cleanup(){this.subs.forEach(t=>t()),this.subs.length=0,this.decoder.destroy()}_close(){this.skipReconnect=!0,this._reconnecting=!1,this.onclose("forced close")}disconnect(){return this._close()}onclose(t,n){var r;this.cleanup(),(r=this.engine)===null||r===void 0||r.close(),this.backoff.reset(),this._readyState="closed",this.emitReserved("close",t,n),this._reconnection&&!this.skipReconnect&&this.reconnect()}reconnect(){if(this._reconnecting||this.skipReconnect)return this;const t=this;if(this.backoff.attempts>=this._reconnectionAttempts)this.backoff.reset(),this.emitReserved("reconnect_failed"),this._reconnecting=!1;else{const n=this.backoff.duration();this._reconnecting=!0;const r=this.setTimeoutFn(()=>{t.skipReconnect||(this.emitReserved("reconnect_attempt",t.backoff.attempts),!t.skipReconnect&&t.open(i=>{i?(t._reconnecting=!1,t.reconnect(),this.emitReserved("reconnect_error",i)):t.onreconnect()}))},n);this.opts.autoUnref&&r.unref(),this.subs.push(()=>{this.clearTimeoutFn(r)})}}onreconnect(){const t=this.backoff.attempts;this._reconnecting=!1,this.backoff.reset(),this.emitReserved("reconnect",t)}}const Bn={};function si(e,t){typeof e=="object"&&(t=e,e=void 0),t=t||{};const n=Cp(e,t.path||"/socket.io"),r=n.source,i=n.id,s=n.path,l=Bn[i]&&s in Bn[i].nsps,o=t.forceNew||t["force new connection"]||t.multiplex===!1||l;let u;return o?u=new Sl(r,t):(Bn[i]||(Bn[i]=new Sl(r,t)),u=Bn[i]),n.query&&!t.query&&(t.query=n.queryKey),u.socket(n.path,t)}Object.assign(si,{Manager:Sl,Socket:ff,io:si,connect:si});const df="http://localhost:4000";function ht(e){return e?e.message?e.message:String(e):"Something went wrong"}function xl(){return new Date().toISOString().slice(0,10)}function Fp(e,t){if(!(e!=null&&e.length)||!t)return 0;const n=new Set(e.filter(s=>s.userId===t&&(s.done===1||s.done===!0)).map(s=>s.dateKey));let r=0,i=new Date(xl());for(;;){const s=i.toISOString().slice(0,10);if(n.has(s))r+=1,i.setDate(i.getDate()-1);else break}return r}async function Re(e,t={},n){const r={"Content-Type":"application/json"};n&&(r.Authorization=`Bearer ${n}`);const i=await fetch(`${df}${e}`,{headers:r,...t,body:t.body?JSON.stringify(t.body):void 0});if(!i.ok){const s=await i.text();throw new Error(s||"Request failed")}return i.json()}function Up(){const[e,t]=A.useState(()=>{const T=localStorage.getItem("sc_user");return T?JSON.parse(T):null}),[n,r]=A.useState(()=>localStorage.getItem("sc_token")||""),[i,s]=A.useState([]),[l,o]=A.useState(null),[u,c]=A.useState({}),[m,y]=A.useState({}),[p,w]=A.useState(null),[k,S]=A.useState(!1),[B,h]=A.useState(null),[f,d]=A.useState(""),[v,x]=A.useState("discover"),[E,C]=A.useState([]),[j,$]=A.useState(""),O=3,me=A.useRef(null);A.useEffect(()=>{const T=si(df,{transports:["websocket"]});return me.current=T,()=>T.close()},[]),A.useEffect(()=>{e?localStorage.setItem("sc_user",JSON.stringify(e)):localStorage.removeItem("sc_user")},[e]),A.useEffect(()=>{n?localStorage.setItem("sc_token",n):localStorage.removeItem("sc_token")},[n]),A.useEffect(()=>{e&&(xe(),_e())},[e]),A.useEffect(()=>{const T=me.current;!T||!l||(T.emit("join_contract",{contractId:l}),T.off("new_message"),T.on("new_message",L=>{c(te=>{const Ne=te[L.contractId]||[];return L.contractId!==l?te:{...te,[L.contractId]:[...Ne,L]}})}),xr(l),_r(l))},[l]);async function xe(){if(!e)return;const T=await Re(`/api/users/${e.id}/contracts`,{},n);s(T),T.length&&!l&&o(T[0].id)}async function _e(){const T=await Re("/api/contracts",{},n);C(T)}async function xr(T){const L=await Re(`/api/contracts/${T}/messages`,{},n);c(te=>({...te,[T]:L}))}async function _r(T){const L=await Re(`/api/contracts/${T}/checkins`,{},n);y(te=>({...te,[T]:L}))}async function Tn(T){d("");try{const L=await Re("/api/auth/register",{method:"POST",body:T});t(L.user),r(L.token),await xe(),await _e()}catch(L){throw d(ht(L)),L}}async function Pn(T){d("");try{const L=await Re("/api/auth/login",{method:"POST",body:T});t(L.user),r(L.token),await xe(),await _e()}catch(L){throw d(ht(L)),L}}async function _(T,L){var te;if(e){if(S(!0),i.length>=O){d(`Free version limited to ${O} contracts. Please cancel one to create a new contract.`);return}try{d("");const Ne=await Re("/api/contracts",{method:"POST",body:{...T,ownerId:e.id,matchType:L}},n);L==="friend"&&Ne.inviteCode?w(`${window.location.origin}/invite/${Ne.inviteCode}`):w(null),await xe(),await _e(),o(Ne.contract.id),(te=Ne.matchedWith)!=null&&te.user&&h({partner:Ne.matchedWith.user,contractId:Ne.matchedWith.contractId})}catch(Ne){d(ht(Ne))}finally{S(!1)}}}async function P(T){if(e)try{d(""),await Re(`/api/invites/${T}/accept`,{method:"POST",body:{}},n),await xe(),await _e()}catch(L){d(ht(L))}}async function R(T,L){if(!(!e||!L.trim()))try{d(""),await Re(`/api/contracts/${T}/messages`,{method:"POST",body:{text:L.trim()}},n)}catch(te){d(ht(te))}}async function H(T){if(!e)return;const L=xl(),Ne=(m[T]||[]).find(Nr=>Nr.dateKey===L&&Nr.userId===e.id),vf=Ne?!Ne.done:!0;try{d(""),await Re(`/api/contracts/${T}/checkins`,{method:"POST",body:{dateKey:L,done:vf}},n),await _r(T)}catch(Nr){d(ht(Nr))}}async function X(T){if(e)try{d("");const L=await Re(`/api/contracts/${T}/join`,{method:"POST",body:{}},n);await xe(),await _e(),o(L.id),x("chat"),h({partner:{name:"Your partner"},contractId:L.id})}catch(L){d(ht(L))}}async function Yt(T){if(!(!e||!window.confirm("Cancel and delete this contract?")))try{d(""),await Re(`/api/contracts/${T}`,{method:"DELETE",body:{}},n),await xe(),await _e(),l===T&&o(null)}catch(te){d(ht(te))}}function tt(){t(null),s([]),o(null),c({}),r(""),localStorage.removeItem("sc_user"),localStorage.removeItem("sc_token")}const ye=i.find(T=>T.id===l)||null,qe=ye&&u[ye.id]||[],Xt=i.filter(T=>T.status==="matched"),mf=ye?Fp(m[ye.id],e==null?void 0:e.id):0,yf=(()=>{if(!ye)return!1;const L=(m[ye.id]||[]).find(te=>te.dateKey===xl()&&te.userId===((e==null?void 0:e.id)||""));return(L==null?void 0:L.done)===1||L===!0})();return a.jsxs("div",{className:"app-root",children:[a.jsx(Vp,{user:e,onLogout:tt,view:v,setView:x}),f&&a.jsx($p,{message:f,onClose:()=>d("")}),!e&&a.jsx("main",{className:"section",children:a.jsxs("div",{className:"section-inner",children:[a.jsx("h1",{className:"section-title",children:"Social Contract"}),a.jsx("p",{className:"section-subtitle",children:"Create a measurable goal, match with a partner, and keep each other accountable."}),a.jsx(Hp,{onRegister:Tn,onLogin:Pn})]})}),e&&a.jsxs(a.Fragment,{children:[v==="discover"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsx(Wp,{}),a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Discover contracts"}),a.jsx("p",{className:"section-subtitle",children:"Search and join open contracts from others."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsxs("div",{className:"dashboard-left",children:[a.jsx(Yp,{onAdopt:T=>_(T,"random")}),a.jsx(Bu,{openContracts:E,search:j,onSearch:$,onJoin:X})]})})]})}),v==="new"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsx("div",{className:"dashboard-content single",children:a.jsx("div",{className:"dashboard-left",children:a.jsx(Kp,{onCreate:_,onAccept:P,loading:k,inviteNotice:p,isCapped:i.length>=O,limit:O})})})]})}),v==="explore"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Explore contracts"}),a.jsx("p",{className:"section-subtitle",children:"Search and join open contracts from others."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsx("div",{className:"dashboard-left",children:a.jsx(Bu,{openContracts:E,search:j,onSearch:$,onJoin:X})})})]})}),v==="contracts"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"My Contracts"}),a.jsx("p",{className:"section-subtitle",children:"Browse, select, and track progress."})]}),a.jsxs("div",{className:"dashboard-content",children:[a.jsx("div",{className:"dashboard-left",children:a.jsx(Jp,{contracts:i,activeId:l,onSelect:o})}),a.jsx("div",{className:"dashboard-right",children:ye?a.jsx(Gp,{contract:ye,user:e,messages:qe,onSendMessage:R,onCheckIn:H,todayDone:yf,streak:mf,onCancel:Yt}):a.jsx(Mu,{})})]})]})}),v==="chat"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Partner chat"}),a.jsx("p",{className:"section-subtitle",children:"Pick a matched contract to chat with your partner."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsxs("div",{className:"dashboard-left",children:[a.jsx(bp,{matchedContracts:Xt,activeId:l,onSelect:T=>o(T)}),ye?a.jsx(hf,{messages:qe,onSend:T=>R(ye.id,T),user:e}):a.jsx(Mu,{})]})})]})})]}),B&&a.jsx(Zp,{partner:B.partner,onClose:()=>h(null),onOpenChat:()=>{o(B.contractId),x("chat"),h(null)}})]})}function Vp({user:e,onLogout:t,view:n,setView:r}){return a.jsx("header",{className:"header",children:a.jsxs("div",{className:"header-inner",children:[a.jsxs("div",{className:"brand",children:[a.jsx("span",{className:"brand-mark",children:"◎"}),a.jsx("span",{className:"brand-name",children:"Social Contract"})]}),e&&a.jsxs("nav",{className:"nav",children:[a.jsx("button",{className:"nav-pill"+(n==="discover"?" active":""),onClick:()=>r("discover"),children:"Discover"}),a.jsx("button",{className:"nav-pill"+(n==="new"?" active":""),onClick:()=>r("new"),children:"New Contract"}),a.jsx("button",{className:"nav-pill"+(n==="contracts"?" active":""),onClick:()=>r("contracts"),children:"My Contracts"}),a.jsx("button",{className:"nav-pill"+(n==="chat"?" active":""),onClick:()=>r("chat"),children:"Chat"})]}),a.jsx("div",{className:"header-actions",children:e?a.jsxs(a.Fragment,{children:[a.jsxs("span",{className:"header-user",children:["Hi, ",e.name]}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Log out"})]}):a.jsx("span",{className:"header-user",children:"Accountability that actually sticks."})})]})})}function $p({message:e,onClose:t}){return a.jsxs("div",{className:"error-banner",children:[a.jsx("span",{children:e}),a.jsx("button",{className:"error-close",onClick:t,"aria-label":"Dismiss",children:"✕"})]})}function Wp(){return a.jsxs("section",{className:"hero",children:[a.jsx("div",{className:"hero-overlay"}),a.jsxs("div",{className:"hero-inner",children:[a.jsxs("div",{className:"hero-text",children:[a.jsx("p",{className:"eyebrow",children:"Social Contract"}),a.jsx("h1",{className:"hero-title",children:"I'm in. If you're in."}),a.jsx("p",{className:"hero-subtitle",children:"Partner up, keep your streak alive, and prove you both showed up. Find a live challenge or start your own."}),a.jsx("p",{className:"hero-note",children:"Stay accountable together — one check-in at a time."})]})]}),a.jsx("div",{className:"hero-wave"})]})}function Hp({onRegister:e,onLogin:t}){const[n,r]=A.useState("register"),[i,s]=A.useState(""),[l,o]=A.useState(""),[u,c]=A.useState(""),[m,y]=A.useState(!1);async function p(w){if(w.preventDefault(),!(!l.trim()||!u)){y(!0);try{n==="register"?await e({name:i.trim()||l.trim(),email:l.trim(),password:u}):await t({email:l.trim(),password:u})}catch{}finally{y(!1)}}}return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:n==="register"?"Create account":"Log in"}),a.jsx("p",{className:"card-subtitle",children:"Email + password so we can keep your contracts and chats tied to you."}),a.jsxs("form",{onSubmit:p,className:"contract-form",children:[n==="register"&&a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Name"}),a.jsx("input",{className:"field-input",value:i,onChange:w=>s(w.target.value)})]}),a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Email"}),a.jsx("input",{className:"field-input",value:l,onChange:w=>o(w.target.value)})]}),a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Password"}),a.jsx("input",{className:"field-input",type:"password",value:u,onChange:w=>c(w.target.value)})]}),a.jsx("button",{className:"btn primary",type:"submit",disabled:!l.trim()||!u||m,children:m?"Working…":n==="register"?"Create account":"Log in"})]}),a.jsx("div",{className:"auth-switch",children:n==="register"?a.jsx("button",{className:"btn ghost",onClick:()=>r("login"),children:"Have an account? Log in"}):a.jsx("button",{className:"btn ghost",onClick:()=>r("register"),children:"New here? Create account"})})]})}function Qp({user:e}){return a.jsxs("section",{className:"dashboard-header",children:[a.jsxs("h2",{className:"section-title",children:["Welcome back, ",a.jsx("span",{className:"highlight",children:e.name})]}),a.jsx("p",{className:"section-subtitle",children:"Draft a measurable habit, invite a friend or find a match, and start chatting when paired."})]})}function Kp({onCreate,onAccept,loading,inviteNotice,isCapped,limit}){
+`+s.stack}return{value:e,source:t,stack:i,digest:null}}function vs(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function nl(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var kh=typeof WeakMap=="function"?WeakMap:Map;function _c(e,t,n){n=lt(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){Ci||(Ci=!0,dl=r),nl(e,t)},n}function Nc(e,t,n){n=lt(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var i=t.value;n.payload=function(){return r(i)},n.callback=function(){nl(e,t)}}var s=e.stateNode;return s!==null&&typeof s.componentDidCatch=="function"&&(n.callback=function(){nl(e,t),typeof r!="function"&&(Et===null?Et=new Set([this]):Et.add(this));var l=t.stack;this.componentDidCatch(t.value,{componentStack:l!==null?l:""})}),n}function hu(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new kh;var i=new Set;r.set(t,i)}else i=r.get(t),i===void 0&&(i=new Set,r.set(t,i));i.has(n)||(i.add(n),e=Dh.bind(null,e,t,n),t.then(e,e))}function pu(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function mu(e,t,n,r,i){return e.mode&1?(e.flags|=65536,e.lanes=i,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=lt(-1,1),t.tag=2,Nt(n,t,1))),n.lanes|=1),e)}var Sh=ft.ReactCurrentOwner,ge=!1;function fe(e,t,n,r){t.child=e===null?ba(t,null,n,r):kn(t,e.child,n,r)}function yu(e,t,n,r,i){n=n.render;var s=t.ref;return mn(t,i),r=to(e,t,n,r,s,i),n=no(),e!==null&&!ge?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~i,ct(e,t,i)):(W&&n&&Wl(t),t.flags|=1,fe(e,t,r,i),t.child)}function vu(e,t,n,r,i){if(e===null){var s=n.type;return typeof s=="function"&&!ho(s)&&s.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=s,Ec(e,t,s,r,i)):(e=ti(n.type,null,r,t,t.mode,i),e.ref=t.ref,e.return=t,t.child=e)}if(s=e.child,!(e.lanes&i)){var l=s.memoizedProps;if(n=n.compare,n=n!==null?n:lr,n(l,r)&&e.ref===t.ref)return ct(e,t,i)}return t.flags|=1,e=jt(s,r),e.ref=t.ref,e.return=t,t.child=e}function Ec(e,t,n,r,i){if(e!==null){var s=e.memoizedProps;if(lr(s,r)&&e.ref===t.ref)if(ge=!1,t.pendingProps=r=s,(e.lanes&i)!==0)e.flags&131072&&(ge=!0);else return t.lanes=e.lanes,ct(e,t,i)}return rl(e,t,n,r,i)}function Cc(e,t,n){var r=t.pendingProps,i=r.children,s=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},F(cn,Ee),Ee|=n;else{if(!(n&1073741824))return e=s!==null?s.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,F(cn,Ee),Ee|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=s!==null?s.baseLanes:n,F(cn,Ee),Ee|=r}else s!==null?(r=s.baseLanes|n,t.memoizedState=null):r=n,F(cn,Ee),Ee|=r;return fe(e,t,i,n),t.child}function jc(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function rl(e,t,n,r,i){var s=ke(n)?Vt:ce.current;return s=gn(t,s),mn(t,i),n=to(e,t,n,r,s,i),r=no(),e!==null&&!ge?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~i,ct(e,t,i)):(W&&r&&Wl(t),t.flags|=1,fe(e,t,n,i),t.child)}function gu(e,t,n,r,i){if(ke(n)){var s=!0;yi(t)}else s=!1;if(mn(t,i),t.stateNode===null)Zr(e,t),xc(t,n,r),tl(t,n,r,i),r=!0;else if(e===null){var l=t.stateNode,o=t.memoizedProps;l.props=o;var u=l.context,c=n.contextType;typeof c=="object"&&c!==null?c=Me(c):(c=ke(n)?Vt:ce.current,c=gn(t,c));var m=n.getDerivedStateFromProps,y=typeof m=="function"||typeof l.getSnapshotBeforeUpdate=="function";y||typeof l.UNSAFE_componentWillReceiveProps!="function"&&typeof l.componentWillReceiveProps!="function"||(o!==r||u!==c)&&du(t,l,r,c),mt=!1;var p=t.memoizedState;l.state=p,Si(t,r,l,i),u=t.memoizedState,o!==r||p!==u||we.current||mt?(typeof m=="function"&&(el(t,n,m,r),u=t.memoizedState),(o=mt||fu(t,n,o,r,p,u,c))?(y||typeof l.UNSAFE_componentWillMount!="function"&&typeof l.componentWillMount!="function"||(typeof l.componentWillMount=="function"&&l.componentWillMount(),typeof l.UNSAFE_componentWillMount=="function"&&l.UNSAFE_componentWillMount()),typeof l.componentDidMount=="function"&&(t.flags|=4194308)):(typeof l.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),l.props=r,l.state=u,l.context=c,r=o):(typeof l.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{l=t.stateNode,tc(e,t),o=t.memoizedProps,c=t.type===t.elementType?o:Ue(t.type,o),l.props=c,y=t.pendingProps,p=l.context,u=n.contextType,typeof u=="object"&&u!==null?u=Me(u):(u=ke(n)?Vt:ce.current,u=gn(t,u));var w=n.getDerivedStateFromProps;(m=typeof w=="function"||typeof l.getSnapshotBeforeUpdate=="function")||typeof l.UNSAFE_componentWillReceiveProps!="function"&&typeof l.componentWillReceiveProps!="function"||(o!==y||p!==u)&&du(t,l,r,u),mt=!1,p=t.memoizedState,l.state=p,Si(t,r,l,i);var k=t.memoizedState;o!==y||p!==k||we.current||mt?(typeof w=="function"&&(el(t,n,w,r),k=t.memoizedState),(c=mt||fu(t,n,c,r,p,k,u)||!1)?(m||typeof l.UNSAFE_componentWillUpdate!="function"&&typeof l.componentWillUpdate!="function"||(typeof l.componentWillUpdate=="function"&&l.componentWillUpdate(r,k,u),typeof l.UNSAFE_componentWillUpdate=="function"&&l.UNSAFE_componentWillUpdate(r,k,u)),typeof l.componentDidUpdate=="function"&&(t.flags|=4),typeof l.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof l.componentDidUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=4),typeof l.getSnapshotBeforeUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=k),l.props=r,l.state=k,l.context=u,r=c):(typeof l.componentDidUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=4),typeof l.getSnapshotBeforeUpdate!="function"||o===e.memoizedProps&&p===e.memoizedState||(t.flags|=1024),r=!1)}return il(e,t,n,r,s,i)}function il(e,t,n,r,i,s){jc(e,t);var l=(t.flags&128)!==0;if(!r&&!l)return i&&ru(t,n,!1),ct(e,t,s);r=t.stateNode,Sh.current=t;var o=l&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&l?(t.child=kn(t,e.child,null,s),t.child=kn(t,null,o,s)):fe(e,t,o,s),t.memoizedState=r.state,i&&ru(t,n,!0),t.child}function Tc(e){var t=e.stateNode;t.pendingContext?nu(e,t.pendingContext,t.pendingContext!==t.context):t.context&&nu(e,t.context,!1),Gl(e,t.containerInfo)}function wu(e,t,n,r,i){return wn(),Ql(i),t.flags|=256,fe(e,t,n,r),t.child}var sl={dehydrated:null,treeContext:null,retryLane:0};function ll(e){return{baseLanes:e,cachePool:null,transitions:null}}function Pc(e,t,n){var r=t.pendingProps,i=Q.current,s=!1,l=(t.flags&128)!==0,o;if((o=l)||(o=e!==null&&e.memoizedState===null?!1:(i&2)!==0),o?(s=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(i|=1),F(Q,i&1),e===null)return Zs(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(l=r.children,e=r.fallback,s?(r=t.mode,s=t.child,l={mode:"hidden",children:l},!(r&1)&&s!==null?(s.childLanes=0,s.pendingProps=l):s=$i(l,r,0,null),e=Ut(e,r,n,null),s.return=t,e.return=t,s.sibling=e,t.child=s,t.child.memoizedState=ll(n),t.memoizedState=sl,e):so(t,l));if(i=e.memoizedState,i!==null&&(o=i.dehydrated,o!==null))return xh(e,t,l,r,o,i,n);if(s){s=r.fallback,l=t.mode,i=e.child,o=i.sibling;var u={mode:"hidden",children:r.children};return!(l&1)&&t.child!==i?(r=t.child,r.childLanes=0,r.pendingProps=u,t.deletions=null):(r=jt(i,u),r.subtreeFlags=i.subtreeFlags&14680064),o!==null?s=jt(o,s):(s=Ut(s,l,n,null),s.flags|=2),s.return=t,r.return=t,r.sibling=s,t.child=r,r=s,s=t.child,l=e.child.memoizedState,l=l===null?ll(n):{baseLanes:l.baseLanes|n,cachePool:null,transitions:l.transitions},s.memoizedState=l,s.childLanes=e.childLanes&~n,t.memoizedState=sl,r}return s=e.child,e=s.sibling,r=jt(s,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function so(e,t){return t=$i({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function Br(e,t,n,r){return r!==null&&Ql(r),kn(t,e.child,null,n),e=so(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function xh(e,t,n,r,i,s,l){if(n)return t.flags&256?(t.flags&=-257,r=vs(Error(g(422))),Br(e,t,l,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(s=r.fallback,i=t.mode,r=$i({mode:"visible",children:r.children},i,0,null),s=Ut(s,i,l,null),s.flags|=2,r.return=t,s.return=t,r.sibling=s,t.child=r,t.mode&1&&kn(t,e.child,null,l),t.child.memoizedState=ll(l),t.memoizedState=sl,s);if(!(t.mode&1))return Br(e,t,l,null);if(i.data==="$!"){if(r=i.nextSibling&&i.nextSibling.dataset,r)var o=r.dgst;return r=o,s=Error(g(419)),r=vs(s,r,void 0),Br(e,t,l,r)}if(o=(l&e.childLanes)!==0,ge||o){if(r=re,r!==null){switch(l&-l){case 4:i=2;break;case 16:i=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:i=32;break;case 536870912:i=268435456;break;default:i=0}i=i&(r.suspendedLanes|l)?0:i,i!==0&&i!==s.retryLane&&(s.retryLane=i,at(e,i),Qe(r,e,i,-1))}return fo(),r=vs(Error(g(421))),Br(e,t,l,r)}return i.data==="$?"?(t.flags|=128,t.child=e.child,t=Ah.bind(null,e),i._reactRetry=t,null):(e=s.treeContext,Ce=_t(i.nextSibling),je=t,W=!0,We=null,e!==null&&(Oe[ze++]=it,Oe[ze++]=st,Oe[ze++]=$t,it=e.id,st=e.overflow,$t=t),t=so(t,r.children),t.flags|=4096,t)}function ku(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),bs(e.return,t,n)}function gs(e,t,n,r,i){var s=e.memoizedState;s===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:i}:(s.isBackwards=t,s.rendering=null,s.renderingStartTime=0,s.last=r,s.tail=n,s.tailMode=i)}function Lc(e,t,n){var r=t.pendingProps,i=r.revealOrder,s=r.tail;if(fe(e,t,r.children,n),r=Q.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&ku(e,n,t);else if(e.tag===19)ku(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(F(Q,r),!(t.mode&1))t.memoizedState=null;else switch(i){case"forwards":for(n=t.child,i=null;n!==null;)e=n.alternate,e!==null&&xi(e)===null&&(i=n),n=n.sibling;n=i,n===null?(i=t.child,t.child=null):(i=n.sibling,n.sibling=null),gs(t,!1,i,n,s);break;case"backwards":for(n=null,i=t.child,t.child=null;i!==null;){if(e=i.alternate,e!==null&&xi(e)===null){t.child=i;break}e=i.sibling,i.sibling=n,n=i,i=e}gs(t,!0,n,null,s);break;case"together":gs(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Zr(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function ct(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),Ht|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(g(153));if(t.child!==null){for(e=t.child,n=jt(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=jt(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function _h(e,t,n){switch(t.tag){case 3:Tc(t),wn();break;case 5:nc(t);break;case 1:ke(t.type)&&yi(t);break;case 4:Gl(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,i=t.memoizedProps.value;F(wi,r._currentValue),r._currentValue=i;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(F(Q,Q.current&1),t.flags|=128,null):n&t.child.childLanes?Pc(e,t,n):(F(Q,Q.current&1),e=ct(e,t,n),e!==null?e.sibling:null);F(Q,Q.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return Lc(e,t,n);t.flags|=128}if(i=t.memoizedState,i!==null&&(i.rendering=null,i.tail=null,i.lastEffect=null),F(Q,Q.current),r)break;return null;case 22:case 23:return t.lanes=0,Cc(e,t,n)}return ct(e,t,n)}var Rc,ol,Oc,zc;Rc=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};ol=function(){};Oc=function(e,t,n,r){var i=e.memoizedProps;if(i!==r){e=t.stateNode,Bt(Ze.current);var s=null;switch(n){case"input":i=Ps(e,i),r=Ps(e,r),s=[];break;case"select":i=q({},i,{value:void 0}),r=q({},r,{value:void 0}),s=[];break;case"textarea":i=Os(e,i),r=Os(e,r),s=[];break;default:typeof i.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=pi)}Ds(n,r);var l;n=null;for(c in i)if(!r.hasOwnProperty(c)&&i.hasOwnProperty(c)&&i[c]!=null)if(c==="style"){var o=i[c];for(l in o)o.hasOwnProperty(l)&&(n||(n={}),n[l]="")}else c!=="dangerouslySetInnerHTML"&&c!=="children"&&c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&c!=="autoFocus"&&(bn.hasOwnProperty(c)?s||(s=[]):(s=s||[]).push(c,null));for(c in r){var u=r[c];if(o=i!=null?i[c]:void 0,r.hasOwnProperty(c)&&u!==o&&(u!=null||o!=null))if(c==="style")if(o){for(l in o)!o.hasOwnProperty(l)||u&&u.hasOwnProperty(l)||(n||(n={}),n[l]="");for(l in u)u.hasOwnProperty(l)&&o[l]!==u[l]&&(n||(n={}),n[l]=u[l])}else n||(s||(s=[]),s.push(c,n)),n=u;else c==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,o=o?o.__html:void 0,u!=null&&o!==u&&(s=s||[]).push(c,u)):c==="children"?typeof u!="string"&&typeof u!="number"||(s=s||[]).push(c,""+u):c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&(bn.hasOwnProperty(c)?(u!=null&&c==="onScroll"&&U("scroll",e),s||o===u||(s=[])):(s=s||[]).push(c,u))}n&&(s=s||[]).push("style",n);var c=s;(t.updateQueue=c)&&(t.flags|=4)}};zc=function(e,t,n,r){n!==r&&(t.flags|=4)};function In(e,t){if(!W)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function ue(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var i=e.child;i!==null;)n|=i.lanes|i.childLanes,r|=i.subtreeFlags&14680064,r|=i.flags&14680064,i.return=e,i=i.sibling;else for(i=e.child;i!==null;)n|=i.lanes|i.childLanes,r|=i.subtreeFlags,r|=i.flags,i.return=e,i=i.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function Nh(e,t,n){var r=t.pendingProps;switch(Hl(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return ue(t),null;case 1:return ke(t.type)&&mi(),ue(t),null;case 3:return r=t.stateNode,Sn(),V(we),V(ce),bl(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(Ir(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,We!==null&&(ml(We),We=null))),ol(e,t),ue(t),null;case 5:Zl(t);var i=Bt(fr.current);if(n=t.type,e!==null&&t.stateNode!=null)Oc(e,t,n,r,i),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(g(166));return ue(t),null}if(e=Bt(Ze.current),Ir(t)){r=t.stateNode,n=t.type;var s=t.memoizedProps;switch(r[Je]=t,r[ar]=s,e=(t.mode&1)!==0,n){case"dialog":U("cancel",r),U("close",r);break;case"iframe":case"object":case"embed":U("load",r);break;case"video":case"audio":for(i=0;i<$n.length;i++)U($n[i],r);break;case"source":U("error",r);break;case"img":case"image":case"link":U("error",r),U("load",r);break;case"details":U("toggle",r);break;case"input":Po(r,s),U("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},U("invalid",r);break;case"textarea":Ro(r,s),U("invalid",r)}Ds(n,s),i=null;for(var l in s)if(s.hasOwnProperty(l)){var o=s[l];l==="children"?typeof o=="string"?r.textContent!==o&&(s.suppressHydrationWarning!==!0&&Ar(r.textContent,o,e),i=["children",o]):typeof o=="number"&&r.textContent!==""+o&&(s.suppressHydrationWarning!==!0&&Ar(r.textContent,o,e),i=["children",""+o]):bn.hasOwnProperty(l)&&o!=null&&l==="onScroll"&&U("scroll",r)}switch(n){case"input":jr(r),Lo(r,s,!0);break;case"textarea":jr(r),Oo(r);break;case"select":case"option":break;default:typeof s.onClick=="function"&&(r.onclick=pi)}r=i,t.updateQueue=r,r!==null&&(t.flags|=4)}else{l=i.nodeType===9?i:i.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=oa(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=l.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=l.createElement(n,{is:r.is}):(e=l.createElement(n),n==="select"&&(l=e,r.multiple?l.multiple=!0:r.size&&(l.size=r.size))):e=l.createElementNS(e,n),e[Je]=t,e[ar]=r,Rc(e,t,!1,!1),t.stateNode=e;e:{switch(l=As(n,r),n){case"dialog":U("cancel",e),U("close",e),i=r;break;case"iframe":case"object":case"embed":U("load",e),i=r;break;case"video":case"audio":for(i=0;i<$n.length;i++)U($n[i],e);i=r;break;case"source":U("error",e),i=r;break;case"img":case"image":case"link":U("error",e),U("load",e),i=r;break;case"details":U("toggle",e),i=r;break;case"input":Po(e,r),i=Ps(e,r),U("invalid",e);break;case"option":i=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},i=q({},r,{value:void 0}),U("invalid",e);break;case"textarea":Ro(e,r),i=Os(e,r),U("invalid",e);break;default:i=r}Ds(n,i),o=i;for(s in o)if(o.hasOwnProperty(s)){var u=o[s];s==="style"?ca(e,u):s==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,u!=null&&ua(e,u)):s==="children"?typeof u=="string"?(n!=="textarea"||u!=="")&&er(e,u):typeof u=="number"&&er(e,""+u):s!=="suppressContentEditableWarning"&&s!=="suppressHydrationWarning"&&s!=="autoFocus"&&(bn.hasOwnProperty(s)?u!=null&&s==="onScroll"&&U("scroll",e):u!=null&&Pl(e,s,u,l))}switch(n){case"input":jr(e),Lo(e,r,!1);break;case"textarea":jr(e),Oo(e);break;case"option":r.value!=null&&e.setAttribute("value",""+Pt(r.value));break;case"select":e.multiple=!!r.multiple,s=r.value,s!=null?fn(e,!!r.multiple,s,!1):r.defaultValue!=null&&fn(e,!!r.multiple,r.defaultValue,!0);break;default:typeof i.onClick=="function"&&(e.onclick=pi)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return ue(t),null;case 6:if(e&&t.stateNode!=null)zc(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(g(166));if(n=Bt(fr.current),Bt(Ze.current),Ir(t)){if(r=t.stateNode,n=t.memoizedProps,r[Je]=t,(s=r.nodeValue!==n)&&(e=je,e!==null))switch(e.tag){case 3:Ar(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&Ar(r.nodeValue,n,(e.mode&1)!==0)}s&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[Je]=t,t.stateNode=r}return ue(t),null;case 13:if(V(Q),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(W&&Ce!==null&&t.mode&1&&!(t.flags&128))Ga(),wn(),t.flags|=98560,s=!1;else if(s=Ir(t),r!==null&&r.dehydrated!==null){if(e===null){if(!s)throw Error(g(318));if(s=t.memoizedState,s=s!==null?s.dehydrated:null,!s)throw Error(g(317));s[Je]=t}else wn(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;ue(t),s=!1}else We!==null&&(ml(We),We=null),s=!0;if(!s)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||Q.current&1?ee===0&&(ee=3):fo())),t.updateQueue!==null&&(t.flags|=4),ue(t),null);case 4:return Sn(),ol(e,t),e===null&&or(t.stateNode.containerInfo),ue(t),null;case 10:return Yl(t.type._context),ue(t),null;case 17:return ke(t.type)&&mi(),ue(t),null;case 19:if(V(Q),s=t.memoizedState,s===null)return ue(t),null;if(r=(t.flags&128)!==0,l=s.rendering,l===null)if(r)In(s,!1);else{if(ee!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(l=xi(e),l!==null){for(t.flags|=128,In(s,!1),r=l.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)s=n,e=r,s.flags&=14680066,l=s.alternate,l===null?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=l.childLanes,s.lanes=l.lanes,s.child=l.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=l.memoizedProps,s.memoizedState=l.memoizedState,s.updateQueue=l.updateQueue,s.type=l.type,e=l.dependencies,s.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return F(Q,Q.current&1|2),t.child}e=e.sibling}s.tail!==null&&J()>_n&&(t.flags|=128,r=!0,In(s,!1),t.lanes=4194304)}else{if(!r)if(e=xi(l),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),In(s,!0),s.tail===null&&s.tailMode==="hidden"&&!l.alternate&&!W)return ue(t),null}else 2*J()-s.renderingStartTime>_n&&n!==1073741824&&(t.flags|=128,r=!0,In(s,!1),t.lanes=4194304);s.isBackwards?(l.sibling=t.child,t.child=l):(n=s.last,n!==null?n.sibling=l:t.child=l,s.last=l)}return s.tail!==null?(t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=J(),t.sibling=null,n=Q.current,F(Q,r?n&1|2:n&1),t):(ue(t),null);case 22:case 23:return co(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?Ee&1073741824&&(ue(t),t.subtreeFlags&6&&(t.flags|=8192)):ue(t),null;case 24:return null;case 25:return null}throw Error(g(156,t.tag))}function Eh(e,t){switch(Hl(t),t.tag){case 1:return ke(t.type)&&mi(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return Sn(),V(we),V(ce),bl(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return Zl(t),null;case 13:if(V(Q),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(g(340));wn()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return V(Q),null;case 4:return Sn(),null;case 10:return Yl(t.type._context),null;case 22:case 23:return co(),null;case 24:return null;default:return null}}var Fr=!1,ae=!1,Ch=typeof WeakSet=="function"?WeakSet:Set,N=null;function an(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){Y(e,t,r)}else n.current=null}function ul(e,t,n){try{n()}catch(r){Y(e,t,r)}}var Su=!1;function jh(e,t){if(Qs=fi,e=Ba(),$l(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var i=r.anchorOffset,s=r.focusNode;r=r.focusOffset;try{n.nodeType,s.nodeType}catch{n=null;break e}var l=0,o=-1,u=-1,c=0,m=0,y=e,p=null;t:for(;;){for(var w;y!==n||i!==0&&y.nodeType!==3||(o=l+i),y!==s||r!==0&&y.nodeType!==3||(u=l+r),y.nodeType===3&&(l+=y.nodeValue.length),(w=y.firstChild)!==null;)p=y,y=w;for(;;){if(y===e)break t;if(p===n&&++c===i&&(o=l),p===s&&++m===r&&(u=l),(w=y.nextSibling)!==null)break;y=p,p=y.parentNode}y=w}n=o===-1||u===-1?null:{start:o,end:u}}else n=null}n=n||{start:0,end:0}}else n=null;for(Ks={focusedElem:e,selectionRange:n},fi=!1,N=t;N!==null;)if(t=N,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,N=e;else for(;N!==null;){t=N;try{var k=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(k!==null){var S=k.memoizedProps,B=k.memoizedState,h=t.stateNode,f=h.getSnapshotBeforeUpdate(t.elementType===t.type?S:Ue(t.type,S),B);h.__reactInternalSnapshotBeforeUpdate=f}break;case 3:var d=t.stateNode.containerInfo;d.nodeType===1?d.textContent="":d.nodeType===9&&d.documentElement&&d.removeChild(d.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(g(163))}}catch(v){Y(t,t.return,v)}if(e=t.sibling,e!==null){e.return=t.return,N=e;break}N=t.return}return k=Su,Su=!1,k}function Jn(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var i=r=r.next;do{if((i.tag&e)===e){var s=i.destroy;i.destroy=void 0,s!==void 0&&ul(t,n,s)}i=i.next}while(i!==r)}}function Ui(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function al(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function Dc(e){var t=e.alternate;t!==null&&(e.alternate=null,Dc(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[Je],delete t[ar],delete t[Xs],delete t[ah],delete t[ch])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Ac(e){return e.tag===5||e.tag===3||e.tag===4}function xu(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Ac(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function cl(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=pi));else if(r!==4&&(e=e.child,e!==null))for(cl(e,t,n),e=e.sibling;e!==null;)cl(e,t,n),e=e.sibling}function fl(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(fl(e,t,n),e=e.sibling;e!==null;)fl(e,t,n),e=e.sibling}var ie=null,Ve=!1;function dt(e,t,n){for(n=n.child;n!==null;)Ic(e,t,n),n=n.sibling}function Ic(e,t,n){if(Ge&&typeof Ge.onCommitFiberUnmount=="function")try{Ge.onCommitFiberUnmount(Oi,n)}catch{}switch(n.tag){case 5:ae||an(n,t);case 6:var r=ie,i=Ve;ie=null,dt(e,t,n),ie=r,Ve=i,ie!==null&&(Ve?(e=ie,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):ie.removeChild(n.stateNode));break;case 18:ie!==null&&(Ve?(e=ie,n=n.stateNode,e.nodeType===8?fs(e.parentNode,n):e.nodeType===1&&fs(e,n),ir(e)):fs(ie,n.stateNode));break;case 4:r=ie,i=Ve,ie=n.stateNode.containerInfo,Ve=!0,dt(e,t,n),ie=r,Ve=i;break;case 0:case 11:case 14:case 15:if(!ae&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){i=r=r.next;do{var s=i,l=s.destroy;s=s.tag,l!==void 0&&(s&2||s&4)&&ul(n,t,l),i=i.next}while(i!==r)}dt(e,t,n);break;case 1:if(!ae&&(an(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(o){Y(n,t,o)}dt(e,t,n);break;case 21:dt(e,t,n);break;case 22:n.mode&1?(ae=(r=ae)||n.memoizedState!==null,dt(e,t,n),ae=r):dt(e,t,n);break;default:dt(e,t,n)}}function _u(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new Ch),t.forEach(function(r){var i=Ih.bind(null,e,r);n.has(r)||(n.add(r),r.then(i,i))})}}function Fe(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var i=n[r];try{var s=e,l=t,o=l;e:for(;o!==null;){switch(o.tag){case 5:ie=o.stateNode,Ve=!1;break e;case 3:ie=o.stateNode.containerInfo,Ve=!0;break e;case 4:ie=o.stateNode.containerInfo,Ve=!0;break e}o=o.return}if(ie===null)throw Error(g(160));Ic(s,l,i),ie=null,Ve=!1;var u=i.alternate;u!==null&&(u.return=null),i.return=null}catch(c){Y(i,t,c)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)Mc(t,e),t=t.sibling}function Mc(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(Fe(t,e),Ye(e),r&4){try{Jn(3,e,e.return),Ui(3,e)}catch(S){Y(e,e.return,S)}try{Jn(5,e,e.return)}catch(S){Y(e,e.return,S)}}break;case 1:Fe(t,e),Ye(e),r&512&&n!==null&&an(n,n.return);break;case 5:if(Fe(t,e),Ye(e),r&512&&n!==null&&an(n,n.return),e.flags&32){var i=e.stateNode;try{er(i,"")}catch(S){Y(e,e.return,S)}}if(r&4&&(i=e.stateNode,i!=null)){var s=e.memoizedProps,l=n!==null?n.memoizedProps:s,o=e.type,u=e.updateQueue;if(e.updateQueue=null,u!==null)try{o==="input"&&s.type==="radio"&&s.name!=null&&sa(i,s),As(o,l);var c=As(o,s);for(l=0;l<u.length;l+=2){var m=u[l],y=u[l+1];m==="style"?ca(i,y):m==="dangerouslySetInnerHTML"?ua(i,y):m==="children"?er(i,y):Pl(i,m,y,c)}switch(o){case"input":Ls(i,s);break;case"textarea":la(i,s);break;case"select":var p=i._wrapperState.wasMultiple;i._wrapperState.wasMultiple=!!s.multiple;var w=s.value;w!=null?fn(i,!!s.multiple,w,!1):p!==!!s.multiple&&(s.defaultValue!=null?fn(i,!!s.multiple,s.defaultValue,!0):fn(i,!!s.multiple,s.multiple?[]:"",!1))}i[ar]=s}catch(S){Y(e,e.return,S)}}break;case 6:if(Fe(t,e),Ye(e),r&4){if(e.stateNode===null)throw Error(g(162));i=e.stateNode,s=e.memoizedProps;try{i.nodeValue=s}catch(S){Y(e,e.return,S)}}break;case 3:if(Fe(t,e),Ye(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{ir(t.containerInfo)}catch(S){Y(e,e.return,S)}break;case 4:Fe(t,e),Ye(e);break;case 13:Fe(t,e),Ye(e),i=e.child,i.flags&8192&&(s=i.memoizedState!==null,i.stateNode.isHidden=s,!s||i.alternate!==null&&i.alternate.memoizedState!==null||(uo=J())),r&4&&_u(e);break;case 22:if(m=n!==null&&n.memoizedState!==null,e.mode&1?(ae=(c=ae)||m,Fe(t,e),ae=c):Fe(t,e),Ye(e),r&8192){if(c=e.memoizedState!==null,(e.stateNode.isHidden=c)&&!m&&e.mode&1)for(N=e,m=e.child;m!==null;){for(y=N=m;N!==null;){switch(p=N,w=p.child,p.tag){case 0:case 11:case 14:case 15:Jn(4,p,p.return);break;case 1:an(p,p.return);var k=p.stateNode;if(typeof k.componentWillUnmount=="function"){r=p,n=p.return;try{t=r,k.props=t.memoizedProps,k.state=t.memoizedState,k.componentWillUnmount()}catch(S){Y(r,n,S)}}break;case 5:an(p,p.return);break;case 22:if(p.memoizedState!==null){Eu(y);continue}}w!==null?(w.return=p,N=w):Eu(y)}m=m.sibling}e:for(m=null,y=e;;){if(y.tag===5){if(m===null){m=y;try{i=y.stateNode,c?(s=i.style,typeof s.setProperty=="function"?s.setProperty("display","none","important"):s.display="none"):(o=y.stateNode,u=y.memoizedProps.style,l=u!=null&&u.hasOwnProperty("display")?u.display:null,o.style.display=aa("display",l))}catch(S){Y(e,e.return,S)}}}else if(y.tag===6){if(m===null)try{y.stateNode.nodeValue=c?"":y.memoizedProps}catch(S){Y(e,e.return,S)}}else if((y.tag!==22&&y.tag!==23||y.memoizedState===null||y===e)&&y.child!==null){y.child.return=y,y=y.child;continue}if(y===e)break e;for(;y.sibling===null;){if(y.return===null||y.return===e)break e;m===y&&(m=null),y=y.return}m===y&&(m=null),y.sibling.return=y.return,y=y.sibling}}break;case 19:Fe(t,e),Ye(e),r&4&&_u(e);break;case 21:break;default:Fe(t,e),Ye(e)}}function Ye(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(Ac(n)){var r=n;break e}n=n.return}throw Error(g(160))}switch(r.tag){case 5:var i=r.stateNode;r.flags&32&&(er(i,""),r.flags&=-33);var s=xu(e);fl(e,s,i);break;case 3:case 4:var l=r.stateNode.containerInfo,o=xu(e);cl(e,o,l);break;default:throw Error(g(161))}}catch(u){Y(e,e.return,u)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function Th(e,t,n){N=e,Bc(e)}function Bc(e,t,n){for(var r=(e.mode&1)!==0;N!==null;){var i=N,s=i.child;if(i.tag===22&&r){var l=i.memoizedState!==null||Fr;if(!l){var o=i.alternate,u=o!==null&&o.memoizedState!==null||ae;o=Fr;var c=ae;if(Fr=l,(ae=u)&&!c)for(N=i;N!==null;)l=N,u=l.child,l.tag===22&&l.memoizedState!==null?Cu(i):u!==null?(u.return=l,N=u):Cu(i);for(;s!==null;)N=s,Bc(s),s=s.sibling;N=i,Fr=o,ae=c}Nu(e)}else i.subtreeFlags&8772&&s!==null?(s.return=i,N=s):Nu(e)}}function Nu(e){for(;N!==null;){var t=N;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:ae||Ui(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!ae)if(n===null)r.componentDidMount();else{var i=t.elementType===t.type?n.memoizedProps:Ue(t.type,n.memoizedProps);r.componentDidUpdate(i,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var s=t.updateQueue;s!==null&&uu(t,s,r);break;case 3:var l=t.updateQueue;if(l!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}uu(t,l,n)}break;case 5:var o=t.stateNode;if(n===null&&t.flags&4){n=o;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&n.focus();break;case"img":u.src&&(n.src=u.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var c=t.alternate;if(c!==null){var m=c.memoizedState;if(m!==null){var y=m.dehydrated;y!==null&&ir(y)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(g(163))}ae||t.flags&512&&al(t)}catch(p){Y(t,t.return,p)}}if(t===e){N=null;break}if(n=t.sibling,n!==null){n.return=t.return,N=n;break}N=t.return}}function Eu(e){for(;N!==null;){var t=N;if(t===e){N=null;break}var n=t.sibling;if(n!==null){n.return=t.return,N=n;break}N=t.return}}function Cu(e){for(;N!==null;){var t=N;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{Ui(4,t)}catch(u){Y(t,n,u)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var i=t.return;try{r.componentDidMount()}catch(u){Y(t,i,u)}}var s=t.return;try{al(t)}catch(u){Y(t,s,u)}break;case 5:var l=t.return;try{al(t)}catch(u){Y(t,l,u)}}}catch(u){Y(t,t.return,u)}if(t===e){N=null;break}var o=t.sibling;if(o!==null){o.return=t.return,N=o;break}N=t.return}}var Ph=Math.ceil,Ei=ft.ReactCurrentDispatcher,lo=ft.ReactCurrentOwner,Ie=ft.ReactCurrentBatchConfig,I=0,re=null,G=null,se=0,Ee=0,cn=Ot(0),ee=0,mr=null,Ht=0,Vi=0,oo=0,Gn=null,ve=null,uo=0,_n=1/0,nt=null,Ci=!1,dl=null,Et=null,Ur=!1,wt=null,ji=0,Zn=0,hl=null,br=-1,ei=0;function de(){return I&6?J():br!==-1?br:br=J()}function Ct(e){return e.mode&1?I&2&&se!==0?se&-se:dh.transition!==null?(ei===0&&(ei=xa()),ei):(e=M,e!==0||(e=window.event,e=e===void 0?16:Pa(e.type)),e):1}function Qe(e,t,n,r){if(50<Zn)throw Zn=0,hl=null,Error(g(185));vr(e,n,r),(!(I&2)||e!==re)&&(e===re&&(!(I&2)&&(Vi|=n),ee===4&&vt(e,se)),Se(e,r),n===1&&I===0&&!(t.mode&1)&&(_n=J()+500,Mi&&zt()))}function Se(e,t){var n=e.callbackNode;dd(e,t);var r=ci(e,e===re?se:0);if(r===0)n!==null&&Ao(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Ao(n),t===1)e.tag===0?fh(ju.bind(null,e)):Ya(ju.bind(null,e)),oh(function(){!(I&6)&&zt()}),n=null;else{switch(_a(r)){case 1:n=Dl;break;case 4:n=ka;break;case 16:n=ai;break;case 536870912:n=Sa;break;default:n=ai}n=Kc(n,Fc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function Fc(e,t){if(br=-1,ei=0,I&6)throw Error(g(327));var n=e.callbackNode;if(yn()&&e.callbackNode!==n)return null;var r=ci(e,e===re?se:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=Ti(e,r);else{t=r;var i=I;I|=2;var s=Vc();(re!==e||se!==t)&&(nt=null,_n=J()+500,Ft(e,t));do try{Oh();break}catch(o){Uc(e,o)}while(!0);ql(),Ei.current=s,I=i,G!==null?t=0:(re=null,se=0,t=ee)}if(t!==0){if(t===2&&(i=Us(e),i!==0&&(r=i,t=pl(e,i))),t===1)throw n=mr,Ft(e,0),vt(e,r),Se(e,J()),n;if(t===6)vt(e,r);else{if(i=e.current.alternate,!(r&30)&&!Lh(i)&&(t=Ti(e,r),t===2&&(s=Us(e),s!==0&&(r=s,t=pl(e,s))),t===1))throw n=mr,Ft(e,0),vt(e,r),Se(e,J()),n;switch(e.finishedWork=i,e.finishedLanes=r,t){case 0:case 1:throw Error(g(345));case 2:At(e,ve,nt);break;case 3:if(vt(e,r),(r&130023424)===r&&(t=uo+500-J(),10<t)){if(ci(e,0)!==0)break;if(i=e.suspendedLanes,(i&r)!==r){de(),e.pingedLanes|=e.suspendedLanes&i;break}e.timeoutHandle=Ys(At.bind(null,e,ve,nt),t);break}At(e,ve,nt);break;case 4:if(vt(e,r),(r&4194240)===r)break;for(t=e.eventTimes,i=-1;0<r;){var l=31-He(r);s=1<<l,l=t[l],l>i&&(i=l),r&=~s}if(r=i,r=J()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Ph(r/1960))-r,10<r){e.timeoutHandle=Ys(At.bind(null,e,ve,nt),r);break}At(e,ve,nt);break;case 5:At(e,ve,nt);break;default:throw Error(g(329))}}}return Se(e,J()),e.callbackNode===n?Fc.bind(null,e):null}function pl(e,t){var n=Gn;return e.current.memoizedState.isDehydrated&&(Ft(e,t).flags|=256),e=Ti(e,t),e!==2&&(t=ve,ve=n,t!==null&&ml(t)),e}function ml(e){ve===null?ve=e:ve.push.apply(ve,e)}function Lh(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var i=n[r],s=i.getSnapshot;i=i.value;try{if(!Ke(s(),i))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function vt(e,t){for(t&=~oo,t&=~Vi,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-He(t),r=1<<n;e[n]=-1,t&=~r}}function ju(e){if(I&6)throw Error(g(327));yn();var t=ci(e,0);if(!(t&1))return Se(e,J()),null;var n=Ti(e,t);if(e.tag!==0&&n===2){var r=Us(e);r!==0&&(t=r,n=pl(e,r))}if(n===1)throw n=mr,Ft(e,0),vt(e,t),Se(e,J()),n;if(n===6)throw Error(g(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,At(e,ve,nt),Se(e,J()),null}function ao(e,t){var n=I;I|=1;try{return e(t)}finally{I=n,I===0&&(_n=J()+500,Mi&&zt())}}function Qt(e){wt!==null&&wt.tag===0&&!(I&6)&&yn();var t=I;I|=1;var n=Ie.transition,r=M;try{if(Ie.transition=null,M=1,e)return e()}finally{M=r,Ie.transition=n,I=t,!(I&6)&&zt()}}function co(){Ee=cn.current,V(cn)}function Ft(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,lh(n)),G!==null)for(n=G.return;n!==null;){var r=n;switch(Hl(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&mi();break;case 3:Sn(),V(we),V(ce),bl();break;case 5:Zl(r);break;case 4:Sn();break;case 13:V(Q);break;case 19:V(Q);break;case 10:Yl(r.type._context);break;case 22:case 23:co()}n=n.return}if(re=e,G=e=jt(e.current,null),se=Ee=t,ee=0,mr=null,oo=Vi=Ht=0,ve=Gn=null,Mt!==null){for(t=0;t<Mt.length;t++)if(n=Mt[t],r=n.interleaved,r!==null){n.interleaved=null;var i=r.next,s=n.pending;if(s!==null){var l=s.next;s.next=i,r.next=l}n.pending=r}Mt=null}return e}function Uc(e,t){do{var n=G;try{if(ql(),Jr.current=Ni,_i){for(var r=K.memoizedState;r!==null;){var i=r.queue;i!==null&&(i.pending=null),r=r.next}_i=!1}if(Wt=0,ne=b=K=null,Xn=!1,dr=0,lo.current=null,n===null||n.return===null){ee=1,mr=t,G=null;break}e:{var s=e,l=n.return,o=n,u=t;if(t=se,o.flags|=32768,u!==null&&typeof u=="object"&&typeof u.then=="function"){var c=u,m=o,y=m.tag;if(!(m.mode&1)&&(y===0||y===11||y===15)){var p=m.alternate;p?(m.updateQueue=p.updateQueue,m.memoizedState=p.memoizedState,m.lanes=p.lanes):(m.updateQueue=null,m.memoizedState=null)}var w=pu(l);if(w!==null){w.flags&=-257,mu(w,l,o,s,t),w.mode&1&&hu(s,c,t),t=w,u=c;var k=t.updateQueue;if(k===null){var S=new Set;S.add(u),t.updateQueue=S}else k.add(u);break e}else{if(!(t&1)){hu(s,c,t),fo();break e}u=Error(g(426))}}else if(W&&o.mode&1){var B=pu(l);if(B!==null){!(B.flags&65536)&&(B.flags|=256),mu(B,l,o,s,t),Ql(xn(u,o));break e}}s=u=xn(u,o),ee!==4&&(ee=2),Gn===null?Gn=[s]:Gn.push(s),s=l;do{switch(s.tag){case 3:s.flags|=65536,t&=-t,s.lanes|=t;var h=_c(s,u,t);ou(s,h);break e;case 1:o=u;var f=s.type,d=s.stateNode;if(!(s.flags&128)&&(typeof f.getDerivedStateFromError=="function"||d!==null&&typeof d.componentDidCatch=="function"&&(Et===null||!Et.has(d)))){s.flags|=65536,t&=-t,s.lanes|=t;var v=Nc(s,o,t);ou(s,v);break e}}s=s.return}while(s!==null)}Wc(n)}catch(x){t=x,G===n&&n!==null&&(G=n=n.return);continue}break}while(!0)}function Vc(){var e=Ei.current;return Ei.current=Ni,e===null?Ni:e}function fo(){(ee===0||ee===3||ee===2)&&(ee=4),re===null||!(Ht&268435455)&&!(Vi&268435455)||vt(re,se)}function Ti(e,t){var n=I;I|=2;var r=Vc();(re!==e||se!==t)&&(nt=null,Ft(e,t));do try{Rh();break}catch(i){Uc(e,i)}while(!0);if(ql(),I=n,Ei.current=r,G!==null)throw Error(g(261));return re=null,se=0,ee}function Rh(){for(;G!==null;)$c(G)}function Oh(){for(;G!==null&&!rd();)$c(G)}function $c(e){var t=Qc(e.alternate,e,Ee);e.memoizedProps=e.pendingProps,t===null?Wc(e):G=t,lo.current=null}function Wc(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=Eh(n,t),n!==null){n.flags&=32767,G=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{ee=6,G=null;return}}else if(n=Nh(n,t,Ee),n!==null){G=n;return}if(t=t.sibling,t!==null){G=t;return}G=t=e}while(t!==null);ee===0&&(ee=5)}function At(e,t,n){var r=M,i=Ie.transition;try{Ie.transition=null,M=1,zh(e,t,n,r)}finally{Ie.transition=i,M=r}return null}function zh(e,t,n,r){do yn();while(wt!==null);if(I&6)throw Error(g(327));n=e.finishedWork;var i=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(g(177));e.callbackNode=null,e.callbackPriority=0;var s=n.lanes|n.childLanes;if(hd(e,s),e===re&&(G=re=null,se=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||Ur||(Ur=!0,Kc(ai,function(){return yn(),null})),s=(n.flags&15990)!==0,n.subtreeFlags&15990||s){s=Ie.transition,Ie.transition=null;var l=M;M=1;var o=I;I|=4,lo.current=null,jh(e,n),Mc(n,e),bd(Ks),fi=!!Qs,Ks=Qs=null,e.current=n,Th(n),id(),I=o,M=l,Ie.transition=s}else e.current=n;if(Ur&&(Ur=!1,wt=e,ji=i),s=e.pendingLanes,s===0&&(Et=null),od(n.stateNode),Se(e,J()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)i=t[n],r(i.value,{componentStack:i.stack,digest:i.digest});if(Ci)throw Ci=!1,e=dl,dl=null,e;return ji&1&&e.tag!==0&&yn(),s=e.pendingLanes,s&1?e===hl?Zn++:(Zn=0,hl=e):Zn=0,zt(),null}function yn(){if(wt!==null){var e=_a(ji),t=Ie.transition,n=M;try{if(Ie.transition=null,M=16>e?16:e,wt===null)var r=!1;else{if(e=wt,wt=null,ji=0,I&6)throw Error(g(331));var i=I;for(I|=4,N=e.current;N!==null;){var s=N,l=s.child;if(N.flags&16){var o=s.deletions;if(o!==null){for(var u=0;u<o.length;u++){var c=o[u];for(N=c;N!==null;){var m=N;switch(m.tag){case 0:case 11:case 15:Jn(8,m,s)}var y=m.child;if(y!==null)y.return=m,N=y;else for(;N!==null;){m=N;var p=m.sibling,w=m.return;if(Dc(m),m===c){N=null;break}if(p!==null){p.return=w,N=p;break}N=w}}}var k=s.alternate;if(k!==null){var S=k.child;if(S!==null){k.child=null;do{var B=S.sibling;S.sibling=null,S=B}while(S!==null)}}N=s}}if(s.subtreeFlags&2064&&l!==null)l.return=s,N=l;else e:for(;N!==null;){if(s=N,s.flags&2048)switch(s.tag){case 0:case 11:case 15:Jn(9,s,s.return)}var h=s.sibling;if(h!==null){h.return=s.return,N=h;break e}N=s.return}}var f=e.current;for(N=f;N!==null;){l=N;var d=l.child;if(l.subtreeFlags&2064&&d!==null)d.return=l,N=d;else e:for(l=f;N!==null;){if(o=N,o.flags&2048)try{switch(o.tag){case 0:case 11:case 15:Ui(9,o)}}catch(x){Y(o,o.return,x)}if(o===l){N=null;break e}var v=o.sibling;if(v!==null){v.return=o.return,N=v;break e}N=o.return}}if(I=i,zt(),Ge&&typeof Ge.onPostCommitFiberRoot=="function")try{Ge.onPostCommitFiberRoot(Oi,e)}catch{}r=!0}return r}finally{M=n,Ie.transition=t}}return!1}function Tu(e,t,n){t=xn(n,t),t=_c(e,t,1),e=Nt(e,t,1),t=de(),e!==null&&(vr(e,1,t),Se(e,t))}function Y(e,t,n){if(e.tag===3)Tu(e,e,n);else for(;t!==null;){if(t.tag===3){Tu(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(Et===null||!Et.has(r))){e=xn(n,e),e=Nc(t,e,1),t=Nt(t,e,1),e=de(),t!==null&&(vr(t,1,e),Se(t,e));break}}t=t.return}}function Dh(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=de(),e.pingedLanes|=e.suspendedLanes&n,re===e&&(se&n)===n&&(ee===4||ee===3&&(se&130023424)===se&&500>J()-uo?Ft(e,0):oo|=n),Se(e,t)}function Hc(e,t){t===0&&(e.mode&1?(t=Lr,Lr<<=1,!(Lr&130023424)&&(Lr=4194304)):t=1);var n=de();e=at(e,t),e!==null&&(vr(e,t,n),Se(e,n))}function Ah(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),Hc(e,n)}function Ih(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,i=e.memoizedState;i!==null&&(n=i.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(g(314))}r!==null&&r.delete(t),Hc(e,n)}var Qc;Qc=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||we.current)ge=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return ge=!1,_h(e,t,n);ge=!!(e.flags&131072)}else ge=!1,W&&t.flags&1048576&&Xa(t,gi,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Zr(e,t),e=t.pendingProps;var i=gn(t,ce.current);mn(t,n),i=to(null,t,r,e,i,n);var s=no();return t.flags|=1,typeof i=="object"&&i!==null&&typeof i.render=="function"&&i.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,ke(r)?(s=!0,yi(t)):s=!1,t.memoizedState=i.state!==null&&i.state!==void 0?i.state:null,Jl(t),i.updater=Fi,t.stateNode=i,i._reactInternals=t,tl(t,r,e,n),t=il(null,t,r,!0,s,n)):(t.tag=0,W&&s&&Wl(t),fe(null,t,i,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Zr(e,t),e=t.pendingProps,i=r._init,r=i(r._payload),t.type=r,i=t.tag=Bh(r),e=Ue(r,e),i){case 0:t=rl(null,t,r,e,n);break e;case 1:t=gu(null,t,r,e,n);break e;case 11:t=yu(null,t,r,e,n);break e;case 14:t=vu(null,t,r,Ue(r.type,e),n);break e}throw Error(g(306,r,""))}return t;case 0:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),rl(e,t,r,i,n);case 1:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),gu(e,t,r,i,n);case 3:e:{if(Tc(t),e===null)throw Error(g(387));r=t.pendingProps,s=t.memoizedState,i=s.element,tc(e,t),Si(t,r,null,n);var l=t.memoizedState;if(r=l.element,s.isDehydrated)if(s={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=s,t.memoizedState=s,t.flags&256){i=xn(Error(g(423)),t),t=wu(e,t,r,n,i);break e}else if(r!==i){i=xn(Error(g(424)),t),t=wu(e,t,r,n,i);break e}else for(Ce=_t(t.stateNode.containerInfo.firstChild),je=t,W=!0,We=null,n=ba(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(wn(),r===i){t=ct(e,t,n);break e}fe(e,t,r,n)}t=t.child}return t;case 5:return nc(t),e===null&&Zs(t),r=t.type,i=t.pendingProps,s=e!==null?e.memoizedProps:null,l=i.children,qs(r,i)?l=null:s!==null&&qs(r,s)&&(t.flags|=32),jc(e,t),fe(e,t,l,n),t.child;case 6:return e===null&&Zs(t),null;case 13:return Pc(e,t,n);case 4:return Gl(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=kn(t,null,r,n):fe(e,t,r,n),t.child;case 11:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),yu(e,t,r,i,n);case 7:return fe(e,t,t.pendingProps,n),t.child;case 8:return fe(e,t,t.pendingProps.children,n),t.child;case 12:return fe(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,i=t.pendingProps,s=t.memoizedProps,l=i.value,F(wi,r._currentValue),r._currentValue=l,s!==null)if(Ke(s.value,l)){if(s.children===i.children&&!we.current){t=ct(e,t,n);break e}}else for(s=t.child,s!==null&&(s.return=t);s!==null;){var o=s.dependencies;if(o!==null){l=s.child;for(var u=o.firstContext;u!==null;){if(u.context===r){if(s.tag===1){u=lt(-1,n&-n),u.tag=2;var c=s.updateQueue;if(c!==null){c=c.shared;var m=c.pending;m===null?u.next=u:(u.next=m.next,m.next=u),c.pending=u}}s.lanes|=n,u=s.alternate,u!==null&&(u.lanes|=n),bs(s.return,n,t),o.lanes|=n;break}u=u.next}}else if(s.tag===10)l=s.type===t.type?null:s.child;else if(s.tag===18){if(l=s.return,l===null)throw Error(g(341));l.lanes|=n,o=l.alternate,o!==null&&(o.lanes|=n),bs(l,n,t),l=s.sibling}else l=s.child;if(l!==null)l.return=s;else for(l=s;l!==null;){if(l===t){l=null;break}if(s=l.sibling,s!==null){s.return=l.return,l=s;break}l=l.return}s=l}fe(e,t,i.children,n),t=t.child}return t;case 9:return i=t.type,r=t.pendingProps.children,mn(t,n),i=Me(i),r=r(i),t.flags|=1,fe(e,t,r,n),t.child;case 14:return r=t.type,i=Ue(r,t.pendingProps),i=Ue(r.type,i),vu(e,t,r,i,n);case 15:return Ec(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,i=t.pendingProps,i=t.elementType===r?i:Ue(r,i),Zr(e,t),t.tag=1,ke(r)?(e=!0,yi(t)):e=!1,mn(t,n),xc(t,r,i),tl(t,r,i,n),il(null,t,r,!0,e,n);case 19:return Lc(e,t,n);case 22:return Cc(e,t,n)}throw Error(g(156,t.tag))};function Kc(e,t){return wa(e,t)}function Mh(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ae(e,t,n,r){return new Mh(e,t,n,r)}function ho(e){return e=e.prototype,!(!e||!e.isReactComponent)}function Bh(e){if(typeof e=="function")return ho(e)?1:0;if(e!=null){if(e=e.$$typeof,e===Rl)return 11;if(e===Ol)return 14}return 2}function jt(e,t){var n=e.alternate;return n===null?(n=Ae(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function ti(e,t,n,r,i,s){var l=2;if(r=e,typeof e=="function")ho(e)&&(l=1);else if(typeof e=="string")l=5;else e:switch(e){case bt:return Ut(n.children,i,s,t);case Ll:l=8,i|=8;break;case Es:return e=Ae(12,n,t,i|2),e.elementType=Es,e.lanes=s,e;case Cs:return e=Ae(13,n,t,i),e.elementType=Cs,e.lanes=s,e;case js:return e=Ae(19,n,t,i),e.elementType=js,e.lanes=s,e;case na:return $i(n,i,s,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case ea:l=10;break e;case ta:l=9;break e;case Rl:l=11;break e;case Ol:l=14;break e;case pt:l=16,r=null;break e}throw Error(g(130,e==null?e:typeof e,""))}return t=Ae(l,n,t,i),t.elementType=e,t.type=r,t.lanes=s,t}function Ut(e,t,n,r){return e=Ae(7,e,r,t),e.lanes=n,e}function $i(e,t,n,r){return e=Ae(22,e,r,t),e.elementType=na,e.lanes=n,e.stateNode={isHidden:!1},e}function ws(e,t,n){return e=Ae(6,e,null,t),e.lanes=n,e}function ks(e,t,n){return t=Ae(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Fh(e,t,n,r,i){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=es(0),this.expirationTimes=es(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=es(0),this.identifierPrefix=r,this.onRecoverableError=i,this.mutableSourceEagerHydrationData=null}function po(e,t,n,r,i,s,l,o,u){return e=new Fh(e,t,n,o,u),t===1?(t=1,s===!0&&(t|=8)):t=0,s=Ae(3,null,null,t),e.current=s,s.stateNode=e,s.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Jl(s),e}function Uh(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:Zt,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function qc(e){if(!e)return Lt;e=e._reactInternals;e:{if(qt(e)!==e||e.tag!==1)throw Error(g(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(ke(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(g(171))}if(e.tag===1){var n=e.type;if(ke(n))return qa(e,n,t)}return t}function Yc(e,t,n,r,i,s,l,o,u){return e=po(n,r,!0,e,i,s,l,o,u),e.context=qc(null),n=e.current,r=de(),i=Ct(n),s=lt(r,i),s.callback=t??null,Nt(n,s,i),e.current.lanes=i,vr(e,i,r),Se(e,r),e}function Wi(e,t,n,r){var i=t.current,s=de(),l=Ct(i);return n=qc(n),t.context===null?t.context=n:t.pendingContext=n,t=lt(s,l),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=Nt(i,t,l),e!==null&&(Qe(e,i,l,s),Xr(e,i,l)),l}function Pi(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function Pu(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function mo(e,t){Pu(e,t),(e=e.alternate)&&Pu(e,t)}function Vh(){return null}var Xc=typeof reportError=="function"?reportError:function(e){console.error(e)};function yo(e){this._internalRoot=e}Hi.prototype.render=yo.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(g(409));Wi(e,t,null,null)};Hi.prototype.unmount=yo.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;Qt(function(){Wi(null,e,null,null)}),t[ut]=null}};function Hi(e){this._internalRoot=e}Hi.prototype.unstable_scheduleHydration=function(e){if(e){var t=Ca();e={blockedOn:null,target:e,priority:t};for(var n=0;n<yt.length&&t!==0&&t<yt[n].priority;n++);yt.splice(n,0,e),n===0&&Ta(e)}};function vo(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function Qi(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function Lu(){}function $h(e,t,n,r,i){if(i){if(typeof r=="function"){var s=r;r=function(){var c=Pi(l);s.call(c)}}var l=Yc(t,r,e,0,null,!1,!1,"",Lu);return e._reactRootContainer=l,e[ut]=l.current,or(e.nodeType===8?e.parentNode:e),Qt(),l}for(;i=e.lastChild;)e.removeChild(i);if(typeof r=="function"){var o=r;r=function(){var c=Pi(u);o.call(c)}}var u=po(e,0,!1,null,null,!1,!1,"",Lu);return e._reactRootContainer=u,e[ut]=u.current,or(e.nodeType===8?e.parentNode:e),Qt(function(){Wi(t,u,n,r)}),u}function Ki(e,t,n,r,i){var s=n._reactRootContainer;if(s){var l=s;if(typeof i=="function"){var o=i;i=function(){var u=Pi(l);o.call(u)}}Wi(t,l,e,i)}else l=$h(n,t,e,i,r);return Pi(l)}Na=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=Vn(t.pendingLanes);n!==0&&(Al(t,n|1),Se(t,J()),!(I&6)&&(_n=J()+500,zt()))}break;case 13:Qt(function(){var r=at(e,1);if(r!==null){var i=de();Qe(r,e,1,i)}}),mo(e,1)}};Il=function(e){if(e.tag===13){var t=at(e,134217728);if(t!==null){var n=de();Qe(t,e,134217728,n)}mo(e,134217728)}};Ea=function(e){if(e.tag===13){var t=Ct(e),n=at(e,t);if(n!==null){var r=de();Qe(n,e,t,r)}mo(e,t)}};Ca=function(){return M};ja=function(e,t){var n=M;try{return M=e,t()}finally{M=n}};Ms=function(e,t,n){switch(t){case"input":if(Ls(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var i=Ii(r);if(!i)throw Error(g(90));ia(r),Ls(r,i)}}}break;case"textarea":la(e,n);break;case"select":t=n.value,t!=null&&fn(e,!!n.multiple,t,!1)}};ha=ao;pa=Qt;var Wh={usingClientEntryPoint:!1,Events:[wr,rn,Ii,fa,da,ao]},Mn={findFiberByHostInstance:It,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},Hh={bundleType:Mn.bundleType,version:Mn.version,rendererPackageName:Mn.rendererPackageName,rendererConfig:Mn.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:ft.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=va(e),e===null?null:e.stateNode},findFiberByHostInstance:Mn.findFiberByHostInstance||Vh,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var Vr=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Vr.isDisabled&&Vr.supportsFiber)try{Oi=Vr.inject(Hh),Ge=Vr}catch{}}Pe.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Wh;Pe.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!vo(t))throw Error(g(200));return Uh(e,t,null,n)};Pe.createRoot=function(e,t){if(!vo(e))throw Error(g(299));var n=!1,r="",i=Xc;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(i=t.onRecoverableError)),t=po(e,1,!1,null,null,n,!1,r,i),e[ut]=t.current,or(e.nodeType===8?e.parentNode:e),new yo(t)};Pe.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(g(188)):(e=Object.keys(e).join(","),Error(g(268,e)));return e=va(t),e=e===null?null:e.stateNode,e};Pe.flushSync=function(e){return Qt(e)};Pe.hydrate=function(e,t,n){if(!Qi(t))throw Error(g(200));return Ki(null,e,t,!0,n)};Pe.hydrateRoot=function(e,t,n){if(!vo(e))throw Error(g(405));var r=n!=null&&n.hydratedSources||null,i=!1,s="",l=Xc;if(n!=null&&(n.unstable_strictMode===!0&&(i=!0),n.identifierPrefix!==void 0&&(s=n.identifierPrefix),n.onRecoverableError!==void 0&&(l=n.onRecoverableError)),t=Yc(t,null,e,1,n??null,i,!1,s,l),e[ut]=t.current,or(e),r)for(e=0;e<r.length;e++)n=r[e],i=n._getVersion,i=i(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,i]:t.mutableSourceEagerHydrationData.push(n,i);return new Hi(t)};Pe.render=function(e,t,n){if(!Qi(t))throw Error(g(200));return Ki(null,e,t,!1,n)};Pe.unmountComponentAtNode=function(e){if(!Qi(e))throw Error(g(40));return e._reactRootContainer?(Qt(function(){Ki(null,null,e,!1,function(){e._reactRootContainer=null,e[ut]=null})}),!0):!1};Pe.unstable_batchedUpdates=ao;Pe.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Qi(n))throw Error(g(200));if(e==null||e._reactInternals===void 0)throw Error(g(38));return Ki(e,t,n,!1,r)};Pe.version="18.3.1-next-f1338f8080-20240426";function Jc(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(Jc)}catch(e){console.error(e)}}Jc(),Ju.exports=Pe;var Qh=Ju.exports,Gc,Ru=Qh;Gc=Ru.createRoot,Ru.hydrateRoot;const et=Object.create(null);et.open="0";et.close="1";et.ping="2";et.pong="3";et.message="4";et.upgrade="5";et.noop="6";const ni=Object.create(null);Object.keys(et).forEach(e=>{ni[et[e]]=e});const yl={type:"error",data:"parser error"},Zc=typeof Blob=="function"||typeof Blob<"u"&&Object.prototype.toString.call(Blob)==="[object BlobConstructor]",bc=typeof ArrayBuffer=="function",ef=e=>typeof ArrayBuffer.isView=="function"?ArrayBuffer.isView(e):e&&e.buffer instanceof ArrayBuffer,go=({type:e,data:t},n,r)=>Zc&&t instanceof Blob?n?r(t):Ou(t,r):bc&&(t instanceof ArrayBuffer||ef(t))?n?r(t):Ou(new Blob([t]),r):r(et[e]+(t||"")),Ou=(e,t)=>{const n=new FileReader;return n.onload=function(){const r=n.result.split(",")[1];t("b"+(r||""))},n.readAsDataURL(e)};function zu(e){return e instanceof Uint8Array?e:e instanceof ArrayBuffer?new Uint8Array(e):new Uint8Array(e.buffer,e.byteOffset,e.byteLength)}let Ss;function Kh(e,t){if(Zc&&e.data instanceof Blob)return e.data.arrayBuffer().then(zu).then(t);if(bc&&(e.data instanceof ArrayBuffer||ef(e.data)))return t(zu(e.data));go(e,!1,n=>{Ss||(Ss=new TextEncoder),t(Ss.encode(n))})}const Du="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/",Wn=typeof Uint8Array>"u"?[]:new Uint8Array(256);for(let e=0;e<Du.length;e++)Wn[Du.charCodeAt(e)]=e;const qh=e=>{let t=e.length*.75,n=e.length,r,i=0,s,l,o,u;e[e.length-1]==="="&&(t--,e[e.length-2]==="="&&t--);const c=new ArrayBuffer(t),m=new Uint8Array(c);for(r=0;r<n;r+=4)s=Wn[e.charCodeAt(r)],l=Wn[e.charCodeAt(r+1)],o=Wn[e.charCodeAt(r+2)],u=Wn[e.charCodeAt(r+3)],m[i++]=s<<2|l>>4,m[i++]=(l&15)<<4|o>>2,m[i++]=(o&3)<<6|u&63;return c},Yh=typeof ArrayBuffer=="function",wo=(e,t)=>{if(typeof e!="string")return{type:"message",data:tf(e,t)};const n=e.charAt(0);return n==="b"?{type:"message",data:Xh(e.substring(1),t)}:ni[n]?e.length>1?{type:ni[n],data:e.substring(1)}:{type:ni[n]}:yl},Xh=(e,t)=>{if(Yh){const n=qh(e);return tf(n,t)}else return{base64:!0,data:e}},tf=(e,t)=>{switch(t){case"blob":return e instanceof Blob?e:new Blob([e]);case"arraybuffer":default:return e instanceof ArrayBuffer?e:e.buffer}},nf="",Jh=(e,t)=>{const n=e.length,r=new Array(n);let i=0;e.forEach((s,l)=>{go(s,!1,o=>{r[l]=o,++i===n&&t(r.join(nf))})})},Gh=(e,t)=>{const n=e.split(nf),r=[];for(let i=0;i<n.length;i++){const s=wo(n[i],t);if(r.push(s),s.type==="error")break}return r};function Zh(){return new TransformStream({transform(e,t){Kh(e,n=>{const r=n.length;let i;if(r<126)i=new Uint8Array(1),new DataView(i.buffer).setUint8(0,r);else if(r<65536){i=new Uint8Array(3);const s=new DataView(i.buffer);s.setUint8(0,126),s.setUint16(1,r)}else{i=new Uint8Array(9);const s=new DataView(i.buffer);s.setUint8(0,127),s.setBigUint64(1,BigInt(r))}e.data&&typeof e.data!="string"&&(i[0]|=128),t.enqueue(i),t.enqueue(n)})}})}let xs;function $r(e){return e.reduce((t,n)=>t+n.length,0)}function Wr(e,t){if(e[0].length===t)return e.shift();const n=new Uint8Array(t);let r=0;for(let i=0;i<t;i++)n[i]=e[0][r++],r===e[0].length&&(e.shift(),r=0);return e.length&&r<e[0].length&&(e[0]=e[0].slice(r)),n}function bh(e,t){xs||(xs=new TextDecoder);const n=[];let r=0,i=-1,s=!1;return new TransformStream({transform(l,o){for(n.push(l);;){if(r===0){if($r(n)<1)break;const u=Wr(n,1);s=(u[0]&128)===128,i=u[0]&127,i<126?r=3:i===126?r=1:r=2}else if(r===1){if($r(n)<2)break;const u=Wr(n,2);i=new DataView(u.buffer,u.byteOffset,u.length).getUint16(0),r=3}else if(r===2){if($r(n)<8)break;const u=Wr(n,8),c=new DataView(u.buffer,u.byteOffset,u.length),m=c.getUint32(0);if(m>Math.pow(2,21)-1){o.enqueue(yl);break}i=m*Math.pow(2,32)+c.getUint32(4),r=3}else{if($r(n)<i)break;const u=Wr(n,i);o.enqueue(wo(s?u:xs.decode(u),t)),r=0}if(i===0||i>e){o.enqueue(yl);break}}}})}const rf=4;function Z(e){if(e)return ep(e)}function ep(e){for(var t in Z.prototype)e[t]=Z.prototype[t];return e}Z.prototype.on=Z.prototype.addEventListener=function(e,t){return this._callbacks=this._callbacks||{},(this._callbacks["$"+e]=this._callbacks["$"+e]||[]).push(t),this};Z.prototype.once=function(e,t){function n(){this.off(e,n),t.apply(this,arguments)}return n.fn=t,this.on(e,n),this};Z.prototype.off=Z.prototype.removeListener=Z.prototype.removeAllListeners=Z.prototype.removeEventListener=function(e,t){if(this._callbacks=this._callbacks||{},arguments.length==0)return this._callbacks={},this;var n=this._callbacks["$"+e];if(!n)return this;if(arguments.length==1)return delete this._callbacks["$"+e],this;for(var r,i=0;i<n.length;i++)if(r=n[i],r===t||r.fn===t){n.splice(i,1);break}return n.length===0&&delete this._callbacks["$"+e],this};Z.prototype.emit=function(e){this._callbacks=this._callbacks||{};for(var t=new Array(arguments.length-1),n=this._callbacks["$"+e],r=1;r<arguments.length;r++)t[r-1]=arguments[r];if(n){n=n.slice(0);for(var r=0,i=n.length;r<i;++r)n[r].apply(this,t)}return this};Z.prototype.emitReserved=Z.prototype.emit;Z.prototype.listeners=function(e){return this._callbacks=this._callbacks||{},this._callbacks["$"+e]||[]};Z.prototype.hasListeners=function(e){return!!this.listeners(e).length};const qi=typeof Promise=="function"&&typeof Promise.resolve=="function"?t=>Promise.resolve().then(t):(t,n)=>n(t,0),De=typeof self<"u"?self:typeof window<"u"?window:Function("return this")(),tp="arraybuffer";function sf(e,...t){return t.reduce((n,r)=>(e.hasOwnProperty(r)&&(n[r]=e[r]),n),{})}const np=De.setTimeout,rp=De.clearTimeout;function Yi(e,t){t.useNativeTimers?(e.setTimeoutFn=np.bind(De),e.clearTimeoutFn=rp.bind(De)):(e.setTimeoutFn=De.setTimeout.bind(De),e.clearTimeoutFn=De.clearTimeout.bind(De))}const ip=1.33;function sp(e){return typeof e=="string"?lp(e):Math.ceil((e.byteLength||e.size)*ip)}function lp(e){let t=0,n=0;for(let r=0,i=e.length;r<i;r++)t=e.charCodeAt(r),t<128?n+=1:t<2048?n+=2:t<55296||t>=57344?n+=3:(r++,n+=4);return n}function lf(){return Date.now().toString(36).substring(3)+Math.random().toString(36).substring(2,5)}function op(e){let t="";for(let n in e)e.hasOwnProperty(n)&&(t.length&&(t+="&"),t+=encodeURIComponent(n)+"="+encodeURIComponent(e[n]));return t}function up(e){let t={},n=e.split("&");for(let r=0,i=n.length;r<i;r++){let s=n[r].split("=");t[decodeURIComponent(s[0])]=decodeURIComponent(s[1])}return t}class ap extends Error{constructor(t,n,r){super(t),this.description=n,this.context=r,this.type="TransportError"}}class ko extends Z{constructor(t){super(),this.writable=!1,Yi(this,t),this.opts=t,this.query=t.query,this.socket=t.socket,this.supportsBinary=!t.forceBase64}onError(t,n,r){return super.emitReserved("error",new ap(t,n,r)),this}open(){return this.readyState="opening",this.doOpen(),this}close(){return(this.readyState==="opening"||this.readyState==="open")&&(this.doClose(),this.onClose()),this}send(t){this.readyState==="open"&&this.write(t)}onOpen(){this.readyState="open",this.writable=!0,super.emitReserved("open")}onData(t){const n=wo(t,this.socket.binaryType);this.onPacket(n)}onPacket(t){super.emitReserved("packet",t)}onClose(t){this.readyState="closed",super.emitReserved("close",t)}pause(t){}createUri(t,n={}){return t+"://"+this._hostname()+this._port()+this.opts.path+this._query(n)}_hostname(){const t=this.opts.hostname;return t.indexOf(":")===-1?t:"["+t+"]"}_port(){return this.opts.port&&(this.opts.secure&&+(this.opts.port!==443)||!this.opts.secure&&Number(this.opts.port)!==80)?":"+this.opts.port:""}_query(t){const n=op(t);return n.length?"?"+n:""}}class cp extends ko{constructor(){super(...arguments),this._polling=!1}get name(){return"polling"}doOpen(){this._poll()}pause(t){this.readyState="pausing";const n=()=>{this.readyState="paused",t()};if(this._polling||!this.writable){let r=0;this._polling&&(r++,this.once("pollComplete",function(){--r||n()})),this.writable||(r++,this.once("drain",function(){--r||n()}))}else n()}_poll(){this._polling=!0,this.doPoll(),this.emitReserved("poll")}onData(t){const n=r=>{if(this.readyState==="opening"&&r.type==="open"&&this.onOpen(),r.type==="close")return this.onClose({description:"transport closed by the server"}),!1;this.onPacket(r)};Gh(t,this.socket.binaryType).forEach(n),this.readyState!=="closed"&&(this._polling=!1,this.emitReserved("pollComplete"),this.readyState==="open"&&this._poll())}doClose(){const t=()=>{this.write([{type:"close"}])};this.readyState==="open"?t():this.once("open",t)}write(t){this.writable=!1,Jh(t,n=>{this.doWrite(n,()=>{this.writable=!0,this.emitReserved("drain")})})}uri(){const t=this.opts.secure?"https":"http",n=this.query||{};return this.opts.timestampRequests!==!1&&(n[this.opts.timestampParam]=lf()),!this.supportsBinary&&!n.sid&&(n.b64=1),this.createUri(t,n)}}let of=!1;try{of=typeof XMLHttpRequest<"u"&&"withCredentials"in new XMLHttpRequest}catch{}const fp=of;function dp(){}class hp extends cp{constructor(t){if(super(t),typeof location<"u"){const n=location.protocol==="https:";let r=location.port;r||(r=n?"443":"80"),this.xd=typeof location<"u"&&t.hostname!==location.hostname||r!==t.port}}doWrite(t,n){const r=this.request({method:"POST",data:t});r.on("success",n),r.on("error",(i,s)=>{this.onError("xhr post error",i,s)})}doPoll(){const t=this.request();t.on("data",this.onData.bind(this)),t.on("error",(n,r)=>{this.onError("xhr poll error",n,r)}),this.pollXhr=t}}class be extends Z{constructor(t,n,r){super(),this.createRequest=t,Yi(this,r),this._opts=r,this._method=r.method||"GET",this._uri=n,this._data=r.data!==void 0?r.data:null,this._create()}_create(){var t;const n=sf(this._opts,"agent","pfx","key","passphrase","cert","ca","ciphers","rejectUnauthorized","autoUnref");n.xdomain=!!this._opts.xd;const r=this._xhr=this.createRequest(n);try{r.open(this._method,this._uri,!0);try{if(this._opts.extraHeaders){r.setDisableHeaderCheck&&r.setDisableHeaderCheck(!0);for(let i in this._opts.extraHeaders)this._opts.extraHeaders.hasOwnProperty(i)&&r.setRequestHeader(i,this._opts.extraHeaders[i])}}catch{}if(this._method==="POST")try{r.setRequestHeader("Content-type","text/plain;charset=UTF-8")}catch{}try{r.setRequestHeader("Accept","*/*")}catch{}(t=this._opts.cookieJar)===null||t===void 0||t.addCookies(r),"withCredentials"in r&&(r.withCredentials=this._opts.withCredentials),this._opts.requestTimeout&&(r.timeout=this._opts.requestTimeout),r.onreadystatechange=()=>{var i;r.readyState===3&&((i=this._opts.cookieJar)===null||i===void 0||i.parseCookies(r.getResponseHeader("set-cookie"))),r.readyState===4&&(r.status===200||r.status===1223?this._onLoad():this.setTimeoutFn(()=>{this._onError(typeof r.status=="number"?r.status:0)},0))},r.send(this._data)}catch(i){this.setTimeoutFn(()=>{this._onError(i)},0);return}typeof document<"u"&&(this._index=be.requestsCount++,be.requests[this._index]=this)}_onError(t){this.emitReserved("error",t,this._xhr),this._cleanup(!0)}_cleanup(t){if(!(typeof this._xhr>"u"||this._xhr===null)){if(this._xhr.onreadystatechange=dp,t)try{this._xhr.abort()}catch{}typeof document<"u"&&delete be.requests[this._index],this._xhr=null}}_onLoad(){const t=this._xhr.responseText;t!==null&&(this.emitReserved("data",t),this.emitReserved("success"),this._cleanup())}abort(){this._cleanup()}}be.requestsCount=0;be.requests={};if(typeof document<"u"){if(typeof attachEvent=="function")attachEvent("onunload",Au);else if(typeof addEventListener=="function"){const e="onpagehide"in De?"pagehide":"unload";addEventListener(e,Au,!1)}}function Au(){for(let e in be.requests)be.requests.hasOwnProperty(e)&&be.requests[e].abort()}const pp=function(){const e=uf({xdomain:!1});return e&&e.responseType!==null}();class mp extends hp{constructor(t){super(t);const n=t&&t.forceBase64;this.supportsBinary=pp&&!n}request(t={}){return Object.assign(t,{xd:this.xd},this.opts),new be(uf,this.uri(),t)}}function uf(e){const t=e.xdomain;try{if(typeof XMLHttpRequest<"u"&&(!t||fp))return new XMLHttpRequest}catch{}if(!t)try{return new De[["Active"].concat("Object").join("X")]("Microsoft.XMLHTTP")}catch{}}const af=typeof navigator<"u"&&typeof navigator.product=="string"&&navigator.product.toLowerCase()==="reactnative";class yp extends ko{get name(){return"websocket"}doOpen(){const t=this.uri(),n=this.opts.protocols,r=af?{}:sf(this.opts,"agent","perMessageDeflate","pfx","key","passphrase","cert","ca","ciphers","rejectUnauthorized","localAddress","protocolVersion","origin","maxPayload","family","checkServerIdentity");this.opts.extraHeaders&&(r.headers=this.opts.extraHeaders);try{this.ws=this.createSocket(t,n,r)}catch(i){return this.emitReserved("error",i)}this.ws.binaryType=this.socket.binaryType,this.addEventListeners()}addEventListeners(){this.ws.onopen=()=>{this.opts.autoUnref&&this.ws._socket.unref(),this.onOpen()},this.ws.onclose=t=>this.onClose({description:"websocket connection closed",context:t}),this.ws.onmessage=t=>this.onData(t.data),this.ws.onerror=t=>this.onError("websocket error",t)}write(t){this.writable=!1;for(let n=0;n<t.length;n++){const r=t[n],i=n===t.length-1;go(r,this.supportsBinary,s=>{try{this.doWrite(r,s)}catch{}i&&qi(()=>{this.writable=!0,this.emitReserved("drain")},this.setTimeoutFn)})}}doClose(){typeof this.ws<"u"&&(this.ws.onerror=()=>{},this.ws.close(),this.ws=null)}uri(){const t=this.opts.secure?"wss":"ws",n=this.query||{};return this.opts.timestampRequests&&(n[this.opts.timestampParam]=lf()),this.supportsBinary||(n.b64=1),this.createUri(t,n)}}const _s=De.WebSocket||De.MozWebSocket;class vp extends yp{createSocket(t,n,r){return af?new _s(t,n,r):n?new _s(t,n):new _s(t)}doWrite(t,n){this.ws.send(n)}}class gp extends ko{get name(){return"webtransport"}doOpen(){try{this._transport=new WebTransport(this.createUri("https"),this.opts.transportOptions[this.name])}catch(t){return this.emitReserved("error",t)}this._transport.closed.then(()=>{this.onClose()}).catch(t=>{this.onError("webtransport error",t)}),this._transport.ready.then(()=>{this._transport.createBidirectionalStream().then(t=>{const n=bh(Number.MAX_SAFE_INTEGER,this.socket.binaryType),r=t.readable.pipeThrough(n).getReader(),i=Zh();i.readable.pipeTo(t.writable),this._writer=i.writable.getWriter();const s=()=>{r.read().then(({done:o,value:u})=>{o||(this.onPacket(u),s())}).catch(o=>{})};s();const l={type:"open"};this.query.sid&&(l.data=`{"sid":"${this.query.sid}"}`),this._writer.write(l).then(()=>this.onOpen())})})}write(t){this.writable=!1;for(let n=0;n<t.length;n++){const r=t[n],i=n===t.length-1;this._writer.write(r).then(()=>{i&&qi(()=>{this.writable=!0,this.emitReserved("drain")},this.setTimeoutFn)})}}doClose(){var t;(t=this._transport)===null||t===void 0||t.close()}}const wp={websocket:vp,webtransport:gp,polling:mp},kp=/^(?:(?![^:@\/?#]+:[^:@\/]*@)(http|https|ws|wss):\/\/)?((?:(([^:@\/?#]*)(?::([^:@\/?#]*))?)?@)?((?:[a-f0-9]{0,4}:){2,7}[a-f0-9]{0,4}|[^:\/?#]*)(?::(\d*))?)(((\/(?:[^?#](?![^?#\/]*\.[^?#\/.]+(?:[?#]|$)))*\/?)?([^?#\/]*))(?:\?([^#]*))?(?:#(.*))?)/,Sp=["source","protocol","authority","userInfo","user","password","host","port","relative","path","directory","file","query","anchor"];function vl(e){if(e.length>8e3)throw"URI too long";const t=e,n=e.indexOf("["),r=e.indexOf("]");n!=-1&&r!=-1&&(e=e.substring(0,n)+e.substring(n,r).replace(/:/g,";")+e.substring(r,e.length));let i=kp.exec(e||""),s={},l=14;for(;l--;)s[Sp[l]]=i[l]||"";return n!=-1&&r!=-1&&(s.source=t,s.host=s.host.substring(1,s.host.length-1).replace(/;/g,":"),s.authority=s.authority.replace("[","").replace("]","").replace(/;/g,":"),s.ipv6uri=!0),s.pathNames=xp(s,s.path),s.queryKey=_p(s,s.query),s}function xp(e,t){const n=/\/{2,9}/g,r=t.replace(n,"/").split("/");return(t.slice(0,1)=="/"||t.length===0)&&r.splice(0,1),t.slice(-1)=="/"&&r.splice(r.length-1,1),r}function _p(e,t){const n={};return t.replace(/(?:^|&)([^&=]*)=?([^&]*)/g,function(r,i,s){i&&(n[i]=s)}),n}const gl=typeof addEventListener=="function"&&typeof removeEventListener=="function",ri=[];gl&&addEventListener("offline",()=>{ri.forEach(e=>e())},!1);class Tt extends Z{constructor(t,n){if(super(),this.binaryType=tp,this.writeBuffer=[],this._prevBufferLen=0,this._pingInterval=-1,this._pingTimeout=-1,this._maxPayload=-1,this._pingTimeoutTime=1/0,t&&typeof t=="object"&&(n=t,t=null),t){const r=vl(t);n.hostname=r.host,n.secure=r.protocol==="https"||r.protocol==="wss",n.port=r.port,r.query&&(n.query=r.query)}else n.host&&(n.hostname=vl(n.host).host);Yi(this,n),this.secure=n.secure!=null?n.secure:typeof location<"u"&&location.protocol==="https:",n.hostname&&!n.port&&(n.port=this.secure?"443":"80"),this.hostname=n.hostname||(typeof location<"u"?location.hostname:"localhost"),this.port=n.port||(typeof location<"u"&&location.port?location.port:this.secure?"443":"80"),this.transports=[],this._transportsByName={},n.transports.forEach(r=>{const i=r.prototype.name;this.transports.push(i),this._transportsByName[i]=r}),this.opts=Object.assign({path:"/engine.io",agent:!1,withCredentials:!1,upgrade:!0,timestampParam:"t",rememberUpgrade:!1,addTrailingSlash:!0,rejectUnauthorized:!0,perMessageDeflate:{threshold:1024},transportOptions:{},closeOnBeforeunload:!1},n),this.opts.path=this.opts.path.replace(/\/$/,"")+(this.opts.addTrailingSlash?"/":""),typeof this.opts.query=="string"&&(this.opts.query=up(this.opts.query)),gl&&(this.opts.closeOnBeforeunload&&(this._beforeunloadEventListener=()=>{this.transport&&(this.transport.removeAllListeners(),this.transport.close())},addEventListener("beforeunload",this._beforeunloadEventListener,!1)),this.hostname!=="localhost"&&(this._offlineEventListener=()=>{this._onClose("transport close",{description:"network connection lost"})},ri.push(this._offlineEventListener))),this.opts.withCredentials&&(this._cookieJar=void 0),this._open()}createTransport(t){const n=Object.assign({},this.opts.query);n.EIO=rf,n.transport=t,this.id&&(n.sid=this.id);const r=Object.assign({},this.opts,{query:n,socket:this,hostname:this.hostname,secure:this.secure,port:this.port},this.opts.transportOptions[t]);return new this._transportsByName[t](r)}_open(){if(this.transports.length===0){this.setTimeoutFn(()=>{this.emitReserved("error","No transports available")},0);return}const t=this.opts.rememberUpgrade&&Tt.priorWebsocketSuccess&&this.transports.indexOf("websocket")!==-1?"websocket":this.transports[0];this.readyState="opening";const n=this.createTransport(t);n.open(),this.setTransport(n)}setTransport(t){this.transport&&this.transport.removeAllListeners(),this.transport=t,t.on("drain",this._onDrain.bind(this)).on("packet",this._onPacket.bind(this)).on("error",this._onError.bind(this)).on("close",n=>this._onClose("transport close",n))}onOpen(){this.readyState="open",Tt.priorWebsocketSuccess=this.transport.name==="websocket",this.emitReserved("open"),this.flush()}_onPacket(t){if(this.readyState==="opening"||this.readyState==="open"||this.readyState==="closing")switch(this.emitReserved("packet",t),this.emitReserved("heartbeat"),t.type){case"open":this.onHandshake(JSON.parse(t.data));break;case"ping":this._sendPacket("pong"),this.emitReserved("ping"),this.emitReserved("pong"),this._resetPingTimeout();break;case"error":const n=new Error("server error");n.code=t.data,this._onError(n);break;case"message":this.emitReserved("data",t.data),this.emitReserved("message",t.data);break}}onHandshake(t){this.emitReserved("handshake",t),this.id=t.sid,this.transport.query.sid=t.sid,this._pingInterval=t.pingInterval,this._pingTimeout=t.pingTimeout,this._maxPayload=t.maxPayload,this.onOpen(),this.readyState!=="closed"&&this._resetPingTimeout()}_resetPingTimeout(){this.clearTimeoutFn(this._pingTimeoutTimer);const t=this._pingInterval+this._pingTimeout;this._pingTimeoutTime=Date.now()+t,this._pingTimeoutTimer=this.setTimeoutFn(()=>{this._onClose("ping timeout")},t),this.opts.autoUnref&&this._pingTimeoutTimer.unref()}_onDrain(){this.writeBuffer.splice(0,this._prevBufferLen),this._prevBufferLen=0,this.writeBuffer.length===0?this.emitReserved("drain"):this.flush()}flush(){if(this.readyState!=="closed"&&this.transport.writable&&!this.upgrading&&this.writeBuffer.length){const t=this._getWritablePackets();this.transport.send(t),this._prevBufferLen=t.length,this.emitReserved("flush")}}_getWritablePackets(){if(!(this._maxPayload&&this.transport.name==="polling"&&this.writeBuffer.length>1))return this.writeBuffer;let n=1;for(let r=0;r<this.writeBuffer.length;r++){const i=this.writeBuffer[r].data;if(i&&(n+=sp(i)),r>0&&n>this._maxPayload)return this.writeBuffer.slice(0,r);n+=2}return this.writeBuffer}_hasPingExpired(){if(!this._pingTimeoutTime)return!0;const t=Date.now()>this._pingTimeoutTime;return t&&(this._pingTimeoutTime=0,qi(()=>{this._onClose("ping timeout")},this.setTimeoutFn)),t}write(t,n,r){return this._sendPacket("message",t,n,r),this}send(t,n,r){return this._sendPacket("message",t,n,r),this}_sendPacket(t,n,r,i){if(typeof n=="function"&&(i=n,n=void 0),typeof r=="function"&&(i=r,r=null),this.readyState==="closing"||this.readyState==="closed")return;r=r||{},r.compress=r.compress!==!1;const s={type:t,data:n,options:r};this.emitReserved("packetCreate",s),this.writeBuffer.push(s),i&&this.once("flush",i),this.flush()}close(){const t=()=>{this._onClose("forced close"),this.transport.close()},n=()=>{this.off("upgrade",n),this.off("upgradeError",n),t()},r=()=>{this.once("upgrade",n),this.once("upgradeError",n)};return(this.readyState==="opening"||this.readyState==="open")&&(this.readyState="closing",this.writeBuffer.length?this.once("drain",()=>{this.upgrading?r():t()}):this.upgrading?r():t()),this}_onError(t){if(Tt.priorWebsocketSuccess=!1,this.opts.tryAllTransports&&this.transports.length>1&&this.readyState==="opening")return this.transports.shift(),this._open();this.emitReserved("error",t),this._onClose("transport error",t)}_onClose(t,n){if(this.readyState==="opening"||this.readyState==="open"||this.readyState==="closing"){if(this.clearTimeoutFn(this._pingTimeoutTimer),this.transport.removeAllListeners("close"),this.transport.close(),this.transport.removeAllListeners(),gl&&(this._beforeunloadEventListener&&removeEventListener("beforeunload",this._beforeunloadEventListener,!1),this._offlineEventListener)){const r=ri.indexOf(this._offlineEventListener);r!==-1&&ri.splice(r,1)}this.readyState="closed",this.id=null,this.emitReserved("close",t,n),this.writeBuffer=[],this._prevBufferLen=0}}}Tt.protocol=rf;class Np extends Tt{constructor(){super(...arguments),this._upgrades=[]}onOpen(){if(super.onOpen(),this.readyState==="open"&&this.opts.upgrade)for(let t=0;t<this._upgrades.length;t++)this._probe(this._upgrades[t])}_probe(t){let n=this.createTransport(t),r=!1;Tt.priorWebsocketSuccess=!1;const i=()=>{r||(n.send([{type:"ping",data:"probe"}]),n.once("packet",y=>{if(!r)if(y.type==="pong"&&y.data==="probe"){if(this.upgrading=!0,this.emitReserved("upgrading",n),!n)return;Tt.priorWebsocketSuccess=n.name==="websocket",this.transport.pause(()=>{r||this.readyState!=="closed"&&(m(),this.setTransport(n),n.send([{type:"upgrade"}]),this.emitReserved("upgrade",n),n=null,this.upgrading=!1,this.flush())})}else{const p=new Error("probe error");p.transport=n.name,this.emitReserved("upgradeError",p)}}))};function s(){r||(r=!0,m(),n.close(),n=null)}const l=y=>{const p=new Error("probe error: "+y);p.transport=n.name,s(),this.emitReserved("upgradeError",p)};function o(){l("transport closed")}function u(){l("socket closed")}function c(y){n&&y.name!==n.name&&s()}const m=()=>{n.removeListener("open",i),n.removeListener("error",l),n.removeListener("close",o),this.off("close",u),this.off("upgrading",c)};n.once("open",i),n.once("error",l),n.once("close",o),this.once("close",u),this.once("upgrading",c),this._upgrades.indexOf("webtransport")!==-1&&t!=="webtransport"?this.setTimeoutFn(()=>{r||n.open()},200):n.open()}onHandshake(t){this._upgrades=this._filterUpgrades(t.upgrades),super.onHandshake(t)}_filterUpgrades(t){const n=[];for(let r=0;r<t.length;r++)~this.transports.indexOf(t[r])&&n.push(t[r]);return n}}let Ep=class extends Np{constructor(t,n={}){const r=typeof t=="object"?t:n;(!r.transports||r.transports&&typeof r.transports[0]=="string")&&(r.transports=(r.transports||["polling","websocket","webtransport"]).map(i=>wp[i]).filter(i=>!!i)),super(t,r)}};function Cp(e,t="",n){let r=e;n=n||typeof location<"u"&&location,e==null&&(e=n.protocol+"//"+n.host),typeof e=="string"&&(e.charAt(0)==="/"&&(e.charAt(1)==="/"?e=n.protocol+e:e=n.host+e),/^(https?|wss?):\/\//.test(e)||(typeof n<"u"?e=n.protocol+"//"+e:e="https://"+e),r=vl(e)),r.port||(/^(http|ws)$/.test(r.protocol)?r.port="80":/^(http|ws)s$/.test(r.protocol)&&(r.port="443")),r.path=r.path||"/";const s=r.host.indexOf(":")!==-1?"["+r.host+"]":r.host;return r.id=r.protocol+"://"+s+":"+r.port+t,r.href=r.protocol+"://"+s+(n&&n.port===r.port?"":":"+r.port),r}const jp=typeof ArrayBuffer=="function",Tp=e=>typeof ArrayBuffer.isView=="function"?ArrayBuffer.isView(e):e.buffer instanceof ArrayBuffer,cf=Object.prototype.toString,Pp=typeof Blob=="function"||typeof Blob<"u"&&cf.call(Blob)==="[object BlobConstructor]",Lp=typeof File=="function"||typeof File<"u"&&cf.call(File)==="[object FileConstructor]";function So(e){return jp&&(e instanceof ArrayBuffer||Tp(e))||Pp&&e instanceof Blob||Lp&&e instanceof File}function ii(e,t){if(!e||typeof e!="object")return!1;if(Array.isArray(e)){for(let n=0,r=e.length;n<r;n++)if(ii(e[n]))return!0;return!1}if(So(e))return!0;if(e.toJSON&&typeof e.toJSON=="function"&&arguments.length===1)return ii(e.toJSON(),!0);for(const n in e)if(Object.prototype.hasOwnProperty.call(e,n)&&ii(e[n]))return!0;return!1}function Rp(e){const t=[],n=e.data,r=e;return r.data=wl(n,t),r.attachments=t.length,{packet:r,buffers:t}}function wl(e,t){if(!e)return e;if(So(e)){const n={_placeholder:!0,num:t.length};return t.push(e),n}else if(Array.isArray(e)){const n=new Array(e.length);for(let r=0;r<e.length;r++)n[r]=wl(e[r],t);return n}else if(typeof e=="object"&&!(e instanceof Date)){const n={};for(const r in e)Object.prototype.hasOwnProperty.call(e,r)&&(n[r]=wl(e[r],t));return n}return e}function Op(e,t){return e.data=kl(e.data,t),delete e.attachments,e}function kl(e,t){if(!e)return e;if(e&&e._placeholder===!0){if(typeof e.num=="number"&&e.num>=0&&e.num<t.length)return t[e.num];throw new Error("illegal attachments")}else if(Array.isArray(e))for(let n=0;n<e.length;n++)e[n]=kl(e[n],t);else if(typeof e=="object")for(const n in e)Object.prototype.hasOwnProperty.call(e,n)&&(e[n]=kl(e[n],t));return e}const zp=["connect","connect_error","disconnect","disconnecting","newListener","removeListener"],Dp=5;var D;(function(e){e[e.CONNECT=0]="CONNECT",e[e.DISCONNECT=1]="DISCONNECT",e[e.EVENT=2]="EVENT",e[e.ACK=3]="ACK",e[e.CONNECT_ERROR=4]="CONNECT_ERROR",e[e.BINARY_EVENT=5]="BINARY_EVENT",e[e.BINARY_ACK=6]="BINARY_ACK"})(D||(D={}));class Ap{constructor(t){this.replacer=t}encode(t){return(t.type===D.EVENT||t.type===D.ACK)&&ii(t)?this.encodeAsBinary({type:t.type===D.EVENT?D.BINARY_EVENT:D.BINARY_ACK,nsp:t.nsp,data:t.data,id:t.id}):[this.encodeAsString(t)]}encodeAsString(t){let n=""+t.type;return(t.type===D.BINARY_EVENT||t.type===D.BINARY_ACK)&&(n+=t.attachments+"-"),t.nsp&&t.nsp!=="/"&&(n+=t.nsp+","),t.id!=null&&(n+=t.id),t.data!=null&&(n+=JSON.stringify(t.data,this.replacer)),n}encodeAsBinary(t){const n=Rp(t),r=this.encodeAsString(n.packet),i=n.buffers;return i.unshift(r),i}}function Iu(e){return Object.prototype.toString.call(e)==="[object Object]"}class xo extends Z{constructor(t){super(),this.reviver=t}add(t){let n;if(typeof t=="string"){if(this.reconstructor)throw new Error("got plaintext data when reconstructing a packet");n=this.decodeString(t);const r=n.type===D.BINARY_EVENT;r||n.type===D.BINARY_ACK?(n.type=r?D.EVENT:D.ACK,this.reconstructor=new Ip(n),n.attachments===0&&super.emitReserved("decoded",n)):super.emitReserved("decoded",n)}else if(So(t)||t.base64)if(this.reconstructor)n=this.reconstructor.takeBinaryData(t),n&&(this.reconstructor=null,super.emitReserved("decoded",n));else throw new Error("got binary data when not reconstructing a packet");else throw new Error("Unknown type: "+t)}decodeString(t){let n=0;const r={type:Number(t.charAt(0))};if(D[r.type]===void 0)throw new Error("unknown packet type "+r.type);if(r.type===D.BINARY_EVENT||r.type===D.BINARY_ACK){const s=n+1;for(;t.charAt(++n)!=="-"&&n!=t.length;);const l=t.substring(s,n);if(l!=Number(l)||t.charAt(n)!=="-")throw new Error("Illegal attachments");r.attachments=Number(l)}if(t.charAt(n+1)==="/"){const s=n+1;for(;++n&&!(t.charAt(n)===","||n===t.length););r.nsp=t.substring(s,n)}else r.nsp="/";const i=t.charAt(n+1);if(i!==""&&Number(i)==i){const s=n+1;for(;++n;){const l=t.charAt(n);if(l==null||Number(l)!=l){--n;break}if(n===t.length)break}r.id=Number(t.substring(s,n+1))}if(t.charAt(++n)){const s=this.tryParse(t.substr(n));if(xo.isPayloadValid(r.type,s))r.data=s;else throw new Error("invalid payload")}return r}tryParse(t){try{return JSON.parse(t,this.reviver)}catch{return!1}}static isPayloadValid(t,n){switch(t){case D.CONNECT:return Iu(n);case D.DISCONNECT:return n===void 0;case D.CONNECT_ERROR:return typeof n=="string"||Iu(n);case D.EVENT:case D.BINARY_EVENT:return Array.isArray(n)&&(typeof n[0]=="number"||typeof n[0]=="string"&&zp.indexOf(n[0])===-1);case D.ACK:case D.BINARY_ACK:return Array.isArray(n)}}destroy(){this.reconstructor&&(this.reconstructor.finishedReconstruction(),this.reconstructor=null)}}class Ip{constructor(t){this.packet=t,this.buffers=[],this.reconPack=t}takeBinaryData(t){if(this.buffers.push(t),this.buffers.length===this.reconPack.attachments){const n=Op(this.reconPack,this.buffers);return this.finishedReconstruction(),n}return null}finishedReconstruction(){this.reconPack=null,this.buffers=[]}}const Mp=Object.freeze(Object.defineProperty({__proto__:null,Decoder:xo,Encoder:Ap,get PacketType(){return D},protocol:Dp},Symbol.toStringTag,{value:"Module"}));function $e(e,t,n){return e.on(t,n),function(){e.off(t,n)}}const Bp=Object.freeze({connect:1,connect_error:1,disconnect:1,disconnecting:1,newListener:1,removeListener:1});class ff extends Z{constructor(t,n,r){super(),this.connected=!1,this.recovered=!1,this.receiveBuffer=[],this.sendBuffer=[],this._queue=[],this._queueSeq=0,this.ids=0,this.acks={},this.flags={},this.io=t,this.nsp=n,r&&r.auth&&(this.auth=r.auth),this._opts=Object.assign({},r),this.io._autoConnect&&this.open()}get disconnected(){return!this.connected}subEvents(){if(this.subs)return;const t=this.io;this.subs=[$e(t,"open",this.onopen.bind(this)),$e(t,"packet",this.onpacket.bind(this)),$e(t,"error",this.onerror.bind(this)),$e(t,"close",this.onclose.bind(this))]}get active(){return!!this.subs}connect(){return this.connected?this:(this.subEvents(),this.io._reconnecting||this.io.open(),this.io._readyState==="open"&&this.onopen(),this)}open(){return this.connect()}send(...t){return t.unshift("message"),this.emit.apply(this,t),this}emit(t,...n){var r,i,s;if(Bp.hasOwnProperty(t))throw new Error('"'+t.toString()+'" is a reserved event name');if(n.unshift(t),this._opts.retries&&!this.flags.fromQueue&&!this.flags.volatile)return this._addToQueue(n),this;const l={type:D.EVENT,data:n};if(l.options={},l.options.compress=this.flags.compress!==!1,typeof n[n.length-1]=="function"){const m=this.ids++,y=n.pop();this._registerAckCallback(m,y),l.id=m}const o=(i=(r=this.io.engine)===null||r===void 0?void 0:r.transport)===null||i===void 0?void 0:i.writable,u=this.connected&&!(!((s=this.io.engine)===null||s===void 0)&&s._hasPingExpired());return this.flags.volatile&&!o||(u?(this.notifyOutgoingListeners(l),this.packet(l)):this.sendBuffer.push(l)),this.flags={},this}_registerAckCallback(t,n){var r;const i=(r=this.flags.timeout)!==null&&r!==void 0?r:this._opts.ackTimeout;if(i===void 0){this.acks[t]=n;return}const s=this.io.setTimeoutFn(()=>{delete this.acks[t];for(let o=0;o<this.sendBuffer.length;o++)this.sendBuffer[o].id===t&&this.sendBuffer.splice(o,1);n.call(this,new Error("operation has timed out"))},i),l=(...o)=>{this.io.clearTimeoutFn(s),n.apply(this,o)};l.withError=!0,this.acks[t]=l}emitWithAck(t,...n){return new Promise((r,i)=>{const s=(l,o)=>l?i(l):r(o);s.withError=!0,n.push(s),this.emit(t,...n)})}_addToQueue(t){let n;typeof t[t.length-1]=="function"&&(n=t.pop());const r={id:this._queueSeq++,tryCount:0,pending:!1,args:t,flags:Object.assign({fromQueue:!0},this.flags)};t.push((i,...s)=>r!==this._queue[0]?void 0:(i!==null?r.tryCount>this._opts.retries&&(this._queue.shift(),n&&n(i)):(this._queue.shift(),n&&n(null,...s)),r.pending=!1,this._drainQueue())),this._queue.push(r),this._drainQueue()}_drainQueue(t=!1){if(!this.connected||this._queue.length===0)return;const n=this._queue[0];n.pending&&!t||(n.pending=!0,n.tryCount++,this.flags=n.flags,this.emit.apply(this,n.args))}packet(t){t.nsp=this.nsp,this.io._packet(t)}onopen(){typeof this.auth=="function"?this.auth(t=>{this._sendConnectPacket(t)}):this._sendConnectPacket(this.auth)}_sendConnectPacket(t){this.packet({type:D.CONNECT,data:this._pid?Object.assign({pid:this._pid,offset:this._lastOffset},t):t})}onerror(t){this.connected||this.emitReserved("connect_error",t)}onclose(t,n){this.connected=!1,delete this.id,this.emitReserved("disconnect",t,n),this._clearAcks()}_clearAcks(){Object.keys(this.acks).forEach(t=>{if(!this.sendBuffer.some(r=>String(r.id)===t)){const r=this.acks[t];delete this.acks[t],r.withError&&r.call(this,new Error("socket has been disconnected"))}})}onpacket(t){if(t.nsp===this.nsp)switch(t.type){case D.CONNECT:t.data&&t.data.sid?this.onconnect(t.data.sid,t.data.pid):this.emitReserved("connect_error",new Error("It seems you are trying to reach a Socket.IO server in v2.x with a v3.x client, but they are not compatible (more information here: https://socket.io/docs/v3/migrating-from-2-x-to-3-0/)"));break;case D.EVENT:case D.BINARY_EVENT:this.onevent(t);break;case D.ACK:case D.BINARY_ACK:this.onack(t);break;case D.DISCONNECT:this.ondisconnect();break;case D.CONNECT_ERROR:this.destroy();const r=new Error(t.data.message);r.data=t.data.data,this.emitReserved("connect_error",r);break}}onevent(t){const n=t.data||[];t.id!=null&&n.push(this.ack(t.id)),this.connected?this.emitEvent(n):this.receiveBuffer.push(Object.freeze(n))}emitEvent(t){if(this._anyListeners&&this._anyListeners.length){const n=this._anyListeners.slice();for(const r of n)r.apply(this,t)}super.emit.apply(this,t),this._pid&&t.length&&typeof t[t.length-1]=="string"&&(this._lastOffset=t[t.length-1])}ack(t){const n=this;let r=!1;return function(...i){r||(r=!0,n.packet({type:D.ACK,id:t,data:i}))}}onack(t){const n=this.acks[t.id];typeof n=="function"&&(delete this.acks[t.id],n.withError&&t.data.unshift(null),n.apply(this,t.data))}onconnect(t,n){this.id=t,this.recovered=n&&this._pid===n,this._pid=n,this.connected=!0,this.emitBuffered(),this.emitReserved("connect"),this._drainQueue(!0)}emitBuffered(){this.receiveBuffer.forEach(t=>this.emitEvent(t)),this.receiveBuffer=[],this.sendBuffer.forEach(t=>{this.notifyOutgoingListeners(t),this.packet(t)}),this.sendBuffer=[]}ondisconnect(){this.destroy(),this.onclose("io server disconnect")}destroy(){this.subs&&(this.subs.forEach(t=>t()),this.subs=void 0),this.io._destroy(this)}disconnect(){return this.connected&&this.packet({type:D.DISCONNECT}),this.destroy(),this.connected&&this.onclose("io client disconnect"),this}close(){return this.disconnect()}compress(t){return this.flags.compress=t,this}get volatile(){return this.flags.volatile=!0,this}timeout(t){return this.flags.timeout=t,this}onAny(t){return this._anyListeners=this._anyListeners||[],this._anyListeners.push(t),this}prependAny(t){return this._anyListeners=this._anyListeners||[],this._anyListeners.unshift(t),this}offAny(t){if(!this._anyListeners)return this;if(t){const n=this._anyListeners;for(let r=0;r<n.length;r++)if(t===n[r])return n.splice(r,1),this}else this._anyListeners=[];return this}listenersAny(){return this._anyListeners||[]}onAnyOutgoing(t){return this._anyOutgoingListeners=this._anyOutgoingListeners||[],this._anyOutgoingListeners.push(t),this}prependAnyOutgoing(t){return this._anyOutgoingListeners=this._anyOutgoingListeners||[],this._anyOutgoingListeners.unshift(t),this}offAnyOutgoing(t){if(!this._anyOutgoingListeners)return this;if(t){const n=this._anyOutgoingListeners;for(let r=0;r<n.length;r++)if(t===n[r])return n.splice(r,1),this}else this._anyOutgoingListeners=[];return this}listenersAnyOutgoing(){return this._anyOutgoingListeners||[]}notifyOutgoingListeners(t){if(this._anyOutgoingListeners&&this._anyOutgoingListeners.length){const n=this._anyOutgoingListeners.slice();for(const r of n)r.apply(this,t.data)}}}function jn(e){e=e||{},this.ms=e.min||100,this.max=e.max||1e4,this.factor=e.factor||2,this.jitter=e.jitter>0&&e.jitter<=1?e.jitter:0,this.attempts=0}jn.prototype.duration=function(){var e=this.ms*Math.pow(this.factor,this.attempts++);if(this.jitter){var t=Math.random(),n=Math.floor(t*this.jitter*e);e=Math.floor(t*10)&1?e+n:e-n}return Math.min(e,this.max)|0};jn.prototype.reset=function(){this.attempts=0};jn.prototype.setMin=function(e){this.ms=e};jn.prototype.setMax=function(e){this.max=e};jn.prototype.setJitter=function(e){this.jitter=e};class Sl extends Z{constructor(t,n){var r;super(),this.nsps={},this.subs=[],t&&typeof t=="object"&&(n=t,t=void 0),n=n||{},n.path=n.path||"/socket.io",this.opts=n,Yi(this,n),this.reconnection(n.reconnection!==!1),this.reconnectionAttempts(n.reconnectionAttempts||1/0),this.reconnectionDelay(n.reconnectionDelay||1e3),this.reconnectionDelayMax(n.reconnectionDelayMax||5e3),this.randomizationFactor((r=n.randomizationFactor)!==null&&r!==void 0?r:.5),this.backoff=new jn({min:this.reconnectionDelay(),max:this.reconnectionDelayMax(),jitter:this.randomizationFactor()}),this.timeout(n.timeout==null?2e4:n.timeout),this._readyState="closed",this.uri=t;const i=n.parser||Mp;this.encoder=new i.Encoder,this.decoder=new i.Decoder,this._autoConnect=n.autoConnect!==!1,this._autoConnect&&this.open()}reconnection(t){return arguments.length?(this._reconnection=!!t,t||(this.skipReconnect=!0),this):this._reconnection}reconnectionAttempts(t){return t===void 0?this._reconnectionAttempts:(this._reconnectionAttempts=t,this)}reconnectionDelay(t){var n;return t===void 0?this._reconnectionDelay:(this._reconnectionDelay=t,(n=this.backoff)===null||n===void 0||n.setMin(t),this)}randomizationFactor(t){var n;return t===void 0?this._randomizationFactor:(this._randomizationFactor=t,(n=this.backoff)===null||n===void 0||n.setJitter(t),this)}reconnectionDelayMax(t){var n;return t===void 0?this._reconnectionDelayMax:(this._reconnectionDelayMax=t,(n=this.backoff)===null||n===void 0||n.setMax(t),this)}timeout(t){return arguments.length?(this._timeout=t,this):this._timeout}maybeReconnectOnOpen(){!this._reconnecting&&this._reconnection&&this.backoff.attempts===0&&this.reconnect()}open(t){if(~this._readyState.indexOf("open"))return this;this.engine=new Ep(this.uri,this.opts);const n=this.engine,r=this;this._readyState="opening",this.skipReconnect=!1;const i=$e(n,"open",function(){r.onopen(),t&&t()}),s=o=>{this.cleanup(),this._readyState="closed",this.emitReserved("error",o),t?t(o):this.maybeReconnectOnOpen()},l=$e(n,"error",s);if(this._timeout!==!1){const o=this._timeout,u=this.setTimeoutFn(()=>{i(),s(new Error("timeout")),n.close()},o);this.opts.autoUnref&&u.unref(),this.subs.push(()=>{this.clearTimeoutFn(u)})}return this.subs.push(i),this.subs.push(l),this}connect(t){return this.open(t)}onopen(){this.cleanup(),this._readyState="open",this.emitReserved("open");const t=this.engine;this.subs.push($e(t,"ping",this.onping.bind(this)),$e(t,"data",this.ondata.bind(this)),$e(t,"error",this.onerror.bind(this)),$e(t,"close",this.onclose.bind(this)),$e(this.decoder,"decoded",this.ondecoded.bind(this)))}onping(){this.emitReserved("ping")}ondata(t){try{this.decoder.add(t)}catch(n){this.onclose("parse error",n)}}ondecoded(t){qi(()=>{this.emitReserved("packet",t)},this.setTimeoutFn)}onerror(t){this.emitReserved("error",t)}socket(t,n){let r=this.nsps[t];return r?this._autoConnect&&!r.active&&r.connect():(r=new ff(this,t,n),this.nsps[t]=r),r}_destroy(t){const n=Object.keys(this.nsps);for(const r of n)if(this.nsps[r].active)return;this._close()}_packet(t){const n=this.encoder.encode(t);for(let r=0;r<n.length;r++)this.engine.write(n[r],t.options)}cleanup(){this.subs.forEach(t=>t()),this.subs.length=0,this.decoder.destroy()}_close(){this.skipReconnect=!0,this._reconnecting=!1,this.onclose("forced close")}disconnect(){return this._close()}onclose(t,n){var r;this.cleanup(),(r=this.engine)===null||r===void 0||r.close(),this.backoff.reset(),this._readyState="closed",this.emitReserved("close",t,n),this._reconnection&&!this.skipReconnect&&this.reconnect()}reconnect(){if(this._reconnecting||this.skipReconnect)return this;const t=this;if(this.backoff.attempts>=this._reconnectionAttempts)this.backoff.reset(),this.emitReserved("reconnect_failed"),this._reconnecting=!1;else{const n=this.backoff.duration();this._reconnecting=!0;const r=this.setTimeoutFn(()=>{t.skipReconnect||(this.emitReserved("reconnect_attempt",t.backoff.attempts),!t.skipReconnect&&t.open(i=>{i?(t._reconnecting=!1,t.reconnect(),this.emitReserved("reconnect_error",i)):t.onreconnect()}))},n);this.opts.autoUnref&&r.unref(),this.subs.push(()=>{this.clearTimeoutFn(r)})}}onreconnect(){const t=this.backoff.attempts;this._reconnecting=!1,this.backoff.reset(),this.emitReserved("reconnect",t)}}const Bn={};function si(e,t){typeof e=="object"&&(t=e,e=void 0),t=t||{};const n=Cp(e,t.path||"/socket.io"),r=n.source,i=n.id,s=n.path,l=Bn[i]&&s in Bn[i].nsps,o=t.forceNew||t["force new connection"]||t.multiplex===!1||l;let u;return o?u=new Sl(r,t):(Bn[i]||(Bn[i]=new Sl(r,t)),u=Bn[i]),n.query&&!t.query&&(t.query=n.queryKey),u.socket(n.path,t)}Object.assign(si,{Manager:Sl,Socket:ff,io:si,connect:si});const df="http://localhost:4000";function ht(e){return e?e.message?e.message:String(e):"Something went wrong"}function xl(){const e=new Date;return new Date(e.getTime()-e.getTimezoneOffset()*6e4).toISOString().slice(0,10)}function Fp(e,t){if(!(e!=null&&e.length)||!t)return 0;const n=new Set(e.filter(s=>s.userId===t&&(s.done===1||s.done===!0)).map(s=>s.dateKey));let r=0,i=new Date(xl());for(;;){const s=i.toISOString().slice(0,10);if(n.has(s))r+=1,i.setDate(i.getDate()-1);else break}return r}async function Re(e,t={},n){const r={"Content-Type":"application/json"};n&&(r.Authorization=`Bearer ${n}`);const i=await fetch(`${df}${e}`,{headers:r,...t,body:t.body?JSON.stringify(t.body):void 0});if(!i.ok){const s=await i.text();throw new Error(s||"Request failed")}return i.json()}function Up(){const[e,t]=A.useState(()=>{const T=localStorage.getItem("sc_user");return T?JSON.parse(T):null}),[n,r]=A.useState(()=>localStorage.getItem("sc_token")||""),[i,s]=A.useState([]),[l,o]=A.useState(null),[u,c]=A.useState({}),[m,y]=A.useState({}),[p,w]=A.useState(null),[k,S]=A.useState(!1),[B,h]=A.useState(null),[f,d]=A.useState(""),[v,x]=A.useState("discover"),[E,C]=A.useState([]),[j,$]=A.useState(""),O=3,me=A.useRef(null);A.useEffect(()=>{if(!n)return;const T=si(df,{transports:["websocket"],auth:{token:n}});return me.current=T,()=>{T.close(),me.current=null}},[n]),A.useEffect(()=>{e?localStorage.setItem("sc_user",JSON.stringify(e)):localStorage.removeItem("sc_user")},[e]),A.useEffect(()=>{n?localStorage.setItem("sc_token",n):localStorage.removeItem("sc_token")},[n]),A.useEffect(()=>{e&&(xe(),_e())},[e]),A.useEffect(()=>{const T=me.current;!T||!l||(T.emit("join_contract",{contractId:l}),T.off("new_message"),T.on("new_message",L=>{c(te=>{const Ne=te[L.contractId]||[];return L.contractId!==l?te:{...te,[L.contractId]:[...Ne,L]}})}),xr(l),_r(l))},[l,n]);async function xe(){if(!e)return;const T=await Re(`/api/users/${e.id}/contracts`,{},n);s(T),T.length&&!l&&o(T[0].id)}async function _e(){const T=await Re("/api/contracts",{},n);C(T)}async function xr(T){const L=await Re(`/api/contracts/${T}/messages`,{},n);c(te=>({...te,[T]:L}))}async function _r(T){const L=await Re(`/api/contracts/${T}/checkins`,{},n);y(te=>({...te,[T]:L}))}async function Tn(T){d("");try{const L=await Re("/api/auth/register",{method:"POST",body:T});t(L.user),r(L.token),await xe(),await _e()}catch(L){throw d(ht(L)),L}}async function Pn(T){d("");try{const L=await Re("/api/auth/login",{method:"POST",body:T});t(L.user),r(L.token),await xe(),await _e()}catch(L){throw d(ht(L)),L}}async function _(T,L){var te;if(e){if(S(!0),i.length>=O){d(`Free version limited to ${O} contracts. Please cancel one to create a new contract.`);return}try{d("");const Ne=await Re("/api/contracts",{method:"POST",body:{...T,ownerId:e.id,matchType:L}},n);L==="friend"&&Ne.inviteCode?w(`${window.location.origin}/invite/${Ne.inviteCode}`):w(null),await xe(),await _e(),o(Ne.contract.id),(te=Ne.matchedWith)!=null&&te.user&&h({partner:Ne.matchedWith.user,contractId:Ne.matchedWith.contractId})}catch(Ne){d(ht(Ne))}finally{S(!1)}}}async function P(T){if(e)try{d(""),await Re(`/api/invites/${T}/accept`,{method:"POST",body:{}},n),await xe(),await _e()}catch(L){d(ht(L))}}async function R(T,L){if(!(!e||!L.trim()))try{d(""),await Re(`/api/contracts/${T}/messages`,{method:"POST",body:{text:L.trim()}},n)}catch(te){d(ht(te))}}async function H(T){if(!e)return;const L=xl(),Ne=(m[T]||[]).find(Nr=>Nr.dateKey===L&&Nr.userId===e.id),vf=Ne?!Ne.done:!0;try{d(""),await Re(`/api/contracts/${T}/checkins`,{method:"POST",body:{done:vf}},n),await _r(T)}catch(Nr){d(ht(Nr))}}async function X(T){if(e)try{d("");const L=await Re(`/api/contracts/${T}/join`,{method:"POST",body:{}},n);await xe(),await _e(),o(L.id),x("chat"),h({partner:{name:"Your partner"},contractId:L.id})}catch(L){d(ht(L))}}async function Yt(T){if(!(!e||!window.confirm("Cancel and delete this contract?")))try{d(""),await Re(`/api/contracts/${T}`,{method:"DELETE",body:{}},n),await xe(),await _e(),l===T&&o(null)}catch(te){d(ht(te))}}function tt(){t(null),s([]),o(null),c({}),r(""),localStorage.removeItem("sc_user"),localStorage.removeItem("sc_token")}const ye=i.find(T=>T.id===l)||null,qe=ye&&u[ye.id]||[],Xt=i.filter(T=>T.status==="matched"||T.status==="active"),mf=ye?Fp(m[ye.id],e==null?void 0:e.id):0,yf=(()=>{if(!ye)return!1;const L=(m[ye.id]||[]).find(te=>te.dateKey===xl()&&te.userId===((e==null?void 0:e.id)||""));return(L==null?void 0:L.done)===1||L===!0})();return a.jsxs("div",{className:"app-root",children:[a.jsx(Vp,{user:e,onLogout:tt,view:v,setView:x}),f&&a.jsx($p,{message:f,onClose:()=>d("")}),!e&&a.jsx("main",{className:"section",children:a.jsxs("div",{className:"section-inner",children:[a.jsx("h1",{className:"section-title",children:"Social Contract"}),a.jsx("p",{className:"section-subtitle",children:"Create a measurable goal, match with a partner, and keep each other accountable."}),a.jsx(Hp,{onRegister:Tn,onLogin:Pn})]})}),e&&a.jsxs(a.Fragment,{children:[v==="discover"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsx(Wp,{}),a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Discover contracts"}),a.jsx("p",{className:"section-subtitle",children:"Search and join open contracts from others."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsxs("div",{className:"dashboard-left",children:[a.jsx(Yp,{onAdopt:T=>_(T,"random")}),a.jsx(Bu,{openContracts:E,search:j,onSearch:$,onJoin:X})]})})]})}),v==="new"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsx("div",{className:"dashboard-content single",children:a.jsx("div",{className:"dashboard-left",children:a.jsx(Kp,{onCreate:_,onAccept:P,loading:k,inviteNotice:p,isCapped:i.length>=O,limit:O})})})]})}),v==="explore"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Explore contracts"}),a.jsx("p",{className:"section-subtitle",children:"Search and join open contracts from others."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsx("div",{className:"dashboard-left",children:a.jsx(Bu,{openContracts:E,search:j,onSearch:$,onJoin:X})})})]})}),v==="contracts"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"My Contracts"}),a.jsx("p",{className:"section-subtitle",children:"Browse, select, and track progress."})]}),a.jsxs("div",{className:"dashboard-content",children:[a.jsx("div",{className:"dashboard-left",children:a.jsx(Jp,{contracts:i,activeId:l,onSelect:o})}),a.jsx("div",{className:"dashboard-right",children:ye?a.jsx(Gp,{contract:ye,user:e,messages:qe,onSendMessage:R,onCheckIn:H,todayDone:yf,streak:mf,onCancel:Yt}):a.jsx(Mu,{})})]})]})}),v==="chat"&&a.jsx("main",{className:"dashboard",children:a.jsxs("div",{className:"dashboard-inner",children:[a.jsxs("section",{className:"dashboard-header",children:[a.jsx("h2",{className:"section-title",children:"Partner chat"}),a.jsx("p",{className:"section-subtitle",children:"Pick a matched contract to chat with your partner."})]}),a.jsx("div",{className:"dashboard-content single",children:a.jsxs("div",{className:"dashboard-left",children:[a.jsx(bp,{matchedContracts:Xt,activeId:l,onSelect:T=>o(T)}),ye?a.jsx(hf,{messages:qe,onSend:T=>R(ye.id,T),user:e}):a.jsx(Mu,{})]})})]})})]}),B&&a.jsx(Zp,{partner:B.partner,onClose:()=>h(null),onOpenChat:()=>{o(B.contractId),x("chat"),h(null)}})]})}function Vp({user:e,onLogout:t,view:n,setView:r}){return a.jsx("header",{className:"header",children:a.jsxs("div",{className:"header-inner",children:[a.jsxs("div",{className:"brand",children:[a.jsx("span",{className:"brand-mark",children:"◎"}),a.jsx("span",{className:"brand-name",children:"Social Contract"})]}),e&&a.jsxs("nav",{className:"nav",children:[a.jsx("button",{className:"nav-pill"+(n==="discover"?" active":""),onClick:()=>r("discover"),children:"Discover"}),a.jsx("button",{className:"nav-pill"+(n==="new"?" active":""),onClick:()=>r("new"),children:"New Contract"}),a.jsx("button",{className:"nav-pill"+(n==="contracts"?" active":""),onClick:()=>r("contracts"),children:"My Contracts"}),a.jsx("button",{className:"nav-pill"+(n==="chat"?" active":""),onClick:()=>r("chat"),children:"Chat"})]}),a.jsx("div",{className:"header-actions",children:e?a.jsxs(a.Fragment,{children:[a.jsxs("span",{className:"header-user",children:["Hi, ",e.name]}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Log out"})]}):a.jsx("span",{className:"header-user",children:"Accountability that actually sticks."})})]})})}function $p({message:e,onClose:t}){return a.jsxs("div",{className:"error-banner",children:[a.jsx("span",{children:e}),a.jsx("button",{className:"error-close",onClick:t,"aria-label":"Dismiss",children:"✕"})]})}function Wp(){return a.jsxs("section",{className:"hero",children:[a.jsx("div",{className:"hero-overlay"}),a.jsxs("div",{className:"hero-inner",children:[a.jsxs("div",{className:"hero-text",children:[a.jsx("p",{className:"eyebrow",children:"Social Contract"}),a.jsx("h1",{className:"hero-title",children:"I'm in. If you're in."}),a.jsx("p",{className:"hero-subtitle",children:"Partner up, keep your streak alive, and prove you both showed up. Find a live challenge or start your own."}),a.jsx("p",{className:"hero-note",children:"Stay accountable together — one check-in at a time."})]})]}),a.jsx("div",{className:"hero-wave"})]})}function Hp({onRegister:e,onLogin:t}){const[n,r]=A.useState("register"),[i,s]=A.useState(""),[l,o]=A.useState(""),[u,c]=A.useState(""),[m,y]=A.useState(!1);async function p(w){if(w.preventDefault(),!(!l.trim()||!u)){y(!0);try{n==="register"?await e({name:i.trim()||l.trim(),email:l.trim(),password:u}):await t({email:l.trim(),password:u})}catch{}finally{y(!1)}}}return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:n==="register"?"Create account":"Log in"}),a.jsx("p",{className:"card-subtitle",children:"Email + password so we can keep your contracts and chats tied to you."}),a.jsxs("form",{onSubmit:p,className:"contract-form",children:[n==="register"&&a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Name"}),a.jsx("input",{className:"field-input",value:i,onChange:w=>s(w.target.value)})]}),a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Email"}),a.jsx("input",{className:"field-input",value:l,onChange:w=>o(w.target.value)})]}),a.jsxs("label",{className:"field",children:[a.jsx("span",{className:"field-label",children:"Password"}),a.jsx("input",{className:"field-input",type:"password",value:u,onChange:w=>c(w.target.value)})]}),a.jsx("button",{className:"btn primary",type:"submit",disabled:!l.trim()||!u||m,children:m?"Working…":n==="register"?"Create account":"Log in"})]}),a.jsx("div",{className:"auth-switch",children:n==="register"?a.jsx("button",{className:"btn ghost",onClick:()=>r("login"),children:"Have an account? Log in"}):a.jsx("button",{className:"btn ghost",onClick:()=>r("register"),children:"New here? Create account"})})]})}function Qp({user:e}){return a.jsxs("section",{className:"dashboard-header",children:[a.jsxs("h2",{className:"section-title",children:["Welcome back, ",a.jsx("span",{className:"highlight",children:e.name})]}),a.jsx("p",{className:"section-subtitle",children:"Draft a measurable habit, invite a friend or find a match, and start chatting when paired."})]})}function Kp({onCreate,onAccept,loading,inviteNotice,isCapped,limit}){
   const [mode,setMode]=A.useState("");
   const [form,setForm]=A.useState({title:"",description:"",durationDays:30,stakesLevel:"social",proofBasis:"honor",topicCategory:"other"});
   const [showDesc,setShowDesc]=A.useState(false);
@@ -182,4 +182,4 @@ Error generating stack: `+s.message+`
       ]})
     ]})
   ]});
-}function qp({link:e}){function t(){var n;(n=navigator.clipboard)==null||n.writeText(e)}return a.jsxs("div",{className:"invite-banner",children:[a.jsxs("div",{children:["Share this link with your friend:",a.jsx("br",{}),a.jsx("code",{children:e})]}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Copy"})]})}function Yp({onAdopt:e}){const t=[];return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Discover live challenges"}),a.jsx("p",{className:"card-subtitle",children:"Only real users can post contracts now."}),a.jsxs("div",{className:"challenge-row",children:[t.length===0&&a.jsx("p",{className:"card-subtitle",children:"No live challenges yet. Be the first to post a contract."}),t.map(n=>a.jsxs("div",{className:"challenge-card",children:[a.jsxs("div",{className:"challenge-top",children:[a.jsx("span",{className:"chip",children:Sr(n.topicCategory)}),a.jsxs("span",{className:"chip ghost-chip",children:["Posted by ",n.postedBy]})]}),a.jsx("h4",{children:n.title}),a.jsx("p",{children:n.description}),a.jsxs("div",{className:"challenge-meta",children:[a.jsxs("span",{children:[n.frequencyPerWeek,"x/week"]}),a.jsxs("span",{children:[n.durationDays," days"]})]}),a.jsxs("button",{className:"btn primary full",onClick:()=>e(n),children:["Match with ",n.postedBy]})]},n.title))]})]})}function Xp({onAccept:e}){const[t,n]=A.useState(""),[r,i]=A.useState(!1);async function s(l){if(l.preventDefault(),!!t.trim()){i(!0);try{await e(t.trim()),n("")}finally{i(!1)}}}return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Have an invite code?"}),a.jsxs("form",{className:"contract-form",onSubmit:s,children:[a.jsx("input",{className:"field-input",placeholder:"Paste invite code",value:t,onChange:l=>n(l.target.value)}),a.jsx("button",{className:"btn secondary",type:"submit",disabled:!t.trim()||r,children:"Join contract"})]})]})}function Jp({contracts:e,activeId:t,onSelect:n}){return e.length===0?a.jsx(Li,{title:"My Contracts",children:a.jsx("p",{className:"card-subtitle",children:"No contracts yet. Create one to get matched."})}):a.jsx(Li,{title:"My Contracts",children:a.jsx("ul",{className:"contract-list contract-doc-list",children:e.map(r=>a.jsx("li",{className:"contract-list-item"+(r.id===t?" active":""),children:a.jsxs("button",{className:"contract-list-main",onClick:()=>n(r.id),children:[a.jsxs("div",{className:"contract-list-title",children:[r.title,r.partnerName&&a.jsxs("span",{className:"partner-inline",children:[" • ",r.partnerName]})]}),a.jsxs("div",{className:"contract-list-meta",children:[a.jsx("span",{className:"badge badge-soft",children:Sr(r.topicCategory)}),a.jsx("span",{className:"badge badge-soft",children:r.status})]})]})},r.id))})})}function Gp({contract:e,user:t,messages:n,onSendMessage:r,onCheckIn:i,todayDone:s,streak:l,onCancel:o}){const u=e.partnerName||(e.partnerId?"Your partner":"Waiting for match");return a.jsxs("div",{className:"card card-detail",children:[a.jsxs("h3",{className:"card-title",children:[e.title,e.partnerId&&a.jsxs("span",{className:"partner-tag",children:[" • Partner: ",u]})]}),a.jsx("p",{className:"card-subtitle",children:e.description||"No description yet."}),a.jsxs("div",{className:"detail-grid",children:[a.jsx(Gt,{label:"Topic",value:Sr(e.topicCategory)}),a.jsx(Gt,{label:"Frequency",value:`${e.frequencyPerWeek}x/week`}),a.jsx(Gt,{label:"Duration",value:`${e.durationDays} days`}),a.jsx(Gt,{label:"Stakes",value:pf(e.stakesLevel)}),a.jsx(Gt,{label:"Proof basis",value:e.proofBasis==="prove"?"Prove":"Honor"}),a.jsx(Gt,{label:"Status",value:e.status}),a.jsx(Gt,{label:"Partner",value:u})]}),a.jsxs("div",{className:"streak-card",children:[a.jsxs("div",{className:"streak-row",children:[a.jsx("span",{className:"streak-emoji",children:"🔥"}),a.jsxs("div",{children:[a.jsx("div",{className:"streak-label",children:"Current streak"}),a.jsxs("div",{className:"streak-count",children:[l," day",l===1?"":"s"]})]})]}),a.jsx("p",{className:"streak-note",children:"Check in daily to keep the streak alive."})]}),a.jsxs("div",{className:"today-checkin",children:[a.jsx("h4",{children:"Today's check-in"}),a.jsx("p",{className:"today-text",children:s?"Marked done for today. You can toggle if needed.":"Mark today as done when you complete it."}),a.jsx("button",{className:"btn full "+(s?"secondary-outline":"primary"),onClick:()=>i(e.id),children:s?"Undo today's check-in":"Mark today as done"})]}),e.proofBasis==="prove"&&a.jsxs("div",{className:"progress-card",children:[a.jsxs("div",{className:"progress-header",children:[a.jsx("h4",{children:"Proof ideas"}),a.jsx("span",{className:"progress-pill",children:"AI assist"})]}),a.jsx("p",{className:"detail-note",children:"Pick 1-2 proofs that are easy to share."}),a.jsx("ul",{className:"proof-list",children:(e.proofIdeas||[]).map(m=>a.jsx("li",{children:m},m))})]}),e.status==="matched"?a.jsx(hf,{messages:n,onSend:c=>r(e.id,c),user:t}):a.jsx("p",{className:"card-subtitle",children:"Chat unlocks once you have a partner."}),a.jsx("div",{className:"detail-footer",children:a.jsx("button",{className:"btn secondary-outline full",onClick:()=>o(e.id),children:"Cancel contract"})})]})}function hf({messages:e,onSend:t,user:n}){const[r,i]=A.useState(""),s=A.useRef(null);A.useEffect(()=>{var o;(o=s.current)==null||o.scrollIntoView({behavior:"smooth"})},[e]);function l(o){o.preventDefault(),r.trim()&&(t(r),i(""))}return a.jsxs("div",{className:"card chat-card",children:[a.jsx("h4",{children:"Chat"}),a.jsxs("div",{className:"chat-log",children:[e.map(o=>a.jsxs("div",{className:"chat-msg"+(o.senderId===n.id?" mine":""),children:[a.jsxs("div",{className:"chat-meta",children:[a.jsx("span",{children:o.senderName||(o.senderId===n.id?"You":"Partner")}),a.jsx("span",{children:new Date(o.createdAt).toLocaleTimeString()})]}),a.jsx("div",{className:"chat-text",children:o.text})]},o.id)),a.jsx("div",{ref:s})]}),a.jsxs("form",{className:"chat-input-row",onSubmit:l,children:[a.jsx("input",{className:"field-input",placeholder:"Send a message",value:r,onChange:o=>i(o.target.value)}),a.jsx("button",{className:"btn primary",type:"submit",disabled:!r.trim(),children:"Send"})]})]})}function Gt({label:e,value:t}){return a.jsxs("div",{className:"detail-item",children:[a.jsx("span",{className:"detail-label",children:e}),a.jsx("span",{className:"detail-value",children:t})]})}function Mu(){return a.jsxs("div",{className:"card card-empty",children:[a.jsx("h3",{className:"card-title",children:"No contract selected"}),a.jsx("p",{className:"card-subtitle",children:"Choose a contract on the left to view details and chat."})]})}function Zp({partner:e,onClose:t,onOpenChat:n}){return a.jsx("div",{className:"overlay",children:a.jsxs("div",{className:"match-card",children:[a.jsx("div",{className:"match-emoji",children:"🎉"}),a.jsx("h3",{children:"It's a match!"}),a.jsxs("p",{children:["You've been paired with ",(e==null?void 0:e.name)||"a new partner",". Start chatting now."]}),a.jsxs("div",{className:"actions",children:[a.jsx("button",{className:"btn primary",onClick:n,children:"Open chat"}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Close"})]})]})})}function bp({matchedContracts:e,activeId:t,onSelect:n}){return e.length?a.jsx(Li,{title:"Select a matched contract",children:a.jsx("ul",{className:"contract-list contract-doc-list",children:e.map(r=>a.jsx("li",{className:"contract-list-item"+(r.id===t?" active":""),children:a.jsxs("button",{className:"contract-list-main",onClick:()=>n(r.id),children:[a.jsxs("div",{className:"contract-list-title",children:[r.title,r.partnerName&&a.jsxs("span",{className:"partner-inline",children:[" • ",r.partnerName]})]}),a.jsxs("div",{className:"contract-list-meta",children:[a.jsx("span",{className:"badge badge-soft",children:"Matched"}),a.jsx("span",{className:"badge badge-soft",children:Sr(r.topicCategory)})]})]})},r.id))})}):a.jsx(Li,{title:"Partner chat",children:a.jsx("p",{className:"card-subtitle",children:"Match with someone first to start chatting."})})}function Bu({openContracts:e,search:t,onSearch:n,onJoin:r}){const i=e.filter(s=>{const l=t.toLowerCase();return!l||s.title.toLowerCase().includes(l)||(s.description||"").toLowerCase().includes(l)||(s.topicCategory||"").toLowerCase().includes(l)});return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Browse open contracts"}),a.jsx("div",{className:"field",children:a.jsx("input",{className:"field-input",placeholder:"Search by goal, topic, or description",value:t,onChange:s=>n(s.target.value)})}),a.jsxs("div",{className:"explore-grid",children:[i.length===0&&a.jsx("p",{className:"card-subtitle",children:"No open contracts found."}),i.map(s=>a.jsxs("div",{className:"challenge-card",children:[a.jsxs("div",{className:"challenge-top",children:[a.jsx("span",{className:"chip",children:Sr(s.topicCategory)}),a.jsxs("span",{className:"chip ghost-chip",children:["By ",s.ownerName||"Partner"]})]}),a.jsx("h4",{children:s.title}),a.jsx("p",{children:s.description||"No description"}),a.jsxs("div",{className:"challenge-meta",children:[a.jsxs("span",{children:[s.frequencyPerWeek,"x/week"]}),a.jsxs("span",{children:[s.durationDays," days"]}),a.jsx("span",{children:pf(s.stakesLevel)})]}),a.jsx("button",{className:"btn primary full",onClick:()=>r(s.id),children:"Join this contract"})]},s.id))]})]})}function Li({title:e,children:t}){return a.jsxs("div",{className:"contract-doc",children:[a.jsxs("div",{className:"contract-doc-header",children:[a.jsx("div",{className:"contract-doc-logo",children:"SC"}),a.jsxs("div",{children:[a.jsx("div",{className:"contract-doc-title",children:e}),a.jsx("div",{className:"contract-doc-sub",children:"Accountability Agreement"})]})]}),a.jsx("div",{className:"contract-doc-body",children:t})]})}function Sr(e){switch(e){case"fitness":return"Fitness";case"food":return"Food";case"sleep":return"Sleep";case"study":return"Study";case"money":return"Money";default:return"Other"}}function pf(e){switch(e){case"none":return"None";case"social":return"Social";case"reward":return"Reward";case"money":return"Money later";default:return"Custom"}}const em=Gc(document.getElementById("root"));em.render(a.jsx(Df.StrictMode,{children:a.jsx(Up,{})}));
+}function qp({link:e}){function t(){var n;(n=navigator.clipboard)==null||n.writeText(e)}return a.jsxs("div",{className:"invite-banner",children:[a.jsxs("div",{children:["Share this link with your friend:",a.jsx("br",{}),a.jsx("code",{children:e})]}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Copy"})]})}function Yp({onAdopt:e}){const t=[];return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Discover live challenges"}),a.jsx("p",{className:"card-subtitle",children:"Only real users can post contracts now."}),a.jsxs("div",{className:"challenge-row",children:[t.length===0&&a.jsx("p",{className:"card-subtitle",children:"No live challenges yet. Be the first to post a contract."}),t.map(n=>a.jsxs("div",{className:"challenge-card",children:[a.jsxs("div",{className:"challenge-top",children:[a.jsx("span",{className:"chip",children:Sr(n.topicCategory)}),a.jsxs("span",{className:"chip ghost-chip",children:["Posted by ",n.postedBy]})]}),a.jsx("h4",{children:n.title}),a.jsx("p",{children:n.description}),a.jsxs("div",{className:"challenge-meta",children:[a.jsxs("span",{children:[n.frequencyPerWeek,"x/week"]}),a.jsxs("span",{children:[n.durationDays," days"]})]}),a.jsxs("button",{className:"btn primary full",onClick:()=>e(n),children:["Match with ",n.postedBy]})]},n.title))]})]})}function Xp({onAccept:e}){const[t,n]=A.useState(""),[r,i]=A.useState(!1);async function s(l){if(l.preventDefault(),!!t.trim()){i(!0);try{await e(t.trim()),n("")}finally{i(!1)}}}return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Have an invite code?"}),a.jsxs("form",{className:"contract-form",onSubmit:s,children:[a.jsx("input",{className:"field-input",placeholder:"Paste invite code",value:t,onChange:l=>n(l.target.value)}),a.jsx("button",{className:"btn secondary",type:"submit",disabled:!t.trim()||r,children:"Join contract"})]})]})}function Jp({contracts:e,activeId:t,onSelect:n}){return e.length===0?a.jsx(Li,{title:"My Contracts",children:a.jsx("p",{className:"card-subtitle",children:"No contracts yet. Create one to get matched."})}):a.jsx(Li,{title:"My Contracts",children:a.jsx("ul",{className:"contract-list contract-doc-list",children:e.map(r=>a.jsx("li",{className:"contract-list-item"+(r.id===t?" active":""),children:a.jsxs("button",{className:"contract-list-main",onClick:()=>n(r.id),children:[a.jsxs("div",{className:"contract-list-title",children:[r.title,r.partnerName&&a.jsxs("span",{className:"partner-inline",children:[" • ",r.partnerName]})]}),a.jsxs("div",{className:"contract-list-meta",children:[a.jsx("span",{className:"badge badge-soft",children:Sr(r.topicCategory)}),a.jsx("span",{className:"badge badge-soft",children:r.status})]})]})},r.id))})})}function Gp({contract:e,user:t,messages:n,onSendMessage:r,onCheckIn:i,todayDone:s,streak:l,onCancel:o}){const u=e.partnerName||(e.partnerId?"Your partner":"Waiting for match");return a.jsxs("div",{className:"card card-detail",children:[a.jsxs("h3",{className:"card-title",children:[e.title,e.partnerId&&a.jsxs("span",{className:"partner-tag",children:[" • Partner: ",u]})]}),a.jsx("p",{className:"card-subtitle",children:e.description||"No description yet."}),a.jsxs("div",{className:"detail-grid",children:[a.jsx(Gt,{label:"Topic",value:Sr(e.topicCategory)}),a.jsx(Gt,{label:"Frequency",value:`${e.frequencyPerWeek}x/week`}),a.jsx(Gt,{label:"Duration",value:`${e.durationDays} days`}),a.jsx(Gt,{label:"Stakes",value:pf(e.stakesLevel)}),a.jsx(Gt,{label:"Proof basis",value:e.proofBasis==="prove"?"Prove":"Honor"}),a.jsx(Gt,{label:"Status",value:e.status}),a.jsx(Gt,{label:"Partner",value:u})]}),a.jsxs("div",{className:"streak-card",children:[a.jsxs("div",{className:"streak-row",children:[a.jsx("span",{className:"streak-emoji",children:"🔥"}),a.jsxs("div",{children:[a.jsx("div",{className:"streak-label",children:"Current streak"}),a.jsxs("div",{className:"streak-count",children:[l," day",l===1?"":"s"]})]})]}),a.jsx("p",{className:"streak-note",children:"Check in daily to keep the streak alive."})]}),a.jsxs("div",{className:"today-checkin",children:[a.jsx("h4",{children:"Today's check-in"}),a.jsx("p",{className:"today-text",children:s?"Marked done for today. You can toggle if needed.":"Mark today as done when you complete it."}),a.jsx("button",{className:"btn full "+(s?"secondary-outline":"primary"),onClick:()=>i(e.id),children:s?"Undo today's check-in":"Mark today as done"})]}),e.proofBasis==="prove"&&a.jsxs("div",{className:"progress-card",children:[a.jsxs("div",{className:"progress-header",children:[a.jsx("h4",{children:"Proof ideas"}),a.jsx("span",{className:"progress-pill",children:"AI assist"})]}),a.jsx("p",{className:"detail-note",children:"Pick 1-2 proofs that are easy to share."}),a.jsx("ul",{className:"proof-list",children:(e.proofIdeas||[]).map(m=>a.jsx("li",{children:m},m))})]}),e.status==="matched"||e.status==="active"?a.jsx(hf,{messages:n,onSend:c=>r(e.id,c),user:t}):a.jsx("p",{className:"card-subtitle",children:"Chat unlocks once you have a partner."}),a.jsx("div",{className:"detail-footer",children:a.jsx("button",{className:"btn secondary-outline full",onClick:()=>o(e.id),children:"Cancel contract"})})]})}function hf({messages:e,onSend:t,user:n}){const[r,i]=A.useState(""),s=A.useRef(null);A.useEffect(()=>{var o;(o=s.current)==null||o.scrollIntoView({behavior:"smooth"})},[e]);function l(o){o.preventDefault(),r.trim()&&(t(r),i(""))}return a.jsxs("div",{className:"card chat-card",children:[a.jsx("h4",{children:"Chat"}),a.jsxs("div",{className:"chat-log",children:[e.map(o=>a.jsxs("div",{className:"chat-msg"+(o.senderId===n.id?" mine":""),children:[a.jsxs("div",{className:"chat-meta",children:[a.jsx("span",{children:o.senderName||(o.senderId===n.id?"You":"Partner")}),a.jsx("span",{children:new Date(o.createdAt).toLocaleTimeString()})]}),a.jsx("div",{className:"chat-text",children:o.text})]},o.id)),a.jsx("div",{ref:s})]}),a.jsxs("form",{className:"chat-input-row",onSubmit:l,children:[a.jsx("input",{className:"field-input",placeholder:"Send a message",value:r,onChange:o=>i(o.target.value)}),a.jsx("button",{className:"btn primary",type:"submit",disabled:!r.trim(),children:"Send"})]})]})}function Gt({label:e,value:t}){return a.jsxs("div",{className:"detail-item",children:[a.jsx("span",{className:"detail-label",children:e}),a.jsx("span",{className:"detail-value",children:t})]})}function Mu(){return a.jsxs("div",{className:"card card-empty",children:[a.jsx("h3",{className:"card-title",children:"No contract selected"}),a.jsx("p",{className:"card-subtitle",children:"Choose a contract on the left to view details and chat."})]})}function Zp({partner:e,onClose:t,onOpenChat:n}){return a.jsx("div",{className:"overlay",children:a.jsxs("div",{className:"match-card",children:[a.jsx("div",{className:"match-emoji",children:"🎉"}),a.jsx("h3",{children:"It's a match!"}),a.jsxs("p",{children:["You've been paired with ",(e==null?void 0:e.name)||"a new partner",". Start chatting now."]}),a.jsxs("div",{className:"actions",children:[a.jsx("button",{className:"btn primary",onClick:n,children:"Open chat"}),a.jsx("button",{className:"btn ghost",onClick:t,children:"Close"})]})]})})}function bp({matchedContracts:e,activeId:t,onSelect:n}){return e.length?a.jsx(Li,{title:"Select a matched contract",children:a.jsx("ul",{className:"contract-list contract-doc-list",children:e.map(r=>a.jsx("li",{className:"contract-list-item"+(r.id===t?" active":""),children:a.jsxs("button",{className:"contract-list-main",onClick:()=>n(r.id),children:[a.jsxs("div",{className:"contract-list-title",children:[r.title,r.partnerName&&a.jsxs("span",{className:"partner-inline",children:[" • ",r.partnerName]})]}),a.jsxs("div",{className:"contract-list-meta",children:[a.jsx("span",{className:"badge badge-soft",children:"Matched"}),a.jsx("span",{className:"badge badge-soft",children:Sr(r.topicCategory)})]})]})},r.id))})}):a.jsx(Li,{title:"Partner chat",children:a.jsx("p",{className:"card-subtitle",children:"Match with someone first to start chatting."})})}function Bu({openContracts:e,search:t,onSearch:n,onJoin:r}){const i=e.filter(s=>{const l=t.toLowerCase();return!l||s.title.toLowerCase().includes(l)||(s.description||"").toLowerCase().includes(l)||(s.topicCategory||"").toLowerCase().includes(l)});return a.jsxs("div",{className:"card",children:[a.jsx("h3",{className:"card-title",children:"Browse open contracts"}),a.jsx("div",{className:"field",children:a.jsx("input",{className:"field-input",placeholder:"Search by goal, topic, or description",value:t,onChange:s=>n(s.target.value)})}),a.jsxs("div",{className:"explore-grid",children:[i.length===0&&a.jsx("p",{className:"card-subtitle",children:"No open contracts found."}),i.map(s=>a.jsxs("div",{className:"challenge-card",children:[a.jsxs("div",{className:"challenge-top",children:[a.jsx("span",{className:"chip",children:Sr(s.topicCategory)}),a.jsxs("span",{className:"chip ghost-chip",children:["By ",s.ownerName||"Partner"]})]}),a.jsx("h4",{children:s.title}),a.jsx("p",{children:s.description||"No description"}),a.jsxs("div",{className:"challenge-meta",children:[a.jsxs("span",{children:[s.frequencyPerWeek,"x/week"]}),a.jsxs("span",{children:[s.durationDays," days"]}),a.jsx("span",{children:pf(s.stakesLevel)})]}),a.jsx("button",{className:"btn primary full",onClick:()=>r(s.id),children:"Join this contract"})]},s.id))]})]})}function Li({title:e,children:t}){return a.jsxs("div",{className:"contract-doc",children:[a.jsxs("div",{className:"contract-doc-header",children:[a.jsx("div",{className:"contract-doc-logo",children:"SC"}),a.jsxs("div",{children:[a.jsx("div",{className:"contract-doc-title",children:e}),a.jsx("div",{className:"contract-doc-sub",children:"Accountability Agreement"})]})]}),a.jsx("div",{className:"contract-doc-body",children:t})]})}function Sr(e){switch(e){case"fitness":return"Fitness";case"food":return"Food";case"sleep":return"Sleep";case"study":return"Study";case"money":return"Money";default:return"Other"}}function pf(e){switch(e){case"none":return"None";case"social":return"Social";case"reward":return"Reward";case"money":return"Money later";default:return"Custom"}}const em=Gc(document.getElementById("root"));em.render(a.jsx(Df.StrictMode,{children:a.jsx(Up,{})}));
@@ -0,0 +1,146 @@
+const db = require("./db");
+const { sendError } = require("./errors");
+
+// Fixed-window rate limits. Each rule allows `max` hits per `windowMs` for
+// one key (an IP, an email or a user id); the REST routes and socket events
+// name the rule and the key they count against.
+//
+//   RATE_LIMIT=off           disables every limit (the tests do this)
+//   RATE_LIMIT_STORE=sqlite  keeps counters in the database instead of memory
+//   RATE_LIMITS='{"login":{"max":5},"socket":false}'  overrides or drops rules
+
+const DEFAULT_RULES = {
+  api: { max: 600, windowMs: 60 * 1000 }, // per IP, every /api request
+  login: { max: 20, windowMs: 15 * 60 * 1000 }, // per IP, and again per email
+  register: { max: 10, windowMs: 60 * 60 * 1000 }, // per IP
+  passwordReset: { max: 10, windowMs: 60 * 60 * 1000 }, // per IP
+  message: { max: 30, windowMs: 60 * 1000 }, // per user, REST and socket together
+  socket: { max: 120, windowMs: 60 * 1000 }, // per user, every socket event
+};
+
+// Stores count hits: hit(key, windowMs, now) returns { count, resetAt }.
+function createMemoryStore() {
+  const windows = new Map();
+  return {
+    hit(key, windowMs, now = Date.now()) {
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        if (windows.size > 10000) {
+          windows.forEach((value, name) => {
+            if (value.resetAt <= now) windows.delete(name);
+          });
+        }
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    reset() {
+      windows.clear();
+    },
+  };
+}
+
+function createSqliteStore(database) {
+  const statements = {
+    hit: database.prepare(
+      `INSERT INTO rate_limits (key, count, resetAt) VALUES (@key, 1, @resetAt)
+       ON CONFLICT(key) DO UPDATE SET
+         count = CASE WHEN rate_limits.resetAt <= @now THEN 1 ELSE rate_limits.count + 1 END,
+         resetAt = CASE WHEN rate_limits.resetAt <= @now THEN excluded.resetAt ELSE rate_limits.resetAt END
+       RETURNING count, resetAt`
+    ),
+    prune: database.prepare("DELETE FROM rate_limits WHERE resetAt <= ?"),
+    reset: database.prepare("DELETE FROM rate_limits"),
+  };
+  let hits = 0;
+  return {
+    hit(key, windowMs, now = Date.now()) {
+      hits += 1;
+      if (hits % 1000 === 0) statements.prune.run(now);
+      return statements.hit.get({ key, now, resetAt: now + windowMs });
+    },
+    reset() {
+      statements.reset.run();
+    },
+  };
+}
+
+function loadRules() {
+  let overrides = {};
+  if (process.env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch (err) {
+      console.error("Ignoring RATE_LIMITS, it isn't valid JSON:", err.message);
+    }
+  }
+  const rules = {};
+  Object.entries(DEFAULT_RULES).forEach(([name, rule]) => {
+    if (overrides[name] === false) return;
+    rules[name] = { ...rule, ...overrides[name] };
+  });
+  return rules;
+}
+
+const enabled = process.env.RATE_LIMIT !== "off";
+const rules = loadRules();
+let store = null;
+
+// Created on first use so the SQLite store only prepares statements once the
+// schema is known to be current.
+function getStore() {
+  if (!store) store = process.env.RATE_LIMIT_STORE === "sqlite" ? createSqliteStore(db) : createMemoryStore();
+  return store;
+}
+
+function setStore(next) {
+  store = next;
+}
+
+// Count one hit of `ruleName` for `key`. Returns { limited, limit, remaining,
+// resetAt }, or null when the rule is off.
+function consume(ruleName, key, now = Date.now()) {
+  const rule = rules[ruleName];
+  if (!enabled || !rule || !key) return null;
+  const { count, resetAt } = getStore().hit(`${ruleName}:${key}`, rule.windowMs, now);
+  return { limited: count > rule.max, limit: rule.max, remaining: Math.max(rule.max - count, 0), resetAt };
+}
+
+function retryAfterSeconds(result, now = Date.now()) {
+  return Math.max(Math.ceil((result.resetAt - now) / 1000), 1);
+}
+
+function limitedMessage(result) {
+  return `Too many requests, try again in ${retryAfterSeconds(result)} seconds`;
+}
+
+// Express middleware for one rule. `keyFor(req)` picks what to count against;
+// nothing is counted when it returns a falsy key.
+function rateLimit(ruleName, keyFor = (req) => req.ip) {
+  return (req, res, next) => {
+    const result = consume(ruleName, keyFor(req));
+    if (!result) return next();
+    // With several limits on one route the headers describe the tightest.
+    const shown = res.get("RateLimit-Remaining");
+    if (shown === undefined || result.remaining <= Number(shown)) {
+      res.set("RateLimit-Limit", String(result.limit));
+      res.set("RateLimit-Remaining", String(result.remaining));
+      res.set("RateLimit-Reset", String(retryAfterSeconds(result)));
+    }
+    if (!result.limited) return next();
+    res.set("Retry-After", String(retryAfterSeconds(result)));
+    sendError(res, 429, limitedMessage(result));
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  createMemoryStore,
+  createSqliteStore,
+  setStore,
+  consume,
+  limitedMessage,
+  rateLimit,
+};
@@ -0,0 +1,191 @@
+const { verifyToken } = require("./auth");
+const members = require("./members");
+const messages = require("./messages");
+const policy = require("./policy");
+const { muteError, blockedFromContract } = require("./moderation");
+const { consume, limitedMessage } = require("./ratelimit");
+
+// Socket.io layer. Connections authenticate with the same JWT as the REST
+// API (`auth: { token }` in the client handshake) and may only join rooms of
+// contracts the access policy lets them chat in. Every socket also joins a
+// private `user:<id>` room for events addressed to one person. A socket is
+// dropped once its token is revoked (logout everywhere, password change,
+// suspension, deletion); the token's expiry only matters when connecting.
+// Leaving a contract takes the user's sockets out of its room, and so does a
+// block for the contracts the two users share.
+// Events are
+// rate limited per user (see ratelimit.js); a limited event is dropped and
+// its ack gets { ok: false, code: "RATE_LIMITED" }.
+//
+// Client -> server: join_contract, leave_contract, send_message, edit_message,
+//                   delete_message, typing, mark_read
+// Server -> client: new_message, message_updated, typing, presence, presence_state,
+//                   messages_read, checkin_updated, contract_status, members_updated,
+//                   contract_updated, amendment_updated,
+//                   match_offer, notification (the last two on the user room)
+
+let io = null;
+let onMessage = null;
+const connections = new Map(); // userId -> number of open sockets
+
+function contractRoom(contractId) {
+  return `contract:${contractId}`;
+}
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+function emitToContract(contractId, event, payload) {
+  if (io) io.to(contractRoom(contractId)).emit(event, payload);
+}
+
+function emitToUser(userId, event, payload) {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+}
+
+function isOnline(userId) {
+  return (connections.get(userId) || 0) > 0;
+}
+
+function presenceState(contractId) {
+  return {
+    contractId,
+    members: members.memberIds(contractId).map((userId) => ({ userId, online: isOnline(userId) })),
+  };
+}
+
+function broadcastPresence(userId, online) {
+  members.contractIdsForUser(userId).forEach((contractId) => {
+    emitToContract(contractId, "presence", { contractId, userId, online });
+  });
+}
+
+// Reply through the client's ack callback when it passed one.
+function reply(ack, payload) {
+  if (typeof ack === "function") ack(payload);
+}
+
+function handleConnection(socket) {
+  const user = socket.data.user;
+  socket.join(userRoom(user.id));
+  const count = (connections.get(user.id) || 0) + 1;
+  connections.set(user.id, count);
+  if (count === 1) broadcastPresence(user.id, true);
+
+  // send_message also counts against the REST message limit.
+  socket.use(([event, ...args], next) => {
+    if (!verifyToken(socket.data.token, { ignoreExpiration: true })) return socket.disconnect(true);
+    const results = [consume("socket", user.id)];
+    if (event === "send_message") results.push(consume("message", user.id));
+    const limited = results.find((result) => result?.limited);
+    if (!limited) return next();
+    reply(args[args.length - 1], { ok: false, error: limitedMessage(limited), code: "RATE_LIMITED" });
+  });
+
+  const memberOf = (contractId) =>
+    typeof contractId === "string" && policy.canAccessContract(contractId, user.id, "chat");
+
+  socket.on("join_contract", ({ contractId } = {}, ack) => {
+    if (!memberOf(contractId) || blockedFromContract(contractId, user.id)) return reply(ack, { ok: false, error: "Not allowed" });
+    socket.join(contractRoom(contractId));
+    socket.emit("presence_state", presenceState(contractId));
+    reply(ack, { ok: true });
+  });
+
+  socket.on("leave_contract", ({ contractId } = {}) => {
+    if (typeof contractId === "string") socket.leave(contractRoom(contractId));
+  });
+
+  socket.on("send_message", ({ contractId, text } = {}, ack) => {
+    if (!memberOf(contractId)) return reply(ack, { ok: false, error: "Not allowed" });
+    const muted = muteError(user.id);
+    if (muted) return reply(ack, { ok: false, error: muted });
+    const valid = messages.validateText(text);
+    if (valid.error) return reply(ack, { ok: false, error: valid.error });
+    const msg = messages.createMessage({ contractId, senderId: user.id, text: valid.text });
+    emitToContract(contractId, "new_message", msg);
+    if (onMessage) onMessage(msg);
+    reply(ack, { ok: true, message: msg });
+  });
+
+  socket.on("edit_message", ({ contractId, messageId, text } = {}, ack) => {
+    if (!memberOf(contractId)) return reply(ack, { ok: false, error: "Not allowed" });
+    const muted = muteError(user.id);
+    if (muted) return reply(ack, { ok: false, error: muted });
+    const result = messages.editMessage(contractId, messageId, user.id, text);
+    if (result.error) return reply(ack, { ok: false, error: result.error });
+    emitToContract(contractId, "message_updated", result.message);
+    reply(ack, { ok: true, message: result.message });
+  });
+
+  socket.on("delete_message", ({ contractId, messageId } = {}, ack) => {
+    if (!memberOf(contractId)) return reply(ack, { ok: false, error: "Not allowed" });
+    const result = messages.deleteMessage(contractId, messageId, user.id);
+    if (result.error) return reply(ack, { ok: false, error: result.error });
+    emitToContract(contractId, "message_updated", result.message);
+    reply(ack, { ok: true, message: result.message });
+  });
+
+  socket.on("typing", ({ contractId, isTyping } = {}) => {
+    if (!memberOf(contractId)) return;
+    socket.to(contractRoom(contractId)).emit("typing", {
+      contractId,
+      userId: user.id,
+      name: user.name,
+      isTyping: Boolean(isTyping),
+    });
+  });
+
+  socket.on("mark_read", ({ contractId, messageId } = {}, ack) => {
+    if (!memberOf(contractId)) return reply(ack, { ok: false, error: "Not allowed" });
+    const receipt = messages.markRead(contractId, user.id, messageId);
+    if (!receipt) return reply(ack, { ok: false, error: "Message not found" });
+    emitToContract(contractId, "messages_read", receipt);
+    reply(ack, { ok: true });
+  });
+
+  socket.on("disconnect", () => {
+    const remaining = (connections.get(user.id) || 1) - 1;
+    if (remaining > 0) {
+      connections.set(user.id, remaining);
+    } else {
+      connections.delete(user.id);
+      broadcastPresence(user.id, false);
+    }
+  });
+}
+
+// Stop sending a contract's events to a user who is no longer in it.
+function leaveContractRoom(userId, contractId) {
+  if (io) io.in(userRoom(userId)).socketsLeave(contractRoom(contractId));
+}
+
+// Drop every open socket of a user once their sessions are revoked.
+function disconnectUser(userId) {
+  if (io) io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+// `options.onMessage(msg)` runs after a chat message arrives over a socket.
+function attachRealtime(server, options = {}) {
+  io = server;
+  onMessage = options.onMessage || null;
+  io.use((socket, next) => {
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+    const user = verifyToken(token);
+    if (!user) return next(new Error("Unauthorized"));
+    socket.data.user = user;
+    socket.data.token = token;
+    next();
+  });
+  io.on("connection", handleConnection);
+}
+
+module.exports = {
+  attachRealtime,
+  emitToContract,
+  emitToUser,
+  isOnline,
+  leaveContractRoom,
+  disconnectUser,
+};
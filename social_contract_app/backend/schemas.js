@@ -0,0 +1,298 @@
+const { string, integer, number, boolean, email, oneOf, array, object, any } = require("./validation");
+const { TOPIC_CATEGORIES } = require("./templates");
+const { STAKES_LEVELS } = require("./stakes");
+const { MAX_MESSAGE_LENGTH } = require("./messages");
+const { FORMATS, ACTIVITY_KINDS, CSV_PRESETS, DISTANCE_UNITS, DURATION_UNITS } = require("./activities");
+const { TOKEN_SCOPES } = require("./policy");
+const { EVENTS: WEBHOOK_EVENTS } = require("./webhooks");
+const { SORTS: EXPLORE_SORTS } = require("./explore");
+
+// Request schemas for the API, grouped like the routes in server.js. These
+// check shape, types and ranges; the modules still apply the rules that
+// depend on stored data. Nested values a module parses in full (stakes,
+// notification channels) are `any` here.
+
+const PASSWORD = { min: 8, max: 200, trim: false };
+const NAME = { max: 80 };
+const NOTE = { max: 500, optional: true, nullable: true };
+const ID = { max: 64 };
+
+/* -------------------- Auth and account -------------------- */
+
+const register = {
+  name: string(NAME),
+  email: email(),
+  password: string(PASSWORD),
+  timezone: string({ max: 64, optional: true }),
+};
+
+// No length rules on login so old passwords keep working.
+const login = {
+  email: email(),
+  password: string({ max: 200, trim: false }),
+};
+
+const refreshToken = { refreshToken: string({ max: 200 }) };
+
+const changePassword = {
+  currentPassword: string({ max: 200, trim: false }),
+  newPassword: string(PASSWORD),
+};
+
+const passwordResetRequest = { email: email() };
+
+const passwordResetConfirm = {
+  token: string({ max: 200 }),
+  password: string(PASSWORD),
+};
+
+const updateProfile = {
+  name: string({ ...NAME, optional: true }),
+  avatarUrl: string({ max: 500, optional: true, nullable: true }),
+  timezone: string({ max: 64, optional: true, nullable: true }),
+  bio: string({ max: 500, optional: true, nullable: true }),
+  topics: array(oneOf(TOPIC_CATEGORIES), { max: TOPIC_CATEGORIES.length, optional: true, nullable: true }),
+  visibility: object(
+    {
+      avatarUrl: boolean({ optional: true }),
+      bio: boolean({ optional: true }),
+      topics: boolean({ optional: true }),
+      reliability: boolean({ optional: true }),
+      endorsements: boolean({ optional: true }),
+    },
+    { optional: true }
+  ),
+};
+
+const deleteAccount = { password: string({ max: 200, trim: false }) };
+
+const statsQuery = {
+  from: string({ max: 10, optional: true }),
+  to: string({ max: 10, optional: true }),
+  category: oneOf(TOPIC_CATEGORIES, { optional: true }),
+};
+
+const syncQuery = {
+  since: string({ max: 20, pattern: /^\d+$/, patternMessage: "must be a cursor from an earlier sync", optional: true }),
+};
+
+/* -------------------- Contracts -------------------- */
+
+// Checked after a template or the cloned contract has filled in the terms.
+const contractTerms = {
+  title: string({ max: 120 }),
+  topicCategory: oneOf(TOPIC_CATEGORIES),
+  description: string({ max: 2000, optional: true, nullable: true }),
+  frequencyPerWeek: integer({ min: 1, max: 7 }),
+  durationDays: integer({ min: 1, max: 365 }),
+  stakesLevel: oneOf([...STAKES_LEVELS]),
+  proofBasis: oneOf(["honor", "prove"], { optional: true }),
+  matchType: oneOf(["friend", "random"], { optional: true }),
+  stakes: any({ optional: true, nullable: true }),
+  capacity: integer({ min: 2, max: 8, optional: true, nullable: true }),
+  graceHours: integer({ min: 0, max: 48, optional: true, nullable: true }),
+  matchPreferences: any({ optional: true }),
+  templateId: string({ ...ID, optional: true, nullable: true }),
+};
+
+// The explore feed (GET /api/contracts). Empty values mean "no filter";
+// explore.js decodes the cursor.
+const FILTER = { optional: true, nullable: true };
+const exploreQuery = {
+  sort: oneOf(EXPLORE_SORTS, FILTER),
+  category: oneOf(TOPIC_CATEGORIES, FILTER),
+  stakesLevel: oneOf([...STAKES_LEVELS], FILTER),
+  proofBasis: oneOf(["honor", "prove"], FILTER),
+  minFrequency: integer({ min: 0, ...FILTER }),
+  maxFrequency: integer({ min: 0, ...FILTER }),
+  minDuration: integer({ min: 0, ...FILTER }),
+  maxDuration: integer({ min: 0, ...FILTER }),
+  templateId: string({ ...ID, ...FILTER }),
+  q: string({ max: 200, ...FILTER }),
+  limit: integer({ min: 0, ...FILTER }),
+  cursor: string({ max: 200, ...FILTER }),
+};
+
+const setListing = { listed: boolean() };
+
+const endorsement = {
+  userId: string(ID),
+  note: string(NOTE),
+};
+
+const amendContract = {
+  title: string({ max: 120, optional: true }),
+  description: string({ max: 2000, optional: true, nullable: true }),
+  frequencyPerWeek: integer({ min: 1, max: 7, optional: true }),
+  durationDays: integer({ min: 1, max: 365, optional: true }),
+  stakesLevel: oneOf([...STAKES_LEVELS], { optional: true }),
+  proofBasis: oneOf(["honor", "prove"], { optional: true }),
+  stakes: any({ optional: true, nullable: true }),
+  note: string(NOTE),
+};
+
+const saveTemplate = {
+  contractId: string({ ...ID, optional: true }),
+  title: string({ max: 120, optional: true }),
+  topicCategory: oneOf(TOPIC_CATEGORIES, { optional: true }),
+  description: string({ max: 2000, optional: true, nullable: true }),
+  frequencyPerWeek: integer({ min: 1, max: 7, optional: true }),
+  durationDays: integer({ min: 1, max: 365, optional: true }),
+  stakesLevel: oneOf([...STAKES_LEVELS], { optional: true }),
+  proofBasis: oneOf(["honor", "prove"], { optional: true }),
+  proofIdeas: array(string({ max: 200 }), { max: 6, optional: true }),
+};
+
+const templateQuery = { category: oneOf(TOPIC_CATEGORIES, { optional: true }) };
+
+/* -------------------- Check-ins and evidence -------------------- */
+
+const evidence = {
+  kind: oneOf(["url", "metric"]),
+  url: string({ max: 2000, optional: true }),
+  metricName: string({ max: 100, optional: true }),
+  value: number({ optional: true }),
+  unit: string({ max: 20, optional: true }),
+  note: string(NOTE),
+};
+
+const checkin = {
+  dateKey: string({ max: 10, optional: true }),
+  done: boolean({ optional: true }),
+  evidence: object(evidence, { optional: true, nullable: true }),
+  recordedAt: string({ max: 40, optional: true, nullable: true }),
+};
+
+const verifyCheckin = { reason: string(NOTE) };
+
+const COLUMN = { max: 100, optional: true };
+
+const activityImport = {
+  filename: string({ max: 200, optional: true }),
+  format: oneOf(FORMATS, { optional: true }),
+  preset: oneOf(Object.keys(CSV_PRESETS), { optional: true }),
+  kind: oneOf(Object.keys(ACTIVITY_KINDS), { optional: true }),
+  contractId: string({ ...ID, optional: true }),
+  dateColumn: string(COLUMN),
+  kindColumn: string(COLUMN),
+  distanceColumn: string(COLUMN),
+  durationColumn: string(COLUMN),
+  pagesColumn: string(COLUMN),
+  distanceUnit: oneOf(Object.keys(DISTANCE_UNITS), { optional: true }),
+  durationUnit: oneOf(Object.keys(DURATION_UNITS), { optional: true }),
+};
+
+/* -------------------- Messages -------------------- */
+
+const messageText = { text: string({ max: MAX_MESSAGE_LENGTH }) };
+
+const markRead = { messageId: string(ID) };
+
+const messagePage = {
+  before: string({ ...ID, optional: true }),
+  after: string({ ...ID, optional: true }),
+  limit: integer({ min: 1, max: 200, optional: true }),
+};
+
+const messageSearch = {
+  q: string({ max: 200 }),
+  limit: integer({ min: 1, max: 200, optional: true }),
+};
+
+/* -------------------- Matchmaking -------------------- */
+
+const matchPreferences = {
+  sameStakes: boolean({ optional: true }),
+  sameProofBasis: boolean({ optional: true }),
+  maxFrequencyDiff: number({ min: 0, optional: true, nullable: true }),
+  maxTimezoneDiffHours: number({ min: 0, max: 24, optional: true, nullable: true }),
+};
+
+/* -------------------- Moderation -------------------- */
+
+const report = {
+  targetType: oneOf(["message", "contract", "user"]),
+  targetId: string(ID),
+  reason: oneOf(["spam", "harassment", "inappropriate", "scam", "other"]),
+  details: string({ max: 1000, optional: true, nullable: true }),
+};
+
+const reportQuery = { status: oneOf(["open", "resolved"], { default: "open" }) };
+
+const resolveReport = {
+  resolution: oneOf(["actioned", "dismissed"]),
+  note: string(NOTE),
+};
+
+const moderationAction = {
+  note: string(NOTE),
+  reportId: string({ ...ID, optional: true, nullable: true }),
+};
+
+const mute = { ...moderationAction, hours: number({ min: 0, max: 24 * 30 }) };
+
+/* -------------------- Integrations -------------------- */
+
+const accessToken = {
+  name: string({ max: 80 }),
+  scopes: array(oneOf(Object.keys(TOKEN_SCOPES)), { min: 1, max: Object.keys(TOKEN_SCOPES).length }),
+  expiresInDays: integer({ min: 1, max: 365, optional: true, nullable: true }),
+};
+
+const webhook = {
+  url: string({ max: 2000 }),
+  events: array(oneOf(WEBHOOK_EVENTS), { max: WEBHOOK_EVENTS.length, optional: true }),
+  contractId: string({ ...ID, optional: true, nullable: true }),
+};
+
+/* -------------------- Notifications -------------------- */
+
+const notificationQuery = {
+  unread: boolean({ optional: true }),
+  limit: integer({ min: 1, max: 200, optional: true }),
+};
+
+const notificationSettings = {
+  channels: any({ optional: true }),
+  quietHours: any({ optional: true, nullable: true }),
+  reminderTime: string({ max: 5, optional: true, nullable: true }),
+  mutedTypes: array(string({ max: 50 }), { max: 50, optional: true }),
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  changePassword,
+  passwordResetRequest,
+  passwordResetConfirm,
+  updateProfile,
+  deleteAccount,
+  statsQuery,
+  syncQuery,
+  contractTerms,
+  exploreQuery,
+  setListing,
+  endorsement,
+  amendContract,
+  saveTemplate,
+  templateQuery,
+  evidence,
+  checkin,
+  verifyCheckin,
+  activityImport,
+  messageText,
+  markRead,
+  messagePage,
+  messageSearch,
+  matchPreferences,
+  report,
+  reportQuery,
+  resolveReport,
+  moderationAction,
+  mute,
+  accessToken,
+  webhook,
+  notificationQuery,
+  notificationSettings,
+};
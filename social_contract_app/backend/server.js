@@ -5,12 +5,70 @@ const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
 const db = require("./db");
+const { assertSchemaCurrent } = require("./migrator");
+
+// Check the schema before any module below prepares statements against it.
+try {
+  assertSchemaCurrent(db);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { computeContractProgress } = require("./progress");
+const { isTerminal, joinContract, archiveContract, startLifecycleScheduler } = require("./lifecycle");
+const proofs = require("./proofs");
+const checkinRules = require("./checkins");
+const stakes = require("./stakes");
+const matchmaking = require("./matchmaking");
+const members = require("./members");
+const policy = require("./policy");
+const amendments = require("./amendments");
+const templates = require("./templates");
+const explore = require("./explore");
+const calendar = require("./calendar");
+const archive = require("./archive");
+const moderation = require("./moderation");
+const profiles = require("./profiles");
+const stats = require("./stats");
+const activities = require("./activities");
+const webhooks = require("./webhooks");
+const sync = require("./sync");
+const { recordEvent, listEvents } = require("./events");
+const {
+  assertSecureSecret,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  requireAuth,
+  requireAdmin,
+  optionalAuth,
+} = require("./auth");
+const accounts = require("./accounts");
+const messages = require("./messages");
+const realtime = require("./realtime");
+const notifications = require("./notifications");
+const { isValidTimezone } = require("./timezones");
+const schemas = require("./schemas");
+const { validate, validateRequest } = require("./validation");
+const { sendValidationError, errorFormat, apiNotFound, errorHandler } = require("./errors");
+const { rateLimit } = require("./ratelimit");
+
+// Never run production on the default JWT secret.
+try {
+  assertSecureSecret();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
 const PORT = process.env.PORT || 4000;
 const HOST = process.env.HOST || "0.0.0.0";
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-me";
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -19,52 +77,78 @@ const io = new Server(server, {
   },
 });
 
-app.use(cors());
+// Paging and rate-limit headers must be exposed for cross-origin clients to read them.
+const EXPOSED_HEADERS = ["X-Has-More", "X-Total-Count", "X-Next-Cursor", "Idempotent-Replayed", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"];
+app.use(cors({ exposedHeaders: EXPOSED_HEADERS }));
+app.use("/api", errorFormat, rateLimit("api"));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
 // Helper to run queries.
 const statements = {
   insertUser: db.prepare(
-    "INSERT INTO users (id, name, email, passwordHash, createdAt) VALUES (@id, @name, @email, @passwordHash, @createdAt)"
+    `INSERT INTO users (id, name, email, passwordHash, createdAt, timezone)
+     VALUES (@id, @name, @email, @passwordHash, @createdAt, @timezone)`
   ),
   insertContract: db.prepare(
     `INSERT INTO contracts
-    (id, ownerId, partnerId, title, topicCategory, description, frequencyPerWeek, durationDays, stakesLevel, proofBasis, status, startDate, createdAt, inviteCode)
-    VALUES (@id, @ownerId, @partnerId, @title, @topicCategory, @description, @frequencyPerWeek, @durationDays, @stakesLevel, @proofBasis, @status, @startDate, @createdAt, @inviteCode)`
-  ),
-  updateContractMatch: db.prepare(
-    "UPDATE contracts SET partnerId=@partnerId, status=@status WHERE id=@id"
+    (id, ownerId, partnerId, title, topicCategory, description, frequencyPerWeek, durationDays, stakesLevel, proofBasis, status, startDate, createdAt, inviteCode,
+     stakeAmount, stakeUnit, forfeitRule, beneficiary, beneficiaryLabel, capacity, graceHours, templateId, clonedFromId)
+    VALUES (@id, @ownerId, @partnerId, @title, @topicCategory, @description, @frequencyPerWeek, @durationDays, @stakesLevel, @proofBasis, @status, @startDate, @createdAt, @inviteCode,
+     @stakeAmount, @stakeUnit, @forfeitRule, @beneficiary, @beneficiaryLabel, @capacity, @graceHours, @templateId, @clonedFromId)`
   ),
   findContractByInvite: db.prepare("SELECT * FROM contracts WHERE inviteCode = ?"),
-  insertMessage: db.prepare(
-    "INSERT INTO messages (id, contractId, senderId, text, createdAt) VALUES (@id, @contractId, @senderId, @text, @createdAt)"
-  ),
+  setUnlisted: db.prepare("UPDATE contracts SET unlistedAt = ? WHERE id = ?"),
+  // Changing an existing day's answer stamps editedAt so partners can see it.
+  // A change recorded before the stored one leaves it alone (see sync.js).
   insertCheckin: db.prepare(
-    `INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt)
-     VALUES (@id, @contractId, @userId, @dateKey, @done, @createdAt)
-     ON CONFLICT(contractId, userId, dateKey) DO UPDATE SET done=excluded.done`
+    `INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt, late, source, recordedAt)
+     VALUES (@id, @contractId, @userId, @dateKey, @done, @createdAt, @late, 'manual', @recordedAt)
+     ON CONFLICT(contractId, userId, dateKey) DO UPDATE SET
+       editedAt = CASE WHEN checkins.done != excluded.done THEN excluded.createdAt ELSE checkins.editedAt END,
+       late = CASE WHEN checkins.done != excluded.done THEN excluded.late ELSE checkins.late END,
+       source = CASE WHEN checkins.done != excluded.done THEN excluded.source ELSE checkins.source END,
+       recordedAt = excluded.recordedAt,
+       done = excluded.done
+     WHERE excluded.recordedAt >= COALESCE(checkins.recordedAt, checkins.editedAt, checkins.createdAt)`
   ),
-  deleteMessages: db.prepare("DELETE FROM messages WHERE contractId = ?"),
-  deleteCheckins: db.prepare("DELETE FROM checkins WHERE contractId = ?"),
-  deleteContract: db.prepare("DELETE FROM contracts WHERE id = ?"),
+  listCheckins: db.prepare("SELECT * FROM checkins WHERE contractId = ? ORDER BY dateKey ASC"),
+  findCheckin: db.prepare("SELECT * FROM checkins WHERE contractId = ? AND userId = ? AND dateKey = ?"),
 };
 
+function sessionMeta(req) {
+  return { userAgent: req.get("user-agent") };
+}
+
 function getUser(userId) {
   return db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
 }
 
-function getContractsForUser(userId) {
+function getContractsForUser(userId, { includeArchived = false } = {}) {
   const rows = db
     .prepare(
       `SELECT c.*, u.name as ownerName, p.name as partnerName
        FROM contracts c
        LEFT JOIN users u ON c.ownerId = u.id
        LEFT JOIN users p ON c.partnerId = p.id
-       WHERE c.ownerId = ? OR c.partnerId = ?`
+       JOIN contract_members m ON m.contractId = c.id AND m.userId = ? AND m.leftAt IS NULL
+       WHERE (? OR c.archivedAt IS NULL)`
     )
-    .all(userId, userId);
-  return rows.map((row) => withProofIdeas(row));
+    .all(userId, includeArchived ? 1 : 0);
+  return rows.map((row) => withProgress(members.withMembers(withProofIdeas(row))));
+}
+
+function getContractProgress(contract) {
+  return computeContractProgress(contract, statements.listCheckins.all(contract.id), {
+    participantIds: members.memberIds(contract.id),
+    joinDates: members.joinDates(contract),
+    terms: amendments.termsTimeline(contract),
+  });
+}
+
+function withProgress(contract) {
+  if (!contract) return contract;
+  return { ...contract, progress: getContractProgress(contract) };
 }
 
 const PROOF_BASIS = new Set(["honor", "prove"]);
@@ -83,6 +167,7 @@ function buildProofIdeas(contract) {
     if (idea && !ideas.includes(idea)) ideas.push(idea);
   };
   const addMany = (list) => list.forEach(add);
+  addMany(templates.proofIdeasFor(contract.templateId));
   const title = (contract.title || "").toLowerCase();
   const description = (contract.description || "").toLowerCase();
   const text = `${title} ${description}`.trim();
@@ -150,129 +235,203 @@ function withProofIdeas(contract) {
   return { ...contract, proofBasis, proofIdeas: buildProofIdeas({ ...contract, proofBasis }) };
 }
 
-function tryMatchRandom(newContract) {
-  // Pick first open contract in same topic and different owner.
-  const candidate = db
-    .prepare(
-      `SELECT * FROM contracts
-       WHERE status='open' AND partnerId IS NULL AND ownerId != ? AND topicCategory = ?
-       ORDER BY createdAt ASC LIMIT 1`
-    )
-    .get(newContract.ownerId, newContract.topicCategory);
-  if (!candidate) return null;
-
-  // Mark both matched.
-  statements.updateContractMatch.run({
-    id: candidate.id,
-    partnerId: newContract.ownerId,
-    status: "matched",
-  });
-  statements.updateContractMatch.run({
-    id: newContract.id,
-    partnerId: candidate.ownerId,
-    status: "matched",
-  });
+function insertWelcomeMessage(contractId, senderId, text) {
+  realtime.emitToContract(contractId, "new_message", messages.createMessage({ contractId, senderId, text }));
+}
 
-  // Welcome message to chat history for both.
-  const welcomeText = `You've been matched! Say hi to your partner.`;
-  const createdAt = new Date().toISOString();
-statements.insertMessage.run({
-    id: nanoid(),
-    contractId: candidate.id,
-    senderId: candidate.ownerId,
-    text: welcomeText,
-    createdAt,
-  });
-statements.insertMessage.run({
-    id: nanoid(),
-    contractId: newContract.id,
-    senderId: newContract.ownerId,
-    text: welcomeText,
-    createdAt,
-  });
+const STATUS_WEBHOOK_EVENTS = { matched: "contract.matched", completed: "contract.completed", failed: "contract.failed" };
 
-  const candidateOwner = getUser(candidate.ownerId);
-  return { candidate, candidateOwner };
+// Push a status change to everyone in the contract's room and to webhooks.
+function emitContractStatus(contract, previousStatus) {
+  if (!contract || contract.status === previousStatus) return;
+  const change = { contractId: contract.id, status: contract.status, previousStatus };
+  realtime.emitToContract(contract.id, "contract_status", change);
+  const event = STATUS_WEBHOOK_EVENTS[contract.status];
+  if (event) webhooks.dispatch(event, contract.id, { ...change, title: contract.title });
 }
 
-function insertWelcomeMessage(contractId, senderId, text) {
-  statements.insertMessage.run({
-    id: nanoid(),
-    contractId,
-    senderId,
-    text,
-    createdAt: new Date().toISOString(),
-  });
+// Runs after a chat message arrives over REST or the socket.
+function onNewMessage(msg) {
+  notifyOfflineMembers(msg);
+  webhooks.dispatch("message.created", msg.contractId, msg);
 }
 
-function signToken(user) {
-  return jwt.sign({ sub: user.id, name: user.name, email: user.email }, JWT_SECRET, { expiresIn: "7d" });
+// Let members who aren't connected know a message arrived. One
+// notification per contract per hour is enough to bring them back.
+function notifyOfflineMembers(msg) {
+  const contract = db.prepare("SELECT title FROM contracts WHERE id = ?").get(msg.contractId);
+  const hour = msg.createdAt.slice(0, 13);
+  members
+    .memberIds(msg.contractId)
+    .filter((userId) => userId !== msg.senderId && !realtime.isOnline(userId))
+    .forEach((userId) => {
+      notifications.notify(userId, "new_message", {
+        title: `${msg.senderName || "Your partner"} sent a message`,
+        body: `${contract?.title || "Contract"}: ${msg.text.slice(0, 140)}`,
+        contractId: msg.contractId,
+        dedupeKey: `message:${msg.contractId}:${userId}:${hour}`,
+      });
+    });
 }
 
-function requireAuth(req, res, next) {
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
-  if (!token) return res.status(401).json({ error: "Unauthorized" });
-  try {
-    const payload = jwt.verify(token, JWT_SECRET);
-    req.user = { id: payload.sub, name: payload.name, email: payload.email };
-    next();
-  } catch (e) {
-    return res.status(401).json({ error: "Invalid token" });
-  }
+function notifyJoined(contract, userId) {
+  const user = getUser(userId);
+  notifications.notify(contract.ownerId, "invite_accepted", {
+    title: `${user?.name || "Someone"} joined ${contract.title}`,
+    contractId: contract.id,
+    dedupeKey: `joined:${contract.id}:${userId}`,
+  });
+}
+
+function emitMembers(contractId) {
+  realtime.emitToContract(contractId, "members_updated", { contractId, members: members.listMembers(contractId) });
 }
 
 // Demo data removed so only real users can post contracts.
 
 /* -------------------- Auth -------------------- */
 
-app.post("/api/auth/register", (req, res) => {
-  const { name, email, password } = req.body;
-  if (!name || !email || !password) return res.status(400).json({ error: "Name, email, password required" });
-  const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email.toLowerCase());
-  if (existing) return res.status(400).json({ error: "Email already registered" });
+app.post("/api/auth/register", rateLimit("register"), validateRequest({ body: schemas.register }), (req, res) => {
+  const { name, email, password, timezone } = req.body;
+  if (timezone && !isValidTimezone(timezone)) return res.status(400).json({ error: "Unknown timezone" });
+  const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(email);
+  if (existing) return res.status(409).json({ error: "Email already registered" });
   const user = {
     id: nanoid(),
-    name: name.trim(),
-    email: email.trim().toLowerCase(),
+    name,
+    email,
     passwordHash: bcrypt.hashSync(password, 10),
     createdAt: new Date().toISOString(),
+    timezone: timezone || null,
   };
   statements.insertUser.run(user);
-  const token = signToken(user);
-  res.json({ token, user: { id: user.id, name: user.name, email: user.email } });
+  res.json({ ...issueSession(user, sessionMeta(req)), user: { id: user.id, name: user.name, email: user.email } });
 });
 
-app.post("/api/auth/login", (req, res) => {
+// Limited per IP and per email, so one account can't be guessed at from many IPs.
+const limitLoginByEmail = rateLimit("login", (req) => `email:${req.body.email}`);
+
+app.post("/api/auth/login", rateLimit("login"), validateRequest({ body: schemas.login }), limitLoginByEmail, (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: "Email and password required" });
-  const user = db.prepare("SELECT * FROM users WHERE email = ?").get(email.toLowerCase());
+  const user = db.prepare("SELECT * FROM users WHERE email = ?").get(email);
   if (!user || !user.passwordHash || !bcrypt.compareSync(password, user.passwordHash)) {
     return res.status(401).json({ error: "Invalid credentials" });
   }
-  const token = signToken(user);
-  res.json({ token, user: { id: user.id, name: user.name, email: user.email } });
+  if (user.suspendedAt) return res.status(403).json({ error: "Account suspended" });
+  res.json({ ...issueSession(user, sessionMeta(req)), user: { id: user.id, name: user.name, email: user.email } });
+});
+
+// Trade a refresh token for a new access token; the refresh token rotates.
+app.post("/api/auth/refresh", validateRequest({ body: schemas.refreshToken }), (req, res) => {
+  const result = rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+  if (result.error) return res.status(401).json({ error: result.error });
+  res.json({ token: result.token, refreshToken: result.refreshToken });
+});
+
+app.post("/api/auth/logout", validateRequest({ body: schemas.refreshToken }), (req, res) => {
+  revokeSession(req.body.refreshToken);
+  res.json({ ok: true });
+});
+
+app.post("/api/auth/logout-all", requireAuth, (req, res) => {
+  revokeAllSessions(req.user.id);
+  realtime.disconnectUser(req.user.id);
+  res.json({ ok: true });
+});
+
+// Other devices are logged out; this one gets a fresh session.
+app.post("/api/auth/password", requireAuth, validateRequest({ body: schemas.changePassword }), (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const result = accounts.changePassword(req.user.id, currentPassword, newPassword);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  realtime.disconnectUser(req.user.id);
+  res.json(issueSession(result.user, sessionMeta(req)));
+});
+
+// Always answers ok so it can't be used to check which emails have accounts.
+app.post("/api/auth/password-reset/request", rateLimit("passwordReset"), validateRequest({ body: schemas.passwordResetRequest }), (req, res) => {
+  accounts.requestPasswordReset(req.body.email).catch((err) => console.error("Password reset mail failed:", err));
+  res.json({ ok: true });
+});
+
+app.post("/api/auth/password-reset/confirm", rateLimit("passwordReset"), validateRequest({ body: schemas.passwordResetConfirm }), (req, res) => {
+  const { token, password } = req.body;
+  const result = accounts.resetPassword(token, password);
+  if (result.error) return res.status(400).json({ error: result.error });
+  realtime.disconnectUser(result.user.id);
+  res.json({ ok: true });
 });
 
 /* -------------------- Routes -------------------- */
 
 app.get("/api/me", requireAuth, (req, res) => {
-  res.json(req.user);
+  res.json(accounts.getProfile(req.user.id));
+});
+
+app.put("/api/me", requireAuth, validateRequest({ body: schemas.updateProfile }), (req, res) => {
+  const result = accounts.updateProfile(req.user.id, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.profile);
+});
+
+// Delete the account: leave or cancel running contracts, then anonymize.
+app.delete("/api/me", requireAuth, validateRequest({ body: schemas.deleteAccount }), (req, res) => {
+  if (!accounts.checkPassword(getUser(req.user.id), req.body.password)) {
+    return res.status(401).json({ error: "Password is incorrect" });
+  }
+  getContractsForUser(req.user.id)
+    .filter((contract) => !isTerminal(contract.status))
+    .forEach((contract) => leaveOrCancelContract(contract, req.user.id));
+  accounts.deleteAccount(req.user.id);
+  realtime.disconnectUser(req.user.id);
+  res.json({ ok: true });
+});
+
+// Personal data archive (see archive.js); `?format=csv` gives just the check-ins.
+app.get("/api/me/export", requireAuth, (req, res) => {
+  const day = new Date().toISOString().slice(0, 10);
+  if (req.query.format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="checkins-${day}.csv"`);
+    return res.send(archive.checkinsCsv(req.user.id));
+  }
+  if (req.query.format !== undefined && req.query.format !== "json") {
+    return res.status(400).json({ error: "format must be json or csv" });
+  }
+  res.set("Content-Disposition", `attachment; filename="social-contract-${day}.json"`);
+  res.json(archive.buildUserArchive(req.user.id));
+});
+
+// Totals, heatmap, streaks and trends across all of your contracts (see
+// stats.js); `from`/`to` and `category` narrow it down.
+app.get("/api/me/stats", requireAuth, validateRequest({ query: schemas.statsQuery }), (req, res) => {
+  const result = stats.getUserStats(req.user.id, req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.stats);
 });
 
-app.get("/api/users/:id", requireAuth, (req, res) => {
-  const user = getUser(req.params.id);
-  if (!user) return res.status(404).json({ error: "User not found" });
-  res.json({ id: user.id, name: user.name, email: user.email });
+// Public profile with the reliability record (see profiles.js). Anyone may
+// look; fields the user hid come back null, and you see your own in full.
+app.get("/api/users/:id", optionalAuth, (req, res) => {
+  const profile = profiles.getPublicProfile(req.params.id, req.user?.id);
+  if (!profile) return res.status(404).json({ error: "User not found" });
+  res.json(profile);
 });
 
 app.get("/api/users/:id/contracts", requireAuth, (req, res) => {
-  if (req.user.id !== req.params.id) return res.status(403).json({ error: "Forbidden" });
-  const list = getContractsForUser(req.params.id);
+  if (!policy.canViewPrivateProfile(req.user.id, req.params.id)) return res.status(403).json({ error: "Not allowed" });
+  const list = getContractsForUser(req.params.id, { includeArchived: req.query.includeArchived === "1" });
   res.json(list);
 });
 
-app.post("/api/contracts", requireAuth, (req, res) => {
+// Validate and insert a new open contract owned by `ownerId`, then queue it
+// for matching if asked. Shared by create and clone, which check the schema
+// here because a template or the cloned contract fills in the terms first.
+// Returns { details } for schema failures, { error } or the create response.
+function createContract(ownerId, rawInput, { clonedFromId = null } = {}) {
+  const checked = validate(schemas.contractTerms, rawInput);
+  if (checked.details) return { details: checked.details };
+  const input = checked.value;
   const {
     title,
     topicCategory,
@@ -282,182 +441,892 @@ app.post("/api/contracts", requireAuth, (req, res) => {
     stakesLevel,
     proofBasis,
     matchType,
-  } = req.body;
-  if (!title || !topicCategory || !frequencyPerWeek || !durationDays || !stakesLevel) {
-    return res.status(400).json({ error: "Missing required fields" });
+  } = input;
+  const parsedStakes = stakes.parseStakesInput(input.stakes);
+  if (parsedStakes.error) return { error: parsedStakes.error };
+  const { capacity, error: capacityError } = members.parseCapacity(input.capacity);
+  if (capacityError) return { error: capacityError };
+  const { graceHours, error: graceError } = checkinRules.parseGraceHours(input.graceHours);
+  if (graceError) return { error: graceError };
+  if (capacity > 2 && matchType === "random") {
+    return { error: "Random matching is only for two-person contracts" };
   }
-  const owner = getUser(req.user.id);
-  if (!owner) return res.status(404).json({ error: "Owner not found" });
+  const owner = getUser(ownerId);
+  if (!owner) return { error: "Owner not found", status: 404 };
 
   const now = new Date().toISOString();
   const contract = {
     id: nanoid(),
-    ownerId: req.user.id,
+    ownerId,
     partnerId: null,
-    title: title.trim(),
+    title,
     topicCategory,
-    description: description?.trim() || "",
-    frequencyPerWeek: Number(frequencyPerWeek),
-    durationDays: Number(durationDays),
+    description: description || "",
+    frequencyPerWeek,
+    durationDays,
     stakesLevel,
     proofBasis: normalizeProofBasis(proofBasis),
     status: "open",
     startDate: now.slice(0, 10),
     createdAt: now,
-    inviteCode: matchType === "friend" ? nanoid(10) : null,
+    inviteCode: matchType === "friend" || capacity > 2 ? nanoid(10) : null,
+    ...parsedStakes.stakes,
+    capacity,
+    graceHours,
+    templateId: input.templateId || null,
+    clonedFromId,
   };
 
-  statements.insertContract.run(contract);
+  db.transaction(() => {
+    statements.insertContract.run(contract);
+    members.addMember(contract.id, contract.ownerId, "owner");
+    recordEvent(contract.id, "created", { actorId: contract.ownerId, data: clonedFromId ? { clonedFromId } : null });
+  })();
 
-  let matchedWith = null;
+  // Random matches are offered to both owners; nobody is paired until both accept.
+  let matchOffer = null;
   if (matchType === "random") {
-    matchedWith = tryMatchRandom(contract);
+    matchOffer = matchmaking.enqueueContract(contract, input.matchPreferences);
+    if (matchOffer) notifyOffer(matchOffer);
   }
 
-  const response = {
-    contract: withProofIdeas({ ...contract, status: matchedWith ? "matched" : contract.status }),
+  return {
+    contract: members.withMembers(withProofIdeas(contract)),
     inviteCode: contract.inviteCode,
-    matchedWith: matchedWith
-      ? { user: matchedWith.candidateOwner, contractId: matchedWith.candidate.id }
-      : null,
+    matchedWith: null,
+    matchOffer: matchOffer ? describeOffer(matchOffer, ownerId) : null,
+  };
+}
+
+// `templateId` fills in any terms the request leaves out.
+app.post("/api/contracts", requireAuth, (req, res) => {
+  let input = req.body;
+  if (input.templateId !== undefined) {
+    const template = templates.getTemplate(input.templateId, req.user.id);
+    if (!template) return res.status(400).json({ error: "Unknown template" });
+    input = templates.applyTemplate(template, input);
+  }
+  const result = createContract(req.user.id, input);
+  if (result.details) return sendValidationError(res, result.details);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  res.json(result);
+});
+
+// Start a fresh contract with the same terms as a finished one. The caller
+// owns the copy; body fields override the copied terms.
+app.post("/api/contracts/:id/clone", requireAuth, policy.contractAccess("clone"), (req, res) => {
+  const source = req.contract;
+  if (!isTerminal(source.status)) return res.status(400).json({ error: "Only finished contracts can be cloned" });
+  const input = {
+    ...templates.termsOf(source),
+    templateId: source.templateId,
+    matchType: "friend",
+    ...req.body,
   };
-  res.json(response);
+  const result = createContract(req.user.id, input, { clonedFromId: source.id });
+  if (result.details) return sendValidationError(res, result.details);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  recordEvent(source.id, "cloned", { actorId: req.user.id, data: { contractId: result.contract.id } });
+  res.json(result);
 });
 
-app.get("/api/contracts/:id", requireAuth, (req, res) => {
-  const row = db.prepare("SELECT * FROM contracts WHERE id = ?").get(req.params.id);
-  if (!row) return res.status(404).json({ error: "Not found" });
-  res.json(withProofIdeas(row));
+app.get("/api/contracts/:id", requireAuth, policy.contractAccess("view"), (req, res) => {
+  res.json(members.withMembers(withProofIdeas(req.contract)));
 });
 
-// Public explore: list open contracts (no partner yet).
-app.get("/api/contracts", (req, res) => {
-  const rows = db
-    .prepare(
-      `SELECT c.*, u.name as ownerName
-       FROM contracts c
-       LEFT JOIN users u ON c.ownerId = u.id
-       WHERE c.status = 'open' AND c.partnerId IS NULL
-       ORDER BY c.createdAt DESC
-       LIMIT 50`
-    )
-    .all();
-  res.json(rows.map((row) => withProofIdeas(row)));
+// Public explore feed (filters and sorts in explore.js). The body stays a
+// plain array; X-Total-Count has the number of matches and X-Next-Cursor the
+// `cursor` for the next page, if any.
+app.get("/api/contracts", optionalAuth, validateRequest({ query: schemas.exploreQuery }), (req, res) => {
+  const parsed = explore.parseExploreQuery(req.query);
+  if (parsed.details) return sendValidationError(res, parsed.details);
+  const page = explore.listExplore(parsed.params, req.user?.id);
+  if (page.error) return res.status(page.status).json({ error: page.error });
+  res.set("X-Total-Count", String(page.total));
+  if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+  const reliability = profiles.reliabilitySummaries(page.contracts.map((row) => row.ownerId));
+  res.json(page.contracts.map((row) => ({ ...withProofIdeas(row), ownerReliability: reliability.get(row.ownerId) })));
 });
 
-app.post("/api/contracts/:id/checkins", requireAuth, (req, res) => {
-  const { dateKey, done } = req.body;
-  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(req.params.id);
-  if (!contract) return res.status(404).json({ error: "Contract not found" });
-  const today = dateKey || new Date().toISOString().slice(0, 10);
-  statements.insertCheckin.run({
-    id: nanoid(),
-    contractId: contract.id,
-    userId: req.user.id,
-    dateKey: today,
-    done: done ? 1 : 0,
-    createdAt: new Date().toISOString(),
-  });
-  res.json({ ok: true });
+// Owners can hide a contract from explore; invite links keep working.
+app.put("/api/contracts/:id/listing", requireAuth, policy.contractAccess("edit"), validateRequest({ body: schemas.setListing }), (req, res) => {
+  const contract = req.contract;
+  if (req.body.listed === !contract.unlistedAt) return res.json(members.withMembers(withProofIdeas(contract)));
+  const unlistedAt = req.body.listed ? null : new Date().toISOString();
+  statements.setUnlisted.run(unlistedAt, contract.id);
+  recordEvent(contract.id, req.body.listed ? "listed" : "unlisted", { actorId: req.user.id });
+  res.json(members.withMembers(withProofIdeas({ ...contract, unlistedAt })));
 });
 
-app.get("/api/contracts/:id/checkins", requireAuth, (req, res) => {
-  const rows = db
-    .prepare(
-      "SELECT * FROM checkins WHERE contractId = ? ORDER BY dateKey ASC"
-    )
-    .all(req.params.id);
-  res.json(rows);
+// Offline clients send `recordedAt` and an Idempotency-Key; an answer that
+// lost to a newer change comes back with `conflict: "superseded"`.
+app.post(
+  "/api/contracts/:id/checkins",
+  requireAuth,
+  policy.contractAccess("checkin"),
+  sync.idempotent,
+  validateRequest({ body: schemas.checkin }),
+  (req, res) => {
+    const { dateKey, done, evidence } = req.body;
+    const contract = req.contract;
+    if (isTerminal(contract.status)) return res.status(400).json({ error: `Contract is ${contract.status}` });
+    let parsedEvidence = null;
+    if (evidence) {
+      const parsed = proofs.parseEvidenceInput(evidence);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      parsedEvidence = parsed.evidence;
+    }
+    const recorded = sync.resolveRecordedAt(req.body.recordedAt);
+    if (recorded.error) return res.status(400).json({ error: recorded.error });
+    const day = checkinRules.resolveCheckinDay(contract, getUser(req.user.id)?.timezone, dateKey, recorded.at);
+    if (day.error) return res.status(400).json({ error: day.error });
+    const today = day.dateKey;
+    statements.insertCheckin.run({
+      id: nanoid(),
+      contractId: contract.id,
+      userId: req.user.id,
+      dateKey: today,
+      done: done ? 1 : 0,
+      createdAt: new Date().toISOString(),
+      late: day.late ? 1 : 0,
+      recordedAt: recorded.at.toISOString(),
+    });
+    const checkin = statements.findCheckin.get(contract.id, req.user.id, today);
+    if (checkin.done !== (done ? 1 : 0)) {
+      const [current] = proofs.withEvidence([checkin], contract.id);
+      return res.json({ ok: true, checkin: current, conflict: "superseded" });
+    }
+    if (parsedEvidence) proofs.addEvidence(checkin, req.user.id, parsedEvidence);
+    res.json({ ok: true, checkin: announceCheckin(contract, req.user, checkin.id) });
+  }
+);
+
+// Push a new or changed check-in to the contract room and webhooks, and tell
+// the other members when it's done. Returns the check-in with its evidence.
+function announceCheckin(contract, user, checkinId) {
+  const [withEvidence] = proofs.withEvidence([proofs.getCheckin(contract.id, checkinId)], contract.id);
+  realtime.emitToContract(contract.id, "checkin_updated", withEvidence);
+  webhooks.dispatch("checkin.created", contract.id, withEvidence);
+  if (withEvidence.done) {
+    notifications.notifyMany(
+      members.memberIds(contract.id).filter((id) => id !== user.id),
+      "partner_checked_in",
+      {
+        title: `${user.name || "Your partner"} checked in on ${contract.title}`,
+        body: withEvidence.late ? `Logged late for ${withEvidence.dateKey}.` : null,
+        contractId: contract.id,
+        dedupeKey: `checkin:${withEvidence.id}`,
+      }
+    );
+  }
+  return withEvidence;
+}
+
+app.get("/api/contracts/:id/checkins", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  const rows = statements.listCheckins.all(req.contract.id);
+  res.json(proofs.withEvidence(rows, req.contract.id));
 });
 
-app.get("/api/contracts/:id/messages", requireAuth, (req, res) => {
-  const messages = db
-    .prepare(
-      `SELECT m.*, u.name as senderName
-       FROM messages m
-       LEFT JOIN users u ON m.senderId = u.id
-       WHERE m.contractId = ?
-       ORDER BY m.createdAt ASC`
-    )
-    .all(req.params.id);
-  res.json(messages);
+// Load the check-in for the proof endpoints below (the contract was already
+// loaded by policy.contractAccess). Sends a 404 and returns null when missing.
+function loadCheckinForProof(req, res) {
+  const checkin = proofs.getCheckin(req.contract.id, req.params.checkinId);
+  if (!checkin) {
+    res.status(404).json({ error: "Check-in not found" });
+    return null;
+  }
+  return { contract: req.contract, checkin };
+}
+
+// Attach a url or metric to your own check-in.
+app.post(
+  "/api/contracts/:id/checkins/:checkinId/evidence",
+  requireAuth,
+  policy.contractAccess("checkin"),
+  validateRequest({ body: schemas.evidence }),
+  (req, res) => {
+    const loaded = loadCheckinForProof(req, res);
+    if (!loaded) return;
+    if (loaded.checkin.userId !== req.user.id) return res.status(403).json({ error: "Not your check-in" });
+    const parsed = proofs.parseEvidenceInput(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    res.json(proofs.addEvidence(loaded.checkin, req.user.id, parsed.evidence));
+  }
+);
+
+// Upload an image or file as the raw request body. The original name goes in
+// the X-File-Name header or ?filename=.
+app.post(
+  "/api/contracts/:id/checkins/:checkinId/evidence/file",
+  requireAuth,
+  policy.contractAccess("checkin"),
+  express.raw({ type: () => true, limit: proofs.UPLOAD_MAX_BYTES }),
+  (req, res) => {
+    const loaded = loadCheckinForProof(req, res);
+    if (!loaded) return;
+    if (loaded.checkin.userId !== req.user.id) return res.status(403).json({ error: "Not your check-in" });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) return res.status(400).json({ error: "File body required" });
+    const evidence = proofs.addFileEvidence(loaded.checkin, req.user.id, {
+      buffer: req.body,
+      fileName: req.get("x-file-name") || req.query.filename,
+      note: req.query.note,
+    });
+    res.json(evidence);
+  }
+);
+
+app.get("/api/evidence/:id/file", requireAuth, (req, res) => {
+  const evidence = proofs.getEvidence(req.params.id);
+  if (!evidence || evidence.kind !== "file") return res.status(404).json({ error: "Not found" });
+  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(evidence.contractId);
+  const denied = policy.authorize(contract, req.user.id, "activity");
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  // Older uploads kept the client's type, so check it against the allow-list here too.
+  const inline = proofs.INLINE_TYPES.has(evidence.mimeType);
+  res.type(inline ? evidence.mimeType : "application/octet-stream");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Content-Disposition", `${inline ? "inline" : "attachment"}; filename="${evidence.fileName}"`);
+  res.sendFile(evidence.filePath);
 });
 
-app.post("/api/contracts/:id/messages", requireAuth, (req, res) => {
-  const { text } = req.body;
-  if (!text) return res.status(400).json({ error: "text required" });
-  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(req.params.id);
-  if (!contract) return res.status(404).json({ error: "Contract not found" });
-  const msg = {
-    id: nanoid(),
-    contractId: contract.id,
-    senderId: req.user.id,
-    text: text.trim(),
-    createdAt: new Date().toISOString(),
+// Partner verification: only the other participant may approve or dispute.
+function verifyCheckinRoute(decision) {
+  return (req, res) => {
+    const loaded = loadCheckinForProof(req, res);
+    if (!loaded) return;
+    const { contract, checkin } = loaded;
+    if (normalizeProofBasis(contract.proofBasis) !== "prove") {
+      return res.status(400).json({ error: "Verification only applies to prove contracts" });
+    }
+    if (checkin.userId === req.user.id) return res.status(403).json({ error: "Cannot verify your own check-in" });
+    const updated = proofs.verifyCheckin(checkin, req.user.id, decision, req.body.reason);
+    const [withEvidence] = proofs.withEvidence([updated], contract.id);
+    realtime.emitToContract(contract.id, "checkin_updated", withEvidence);
+    res.json(withEvidence);
   };
-  statements.insertMessage.run(msg);
-  const sender = getUser(req.user.id);
-  const withName = { ...msg, senderName: sender?.name || null };
-  io.to(roomName(contract.id)).emit("new_message", withName);
-  res.json(withName);
+}
+
+app.post(
+  "/api/contracts/:id/checkins/:checkinId/approve",
+  requireAuth,
+  policy.contractAccess("verify"),
+  validateRequest({ body: schemas.verifyCheckin }),
+  verifyCheckinRoute("approved")
+);
+app.post(
+  "/api/contracts/:id/checkins/:checkinId/dispute",
+  requireAuth,
+  policy.contractAccess("verify"),
+  validateRequest({ body: schemas.verifyCheckin }),
+  verifyCheckinRoute("disputed")
+);
+
+app.get("/api/contracts/:id/progress", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  res.json(getContractProgress(req.contract));
+});
+
+// Newest page by default; `before`/`after` take a message id as cursor. The
+// body stays a plain array and X-Has-More says whether another page exists.
+app.get("/api/contracts/:id/messages", requireAuth, policy.contractAccess("chat"), validateRequest({ query: schemas.messagePage }), (req, res) => {
+  const { before, after, limit } = req.query;
+  if (before && after) return res.status(400).json({ error: "Use either before or after, not both" });
+  const page = messages.listMessages(req.contract.id, { before, after, limit });
+  if (page.error) return res.status(400).json({ error: page.error });
+  res.set("X-Has-More", String(page.hasMore));
+  res.json(page.messages);
+});
+
+app.get("/api/contracts/:id/messages/search", requireAuth, policy.contractAccess("chat"), validateRequest({ query: schemas.messageSearch }), (req, res) => {
+  const result = messages.searchMessages(req.contract.id, req.query.q, { limit: req.query.limit });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.messages);
+});
+
+// Read receipt: marks everything up to `messageId` as read.
+app.post("/api/contracts/:id/messages/read", requireAuth, policy.contractAccess("chat"), validateRequest({ body: schemas.markRead }), (req, res) => {
+  const contract = req.contract;
+  const receipt = messages.markRead(contract.id, req.user.id, req.body.messageId);
+  if (!receipt) return res.status(404).json({ error: "Message not found" });
+  realtime.emitToContract(contract.id, "messages_read", receipt);
+  res.json(receipt);
+});
+
+function requireNotMuted(req, res, next) {
+  const muted = moderation.muteError(req.user.id);
+  if (muted) return res.status(403).json({ error: muted });
+  next();
+}
+
+// Shared with send_message over the socket (see realtime.js).
+const limitMessages = rateLimit("message", (req) => req.user.id);
+const messageChecks = [requireNotMuted, limitMessages, validateRequest({ body: schemas.messageText })];
+
+app.post("/api/contracts/:id/messages", requireAuth, policy.contractAccess("chat"), sync.idempotent, messageChecks, (req, res) => {
+  const valid = messages.validateText(req.body.text);
+  if (valid.error) return res.status(400).json({ error: valid.error });
+  const contract = req.contract;
+  const msg = messages.createMessage({ contractId: contract.id, senderId: req.user.id, text: valid.text });
+  realtime.emitToContract(contract.id, "new_message", msg);
+  onNewMessage(msg);
+  res.json(msg);
+});
+
+// Senders may edit or delete their own messages; deleted ones keep their
+// place in the history with blank text and `deletedAt` set.
+app.patch("/api/contracts/:id/messages/:messageId", requireAuth, policy.contractAccess("chat"), messageChecks, (req, res) => {
+  const result = messages.editMessage(req.contract.id, req.params.messageId, req.user.id, req.body.text);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  realtime.emitToContract(req.contract.id, "message_updated", result.message);
+  res.json(result.message);
+});
+
+app.delete("/api/contracts/:id/messages/:messageId", requireAuth, policy.contractAccess("chat"), (req, res) => {
+  const result = messages.deleteMessage(req.contract.id, req.params.messageId, req.user.id);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  realtime.emitToContract(req.contract.id, "message_updated", result.message);
+  res.json(result.message);
 });
 
 app.get("/api/invites/:code", (req, res) => {
   const contract = statements.findContractByInvite.get(req.params.code);
   if (!contract) return res.status(404).json({ error: "Invite not found" });
-  res.json(withProofIdeas(contract));
+  res.json(members.withMembers(withProofIdeas(contract)));
 });
 
+// Invite codes can be used until the contract reaches capacity.
 app.post("/api/invites/:code/accept", requireAuth, (req, res) => {
   const userId = req.user.id;
   const contract = statements.findContractByInvite.get(req.params.code);
   if (!contract) return res.status(404).json({ error: "Invite not found" });
-  if (contract.partnerId) return res.status(400).json({ error: "Already matched" });
-  statements.updateContractMatch.run({
-    id: contract.id,
-    partnerId: userId,
-    status: "matched",
-  });
-  const updated = db.prepare("SELECT * FROM contracts WHERE id = ?").get(contract.id);
-  res.json(withProofIdeas(updated));
+  if (moderation.blockedFromContract(contract.id, userId)) return res.status(403).json({ error: "You can't join this contract" });
+  const result = joinContract(contract, userId);
+  if (result.error) return res.status(400).json({ error: result.error });
+  if (members.isGroup(contract)) insertGroupWelcome(contract, userId);
+  emitMembers(contract.id);
+  notifyJoined(contract, userId);
+  emitContractStatus(result.contract, contract.status);
+  res.json(members.withMembers(withProofIdeas(result.contract)));
 });
 
-// Join an open contract directly (explore).
-app.post("/api/contracts/:id/join", requireAuth, (req, res) => {
+function insertGroupWelcome(contract, userId) {
+  const user = getUser(userId);
+  insertWelcomeMessage(contract.id, userId, `${user?.name || "A new member"} joined the group. Let's keep each other accountable.`);
+}
+
+// Join a contract directly (explore).
+app.post("/api/contracts/:id/join", requireAuth, policy.contractAccess("view"), (req, res) => {
   const userId = req.user.id;
-  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(req.params.id);
-  if (!contract) return res.status(404).json({ error: "Contract not found" });
-  if (contract.ownerId === userId) return res.status(400).json({ error: "Cannot join your own contract" });
-  if (contract.partnerId) return res.status(400).json({ error: "Already matched" });
-
-  statements.updateContractMatch.run({
-    id: contract.id,
-    partnerId: userId,
-    status: "matched",
-  });
+  const contract = req.contract;
+  if (moderation.blockedFromContract(contract.id, userId)) return res.status(403).json({ error: "You can't join this contract" });
 
-  // Welcome note for both sides.
-  const owner = getUser(contract.ownerId);
-  insertWelcomeMessage(contract.id, contract.ownerId, `${owner?.name || "Partner"} is ready to go!`);
-  insertWelcomeMessage(contract.id, userId, "Thanks for joining this contract. Let's keep each other accountable.");
+  const result = joinContract(contract, userId);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  if (members.isGroup(contract)) {
+    insertGroupWelcome(contract, userId);
+  } else {
+    // Welcome note for both sides.
+    const owner = getUser(contract.ownerId);
+    insertWelcomeMessage(contract.id, contract.ownerId, `${owner?.name || "Partner"} is ready to go!`);
+    insertWelcomeMessage(contract.id, userId, "Thanks for joining this contract. Let's keep each other accountable.");
+  }
+  emitMembers(contract.id);
+  notifyJoined(contract, userId);
+  emitContractStatus(result.contract, contract.status);
 
-  const updated = db.prepare("SELECT * FROM contracts WHERE id = ?").get(contract.id);
-  res.json(withProofIdeas(updated));
+  res.json(members.withMembers(withProofIdeas(result.contract)));
 });
 
-// Cancel/delete a contract (owner or partner).
-app.delete("/api/contracts/:id", requireAuth, (req, res) => {
-  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(req.params.id);
-  if (!contract) return res.status(404).json({ error: "Contract not found" });
-  if (contract.ownerId !== req.user.id && contract.partnerId !== req.user.id) {
+function leaveOrCancelContract(contract, userId) {
+  if (policy.can(policy.roleFor(contract, userId), "leave")) {
+    members.removeMember(contract.id, userId);
+    realtime.leaveContractRoom(userId, contract.id);
+    recordEvent(contract.id, "member_left", { actorId: userId });
+    if (!isTerminal(contract.status)) stakes.recordAbandonForfeit(contract, userId);
+    emitMembers(contract.id);
+    return { left: true };
+  }
+  const archived = archiveContract(contract, userId);
+  if (!archived) return { error: `Contract is already ${contract.status}` };
+  stakes.recordAbandonForfeit(contract, userId);
+  emitContractStatus(archived, contract.status);
+  return { archived };
+}
+
+// Cancel a contract (any participant). The contract is archived as
+// abandoned; its messages and check-ins are kept. In a group only the owner
+// cancels; other members leave and the group carries on.
+app.delete("/api/contracts/:id", requireAuth, policy.contractAccess("view"), (req, res) => {
+  if (!policy.can(req.contractRole, "cancel") && !policy.can(req.contractRole, "leave")) {
     return res.status(403).json({ error: "Not allowed" });
   }
-  statements.deleteMessages.run(contract.id);
-  statements.deleteCheckins.run(contract.id);
-  statements.deleteContract.run(contract.id);
+  const result = leaveOrCancelContract(req.contract, req.user.id);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.left ? { ok: true, left: true } : { ok: true });
+});
+
+/* -------------------- Endorsements -------------------- */
+
+app.get("/api/contracts/:id/endorsements", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  res.json(profiles.listContractEndorsements(req.contract.id));
+});
+
+// Vouch for another member once the contract has ended.
+app.post("/api/contracts/:id/endorsements", requireAuth, policy.contractAccess("endorse"), validateRequest({ body: schemas.endorsement }), (req, res) => {
+  const result = profiles.endorse(req.contract, req.user.id, req.body.userId, req.body.note);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  notifications.notify(result.endorsement.toUserId, "endorsement_received", {
+    title: `${req.user.name || "Your partner"} endorsed you on ${req.contract.title}`,
+    body: result.endorsement.note,
+    contractId: req.contract.id,
+    dedupeKey: `endorsement:${result.endorsement.id}`,
+  });
+  res.json(result.endorsement);
+});
+
+/* -------------------- Activity imports -------------------- */
+
+// Upload a GPX track or a tracker's CSV export as the raw request body (see
+// activities.js for the options). The file name goes in the X-File-Name
+// header or ?filename=, like evidence uploads.
+app.post(
+  "/api/me/imports",
+  requireAuth,
+  express.raw({ type: () => true, limit: activities.IMPORT_MAX_BYTES }),
+  validateRequest({ query: schemas.activityImport }),
+  (req, res) => {
+    const { filename, ...options } = req.query;
+    const result = activities.importActivities(req.user.id, req.body, { ...options, fileName: req.get("x-file-name") || filename });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    const { checkins, ...body } = result;
+    checkins.forEach(({ contract, checkinId }) => announceCheckin(contract, req.user, checkinId));
+    res.json(body);
+  }
+);
+
+app.get("/api/me/imports", requireAuth, (req, res) => {
+  res.json(activities.listImports(req.user.id));
+});
+
+/* -------------------- Templates -------------------- */
+
+app.get("/api/templates", requireAuth, validateRequest({ query: schemas.templateQuery }), (req, res) => {
+  res.json(templates.listTemplates(req.user.id, { category: req.query.category }));
+});
+
+// Save a template from the request body, or from the terms of a contract the
+// caller takes part in (`contractId`).
+app.post("/api/templates", requireAuth, validateRequest({ body: schemas.saveTemplate }), (req, res) => {
+  let input = req.body;
+  if (input.contractId !== undefined) {
+    const contract = amendments.getContract(input.contractId);
+    const access = policy.authorize(contract, req.user.id, "activity");
+    if (access) return res.status(access.status).json({ error: access.error });
+    input = { ...templates.termsOf(contract), title: input.title || contract.title, proofIdeas: input.proofIdeas };
+  }
+  const result = templates.createTemplate(req.user.id, input);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.template);
+});
+
+app.delete("/api/templates/:id", requireAuth, (req, res) => {
+  if (!templates.deleteTemplate(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  res.json({ ok: true });
+});
+
+/* -------------------- Amendments -------------------- */
+
+function emitAmendment(contract, amendment) {
+  realtime.emitToContract(contract.id, "amendment_updated", amendment);
+}
+
+function emitContractUpdated(contract) {
+  realtime.emitToContract(contract.id, "contract_updated", members.withMembers(withProofIdeas(contract)));
+}
+
+// Edit a contract. Applied at once while the owner is alone on it;
+// otherwise this proposes an amendment the other members must accept.
+app.patch("/api/contracts/:id", requireAuth, policy.contractAccess("edit"), validateRequest({ body: schemas.amendContract }), (req, res) => {
+  const result = amendments.proposeAmendment(req.contract, req.user.id, req.body);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  if (result.contract) {
+    emitContractUpdated(result.contract);
+    return res.json({ applied: true, contract: members.withMembers(withProofIdeas(result.contract)) });
+  }
+  emitAmendment(req.contract, result.amendment);
+  notifications.notifyMany(
+    members.memberIds(req.contract.id).filter((id) => id !== req.user.id),
+    "amendment_proposed",
+    {
+      title: `${req.user.name || "Your partner"} proposed a change to ${req.contract.title}`,
+      body: result.amendment.note,
+      contractId: req.contract.id,
+      data: { amendmentId: result.amendment.id },
+      dedupeKey: `amendment:${result.amendment.id}`,
+    }
+  );
+  res.json({ applied: false, amendment: result.amendment });
+});
+
+app.get("/api/contracts/:id/amendments", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  res.json(amendments.listAmendments(req.contract.id));
+});
+
+function loadAmendment(req, res) {
+  const amendment = amendments.getAmendment(req.contract.id, req.params.amendmentId);
+  if (!amendment) res.status(404).json({ error: "Amendment not found" });
+  return amendment;
+}
+
+function amendmentResolved(contract, amendment) {
+  emitAmendment(contract, amendment);
+  if (amendment.status === "pending") return;
+  if (amendment.status === "accepted") emitContractUpdated(amendments.getContract(contract.id));
+  notifications.notify(amendment.proposedBy, "amendment_resolved", {
+    title: `Your change to ${contract.title} was ${amendment.status}`,
+    contractId: contract.id,
+    data: { amendmentId: amendment.id },
+    dedupeKey: `amendment-resolved:${amendment.id}`,
+  });
+}
+
+function respondToAmendmentRoute(accept) {
+  return (req, res) => {
+    const amendment = loadAmendment(req, res);
+    if (!amendment) return;
+    const result = amendments.respondToAmendment(req.contract, amendment, req.user.id, accept);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    amendmentResolved(req.contract, result.amendment);
+    res.json(result);
+  };
+}
+
+app.post(
+  "/api/contracts/:id/amendments/:amendmentId/accept",
+  requireAuth,
+  policy.contractAccess("approve"),
+  respondToAmendmentRoute(true)
+);
+app.post(
+  "/api/contracts/:id/amendments/:amendmentId/reject",
+  requireAuth,
+  policy.contractAccess("approve"),
+  respondToAmendmentRoute(false)
+);
+
+app.post("/api/contracts/:id/amendments/:amendmentId/withdraw", requireAuth, policy.contractAccess("edit"), (req, res) => {
+  const amendment = loadAmendment(req, res);
+  if (!amendment) return;
+  const result = amendments.withdrawAmendment(req.contract, amendment, req.user.id);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  emitAmendment(req.contract, result.amendment);
+  res.json(result.amendment);
+});
+
+// Append-only audit trail of everything that happened to the contract.
+app.get("/api/contracts/:id/events", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  res.json(listEvents(req.contract.id));
+});
+
+/* -------------------- Calendar -------------------- */
+
+function sendCalendar(res, filename, body) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+app.get("/api/contracts/:id/calendar.ics", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  sendCalendar(res, `contract-${req.contract.id}.ics`, calendar.contractCalendar(req.contract, req.user.id));
+});
+
+// Subscription feed: the secret in the URL is the only credential, so
+// calendar apps can poll it without logging in.
+app.post("/api/me/calendar-feed", requireAuth, (req, res) => {
+  res.json(calendar.rotateFeedToken(req.user.id));
+});
+
+app.delete("/api/me/calendar-feed", requireAuth, (req, res) => {
+  calendar.revokeFeedToken(req.user.id);
+  res.json({ ok: true });
+});
+
+app.get("/api/calendar/:file", (req, res) => {
+  const user = calendar.findFeedUser(req.params.file.replace(/\.ics$/, ""));
+  if (!user) return res.status(404).json({ error: "Calendar feed not found" });
+  sendCalendar(res, "social-contract.ics", calendar.feedCalendar(user));
+});
+
+/* -------------------- Stakes ledger -------------------- */
+
+app.get("/api/contracts/:id/ledger", requireAuth, policy.contractAccess("activity"), (req, res) => {
+  res.json(stakes.listContractLedger(req.contract.id));
+});
+
+app.get("/api/me/balances", requireAuth, (req, res) => {
+  res.json(stakes.getUserBalances(req.user.id));
+});
+
+app.post("/api/ledger/:entryId/settle", requireAuth, (req, res) => {
+  const entry = stakes.getEntry(req.params.entryId);
+  if (!entry) return res.status(404).json({ error: "Ledger entry not found" });
+  if (!stakes.canSettle(entry, req.user.id)) return res.status(403).json({ error: "Not allowed" });
+  if (entry.status === "settled") return res.status(400).json({ error: "Already settled" });
+  res.json(stakes.settleEntry(entry, req.user.id));
+});
+
+/* -------------------- Matchmaking -------------------- */
+
+// An offer as seen by one side: their contract and the proposed partner's.
+function describeOffer(offer, userId) {
+  const mine = offer.userAId === userId ? offer.contractAId : offer.contractBId;
+  const theirs = offer.userAId === userId ? offer.contractBId : offer.contractAId;
+  const partnerContract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(theirs);
+  const partner = partnerContract && getUser(partnerContract.ownerId);
+  return {
+    ...offer,
+    contractId: mine,
+    partner: partner
+      ? { id: partner.id, name: partner.name, reliability: profiles.reliabilitySummaries([partner.id]).get(partner.id) }
+      : null,
+    partnerContract: partnerContract ? withProofIdeas(partnerContract) : null,
+  };
+}
+
+// Tell both owners about a new offer.
+function notifyOffer(offer) {
+  [offer.userAId, offer.userBId].forEach((userId) => {
+    const described = describeOffer(offer, userId);
+    realtime.emitToUser(userId, "match_offer", described);
+    notifications.notify(userId, "match_found", {
+      title: `We found you a partner: ${described.partner?.name || "someone"}`,
+      body: `${described.partnerContract?.title || "A contract"} looks like a ${offer.score}% fit. Accept or decline the offer.`,
+      contractId: described.contractId,
+      data: { offerId: offer.id },
+      dedupeKey: `offer:${offer.id}:${userId}`,
+    });
+  });
+}
+
+app.get("/api/me/match-preferences", requireAuth, (req, res) => {
+  res.json(matchmaking.getUserPreferences(req.user.id));
+});
+
+app.put("/api/me/match-preferences", requireAuth, validateRequest({ body: schemas.matchPreferences }), (req, res) => {
+  res.json(matchmaking.setUserPreferences(req.user.id, req.body));
+});
+
+app.get("/api/match-offers", requireAuth, (req, res) => {
+  res.json(matchmaking.listOffersForUser(req.user.id).map((offer) => describeOffer(offer, req.user.id)));
+});
+
+function respondToOfferRoute(accept) {
+  return (req, res) => {
+    const offer = matchmaking.getOffer(req.params.id);
+    if (!offer || !matchmaking.isOfferParty(offer, req.user.id)) {
+      return res.status(404).json({ error: "Offer not found" });
+    }
+    const result = matchmaking.respondToOffer(offer, req.user.id, accept);
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (result.matched) {
+      emitContractStatus(result.matched.contractA, "open");
+      emitContractStatus(result.matched.contractB, "open");
+      [result.matched.contractA, result.matched.contractB].forEach((matched) => {
+        notifications.notify(matched.ownerId, "match_found", {
+          title: `You're matched on ${matched.title}`,
+          body: "Both of you accepted. Say hi to your partner.",
+          contractId: matched.id,
+          dedupeKey: `matched:${offer.id}:${matched.ownerId}`,
+        });
+      });
+    }
+    const other = offer.userAId === req.user.id ? offer.userBId : offer.userAId;
+    realtime.emitToUser(other, "match_offer", describeOffer(result.offer, other));
+    res.json(describeOffer(result.offer, req.user.id));
+  };
+}
+
+app.post("/api/match-offers/:id/accept", requireAuth, respondToOfferRoute(true));
+app.post("/api/match-offers/:id/decline", requireAuth, respondToOfferRoute(false));
+
+/* -------------------- Moderation -------------------- */
+
+app.get("/api/me/blocks", requireAuth, (req, res) => {
+  res.json(moderation.listBlocks(req.user.id));
+});
+
+app.post("/api/users/:id/block", requireAuth, (req, res) => {
+  const result = moderation.blockUser(req.user.id, req.params.id);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error });
+  // Neither side follows the other's contracts live any more.
+  const theirs = new Set(members.contractIdsForUser(req.params.id));
+  members.contractIdsForUser(req.user.id)
+    .filter((contractId) => theirs.has(contractId))
+    .forEach((contractId) => {
+      realtime.leaveContractRoom(req.user.id, contractId);
+      realtime.leaveContractRoom(req.params.id, contractId);
+    });
+  res.json({ ok: true });
+});
+
+app.delete("/api/users/:id/block", requireAuth, (req, res) => {
+  moderation.unblockUser(req.user.id, req.params.id);
+  res.json({ ok: true });
+});
+
+// Report a message, contract or user. Messages and contracts must be ones
+// the reporter can see.
+app.post("/api/reports", requireAuth, validateRequest({ body: schemas.report }), (req, res) => {
+  const canSee = (contract, action) => !policy.authorize(contract, req.user.id, action);
+  const result = moderation.createReport(req.user.id, req.body, canSee);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result.report);
+});
+
+app.get("/api/admin/reports", requireAuth, requireAdmin, validateRequest({ query: schemas.reportQuery }), (req, res) => {
+  res.json(moderation.listReports(req.query.status));
+});
+
+app.post("/api/admin/reports/:id/resolve", requireAuth, requireAdmin, validateRequest({ body: schemas.resolveReport }), (req, res) => {
+  const result = moderation.resolveReport(req.user.id, req.params.id, req.body);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result.report);
+});
+
+// Admin actions take an optional `note` and the `reportId` that prompted them.
+function moderationOptions(req) {
+  return { note: req.body.note, reportId: req.body.reportId || null };
+}
+
+function hideContractRoute(hidden) {
+  return (req, res) => {
+    const result = moderation.setContractHidden(req.user.id, req.params.id, hidden, moderationOptions(req));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(members.withMembers(withProofIdeas(result.contract)));
+  };
+}
+
+const moderationBody = validateRequest({ body: schemas.moderationAction });
+
+app.post("/api/admin/contracts/:id/hide", requireAuth, requireAdmin, moderationBody, hideContractRoute(true));
+app.post("/api/admin/contracts/:id/unhide", requireAuth, requireAdmin, moderationBody, hideContractRoute(false));
+
+// `hours: 0` lifts a mute.
+app.post("/api/admin/users/:id/mute", requireAuth, requireAdmin, validateRequest({ body: schemas.mute }), (req, res) => {
+  const result = moderation.muteUser(req.user.id, req.params.id, req.body.hours, moderationOptions(req));
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result);
+});
+
+function suspendRoute(suspended) {
+  return (req, res) => {
+    const result = moderation.suspendUser(req.user.id, req.params.id, suspended, moderationOptions(req));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    if (suspended) realtime.disconnectUser(req.params.id);
+    res.json(result);
+  };
+}
+
+app.post("/api/admin/users/:id/suspend", requireAuth, requireAdmin, moderationBody, suspendRoute(true));
+app.post("/api/admin/users/:id/unsuspend", requireAuth, requireAdmin, moderationBody, suspendRoute(false));
+
+app.get("/api/admin/actions", requireAuth, requireAdmin, (req, res) => {
+  res.json(moderation.listActions());
+});
+
+/* -------------------- Offline sync -------------------- */
+
+// Everything that changed on the caller's contracts since `since` (a cursor
+// from the last call), or everything when it's missing. See sync.js.
+app.get("/api/sync", requireAuth, validateRequest({ query: schemas.syncQuery }), (req, res) => {
+  const since = req.query.since === undefined ? undefined : Number(req.query.since);
+  const result = sync.changesSince(req.user.id, since);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ ...result, contracts: result.contracts.map((row) => withProgress(members.withMembers(withProofIdeas(row)))) });
+});
+
+/* -------------------- Integrations -------------------- */
+
+// Personal access tokens are managed with a login only (see policy.TOKEN_SCOPES).
+app.get("/api/me/tokens", requireAuth, (req, res) => {
+  res.json(listAccessTokens(req.user.id));
+});
+
+// The token itself is only in this response.
+app.post("/api/me/tokens", requireAuth, validateRequest({ body: schemas.accessToken }), (req, res) => {
+  const result = createAccessToken(req.user.id, req.body);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ ...result.accessToken, token: result.token });
+});
+
+app.delete("/api/me/tokens/:id", requireAuth, (req, res) => {
+  if (!revokeAccessToken(req.user.id, req.params.id)) return res.status(404).json({ error: "Token not found" });
+  res.json({ ok: true });
+});
+
+app.get("/api/webhooks", requireAuth, (req, res) => {
+  res.json(webhooks.listSubscriptions(req.user.id));
+});
+
+// The signing secret is only in this response.
+app.post("/api/webhooks", requireAuth, validateRequest({ body: schemas.webhook }), (req, res, next) => {
+  webhooks
+    .createSubscription(req.user.id, req.body)
+    .then((result) => {
+      if (result.error) return res.status(result.status).json({ error: result.error });
+      res.json(result.subscription);
+    })
+    .catch(next);
+});
+
+app.delete("/api/webhooks/:id", requireAuth, (req, res) => {
+  if (!webhooks.removeSubscription(req.user.id, req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+  res.json({ ok: true });
+});
+
+app.get("/api/webhooks/:id/deliveries", requireAuth, (req, res) => {
+  const deliveries = webhooks.listDeliveries(req.user.id, req.params.id);
+  if (!deliveries) return res.status(404).json({ error: "Webhook not found" });
+  res.json(deliveries);
+});
+
+app.post("/api/webhooks/:id/deliveries/:deliveryId/replay", requireAuth, (req, res) => {
+  const delivery = webhooks.replayDelivery(req.user.id, req.params.id, req.params.deliveryId);
+  if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+  res.json(delivery);
+});
+
+/* -------------------- Notifications -------------------- */
+
+app.get("/api/notifications", requireAuth, validateRequest({ query: schemas.notificationQuery }), (req, res) => {
+  res.json(
+    notifications.listNotifications(req.user.id, { unreadOnly: req.query.unread === true, limit: req.query.limit })
+  );
+});
+
+app.post("/api/notifications/read-all", requireAuth, (req, res) => {
+  res.json({ ok: true, updated: notifications.markAllRead(req.user.id) });
+});
+
+app.post("/api/notifications/:id/read", requireAuth, (req, res) => {
+  if (!notifications.markRead(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: "Notification not found" });
+  }
   res.json({ ok: true });
 });
 
+app.get("/api/me/notification-settings", requireAuth, (req, res) => {
+  res.json(notifications.getSettings(req.user.id));
+});
+
+app.put("/api/me/notification-settings", requireAuth, validateRequest({ body: schemas.notificationSettings }), (req, res) => {
+  const result = notifications.updateSettings(req.user.id, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json(result.settings);
+});
+
 // Simple health check for debugging connectivity.
 app.get("/api/health", (_req, res) => {
   res.json({ ok: true });
@@ -469,31 +1338,21 @@ app.get("*", (req, res, next) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+app.use("/api", apiNotFound);
+app.use(errorHandler);
+
 /* -------------------- Socket.io -------------------- */
-function roomName(contractId) {
-  return `contract:${contractId}`;
-}
+realtime.attachRealtime(io, { onMessage: onNewMessage });
 
-io.on("connection", (socket) => {
-  socket.on("join_contract", ({ contractId }) => {
-    socket.join(roomName(contractId));
+// Tests require this file to get the app without listening or schedulers.
+if (require.main === module) {
+  server.listen(PORT, HOST, () => {
+    console.log(`API listening on http://${HOST}:${PORT}`);
+    startLifecycleScheduler((change) => emitContractStatus(change.contract, change.from));
+    matchmaking.startMatchmakingScheduler(notifyOffer);
+    notifications.startReminderScheduler();
+    webhooks.startWebhookScheduler();
   });
-  socket.on("send_message", ({ contractId, senderId, text }) => {
-    if (!contractId || !senderId || !text) return;
-    const msg = {
-      id: nanoid(),
-      contractId,
-      senderId,
-      text: text.trim(),
-      createdAt: new Date().toISOString(),
-    };
-    statements.insertMessage.run(msg);
-    const sender = getUser(senderId);
-    const withName = { ...msg, senderName: sender?.name || null };
-    io.to(roomName(contractId)).emit("new_message", withName);
-  });
-});
+}
 
-server.listen(PORT, HOST, () => {
-  console.log(`API listening on http://${HOST}:${PORT}`);
-});
+module.exports = { app, server };
@@ -0,0 +1,210 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+
+// Structured stakes and the points/IOU ledger. No money moves; entries record
+// who owes what to whom and whether it's been settled.
+
+// The contract's headline stakes; structured stakes below add the details.
+const STAKES_LEVELS = new Set(["none", "social", "reward", "money"]);
+const FORFEIT_RULES = new Set(["per_missed_checkin", "on_failure"]);
+const BENEFICIARIES = new Set(["partner", "charity", "pot"]);
+
+const statements = {
+  insertEntry: db.prepare(
+    `INSERT OR IGNORE INTO stake_ledger
+    (id, contractId, debtorId, creditorType, creditorId, creditorLabel, amount, unit, reason, periodKey, status, createdAt)
+    VALUES (@id, @contractId, @debtorId, @creditorType, @creditorId, @creditorLabel, @amount, @unit, @reason, @periodKey, 'open', @createdAt)`
+  ),
+  getEntry: db.prepare("SELECT * FROM stake_ledger WHERE id = ?"),
+  listForContract: db.prepare("SELECT * FROM stake_ledger WHERE contractId = ? ORDER BY createdAt ASC"),
+  listForUser: db.prepare(
+    `SELECT l.*, c.title as contractTitle
+     FROM stake_ledger l
+     LEFT JOIN contracts c ON l.contractId = c.id
+     WHERE l.debtorId = ? OR l.creditorId = ?
+     ORDER BY l.createdAt ASC`
+  ),
+  settleEntry: db.prepare(
+    "UPDATE stake_ledger SET status='settled', settledAt=@settledAt, settledBy=@settledBy WHERE id=@id AND status='open'"
+  ),
+};
+
+// Validate the `stakes` object from a create request. Returns { error } or
+// { stakes } with column values for the contracts table.
+function parseStakesInput(input) {
+  const empty = { stakeAmount: null, stakeUnit: null, forfeitRule: null, beneficiary: null, beneficiaryLabel: null };
+  if (input === undefined || input === null) return { stakes: empty };
+  if (typeof input !== "object") return { error: "stakes must be an object" };
+  const amount = Number(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return { error: "stakes.amount must be a positive number" };
+  const forfeitRule = input.forfeitRule || "per_missed_checkin";
+  if (!FORFEIT_RULES.has(forfeitRule)) return { error: "stakes.forfeitRule must be per_missed_checkin or on_failure" };
+  const beneficiary = input.beneficiary || "partner";
+  if (!BENEFICIARIES.has(beneficiary)) return { error: "stakes.beneficiary must be partner, charity or pot" };
+  const beneficiaryLabel = typeof input.beneficiaryLabel === "string" ? input.beneficiaryLabel.trim().slice(0, 100) : "";
+  if (beneficiary === "charity" && !beneficiaryLabel) return { error: "stakes.beneficiaryLabel required for charity" };
+  const unit = typeof input.unit === "string" && input.unit.trim() ? input.unit.trim().slice(0, 20) : "points";
+  return {
+    stakes: {
+      stakeAmount: amount,
+      stakeUnit: unit,
+      forfeitRule,
+      beneficiary,
+      beneficiaryLabel: beneficiaryLabel || null,
+    },
+  };
+}
+
+function hasStakes(contract) {
+  return Boolean(contract && contract.stakeAmount > 0 && contract.forfeitRule);
+}
+
+function creditorFor(contract, debtorId) {
+  if (contract.beneficiary === "charity") {
+    return { creditorType: "charity", creditorId: null, creditorLabel: contract.beneficiaryLabel };
+  }
+  // A group has no single partner to pay, so partner stakes go to the pot.
+  if (contract.beneficiary === "pot" || Number(contract.capacity) > 2) {
+    return { creditorType: "pot", creditorId: null, creditorLabel: contract.beneficiaryLabel || "Shared pot" };
+  }
+  const partnerId = contract.ownerId === debtorId ? contract.partnerId : contract.ownerId;
+  if (!partnerId) return null;
+  return { creditorType: "user", creditorId: partnerId, creditorLabel: null };
+}
+
+// Write ledger entries for every closed week (per_missed_checkin) or for the
+// final outcome (on_failure). Entries are keyed by contract, debtor and
+// period, so running this again for the same progress is a no-op. Entries are
+// never reversed, which is why weeks whose check-ins still await the
+// partner's review ("in_review", see progress.js) aren't charged yet.
+function recordForfeits(contract, progress) {
+  if (!hasStakes(contract) || !contract.partnerId) return [];
+  const createdAt = new Date().toISOString();
+  const recorded = [];
+  const record = (debtorId, amount, reason, periodKey) => {
+    const creditor = creditorFor(contract, debtorId);
+    if (!creditor || amount <= 0) return;
+    const entry = {
+      id: nanoid(),
+      contractId: contract.id,
+      debtorId,
+      ...creditor,
+      amount,
+      unit: contract.stakeUnit || "points",
+      reason,
+      periodKey,
+      createdAt,
+    };
+    if (statements.insertEntry.run(entry).changes) recorded.push(entry);
+  };
+
+  db.transaction(() => {
+    progress.participants.forEach((p) => {
+      if (contract.forfeitRule === "per_missed_checkin") {
+        // A group member who joined late owes nothing for weeks that were
+        // over before they arrived.
+        p.weeks
+          .filter((week) => week.status === "missed" && !(p.startDate && week.end < p.startDate))
+          .forEach((week) => {
+            const missed = week.target - Math.min(week.count, week.target);
+            record(p.userId, missed * contract.stakeAmount, "missed_checkins", `week:${week.index}`);
+          });
+      } else if (contract.forfeitRule === "on_failure" && p.outcome === "failed") {
+        record(p.userId, contract.stakeAmount, "contract_failed", "final");
+      }
+    });
+  })();
+  return recorded;
+}
+
+// Walking away from a staked contract costs the full stake, whatever the rule.
+function recordAbandonForfeit(contract, userId) {
+  if (!hasStakes(contract) || !contract.partnerId) return null;
+  const creditor = creditorFor(contract, userId);
+  const entry = {
+    id: nanoid(),
+    contractId: contract.id,
+    debtorId: userId,
+    ...creditor,
+    amount: contract.stakeAmount,
+    unit: contract.stakeUnit || "points",
+    reason: "contract_abandoned",
+    periodKey: "final",
+    createdAt: new Date().toISOString(),
+  };
+  return statements.insertEntry.run(entry).changes ? entry : null;
+}
+
+function listContractLedger(contractId) {
+  const entries = statements.listForContract.all(contractId);
+  return { entries, balances: summarize(entries) };
+}
+
+// Per-user totals: what they owe, what they're owed, and what's settled.
+function summarize(entries) {
+  const totals = {};
+  const ensure = (userId) => {
+    totals[userId] = totals[userId] || { userId, owes: 0, owed: 0, settled: 0 };
+    return totals[userId];
+  };
+  entries.forEach((entry) => {
+    const debtor = ensure(entry.debtorId);
+    if (entry.status === "settled") debtor.settled += entry.amount;
+    else debtor.owes += entry.amount;
+    if (entry.creditorId && entry.status === "open") ensure(entry.creditorId).owed += entry.amount;
+  });
+  return Object.values(totals);
+}
+
+function getUserBalances(userId) {
+  const entries = statements.listForUser.all(userId, userId);
+  const byContract = {};
+  entries.forEach((entry) => {
+    const bucket = (byContract[entry.contractId] = byContract[entry.contractId] || {
+      contractId: entry.contractId,
+      contractTitle: entry.contractTitle,
+      owes: 0,
+      owed: 0,
+    });
+    if (entry.status !== "open") return;
+    if (entry.debtorId === userId) bucket.owes += entry.amount;
+    if (entry.creditorId === userId) bucket.owed += entry.amount;
+  });
+  const contracts = Object.values(byContract);
+  return {
+    userId,
+    owes: contracts.reduce((sum, c) => sum + c.owes, 0),
+    owed: contracts.reduce((sum, c) => sum + c.owed, 0),
+    contracts,
+    entries,
+  };
+}
+
+function getEntry(id) {
+  return statements.getEntry.get(id);
+}
+
+// The person owed confirms a debt to them was paid. Charity and pot debts
+// have no creditor account, so the debtor marks those themselves.
+function canSettle(entry, userId) {
+  if (entry.creditorType === "user") return entry.creditorId === userId;
+  return entry.debtorId === userId;
+}
+
+function settleEntry(entry, userId) {
+  statements.settleEntry.run({ id: entry.id, settledAt: new Date().toISOString(), settledBy: userId });
+  return statements.getEntry.get(entry.id);
+}
+
+module.exports = {
+  STAKES_LEVELS,
+  parseStakesInput,
+  hasStakes,
+  recordForfeits,
+  recordAbandonForfeit,
+  listContractLedger,
+  getUserBalances,
+  getEntry,
+  canSettle,
+  settleEntry,
+};
@@ -0,0 +1,295 @@
+const db = require("./db");
+const { addDays, diffDays, contractEndDate, countsTowardProgress, termsOn, todayKey } = require("./progress");
+const { termsTimeline } = require("./amendments");
+const { localDateKey } = require("./timezones");
+const { isDateKey } = require("./checkins");
+const { isGroup } = require("./members");
+
+// Personal statistics across every contract a user has taken part in
+// (`GET /api/me/stats`): check-in rate overall and per topic, a daily
+// heatmap, streaks, week-over-week trend and how the user compares with
+// their partners.
+//
+// A contract is counted on the days it ran for the user: from its start (or
+// the day they joined, in a group) to its end, the day it ended early or the
+// day they left, clipped to the requested range and today. Each of those
+// days expects frequency/7 of a check-in under the terms in force that day;
+// rates are check-ins done over check-ins expected, and extra check-ins
+// beyond a contract's expectation don't count. On "prove" contracts only
+// approved check-ins count, like in progress.js. Contracts that never
+// started (open, expired) are left out.
+//
+// Results are cached per user and query. The cache entry is reused until the
+// user's contracts see a new or changed check-in, a new contract event
+// (status change, amendment, member joining or leaving) or the day changes.
+
+const DEFAULT_RANGE_DAYS = 365;
+const MAX_RANGE_DAYS = 3 * 366;
+const CACHE_SIZE = 500;
+const TOP_STREAKS = 5;
+const NOT_STARTED = new Set(["open", "expired"]);
+
+const statements = {
+  getUser: db.prepare("SELECT id, timezone FROM users WHERE id = ?"),
+  memberships: db.prepare(
+    `SELECT c.*, m.joinedAt as memberJoinedAt, m.leftAt as memberLeftAt
+     FROM contract_members m
+     JOIN contracts c ON c.id = m.contractId
+     WHERE m.userId = ?`
+  ),
+  // Everyone who was ever a member of the user's contracts.
+  coMembers: db.prepare(
+    `SELECT o.contractId, o.userId, o.joinedAt, o.leftAt
+     FROM contract_members o
+     JOIN contract_members m ON m.contractId = o.contractId AND m.userId = @userId
+     WHERE o.userId != @userId`
+  ),
+  checkins: db.prepare(
+    `SELECT k.*
+     FROM checkins k
+     JOIN contract_members m ON m.contractId = k.contractId AND m.userId = @userId
+     WHERE k.done = 1 AND k.dateKey BETWEEN @from AND @to`
+  ),
+  fingerprint: db.prepare(
+    `SELECT
+       (SELECT COUNT(*) || ':' || IFNULL(MAX(COALESCE(k.editedAt, k.createdAt)), '') || ':' || IFNULL(MAX(k.verifiedAt), '')
+        FROM checkins k WHERE k.contractId IN (SELECT contractId FROM contract_members WHERE userId = @userId))
+       || '|' ||
+       (SELECT COUNT(*) || ':' || IFNULL(MAX(e.createdAt), '')
+        FROM contract_events e WHERE e.contractId IN (SELECT contractId FROM contract_members WHERE userId = @userId))
+     AS value`
+  ),
+};
+
+// Resolve `from`/`to` (YYYY-MM-DD) against the user's today. Returns
+// { from, to } or { error }.
+function resolveRange({ from, to } = {}, today) {
+  const end = to || today;
+  const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+  if (!isDateKey(start) || !isDateKey(end)) return { error: "from and to must be dates in YYYY-MM-DD format" };
+  if (start > end) return { error: "from must not be after to" };
+  if (diffDays(start, end) + 1 > MAX_RANGE_DAYS) return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  return { from: start, to: end };
+}
+
+function rate(done, expected) {
+  return expected > 0 ? Math.min(Math.round((done / expected) * 100), 100) : null;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// The days a member's part of the contract ran, clipped to [from, last].
+function activeWindow(contract, { joinedAt, leftAt }, from, last) {
+  if (NOT_STARTED.has(contract.status) || !contract.startDate) return null;
+  const latest = (...keys) => keys.filter(Boolean).sort().pop();
+  const earliest = (...keys) => keys.filter(Boolean).sort()[0];
+  const start = latest(contract.startDate, isGroup(contract) ? joinedAt?.slice(0, 10) : null, from);
+  const end = earliest(contractEndDate(contract), contract.endedAt?.slice(0, 10), leftAt?.slice(0, 10), last);
+  return start <= end ? { start, end } : null;
+}
+
+// Monday of the ISO week `key` falls in.
+function weekStart(key) {
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return addDays(key, -((weekday + 6) % 7));
+}
+
+function streaksOf(days, today) {
+  const sorted = [...days].sort();
+  let longest = { length: 0, from: null, to: null };
+  let runStart = null;
+  let prev = null;
+  sorted.forEach((key) => {
+    if (!prev || diffDays(prev, key) !== 1) runStart = key;
+    const length = diffDays(runStart, key) + 1;
+    if (length > longest.length) longest = { length, from: runStart, to: key };
+    prev = key;
+  });
+  // Like progress.js, today not logged yet doesn't break the current streak.
+  let current = 0;
+  let cursor = days.has(today) ? today : addDays(today, -1);
+  while (days.has(cursor)) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+  return { current, longest };
+}
+
+// Expected check-ins per day for one member of a contract over `window`.
+function expectedByDay(contract, terms, window) {
+  const days = new Map();
+  for (let key = window.start; key <= window.end; key = addDays(key, 1)) {
+    days.set(key, Math.max(Number(termsOn(contract, terms, key).frequencyPerWeek) || 0, 0) / 7);
+  }
+  return days;
+}
+
+function sum(values) {
+  return [...values].reduce((total, value) => total + value, 0);
+}
+
+function computeStats(userId, { from, to, category, today }) {
+  const last = to < today ? to : today;
+  const contracts = statements.memberships.all(userId).filter((c) => !category || c.topicCategory === category);
+  const checkins = statements.checkins.all({ userId, from, to: last });
+  const coMembers = statements.coMembers.all({ userId });
+
+  const totals = { contracts: 0, active: 0, completed: 0, failed: 0, abandoned: 0, checkins: 0, expected: 0 };
+  const categories = new Map();
+  const heatmap = {};
+  const weeks = new Map();
+  const allDays = new Set();
+  const bestStreaks = [];
+  const comparisons = [];
+  const partnerTotals = { done: 0, expected: 0 };
+  const youTotals = { done: 0, expected: 0 };
+
+  const checkinsByContract = new Map();
+  checkins.forEach((checkin) => {
+    if (!checkinsByContract.has(checkin.contractId)) checkinsByContract.set(checkin.contractId, []);
+    checkinsByContract.get(checkin.contractId).push(checkin);
+  });
+
+  // Done and expected for one member over their window on the contract.
+  const tally = (contract, terms, memberId, membership) => {
+    const window = activeWindow(contract, membership, from, last);
+    if (!window) return null;
+    const expected = expectedByDay(contract, terms, window);
+    const doneDays = (checkinsByContract.get(contract.id) || [])
+      .filter((c) => c.userId === memberId && expected.has(c.dateKey) && countsTowardProgress(contract, c, terms))
+      .map((c) => c.dateKey);
+    const expectedTotal = sum(expected.values());
+    return { expected, expectedTotal, doneDays, done: Math.min(doneDays.length, Math.ceil(expectedTotal)) };
+  };
+
+  contracts.forEach((contract) => {
+    const terms = termsTimeline(contract);
+    const mine = tally(contract, terms, userId, { joinedAt: contract.memberJoinedAt, leftAt: contract.memberLeftAt });
+    if (!mine) return;
+
+    totals.contracts += 1;
+    if (contract.memberLeftAt && contract.status !== "abandoned") totals.abandoned += 1;
+    else if (contract.status === "matched" || contract.status === "active") totals.active += 1;
+    else if (totals[contract.status] !== undefined) totals[contract.status] += 1;
+    totals.checkins += mine.done;
+    totals.expected += mine.expectedTotal;
+
+    const topic = categories.get(contract.topicCategory) || { category: contract.topicCategory, contracts: 0, checkins: 0, expected: 0 };
+    topic.contracts += 1;
+    topic.checkins += mine.done;
+    topic.expected += mine.expectedTotal;
+    categories.set(contract.topicCategory, topic);
+
+    mine.doneDays.forEach((key) => {
+      heatmap[key] = (heatmap[key] || 0) + 1;
+      allDays.add(key);
+    });
+    mine.expected.forEach((value, key) => {
+      const week = weeks.get(weekStart(key)) || { checkins: 0, expected: 0 };
+      week.expected += value;
+      weeks.set(weekStart(key), week);
+    });
+    mine.doneDays.forEach((key) => {
+      weeks.get(weekStart(key)).checkins += 1;
+    });
+
+    const contractStreak = streaksOf(new Set(mine.doneDays), last).longest;
+    if (contractStreak.length) {
+      bestStreaks.push({ contractId: contract.id, title: contract.title, longestStreak: contractStreak.length, from: contractStreak.from, to: contractStreak.to });
+    }
+
+    const partners = coMembers
+      .filter((member) => member.contractId === contract.id)
+      .map((member) => tally(contract, terms, member.userId, member))
+      .filter(Boolean);
+    if (partners.length) {
+      const partnerDone = sum(partners.map((p) => p.done));
+      const partnerExpected = sum(partners.map((p) => p.expectedTotal));
+      comparisons.push({
+        contractId: contract.id,
+        title: contract.title,
+        topicCategory: contract.topicCategory,
+        you: rate(mine.done, mine.expectedTotal),
+        partners: rate(partnerDone, partnerExpected),
+      });
+      youTotals.done += mine.done;
+      youTotals.expected += mine.expectedTotal;
+      partnerTotals.done += partnerDone;
+      partnerTotals.expected += partnerExpected;
+    }
+  });
+
+  let previousRate = null;
+  const weekList = [...weeks.keys()].sort().map((key) => {
+    const week = weeks.get(key);
+    const weekRate = rate(week.checkins, week.expected);
+    const change = previousRate === null || weekRate === null ? null : weekRate - previousRate;
+    if (weekRate !== null) previousRate = weekRate;
+    return { weekStart: key, checkins: week.checkins, expected: round1(week.expected), checkinRate: weekRate, change };
+  });
+
+  const streaks = streaksOf(allDays, last);
+  return {
+    from,
+    to,
+    category: category || null,
+    totals: { ...totals, expected: round1(totals.expected), checkinRate: rate(totals.checkins, totals.expected) },
+    categories: [...categories.values()]
+      .map((topic) => ({ ...topic, expected: round1(topic.expected), checkinRate: rate(topic.checkins, topic.expected) }))
+      .sort((a, b) => a.category.localeCompare(b.category)),
+    heatmap,
+    streaks: {
+      current: last === today ? streaks.current : 0,
+      longest: streaks.longest.length,
+      longestFrom: streaks.longest.from,
+      longestTo: streaks.longest.to,
+      byContract: bestStreaks.sort((a, b) => b.longestStreak - a.longestStreak).slice(0, TOP_STREAKS),
+    },
+    weeks: weekList,
+    partners: {
+      you: rate(youTotals.done, youTotals.expected),
+      partners: rate(partnerTotals.done, partnerTotals.expected),
+      contracts: comparisons,
+    },
+  };
+}
+
+// Most recently used entries last; the oldest is dropped past CACHE_SIZE.
+const cache = new Map();
+
+function cacheGet(key, fingerprint) {
+  const entry = cache.get(key);
+  if (!entry || entry.fingerprint !== fingerprint) return null;
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry.stats;
+}
+
+function cacheSet(key, fingerprint, stats) {
+  cache.delete(key);
+  cache.set(key, { fingerprint, stats });
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+}
+
+// Returns { stats, cached } or { error }. `query` takes from, to and category.
+function getUserStats(userId, query = {}) {
+  const user = statements.getUser.get(userId);
+  if (!user) return { error: "User not found" };
+  const today = user.timezone ? localDateKey(user.timezone) : todayKey();
+  const range = resolveRange(query, today);
+  if (range.error) return range;
+  const params = { ...range, category: query.category || null, today };
+  const key = `${userId}:${range.from}:${range.to}:${params.category || ""}`;
+  const fingerprint = `${today}|${statements.fingerprint.get({ userId }).value}`;
+  const hit = cacheGet(key, fingerprint);
+  if (hit) return { stats: hit, cached: true };
+  const stats = computeStats(userId, params);
+  cacheSet(key, fingerprint, stats);
+  return { stats, cached: false };
+}
+
+module.exports = {
+  getUserStats,
+};
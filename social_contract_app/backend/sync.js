@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const db = require("./db");
+const proofs = require("./proofs");
+const messages = require("./messages");
+
+// Server side of offline-first clients (a service worker that queues writes
+// while offline and replays them later).
+//
+// Idempotency: check-in and message POSTs take an `Idempotency-Key` header
+// (any client-generated id, e.g. a UUID per queued write). The first
+// successful answer is stored for IDEMPOTENCY_TTL_HOURS and a retry with the
+// same key gets it back (with Idempotent-Replayed: true) instead of writing
+// again. Reusing a key for a different request is an error. Failed requests
+// aren't stored, so they can be retried with the same key.
+//
+// Check-in conflicts: a day has one check-in per user, and two devices (or a
+// queued write and a later one) can disagree about it.
+//   1. The change the user made last wins. Clients send `recordedAt`, when
+//      the user tapped the button; it defaults to when the server gets it.
+//   2. A change older than the stored one is dropped; the answer is the
+//      stored check-in with `conflict: "superseded"`, so the client can
+//      replace its local copy. Sending the same answer again is never a
+//      conflict.
+//   3. The day and its grace window are judged at `recordedAt`, so a check-in
+//      made offline before the window closed still counts (and is marked late
+//      the same way). `recordedAt` can't be in the future or more than
+//      MAX_OFFLINE_HOURS back; check-ins are self-reported anyway.
+//
+// Delta sync: triggers log every change to contracts, memberships,
+// check-ins (with their evidence) and messages in sync_changes. GET /api/sync
+// without a cursor returns everything the user can see plus a cursor; with
+// `since` it returns what changed after that cursor. Contracts the user left
+// or was removed from come back under `deleted`, as do rows deleted outright.
+// Deleted messages stay in the history (blank text, deletedAt set), so they
+// come back as changed messages. The log is kept CHANGE_RETENTION_DAYS; an
+// older cursor gets a 410 and the client starts over.
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,200}$/;
+const IDEMPOTENCY_TTL_HOURS = 24;
+const MAX_OFFLINE_HOURS = 24;
+const PAGE_SIZE = 500;
+// Messages per contract in a full sync; older ones come from the messages API.
+const SNAPSHOT_MESSAGES = 100;
+const CHANGE_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const statements = {
+  getKey: db.prepare("SELECT * FROM idempotency_keys WHERE userId = ? AND key = ? AND createdAt > ?"),
+  saveKey: db.prepare(
+    `INSERT INTO idempotency_keys (userId, key, requestHash, status, response, createdAt)
+     VALUES (@userId, @key, @requestHash, @status, @response, @createdAt)
+     ON CONFLICT(userId, key) DO UPDATE SET
+       requestHash = excluded.requestHash, status = excluded.status, response = excluded.response, createdAt = excluded.createdAt`
+  ),
+  pruneKeys: db.prepare("DELETE FROM idempotency_keys WHERE createdAt <= ?"),
+  latestSeq: db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'sync_changes'"),
+  oldestSeq: db.prepare("SELECT MIN(seq) AS seq FROM sync_changes"),
+  // Changes to the user's contracts, and to their own membership anywhere so
+  // leaving a contract shows up.
+  changes: db.prepare(
+    `SELECT * FROM sync_changes
+     WHERE seq > @since AND (
+       contractId IN (SELECT contractId FROM contract_members WHERE userId = @userId AND leftAt IS NULL)
+       OR (entity = 'member' AND userId = @userId)
+     )
+     ORDER BY seq ASC LIMIT @limit`
+  ),
+  pruneChanges: db.prepare("DELETE FROM sync_changes WHERE changedAt <= ?"),
+  visibleContractIds: db.prepare("SELECT contractId FROM contract_members WHERE userId = ? AND leftAt IS NULL"),
+  contractsByIds: db.prepare(
+    `SELECT c.*, u.name as ownerName, p.name as partnerName
+     FROM contracts c
+     LEFT JOIN users u ON c.ownerId = u.id
+     LEFT JOIN users p ON c.partnerId = p.id
+     WHERE c.id IN (SELECT value FROM json_each(?))
+     ORDER BY c.createdAt ASC`
+  ),
+  checkinsByIds: db.prepare("SELECT * FROM checkins WHERE id IN (SELECT value FROM json_each(?)) ORDER BY dateKey ASC"),
+  checkinsForContracts: db.prepare(
+    "SELECT * FROM checkins WHERE contractId IN (SELECT value FROM json_each(?)) ORDER BY contractId, dateKey ASC"
+  ),
+};
+
+function hoursBefore(now, hours) {
+  return new Date(now.getTime() - hours * 3600 * 1000).toISOString();
+}
+
+/* -------------------- Idempotency -------------------- */
+
+function requestHash(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+}
+
+let savedKeys = 0;
+
+// Middleware for POST routes, after requireAuth. Requests without the header
+// run as usual. Route handlers after it are synchronous, so two copies of a
+// request can't both get past the lookup.
+function idempotent(req, res, next) {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) return next();
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be 1-200 printable characters without spaces` });
+  }
+  const now = new Date();
+  const hash = requestHash(req);
+  const saved = statements.getKey.get(req.user.id, key, hoursBefore(now, IDEMPOTENCY_TTL_HOURS));
+  if (saved) {
+    if (saved.requestHash !== hash) {
+      return res.status(422).json({ error: `${IDEMPOTENCY_HEADER} was already used for a different request` });
+    }
+    res.set("Idempotent-Replayed", "true");
+    return res.status(saved.status).json(JSON.parse(saved.response));
+  }
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      savedKeys += 1;
+      if (savedKeys % 500 === 0) statements.pruneKeys.run(hoursBefore(now, IDEMPOTENCY_TTL_HOURS));
+      statements.saveKey.run({
+        userId: req.user.id,
+        key,
+        requestHash: hash,
+        status: res.statusCode,
+        response: JSON.stringify(body),
+        createdAt: now.toISOString(),
+      });
+    }
+    return json(body);
+  };
+  next();
+}
+
+/* -------------------- Check-in conflicts -------------------- */
+
+// When the user made a change (rule 1 and 3 above). Returns { at } (a Date)
+// or { error }.
+function resolveRecordedAt(value, now = new Date()) {
+  if (value === undefined || value === null) return { at: now };
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return { error: "recordedAt must be a date-time" };
+  const earliest = now.getTime() - MAX_OFFLINE_HOURS * 3600 * 1000;
+  return { at: new Date(Math.min(Math.max(time, earliest), now.getTime())) };
+}
+
+/* -------------------- Delta sync -------------------- */
+
+let lastPrunedAt = 0;
+
+function pruneChanges(now) {
+  if (now.getTime() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = now.getTime();
+  statements.pruneChanges.run(hoursBefore(now, CHANGE_RETENTION_DAYS * 24));
+}
+
+function latestSeq() {
+  return statements.latestSeq.get()?.seq || 0;
+}
+
+// Check-ins with their evidence, which is loaded per contract.
+function checkinsWithEvidence(rows) {
+  const byContract = new Map();
+  rows.forEach((row) => {
+    if (!byContract.has(row.contractId)) byContract.set(row.contractId, []);
+    byContract.get(row.contractId).push(row);
+  });
+  return [...byContract].flatMap(([contractId, checkins]) => proofs.withEvidence(checkins, contractId));
+}
+
+// Everything a client needs to start on these contracts.
+function snapshotOf(contractIds) {
+  const ids = JSON.stringify(contractIds);
+  return {
+    contracts: statements.contractsByIds.all(ids),
+    checkins: checkinsWithEvidence(statements.checkinsForContracts.all(ids)),
+    messages: contractIds.flatMap((id) => messages.listMessages(id, { limit: SNAPSHOT_MESSAGES }).messages),
+  };
+}
+
+function withoutRepeats(rows) {
+  const seen = new Set();
+  return rows.filter((row) => !seen.has(row.id) && seen.add(row.id));
+}
+
+function emptyDeleted() {
+  return { contracts: [], checkins: [], messages: [] };
+}
+
+// `since` is a cursor from an earlier call, or undefined for a full sync.
+// Returns { cursor, hasMore, full, contracts, checkins, messages, deleted }
+// with raw contract rows, or { error, status }.
+function changesSince(userId, since, now = new Date()) {
+  pruneChanges(now);
+  const latest = latestSeq();
+  const visible = statements.visibleContractIds.all(userId).map((row) => row.contractId);
+  if (since === undefined) {
+    return { cursor: String(latest), hasMore: false, full: true, ...snapshotOf(visible), deleted: emptyDeleted() };
+  }
+  if (since > latest) return { error: "Unknown sync cursor", status: 400 };
+  const oldest = statements.oldestSeq.get().seq ?? latest + 1;
+  if (since < oldest - 1) return { error: "Sync cursor expired; sync again without since", status: 410 };
+
+  const rows = statements.changes.all({ userId, since, limit: PAGE_SIZE + 1 });
+  const hasMore = rows.length > PAGE_SIZE;
+  const page = rows.slice(0, PAGE_SIZE);
+  const visibleIds = new Set(visible);
+  const contractIds = new Set();
+  const joinedIds = new Set();
+  const checkinIds = new Set();
+  const messageIds = new Set();
+  const deleted = emptyDeleted();
+  page.forEach((change) => {
+    if (!visibleIds.has(change.contractId)) {
+      if (!deleted.contracts.includes(change.contractId)) deleted.contracts.push(change.contractId);
+      return;
+    }
+    // Joining (or a change to your own membership) sends the whole contract.
+    if (change.entity === "member" && change.userId === userId) joinedIds.add(change.contractId);
+    // Check-ins change the contract's progress; messages don't touch it.
+    if (change.entity === "message") messageIds.add(change.entityId);
+    else contractIds.add(change.contractId);
+    if (change.entity === "checkin") checkinIds.add(change.entityId);
+  });
+
+  const checkins = checkinsWithEvidence(statements.checkinsByIds.all(JSON.stringify([...checkinIds])));
+  const changedMessages = messages.messagesByIds([...messageIds]);
+  const found = new Set([...checkins, ...changedMessages].map((row) => row.id));
+  deleted.checkins = [...checkinIds].filter((id) => !found.has(id));
+  deleted.messages = [...messageIds].filter((id) => !found.has(id));
+  const joined = snapshotOf([...joinedIds]);
+  return {
+    cursor: String(hasMore ? page[page.length - 1].seq : latest),
+    hasMore,
+    full: false,
+    contracts: statements.contractsByIds.all(JSON.stringify([...contractIds])),
+    checkins: withoutRepeats([...joined.checkins, ...checkins]),
+    messages: withoutRepeats([...joined.messages, ...changedMessages]),
+    deleted,
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  MAX_OFFLINE_HOURS,
+  idempotent,
+  resolveRecordedAt,
+  changesSince,
+};
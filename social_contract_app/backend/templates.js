@@ -0,0 +1,273 @@
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const { parseStakesInput, STAKES_LEVELS } = require("./stakes");
+const { parseCapacity } = require("./members");
+const { parseGraceHours, DEFAULT_GRACE_HOURS } = require("./checkins");
+
+// Contract templates: a built-in library plus templates users save for
+// themselves. A template holds the default terms for a new contract; the
+// create form (or POST /api/contracts with `templateId`) fills in whatever
+// the request leaves out. Built-in ids are stable slugs, saved ones nanoids.
+
+const TOPIC_CATEGORIES = ["fitness", "sleep", "study", "food", "money", "other"];
+const PROOF_BASES = new Set(["honor", "prove"]);
+const MAX_DURATION_DAYS = 365;
+const MAX_PROOF_IDEAS = 6;
+const MAX_TEMPLATES_PER_USER = 50;
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: "couch-to-5k",
+    title: "Couch to 5K",
+    topicCategory: "fitness",
+    description: "Three runs a week, building up from run/walk intervals to 30 minutes of running.",
+    frequencyPerWeek: 3,
+    durationDays: 63,
+    stakesLevel: "social",
+    proofBasis: "prove",
+    proofIdeas: ["Run tracker screenshot with time and distance.", "Which week and day of the plan you did."],
+  },
+  {
+    id: "gym-three-times",
+    title: "Gym three times a week",
+    topicCategory: "fitness",
+    description: "Any workout of 45 minutes or more counts.",
+    frequencyPerWeek: 3,
+    durationDays: 28,
+    stakesLevel: "social",
+    proofBasis: "honor",
+    proofIdeas: [],
+  },
+  {
+    id: "lights-out-by-11",
+    title: "Lights out by 11pm",
+    topicCategory: "sleep",
+    description: "In bed with the phone away by 11pm on work nights.",
+    frequencyPerWeek: 5,
+    durationDays: 21,
+    stakesLevel: "social",
+    proofBasis: "honor",
+    proofIdeas: [],
+  },
+  {
+    id: "read-20-pages",
+    title: "Read 20 pages daily",
+    topicCategory: "study",
+    description: "20 pages of a book, every day. Audiobooks count at 30 minutes.",
+    frequencyPerWeek: 7,
+    durationDays: 30,
+    stakesLevel: "social",
+    proofBasis: "prove",
+    proofIdeas: ["Photo of the page you stopped on.", "Reading app screenshot showing today's progress."],
+  },
+  {
+    id: "pomodoro-study",
+    title: "Four focused study blocks",
+    topicCategory: "study",
+    description: "Four 25-minute focus blocks on weekdays.",
+    frequencyPerWeek: 5,
+    durationDays: 28,
+    stakesLevel: "none",
+    proofBasis: "prove",
+    proofIdeas: ["Focus timer screenshot showing four completed sessions."],
+  },
+  {
+    id: "cook-at-home",
+    title: "Cook dinner at home",
+    topicCategory: "food",
+    description: "Home-cooked dinner instead of takeaway.",
+    frequencyPerWeek: 5,
+    durationDays: 28,
+    stakesLevel: "social",
+    proofBasis: "prove",
+    proofIdeas: ["Photo of the plate before you eat."],
+  },
+  {
+    id: "no-spend-weekdays",
+    title: "No-spend weekdays",
+    topicCategory: "money",
+    description: "No purchases Monday to Friday beyond bills and groceries on the list.",
+    frequencyPerWeek: 5,
+    durationDays: 28,
+    stakesLevel: "reward",
+    proofBasis: "prove",
+    proofIdeas: ["Banking app screenshot of the day's transactions."],
+    stakes: { amount: 5, unit: "points", forfeitRule: "per_missed_checkin", beneficiary: "partner" },
+  },
+  {
+    id: "daily-creative",
+    title: "Make something every day",
+    topicCategory: "other",
+    description: "A sketch, a paragraph, a few bars of music: anything you made today.",
+    frequencyPerWeek: 7,
+    durationDays: 30,
+    stakesLevel: "none",
+    proofBasis: "prove",
+    proofIdeas: ["Photo or link to what you made."],
+  },
+].map((template) => ({
+  ...template,
+  ...parseStakesInput(template.stakes).stakes,
+  capacity: 2,
+  graceHours: DEFAULT_GRACE_HOURS,
+  builtIn: true,
+}));
+
+const BUILT_IN_BY_ID = new Map(BUILT_IN_TEMPLATES.map((t) => [t.id, t]));
+
+const statements = {
+  insert: db.prepare(
+    `INSERT INTO contract_templates
+    (id, ownerId, title, topicCategory, description, frequencyPerWeek, durationDays, stakesLevel, proofBasis, proofIdeas,
+     stakeAmount, stakeUnit, forfeitRule, beneficiary, beneficiaryLabel, capacity, graceHours, createdAt)
+    VALUES (@id, @ownerId, @title, @topicCategory, @description, @frequencyPerWeek, @durationDays, @stakesLevel, @proofBasis, @proofIdeas,
+     @stakeAmount, @stakeUnit, @forfeitRule, @beneficiary, @beneficiaryLabel, @capacity, @graceHours, @createdAt)`
+  ),
+  get: db.prepare("SELECT * FROM contract_templates WHERE id = ?"),
+  listForOwner: db.prepare("SELECT * FROM contract_templates WHERE ownerId = ? ORDER BY createdAt DESC"),
+  countForOwner: db.prepare("SELECT COUNT(*) as count FROM contract_templates WHERE ownerId = ?"),
+  delete: db.prepare("DELETE FROM contract_templates WHERE id = ? AND ownerId = ?"),
+};
+
+function fromRow(row) {
+  return row && { ...row, proofIdeas: JSON.parse(row.proofIdeas), builtIn: false };
+}
+
+function positiveInteger(value, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 && n <= max ? n : null;
+}
+
+// Validate a template from a request body. Returns { template } with column
+// values, or { error }.
+function parseTemplateInput(input) {
+  if (!input || typeof input !== "object") return { error: "template object required" };
+  const title = typeof input.title === "string" ? input.title.trim().slice(0, 120) : "";
+  if (!title) return { error: "title required" };
+  if (!TOPIC_CATEGORIES.includes(input.topicCategory)) {
+    return { error: `topicCategory must be one of ${TOPIC_CATEGORIES.join(", ")}` };
+  }
+  const frequencyPerWeek = positiveInteger(input.frequencyPerWeek, 7);
+  if (!frequencyPerWeek) return { error: "frequencyPerWeek must be a whole number from 1 to 7" };
+  const durationDays = positiveInteger(input.durationDays, MAX_DURATION_DAYS);
+  if (!durationDays) return { error: `durationDays must be a whole number from 1 to ${MAX_DURATION_DAYS}` };
+  const stakesLevel = input.stakesLevel || "social";
+  if (!STAKES_LEVELS.has(stakesLevel)) return { error: `stakesLevel must be one of ${[...STAKES_LEVELS].join(", ")}` };
+  const proofBasis = input.proofBasis || "honor";
+  if (!PROOF_BASES.has(proofBasis)) return { error: "proofBasis must be honor or prove" };
+  if (input.proofIdeas !== undefined && !Array.isArray(input.proofIdeas)) return { error: "proofIdeas must be a list" };
+  const proofIdeas = (input.proofIdeas || [])
+    .filter((idea) => typeof idea === "string" && idea.trim())
+    .map((idea) => idea.trim().slice(0, 200))
+    .slice(0, MAX_PROOF_IDEAS);
+  const parsedStakes = parseStakesInput(input.stakes);
+  if (parsedStakes.error) return parsedStakes;
+  const { capacity, error: capacityError } = parseCapacity(input.capacity);
+  if (capacityError) return { error: capacityError };
+  const { graceHours, error: graceError } = parseGraceHours(input.graceHours);
+  if (graceError) return { error: graceError };
+  return {
+    template: {
+      title,
+      topicCategory: input.topicCategory,
+      description: typeof input.description === "string" ? input.description.trim() : "",
+      frequencyPerWeek,
+      durationDays,
+      stakesLevel,
+      proofBasis,
+      proofIdeas,
+      ...parsedStakes.stakes,
+      capacity,
+      graceHours,
+    },
+  };
+}
+
+// The stakes object a create request expects, rebuilt from stake columns.
+function stakesInputFrom(row) {
+  if (!(row.stakeAmount > 0)) return null;
+  return {
+    amount: row.stakeAmount,
+    unit: row.stakeUnit,
+    forfeitRule: row.forfeitRule,
+    beneficiary: row.beneficiary,
+    beneficiaryLabel: row.beneficiaryLabel,
+  };
+}
+
+// A contract's terms in the shape of a template (or create request) body.
+function termsOf(row) {
+  return {
+    title: row.title,
+    topicCategory: row.topicCategory,
+    description: row.description || "",
+    frequencyPerWeek: row.frequencyPerWeek,
+    durationDays: row.durationDays,
+    stakesLevel: row.stakesLevel,
+    proofBasis: row.proofBasis,
+    stakes: stakesInputFrom(row),
+    capacity: row.capacity,
+    graceHours: row.graceHours,
+  };
+}
+
+// Built-ins first, then the user's own, optionally for one category.
+function listTemplates(userId, { category } = {}) {
+  const all = [...BUILT_IN_TEMPLATES, ...statements.listForOwner.all(userId).map(fromRow)];
+  return category ? all.filter((t) => t.topicCategory === category) : all;
+}
+
+// A built-in template, or a saved one belonging to `userId`.
+function getTemplate(id, userId) {
+  if (typeof id !== "string") return null;
+  if (BUILT_IN_BY_ID.has(id)) return BUILT_IN_BY_ID.get(id);
+  const template = fromRow(statements.get.get(id));
+  return template && template.ownerId === userId ? template : null;
+}
+
+// Proof ideas a contract inherits from its template, whoever saved it.
+function proofIdeasFor(templateId) {
+  if (!templateId) return [];
+  const template = BUILT_IN_BY_ID.get(templateId) || fromRow(statements.get.get(templateId));
+  return template ? template.proofIdeas : [];
+}
+
+function createTemplate(userId, input) {
+  if (statements.countForOwner.get(userId).count >= MAX_TEMPLATES_PER_USER) {
+    return { error: `You can save up to ${MAX_TEMPLATES_PER_USER} templates` };
+  }
+  const parsed = parseTemplateInput(input);
+  if (parsed.error) return parsed;
+  const template = {
+    id: nanoid(),
+    ownerId: userId,
+    ...parsed.template,
+    proofIdeas: JSON.stringify(parsed.template.proofIdeas),
+    createdAt: new Date().toISOString(),
+  };
+  statements.insert.run(template);
+  return { template: fromRow(statements.get.get(template.id)) };
+}
+
+function deleteTemplate(id, userId) {
+  return statements.delete.run(id, userId).changes > 0;
+}
+
+// Fields for a new contract: the template's terms with the request's own
+// values taking precedence.
+function applyTemplate(template, input) {
+  const defaults = termsOf(template);
+  const overrides = Object.fromEntries(Object.entries(input || {}).filter(([, value]) => value !== undefined));
+  return { ...defaults, ...overrides, templateId: template.id };
+}
+
+module.exports = {
+  TOPIC_CATEGORIES,
+  listTemplates,
+  getTemplate,
+  proofIdeasFor,
+  createTemplate,
+  deleteTemplate,
+  applyTemplate,
+  termsOf,
+};
@@ -0,0 +1,232 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract, joinContract } = require("./helpers");
+
+// Runs every contract endpoint as each role and checks the status code the
+// access policy should produce.
+
+let owner;
+let partner;
+let member;
+let viewer;
+let pair;
+let group;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  member = await createUser("Member");
+  viewer = await createUser("Viewer");
+
+  pair = await createContract(owner);
+  await joinContract(partner, pair);
+
+  // A group with free spots stays listed on explore, so outsiders are viewers.
+  group = await createContract(owner, { capacity: 4 });
+  await joinContract(member, group);
+});
+
+test.after(stop);
+
+// Roles allowed each policy action (policy.js PERMISSIONS); "end" is
+// DELETE /api/contracts/:id, which cancels for the owner or partner and
+// leaves for a member.
+const allowedRoles = {
+  view: ["owner", "partner", "member", "viewer"],
+  activity: ["owner", "partner", "member"],
+  chat: ["owner", "partner", "member"],
+  checkin: ["owner", "partner", "member"],
+  verify: ["owner", "partner", "member"],
+  approve: ["owner", "partner", "member"],
+  edit: ["owner"],
+  clone: ["owner", "partner", "member"],
+  endorse: ["owner", "partner", "member"],
+  end: ["owner", "partner", "member"],
+};
+
+// `f` holds a fresh contract plus a check-in, message and pending
+// amendment of its owner's.
+const base = (f) => `/api/contracts/${f.contract.id}`;
+const contractEndpoints = [
+  { name: "view contract", action: "view", method: "GET", path: base },
+  { name: "join", action: "view", method: "POST", path: (f) => `${base(f)}/join` },
+  { name: "update contract", action: "edit", method: "PATCH", path: base, body: { title: "Run four times a week" } },
+  { name: "cancel or leave", action: "end", method: "DELETE", path: base },
+  { name: "listing", action: "edit", method: "PUT", path: (f) => `${base(f)}/listing`, body: { listed: false } },
+  { name: "clone", action: "clone", method: "POST", path: (f) => `${base(f)}/clone` },
+  { name: "list check-ins", action: "activity", method: "GET", path: (f) => `${base(f)}/checkins` },
+  { name: "check in", action: "checkin", method: "POST", path: (f) => `${base(f)}/checkins`, body: { done: true } },
+  {
+    name: "add evidence",
+    action: "checkin",
+    method: "POST",
+    path: (f) => `${base(f)}/checkins/${f.checkin.id}/evidence`,
+    body: { kind: "url", url: "https://example.com/run" },
+  },
+  {
+    name: "upload evidence",
+    action: "checkin",
+    method: "POST",
+    path: (f) => `${base(f)}/checkins/${f.checkin.id}/evidence/file?filename=run.txt`,
+    raw: "ran 5k",
+    type: "text/plain",
+  },
+  { name: "approve check-in", action: "verify", method: "POST", path: (f) => `${base(f)}/checkins/${f.checkin.id}/approve` },
+  { name: "dispute check-in", action: "verify", method: "POST", path: (f) => `${base(f)}/checkins/${f.checkin.id}/dispute` },
+  { name: "progress", action: "activity", method: "GET", path: (f) => `${base(f)}/progress` },
+  { name: "events", action: "activity", method: "GET", path: (f) => `${base(f)}/events` },
+  { name: "calendar", action: "activity", method: "GET", path: (f) => `${base(f)}/calendar.ics` },
+  { name: "ledger", action: "activity", method: "GET", path: (f) => `${base(f)}/ledger` },
+  { name: "read chat", action: "chat", method: "GET", path: (f) => `${base(f)}/messages` },
+  { name: "search chat", action: "chat", method: "GET", path: (f) => `${base(f)}/messages/search?q=plan` },
+  { name: "post message", action: "chat", method: "POST", path: (f) => `${base(f)}/messages`, body: { text: "hi" } },
+  { name: "edit message", action: "chat", method: "PATCH", path: (f) => `${base(f)}/messages/${f.message.id}`, body: { text: "edited" } },
+  { name: "delete message", action: "chat", method: "DELETE", path: (f) => `${base(f)}/messages/${f.message.id}` },
+  { name: "list amendments", action: "activity", method: "GET", path: (f) => `${base(f)}/amendments` },
+  { name: "accept amendment", action: "approve", method: "POST", path: (f) => `${base(f)}/amendments/${f.amendment.id}/accept` },
+  { name: "reject amendment", action: "approve", method: "POST", path: (f) => `${base(f)}/amendments/${f.amendment.id}/reject` },
+  { name: "withdraw amendment", action: "edit", method: "POST", path: (f) => `${base(f)}/amendments/${f.amendment.id}/withdraw` },
+  { name: "list endorsements", action: "activity", method: "GET", path: (f) => `${base(f)}/endorsements` },
+  {
+    name: "endorse",
+    action: "endorse",
+    method: "POST",
+    path: (f) => `${base(f)}/endorsements`,
+    body: (f) => ({ userId: f.contract.ownerId, note: "Reliable" }),
+  },
+];
+
+// Callers per contract kind, with the policy role each one has.
+const kinds = {
+  pair: () => [
+    ["outsider", viewer, null],
+    ["owner", owner, "owner"],
+    ["partner", partner, "partner"],
+  ],
+  group: () => [
+    ["viewer", viewer, "viewer"],
+    ["owner", owner, "owner"],
+    ["member", member, "member"],
+  ],
+};
+
+async function fixture(kind) {
+  const contract = kind === "pair" ? await createContract(owner) : await createContract(owner, { capacity: 4 });
+  await joinContract(kind === "pair" ? partner : member, contract);
+  const url = `/api/contracts/${contract.id}`;
+  const { body: checkin } = await api("POST", `${url}/checkins`, { token: owner.token, body: { done: true } });
+  const { body: message } = await api("POST", `${url}/messages`, { token: owner.token, body: { text: "My plan" } });
+  const { body: amended } = await api("PATCH", url, { token: owner.token, body: { frequencyPerWeek: 4 } });
+  assert.ok(checkin.checkin && message.id && amended.amendment);
+  return { contract, checkin: checkin.checkin, message, amendment: amended.amendment };
+}
+
+// Denied callers must get the policy's 404 or 403. Allowed callers may still
+// hit the route's own rules (a 400 for joining twice, say), but never those.
+for (const kind of Object.keys(kinds)) {
+  for (const endpoint of contractEndpoints) {
+    test(`${kind}: ${endpoint.name}`, async () => {
+      const f = await fixture(kind);
+      for (const [name, user, role] of kinds[kind]()) {
+        const body = typeof endpoint.body === "function" ? endpoint.body(f) : endpoint.body;
+        const res = await api(endpoint.method, endpoint.path(f), { token: user.token, body, raw: endpoint.raw, type: endpoint.type });
+        const where = `${name} ${endpoint.method} ${endpoint.path(f)}: ${JSON.stringify(res.body)}`;
+        if (allowedRoles[endpoint.action].includes(role)) {
+          assert.ok(!["Contract not found", "Not allowed"].includes(res.body?.error), where);
+        } else if (allowedRoles.view.includes(role)) {
+          assert.equal(res.status, 403, where);
+          assert.equal(res.body.error, "Not allowed", where);
+        } else {
+          assert.equal(res.status, 404, where);
+          assert.equal(res.body.error, "Contract not found", where);
+        }
+      }
+    });
+  }
+}
+
+test("only the creditor settles a ledger entry", async () => {
+  const contract = await createContract(owner, { stakesLevel: "reward", stakes: { amount: 5 } });
+  await joinContract(partner, contract);
+  await api("DELETE", `/api/contracts/${contract.id}`, { token: partner.token });
+  const { body } = await api("GET", `/api/contracts/${contract.id}/ledger`, { token: owner.token });
+  const url = `/api/ledger/${body.entries[0].id}/settle`;
+  assert.equal((await api("POST", url, { token: viewer.token })).status, 403);
+  assert.equal((await api("POST", url, { token: partner.token })).status, 403);
+  assert.equal((await api("POST", url, { token: owner.token })).status, 200);
+  assert.equal((await api("POST", "/api/ledger/does-not-exist/settle", { token: owner.token })).status, 404);
+});
+
+test("unknown contracts are 404 for everyone", async () => {
+  const res = await api("GET", "/api/contracts/does-not-exist", { token: owner.token });
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error, "Contract not found");
+});
+
+test("requests without a token are 401", async () => {
+  const res = await api("GET", `/api/contracts/${pair.id}/messages`);
+  assert.equal(res.status, 401);
+});
+
+test("mark read follows chat access", async () => {
+  const { body: list } = await api("GET", `/api/contracts/${pair.id}/messages`, { token: owner.token });
+  const messageId = list[list.length - 1].id;
+  const ok = await api("POST", `/api/contracts/${pair.id}/messages/read`, { token: partner.token, body: { messageId } });
+  assert.equal(ok.status, 200);
+  const denied = await api("POST", `/api/contracts/${pair.id}/messages/read`, { token: viewer.token, body: { messageId } });
+  assert.equal(denied.status, 404);
+});
+
+test("only the other members can verify a check-in", async () => {
+  const prove = await createContract(owner, { proofBasis: "prove" });
+  await joinContract(partner, prove);
+  const { body } = await api("POST", `/api/contracts/${prove.id}/checkins`, { token: owner.token, body: { done: true } });
+  const url = `/api/contracts/${prove.id}/checkins/${body.checkin.id}/approve`;
+  assert.equal((await api("POST", url, { token: owner.token })).status, 403);
+  assert.equal((await api("POST", url, { token: viewer.token })).status, 404);
+  assert.equal((await api("POST", url, { token: partner.token })).status, 200);
+});
+
+test("evidence can only be added to your own check-in", async () => {
+  const { body } = await api("POST", `/api/contracts/${pair.id}/checkins`, { token: owner.token, body: { done: true } });
+  const url = `/api/contracts/${pair.id}/checkins/${body.checkin.id}/evidence`;
+  const evidence = { kind: "url", url: "https://example.com/run" };
+  assert.equal((await api("POST", url, { token: partner.token, body: evidence })).status, 403);
+  assert.equal((await api("POST", url, { token: viewer.token, body: evidence })).status, 404);
+  assert.equal((await api("POST", url, { token: owner.token, body: evidence })).status, 200);
+});
+
+test("profiles hide email from other users", async () => {
+  const other = await api("GET", `/api/users/${owner.id}`, { token: viewer.token });
+  assert.equal(other.status, 200);
+  assert.equal(other.body.email, undefined);
+  const self = await api("GET", `/api/users/${owner.id}`, { token: owner.token });
+  assert.equal(self.body.email, owner.email);
+  assert.equal((await api("GET", `/api/users/${owner.id}/contracts`, { token: viewer.token })).status, 403);
+  assert.equal((await api("GET", `/api/users/${owner.id}/contracts`, { token: owner.token })).status, 200);
+});
+
+test("viewers can join a listed contract", async () => {
+  const open = await createContract(owner);
+  const res = await joinContract(viewer, open);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "matched");
+});
+
+test("cancel and leave depend on role", async () => {
+  const g = await createContract(owner, { capacity: 3 });
+  await joinContract(member, g);
+  assert.equal((await api("DELETE", `/api/contracts/${g.id}`, { token: viewer.token })).status, 403);
+  const left = await api("DELETE", `/api/contracts/${g.id}`, { token: member.token });
+  assert.deepEqual(left.body, { ok: true, left: true });
+  assert.equal((await api("DELETE", `/api/contracts/${g.id}`, { token: owner.token })).status, 200);
+
+  const p = await createContract(owner);
+  await joinContract(partner, p);
+  assert.equal((await api("DELETE", `/api/contracts/${p.id}`, { token: viewer.token })).status, 404);
+  assert.equal((await api("DELETE", `/api/contracts/${p.id}`, { token: partner.token })).status, 200);
+  // Archived contracts disappear for non-members.
+  assert.equal((await api("GET", `/api/contracts/${p.id}`, { token: viewer.token })).status, 404);
+  assert.equal((await api("GET", `/api/contracts/${p.id}`, { token: partner.token })).status, 200);
+});
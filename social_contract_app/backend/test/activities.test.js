@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { addDays, todayKey } = require("../progress");
+const { activityTime, parseCsv } = require("../activities");
+
+let runner;
+let partner;
+let running;
+let reading;
+const today = todayKey();
+
+function backdate(contract, daysAgo) {
+  db.prepare("UPDATE contracts SET status = 'active', startDate = ? WHERE id = ?").run(addDays(today, -daysAgo), contract.id);
+}
+
+// Three points 0.01° of longitude apart on the equator, a minute apart.
+function gpx(type, name = "Morning run") {
+  const points = [0, 1, 2]
+    .map((i) => `<trkpt lat="0" lon="${i / 100}"><ele>5</ele><time>${today}T00:0${i}:00Z</time></trkpt>`)
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test"><trk><name>${name}</name><type>${type}</type><trkseg>${points}</trkseg></trk></gpx>`;
+}
+
+function upload(body, query, { token = runner.token, type = "application/octet-stream" } = {}) {
+  return api("POST", `/api/me/imports?${new URLSearchParams(query)}`, { token, raw: body, type });
+}
+
+function evidenceFor(contract, user) {
+  return db
+    .prepare("SELECT e.metricName, e.metricValue, e.metricUnit FROM checkin_evidence e WHERE e.contractId = ? AND e.userId = ? ORDER BY e.createdAt, e.metricName")
+    .all(contract.id, user.id);
+}
+
+test.before(async () => {
+  await start();
+  runner = await createUser("Runner");
+  partner = await createUser("Partner");
+  await api("PUT", "/api/me", { token: runner.token, body: { timezone: "UTC" } });
+  running = await createContract(runner, { frequencyPerWeek: 7, durationDays: 30 });
+  await joinContract(partner, running);
+  backdate(running, 5);
+  reading = await createContract(runner, { title: "Read", topicCategory: "study", frequencyPerWeek: 7, durationDays: 30 });
+  backdate(reading, 5);
+});
+
+test.after(stop);
+
+test("parses quoted CSV fields and places zoned timestamps in the user's day", () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, ""y""",2\n\n"multi\nline",3', ","), [
+    ["a", "b"],
+    ['x, "y"', "2"],
+    ["multi\nline", "3"],
+  ]);
+  assert.equal(activityTime("2026-03-10T23:30:00Z", "Europe/Berlin").dateKey, "2026-03-11");
+  assert.equal(activityTime("2026-03-10 23:30:00", "Europe/Berlin").dateKey, "2026-03-10");
+  assert.equal(activityTime("Mar 10, 2026, 11:30:00 PM", "UTC").dateKey, "2026-03-10");
+  assert.equal(activityTime("2026-13-10", "UTC"), null);
+});
+
+test("a GPX track checks in on fitness contracts with its metrics", async () => {
+  const { status, body } = await upload(gpx("running"), { filename: "run.gpx" });
+  assert.equal(status, 200);
+  assert.equal(body.duplicate, false);
+  assert.equal(body.import.format, "gpx");
+  assert.equal(body.import.imported, 1);
+  const [activity] = body.activities;
+  assert.deepEqual(
+    [activity.kind, activity.dateKey, activity.distanceKm, activity.durationMin, activity.status, activity.contractIds],
+    ["run", today, 2.22, 2, "imported", [running.id]]
+  );
+
+  const checkin = db.prepare("SELECT * FROM checkins WHERE contractId = ? AND userId = ?").get(running.id, runner.id);
+  assert.equal(checkin.done, 1);
+  assert.equal(checkin.source, "import");
+  assert.deepEqual(evidenceFor(running, runner), [
+    { metricName: "distance", metricValue: 2.22, metricUnit: "km" },
+    { metricName: "duration", metricValue: 2, metricUnit: "min" },
+  ]);
+  const inbox = await api("GET", "/api/notifications", { token: partner.token });
+  assert.ok(inbox.body.notifications.some((n) => n.type === "partner_checked_in" && n.contractId === running.id));
+});
+
+test("the same file or activity is not imported twice", async () => {
+  const again = await upload(gpx("running"), { filename: "run.gpx" });
+  assert.equal(again.body.duplicate, true);
+  assert.equal(again.body.import.id, (await api("GET", "/api/me/imports", { token: runner.token })).body[0].id);
+
+  // Same track in a file with a different name inside.
+  const renamed = await upload(gpx("running", "Renamed"), { filename: "run-copy.gpx" });
+  assert.equal(renamed.body.duplicate, false);
+  assert.equal(renamed.body.activities[0].status, "duplicate");
+  assert.equal(evidenceFor(running, runner).length, 2);
+});
+
+test("tracker CSV exports are matched by topic and date", async () => {
+  const csv = [
+    "Activity ID,Activity Date,Activity Name,Activity Type,Elapsed Time,Distance",
+    `1,"${today} 07:00:00",Morning ride,Ride,3600,"20.5"`,
+    `2,"${addDays(today, -3)} 07:00:00",Old run,Run,1800,5.0`,
+    `3,"${addDays(today, -40)} 07:00:00",Older run,Run,1800,5.0`,
+    "4,not a date,Broken,Run,1800,5.0",
+  ].join("\n");
+  const { status, body } = await upload(csv, { filename: "activities.csv" });
+  assert.equal(status, 200);
+  assert.equal(body.import.mapping.preset, "strava");
+  assert.deepEqual(
+    body.activities.map((a) => [a.row, a.kind, a.status, a.distanceKm, a.durationMin]),
+    [
+      [2, "ride", "imported", 20.5, 60],
+      [3, "run", "skipped", 5, 30],
+      [4, "run", "unmatched", 5, 30],
+    ]
+  );
+  assert.match(body.activities[1].skipped[0].error, /Too late/);
+  assert.deepEqual(body.errors, [{ row: 5, error: 'Unreadable date "not a date"' }]);
+});
+
+test("custom column mapping for a reading log", async () => {
+  const csv = `day;pages read;notes\n${today};42;"chapter 3; the end"\n`;
+  const { body } = await upload(csv, { dateColumn: "day", pagesColumn: "pages read", kind: "reading" });
+  assert.equal(body.import.format, "csv");
+  assert.deepEqual([body.activities[0].status, body.activities[0].pages, body.activities[0].contractIds], ["imported", 42, [reading.id]]);
+  assert.deepEqual(evidenceFor(reading, runner), [{ metricName: "pages", metricValue: 42, metricUnit: "pages" }]);
+
+  const unmapped = await upload("when,what\n2026-01-01,x\n", {});
+  assert.equal(unmapped.status, 400);
+  assert.match(unmapped.body.error, /columns/);
+});
+
+test("imports are limited to the caller's running contracts", async () => {
+  const other = await createContract(partner, { title: "Someone else's" });
+  const denied = await upload(gpx("walk"), { contractId: other.id });
+  assert.equal(denied.status, 400);
+  assert.match(denied.body.error, /contractId/);
+
+  const badQuery = await upload(gpx("walk"), { kind: "dance" });
+  assert.equal(badQuery.status, 400);
+  assert.equal(badQuery.body.code, "VALIDATION_FAILED");
+
+  const forced = await upload(gpx("walk", "Walk to the library"), { contractId: reading.id });
+  assert.deepEqual(forced.body.activities[0].contractIds, [reading.id]);
+
+  const history = await api("GET", "/api/me/imports", { token: runner.token });
+  assert.equal(history.body.length, 5);
+  assert.equal(history.body[0].fileHash, undefined);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract, joinContract } = require("./helpers");
+const { computeContractProgress } = require("../progress");
+
+let owner;
+let partner;
+let outsider;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  outsider = await createUser("Outsider");
+});
+
+test.after(stop);
+
+test("edits apply directly while the owner is alone", async () => {
+  const contract = await createContract(owner);
+  const res = await api("PATCH", `/api/contracts/${contract.id}`, { token: owner.token, body: { title: "Walk" } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.applied, true);
+  assert.equal(res.body.contract.title, "Walk");
+});
+
+test("a partner accepts a proposal before it takes effect", async () => {
+  const contract = await createContract(owner);
+  await joinContract(partner, contract);
+  const url = `/api/contracts/${contract.id}`;
+
+  const proposed = await api("PATCH", url, {
+    token: owner.token,
+    body: { frequencyPerWeek: 2, note: "Injured, dropping down for a bit" },
+  });
+  assert.equal(proposed.body.applied, false);
+  const amendment = proposed.body.amendment;
+  assert.deepEqual(amendment.changes, { frequencyPerWeek: 2 });
+  assert.deepEqual(amendment.previous, { frequencyPerWeek: 3 });
+  assert.equal((await api("GET", url, { token: owner.token })).body.frequencyPerWeek, 3);
+
+  const second = await api("PATCH", url, { token: owner.token, body: { title: "Other" } });
+  assert.equal(second.status, 409);
+  assert.equal((await api("PATCH", url, { token: partner.token, body: { title: "Mine" } })).status, 403);
+
+  const accept = `${url}/amendments/${amendment.id}/accept`;
+  assert.equal((await api("POST", accept, { token: owner.token })).status, 403);
+  assert.equal((await api("POST", accept, { token: outsider.token })).status, 404);
+  const accepted = await api("POST", accept, { token: partner.token });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.amendment.status, "accepted");
+  assert.equal(accepted.body.contract.frequencyPerWeek, 2);
+
+  const events = (await api("GET", `${url}/events`, { token: partner.token })).body.map((e) => e.type);
+  assert.deepEqual(events, [
+    "created",
+    "status_changed",
+    "member_joined",
+    "amendment_proposed",
+    "amendment_accepted",
+    "terms_changed",
+  ]);
+  assert.equal((await api("GET", `${url}/events`, { token: outsider.token })).status, 404);
+});
+
+test("rejected and withdrawn proposals change nothing", async () => {
+  const contract = await createContract(owner);
+  await joinContract(partner, contract);
+  const url = `/api/contracts/${contract.id}`;
+
+  const first = (await api("PATCH", url, { token: owner.token, body: { durationDays: 60 } })).body.amendment;
+  const rejected = await api("POST", `${url}/amendments/${first.id}/reject`, { token: partner.token });
+  assert.equal(rejected.body.amendment.status, "rejected");
+
+  const second = (await api("PATCH", url, { token: owner.token, body: { proofBasis: "prove" } })).body.amendment;
+  const withdrawn = await api("POST", `${url}/amendments/${second.id}/withdraw`, { token: owner.token });
+  assert.equal(withdrawn.body.status, "withdrawn");
+
+  const current = (await api("GET", url, { token: owner.token })).body;
+  assert.equal(current.durationDays, 28);
+  assert.equal(current.proofBasis, "honor");
+  const list = (await api("GET", `${url}/amendments`, { token: partner.token })).body;
+  assert.deepEqual(list.map((a) => a.status).sort(), ["rejected", "withdrawn"]);
+});
+
+test("invalid or empty changes are rejected", async () => {
+  const contract = await createContract(owner);
+  const url = `/api/contracts/${contract.id}`;
+  assert.equal((await api("PATCH", url, { token: owner.token, body: { frequencyPerWeek: 9 } })).status, 400);
+  assert.equal((await api("PATCH", url, { token: owner.token, body: { title: contract.title } })).status, 400);
+  assert.equal((await api("PATCH", url, { token: owner.token, body: { stakes: { amount: -1 } } })).status, 400);
+});
+
+test("progress uses the terms in force on each day", () => {
+  const contract = { id: "c1", ownerId: "u1", startDate: "2026-03-02", durationDays: 14, frequencyPerWeek: 2, proofBasis: "honor" };
+  // 4x/week for the first ten days, then 2x/week.
+  const terms = [
+    { from: "2026-03-02", frequencyPerWeek: 4, proofBasis: "prove" },
+    { from: "2026-03-12", frequencyPerWeek: 2, proofBasis: "honor" },
+  ];
+  const checkins = [
+    { userId: "u1", dateKey: "2026-03-03", done: 1, verificationStatus: "none" },
+    { userId: "u1", dateKey: "2026-03-04", done: 1, verificationStatus: "approved" },
+    { userId: "u1", dateKey: "2026-03-12", done: 1, verificationStatus: "none" },
+  ];
+  const progress = computeContractProgress(contract, checkins, { today: "2026-03-20", terms });
+  const [week1, week2] = progress.participants[0].weeks;
+  assert.equal(week1.target, 4);
+  // Three days at 4x and four days at 2x: ceil((12 + 8) / 7) = 3.
+  assert.equal(week2.target, 3);
+  // The unapproved check-in on a "prove" day doesn't count; the one after the switch does.
+  assert.equal(week1.count, 1);
+  assert.equal(week2.count, 1);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const Database = require("better-sqlite3");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+
+const backend = path.join(__dirname, "..");
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "social-contract-archive-"));
+
+let owner;
+let partner;
+let contract;
+
+// Run a CLI in bin/ against another database file.
+function cli(script, args, dbPath) {
+  return execFileSync(process.execPath, [path.join(backend, "bin", script), ...args], {
+    env: { ...process.env, DB_PATH: dbPath },
+    encoding: "utf8",
+  });
+}
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  contract = await createContract(owner, { title: 'Run "daily", really' });
+  await joinContract(partner, contract);
+  const url = `/api/contracts/${contract.id}`;
+  await api("POST", `${url}/checkins`, { token: owner.token, body: { done: true } });
+  await api("POST", `${url}/checkins`, { token: partner.token, body: { done: true } });
+  await api("POST", `${url}/messages`, { token: owner.token, body: { text: "mine" } });
+  await api("POST", `${url}/messages`, { token: partner.token, body: { text: "theirs" } });
+});
+
+test.after(async () => {
+  await stop();
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test("the export holds the user's own data only", async () => {
+  const res = await api("GET", "/api/me/export", { token: owner.token });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.email, owner.email);
+  assert.equal(res.body.user.passwordHash, undefined);
+  assert.deepEqual(res.body.contracts.map((c) => c.id), [contract.id]);
+  assert.equal(res.body.contracts[0].membership.role, "owner");
+  assert.equal(res.body.checkins.length, 1);
+  assert.ok(res.body.messages.every((m) => m.senderId === owner.id));
+  assert.ok(res.body.messages.some((m) => m.text === "mine"));
+
+  const csv = await api("GET", "/api/me/export?format=csv", { token: owner.token });
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  const lines = csv.body.trim().split("\r\n");
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], new RegExp(`^${contract.id},"Run ""daily"", really",\\d{4}-\\d{2}-\\d{2},yes,no,`));
+});
+
+test("an archive imports into a fresh instance", async () => {
+  const archiveFile = path.join(scratch, "owner.json");
+  fs.writeFileSync(archiveFile, JSON.stringify((await api("GET", "/api/me/export", { token: owner.token })).body));
+  const target = path.join(scratch, "target.sqlite");
+  cli("migrate.js", [], target);
+
+  const out = cli("data.js", ["import-user", archiveFile], target);
+  assert.match(out, /1 contracts, 1 checkins/);
+  const imported = new Database(target, { readonly: true });
+  const row = imported.prepare("SELECT * FROM contracts WHERE id = ?").get(contract.id);
+  assert.equal(row.ownerId, owner.id);
+  assert.equal(row.partnerId, null);
+  assert.ok(row.archivedAt);
+  assert.equal(imported.prepare("SELECT COUNT(*) as n FROM messages").get().n, 2);
+  assert.equal(imported.prepare("SELECT passwordHash FROM users WHERE id = ?").get(owner.id).passwordHash, null);
+  imported.close();
+
+  assert.throws(() => cli("data.js", ["import-user", archiveFile], target), /already exists/);
+});
+
+test("backups can be restored over another database", () => {
+  const backupFile = path.join(scratch, "backup.sqlite");
+  cli("data.js", ["backup", backupFile], db.name);
+  const target = path.join(scratch, "restored.sqlite");
+  cli("migrate.js", [], target);
+
+  assert.throws(() => cli("data.js", ["restore", backupFile], target), /--yes/);
+  const out = cli("data.js", ["restore", backupFile, "--yes"], target);
+  assert.match(out, /Previous database saved as/);
+  const restored = new Database(target, { readonly: true });
+  assert.equal(restored.prepare("SELECT COUNT(*) as n FROM users").get().n, 2);
+  restored.close();
+});
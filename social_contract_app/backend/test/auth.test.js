@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { start, stop, api, db, createUser } = require("./helpers");
+const mailer = require("../mailer");
+
+const PASSWORD = "password123";
+
+test.before(start);
+test.after(stop);
+
+async function login(user, password = PASSWORD) {
+  return api("POST", "/api/auth/login", { body: { email: user.email, password } });
+}
+
+const me = async (token) => (await api("GET", "/api/me", { token })).status;
+const refresh = (refreshToken) => api("POST", "/api/auth/refresh", { body: { refreshToken } });
+
+test("refresh tokens rotate, and reusing an old one revokes the family", async () => {
+  const user = await createUser("Rotator");
+  const { body: session } = await login(user);
+  const first = await refresh(session.refreshToken);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, session.refreshToken);
+  assert.equal(await me(first.body.token), 200);
+
+  const second = await refresh(first.body.refreshToken);
+  assert.equal(second.status, 200);
+
+  // The first token was already swapped, so seeing it again means it leaked.
+  const reused = await refresh(session.refreshToken);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, "Refresh token has been revoked");
+  assert.equal((await refresh(second.body.refreshToken)).status, 401);
+
+  // Other logins are separate families and keep working.
+  const { body: other } = await login(user);
+  assert.equal((await refresh(other.refreshToken)).status, 200);
+  assert.equal((await refresh("made-up")).body.error, "Invalid refresh token");
+});
+
+test("expired refresh tokens are refused", async () => {
+  const user = await createUser("Expired");
+  const { body: session } = await login(user);
+  db.prepare("UPDATE refresh_tokens SET expiresAt = ? WHERE userId = ?").run("2000-01-01T00:00:00.000Z", user.id);
+  const res = await refresh(session.refreshToken);
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, "Refresh token has expired");
+});
+
+test("logout ends one session; logout-all ends every one", async () => {
+  const user = await createUser("Leaver");
+  const { body: phone } = await login(user);
+  const { body: laptop } = await login(user);
+
+  assert.deepEqual((await api("POST", "/api/auth/logout", { body: { refreshToken: phone.refreshToken } })).body, { ok: true });
+  assert.equal((await refresh(phone.refreshToken)).status, 401);
+  const { body: renewed } = await refresh(laptop.refreshToken);
+  assert.ok(renewed.token);
+
+  assert.equal((await api("POST", "/api/auth/logout-all", { token: renewed.token })).status, 200);
+  assert.equal(await me(renewed.token), 401);
+  assert.equal(await me(phone.token), 401);
+  assert.equal((await refresh(renewed.refreshToken)).status, 401);
+
+  const { body: fresh } = await login(user);
+  assert.equal(await me(fresh.token), 200);
+});
+
+test("changing the password logs other sessions out and keeps this one", async () => {
+  const user = await createUser("Changer");
+  const { body: other } = await login(user);
+  const wrong = await api("POST", "/api/auth/password", {
+    token: user.token,
+    body: { currentPassword: "not-it", newPassword: "another-password" },
+  });
+  assert.equal(wrong.status, 401);
+
+  const changed = await api("POST", "/api/auth/password", {
+    token: user.token,
+    body: { currentPassword: PASSWORD, newPassword: "another-password" },
+  });
+  assert.equal(changed.status, 200);
+  assert.equal(await me(changed.body.token), 200);
+  assert.equal(await me(user.token), 401);
+  assert.equal((await refresh(other.refreshToken)).status, 401);
+  assert.equal((await login(user)).status, 401);
+  assert.equal((await login(user, "another-password")).status, 200);
+});
+
+test("reset tokens work once and expire", async () => {
+  const sent = [];
+  mailer.setTransport({ sendMail: async (mail) => sent.push(mail) });
+  const user = await createUser("Forgetful");
+  const tokenFrom = (mail) => /token=([\w-]+)/.exec(mail.text)[1];
+  const requestReset = async () => {
+    const before = sent.length;
+    await api("POST", "/api/auth/password-reset/request", { body: { email: user.email } });
+    for (let i = 0; i < 100 && sent.length === before; i += 1) await new Promise((resolve) => setTimeout(resolve, 10));
+    return tokenFrom(sent.at(-1));
+  };
+  const confirm = (token, password) => api("POST", "/api/auth/password-reset/confirm", { body: { token, password } });
+
+  // Unknown addresses get the same answer and no mail.
+  assert.deepEqual((await api("POST", "/api/auth/password-reset/request", { body: { email: "nobody@example.com" } })).body, { ok: true });
+
+  const token = await requestReset();
+  assert.equal(sent.at(-1).to, user.email);
+  assert.equal((await confirm(token, "reset-password-1")).status, 200);
+  assert.equal(await me(user.token), 401);
+  assert.equal((await login(user, "reset-password-1")).status, 200);
+  const again = await confirm(token, "reset-password-2");
+  assert.equal(again.status, 400);
+  assert.equal(again.body.error, "Reset link is invalid or has expired");
+
+  const stale = await requestReset();
+  db.prepare("UPDATE password_resets SET expiresAt = ? WHERE userId = ? AND usedAt IS NULL").run("2000-01-01T00:00:00.000Z", user.id);
+  assert.equal((await confirm(stale, "reset-password-3")).status, 400);
+  assert.equal((await login(user, "reset-password-1")).status, 200);
+  mailer.setTransport(null);
+});
+
+test("production refuses to log mail to the console", async () => {
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = "production";
+  try {
+    await assert.rejects(mailer.sendMail({ to: "a@example.com", subject: "Reset", text: "token=secret" }), /Mail is not configured/);
+  } finally {
+    process.env.NODE_ENV = env;
+  }
+});
+
+test("the server won't start in production with the default secret", () => {
+  const env = { ...process.env, NODE_ENV: "production" };
+  delete env.JWT_SECRET;
+  const result = spawnSync(process.execPath, ["-e", "require('./server')"], {
+    cwd: path.join(__dirname, ".."),
+    env,
+    encoding: "utf8",
+    timeout: 30000,
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /JWT_SECRET must be set/);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract, joinContract } = require("./helpers");
+
+let owner;
+let partner;
+let outsider;
+let contract;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  outsider = await createUser("Outsider");
+  contract = await createContract(owner, { title: "Run, swim; repeat", durationDays: 10 });
+  await joinContract(partner, contract);
+});
+
+test.after(stop);
+
+// Unfold continuation lines before splitting into events.
+const events = (ics) => ics.replace(/\r\n /g, "").split("BEGIN:VEVENT").slice(1);
+
+test("a contract exports one event per scheduled check-in", async () => {
+  await api("POST", `/api/contracts/${contract.id}/checkins`, { token: owner.token, body: { done: true } });
+  const res = await api("GET", `/api/contracts/${contract.id}/calendar.ics`, { token: owner.token });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  assert.ok(res.body.startsWith("BEGIN:VCALENDAR\r\n"));
+
+  // 10 days at 3x/week: 3 in the first block, 2 in the prorated second one.
+  const list = events(res.body);
+  assert.equal(list.length, 5);
+  assert.match(list[0], /SUMMARY:✓ Run\\, swim\\; repeat/);
+  assert.match(list[0], /Checked in/);
+  assert.doesNotMatch(list[0], /VALARM/);
+  assert.match(list[1], /BEGIN:VALARM\r\nACTION:DISPLAY/);
+  assert.match(list[1], /TRIGGER:PT19H0M/);
+
+  assert.equal((await api("GET", `/api/contracts/${contract.id}/calendar.ics`, { token: outsider.token })).status, 404);
+});
+
+test("the subscription feed works without a login until revoked", async () => {
+  const { body } = await api("POST", "/api/me/calendar-feed", { token: partner.token });
+  const path = new URL(body.url).pathname;
+  const feed = await api("GET", path);
+  assert.equal(feed.status, 200);
+  assert.equal(events(feed.body).length, 5);
+  assert.doesNotMatch(feed.body, /Checked in/);
+
+  const rotated = (await api("POST", "/api/me/calendar-feed", { token: partner.token })).body;
+  assert.equal((await api("GET", path)).status, 404);
+  const rotatedPath = new URL(rotated.url).pathname;
+  assert.equal((await api("GET", rotatedPath)).status, 200);
+
+  await api("DELETE", "/api/me/calendar-feed", { token: partner.token });
+  assert.equal((await api("GET", rotatedPath)).status, 404);
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseGraceHours, resolveCheckinDay } = require("../checkins");
+
+const contract = { startDate: "2026-03-01", durationDays: 30, graceHours: 10 };
+
+test("defaults to the user's local day", () => {
+  // 03:00 UTC on the 10th is still the evening of the 9th in New York.
+  const now = new Date("2026-03-10T03:00:00Z");
+  assert.deepEqual(resolveCheckinDay(contract, "America/New_York", undefined, now), { dateKey: "2026-03-09", late: false });
+  assert.deepEqual(resolveCheckinDay(contract, null, undefined, now), { dateKey: "2026-03-10", late: false });
+});
+
+test("rejects future days and days outside the contract", () => {
+  const now = new Date("2026-03-10T12:00:00Z");
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-03-11", now).error, /future/);
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-02-28", now).error, /before/);
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-3-1", now).error, /YYYY-MM-DD/);
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-02-30", now).error, /YYYY-MM-DD/);
+  const ended = { ...contract, durationDays: 5 };
+  assert.match(resolveCheckinDay(ended, "UTC", "2026-03-06", now).error, /after/);
+});
+
+test("yesterday is allowed, and marked late, inside the grace window", () => {
+  const morning = new Date("2026-03-10T09:59:00Z");
+  assert.deepEqual(resolveCheckinDay(contract, "UTC", "2026-03-09", morning), { dateKey: "2026-03-09", late: true });
+  const tooLate = new Date("2026-03-10T10:00:00Z");
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-03-09", tooLate).error, /Too late/);
+  assert.match(resolveCheckinDay(contract, "UTC", "2026-03-08", morning).error, /Too late/);
+});
+
+test("the grace window follows the user's timezone and contract setting", () => {
+  // 13:30 UTC is 09:30 in New York (EDT from March 8th).
+  const now = new Date("2026-03-10T13:30:00Z");
+  assert.equal(resolveCheckinDay(contract, "America/New_York", "2026-03-09", now).late, true);
+  assert.match(resolveCheckinDay({ ...contract, graceHours: 0 }, "UTC", "2026-03-09", now).error, /Too late/);
+  const twoDays = { ...contract, graceHours: 40 };
+  assert.equal(resolveCheckinDay(twoDays, "UTC", "2026-03-08", now).late, true);
+});
+
+test("parseGraceHours", () => {
+  assert.deepEqual(parseGraceHours(undefined), { graceHours: 10 });
+  assert.deepEqual(parseGraceHours("0"), { graceHours: 0 });
+  assert.ok(parseGraceHours(49).error);
+  assert.ok(parseGraceHours(1.5).error);
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract } = require("./helpers");
+
+let owner;
+let viewer;
+const posted = {};
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  viewer = await createUser("Viewer");
+  posted.run = await createContract(owner, { title: "Morning run", frequencyPerWeek: 5, durationDays: 30 });
+  posted.read = await createContract(owner, {
+    title: "Read before bed",
+    topicCategory: "study",
+    description: "Fiction counts, 100% of it",
+    frequencyPerWeek: 7,
+    durationDays: 60,
+    proofBasis: "prove",
+  });
+  posted.swim = await createContract(owner, { title: "Swim laps", frequencyPerWeek: 2, durationDays: 14, stakesLevel: "none" });
+  // The viewer's own latest contract is what "fit" compares against.
+  posted.laps = await createContract(viewer, { title: "Laps", frequencyPerWeek: 2, durationDays: 14, stakesLevel: "none" });
+});
+
+test.after(stop);
+
+const ids = (res) => res.body.map((c) => c.id);
+
+test("filters narrow the feed and the total counts every match", async () => {
+  const fitness = await api("GET", "/api/contracts?category=fitness&minFrequency=3");
+  assert.deepEqual(ids(fitness), [posted.run.id]);
+  assert.equal(fitness.headers.get("x-total-count"), "1");
+
+  assert.deepEqual(ids(await api("GET", "/api/contracts?proofBasis=prove")), [posted.read.id]);
+  assert.ok(ids(await api("GET", "/api/contracts?maxDuration=20&stakesLevel=none")).includes(posted.swim.id));
+  assert.deepEqual(ids(await api("GET", "/api/contracts?q=fiction%20bed")), [posted.read.id]);
+  assert.deepEqual(ids(await api("GET", "/api/contracts?q=100%25")), [posted.read.id]);
+  assert.deepEqual(ids(await api("GET", "/api/contracts?q=_")), []);
+
+  // Bad parameters get the shared validation error.
+  for (const [query, field] of [["sort=random", "sort"], ["minFrequency=lots", "minFrequency"], ["cursor=nope", "cursor"]]) {
+    const res = await api("GET", `/api/contracts?${query}`);
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.code, "VALIDATION_FAILED", query);
+    assert.equal(res.body.details[0].field, field, query);
+  }
+  // Empty parameters are no filter at all.
+  const unfiltered = (await api("GET", "/api/contracts")).headers.get("x-total-count");
+  assert.equal((await api("GET", "/api/contracts?category=&minFrequency=&sort=")).headers.get("x-total-count"), unfiltered);
+});
+
+test("pages follow the cursor without repeats", async () => {
+  const first = await api("GET", "/api/contracts?limit=2");
+  assert.equal(first.headers.get("x-total-count"), "4");
+  assert.equal(first.body.length, 2);
+  const cursor = first.headers.get("x-next-cursor");
+  const second = await api("GET", `/api/contracts?limit=2&cursor=${cursor}`);
+  assert.equal(second.body.length, 2);
+  assert.equal(second.headers.get("x-next-cursor"), null);
+  assert.equal(new Set([...ids(first), ...ids(second)]).size, 4);
+});
+
+test("soonest puts the earliest start first and pages by it", async () => {
+  const setStart = db.prepare("UPDATE contracts SET startDate = ? WHERE id = ?");
+  setStart.run("2026-11-01", posted.read.id);
+  setStart.run("2026-11-03", posted.run.id);
+  setStart.run("2026-11-03", posted.swim.id);
+  setStart.run("2026-11-07", posted.laps.id);
+  // Same start date: the id breaks the tie.
+  const tied = [posted.run.id, posted.swim.id].sort();
+  const expected = [posted.read.id, ...tied, posted.laps.id];
+
+  const all = await api("GET", "/api/contracts?sort=soonest");
+  assert.deepEqual(ids(all), expected);
+  assert.deepEqual(all.body.map((c) => c.startDate), ["2026-11-01", "2026-11-03", "2026-11-03", "2026-11-07"]);
+
+  // The first page ends between the two contracts that start on the same day.
+  const first = await api("GET", "/api/contracts?sort=soonest&limit=2");
+  assert.deepEqual(ids(first), expected.slice(0, 2));
+  const cursor = first.headers.get("x-next-cursor");
+  const second = await api("GET", `/api/contracts?sort=soonest&limit=2&cursor=${cursor}`);
+  assert.deepEqual(ids(second), expected.slice(2));
+  assert.equal(second.headers.get("x-next-cursor"), null);
+  assert.equal(second.headers.get("x-total-count"), "4");
+});
+
+test("fit sorting needs a caller and ranks the closest terms first", async () => {
+  assert.equal((await api("GET", "/api/contracts?sort=fit")).status, 401);
+  const fit = await api("GET", "/api/contracts?sort=fit&category=fitness", { token: viewer.token });
+  assert.equal(fit.status, 200);
+  // The swim has the same terms as the viewer's own contract, so both tie at the top.
+  assert.ok(ids(fit).slice(0, 2).includes(posted.swim.id));
+  assert.equal(fit.body[0].fitScore, fit.body[1].fitScore);
+  assert.ok(fit.body[1].fitScore > fit.body[2].fitScore);
+});
+
+test("owners can unlist a contract without deleting it", async () => {
+  const url = `/api/contracts/${posted.swim.id}/listing`;
+  assert.equal((await api("PUT", url, { token: viewer.token, body: { listed: false } })).status, 403);
+  const unlisted = await api("PUT", url, { token: owner.token, body: { listed: false } });
+  assert.equal(unlisted.status, 200);
+  assert.ok(unlisted.body.unlistedAt);
+  assert.ok(!ids(await api("GET", "/api/contracts")).includes(posted.swim.id));
+  assert.equal((await api("GET", `/api/contracts/${posted.swim.id}`, { token: viewer.token })).status, 404);
+  assert.equal((await api("GET", `/api/invites/${posted.swim.inviteCode}`)).status, 200);
+
+  await api("PUT", url, { token: owner.token, body: { listed: true } });
+  assert.ok(ids(await api("GET", "/api/contracts")).includes(posted.swim.id));
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const migrator = require("../migrator");
+const { addDays, todayKey } = require("../progress");
+
+let owner;
+let people;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  people = [];
+  for (const name of ["Ann", "Bo", "Cy", "Di"]) people.push(await createUser(name));
+});
+
+test.after(stop);
+
+const listed = async (contract) => (await api("GET", "/api/contracts")).body.some((c) => c.id === contract.id);
+
+test("capacity is 2 to 8 and a group takes members until it's full", async () => {
+  for (const capacity of [1, 9, 2.5]) {
+    const res = await api("POST", "/api/contracts", {
+      token: owner.token,
+      body: { title: "Too big", topicCategory: "fitness", frequencyPerWeek: 3, durationDays: 28, stakesLevel: "social", capacity },
+    });
+    assert.equal(res.status, 400, `capacity ${capacity}`);
+  }
+
+  const group = await createContract(owner, { capacity: 3 });
+  assert.equal(group.capacity, 3);
+  const first = await joinContract(people[0], group);
+  assert.equal(first.body.status, "matched");
+  assert.equal(first.body.partnerId, people[0].id);
+  assert.ok(await listed(group));
+
+  const second = await joinContract(people[1], group);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.memberCount, 3);
+  assert.equal(second.body.partnerId, people[0].id);
+  assert.ok(!(await listed(group)));
+
+  const full = await joinContract(people[2], group);
+  assert.equal(full.status, 404);
+  const again = await joinContract(people[0], group);
+  assert.equal(again.body.error, "Already a member");
+});
+
+test("an invite code can be used until the group is full", async () => {
+  const { body } = await api("POST", "/api/contracts", {
+    token: owner.token,
+    body: { title: "Study group", topicCategory: "study", frequencyPerWeek: 3, durationDays: 28, stakesLevel: "social", matchType: "friend", capacity: 3 },
+  });
+  const url = `/api/invites/${body.inviteCode}/accept`;
+  assert.equal((await api("POST", url, { token: people[0].token })).status, 200);
+  const second = await api("POST", url, { token: people[1].token });
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body.members.map((m) => m.userId), [owner.id, people[0].id, people[1].id]);
+
+  const full = await api("POST", url, { token: people[2].token });
+  assert.equal(full.status, 400);
+  assert.equal(full.body.error, "Contract is full");
+  assert.equal((await api("GET", `/api/invites/${body.inviteCode}`)).body.memberCount, 3);
+
+  // Leaving frees the spot for the next person with the code.
+  await api("DELETE", `/api/contracts/${body.contract.id}`, { token: people[1].token });
+  assert.equal((await api("POST", url, { token: people[2].token })).status, 200);
+});
+
+test("members who join a running group start from the day they joined", async () => {
+  const group = await createContract(owner, { capacity: 4, frequencyPerWeek: 3, durationDays: 28 });
+  await joinContract(people[0], group);
+  const started = addDays(todayKey(), -14);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = ? WHERE id = ?").run(started, group.id);
+  db.prepare("UPDATE contract_members SET joinedAt = ? WHERE contractId = ?").run(`${addDays(started, -1)}T12:00:00.000Z`, group.id);
+
+  const late = await joinContract(people[1], group);
+  assert.equal(late.status, 200);
+  const { body } = await api("GET", `/api/contracts/${group.id}/progress`, { token: people[1].token });
+  const of = (userId) => body.participants.find((p) => p.userId === userId);
+
+  assert.deepEqual(of(owner.id).weeks.map((w) => w.status), ["missed", "missed", "pending", "pending"]);
+  const newcomer = of(people[1].id);
+  assert.equal(newcomer.startDate, todayKey());
+  assert.deepEqual(newcomer.weeks.map((w) => [w.index, w.status]), [[2, "pending"], [3, "pending"]]);
+  assert.equal(newcomer.weeks[0].start, todayKey());
+  assert.equal(newcomer.weeksMissed, 0);
+});
+
+test("everyone in the group chats together; outsiders can't", async () => {
+  const group = await createContract(owner, { capacity: 4 });
+  await joinContract(people[0], group);
+  await joinContract(people[1], group);
+  const url = `/api/contracts/${group.id}/messages`;
+
+  const sent = await api("POST", url, { token: people[0].token, body: { text: "Who's running Saturday?" } });
+  assert.equal(sent.status, 200);
+  for (const user of [owner, people[1]]) {
+    const { body } = await api("GET", url, { token: user.token });
+    assert.equal(body.at(-1).text, "Who's running Saturday?");
+    // One welcome note per member who joined.
+    assert.equal(body.filter((m) => /joined the group/.test(m.text)).length, 2);
+  }
+  assert.equal((await api("GET", url, { token: people[2].token })).status, 403);
+  assert.equal((await api("POST", url, { token: people[2].token, body: { text: "hi" } })).status, 403);
+
+  // Someone who left reads like any other outsider.
+  await api("DELETE", `/api/contracts/${group.id}`, { token: people[1].token });
+  assert.equal((await api("GET", url, { token: people[1].token })).status, 403);
+});
+
+test("existing pairs become owner and member rows when groups arrive", () => {
+  const old = new Database(":memory:");
+  migrator.migrate(old, { to: 5 });
+  const insertUser = old.prepare("INSERT INTO users (id, name, createdAt) VALUES (?, ?, '2025-01-01T00:00:00.000Z')");
+  ["u1", "u2", "u3"].forEach((id) => insertUser.run(id, id));
+  const insertContract = old.prepare(
+    `INSERT INTO contracts (id, ownerId, partnerId, title, topicCategory, frequencyPerWeek, durationDays, stakesLevel, status, createdAt)
+     VALUES (?, ?, ?, 'Run', 'fitness', 3, 28, 'social', ?, '2025-01-02T00:00:00.000Z')`
+  );
+  insertContract.run("paired", "u1", "u2", "active");
+  insertContract.run("waiting", "u3", null, "open");
+
+  migrator.migrate(old, { to: 6 });
+  const rows = old.prepare("SELECT contractId, userId, role, joinedAt, leftAt FROM contract_members ORDER BY contractId, role DESC").all();
+  assert.deepEqual(
+    rows.map((r) => [r.contractId, r.userId, r.role]),
+    [["paired", "u1", "owner"], ["paired", "u2", "member"], ["waiting", "u3", "owner"]]
+  );
+  assert.ok(rows.every((r) => r.joinedAt === "2025-01-02T00:00:00.000Z" && r.leftAt === null));
+  assert.deepEqual(old.prepare("SELECT DISTINCT capacity FROM contracts").all(), [{ capacity: 2 }]);
+});
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+// Each test file runs in its own process (node --test), so it gets a fresh
+// database file. DB_PATH must be set before anything requires ../db.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "social-contract-test-"));
+process.env.DB_PATH = path.join(dir, "test.sqlite");
+process.env.UPLOAD_DIR = path.join(dir, "uploads");
+// Rate limits would trip on the suites' bursts of requests; ratelimit.test.js turns them on.
+process.env.RATE_LIMIT = process.env.RATE_LIMIT || "off";
+
+const db = require("../db");
+require("../migrator").migrate(db);
+
+const { server } = require("../server");
+
+let baseUrl = null;
+
+async function start() {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stop() {
+  await new Promise((resolve) => server.close(resolve));
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// JSON request helper: resolves to { status, headers, body }. `raw` sends a
+// string as the JSON body without encoding it, or as a `type` upload.
+// `headers` adds request headers.
+async function api(method, url, { token, body, raw, type, headers: extraHeaders } = {}) {
+  const headers = { ...extraHeaders };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined || raw !== undefined) headers["Content-Type"] = type || "application/json";
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (e) {
+    parsed = text;
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+let userCount = 0;
+
+// Register a user and return { id, name, email, token }.
+async function createUser(name) {
+  userCount += 1;
+  const email = `${name.toLowerCase()}${userCount}@example.com`;
+  const { body } = await api("POST", "/api/auth/register", { body: { name, email, password: "password123" } });
+  return { ...body.user, token: body.token };
+}
+
+async function createContract(owner, overrides = {}) {
+  const { body } = await api("POST", "/api/contracts", {
+    token: owner.token,
+    body: {
+      title: "Run three times a week",
+      topicCategory: "fitness",
+      frequencyPerWeek: 3,
+      durationDays: 28,
+      stakesLevel: "social",
+      matchType: "friend",
+      ...overrides,
+    },
+  });
+  return body.contract;
+}
+
+async function joinContract(user, contract) {
+  return api("POST", `/api/contracts/${contract.id}/join`, { token: user.token });
+}
+
+// Open a socket as `token`. Resolves to the connected socket, or rejects
+// with the handshake's error.
+function connectSocket(token) {
+  const socket = io(baseUrl, { transports: ["websocket"], auth: token ? { token } : {}, reconnection: false, forceNew: true });
+  return new Promise((resolve, reject) => {
+    socket.once("connect", () => resolve(socket));
+    socket.once("connect_error", (err) => {
+      socket.close();
+      reject(err);
+    });
+  });
+}
+
+// Resolves to the payload of the next `event` on `socket`.
+function nextEvent(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+module.exports = {
+  db,
+  start,
+  stop,
+  api,
+  createUser,
+  createContract,
+  joinContract,
+  connectSocket,
+  nextEvent,
+};
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { runLifecycleSweep, canTransition, isTerminal, transitionContract, STATUSES } = require("../lifecycle");
+const { closingDay, resolveCheckinDay } = require("../checkins");
+
+test.before(start);
+test.after(stop);
+
+function contractRow(id) {
+  return db.prepare("SELECT * FROM contracts WHERE id = ?").get(id);
+}
+
+test("status changes only move forward, and end states are final", () => {
+  assert.ok(canTransition("open", "matched"));
+  assert.ok(canTransition("matched", "active"));
+  assert.ok(canTransition("active", "completed"));
+  assert.ok(canTransition("active", "abandoned"));
+  assert.ok(!canTransition("open", "active"));
+  assert.ok(!canTransition("open", "completed"));
+  assert.ok(!canTransition("active", "matched"));
+  assert.ok(!canTransition("active", "expired"));
+  assert.ok(!canTransition("unknown", "open"));
+  ["completed", "failed", "abandoned", "expired"].forEach((status) => {
+    assert.ok(isTerminal(status));
+    STATUSES.forEach((to) => assert.ok(!canTransition(status, to), `${status} -> ${to}`));
+  });
+  assert.ok(!isTerminal("active"));
+});
+
+test("transitions refuse stale rows and stamp the end of terminal moves", async () => {
+  const owner = await createUser("Owner");
+  const contract = await createContract(owner);
+  assert.equal(transitionContract(contract, "active"), null);
+  assert.equal(contractRow(contract.id).status, "open");
+
+  const expired = transitionContract(contract, "expired");
+  assert.equal(expired.status, "expired");
+  assert.ok(expired.endedAt);
+  // `contract` still says open, but the row moved on.
+  assert.equal(transitionContract(contract, "abandoned"), null);
+  assert.equal(contractRow(contract.id).status, "expired");
+
+  const events = db.prepare("SELECT data FROM contract_events WHERE contractId = ? AND type = 'status_changed'").all(contract.id);
+  assert.deepEqual(events.map((e) => JSON.parse(e.data)), [{ from: "open", to: "expired" }]);
+});
+
+test("the sweep expires stale open contracts and starts matched ones", async () => {
+  const owner = await createUser("Owner");
+  const partner = await createUser("Partner");
+  const stale = await createContract(owner);
+  db.prepare("UPDATE contracts SET createdAt = '2026-01-01T00:00:00.000Z' WHERE id = ?").run(stale.id);
+  const fresh = await createContract(owner);
+  const later = await createContract(owner);
+  await joinContract(partner, later);
+  db.prepare("UPDATE contracts SET startDate = '2026-03-05' WHERE id = ?").run(later.id);
+
+  const changes = runLifecycleSweep({ today: "2026-03-04" }).filter((c) => [stale.id, fresh.id, later.id].includes(c.contract.id));
+  assert.deepEqual(changes.map((c) => [c.contract.id, c.from, c.to]), [[stale.id, "open", "expired"]]);
+  assert.equal(contractRow(fresh.id).status, "open");
+  assert.equal(contractRow(later.id).status, "matched");
+
+  runLifecycleSweep({ today: "2026-03-05" });
+  assert.equal(contractRow(later.id).status, "active");
+});
+
+test("a day closes for the contract once every member's grace window is over", () => {
+  const contract = { graceHours: 10 };
+  // 14:00 UTC on the 10th: 10h ago it was the 10th in UTC and still the 9th in Los Angeles.
+  const now = new Date("2026-03-10T14:00:00Z");
+  assert.equal(closingDay(contract, ["UTC"], now), "2026-03-10");
+  assert.equal(closingDay(contract, ["UTC", "America/Los_Angeles"], now), "2026-03-09");
+  assert.equal(closingDay({ graceHours: 0 }, [null], now), "2026-03-10");
+});
+
+test("the sweep doesn't end a contract while a member can still log its last day", async () => {
+  const owner = await createUser("Owner");
+  const partner = await createUser("Partner");
+  await api("PUT", "/api/me", { token: owner.token, body: { timezone: "America/New_York" } });
+  const contract = await createContract(owner, { frequencyPerWeek: 1, durationDays: 7 });
+  await joinContract(partner, contract);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = '2026-03-02', graceHours = 10 WHERE id = ?").run(contract.id);
+  db.prepare("INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt) VALUES ('p1', ?, ?, '2026-03-04', 1, '')").run(
+    contract.id,
+    partner.id
+  );
+  const status = () => db.prepare("SELECT status FROM contracts WHERE id = ?").get(contract.id).status;
+
+  // 20:00 on the last day in New York is already the 9th in UTC.
+  const lastEvening = new Date("2026-03-09T01:00:00Z");
+  assert.equal(resolveCheckinDay({ ...contract, startDate: "2026-03-02", durationDays: 7, graceHours: 10 }, "America/New_York", "2026-03-08", lastEvening).error, undefined);
+  runLifecycleSweep({ now: lastEvening });
+  assert.equal(status(), "active");
+
+  // The next morning in New York is still inside the 10h grace window.
+  runLifecycleSweep({ now: new Date("2026-03-09T13:00:00Z") });
+  assert.equal(status(), "active");
+
+  runLifecycleSweep({ now: new Date("2026-03-09T15:00:00Z") });
+  assert.equal(status(), "failed");
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract } = require("./helpers");
+const { scoreCandidate, normalizePreferences } = require("../matchmaking");
+
+test.before(start);
+test.after(stop);
+
+const terms = { frequencyPerWeek: 3, durationDays: 28, stakesLevel: "social", proofBasis: "honor", timezone: "UTC" };
+
+test("identical commitments score 100 and each difference costs its share", () => {
+  assert.equal(scoreCandidate(terms, { ...terms }), 100);
+  // Frequency 2 apart: 30 * (1 - 2/6) = 20.
+  assert.equal(scoreCandidate(terms, { ...terms, frequencyPerWeek: 5 }), 90);
+  // Half the duration: 25 * 0.5.
+  assert.equal(scoreCandidate(terms, { ...terms, durationDays: 14 }), 88);
+  // One stakes level apart keeps two thirds; unknown levels get nothing.
+  assert.equal(scoreCandidate(terms, { ...terms, stakesLevel: "reward" }), 95);
+  assert.equal(scoreCandidate(terms, { ...terms, stakesLevel: "bragging" }), 85);
+  assert.equal(scoreCandidate(terms, { ...terms, proofBasis: "prove" }), 85);
+  // 9 hours apart keeps a quarter; an unknown timezone counts half.
+  assert.equal(scoreCandidate(terms, { ...terms, timezone: "Asia/Tokyo" }), 89);
+  assert.equal(scoreCandidate(terms, { ...terms, timezone: null }), 93);
+  assert.equal(
+    scoreCandidate(terms, { frequencyPerWeek: 5, durationDays: 14, stakesLevel: "reward", proofBasis: "prove", timezone: "Asia/Tokyo" }),
+    46
+  );
+  // Symmetric.
+  const other = { ...terms, frequencyPerWeek: 1, durationDays: 90, stakesLevel: "none" };
+  assert.equal(scoreCandidate(terms, other), scoreCandidate(other, terms));
+});
+
+test("preferences are merged over a base and bad values dropped", () => {
+  assert.deepEqual(normalizePreferences(null), {
+    sameStakes: false,
+    sameProofBasis: false,
+    maxFrequencyDiff: null,
+    maxTimezoneDiffHours: null,
+  });
+  const base = normalizePreferences({ sameStakes: 1, maxFrequencyDiff: "2" });
+  assert.deepEqual(base, { sameStakes: true, sameProofBasis: false, maxFrequencyDiff: 2, maxTimezoneDiffHours: null });
+  assert.deepEqual(normalizePreferences({ maxFrequencyDiff: -1, maxTimezoneDiffHours: 3, color: "red" }, base), {
+    sameStakes: true,
+    sameProofBasis: false,
+    maxFrequencyDiff: null,
+    maxTimezoneDiffHours: 3,
+  });
+});
+
+async function offersFor(user) {
+  return (await api("GET", "/api/match-offers", { token: user.token })).body;
+}
+
+test("close commitments are offered to both owners; distant ones wait", async () => {
+  const ana = await createUser("Ana");
+  const ben = await createUser("Ben");
+  const cal = await createUser("Cal");
+  const random = { matchType: "random", topicCategory: "study" };
+  await createContract(ana, { ...random, frequencyPerWeek: 3 });
+  // Too far apart for a fresh queue entry, which needs 70.
+  await createContract(cal, { ...random, frequencyPerWeek: 7, durationDays: 7, stakesLevel: "none", proofBasis: "prove" });
+  assert.deepEqual(await offersFor(ana), []);
+
+  await createContract(ben, { ...random, frequencyPerWeek: 4 });
+  const [offer] = await offersFor(ana);
+  // One check-in apart, and neither user set a timezone.
+  assert.equal(offer.score, 88);
+  assert.deepEqual([offer.userAId, offer.userBId].sort(), [ana.id, ben.id].sort());
+  assert.deepEqual((await offersFor(ben)).map((o) => o.id), [offer.id]);
+  assert.deepEqual(await offersFor(cal), []);
+});
+
+test("a side's hard preferences rule a candidate out", async () => {
+  const dee = await createUser("Dee");
+  const eli = await createUser("Eli");
+  const random = { matchType: "random", topicCategory: "sleep" };
+  await createContract(dee, { ...random, matchPreferences: { sameStakes: true } });
+  await createContract(eli, { ...random, stakesLevel: "reward" });
+  assert.deepEqual(await offersFor(dee), []);
+  assert.deepEqual(await offersFor(eli), []);
+});
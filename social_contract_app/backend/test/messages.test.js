@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract, joinContract } = require("./helpers");
+const { MAX_MESSAGE_LENGTH } = require("../messages");
+
+let owner;
+let partner;
+let contract;
+let url;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  contract = await createContract(owner);
+  await joinContract(partner, contract);
+  url = `/api/contracts/${contract.id}/messages`;
+  for (let i = 1; i <= 7; i += 1) {
+    await api("POST", url, { token: i % 2 ? owner.token : partner.token, body: { text: `note ${i}` } });
+  }
+});
+
+test.after(stop);
+
+test("history pages backwards and forwards by message id", async () => {
+  const all = (await api("GET", `${url}?limit=200`, { token: owner.token })).body;
+  // Two welcome messages from the join, then the seven notes.
+  assert.equal(all.length, 9);
+
+  const latest = await api("GET", `${url}?limit=3`, { token: owner.token });
+  assert.equal(latest.headers.get("x-has-more"), "true");
+  assert.deepEqual(latest.body.map((m) => m.text), ["note 5", "note 6", "note 7"]);
+
+  const older = await api("GET", `${url}?limit=3&before=${latest.body[0].id}`, { token: owner.token });
+  assert.deepEqual(older.body.map((m) => m.text), ["note 2", "note 3", "note 4"]);
+
+  const newer = await api("GET", `${url}?limit=5&after=${older.body[2].id}`, { token: owner.token });
+  assert.equal(newer.headers.get("x-has-more"), "false");
+  assert.deepEqual(newer.body.map((m) => m.text), ["note 5", "note 6", "note 7"]);
+
+  assert.equal((await api("GET", `${url}?before=nope`, { token: owner.token })).status, 400);
+});
+
+test("messages longer than the cap are rejected", async () => {
+  const res = await api("POST", url, { token: owner.token, body: { text: "x".repeat(MAX_MESSAGE_LENGTH + 1) } });
+  assert.equal(res.status, 400);
+  assert.equal((await api("POST", url, { token: owner.token, body: { text: "   " } })).status, 400);
+});
+
+test("only the sender edits or deletes, and deleted messages drop out of search", async () => {
+  const sent = (await api("POST", url, { token: owner.token, body: { text: "Running the river loop tomorrow" } })).body;
+  const messageUrl = `${url}/${sent.id}`;
+
+  assert.equal((await api("PATCH", messageUrl, { token: partner.token, body: { text: "hijack" } })).status, 403);
+  const edited = await api("PATCH", messageUrl, { token: owner.token, body: { text: "Running the canal loop tomorrow" } });
+  assert.equal(edited.status, 200);
+  assert.ok(edited.body.editedAt);
+
+  const search = (q) => api("GET", `${url}/search?q=${encodeURIComponent(q)}`, { token: partner.token });
+  assert.deepEqual((await search("river")).body, []);
+  assert.deepEqual((await search("can")).body.map((m) => m.id), [sent.id]);
+  assert.equal((await search('canal "OR')).status, 200);
+  assert.equal((await search("")).status, 400);
+
+  assert.equal((await api("DELETE", messageUrl, { token: partner.token })).status, 403);
+  const deleted = await api("DELETE", messageUrl, { token: owner.token });
+  assert.equal(deleted.status, 200);
+  assert.ok(deleted.body.deletedAt);
+  assert.equal(deleted.body.text, "");
+  assert.deepEqual((await search("canal")).body, []);
+  assert.equal((await api("PATCH", messageUrl, { token: owner.token, body: { text: "back" } })).status, 400);
+});
@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const migrator = require("../migrator");
+
+// Migrations here run against in-memory databases, not the app's.
+
+function tables(db) {
+  return db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all()
+    .map((row) => row.name);
+}
+
+function table(version, name) {
+  return {
+    version,
+    name,
+    up: (db) => db.exec(`CREATE TABLE ${name} (id TEXT)`),
+    down: (db) => db.exec(`DROP TABLE ${name}`),
+  };
+}
+
+const migrations = [table(1, "alpha"), table(2, "beta"), table(3, "gamma")];
+
+test("migrate applies pending migrations in order, up to `to`", () => {
+  const db = new Database(":memory:");
+  assert.deepEqual(migrator.migrate(db, { to: 2 }, migrations).map((m) => m.version), [1, 2]);
+  assert.deepEqual(tables(db), ["alpha", "beta", "schema_migrations"]);
+  assert.deepEqual(migrator.pending(db, migrations).map((m) => m.version), [3]);
+
+  assert.deepEqual(migrator.migrate(db, {}, migrations).map((m) => m.version), [3]);
+  assert.deepEqual(migrator.migrate(db, {}, migrations), []);
+  assert.deepEqual(
+    migrator.status(db, migrations).map((m) => [m.version, m.applied]),
+    [[1, true], [2, true], [3, true]]
+  );
+});
+
+test("rollback undoes the latest migrations first", () => {
+  const db = new Database(":memory:");
+  migrator.migrate(db, {}, migrations);
+  assert.deepEqual(migrator.rollback(db, {}, migrations).map((m) => m.version), [3]);
+  assert.deepEqual(migrator.rollback(db, { steps: 5 }, migrations).map((m) => m.version), [2, 1]);
+  assert.deepEqual(tables(db), ["schema_migrations"]);
+  assert.deepEqual(migrator.rollback(db, {}, migrations), []);
+});
+
+test("a failing migration leaves nothing behind", () => {
+  const db = new Database(":memory:");
+  const broken = {
+    version: 4,
+    name: "broken",
+    up: (d) => {
+      d.exec("CREATE TABLE half_done (id TEXT)");
+      d.exec("INSERT INTO missing_table VALUES (1)");
+    },
+    down: () => {},
+  };
+  assert.throws(() => migrator.migrate(db, {}, [...migrations, broken]), /missing_table/);
+  assert.deepEqual(tables(db), ["alpha", "beta", "gamma", "schema_migrations"]);
+  assert.deepEqual(migrator.pending(db, [...migrations, broken]).map((m) => m.version), [4]);
+});
+
+test("migration files are picked up by name and must export up and down", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "social-contract-migrations-"));
+  const write = (file, body) => fs.writeFileSync(path.join(dir, file), body);
+  write("002_second.js", "module.exports = { up() {}, down() {} };");
+  write("001_first.js", "module.exports = { up() {}, down() {} };");
+  write("README.md", "not a migration");
+  write("3_bad_name.js", "module.exports = {};");
+  assert.deepEqual(migrator.loadMigrations(dir).map((m) => [m.version, m.name]), [[1, "first"], [2, "second"]]);
+
+  write("003_no_down.js", "module.exports = { up() {} };");
+  assert.throws(() => migrator.loadMigrations(dir), /003_no_down\.js must export up\(\) and down\(\)/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("columns are added and dropped only when needed", () => {
+  const db = new Database(":memory:");
+  db.exec("CREATE TABLE things (id TEXT)");
+  migrator.addColumn(db, "things", "note", "TEXT");
+  migrator.addColumn(db, "things", "note", "TEXT");
+  assert.ok(migrator.hasColumn(db, "things", "note"));
+  migrator.dropColumn(db, "things", "note");
+  migrator.dropColumn(db, "things", "note");
+  assert.ok(!migrator.hasColumn(db, "things", "note"));
+});
+
+test("the app's migrations roll all the way back and apply again", () => {
+  const db = new Database(":memory:");
+  const all = migrator.loadMigrations();
+  migrator.migrate(db);
+  const schema = tables(db);
+  assert.doesNotThrow(() => migrator.assertSchemaCurrent(db));
+  const [latest] = migrator.rollback(db);
+  const label = `${String(latest.version).padStart(3, "0")}_${latest.name}`;
+  assert.throws(() => migrator.assertSchemaCurrent(db), (err) => err.message.includes(`(pending: ${label})`));
+  assert.equal(migrator.rollback(db, { steps: all.length }).length, all.length - 1);
+  assert.deepEqual(tables(db), ["schema_migrations"]);
+  migrator.migrate(db);
+  assert.deepEqual(tables(db), schema);
+  assert.doesNotThrow(() => migrator.assertSchemaCurrent(db));
+});
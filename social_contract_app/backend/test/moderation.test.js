@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+
+let admin;
+let alice;
+let bob;
+let carol;
+
+test.before(async () => {
+  await start();
+  admin = await createUser("Admin");
+  alice = await createUser("Alice");
+  bob = await createUser("Bob");
+  carol = await createUser("Carol");
+  db.prepare("UPDATE users SET role = 'admin' WHERE id = ?").run(admin.id);
+});
+
+test.after(stop);
+
+const ids = (res) => res.body.map((c) => c.id);
+
+test("blocking hides each other's contracts and prevents joins both ways", async () => {
+  const contract = await createContract(alice);
+  assert.equal((await api("POST", `/api/users/${bob.id}/block`, { token: alice.token })).status, 200);
+  assert.deepEqual((await api("GET", "/api/me/blocks", { token: alice.token })).body.map((b) => b.userId), [bob.id]);
+
+  assert.ok(!ids(await api("GET", "/api/contracts", { token: bob.token })).includes(contract.id));
+  assert.ok(ids(await api("GET", "/api/contracts", { token: carol.token })).includes(contract.id));
+  const joined = await joinContract(bob, contract);
+  assert.equal(joined.status, 403);
+  const invited = await api("POST", `/api/invites/${contract.inviteCode}/accept`, { token: bob.token });
+  assert.equal(invited.status, 403);
+
+  await api("DELETE", `/api/users/${bob.id}/block`, { token: alice.token });
+  assert.equal((await joinContract(bob, contract)).status, 200);
+  assert.equal((await api("POST", `/api/users/${alice.id}/block`, { token: alice.token })).status, 400);
+});
+
+test("reports go to the admin queue with a snapshot of the target", async () => {
+  const contract = await createContract(alice);
+  await joinContract(carol, contract);
+  const sent = (await api("POST", `/api/contracts/${contract.id}/messages`, { token: carol.token, body: { text: "buy my course" } })).body;
+  const report = { targetType: "message", targetId: sent.id, reason: "spam" };
+
+  assert.equal((await api("POST", "/api/reports", { token: bob.token, body: report })).status, 404);
+  assert.equal((await api("POST", "/api/reports", { token: alice.token, body: { ...report, reason: "meh" } })).status, 400);
+  const filed = await api("POST", "/api/reports", { token: alice.token, body: report });
+  assert.equal(filed.status, 200);
+  assert.equal(filed.body.snapshot.text, "buy my course");
+  assert.equal((await api("POST", "/api/reports", { token: alice.token, body: report })).body.id, filed.body.id);
+
+  assert.equal((await api("GET", "/api/admin/reports", { token: alice.token })).status, 403);
+  const queue = await api("GET", "/api/admin/reports", { token: admin.token });
+  assert.deepEqual(ids(queue), [filed.body.id]);
+
+  const resolveUrl = `/api/admin/reports/${filed.body.id}/resolve`;
+  const resolved = await api("POST", resolveUrl, { token: admin.token, body: { resolution: "actioned", note: "muted" } });
+  assert.equal(resolved.body.status, "resolved");
+  assert.equal((await api("POST", resolveUrl, { token: admin.token, body: { resolution: "dismissed" } })).status, 409);
+  assert.deepEqual(ids(await api("GET", "/api/admin/reports", { token: admin.token })), []);
+});
+
+test("admins hide contracts, mute and suspend accounts, and every action is logged", async () => {
+  const contract = await createContract(carol);
+  await api("POST", `/api/admin/contracts/${contract.id}/hide`, { token: admin.token, body: { note: "scam" } });
+  assert.ok(!ids(await api("GET", "/api/contracts")).includes(contract.id));
+  assert.equal((await api("GET", `/api/contracts/${contract.id}`, { token: carol.token })).status, 200);
+
+  const chat = `/api/contracts/${contract.id}/messages`;
+  await api("POST", `/api/admin/users/${carol.id}/mute`, { token: admin.token, body: { hours: 2 } });
+  const muted = await api("POST", chat, { token: carol.token, body: { text: "hello?" } });
+  assert.equal(muted.status, 403);
+  assert.match(muted.body.error, /muted until/);
+  await api("POST", `/api/admin/users/${carol.id}/mute`, { token: admin.token, body: { hours: 0 } });
+  assert.equal((await api("POST", chat, { token: carol.token, body: { text: "hello?" } })).status, 200);
+
+  await api("POST", `/api/admin/users/${carol.id}/suspend`, { token: admin.token, body: { note: "repeat spam" } });
+  const blocked = await api("GET", "/api/me", { token: carol.token });
+  assert.equal(blocked.status, 401);
+  const login = await api("POST", "/api/auth/login", { body: { email: carol.email, password: "password123" } });
+  assert.equal(login.status, 403);
+  assert.equal(login.body.error, "Account suspended");
+  await api("POST", `/api/admin/users/${carol.id}/unsuspend`, { token: admin.token });
+  assert.equal((await api("POST", "/api/auth/login", { body: { email: carol.email, password: "password123" } })).status, 200);
+
+  const actions = (await api("GET", "/api/admin/actions", { token: admin.token })).body.map((a) => a.action);
+  assert.deepEqual(actions.slice(0, 6), [
+    "unsuspend_user",
+    "suspend_user",
+    "unmute_user",
+    "mute_user",
+    "hide_contract",
+    "report_actioned",
+  ]);
+  assert.throws(() => db.prepare("DELETE FROM moderation_actions").run(), /append-only/);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+// The test receiver listens on loopback, which webhooks otherwise refuse.
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const notifications = require("../notifications");
+const { sign } = require("../webhooks");
+
+let user;
+
+test.before(async () => {
+  await start();
+  user = await createUser("Notified");
+});
+
+test.after(stop);
+
+test("the webhook channel sends signed notification events to the user's webhooks", async () => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(200).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  const { body: hook } = await api("POST", "/api/webhooks", {
+    token: user.token,
+    body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ["notification.created"] },
+  });
+  const deliveries = () => db.prepare("SELECT * FROM webhook_deliveries WHERE subscriptionId = ?").all(hook.id);
+
+  // Off by default.
+  notifications.notify(user.id, "new_message", { title: "Quiet" });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(deliveries().length, 0);
+
+  // Settings saved by the old unsigned channel keep the channel switched on.
+  db.prepare("UPDATE users SET notificationSettings = ? WHERE id = ?").run(
+    JSON.stringify({ channels: { inApp: true, webhook: true }, webhookUrl: "http://127.0.0.1:9/hook" }),
+    user.id
+  );
+  const { body } = await api("GET", "/api/me/notification-settings", { token: user.token });
+  assert.deepEqual(body.channels, { inApp: true, email: false, webhook: true });
+  assert.equal(body.webhookUrl, undefined);
+
+  const sent = notifications.notify(user.id, "new_message", { title: "Ping" });
+  for (let i = 0; i < 200 && !received.length; i += 1) await new Promise((resolve) => setTimeout(resolve, 10));
+  const [request] = received;
+  assert.equal(request.headers["x-webhook-event"], "notification.created");
+  const timestamp = request.headers["x-webhook-timestamp"];
+  assert.equal(request.headers["x-webhook-signature"], `sha256=${sign(hook.secret, timestamp, request.body)}`);
+  const payload = JSON.parse(request.body);
+  assert.deepEqual([payload.event, payload.data.id, payload.data.title], ["notification.created", sent.id, "Ping"]);
+
+  const saved = await api("PUT", "/api/me/notification-settings", { token: user.token, body: { channels: { webhook: false } } });
+  assert.deepEqual(saved.body.channels, { inApp: true, email: false, webhook: false });
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+function typesFor(userId) {
+  return notifications
+    .listNotifications(userId, { limit: 200 })
+    .notifications.map((n) => n.type)
+    .sort();
+}
+
+test("settings updates are validated and merged", async () => {
+  const other = await createUser("Settings");
+  assert.equal(notifications.updateSettings(other.id, { quietHours: { start: "25:00" } }).error, "quietHours must use HH:MM");
+  assert.equal(notifications.updateSettings(other.id, { reminderTime: "7pm" }).error, "reminderTime must use HH:MM");
+  const { settings } = notifications.updateSettings(other.id, {
+    channels: { email: true, pager: true },
+    mutedTypes: ["new_message", "gossip"],
+    quietHours: { start: "22:00", end: "07:00" },
+  });
+  assert.deepEqual(settings.channels, { inApp: true, email: true, webhook: false });
+  assert.deepEqual(settings.mutedTypes, ["new_message"]);
+  assert.deepEqual(notifications.getSettings(other.id).quietHours, { start: "22:00", end: "07:00" });
+  // Later updates keep what they don't mention.
+  notifications.updateSettings(other.id, { reminderTime: null });
+  assert.deepEqual(notifications.getSettings(other.id).mutedTypes, ["new_message"]);
+  assert.equal(notifications.getSettings(other.id).reminderTime, null);
+});
+
+test("dedupe keys and muted types stop repeat notifications", async () => {
+  const other = await createUser("Dedupe");
+  const payload = { title: "Hi", dedupeKey: "hello:1" };
+  assert.ok(notifications.notify(other.id, "match_found", payload));
+  assert.equal(notifications.notify(other.id, "match_found", payload), null);
+  assert.equal(notifications.notify("nobody", "match_found", { title: "Hi" }), null);
+
+  notifications.updateSettings(other.id, { mutedTypes: ["new_message"] });
+  assert.equal(notifications.notify(other.id, "new_message", { title: "Psst" }), null);
+
+  // notifyMany keys each recipient separately.
+  const sent = notifications.notifyMany([other.id, user.id], "invite_accepted", { title: "Joined", dedupeKey: "joined:1" });
+  assert.equal(sent.filter(Boolean).length, 2);
+  assert.deepEqual(typesFor(other.id), ["invite_accepted", "match_found"]);
+});
+
+test("channels that respect quiet hours wait them out", async () => {
+  const sleeper = await createUser("Sleeper");
+  await api("PUT", "/api/me", { token: sleeper.token, body: { timezone: "UTC" } });
+  const sent = [];
+  notifications.registerChannel("test", (to, notification) => sent.push([to.id, notification.title]));
+  const clock = (offset) => new Date(Date.now() + offset * 3600 * 1000).toISOString().slice(11, 16);
+
+  notifications.updateSettings(sleeper.id, { channels: { test: true }, quietHours: { start: clock(-1), end: clock(1) } });
+  const quiet = notifications.notify(sleeper.id, "match_found", { title: "At night" });
+  notifications.updateSettings(sleeper.id, { quietHours: { start: null, end: null } });
+  const awake = notifications.notify(sleeper.id, "match_found", { title: "By day" });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(sent, [[sleeper.id, "By day"]]);
+  const deliveredVia = (id) => db.prepare("SELECT deliveredVia FROM notifications WHERE id = ?").get(id).deliveredVia;
+  assert.equal(deliveredVia(quiet.id), "inApp");
+  assert.equal(deliveredVia(awake.id), "inApp,test");
+});
+
+test("the reminder sweep queues reminders and missed notices once", async () => {
+  const owner = await createUser("Daily");
+  const partner = await createUser("Steady");
+  const contract = await createContract(owner, { frequencyPerWeek: 7, durationDays: 14 });
+  await joinContract(partner, contract);
+  db.prepare("DELETE FROM notifications WHERE userId = ?").run(owner.id);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = '2026-03-02' WHERE id = ?").run(contract.id);
+  const insert = db.prepare("INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt) VALUES (?, ?, ?, ?, 1, '')");
+  ["2026-03-04", "2026-03-05"].forEach((dateKey) => insert.run(`n-${dateKey}`, contract.id, partner.id, dateKey));
+
+  // 20:00 UTC, after the default 19:00 reminder time.
+  const evening = new Date("2026-03-05T20:00:00Z");
+  notifications.runReminderSweep(evening);
+  notifications.runReminderSweep(evening);
+  assert.deepEqual(typesFor(owner.id), ["checkin_reminder", "missed_day"]);
+  assert.deepEqual(typesFor(partner.id), []);
+
+  notifications.runReminderSweep(new Date("2026-03-09T08:00:00Z"));
+  assert.deepEqual(typesFor(owner.id), ["checkin_reminder", "missed_day", "missed_day", "missed_week"]);
+  const [week] = notifications.listNotifications(owner.id).notifications.filter((n) => n.type === "missed_week");
+  assert.equal(week.body, "0/7 check-ins last week.");
+
+  notifications.runReminderSweep(new Date("2026-03-14T08:00:00Z"));
+  assert.ok(typesFor(owner.id).includes("ending_soon"));
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, db, createUser, createContract, joinContract } = require("./helpers");
+const policy = require("../policy");
+
+const getContract = (id) => db.prepare("SELECT * FROM contracts WHERE id = ?").get(id);
+
+let owner;
+let partner;
+let outsider;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  outsider = await createUser("Outsider");
+});
+
+test.after(stop);
+
+test("roles on a two-person contract", async () => {
+  const created = await createContract(owner);
+  assert.equal(policy.roleFor(getContract(created.id), owner.id), "owner");
+  assert.equal(policy.roleFor(getContract(created.id), outsider.id), "viewer");
+
+  await joinContract(partner, created);
+  const contract = getContract(created.id);
+  assert.equal(policy.roleFor(contract, partner.id), "partner");
+  // Full, so no longer listed.
+  assert.equal(policy.roleFor(contract, outsider.id), null);
+  assert.equal(policy.roleFor(contract, null), null);
+});
+
+test("roles on a group contract", async () => {
+  const created = await createContract(owner, { capacity: 3 });
+  await joinContract(partner, created);
+  const contract = getContract(created.id);
+  assert.equal(policy.roleFor(contract, partner.id), "member");
+  assert.equal(policy.roleFor(contract, outsider.id), "viewer");
+});
+
+test("permission table", () => {
+  assert.ok(policy.can("owner", "edit"));
+  assert.ok(!policy.can("partner", "edit"));
+  assert.ok(policy.can("partner", "cancel"));
+  assert.ok(!policy.can("member", "cancel"));
+  assert.ok(policy.can("member", "leave"));
+  assert.ok(policy.can("viewer", "view"));
+  ["activity", "chat", "checkin", "verify", "edit", "cancel", "leave", "clone"].forEach((action) => {
+    assert.ok(!policy.can("viewer", action), action);
+  });
+  assert.ok(!policy.can(null, "view"));
+  assert.ok(!policy.can("owner", "unknown"));
+});
+
+test("authorize maps roles to 404 and 403", async () => {
+  const contract = getContract((await createContract(owner)).id);
+  assert.equal(policy.authorize(contract, owner.id, "chat"), null);
+  assert.equal(policy.authorize(contract, outsider.id, "chat").status, 403);
+  assert.equal(policy.authorize(undefined, owner.id, "view").status, 404);
+  db.prepare("UPDATE contracts SET archivedAt = ? WHERE id = ?").run(new Date().toISOString(), contract.id);
+  assert.equal(policy.authorize(getContract(contract.id), outsider.id, "view").status, 404);
+});
+
+test("private profile is self only", () => {
+  assert.ok(policy.canViewPrivateProfile(owner.id, owner.id));
+  assert.ok(!policy.canViewPrivateProfile(outsider.id, owner.id));
+  assert.ok(!policy.canViewPrivateProfile(null, owner.id));
+});
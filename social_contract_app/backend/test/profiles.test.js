@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { addDays, todayKey } = require("../progress");
+
+let owner;
+let partner;
+let stranger;
+let finished;
+
+// Backdate a joined contract so it ran for a week and ended, with check-ins
+// on the first `days[userId]` days.
+function finishContract(contract, days) {
+  const startDate = addDays(todayKey(), -10);
+  db.prepare("UPDATE contracts SET status = 'failed', startDate = ?, durationDays = 7, frequencyPerWeek = 7, endedAt = ? WHERE id = ?").run(
+    startDate,
+    new Date().toISOString(),
+    contract.id
+  );
+  const insert = db.prepare(
+    "INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt, late) VALUES (?, ?, ?, ?, 1, ?, 0)"
+  );
+  Object.entries(days).forEach(([userId, count]) => {
+    for (let i = 0; i < count; i += 1) {
+      insert.run(`${contract.id}-${userId}-${i}`, contract.id, userId, addDays(startDate, i), new Date().toISOString());
+    }
+  });
+}
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  stranger = await createUser("Stranger");
+  finished = await createContract(owner);
+  await joinContract(partner, finished);
+  finishContract(finished, { [owner.id]: 7, [partner.id]: 3 });
+});
+
+test.after(stop);
+
+test("reliability counts each member's own outcome and check-in rate", async () => {
+  const mine = await api("GET", `/api/users/${owner.id}`, { token: stranger.token });
+  assert.deepEqual(mine.body.reliability, { completed: 1, failed: 0, abandoned: 0, checkinRate: 100, endorsements: 0 });
+  const theirs = await api("GET", `/api/users/${partner.id}`);
+  assert.deepEqual(theirs.body.reliability, { completed: 0, failed: 1, abandoned: 0, checkinRate: 43, endorsements: 0 });
+  assert.equal(theirs.body.email, undefined);
+});
+
+test("cancelling counts as abandoned for the one who cancelled", async () => {
+  const contract = await createContract(stranger);
+  await joinContract(owner, contract);
+  assert.equal((await api("DELETE", `/api/contracts/${contract.id}`, { token: stranger.token })).status, 200);
+  assert.equal((await api("GET", `/api/users/${stranger.id}`)).body.reliability.abandoned, 1);
+  assert.equal((await api("GET", `/api/users/${owner.id}`)).body.reliability.abandoned, 0);
+});
+
+test("members endorse each other once the contract has ended", async () => {
+  const running = await createContract(owner);
+  await joinContract(partner, running);
+  const early = await api("POST", `/api/contracts/${running.id}/endorsements`, { token: owner.token, body: { userId: partner.id } });
+  assert.equal(early.status, 400);
+
+  const url = `/api/contracts/${finished.id}/endorsements`;
+  assert.equal((await api("POST", url, { token: owner.token, body: { userId: owner.id } })).status, 400);
+  assert.equal((await api("POST", url, { token: stranger.token, body: { userId: owner.id } })).status, 404);
+  const ok = await api("POST", url, { token: partner.token, body: { userId: owner.id, note: " Never missed a day " } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.note, "Never missed a day");
+  assert.equal((await api("POST", url, { token: partner.token, body: { userId: owner.id } })).status, 409);
+
+  const profile = (await api("GET", `/api/users/${owner.id}`)).body;
+  assert.equal(profile.reliability.endorsements, 1);
+  assert.deepEqual(
+    profile.endorsements.map((e) => [e.fromName, e.note]),
+    [["Partner", "Never missed a day"]]
+  );
+  assert.equal((await api("GET", url, { token: owner.token })).body.length, 1);
+});
+
+test("users choose which profile fields are public", async () => {
+  const update = await api("PUT", "/api/me", {
+    token: owner.token,
+    body: { bio: "Runner", topics: ["fitness", "sleep"], visibility: { bio: false, reliability: false } },
+  });
+  assert.equal(update.status, 200);
+  assert.deepEqual(update.body.topics, ["fitness", "sleep"]);
+  assert.equal(update.body.visibility.reliability, false);
+
+  const seen = (await api("GET", `/api/users/${owner.id}`, { token: stranger.token })).body;
+  assert.equal(seen.bio, null);
+  assert.equal(seen.reliability, null);
+  assert.deepEqual(seen.topics, ["fitness", "sleep"]);
+  const self = (await api("GET", `/api/users/${owner.id}`, { token: owner.token })).body;
+  assert.equal(self.bio, "Runner");
+  assert.equal(self.reliability.completed, 1);
+
+  const badTopic = await api("PUT", "/api/me", { token: owner.token, body: { topics: ["knitting"] } });
+  assert.equal(badTopic.status, 400);
+});
+
+test("explore shows each owner's public reliability", async () => {
+  const listed = await createContract(partner, { title: "Partner's listing" });
+  const hidden = await createContract(owner, { title: "Owner's listing" });
+  const { body } = await api("GET", "/api/contracts", { token: stranger.token });
+  const byId = Object.fromEntries(body.map((row) => [row.id, row]));
+  assert.equal(byId[listed.id].ownerReliability.failed, 1);
+  assert.equal(byId[hidden.id].ownerReliability, null);
+});
+
+test("blocked users can't see each other's profile", async () => {
+  await api("POST", `/api/users/${stranger.id}/block`, { token: partner.token });
+  assert.equal((await api("GET", `/api/users/${partner.id}`, { token: stranger.token })).status, 404);
+  assert.equal((await api("GET", `/api/users/${stranger.id}`, { token: partner.token })).status, 404);
+});
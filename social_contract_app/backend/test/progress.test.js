@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildWeeks, computeContractProgress, contractEndDate, termsOn, addDays } = require("../progress");
+
+const contract = { id: "c1", ownerId: "a", partnerId: "b", startDate: "2026-03-02", durationDays: 28, frequencyPerWeek: 3 };
+
+function done(dateKey, userId = "a") {
+  return { userId, dateKey, done: 1, verificationStatus: "none" };
+}
+
+function progressOf(result, userId = "a") {
+  return result.participants.find((p) => p.userId === userId);
+}
+
+test("weeks are 7-day blocks from the start date with a prorated last block", () => {
+  const weeks = buildWeeks({ ...contract, durationDays: 10 });
+  assert.deepEqual(weeks, [
+    { index: 0, start: "2026-03-02", end: "2026-03-08", target: 3 },
+    { index: 1, start: "2026-03-09", end: "2026-03-11", target: 2 },
+  ]);
+  assert.deepEqual(buildWeeks({ ...contract, durationDays: 28 }).map((w) => w.target), [3, 3, 3, 3]);
+  // A short block never asks for more check-ins than it has days.
+  assert.deepEqual(buildWeeks({ ...contract, durationDays: 9, frequencyPerWeek: 7 }).map((w) => w.target), [7, 2]);
+  // No duration still gives a one-day week.
+  assert.deepEqual(buildWeeks({ ...contract, durationDays: 0 }), [{ index: 0, start: "2026-03-02", end: "2026-03-02", target: 1 }]);
+});
+
+test("a week that straddles an amendment blends the two frequencies", () => {
+  const terms = [{ from: "2026-03-05", frequencyPerWeek: 7, proofBasis: "honor" }];
+  assert.equal(termsOn(contract, terms, "2026-03-04"), contract);
+  assert.equal(termsOn(contract, terms, "2026-03-05").frequencyPerWeek, 7);
+  // 3 days at 3/7 and 4 days at 7/7: ceil(37 / 7) = 6.
+  assert.deepEqual(buildWeeks({ ...contract, durationDays: 14 }, terms).map((w) => w.target), [6, 7]);
+});
+
+test("the end date is the last day of the duration", () => {
+  assert.equal(contractEndDate(contract), "2026-03-29");
+  assert.equal(contractEndDate({ ...contract, durationDays: 1 }), "2026-03-02");
+  assert.equal(contractEndDate({ ...contract, startDate: null }), null);
+});
+
+test("the current streak survives until today is over", () => {
+  const checkins = ["2026-03-02", "2026-03-03", "2026-03-04", "2026-03-06", "2026-03-07"].map((key) => done(key));
+  const waiting = progressOf(computeContractProgress(contract, checkins, { today: "2026-03-08" }));
+  assert.equal(waiting.currentStreak, 2);
+  assert.equal(waiting.longestStreak, 3);
+
+  const logged = progressOf(computeContractProgress(contract, [...checkins, done("2026-03-08")], { today: "2026-03-08" }));
+  assert.equal(logged.currentStreak, 3);
+
+  const broken = progressOf(computeContractProgress(contract, checkins, { today: "2026-03-09" }));
+  assert.equal(broken.currentStreak, 0);
+  assert.equal(broken.longestStreak, 3);
+
+  // Not-done rows and days outside the contract don't count.
+  const skipped = progressOf(computeContractProgress(contract, [done("2026-03-01"), { ...done("2026-03-02"), done: 0 }], { today: "2026-03-03" }));
+  assert.equal(skipped.currentStreak, 0);
+  assert.equal(skipped.longestStreak, 0);
+});
+
+test("weeks are met, missed or pending and decide the outcome", () => {
+  const short = { ...contract, durationDays: 14, frequencyPerWeek: 2 };
+  const both = (keys) => keys.flatMap((key) => [done(key, "a"), done(key, "b")]);
+  const firstWeek = both(["2026-03-03", "2026-03-05"]);
+
+  const running = computeContractProgress(short, firstWeek, { today: "2026-03-10" });
+  assert.deepEqual(progressOf(running).weeks.map((w) => w.status), ["met", "pending"]);
+  assert.equal(progressOf(running).percentComplete, 50);
+  assert.equal(running.daysElapsed, 9);
+  assert.equal(running.outcome, "in_progress");
+
+  const after = addDays(contractEndDate(short), 1);
+  const completed = computeContractProgress(short, both(["2026-03-03", "2026-03-05", "2026-03-09", "2026-03-10"]), { today: after });
+  assert.equal(completed.outcome, "completed");
+  assert.equal(progressOf(completed).checkinsDone, 4);
+
+  // Extra check-ins in a week don't make up for another one.
+  const failed = computeContractProgress(short, [...firstWeek, done("2026-03-07", "b"), done("2026-03-09", "b")], { today: after });
+  assert.deepEqual(progressOf(failed, "b").weeks.map((w) => [w.count, w.status]), [[3, "met"], [1, "missed"]]);
+  assert.equal(progressOf(failed, "b").checkinsDone, 3);
+  assert.equal(progressOf(failed, "b").outcome, "failed");
+  assert.equal(failed.outcome, "failed");
+});
+
+test("contracts that haven't started have no progress yet", () => {
+  const result = computeContractProgress({ ...contract, startDate: null }, [done("2026-03-02")]);
+  assert.deepEqual(result, { contractId: "c1", startDate: null, endDate: null, outcome: "in_progress", participants: [] });
+});
+
+test("a late joiner's weeks start the day they joined and keep the contract's numbering", () => {
+  assert.deepEqual(buildWeeks(contract, [], "2026-03-11"), [
+    { index: 1, start: "2026-03-11", end: "2026-03-15", target: 3 },
+    { index: 2, start: "2026-03-16", end: "2026-03-22", target: 3 },
+    { index: 3, start: "2026-03-23", end: "2026-03-29", target: 3 },
+  ]);
+  // Joining on the last day of a week leaves one day, and one check-in, to do.
+  assert.deepEqual(buildWeeks(contract, [], "2026-03-15")[0], { index: 1, start: "2026-03-15", end: "2026-03-15", target: 1 });
+
+  const group = { ...contract, capacity: 4 };
+  const checkins = [done("2026-03-03", "late"), done("2026-03-16", "late"), done("2026-03-17", "late"), done("2026-03-18", "late")];
+  const result = computeContractProgress(group, checkins, {
+    today: "2026-03-23",
+    participantIds: ["a", "late"],
+    joinDates: { a: "2026-03-01", late: "2026-03-16" },
+  });
+  assert.deepEqual(progressOf(result).weeks.map((w) => w.status), ["missed", "missed", "missed", "pending"]);
+  const late = progressOf(result, "late");
+  assert.equal(late.startDate, "2026-03-16");
+  // The check-in from before they joined doesn't count.
+  assert.deepEqual(late.weeks.map((w) => [w.index, w.status]), [[2, "met"], [3, "pending"]]);
+  assert.equal(late.checkinsDone, 3);
+});
+
+test("on prove contracts only approved check-ins count, however long they wait", () => {
+  const prove = { ...contract, proofBasis: "prove" };
+  const rows = [
+    { ...done("2026-03-02"), verificationStatus: "approved" },
+    { ...done("2026-03-03"), verificationStatus: "pending" },
+    { ...done("2026-03-04"), verificationStatus: "approved" },
+  ];
+  for (const today of ["2026-03-05", "2026-03-20"]) {
+    const result = progressOf(computeContractProgress(prove, rows, { today }));
+    assert.equal(result.checkinsDone, 2, today);
+    assert.equal(result.longestStreak, 1, today);
+  }
+  const approved = progressOf(computeContractProgress(prove, rows.map((r) => ({ ...r, verificationStatus: "approved" })), { today: "2026-03-05" }));
+  assert.equal(approved.longestStreak, 3);
+});
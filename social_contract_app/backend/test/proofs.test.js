@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+
+let owner;
+let partner;
+let contract;
+let checkin;
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  contract = await createContract(owner, { proofBasis: "prove", frequencyPerWeek: 7 });
+  await joinContract(partner, contract);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = date('now') WHERE id = ?").run(contract.id);
+  const { body } = await api("POST", `/api/contracts/${contract.id}/checkins`, { token: owner.token, body: { done: true } });
+  checkin = body.checkin;
+});
+
+test.after(stop);
+
+function upload(raw, type, filename) {
+  return api("POST", `/api/contracts/${contract.id}/checkins/${checkin.id}/evidence/file?filename=${filename}`, {
+    token: owner.token,
+    raw,
+    type,
+  });
+}
+
+test("uploaded images are typed by their contents and shown inline", async () => {
+  const { status, body } = await upload(PNG, "text/html", "run.png");
+  assert.equal(status, 200);
+  assert.equal(body.mimeType, "image/png");
+  const file = await api("GET", body.fileUrl, { token: partner.token });
+  assert.equal(file.headers.get("content-type"), "image/png");
+  assert.equal(file.headers.get("x-content-type-options"), "nosniff");
+  assert.match(file.headers.get("content-disposition"), /^inline/);
+});
+
+test("SVG and other files are always downloaded", async () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+  const { body } = await upload(svg, "image/svg+xml", "map.svg");
+  assert.equal(body.mimeType, "application/octet-stream");
+  const file = await api("GET", body.fileUrl, { token: partner.token });
+  assert.equal(file.headers.get("content-type"), "application/octet-stream");
+  assert.equal(file.headers.get("x-content-type-options"), "nosniff");
+  assert.match(file.headers.get("content-disposition"), /^attachment/);
+
+  // Uploads stored before types were detected keep the client's type.
+  db.prepare("UPDATE checkin_evidence SET mimeType = 'image/svg+xml' WHERE id = ?").run(body.id);
+  const old = await api("GET", body.fileUrl, { token: partner.token });
+  assert.match(old.headers.get("content-disposition"), /^attachment/);
+  assert.equal(old.headers.get("content-type"), "application/octet-stream");
+});
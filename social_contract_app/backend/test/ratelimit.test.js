@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Low limits so a handful of requests trips them. Must be set before the
+// helpers load the server.
+process.env.RATE_LIMIT = "on";
+process.env.RATE_LIMITS = JSON.stringify({ login: { max: 3 }, message: { max: 2 }, register: { max: 5 } });
+
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { createMemoryStore, createSqliteStore } = require("../ratelimit");
+
+test.before(start);
+test.after(stop);
+
+for (const [name, makeStore] of [
+  ["memory", () => createMemoryStore()],
+  ["sqlite", () => createSqliteStore(db)],
+]) {
+  test(`${name} store counts within a window and starts over after it`, () => {
+    const store = makeStore();
+    const now = 1_000_000;
+    assert.deepEqual(store.hit("k", 1000, now), { count: 1, resetAt: now + 1000 });
+    assert.equal(store.hit("k", 1000, now + 500).count, 2);
+    assert.equal(store.hit("other", 1000, now + 500).count, 1);
+    assert.deepEqual(store.hit("k", 1000, now + 1000), { count: 1, resetAt: now + 2000 });
+    store.reset();
+  });
+}
+
+test("login is limited per IP with a 429 and Retry-After", async () => {
+  const attempts = [];
+  for (let i = 0; i < 4; i += 1) {
+    attempts.push(await api("POST", "/api/auth/login", { body: { email: `nobody${i}@example.com`, password: "wrong" } }));
+  }
+  assert.deepEqual(
+    attempts.map((res) => res.status),
+    [401, 401, 401, 429]
+  );
+  const limited = attempts[3];
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.equal(attempts[0].headers.get("ratelimit-limit"), "3");
+  assert.equal(attempts[1].headers.get("ratelimit-remaining"), "1");
+});
+
+test("messages are limited per user", async () => {
+  const owner = await createUser("Owner");
+  const partner = await createUser("Partner");
+  const contract = await createContract(owner);
+  await joinContract(partner, contract);
+  const post = (user) => api("POST", `/api/contracts/${contract.id}/messages`, { token: user.token, body: { text: "hi" } });
+  assert.equal((await post(owner)).status, 200);
+  assert.equal((await post(owner)).status, 200);
+  assert.equal((await post(owner)).status, 429);
+  assert.equal((await post(partner)).status, 200);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract, connectSocket, nextEvent } = require("./helpers");
+
+let owner;
+let partner;
+let outsider;
+let contract;
+const sockets = [];
+
+async function connect(user) {
+  const socket = await connectSocket(user.token);
+  sockets.push(socket);
+  return socket;
+}
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  outsider = await createUser("Outsider");
+  contract = await createContract(owner);
+  await joinContract(partner, contract);
+});
+
+test.after(async () => {
+  sockets.forEach((socket) => socket.close());
+  await stop();
+});
+
+test("the handshake needs a valid token", async () => {
+  await assert.rejects(connectSocket(), /Unauthorized/);
+  await assert.rejects(connectSocket("not-a-token"), /Unauthorized/);
+  const socket = await connect(owner);
+  assert.ok(socket.connected);
+  socket.close();
+});
+
+test("only members can join a contract's room", async () => {
+  const stranger = await connect(outsider);
+  assert.deepEqual(await stranger.emitWithAck("join_contract", { contractId: contract.id }), { ok: false, error: "Not allowed" });
+  assert.deepEqual(await stranger.emitWithAck("send_message", { contractId: contract.id, text: "hi" }), { ok: false, error: "Not allowed" });
+  assert.deepEqual(await stranger.emitWithAck("join_contract", {}), { ok: false, error: "Not allowed" });
+
+  const member = await connect(partner);
+  const state = nextEvent(member, "presence_state");
+  assert.deepEqual(await member.emitWithAck("join_contract", { contractId: contract.id }), { ok: true });
+  assert.deepEqual((await state).members.find((m) => m.userId === partner.id), { userId: partner.id, online: true });
+  stranger.close();
+  member.close();
+});
+
+test("members see each other come and go, type and read", async () => {
+  const watcher = await connect(partner);
+  await watcher.emitWithAck("join_contract", { contractId: contract.id });
+
+  const cameOnline = nextEvent(watcher, "presence");
+  const writer = await connect(owner);
+  assert.deepEqual(await cameOnline, { contractId: contract.id, userId: owner.id, online: true });
+  await writer.emitWithAck("join_contract", { contractId: contract.id });
+
+  const typing = nextEvent(watcher, "typing");
+  writer.emit("typing", { contractId: contract.id, isTyping: true });
+  assert.deepEqual(await typing, { contractId: contract.id, userId: owner.id, name: "Owner", isTyping: true });
+
+  const arrived = nextEvent(watcher, "new_message");
+  const sent = await writer.emitWithAck("send_message", { contractId: contract.id, text: "Done for today" });
+  assert.equal(sent.ok, true);
+  assert.equal((await arrived).id, sent.message.id);
+
+  const receipt = nextEvent(writer, "messages_read");
+  assert.deepEqual(await watcher.emitWithAck("mark_read", { contractId: contract.id, messageId: sent.message.id }), { ok: true });
+  const read = await receipt;
+  assert.deepEqual([read.userId, read.messageId], [partner.id, sent.message.id]);
+  assert.deepEqual(await watcher.emitWithAck("mark_read", { contractId: contract.id, messageId: "nope" }), {
+    ok: false,
+    error: "Message not found",
+  });
+
+  const wentOffline = nextEvent(watcher, "presence");
+  writer.close();
+  assert.deepEqual(await wentOffline, { contractId: contract.id, userId: owner.id, online: false });
+  watcher.close();
+});
+
+test("a socket sees messages sent over REST", async () => {
+  const watcher = await connect(partner);
+  await watcher.emitWithAck("join_contract", { contractId: contract.id });
+  const arrived = nextEvent(watcher, "new_message");
+  await api("POST", `/api/contracts/${contract.id}/messages`, { token: owner.token, body: { text: "Posted from the web" } });
+  assert.equal((await arrived).text, "Posted from the web");
+  watcher.close();
+});
+
+test("sockets are dropped when the account is suspended or its sessions revoked", async () => {
+  const admin = await createUser("Admin");
+  db.prepare("UPDATE users SET role = 'admin' WHERE id = ?").run(admin.id);
+  const banned = await createUser("Banned");
+  const leaver = await createUser("Leaver");
+  const revoked = await createUser("Revoked");
+
+  const bannedSocket = await connect(banned);
+  const dropped = nextEvent(bannedSocket, "disconnect");
+  await api("POST", `/api/admin/users/${banned.id}/suspend`, { token: admin.token, body: { note: "spam" } });
+  assert.equal(await dropped, "io server disconnect");
+  await assert.rejects(connectSocket(banned.token), /Unauthorized/);
+
+  const leaverSocket = await connect(leaver);
+  const loggedOut = nextEvent(leaverSocket, "disconnect");
+  await api("POST", "/api/auth/logout-all", { token: leaver.token });
+  assert.equal(await loggedOut, "io server disconnect");
+
+  // A token revoked some other way is caught on the socket's next event.
+  const revokedSocket = await connect(revoked);
+  const cut = nextEvent(revokedSocket, "disconnect");
+  db.prepare("UPDATE users SET tokenVersion = tokenVersion + 1 WHERE id = ?").run(revoked.id);
+  revokedSocket.emit("join_contract", { contractId: contract.id });
+  assert.equal(await cut, "io server disconnect");
+});
@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { computeContractProgress, addDays, todayKey, REVIEW_DAYS } = require("../progress");
+const { runLifecycleSweep } = require("../lifecycle");
+const { parseStakesInput, recordForfeits, recordAbandonForfeit, listContractLedger, canSettle } = require("../stakes");
+
+const prove = { id: "c1", ownerId: "a", partnerId: "b", startDate: "2026-03-02", durationDays: 7, frequencyPerWeek: 2, proofBasis: "prove" };
+
+function checkinRow(dateKey, verificationStatus, userId = "a") {
+  return { userId, dateKey, done: 1, verificationStatus };
+}
+
+function weekOf(progress, userId = "a") {
+  return progress.participants.find((p) => p.userId === userId).weeks[0];
+}
+
+test.before(start);
+test.after(stop);
+
+test("a finished week waits for the partner's review before it's missed", () => {
+  const checkins = [checkinRow("2026-03-07", "approved"), checkinRow("2026-03-08", "pending")];
+  const reviewing = computeContractProgress(prove, checkins, { today: "2026-03-09" });
+  assert.equal(weekOf(reviewing).status, "in_review");
+  assert.equal(reviewing.outcome, "in_progress");
+
+  // Approved later: the week is met.
+  const approved = computeContractProgress(prove, [checkins[0], checkinRow("2026-03-08", "approved")], { today: "2026-03-09" });
+  assert.equal(weekOf(approved).status, "met");
+
+  // Nobody reviewed it in time: an unverified check-in never counts, with
+  // evidence or without.
+  const late = addDays("2026-03-08", REVIEW_DAYS + 1);
+  assert.equal(weekOf(computeContractProgress(prove, checkins, { today: late })).status, "missed");
+  const bare = [checkins[0], checkinRow("2026-03-08", "none")];
+  assert.equal(weekOf(computeContractProgress(prove, bare, { today: late })).status, "missed");
+
+  // Disputed check-ins don't hold the week.
+  const disputed = [checkins[0], checkinRow("2026-03-08", "disputed")];
+  assert.equal(weekOf(computeContractProgress(prove, disputed, { today: "2026-03-09" })).status, "missed");
+});
+
+test("weeks under review aren't charged until the review is done", async () => {
+  const owner = await createUser("Owner");
+  const partner = await createUser("Partner");
+  const contract = await createContract(owner, {
+    proofBasis: "prove",
+    frequencyPerWeek: 2,
+    durationDays: 14,
+    stakesLevel: "reward",
+    stakes: { amount: 5, forfeitRule: "per_missed_checkin" },
+  });
+  await joinContract(partner, contract);
+  const startDate = "2026-03-02";
+  db.prepare("UPDATE contracts SET status = 'active', startDate = ? WHERE id = ?").run(startDate, contract.id);
+  const insert = db.prepare(
+    "INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt, verificationStatus) VALUES (?, ?, ?, ?, 1, ?, ?)"
+  );
+  ["2026-03-03", "2026-03-07"].forEach((dateKey, i) => {
+    insert.run(`ck${i}`, contract.id, owner.id, dateKey, new Date().toISOString(), i ? "pending" : "approved");
+    insert.run(`pk${i}`, contract.id, partner.id, dateKey, new Date().toISOString(), "approved");
+  });
+  const ledger = () => db.prepare("SELECT debtorId, amount, periodKey FROM stake_ledger WHERE contractId = ?").all(contract.id);
+
+  runLifecycleSweep({ today: "2026-03-09" });
+  assert.deepEqual(ledger(), []);
+
+  await api("POST", `/api/contracts/${contract.id}/checkins/ck1/approve`, { token: partner.token });
+  runLifecycleSweep({ today: "2026-03-09" });
+  assert.deepEqual(ledger(), []);
+
+  // Nobody checked in during the second week.
+  runLifecycleSweep({ today: "2026-03-16" });
+  assert.deepEqual(ledger().map((e) => [e.debtorId, e.amount, e.periodKey]).sort(), [
+    [owner.id, 10, "week:1"],
+    [partner.id, 10, "week:1"],
+  ].sort());
+});
+
+test("stakes input is validated and filled in with defaults", () => {
+  assert.deepEqual(parseStakesInput(undefined).stakes.stakeAmount, null);
+  assert.deepEqual(parseStakesInput({ amount: 5 }).stakes, {
+    stakeAmount: 5,
+    stakeUnit: "points",
+    forfeitRule: "per_missed_checkin",
+    beneficiary: "partner",
+    beneficiaryLabel: null,
+  });
+  assert.equal(parseStakesInput({ amount: 0 }).error, "stakes.amount must be a positive number");
+  assert.equal(parseStakesInput({ amount: 5, forfeitRule: "sometimes" }).error, "stakes.forfeitRule must be per_missed_checkin or on_failure");
+  assert.equal(parseStakesInput({ amount: 5, beneficiary: "charity" }).error, "stakes.beneficiaryLabel required for charity");
+  assert.equal(parseStakesInput({ amount: 5, unit: " coffees " }).stakes.stakeUnit, "coffees");
+  assert.equal(parseStakesInput("5").error, "stakes must be an object");
+});
+
+// Progress as computeContractProgress returns it, reduced to what
+// recordForfeits reads.
+function progressWith(participants) {
+  return {
+    participants: participants.map(([userId, weeks, outcome = "in_progress"]) => ({
+      userId,
+      outcome,
+      weeks: weeks.map(([target, count, status], index) => ({ index, target, count, status })),
+    })),
+  };
+}
+
+async function stakedPair(stakes) {
+  const owner = await createUser("Owner");
+  const partner = await createUser("Partner");
+  const created = await createContract(owner, { stakesLevel: "reward", stakes });
+  await joinContract(partner, created);
+  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(created.id);
+  return { owner, partner, contract };
+}
+
+test("missed check-ins are charged per closed week, once", async () => {
+  const { owner, partner, contract } = await stakedPair({ amount: 2 });
+  const progress = progressWith([
+    [owner.id, [[3, 1, "missed"], [3, 5, "met"], [2, 0, "in_review"], [2, 0, "pending"]]],
+    [partner.id, [[3, 0, "missed"], [3, 3, "met"]]],
+  ]);
+  const recorded = recordForfeits(contract, progress);
+  assert.deepEqual(recorded.map((e) => [e.debtorId, e.creditorId, e.amount, e.periodKey]), [
+    [owner.id, partner.id, 4, "week:0"],
+    [partner.id, owner.id, 6, "week:0"],
+  ]);
+  assert.deepEqual(recordForfeits(contract, progress), []);
+
+  const { balances } = listContractLedger(contract.id);
+  const ownerBalance = balances.find((b) => b.userId === owner.id);
+  assert.deepEqual([ownerBalance.owes, ownerBalance.owed], [4, 6]);
+});
+
+test("on_failure charges the whole stake to whoever failed", async () => {
+  const { owner, partner, contract } = await stakedPair({ amount: 10, forfeitRule: "on_failure", unit: "coffees" });
+  const running = progressWith([[owner.id, [[3, 0, "missed"]]], [partner.id, [[3, 3, "met"]]]]);
+  assert.deepEqual(recordForfeits(contract, running), []);
+
+  const ended = progressWith([[owner.id, [[3, 0, "missed"]], "failed"], [partner.id, [[3, 3, "met"]], "completed"]]);
+  const recorded = recordForfeits(contract, ended);
+  assert.deepEqual(recorded.map((e) => [e.debtorId, e.amount, e.unit, e.reason, e.periodKey]), [
+    [owner.id, 10, "coffees", "contract_failed", "final"],
+  ]);
+});
+
+test("forfeits go to the charity, the pot or the partner", async () => {
+  const { owner, contract } = await stakedPair({ amount: 3, beneficiary: "charity", beneficiaryLabel: "Food bank" });
+  const [charity] = recordForfeits(contract, progressWith([[owner.id, [[1, 0, "missed"]]]]));
+  assert.deepEqual([charity.creditorType, charity.creditorId, charity.creditorLabel], ["charity", null, "Food bank"]);
+  assert.ok(canSettle(charity, owner.id));
+
+  const pair = await stakedPair({ amount: 3 });
+  const abandoned = recordAbandonForfeit(pair.contract, pair.partner.id);
+  assert.deepEqual([abandoned.creditorType, abandoned.creditorId, abandoned.amount], ["user", pair.owner.id, 3]);
+  assert.ok(canSettle(abandoned, pair.owner.id));
+  assert.ok(!canSettle(abandoned, pair.partner.id));
+
+  // A group has no single partner, so partner stakes go to the pot.
+  const group = await createContract(pair.owner, { capacity: 3, stakesLevel: "reward", stakes: { amount: 3 } });
+  await joinContract(pair.partner, group);
+  const groupRow = db.prepare("SELECT * FROM contracts WHERE id = ?").get(group.id);
+  const [pot] = recordForfeits(groupRow, progressWith([[pair.partner.id, [[1, 0, "missed"]]]]));
+  assert.deepEqual([pot.creditorType, pot.creditorId, pot.creditorLabel], ["pot", null, "Shared pot"]);
+});
+
+test("a late group joiner isn't charged for weeks before they joined", async () => {
+  const owner = await createUser("Owner");
+  const early = await createUser("Early");
+  const late = await createUser("Late");
+  const group = await createContract(owner, { capacity: 3, stakesLevel: "reward", stakes: { amount: 5 }, frequencyPerWeek: 3, durationDays: 28 });
+  await joinContract(early, group);
+  const started = addDays(todayKey(), -14);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = ? WHERE id = ?").run(started, group.id);
+  db.prepare("UPDATE contract_members SET joinedAt = ? WHERE contractId = ?").run(`${addDays(started, -1)}T12:00:00.000Z`, group.id);
+  await joinContract(late, group);
+
+  runLifecycleSweep({ today: todayKey() });
+  const { entries } = listContractLedger(group.id);
+  assert.deepEqual(
+    entries.map((e) => [e.debtorId, e.amount, e.periodKey]).sort(),
+    [[early.id, 15, "week:0"], [early.id, 15, "week:1"], [owner.id, 15, "week:0"], [owner.id, 15, "week:1"]].sort()
+  );
+
+  // Even progress built without join dates doesn't charge the earlier weeks.
+  const contract = db.prepare("SELECT * FROM contracts WHERE id = ?").get(group.id);
+  const unaware = progressWith([[late.id, [[3, 0, "missed"], [3, 0, "missed"]]]]);
+  unaware.participants[0].startDate = addDays(started, 14);
+  unaware.participants[0].weeks.forEach((week, i) => (week.end = addDays(started, 7 * i + 6)));
+  assert.deepEqual(recordForfeits(contract, unaware), []);
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { addDays, todayKey } = require("../progress");
+const { getUserStats } = require("../stats");
+
+let owner;
+let partner;
+let running;
+let reading;
+const today = todayKey();
+
+// Move a contract's start `daysAgo` days back and log done check-ins on the
+// given day offsets from that start.
+function backdate(contract, daysAgo, status = "active") {
+  const startDate = addDays(today, -daysAgo);
+  db.prepare("UPDATE contracts SET status = ?, startDate = ? WHERE id = ?").run(status, startDate, contract.id);
+  return startDate;
+}
+
+function logDays(contract, user, startDate, offsets) {
+  const insert = db.prepare(
+    "INSERT INTO checkins (id, contractId, userId, dateKey, done, createdAt, late) VALUES (?, ?, ?, ?, 1, ?, 0)"
+  );
+  offsets.forEach((offset) => {
+    insert.run(`${contract.id}-${user.id}-${offset}`, contract.id, user.id, addDays(startDate, offset), new Date().toISOString());
+  });
+}
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+
+  // 7x a week for 14 days, started 13 days ago: 14 expected each.
+  running = await createContract(owner, { frequencyPerWeek: 7, durationDays: 14 });
+  await joinContract(partner, running);
+  const runStart = backdate(running, 13);
+  logDays(running, owner, runStart, [0, 1, 2, 3, 4, 5, 6, 10, 11, 12, 13]);
+  logDays(running, partner, runStart, [0, 1, 2, 3, 4, 5, 6]);
+
+  // A solo study contract, 7x a week, started 3 days ago: 4 expected.
+  reading = await createContract(owner, { title: "Read", topicCategory: "study", frequencyPerWeek: 7, durationDays: 30 });
+  const readStart = backdate(reading, 3);
+  logDays(reading, owner, readStart, [1, 2, 3]);
+
+  // Never started, so it is left out.
+  await createContract(owner, { title: "Open", topicCategory: "sleep" });
+});
+
+test.after(stop);
+
+test("totals and per-category rates cover every started contract", async () => {
+  const { status, body } = await api("GET", "/api/me/stats", { token: owner.token });
+  assert.equal(status, 200);
+  assert.equal(body.to, today);
+  assert.equal(body.from, addDays(today, -364));
+  assert.deepEqual(
+    { contracts: body.totals.contracts, active: body.totals.active, checkins: body.totals.checkins, expected: body.totals.expected },
+    { contracts: 2, active: 2, checkins: 14, expected: 18 }
+  );
+  assert.equal(body.totals.checkinRate, 78);
+  assert.deepEqual(
+    body.categories.map((c) => [c.category, c.checkins, c.checkinRate]),
+    [
+      ["fitness", 11, 79],
+      ["study", 3, 75],
+    ]
+  );
+});
+
+test("heatmap, streaks and weekly trend", async () => {
+  const { body } = await api("GET", "/api/me/stats", { token: owner.token });
+  assert.equal(body.heatmap[today], 2);
+  assert.equal(body.heatmap[addDays(today, -13)], 1);
+  assert.equal(body.heatmap[addDays(today, -5)], undefined);
+  assert.equal(body.streaks.current, 4);
+  assert.equal(body.streaks.longest, 7);
+  assert.equal(body.streaks.longestFrom, addDays(today, -13));
+  assert.deepEqual(
+    body.streaks.byContract.map((s) => [s.title, s.longestStreak]),
+    [
+      ["Run three times a week", 7],
+      ["Read", 3],
+    ]
+  );
+  const total = body.weeks.reduce((sum, week) => sum + week.checkins, 0);
+  assert.equal(total, 14);
+  assert.equal(body.weeks[0].change, null);
+  assert.equal(body.weeks[1].change, body.weeks[1].checkinRate - body.weeks[0].checkinRate);
+});
+
+test("comparison with partners on shared contracts", async () => {
+  const { body } = await api("GET", "/api/me/stats", { token: owner.token });
+  assert.deepEqual(body.partners.contracts, [
+    { contractId: running.id, title: "Run three times a week", topicCategory: "fitness", you: 79, partners: 50 },
+  ]);
+  assert.equal(body.partners.you, 79);
+  assert.equal(body.partners.partners, 50);
+});
+
+test("date range and category filters", async () => {
+  const from = addDays(today, -3);
+  const { body } = await api("GET", `/api/me/stats?from=${from}&category=fitness`, { token: owner.token });
+  assert.equal(body.category, "fitness");
+  assert.equal(body.totals.contracts, 1);
+  assert.equal(body.totals.checkins, 4);
+  assert.equal(body.totals.expected, 4);
+
+  assert.equal((await api("GET", "/api/me/stats?from=2026-13-01", { token: owner.token })).status, 400);
+  assert.equal((await api("GET", `/api/me/stats?from=${today}&to=${addDays(today, -1)}`, { token: owner.token })).status, 400);
+  assert.equal((await api("GET", "/api/me/stats?category=knitting", { token: owner.token })).status, 400);
+});
+
+test("results are cached until a check-in on one of the contracts changes", async () => {
+  const first = getUserStats(owner.id);
+  assert.equal(getUserStats(owner.id).cached, true);
+  assert.equal(getUserStats(partner.id).cached, false);
+
+  // The partner's check-in changes the owner's comparison too.
+  await api("POST", `/api/contracts/${running.id}/checkins`, { token: partner.token, body: { done: true } });
+  const after = getUserStats(owner.id);
+  assert.equal(after.cached, false);
+  assert.equal(after.stats.partners.partners, 57);
+  assert.equal(first.stats.partners.partners, 50);
+});
@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { addDays, todayKey } = require("../progress");
+
+let owner;
+let partner;
+let group;
+const today = todayKey();
+
+function checkin(user, body, key) {
+  return api("POST", `/api/contracts/${group.id}/checkins`, {
+    token: user.token,
+    body,
+    headers: key ? { "Idempotency-Key": key } : {},
+  });
+}
+
+function sync(user, since) {
+  return api("GET", since === undefined ? "/api/sync" : `/api/sync?since=${since}`, { token: user.token });
+}
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  await api("PUT", "/api/me", { token: owner.token, body: { timezone: "UTC" } });
+  group = await createContract(owner, { capacity: 3, frequencyPerWeek: 7 });
+  await joinContract(partner, group);
+  db.prepare("UPDATE contracts SET status = 'active', startDate = ?, graceHours = 0 WHERE id = ?").run(addDays(today, -5), group.id);
+});
+
+test.after(stop);
+
+test("retried writes with the same Idempotency-Key run once", async () => {
+  const send = () =>
+    api("POST", `/api/contracts/${group.id}/messages`, { token: owner.token, body: { text: "Queued offline" }, headers: { "Idempotency-Key": "msg-1" } });
+  const first = await send();
+  const retry = await send();
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(first.headers.get("idempotent-replayed"), null);
+  assert.equal(retry.body.id, first.body.id);
+  const count = db.prepare("SELECT COUNT(*) AS n FROM messages WHERE contractId = ? AND text = 'Queued offline'").get(group.id);
+  assert.equal(count.n, 1);
+
+  const reused = await api("POST", `/api/contracts/${group.id}/messages`, {
+    token: owner.token,
+    body: { text: "Something else" },
+    headers: { "Idempotency-Key": "msg-1" },
+  });
+  assert.equal(reused.status, 422);
+  // Keys are per user.
+  const other = await api("POST", `/api/contracts/${group.id}/messages`, {
+    token: partner.token,
+    body: { text: "Queued offline" },
+    headers: { "Idempotency-Key": "msg-1" },
+  });
+  assert.notEqual(other.body.id, first.body.id);
+  assert.equal((await checkin(owner, { done: true }, "has spaces")).status, 400);
+
+  // Failures aren't remembered, so the key can be used again.
+  assert.equal((await checkin(owner, { dateKey: addDays(today, 1), done: true }, "checkin-1")).status, 400);
+  assert.equal((await checkin(owner, { done: true }, "checkin-1")).status, 200);
+});
+
+test("the latest change to a check-in day wins", async () => {
+  const now = Date.now();
+  const done = await checkin(owner, { done: true, recordedAt: new Date(now - 60 * 1000).toISOString() });
+  assert.equal(done.body.checkin.done, 1);
+  assert.equal(done.body.conflict, undefined);
+
+  // An older "not done" arriving late from another device loses.
+  const stale = await checkin(owner, { done: false, recordedAt: new Date(now - 3600 * 1000).toISOString() });
+  assert.equal(stale.status, 200);
+  assert.equal(stale.body.conflict, "superseded");
+  assert.equal(stale.body.checkin.done, 1);
+
+  // Repeating the stored answer isn't a conflict; a newer change goes through.
+  assert.equal((await checkin(owner, { done: true, recordedAt: new Date(now - 7200 * 1000).toISOString() })).body.conflict, undefined);
+  const undone = await checkin(owner, { done: false });
+  assert.equal(undone.body.checkin.done, 0);
+  assert.ok(undone.body.checkin.editedAt);
+
+  const bad = await checkin(owner, { done: true, recordedAt: "yesterday-ish" });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /recordedAt/);
+});
+
+test("offline check-ins are judged at the time they were made", async () => {
+  const yesterday = addDays(today, -1);
+  // Grace is 0h, so yesterday can't be logged any more...
+  const late = await checkin(owner, { dateKey: yesterday, done: true });
+  assert.match(late.body.error, /Too late/);
+
+  // ...unless the user checked in before midnight and the phone was offline.
+  const beforeMidnight = new Date(Date.parse(`${today}T00:00:00Z`) - 1000).toISOString();
+  const queued = await checkin(owner, { done: true, recordedAt: beforeMidnight }, "yesterday-1");
+  assert.equal(queued.status, 200);
+  assert.deepEqual([queued.body.checkin.dateKey, queued.body.checkin.late], [yesterday, 0]);
+
+  const replayed = await checkin(owner, { done: true, recordedAt: beforeMidnight }, "yesterday-1");
+  assert.equal(replayed.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(replayed.body, queued.body);
+
+  // recordedAt can't reach further back than the offline window.
+  const tooOld = await checkin(owner, { dateKey: addDays(today, -3), done: true, recordedAt: new Date(Date.now() - 72 * 3600 * 1000).toISOString() });
+  assert.match(tooOld.body.error, /Too late/);
+});
+
+test("sync returns a snapshot and then only what changed", async () => {
+  const full = await sync(partner);
+  assert.equal(full.status, 200);
+  assert.equal(full.body.full, true);
+  assert.deepEqual(full.body.contracts.map((c) => c.id), [group.id]);
+  assert.ok(full.body.contracts[0].progress);
+  assert.ok(full.body.checkins.some((c) => c.userId === owner.id && c.dateKey === today));
+  assert.ok(full.body.messages.some((m) => m.text === "Queued offline"));
+
+  const empty = await sync(partner, full.body.cursor);
+  assert.deepEqual([empty.body.contracts, empty.body.checkins, empty.body.messages], [[], [], []]);
+  assert.equal(empty.body.cursor, full.body.cursor);
+
+  const message = await api("POST", `/api/contracts/${group.id}/messages`, { token: owner.token, body: { text: "Oops" } });
+  await api("DELETE", `/api/contracts/${group.id}/messages/${message.body.id}`, { token: owner.token });
+  await checkin(owner, { done: true });
+  const delta = await sync(partner, full.body.cursor);
+  assert.equal(delta.body.full, false);
+  assert.deepEqual(delta.body.messages.map((m) => [m.id, m.text, Boolean(m.deletedAt)]), [[message.body.id, "", true]]);
+  assert.deepEqual(delta.body.checkins.map((c) => [c.userId, c.dateKey, c.done]), [[owner.id, today, 1]]);
+  assert.deepEqual(delta.body.contracts.map((c) => c.id), [group.id]);
+  assert.deepEqual(delta.body.deleted, { contracts: [], checkins: [], messages: [] });
+  assert.ok(Number(delta.body.cursor) > Number(full.body.cursor));
+});
+
+test("joining sends the whole contract and leaving deletes it", async () => {
+  const newcomer = await createUser("Newcomer");
+  const { body: first } = await sync(newcomer);
+  assert.deepEqual(first.contracts, []);
+
+  await joinContract(newcomer, group);
+  const joined = await sync(newcomer, first.cursor);
+  assert.deepEqual(joined.body.contracts.map((c) => c.id), [group.id]);
+  assert.ok(joined.body.checkins.some((c) => c.userId === owner.id));
+  assert.ok(joined.body.messages.some((m) => m.text === "Queued offline"));
+
+  await api("DELETE", `/api/contracts/${group.id}`, { token: newcomer.token });
+  await api("POST", `/api/contracts/${group.id}/messages`, { token: owner.token, body: { text: "After you left" } });
+  const left = await sync(newcomer, joined.body.cursor);
+  assert.deepEqual(left.body.deleted.contracts, [group.id]);
+  assert.deepEqual([left.body.contracts, left.body.messages], [[], []]);
+});
+
+test("bad and expired cursors", async () => {
+  const invalid = await sync(owner, "abc");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "VALIDATION_FAILED");
+  assert.equal((await sync(owner, "999999999")).status, 400);
+
+  const { body } = await sync(owner);
+  db.prepare("DELETE FROM sync_changes WHERE seq <= 5").run();
+  assert.equal((await sync(owner, 1)).status, 410);
+  assert.equal((await sync(owner, body.cursor)).status, 200);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+
+let owner;
+let partner;
+let outsider;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  outsider = await createUser("Outsider");
+});
+
+test.after(stop);
+
+test("built-in templates are listed per category and fill in a new contract", async () => {
+  const money = (await api("GET", "/api/templates?category=money", { token: owner.token })).body;
+  assert.ok(money.length > 0);
+  assert.ok(money.every((t) => t.topicCategory === "money" && t.builtIn));
+  assert.equal((await api("GET", "/api/templates?category=nope", { token: owner.token })).status, 400);
+
+  const created = await api("POST", "/api/contracts", {
+    token: owner.token,
+    body: { templateId: "read-20-pages", durationDays: 14, matchType: "friend" },
+  });
+  assert.equal(created.status, 200);
+  const contract = created.body.contract;
+  assert.equal(contract.title, "Read 20 pages daily");
+  assert.equal(contract.frequencyPerWeek, 7);
+  assert.equal(contract.durationDays, 14);
+  assert.equal(contract.templateId, "read-20-pages");
+  assert.equal(contract.proofIdeas[0], "Photo of the page you stopped on.");
+
+  const explore = (await api("GET", "/api/contracts?templateId=read-20-pages")).body;
+  assert.deepEqual(explore.map((c) => c.id), [contract.id]);
+
+  const unknown = await api("POST", "/api/contracts", { token: owner.token, body: { templateId: "nope" } });
+  assert.equal(unknown.status, 400);
+});
+
+test("saved templates are private to their owner", async () => {
+  const saved = await api("POST", "/api/templates", {
+    token: owner.token,
+    body: { title: "Stretch", topicCategory: "fitness", frequencyPerWeek: 4, durationDays: 21, proofIdeas: ["Mat photo"] },
+  });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.builtIn, false);
+  const ids = (token) => api("GET", "/api/templates", { token }).then((r) => r.body.map((t) => t.id));
+  assert.ok((await ids(owner.token)).includes(saved.body.id));
+  assert.ok(!(await ids(outsider.token)).includes(saved.body.id));
+
+  const borrowed = await api("POST", "/api/contracts", { token: outsider.token, body: { templateId: saved.body.id } });
+  assert.equal(borrowed.status, 400);
+
+  assert.equal((await api("DELETE", `/api/templates/${saved.body.id}`, { token: outsider.token })).status, 404);
+  assert.equal((await api("DELETE", `/api/templates/${saved.body.id}`, { token: owner.token })).status, 200);
+
+  const bad = await api("POST", "/api/templates", { token: owner.token, body: { title: "x", topicCategory: "fitness" } });
+  assert.equal(bad.status, 400);
+});
+
+test("a template can be saved from a contract the caller is in", async () => {
+  const contract = await createContract(owner, { title: "Swim", stakes: { amount: 3 } });
+  const saved = await api("POST", "/api/templates", { token: owner.token, body: { contractId: contract.id } });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.title, "Swim");
+  assert.equal(saved.body.stakeAmount, 3);
+  const denied = await api("POST", "/api/templates", { token: outsider.token, body: { contractId: contract.id } });
+  assert.equal(denied.status, 403);
+});
+
+test("templates take every stakes level contracts do", async () => {
+  const contract = await createContract(owner, { title: "Save up", stakesLevel: "money", stakes: { amount: 20 } });
+  const saved = await api("POST", "/api/templates", { token: owner.token, body: { contractId: contract.id } });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.stakesLevel, "money");
+  const direct = await api("POST", "/api/templates", {
+    token: owner.token,
+    body: { title: "Bet on it", topicCategory: "money", frequencyPerWeek: 2, durationDays: 30, stakesLevel: "money" },
+  });
+  assert.equal(direct.status, 200);
+  assert.equal(direct.body.stakesLevel, "money");
+});
+
+test("finished contracts can be cloned by their members", async () => {
+  const contract = await createContract(owner, { templateId: "gym-three-times", title: "Lift" });
+  await joinContract(partner, contract);
+  const url = `/api/contracts/${contract.id}/clone`;
+  assert.equal((await api("POST", url, { token: owner.token })).status, 400);
+
+  db.prepare("UPDATE contracts SET status = 'completed', endedAt = ? WHERE id = ?").run(new Date().toISOString(), contract.id);
+  assert.equal((await api("POST", url, { token: outsider.token })).status, 404);
+  const cloned = await api("POST", url, { token: partner.token, body: { durationDays: 42 } });
+  assert.equal(cloned.status, 200);
+  const copy = cloned.body.contract;
+  assert.equal(copy.ownerId, partner.id);
+  assert.equal(copy.status, "open");
+  assert.equal(copy.title, "Lift");
+  assert.equal(copy.durationDays, 42);
+  assert.equal(copy.templateId, "gym-three-times");
+  assert.equal(copy.clonedFromId, contract.id);
+  assert.ok(cloned.body.inviteCode);
+
+  const events = (await api("GET", `/api/contracts/${contract.id}/events`, { token: owner.token })).body;
+  assert.deepEqual(events.at(-1).data, { contractId: copy.id });
+});
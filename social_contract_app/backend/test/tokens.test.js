@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, db, createUser, createContract } = require("./helpers");
+
+let owner;
+let contract;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+  contract = await createContract(owner, { frequencyPerWeek: 7 });
+  db.prepare("UPDATE contracts SET status = 'active', startDate = date('now') WHERE id = ?").run(contract.id);
+});
+
+test.after(stop);
+
+async function createToken(scopes, extra = {}) {
+  return api("POST", "/api/me/tokens", { token: owner.token, body: { name: "Home automation", scopes, ...extra } });
+}
+
+test("a token is shown once and stored hashed", async () => {
+  const { status, body } = await createToken(["checkins:write"], { expiresInDays: 30 });
+  assert.equal(status, 200);
+  assert.match(body.token, /^scpat_/);
+  assert.deepEqual(body.scopes, ["checkins:write"]);
+  assert.ok(body.expiresAt);
+  assert.equal(body.token.startsWith(body.prefix), true);
+
+  const { body: list } = await api("GET", "/api/me/tokens", { token: owner.token });
+  assert.equal(list.length, 1);
+  assert.equal(list[0].token, undefined);
+  assert.equal(list[0].tokenHash, undefined);
+  const stored = db.prepare("SELECT tokenHash FROM personal_access_tokens WHERE id = ?").get(body.id);
+  assert.notEqual(stored.tokenHash, body.token);
+});
+
+test("tokens work on the routes their scopes cover", async () => {
+  const { body } = await createToken(["checkins:write"]);
+  const checkin = await api("POST", `/api/contracts/${contract.id}/checkins`, { token: body.token, body: { done: true } });
+  assert.equal(checkin.status, 200);
+  assert.equal(checkin.body.checkin.userId, owner.id);
+
+  const read = await api("GET", `/api/contracts/${contract.id}/progress`, { token: body.token });
+  assert.equal(read.status, 403);
+  assert.match(read.body.error, /contracts:read/);
+
+  // Account settings and token management always need a login.
+  for (const [method, url] of [["GET", "/api/me"], ["GET", "/api/me/tokens"], ["POST", "/api/auth/logout-all"]]) {
+    const denied = await api(method, url, { token: body.token });
+    assert.equal(denied.status, 403, url);
+    assert.match(denied.body.error, /can't be used here/);
+  }
+
+  const row = db.prepare("SELECT lastUsedAt FROM personal_access_tokens WHERE id = ?").get(body.id);
+  assert.ok(row.lastUsedAt);
+});
+
+test("public routes see the token's user when it has the scope", async () => {
+  const { body } = await createToken(["contracts:read"]);
+  const feed = await api("GET", "/api/contracts?sort=fit", { token: body.token });
+  assert.equal(feed.status, 200);
+  const mine = await api("GET", `/api/users/${owner.id}/contracts`, { token: body.token });
+  assert.equal(mine.status, 200);
+  assert.ok(mine.body.some((c) => c.id === contract.id));
+});
+
+test("revoked, expired and unknown tokens are rejected", async () => {
+  const { body } = await createToken(["contracts:read"]);
+  assert.equal((await api("DELETE", `/api/me/tokens/${body.id}`, { token: owner.token })).status, 200);
+  assert.equal((await api("DELETE", `/api/me/tokens/${body.id}`, { token: owner.token })).status, 404);
+  const revoked = await api("GET", `/api/contracts/${contract.id}`, { token: body.token });
+  assert.equal(revoked.status, 401);
+
+  const expiring = await createToken(["contracts:read"], { expiresInDays: 1 });
+  db.prepare("UPDATE personal_access_tokens SET expiresAt = ? WHERE id = ?").run(new Date(Date.now() - 1000).toISOString(), expiring.body.id);
+  assert.equal((await api("GET", `/api/contracts/${contract.id}`, { token: expiring.body.token })).status, 401);
+  assert.equal((await api("GET", `/api/contracts/${contract.id}`, { token: "scpat_nope" })).status, 401);
+
+  const invalid = await createToken(["everything"]);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "VALIDATION_FAILED");
+  assert.equal((await createToken([])).status, 400);
+});
+
+test("logging out everywhere keeps tokens; deleting the account revokes them", async () => {
+  const user = await createUser("Scripter");
+  const { body } = await api("POST", "/api/me/tokens", { token: user.token, body: { name: "cron", scopes: ["contracts:read"] } });
+  await api("POST", "/api/auth/logout-all", { token: user.token });
+  assert.equal((await api("GET", `/api/users/${user.id}/contracts`, { token: body.token })).status, 200);
+
+  const login = await api("POST", "/api/auth/login", { body: { email: user.email, password: "password123" } });
+  await api("DELETE", "/api/me", { token: login.body.token, body: { password: "password123" } });
+  assert.equal((await api("GET", `/api/users/${user.id}/contracts`, { token: body.token })).status, 401);
+});
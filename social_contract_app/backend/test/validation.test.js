@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { start, stop, api, createUser, createContract } = require("./helpers");
+const { validate, string, integer, boolean, email, object } = require("../validation");
+
+let owner;
+
+test.before(async () => {
+  await start();
+  owner = await createUser("Owner");
+});
+
+test.after(stop);
+
+test("validate coerces, trims and drops unknown keys", () => {
+  const schema = {
+    name: string({ max: 5 }),
+    count: integer({ min: 1, max: 7 }),
+    on: boolean({ optional: true }),
+    email: email(),
+    bio: string({ optional: true, nullable: true }),
+  };
+  const result = validate(schema, { name: " Ann ", count: "3", on: "true", email: "ANN@Example.com", bio: "", extra: 1 });
+  assert.deepEqual(result.value, { name: "Ann", count: 3, on: true, email: "ann@example.com", bio: null });
+});
+
+test("validate reports every problem with its field", () => {
+  const schema = { count: integer({ min: 1, max: 7 }), name: string(), inner: object({ n: integer() }) };
+  const { details } = validate(schema, { count: 8, inner: { n: 1.5 } });
+  assert.deepEqual(
+    details.map((d) => [d.field, d.code]),
+    [
+      ["count", "range"],
+      ["name", "required"],
+      ["inner.n", "type"],
+    ]
+  );
+  assert.equal(details[0].message, "count must be from 1 to 7");
+});
+
+test("registration checks email and password length", async () => {
+  const res = await api("POST", "/api/auth/register", { body: { name: "Ann", email: "not-an-email", password: "x" } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "VALIDATION_FAILED");
+  assert.deepEqual(
+    res.body.details.map((d) => d.field),
+    ["email", "password"]
+  );
+  assert.equal(res.body.error, res.body.details[0].message);
+});
+
+test("contract terms are range checked, also when filled from a template", async () => {
+  const bad = await api("POST", "/api/contracts", {
+    token: owner.token,
+    body: { title: "Run", topicCategory: "hiking", frequencyPerWeek: 0, durationDays: -1, stakesLevel: "gold" },
+  });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(
+    bad.body.details.map((d) => d.field),
+    ["topicCategory", "frequencyPerWeek", "durationDays", "stakesLevel"]
+  );
+
+  const fromTemplate = await api("POST", "/api/contracts", {
+    token: owner.token,
+    body: { templateId: "couch-to-5k", frequencyPerWeek: 500 },
+  });
+  assert.equal(fromTemplate.status, 400);
+  assert.equal(fromTemplate.body.details[0].field, "frequencyPerWeek");
+
+  const ok = await createContract(owner, { frequencyPerWeek: "4" });
+  assert.equal(ok.frequencyPerWeek, 4);
+});
+
+test("errors carry a code for their status", async () => {
+  const missing = await api("GET", "/api/contracts/nope", { token: owner.token });
+  assert.deepEqual(missing.body, { error: "Contract not found", code: "NOT_FOUND" });
+  const anonymous = await api("GET", "/api/me");
+  assert.equal(anonymous.body.code, "UNAUTHORIZED");
+  const unknown = await api("GET", "/api/no-such-route", { token: owner.token });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, "NOT_FOUND");
+});
+
+test("malformed JSON is a 400 with its own code", async () => {
+  const res = await api("POST", "/api/auth/login", { raw: "{not json" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "INVALID_JSON");
+});
@@ -0,0 +1,232 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const http = require("http");
+
+// The test receiver listens on loopback, which webhooks otherwise refuse.
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+// Some tests point deliveries at addresses that never answer.
+process.env.WEBHOOK_TIMEOUT_MS = "500";
+
+const { start, stop, api, db, createUser, createContract, joinContract } = require("./helpers");
+const { sign, processDueDeliveries, RETRY_DELAYS_MS } = require("../webhooks");
+
+let owner;
+let partner;
+let contract;
+let receiver;
+let receiverUrl;
+const received = [];
+let answerWith = 200;
+
+// Waits until `check` returns something truthy.
+async function waitFor(check) {
+  for (let i = 0; i < 200; i += 1) {
+    const value = check();
+    if (value) return value;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("timed out");
+}
+
+function deliveriesOf(subscriptionId) {
+  return db.prepare("SELECT * FROM webhook_deliveries WHERE subscriptionId = ? ORDER BY createdAt, rowid").all(subscriptionId);
+}
+
+test.before(async () => {
+  await start();
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      if (req.url === "/redirect") res.writeHead(302, { Location: "http://169.254.169.254/latest/meta-data/" }).end();
+      else res.writeHead(answerWith).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  owner = await createUser("Owner");
+  partner = await createUser("Partner");
+  contract = await createContract(owner, { frequencyPerWeek: 7 });
+});
+
+test.after(async () => {
+  await processDueDeliveries();
+  await new Promise((resolve) => receiver.close(resolve));
+  await stop();
+});
+
+let ownerHook;
+
+test("subscriptions get signed payloads for their events", async () => {
+  const created = await api("POST", "/api/webhooks", { token: owner.token, body: { url: `${receiverUrl}/owner` } });
+  assert.equal(created.status, 200);
+  ownerHook = created.body;
+  assert.match(ownerHook.secret, /^whsec_/);
+  assert.deepEqual(ownerHook.events, [
+    "checkin.created",
+    "message.created",
+    "contract.matched",
+    "contract.completed",
+    "contract.failed",
+    "notification.created",
+  ]);
+  const list = await api("GET", "/api/webhooks", { token: owner.token });
+  assert.equal(list.body[0].secret, undefined);
+
+  await joinContract(partner, contract);
+  const matched = await waitFor(() => received.find((r) => r.headers["x-webhook-event"] === "contract.matched"));
+  const payload = JSON.parse(matched.body);
+  assert.equal(matched.path, "/owner");
+  assert.deepEqual([payload.event, payload.contractId, payload.data.status], ["contract.matched", contract.id, "matched"]);
+  assert.equal(matched.headers["x-webhook-signature"], `sha256=${sign(ownerHook.secret, matched.headers["x-webhook-timestamp"], matched.body)}`);
+
+  await api("POST", `/api/contracts/${contract.id}/messages`, { token: partner.token, body: { text: "Morning!" } });
+  const message = await waitFor(() => received.find((r) => r.headers["x-webhook-event"] === "message.created"));
+  assert.equal(JSON.parse(message.body).data.text, "Morning!");
+});
+
+test("failed deliveries are retried with backoff and logged", async () => {
+  db.prepare("UPDATE contracts SET status = 'active', startDate = date('now') WHERE id = ?").run(contract.id);
+  const { body: hook } = await api("POST", "/api/webhooks", {
+    token: partner.token,
+    body: { url: `${receiverUrl}/partner`, events: ["checkin.created"], contractId: contract.id },
+  });
+  answerWith = 500;
+  await api("POST", `/api/contracts/${contract.id}/checkins`, { token: partner.token, body: { done: true } });
+  const failed = await waitFor(() => deliveriesOf(hook.id).find((d) => d.attempts === 1));
+  assert.equal(failed.status, "pending");
+  assert.equal(failed.responseStatus, 500);
+  assert.equal(failed.error, "Responded 500");
+  const delay = Date.parse(failed.nextAttemptAt) - Date.parse(failed.lastAttemptAt);
+  assert.ok(Math.abs(delay - RETRY_DELAYS_MS[0]) < 2000);
+
+  // Not due yet; then a minute later it goes through.
+  await processDueDeliveries();
+  assert.equal(deliveriesOf(hook.id)[0].attempts, 1);
+  answerWith = 200;
+  await processDueDeliveries(new Date(Date.now() + RETRY_DELAYS_MS[0] + 1000));
+  const [delivered] = deliveriesOf(hook.id);
+  assert.deepEqual([delivered.status, delivered.attempts, delivered.responseStatus], ["delivered", 2, 200]);
+
+  const log = await api("GET", `/api/webhooks/${hook.id}/deliveries`, { token: partner.token });
+  assert.equal(log.body.length, 1);
+  assert.equal(log.body[0].payload.data.userId, partner.id);
+  assert.equal((await api("GET", `/api/webhooks/${hook.id}/deliveries`, { token: owner.token })).status, 404);
+
+  // Out of retries.
+  answerWith = 503;
+  db.prepare("UPDATE webhook_deliveries SET status = 'pending', attempts = ?, nextAttemptAt = ? WHERE id = ?").run(
+    RETRY_DELAYS_MS.length,
+    new Date().toISOString(),
+    delivered.id
+  );
+  await processDueDeliveries();
+  const [gaveUp] = deliveriesOf(hook.id);
+  assert.deepEqual([gaveUp.status, gaveUp.nextAttemptAt], ["failed", null]);
+  answerWith = 200;
+});
+
+test("deliveries can be replayed with the same event id", async () => {
+  const [original] = deliveriesOf(ownerHook.id);
+  const replay = await api("POST", `/api/webhooks/${ownerHook.id}/deliveries/${original.id}/replay`, { token: owner.token });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.replayOf, original.id);
+  assert.equal(replay.body.eventId, original.eventId);
+  const resent = await waitFor(() => received.find((r) => r.headers["x-webhook-id"] === replay.body.id));
+  assert.equal(JSON.parse(resent.body).id, original.eventId);
+  assert.equal((await api("POST", `/api/webhooks/${ownerHook.id}/deliveries/nope/replay`, { token: owner.token })).status, 404);
+});
+
+test("subscriptions only cover the owner's contracts and stop when removed", async () => {
+  const stranger = await createUser("Stranger");
+  const other = await createContract(owner, { title: "Private", matchType: "friend" });
+  db.prepare("UPDATE contracts SET status = 'active', startDate = date('now') WHERE id = ?").run(other.id);
+  const denied = await api("POST", "/api/webhooks", { token: stranger.token, body: { url: receiverUrl, contractId: other.id } });
+  assert.equal(denied.status, 404);
+  const badUrl = await api("POST", "/api/webhooks", { token: stranger.token, body: { url: "ftp://example.com" } });
+  assert.equal(badUrl.status, 400);
+
+  assert.equal((await api("DELETE", `/api/webhooks/${ownerHook.id}`, { token: owner.token })).status, 200);
+  const before = deliveriesOf(ownerHook.id).length;
+  await api("POST", `/api/contracts/${contract.id}/messages`, { token: partner.token, body: { text: "Anyone?" } });
+  await processDueDeliveries();
+  assert.equal(deliveriesOf(ownerHook.id).length, before);
+});
+
+test("internal addresses are refused when subscribing and when delivering", async () => {
+  const user = await createUser("Prober");
+  for (const url of [
+    "http://localhost:4000/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.0.0.5/",
+    "http://192.168.1.1:8080/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://0.0.0.0/",
+  ]) {
+    const refused = await api("POST", "/api/webhooks", { token: user.token, body: { url } });
+    assert.equal(refused.status, 400, url);
+    assert.match(refused.body.error, /public address/, url);
+  }
+
+  // A subscription whose target became internal isn't called.
+  const { body: hook } = await api("POST", "/api/webhooks", { token: partner.token, body: { url: `${receiverUrl}/moved`, events: ["message.created"] } });
+  db.prepare("UPDATE webhook_subscriptions SET url = 'http://10.0.0.5/' WHERE id = ?").run(hook.id);
+  await api("POST", `/api/contracts/${contract.id}/messages`, { token: owner.token, body: { text: "Still there?" } });
+  const [delivery] = await waitFor(() => {
+    const rows = deliveriesOf(hook.id);
+    return rows.length && rows[0].attempts ? rows : null;
+  });
+  assert.equal(delivery.error, "url must point to a public address");
+  assert.equal(delivery.responseStatus, null);
+});
+
+test("a redirect to an internal address isn't followed", async () => {
+  const { body: hook } = await api("POST", "/api/webhooks", { token: partner.token, body: { url: `${receiverUrl}/redirect`, events: ["message.created"] } });
+  const before = received.length;
+  await api("POST", `/api/contracts/${contract.id}/messages`, { token: owner.token, body: { text: "Over here" } });
+  const [delivery] = await waitFor(() => {
+    const rows = deliveriesOf(hook.id);
+    return rows.length && rows[0].attempts ? rows : null;
+  });
+  assert.equal(delivery.responseStatus, 302);
+  assert.equal(delivery.error, "Responded 302; redirects aren't followed");
+  assert.equal(delivery.status, "pending");
+  assert.deepEqual(received.slice(before).map((r) => r.path), ["/redirect"]);
+  await api("DELETE", `/api/webhooks/${hook.id}`, { token: partner.token });
+});
+
+test("deliveries connect to the address that was checked, not a fresh lookup", async () => {
+  // The host looks public when checked, then resolves to our loopback
+  // receiver for anyone who asks again.
+  const { lookup } = dns;
+  const checkLookup = dns.promises.lookup;
+  dns.promises.lookup = async (hostname, options) =>
+    hostname === "rebind.example" ? [{ address: "203.0.113.7", family: 4 }] : checkLookup(hostname, options);
+  dns.lookup = (hostname, options, callback) => {
+    if (hostname !== "rebind.example") return lookup(hostname, options, callback);
+    if (typeof options === "function") return options(null, "127.0.0.1", 4);
+    return options.all ? callback(null, [{ address: "127.0.0.1", family: 4 }]) : callback(null, "127.0.0.1", 4);
+  };
+  try {
+    const url = `http://rebind.example:${receiver.address().port}/rebound`;
+    const { body: hook } = await api("POST", "/api/webhooks", { token: partner.token, body: { url, events: ["message.created"] } });
+    assert.ok(hook.id);
+    await api("POST", `/api/contracts/${contract.id}/messages`, { token: owner.token, body: { text: "Anyone home?" } });
+    const [delivery] = await waitFor(() => {
+      const rows = deliveriesOf(hook.id);
+      return rows.length && rows[0].attempts ? rows : null;
+    });
+    assert.ok(delivery.error);
+    assert.equal(delivery.responseStatus, null);
+    assert.ok(!received.some((r) => r.path === "/rebound"));
+    await api("DELETE", `/api/webhooks/${hook.id}`, { token: partner.token });
+  } finally {
+    dns.lookup = lookup;
+    dns.promises.lookup = checkLookup;
+  }
+});
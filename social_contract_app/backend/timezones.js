@@ -0,0 +1,73 @@
+// IANA timezone helpers built on Intl; no tz database of our own.
+
+function isValidTimezone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` in `timeZone` (UTC when the zone is unknown).
+function localParts(timeZone, date = new Date()) {
+  const zone = isValidTimezone(timeZone) ? timeZone : "UTC";
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: zone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach((p) => {
+      parts[p.type] = p.value;
+    });
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+}
+
+function localDateKey(timeZone, date = new Date()) {
+  return localParts(timeZone, date).dateKey;
+}
+
+// Minutes ahead of UTC for a zone at `date`; null if the zone is unknown.
+function timezoneOffsetMinutes(timeZone, date = new Date()) {
+  if (!isValidTimezone(timeZone)) return null;
+  const { dateKey, hour, minute } = localParts(timeZone, date);
+  const local = Date.parse(`${dateKey}T00:00:00Z`) + (hour * 60 + minute) * 60000;
+  const utc = Math.floor(date.getTime() / 60000) * 60000;
+  return Math.round((local - utc) / 60000);
+}
+
+// "HH:MM" -> minutes after midnight, or null.
+function parseClock(value) {
+  const match = typeof value === "string" && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// True when the local time falls in [start, end), wrapping past midnight.
+function inWindow(timeZone, start, end, date = new Date()) {
+  const from = parseClock(start);
+  const to = parseClock(end);
+  if (from === null || to === null || from === to) return false;
+  const { hour, minute } = localParts(timeZone, date);
+  const now = hour * 60 + minute;
+  return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+module.exports = {
+  isValidTimezone,
+  localParts,
+  localDateKey,
+  timezoneOffsetMinutes,
+  parseClock,
+  inWindow,
+};
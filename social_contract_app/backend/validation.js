@@ -0,0 +1,148 @@
+const { sendValidationError } = require("./errors");
+
+// Declarative request validation. A schema is an object of field specs built
+// with the helpers below; validate() checks input against it, coerces
+// numeric and boolean strings (query strings and form posts send those),
+// trims strings and drops keys the schema doesn't know.
+//
+//   const schema = { title: string({ max: 120 }), days: integer({ min: 1, optional: true }) };
+//   app.post("/x", validateRequest({ body: schema }), handler);
+//
+// Every spec takes { optional, nullable, default }. Domain rules that need the
+// database (does this contract exist, is this date in the grace window)
+// stay in the modules.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function spec(type, options = {}) {
+  return { type, ...options };
+}
+
+const string = (options) => spec("string", options);
+const integer = (options) => spec("integer", options);
+const number = (options) => spec("number", options);
+const boolean = (options) => spec("boolean", options);
+const email = (options) => spec("string", { max: 254, pattern: EMAIL_PATTERN, patternMessage: "must be an email address", lowercase: true, ...options });
+const oneOf = (values, options) => spec("enum", { values, ...options });
+const array = (items, options) => spec("array", { items, ...options });
+const object = (shape, options) => spec("object", { shape, ...options });
+// Anything; for values a module validates in full (e.g. notification settings).
+const any = (options) => spec("any", options);
+
+function problem(field, code, message) {
+  return { field, code, message: `${field} ${message}` };
+}
+
+function checkString(field, value, rule) {
+  if (typeof value !== "string") return { error: problem(field, "type", "must be a string") };
+  let text = rule.trim === false ? value : value.trim();
+  if (rule.lowercase) text = text.toLowerCase();
+  const min = rule.min === undefined ? 1 : rule.min;
+  if (text.length < min) return { error: problem(field, "too_short", min === 1 ? "can't be empty" : `must be at least ${min} characters`) };
+  if (rule.max !== undefined && text.length > rule.max) return { error: problem(field, "too_long", `must be at most ${rule.max} characters`) };
+  if (rule.pattern && !rule.pattern.test(text)) return { error: problem(field, "format", rule.patternMessage || "has the wrong format") };
+  return { value: text };
+}
+
+function checkNumber(field, value, rule) {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) return { error: problem(field, "type", "must be a number") };
+  if (rule.type === "integer" && !Number.isInteger(n)) return { error: problem(field, "type", "must be a whole number") };
+  if ((rule.min !== undefined && n < rule.min) || (rule.max !== undefined && n > rule.max)) {
+    const range = rule.max === undefined ? `at least ${rule.min}` : rule.min === undefined ? `at most ${rule.max}` : `from ${rule.min} to ${rule.max}`;
+    return { error: problem(field, "range", `must be ${range}`) };
+  }
+  return { value: n };
+}
+
+function checkField(field, value, rule) {
+  switch (rule.type) {
+    case "string":
+      return checkString(field, value, rule);
+    case "integer":
+    case "number":
+      return checkNumber(field, value, rule);
+    case "boolean":
+      if (value === true || value === "true" || value === "1") return { value: true };
+      if (value === false || value === "false" || value === "0") return { value: false };
+      return { error: problem(field, "type", "must be true or false") };
+    case "enum":
+      if (!rule.values.includes(value)) return { error: problem(field, "enum", `must be one of ${rule.values.join(", ")}`) };
+      return { value };
+    case "array": {
+      if (!Array.isArray(value)) return { error: problem(field, "type", "must be a list") };
+      if (rule.min !== undefined && value.length < rule.min) {
+        return { error: problem(field, "too_short", `needs at least ${rule.min} item${rule.min === 1 ? "" : "s"}`) };
+      }
+      if (rule.max !== undefined && value.length > rule.max) return { error: problem(field, "too_long", `can have at most ${rule.max} items`) };
+      const items = [];
+      for (let i = 0; i < value.length; i += 1) {
+        const item = checkField(`${field}[${i}]`, value[i], rule.items);
+        if (item.error || item.errors) return item;
+        items.push(item.value);
+      }
+      return { value: items };
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return { error: problem(field, "type", "must be an object") };
+      const nested = validate(rule.shape, value, `${field}.`);
+      return nested.details ? { errors: nested.details } : { value: nested.value };
+    }
+    default:
+      return { value };
+  }
+}
+
+// Returns { value } or { details: [{ field, code, message }] }.
+function validate(schema, input, prefix = "") {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const details = [];
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    const raw = source[name];
+    if (raw === undefined) {
+      if (rule.default !== undefined) value[name] = rule.default;
+      else if (!rule.optional) details.push(problem(field, "required", "is required"));
+      return;
+    }
+    // Clients clear nullable fields with null or "".
+    if (raw === null || (raw === "" && rule.nullable)) {
+      if (rule.nullable) value[name] = null;
+      else details.push(problem(field, "type", "can't be null"));
+      return;
+    }
+    const result = checkField(field, raw, rule);
+    if (result.error) details.push(result.error);
+    else if (result.errors) details.push(...result.errors);
+    else value[name] = result.value;
+  });
+  return details.length ? { details } : { value };
+}
+
+// Route middleware: validates and replaces req.body / req.query.
+function validateRequest({ body, query } = {}) {
+  return (req, res, next) => {
+    for (const [part, schema] of [["body", body], ["query", query]]) {
+      if (!schema) continue;
+      const result = validate(schema, req[part]);
+      if (result.details) return sendValidationError(res, result.details);
+      req[part] = result.value;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  email,
+  oneOf,
+  array,
+  object,
+  any,
+  validate,
+  validateRequest,
+};
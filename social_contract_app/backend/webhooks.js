@@ -0,0 +1,398 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { nanoid } = require("nanoid");
+const db = require("./db");
+const policy = require("./policy");
+
+// Outgoing webhooks for integrations (chat bots, home automation). A
+// subscription belongs to a user and covers either all contracts they are a
+// member of or one contract, and lists the events it wants. Besides contract
+// events there is notification.created, a copy of each of the owner's own
+// notifications, sent when they turn on the "webhook" notification channel.
+//
+// Every event is stored as one delivery per subscription and POSTed as JSON
+// ({ id, event, createdAt, contractId, data }). The body is signed with the
+// subscription's secret: X-Webhook-Signature is
+// "sha256=" + hex HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`), so
+// receivers can check both the sender and the age of a request. Failed
+// deliveries (network errors, non-2xx answers) are retried with backoff by
+// the sweep; the log keeps every attempt's outcome and any delivery can be
+// replayed, which sends the same event id again.
+//
+// Targets must be public: URLs whose host is or resolves to a loopback,
+// private, link-local or otherwise reserved address are refused when
+// subscribing and again before every delivery, so webhooks can't be used to
+// reach services inside our network. A delivery connects to the address that
+// was checked, not to a fresh DNS answer, and redirects are not followed (a
+// 3xx answer is a failed attempt). WEBHOOK_ALLOWED_HOSTS (comma-separated
+// hostnames or IPs) lets a self-hosted setup deliver to its own receivers.
+
+const EVENTS = [
+  "checkin.created",
+  "message.created",
+  "contract.matched",
+  "contract.completed",
+  "contract.failed",
+  "notification.created",
+];
+// Delay before each retry; a delivery gives up after the last one.
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 3600 * 1000, 12 * 3600 * 1000];
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const SWEEP_INTERVAL_MS = Number(process.env.WEBHOOK_SWEEP_INTERVAL_MS) || 30 * 1000;
+const MAX_SUBSCRIPTIONS = 20;
+const BATCH_SIZE = 20;
+const LOG_LIMIT = 100;
+const ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+const statements = {
+  insertSubscription: db.prepare(
+    `INSERT INTO webhook_subscriptions (id, userId, contractId, url, secret, events, createdAt)
+     VALUES (@id, @userId, @contractId, @url, @secret, @events, @createdAt)`
+  ),
+  listSubscriptions: db.prepare(
+    "SELECT * FROM webhook_subscriptions WHERE userId = ? AND disabledAt IS NULL ORDER BY createdAt ASC"
+  ),
+  getSubscription: db.prepare("SELECT * FROM webhook_subscriptions WHERE id = ? AND userId = ? AND disabledAt IS NULL"),
+  getSubscriptionById: db.prepare("SELECT * FROM webhook_subscriptions WHERE id = ?"),
+  disableSubscription: db.prepare("UPDATE webhook_subscriptions SET disabledAt = ? WHERE id = ? AND userId = ? AND disabledAt IS NULL"),
+  // Subscriptions whose owner is still a member of the contract.
+  subscribersFor: db.prepare(
+    `SELECT s.* FROM webhook_subscriptions s
+     JOIN contract_members m ON m.contractId = @contractId AND m.userId = s.userId AND m.leftAt IS NULL
+     WHERE s.disabledAt IS NULL AND (s.contractId IS NULL OR s.contractId = @contractId)`
+  ),
+  // One user's subscriptions that cover `contractId` (only the all-contracts
+  // ones when it is null).
+  userSubscribersFor: db.prepare(
+    `SELECT * FROM webhook_subscriptions
+     WHERE userId = @userId AND disabledAt IS NULL AND (contractId IS NULL OR contractId = @contractId)`
+  ),
+  insertDelivery: db.prepare(
+    `INSERT INTO webhook_deliveries (id, subscriptionId, eventId, event, payload, status, nextAttemptAt, replayOf, createdAt)
+     VALUES (@id, @subscriptionId, @eventId, @event, @payload, 'pending', @createdAt, @replayOf, @createdAt)`
+  ),
+  getDelivery: db.prepare("SELECT * FROM webhook_deliveries WHERE id = ? AND subscriptionId = ?"),
+  listDeliveries: db.prepare("SELECT * FROM webhook_deliveries WHERE subscriptionId = ? ORDER BY createdAt DESC, rowid DESC LIMIT ?"),
+  dueDeliveries: db.prepare(
+    "SELECT * FROM webhook_deliveries WHERE status = 'pending' AND nextAttemptAt <= ? ORDER BY nextAttemptAt ASC LIMIT ?"
+  ),
+  // Push nextAttemptAt past the request timeout while sending, so an
+  // overlapping sweep doesn't pick the same delivery up.
+  claimDelivery: db.prepare(
+    "UPDATE webhook_deliveries SET nextAttemptAt = @lease WHERE id = @id AND status = 'pending' AND nextAttemptAt <= @now"
+  ),
+  recordAttempt: db.prepare(
+    `UPDATE webhook_deliveries SET status = @status, attempts = attempts + 1, lastAttemptAt = @now,
+       nextAttemptAt = @nextAttemptAt, responseStatus = @responseStatus, error = @error, deliveredAt = @deliveredAt
+     WHERE id = @id`
+  ),
+};
+
+function parseEvents(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return [];
+  }
+}
+
+function publicSubscription(row) {
+  const { secret, disabledAt, ...rest } = row;
+  return { ...rest, events: parseEvents(row.events) };
+}
+
+function publicDelivery(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.5) against the
+// IPv4 rules, so they need no rule of their own; a ::ffff:0:0/96 rule would
+// match every IPv4 address.
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Resolves to { address } when `url` may be delivered to, or { error }.
+// `address` is the one to connect to; it's null for allowed hosts, which
+// resolve as usual.
+async function resolveTarget(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (ALLOWED_HOSTS.has(hostname)) return { address: null };
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+    } catch (err) {
+      return { error: `Can't resolve ${hostname}` };
+    }
+  }
+  if (addresses.some(isBlockedAddress)) return { error: "url must point to a public address" };
+  return { address: addresses[0] };
+}
+
+// POSTs `body` to `url`, connecting to `address` when given instead of
+// looking the host up again, so a DNS answer that changed since the check
+// can't point the request somewhere internal. Resolves to the response.
+function post(url, address, { headers, body, signal }) {
+  const lookup = (hostname, options, callback) => {
+    const family = net.isIP(address);
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === "https:" ? https : http).request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: address ? lookup : undefined,
+        signal,
+      },
+      (response) => {
+        response.resume();
+        resolve(response);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+/* -------------------- Subscriptions -------------------- */
+
+// Resolves to { subscription } with the secret (shown only here) or { error, status }.
+async function createSubscription(userId, { url, events, contractId }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { error: "url must be a valid url", status: 400 };
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return { error: "url must be http(s)", status: 400 };
+  const { error: blocked } = await resolveTarget(parsed);
+  if (blocked) return { error: blocked, status: 400 };
+  if (contractId && !policy.canAccessContract(contractId, userId, "activity")) {
+    return { error: "Contract not found", status: 404 };
+  }
+  if (statements.listSubscriptions.all(userId).length >= MAX_SUBSCRIPTIONS) {
+    return { error: `You can have at most ${MAX_SUBSCRIPTIONS} webhooks; remove one first`, status: 409 };
+  }
+  const row = {
+    id: nanoid(),
+    userId,
+    contractId: contractId || null,
+    url: parsed.toString(),
+    secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+    events: JSON.stringify(events && events.length ? [...new Set(events)] : EVENTS),
+    createdAt: new Date().toISOString(),
+  };
+  statements.insertSubscription.run(row);
+  return { subscription: { ...publicSubscription(row), secret: row.secret } };
+}
+
+function listSubscriptions(userId) {
+  return statements.listSubscriptions.all(userId).map(publicSubscription);
+}
+
+// Stops new deliveries; the log stays readable through the delivery rows.
+function removeSubscription(userId, id) {
+  return statements.disableSubscription.run(new Date().toISOString(), id, userId).changes > 0;
+}
+
+function listDeliveries(userId, subscriptionId) {
+  if (!statements.getSubscription.get(subscriptionId, userId)) return null;
+  return statements.listDeliveries.all(subscriptionId, LOG_LIMIT).map(publicDelivery);
+}
+
+/* -------------------- Delivery -------------------- */
+
+function insertDelivery(subscriptionId, { eventId, event, payload, replayOf = null }) {
+  const row = { id: nanoid(), subscriptionId, eventId, event, payload, replayOf, createdAt: new Date().toISOString() };
+  statements.insertDelivery.run(row);
+  return row;
+}
+
+let sweeping = null;
+let sweepAgain = false;
+
+// Send every delivery that is due at `now`. Runs one sweep at a time; a call
+// during a sweep starts another one once it's done. Resolves to the number of
+// deliveries attempted.
+function processDueDeliveries(now = new Date()) {
+  if (sweeping) {
+    sweepAgain = true;
+    return sweeping;
+  }
+  sweeping = sendDue(now).finally(() => {
+    sweeping = null;
+    if (sweepAgain) {
+      sweepAgain = false;
+      sendSoon();
+    }
+  });
+  return sweeping;
+}
+
+async function sendDue(now) {
+  let attempted = 0;
+  for (const delivery of statements.dueDeliveries.all(now.toISOString(), BATCH_SIZE)) {
+    const lease = new Date(now.getTime() + TIMEOUT_MS * 2).toISOString();
+    if (!statements.claimDelivery.run({ id: delivery.id, lease, now: now.toISOString() }).changes) continue;
+    await attemptDelivery(delivery, now);
+    attempted += 1;
+  }
+  return attempted;
+}
+
+async function attemptDelivery(delivery, now) {
+  const subscription = statements.getSubscriptionById.get(delivery.subscriptionId);
+  const outcome = { responseStatus: null, error: null };
+  const url = subscription && !subscription.disabledAt ? new URL(subscription.url) : null;
+  const target = url ? await resolveTarget(url) : null;
+  if (!url) {
+    outcome.error = "Webhook was removed";
+  } else if (target.error) {
+    outcome.error = target.error;
+  } else {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+      const response = await post(url, target.address, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SocialContract-Webhooks/1",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${sign(subscription.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        signal: controller.signal,
+      });
+      outcome.responseStatus = response.statusCode;
+      if (response.statusCode >= 300 && response.statusCode < 400) {
+        outcome.error = `Responded ${response.statusCode}; redirects aren't followed`;
+      } else if (response.statusCode < 200 || response.statusCode >= 300) {
+        outcome.error = `Responded ${response.statusCode}`;
+      }
+    } catch (err) {
+      outcome.error = err.name === "AbortError" ? `Timed out after ${TIMEOUT_MS}ms` : err.message;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  const delivered = !outcome.error;
+  const retryDelay = subscription && !subscription.disabledAt ? RETRY_DELAYS_MS[delivery.attempts] : undefined;
+  const status = delivered ? "delivered" : retryDelay === undefined ? "failed" : "pending";
+  statements.recordAttempt.run({
+    id: delivery.id,
+    status,
+    now: new Date().toISOString(),
+    nextAttemptAt: status === "pending" ? new Date(now.getTime() + retryDelay).toISOString() : null,
+    deliveredAt: delivered ? new Date().toISOString() : null,
+    ...outcome,
+  });
+}
+
+// Don't hold up the request that caused the event.
+function sendSoon() {
+  setImmediate(() => {
+    processDueDeliveries().catch((err) => console.error("Webhook delivery failed:", err));
+  });
+}
+
+// Queue `event` for those of `subscriptions` that want it. Returns the number
+// of deliveries queued.
+function queueEvent(subscriptions, event, contractId, data) {
+  subscriptions = subscriptions.filter((subscription) => parseEvents(subscription.events).includes(event));
+  if (!subscriptions.length) return 0;
+  const eventId = nanoid();
+  const payload = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), contractId, data });
+  db.transaction(() => {
+    subscriptions.forEach((subscription) => insertDelivery(subscription.id, { eventId, event, payload }));
+  })();
+  sendSoon();
+  return subscriptions.length;
+}
+
+// Queue `event` on `contractId` for every interested subscription.
+function dispatch(event, contractId, data) {
+  return queueEvent(statements.subscribersFor.all({ contractId }), event, contractId, data);
+}
+
+// Queue `event` for one user's own subscriptions, e.g. their notifications.
+function dispatchToUser(userId, event, contractId, data) {
+  return queueEvent(statements.userSubscribersFor.all({ userId, contractId: contractId || null }), event, contractId || null, data);
+}
+
+// Send a logged delivery again as a new delivery with the same event id.
+// Returns the new delivery or null.
+function replayDelivery(userId, subscriptionId, deliveryId) {
+  if (!statements.getSubscription.get(subscriptionId, userId)) return null;
+  const original = statements.getDelivery.get(deliveryId, subscriptionId);
+  if (!original) return null;
+  const row = insertDelivery(subscriptionId, { ...original, replayOf: original.id });
+  sendSoon();
+  return publicDelivery(statements.getDelivery.get(row.id, subscriptionId));
+}
+
+function startWebhookScheduler() {
+  const tick = () => {
+    processDueDeliveries().catch((err) => console.error("Webhook sweep failed:", err));
+  };
+  const timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  EVENTS,
+  RETRY_DELAYS_MS,
+  sign,
+  createSubscription,
+  listSubscriptions,
+  removeSubscription,
+  listDeliveries,
+  dispatch,
+  dispatchToUser,
+  replayDelivery,
+  processDueDeliveries,
+  startWebhookScheduler,
+};